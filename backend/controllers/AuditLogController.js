@@ -0,0 +1,44 @@
+const BaseController = require('./BaseController');
+const auditLogService = require('../services/AuditLogService');
+
+/**
+ * Audit Log Controller
+ * Handles HTTP requests for the trail of administrative and financial changes
+ */
+class AuditLogController extends BaseController {
+  /**
+   * GET /api/audit-logs
+   * Super admin - every theater, optionally narrowed with ?theaterId=
+   */
+  static async getAll(req, res) {
+    try {
+      const result = await auditLogService.getAuditLogs(req.query);
+      return BaseController.paginated(res, result.data, result.pagination);
+    } catch (error) {
+      console.error('Get audit logs error:', error);
+      return BaseController.error(res, 'Failed to fetch audit logs', 500, {
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /api/audit-logs/:theaterId
+   * Theater admin - changes made in their own theater
+   */
+  static async getByTheater(req, res) {
+    try {
+      const result = await auditLogService.getAuditLogs(req.query, {
+        theaterId: req.params.theaterId
+      });
+      return BaseController.paginated(res, result.data, result.pagination);
+    } catch (error) {
+      console.error('Get theater audit logs error:', error);
+      return BaseController.error(res, 'Failed to fetch audit logs', 500, {
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = AuditLogController;
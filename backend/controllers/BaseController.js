@@ -52,6 +52,40 @@ class BaseController {
     };
   }
 
+  /**
+   * Who made the request, from where - the audit context for a change
+   * `extra` can override the theater (routes without a :theaterId param) or set the entity type
+   */
+  static auditContext(req, extra = {}) {
+    // req.ip honours the 'trust proxy' setting (server.js) - X-Forwarded-For itself is client supplied
+    const ip = req.ip || req.socket?.remoteAddress || 'unknown';
+
+    return {
+      actor: {
+        userId: req.user?.userId || req.user?._id || null,
+        username: req.user?.username || '',
+        role: req.user?.role || req.user?.userType || ''
+      },
+      theaterId: req.params?.theaterId || null,
+      ip,
+      userAgent: req.headers?.['user-agent'] || '',
+      method: req.method,
+      path: req.originalUrl || req.url,
+      ...extra
+    };
+  }
+
+  /**
+   * Record an administrative or financial change in the audit log
+   * Fire and forget - auditing never fails or slows down the response
+   */
+  static audit(req, entry) {
+    const auditLogService = require('../services/AuditLogService');
+    const { theaterId, ...details } = entry;
+    const context = BaseController.auditContext(req, theaterId ? { theaterId } : {});
+    return auditLogService.record({ context, ...details });
+  }
+
   /**
    * Check database connection
    * Returns true if connected (1) or connecting (2)
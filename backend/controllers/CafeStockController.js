@@ -1,13 +1,50 @@
 const BaseController = require('./BaseController');
 const cafeStockService = require('../services/CafeStockService');
+const productService = require('../services/ProductService');
+const reorderForecastService = require('../services/ReorderForecastService');
 const CafeMonthlyStock = require('../models/CafeMonthlyStock');
 const mongoose = require('mongoose');
 const ExcelJS = require('exceljs');
 
+// Audit trail entry for one cafe stock entry, named after its product
+// Not awaited by the handlers - a failed product lookup only loses the name
+const auditStockEntry = (req, action, { before = null, after = null }) => {
+  const { theaterId, productId, entryId } = req.params;
+  const entry = after || before;
+  const date = entry?.date ? new Date(entry.date).toISOString().slice(0, 10) : '';
+
+  return productService.getProductById(productId, theaterId)
+    .catch(() => null)
+    .then(product => BaseController.audit(req, {
+      action,
+      entityType: 'cafe_stock_entry',
+      entityId: entryId || entry?._id,
+      entityName: [product?.name || 'Product', entry?.type, date].filter(Boolean).join(' · '),
+      before,
+      after
+    }));
+};
+
 /**
  * Cafe Stock Controller
  */
 class CafeStockController extends BaseController {
+  /**
+   * GET /api/cafe-stock/reorder-suggestions/:theaterId
+   * Forecast stock-out dates and suggested reorder quantities for cafe stock
+   */
+  static async getReorderSuggestions(req, res) {
+    try {
+      const suggestions = await reorderForecastService.getSuggestions(req.params.theaterId, 'cafe', req.query);
+      return BaseController.success(res, suggestions);
+    } catch (error) {
+      console.error('Get cafe stock reorder suggestions error:', error);
+      return BaseController.error(res, 'Failed to fetch reorder suggestions', 500, {
+        message: error.message
+      });
+    }
+  }
+
   /**
    * GET /api/cafe-stock/sales-report/:theaterId
    * Get sales report data as JSON (for PDF generation)
@@ -199,6 +236,29 @@ class CafeStockController extends BaseController {
     }
   }
 
+  /**
+   * GET /api/cafe-stock/batches/:theaterId
+   * Open stock batches, soonest expiry first - ?productId= for one product, ?days= for batches expiring within that many days
+   */
+  static async getBatches(req, res) {
+    try {
+      const { theaterId } = req.params;
+      const { productId, days } = req.query;
+
+      const batches = await cafeStockService.getBatches(theaterId, {
+        productId: productId || null,
+        withinDays: days !== undefined && days !== '' ? Number(days) : null
+      });
+
+      return BaseController.success(res, batches);
+    } catch (error) {
+      console.error('Get cafe stock batches error:', error);
+      return BaseController.error(res, 'Failed to fetch cafe stock batches', 500, {
+        message: error.message
+      });
+    }
+  }
+
   /**
    * POST /api/cafe-stock/:theaterId/:productId
    */
@@ -212,6 +272,8 @@ class CafeStockController extends BaseController {
         req.body
       );
 
+      auditStockEntry(req, 'create', { after: cafeStockService.findStockEntry(monthlyDoc) });
+
       return BaseController.success(res, monthlyDoc, 'Cafe stock entry added successfully');
     } catch (error) {
       console.error('Add cafe stock entry error:', error);
@@ -228,6 +290,7 @@ class CafeStockController extends BaseController {
     try {
       const { theaterId, productId, entryId } = req.params;
 
+      const before = await cafeStockService.getStockEntry(theaterId, productId, entryId);
       const monthlyDoc = await cafeStockService.updateStockEntry(
         theaterId,
         productId,
@@ -235,6 +298,8 @@ class CafeStockController extends BaseController {
         req.body
       );
 
+      auditStockEntry(req, 'update', { before, after: cafeStockService.findStockEntry(monthlyDoc, entryId) });
+
       return BaseController.success(res, monthlyDoc, 'Cafe stock entry updated successfully');
     } catch (error) {
       console.error('Update cafe stock entry error:', error);
@@ -254,12 +319,15 @@ class CafeStockController extends BaseController {
     try {
       const { theaterId, productId, entryId } = req.params;
 
+      const before = await cafeStockService.getStockEntry(theaterId, productId, entryId);
       const monthlyDoc = await cafeStockService.deleteStockEntry(
         theaterId,
         productId,
         entryId
       );
 
+      auditStockEntry(req, 'delete', { before });
+
       return BaseController.success(res, monthlyDoc, 'Cafe stock entry deleted successfully');
     } catch (error) {
       console.error('Delete cafe stock entry error:', error);
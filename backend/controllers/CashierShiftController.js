@@ -0,0 +1,140 @@
+const BaseController = require('./BaseController');
+const cashierShiftService = require('../services/CashierShiftService');
+
+/**
+ * Cashier Shift Controller
+ * Handles HTTP requests for POS drawer shifts (open, cash in/out, close, Z-report)
+ */
+class CashierShiftController extends BaseController {
+  /**
+   * Map service errors to HTTP status codes
+   */
+  static shiftError(res, error, fallbackMessage) {
+    if (error.message.includes('not found')) {
+      return BaseController.error(res, error.message, 404);
+    }
+    if (error.message.includes('only')) {
+      return BaseController.error(res, error.message, 403);
+    }
+    if (
+      error.message.includes('already') ||
+      error.message.includes('exceeds') ||
+      error.message.includes('required')
+    ) {
+      return BaseController.error(res, error.message, 400);
+    }
+    return BaseController.error(res, fallbackMessage, 500, {
+      message: error.message
+    });
+  }
+
+  /**
+   * GET /api/shifts/:theaterId/current
+   * Logged-in cashier's open shift with live totals (null when no shift is open)
+   */
+  static async getCurrent(req, res) {
+    try {
+      const shift = await cashierShiftService.getCurrentShift(req.params.theaterId, req.user);
+      return BaseController.success(res, { shift });
+    } catch (error) {
+      console.error('Get current shift error:', error);
+      return CashierShiftController.shiftError(res, error, 'Failed to fetch current shift');
+    }
+  }
+
+  /**
+   * GET /api/shifts/:theaterId?date=&status=
+   */
+  static async getShifts(req, res) {
+    try {
+      const shifts = await cashierShiftService.getShifts(req.params.theaterId, {
+        date: req.query.date,
+        status: req.query.status
+      });
+      return BaseController.success(res, { shifts });
+    } catch (error) {
+      console.error('Get shifts error:', error);
+      return BaseController.error(res, 'Failed to fetch shifts', 500, {
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * POST /api/shifts/:theaterId/open
+   */
+  static async open(req, res) {
+    try {
+      const shift = await cashierShiftService.openShift(req.params.theaterId, req.user, {
+        openingFloat: req.body.openingFloat,
+        note: req.body.note
+      });
+      return BaseController.success(res, shift, `Shift ${shift.shiftNumber} opened`, 201);
+    } catch (error) {
+      console.error('Open shift error:', error);
+      return CashierShiftController.shiftError(res, error, 'Failed to open shift');
+    }
+  }
+
+  /**
+   * POST /api/shifts/:theaterId/:shiftId/cash
+   * Record a cash in / cash out entry
+   */
+  static async addCashMovement(req, res) {
+    try {
+      const { theaterId, shiftId } = req.params;
+      const shift = await cashierShiftService.addCashMovement(theaterId, shiftId, req.user, {
+        type: req.body.type,
+        amount: req.body.amount,
+        reason: req.body.reason
+      });
+
+      const movement = shift.cashMovements?.[shift.cashMovements.length - 1];
+      BaseController.audit(req, {
+        action: 'create',
+        entityType: 'shift_cash',
+        entityId: shiftId,
+        entityName: `Shift ${shift.shiftNumber} ${movement?.type === 'cash_in' ? 'cash in' : 'cash out'}`,
+        after: movement
+      });
+
+      return BaseController.success(res, shift, req.body.type === 'cash_in' ? 'Cash in recorded' : 'Cash out recorded');
+    } catch (error) {
+      console.error('Cash movement error:', error);
+      return CashierShiftController.shiftError(res, error, 'Failed to record cash entry');
+    }
+  }
+
+  /**
+   * POST /api/shifts/:theaterId/:shiftId/close
+   */
+  static async close(req, res) {
+    try {
+      const { theaterId, shiftId } = req.params;
+      const shift = await cashierShiftService.closeShift(theaterId, shiftId, req.user, {
+        counted: req.body.counted,
+        note: req.body.note
+      });
+      return BaseController.success(res, shift, `Shift ${shift.shiftNumber} closed`);
+    } catch (error) {
+      console.error('Close shift error:', error);
+      return CashierShiftController.shiftError(res, error, 'Failed to close shift');
+    }
+  }
+
+  /**
+   * GET /api/shifts/:theaterId/:shiftId/z-report
+   */
+  static async getZReport(req, res) {
+    try {
+      const { theaterId, shiftId } = req.params;
+      const report = await cashierShiftService.getZReport(theaterId, shiftId, req.user);
+      return BaseController.success(res, report);
+    } catch (error) {
+      console.error('Get Z-report error:', error);
+      return CashierShiftController.shiftError(res, error, 'Failed to build Z-report');
+    }
+  }
+}
+
+module.exports = CashierShiftController;
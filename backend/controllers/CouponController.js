@@ -0,0 +1,140 @@
+const BaseController = require('./BaseController');
+const couponService = require('../services/CouponService');
+
+/**
+ * Coupon Controller
+ * Handles HTTP requests for promo code definitions and checkout validation
+ */
+class CouponController extends BaseController {
+  /**
+   * GET /api/coupons/:theaterId
+   */
+  static async getCoupons(req, res) {
+    try {
+      const coupons = await couponService.getCoupons(req.params.theaterId);
+      return BaseController.success(res, coupons);
+    } catch (error) {
+      console.error('Get coupons error:', error);
+      return BaseController.error(res, 'Failed to fetch coupons', 500, {
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * POST /api/coupons/:theaterId
+   */
+  static async createCoupon(req, res) {
+    try {
+      const coupon = await couponService.createCoupon(req.params.theaterId, req.body);
+
+      BaseController.audit(req, {
+        action: 'create',
+        entityType: 'coupon',
+        entityId: coupon._id,
+        entityName: coupon.code,
+        after: coupon
+      });
+
+      return BaseController.success(res, coupon, 'Coupon created successfully', 201);
+    } catch (error) {
+      console.error('Create coupon error:', error);
+      if (error.message.startsWith('Coupon')) {
+        return BaseController.error(res, error.message, 400);
+      }
+      return BaseController.error(res, 'Failed to create coupon', 500, {
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * PUT /api/coupons/:theaterId/:couponId
+   */
+  static async updateCoupon(req, res) {
+    try {
+      const before = await couponService.getCoupon(req.params.theaterId, req.params.couponId);
+      const coupon = await couponService.updateCoupon(
+        req.params.theaterId,
+        req.params.couponId,
+        req.body
+      );
+
+      BaseController.audit(req, {
+        action: 'update',
+        entityType: 'coupon',
+        entityId: req.params.couponId,
+        entityName: coupon.code,
+        before,
+        after: coupon
+      });
+
+      return BaseController.success(res, coupon, 'Coupon updated successfully');
+    } catch (error) {
+      console.error('Update coupon error:', error);
+      if (error.message === 'Coupon not found') {
+        return BaseController.error(res, error.message, 404);
+      }
+      if (error.message.startsWith('Coupon')) {
+        return BaseController.error(res, error.message, 400);
+      }
+      return BaseController.error(res, 'Failed to update coupon', 500, {
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * DELETE /api/coupons/:theaterId/:couponId
+   */
+  static async deleteCoupon(req, res) {
+    try {
+      const before = await couponService.getCoupon(req.params.theaterId, req.params.couponId);
+      await couponService.deleteCoupon(req.params.theaterId, req.params.couponId);
+
+      BaseController.audit(req, {
+        action: 'delete',
+        entityType: 'coupon',
+        entityId: req.params.couponId,
+        entityName: before?.code,
+        before
+      });
+
+      return BaseController.success(res, null, 'Coupon deleted successfully');
+    } catch (error) {
+      console.error('Delete coupon error:', error);
+      if (error.message === 'Coupon not found') {
+        return BaseController.error(res, error.message, 404);
+      }
+      return BaseController.error(res, 'Failed to delete coupon', 500, {
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * POST /api/coupons/:theaterId/validate
+   * Public - preview a code's discount for the cart before the order is placed
+   */
+  static async validateCode(req, res) {
+    try {
+      const result = await couponService.previewCoupon(req.params.theaterId, {
+        code: req.body.code,
+        items: req.body.items,
+        customerPhone: req.body.customerPhone,
+        channel: req.body.channel || 'online'
+      });
+      return BaseController.success(res, result, 'Coupon applied');
+    } catch (error) {
+      if (error.message.startsWith('Coupon')) {
+        return BaseController.error(res, error.message, 400, { code: 'INVALID_COUPON' });
+      }
+      console.error('Validate coupon error:', error);
+      return BaseController.error(res, 'Failed to validate coupon', 500, {
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = CouponController;
@@ -0,0 +1,158 @@
+const BaseController = require('./BaseController');
+const giftCardService = require('../services/GiftCardService');
+
+/**
+ * Gift Card Controller
+ * Handles HTTP requests for gift card issuance, top-ups, balance checks and the card ledger
+ */
+class GiftCardController extends BaseController {
+  /**
+   * Errors worth showing to the cashier as they are
+   */
+  static cardError(res, error, fallback) {
+    if (error.message === 'Gift card not found') {
+      return BaseController.error(res, error.message, 404);
+    }
+    if (error.message.startsWith('Gift card')) {
+      return BaseController.error(res, error.message, 400);
+    }
+    return BaseController.error(res, fallback, 500, {
+      message: error.message
+    });
+  }
+
+  /**
+   * GET /api/gift-cards/:theaterId
+   */
+  static async getCards(req, res) {
+    try {
+      const result = await giftCardService.getCards(req.params.theaterId, req.query);
+      return BaseController.success(res, result);
+    } catch (error) {
+      console.error('Get gift cards error:', error);
+      return BaseController.error(res, 'Failed to fetch gift cards', 500, {
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * POST /api/gift-cards/:theaterId
+   */
+  static async issueCard(req, res) {
+    try {
+      const card = await giftCardService.issueCard(req.params.theaterId, req.body, req.user);
+
+      BaseController.audit(req, {
+        action: 'create',
+        entityType: 'gift_card',
+        entityId: card._id,
+        entityName: card.code,
+        after: card
+      });
+
+      return BaseController.success(res, card, 'Gift card issued successfully', 201);
+    } catch (error) {
+      console.error('Issue gift card error:', error);
+      return GiftCardController.cardError(res, error, 'Failed to issue gift card');
+    }
+  }
+
+  /**
+   * POST /api/gift-cards/:theaterId/balance
+   * Public - balance of a card by its code (customer checkout and POS tender panel)
+   */
+  static async checkBalance(req, res) {
+    try {
+      const balance = await giftCardService.checkBalance(req.params.theaterId, req.body.code);
+      return BaseController.success(res, balance);
+    } catch (error) {
+      console.error('Check gift card balance error:', error);
+      return GiftCardController.cardError(res, error, 'Failed to check gift card balance');
+    }
+  }
+
+  /**
+   * GET /api/gift-cards/:theaterId/ledger
+   */
+  static async getLedger(req, res) {
+    try {
+      const ledger = await giftCardService.getLedger(req.params.theaterId, req.query);
+      return BaseController.success(res, ledger);
+    } catch (error) {
+      console.error('Get gift card ledger error:', error);
+      return BaseController.error(res, 'Failed to fetch gift card transactions', 500, {
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /api/gift-cards/:theaterId/:cardId
+   */
+  static async getCard(req, res) {
+    try {
+      const card = await giftCardService.getCardDetails(req.params.theaterId, req.params.cardId);
+      return BaseController.success(res, card);
+    } catch (error) {
+      console.error('Get gift card error:', error);
+      return GiftCardController.cardError(res, error, 'Failed to fetch gift card');
+    }
+  }
+
+  /**
+   * POST /api/gift-cards/:theaterId/:cardId/top-up
+   */
+  static async topUpCard(req, res) {
+    try {
+      const before = await giftCardService.findOne({ _id: req.params.cardId, theater: req.params.theaterId });
+      const card = await giftCardService.topUpCard(req.params.theaterId, req.params.cardId, req.body, req.user);
+
+      BaseController.audit(req, {
+        action: 'update',
+        entityType: 'gift_card',
+        entityId: card._id,
+        entityName: card.code,
+        before,
+        after: card
+      });
+
+      return BaseController.success(res, card, 'Gift card topped up successfully');
+    } catch (error) {
+      console.error('Top up gift card error:', error);
+      return GiftCardController.cardError(res, error, 'Failed to top up gift card');
+    }
+  }
+
+  /**
+   * PUT /api/gift-cards/:theaterId/:cardId/status
+   */
+  static async setCardStatus(req, res) {
+    try {
+      const before = await giftCardService.findOne({ _id: req.params.cardId, theater: req.params.theaterId });
+      const card = await giftCardService.setCardStatus(
+        req.params.theaterId,
+        req.params.cardId,
+        req.body.status,
+        req.user,
+        req.body.note
+      );
+
+      BaseController.audit(req, {
+        action: 'update',
+        entityType: 'gift_card',
+        entityId: card._id,
+        entityName: card.code,
+        before,
+        after: card
+      });
+
+      return BaseController.success(res, card, card.status === 'blocked' ? 'Gift card blocked' : 'Gift card unblocked');
+    } catch (error) {
+      console.error('Update gift card status error:', error);
+      return GiftCardController.cardError(res, error, 'Failed to update gift card');
+    }
+  }
+}
+
+module.exports = GiftCardController;
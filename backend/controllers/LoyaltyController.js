@@ -0,0 +1,70 @@
+const BaseController = require('./BaseController');
+const loyaltyService = require('../services/LoyaltyService');
+
+/**
+ * Loyalty Controller
+ * Handles HTTP requests for the loyalty points rules and customer wallets
+ */
+class LoyaltyController extends BaseController {
+  /**
+   * GET /api/loyalty/:theaterId/program
+   */
+  static async getProgram(req, res) {
+    try {
+      const [program, stats] = await Promise.all([
+        loyaltyService.getProgram(req.params.theaterId),
+        loyaltyService.getProgramStats(req.params.theaterId)
+      ]);
+      return BaseController.success(res, { ...program, stats });
+    } catch (error) {
+      console.error('Get loyalty program error:', error);
+      return BaseController.error(res, 'Failed to fetch loyalty program', 500, {
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * PUT /api/loyalty/:theaterId/program
+   */
+  static async updateProgram(req, res) {
+    try {
+      const before = await loyaltyService.getProgram(req.params.theaterId);
+      const program = await loyaltyService.updateProgram(req.params.theaterId, req.body);
+
+      BaseController.audit(req, {
+        action: before?._id ? 'update' : 'create',
+        entityType: 'loyalty_program',
+        entityId: program._id,
+        entityName: 'Loyalty program',
+        before: before?._id ? before : null,
+        after: program
+      });
+
+      return BaseController.success(res, program, 'Loyalty program updated successfully');
+    } catch (error) {
+      console.error('Update loyalty program error:', error);
+      return BaseController.error(res, 'Failed to update loyalty program', 500, {
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /api/loyalty/:theaterId/wallet
+   * Customer - balance and history of the verified phone number
+   */
+  static async getWallet(req, res) {
+    try {
+      const wallet = await loyaltyService.getWallet(req.params.theaterId, req.customer.phone);
+      return BaseController.success(res, wallet);
+    } catch (error) {
+      console.error('Get loyalty wallet error:', error);
+      return BaseController.error(res, 'Failed to fetch loyalty points', 500, {
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = LoyaltyController;
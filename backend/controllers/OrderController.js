@@ -1,6 +1,7 @@
 const BaseController = require('./BaseController');
 const orderService = require('../services/OrderService');
 const { sendOrderNotification } = require('../services/notificationService');
+const { getTenderBreakdown } = require('../utils/paymentTenders');
 
 /**
  * Order Controller
@@ -99,11 +100,41 @@ class OrderController extends BaseController {
       });
     } catch (error) {
       console.error('Create order error:', error);
+      if (error.message.startsWith('Ordering') || error.message.startsWith('Interval delivery')) {
+        return BaseController.error(res, error.message, 400, {
+          code: 'ORDERING_WINDOW_CLOSED'
+        });
+      }
+      if (error.message.startsWith('Gift card')) {
+        return BaseController.error(res, error.message, 400, {
+          code: 'GIFT_CARD_PAYMENT_FAILED'
+        });
+      }
+      if (error.message.startsWith('Modifier')) {
+        return BaseController.error(res, error.message, 400, {
+          code: 'INVALID_MODIFIERS'
+        });
+      }
       if (error.message.includes('not found')) {
         return BaseController.error(res, error.message, 400, {
           code: 'PRODUCT_NOT_FOUND'
         });
       }
+      if (/tender|split payment|cash received/i.test(error.message)) {
+        return BaseController.error(res, error.message, 400, {
+          code: 'INVALID_TENDERS'
+        });
+      }
+      if (error.message.startsWith('Coupon')) {
+        return BaseController.error(res, error.message, 400, {
+          code: 'INVALID_COUPON'
+        });
+      }
+      if (error.message.startsWith('Loyalty')) {
+        return BaseController.error(res, error.message, 400, {
+          code: 'LOYALTY_REDEMPTION_FAILED'
+        });
+      }
       return BaseController.error(res, 'Failed to create order', 500, {
         message: error.message
       });
@@ -269,21 +300,51 @@ class OrderController extends BaseController {
         });
       }
 
-      const updatedOrder = await orderService.cancelOrderProduct(
+      const order = await orderService.getOrderById(theaterId, orderId);
+      const cancelledItem = (order?.items || order?.products || []).find(item =>
+        String(item._id || '') === String(itemId) || String(item.productId || '') === String(itemId)
+      );
+
+      const { order: updatedOrder, refund } = await orderService.cancelOrderProduct(
         theaterId,
         orderId,
-        itemId
+        itemId,
+        { userId: req.user?.userId, username: req.user?.username }
       );
 
       if (!updatedOrder) {
         return BaseController.error(res, 'Failed to cancel product', 500);
       }
 
+      BaseController.audit(req, {
+        action: 'cancel',
+        entityType: 'order_item',
+        entityId: itemId,
+        entityName: `${order?.orderNumber || orderId} · ${cancelledItem?.name || cancelledItem?.productName || 'Item'}`,
+        before: {
+          item: cancelledItem || null,
+          orderTotal: order?.pricing?.total ?? order?.totalAmount ?? null
+        },
+        after: {
+          item: null,
+          orderTotal: updatedOrder.pricing?.total ?? updatedOrder.totalAmount ?? null,
+          refund: refund || null
+        }
+      });
+
+      let message = 'Product cancelled successfully. Order totals have been updated.';
+      if (refund?.method === 'manual') {
+        message = `Product cancelled. Pay ₹${refund.amount.toFixed(2)} back to the customer - direct UPI payments are refunded at the counter.`;
+      } else if (refund) {
+        message = `Product cancelled. ₹${refund.amount.toFixed(2)} ${refund.status === 'processed' ? 'refunded' : 'refund initiated'} to the customer.`;
+      }
+
       return BaseController.success(res, {
         orderId: updatedOrder._id,
         order: updatedOrder,
+        refund,
         updatedAt: updatedOrder.updatedAt
-      }, 'Product cancelled successfully. Order totals have been updated.');
+      }, message);
     } catch (error) {
       console.error('Cancel product error:', error);
       if (error.message === 'Order not found') {
@@ -301,6 +362,11 @@ class OrderController extends BaseController {
           code: 'ORDER_NOT_MODIFIABLE'
         });
       }
+      if (error.message.startsWith('Refund failed')) {
+        return BaseController.error(res, `${error.message}. The product was not cancelled.`, 502, {
+          code: 'REFUND_FAILED'
+        });
+      }
       return BaseController.error(res, 'Failed to cancel product', 500, {
         message: error.message
       });
@@ -320,6 +386,10 @@ class OrderController extends BaseController {
         return BaseController.error(res, 'Status is required', 400);
       }
 
+      const previousOrder = status === 'cancelled'
+        ? await orderService.getOrderById(theaterId, orderId)
+        : null;
+
       const updatedOrder = await orderService.updateOrderStatus(
         theaterId,
         orderId,
@@ -334,6 +404,24 @@ class OrderController extends BaseController {
         });
       }
 
+      // 📋 Cancelling a whole order is a financial change - keep it in the audit log
+      if (status === 'cancelled') {
+        BaseController.audit(req, {
+          action: 'cancel',
+          entityType: 'order',
+          entityId: orderId,
+          entityName: updatedOrder.orderNumber || previousOrder?.orderNumber || orderId,
+          before: {
+            status: previousOrder?.status || null,
+            orderTotal: previousOrder?.pricing?.total ?? previousOrder?.totalAmount ?? null
+          },
+          after: {
+            status: updatedOrder.status,
+            orderTotal: updatedOrder.pricing?.total ?? updatedOrder.totalAmount ?? null
+          }
+        });
+      }
+
       // Send push notification for all important status changes
       if (status === 'preparing' || status === 'completed' || status === 'ready' || status === 'cancelled') {
         await sendOrderNotification(updatedOrder, status).catch(err =>
@@ -364,6 +452,147 @@ class OrderController extends BaseController {
     }
   }
 
+  /**
+   * GET /api/orders/kds/:theaterId
+   * Live kitchen display tickets grouped by stage
+   */
+  static async getKitchenTickets(req, res) {
+    try {
+      if (!BaseController.checkDatabaseConnection()) {
+        return res.status(503).json(
+          BaseController.getDatabaseErrorResponse(req)
+        );
+      }
+
+      const result = await orderService.getKitchenTickets(
+        req.params.theaterId,
+        req.query
+      );
+
+      return BaseController.success(res, result);
+    } catch (error) {
+      console.error('Get kitchen tickets error:', error);
+      return BaseController.error(res, 'Failed to fetch kitchen tickets', 500, {
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * PUT /api/orders/kds/:theaterId/:orderId/bump
+   * Move a kitchen ticket to its next stage (confirmed → preparing → ready → served)
+   */
+  static async bumpKitchenTicket(req, res) {
+    try {
+      const { theaterId, orderId } = req.params;
+
+      const updatedOrder = await orderService.bumpKitchenTicket(
+        theaterId,
+        orderId,
+        req.body.expectedStatus || null
+      );
+
+      if (updatedOrder.status === 'preparing' || updatedOrder.status === 'ready') {
+        await sendOrderNotification(updatedOrder, updatedOrder.status).catch(err =>
+          console.warn('Notification failed:', err.message)
+        );
+      }
+
+      return BaseController.success(res, {
+        orderId: updatedOrder._id,
+        status: updatedOrder.status,
+        timestamps: updatedOrder.timestamps,
+        updatedAt: updatedOrder.updatedAt
+      }, 'Ticket bumped successfully');
+    } catch (error) {
+      console.error('Bump kitchen ticket error:', error);
+      if (error.message === 'Order not found') {
+        return BaseController.error(res, 'Order not found', 404, {
+          code: 'ORDER_NOT_FOUND'
+        });
+      }
+      if (error.message.startsWith('Order status has changed') || error.message.startsWith('Cannot bump')) {
+        return BaseController.error(res, error.message, 409, {
+          code: 'STATUS_CONFLICT'
+        });
+      }
+      return BaseController.error(res, 'Failed to bump ticket', 500, {
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /api/orders/runner/:theaterId
+   * Ready seat orders for delivery runners (unclaimed + claimed by the caller)
+   */
+  static async getRunnerQueue(req, res) {
+    try {
+      if (!BaseController.checkDatabaseConnection()) {
+        return res.status(503).json(
+          BaseController.getDatabaseErrorResponse(req)
+        );
+      }
+
+      const result = await orderService.getRunnerQueue(
+        req.params.theaterId,
+        req.user.userId,
+        req.query
+      );
+
+      return BaseController.success(res, result);
+    } catch (error) {
+      console.error('Get runner queue error:', error);
+      return BaseController.error(res, 'Failed to fetch delivery queue', 500, {
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * PUT /api/orders/runner/:theaterId/:orderId/:action
+   * Runner claims, releases or delivers a seat order
+   */
+  static async updateRunnerDelivery(req, res) {
+    try {
+      const { theaterId, orderId, action } = req.params;
+      const runner = { userId: req.user.userId, username: req.user.username };
+
+      let updatedOrder;
+      if (action === 'claim') {
+        updatedOrder = await orderService.claimDelivery(theaterId, orderId, runner);
+      } else if (action === 'release') {
+        updatedOrder = await orderService.releaseDelivery(theaterId, orderId, runner);
+      } else {
+        updatedOrder = await orderService.markDelivered(theaterId, orderId, runner);
+      }
+
+      return BaseController.success(res, {
+        orderId: updatedOrder._id,
+        status: updatedOrder.status,
+        assignedTo: updatedOrder.assignedTo || null,
+        assignedToName: updatedOrder.assignedToName || null,
+        timestamps: updatedOrder.timestamps
+      }, action === 'deliver' ? 'Order delivered' : `Order ${action === 'claim' ? 'claimed' : 'released'}`);
+    } catch (error) {
+      console.error('Runner delivery error:', error);
+      if (error.message === 'Order not found') {
+        return BaseController.error(res, 'Order not found', 404, {
+          code: 'ORDER_NOT_FOUND'
+        });
+      }
+      if (error.message.startsWith('Order already claimed') ||
+        error.message.startsWith('Order is')) {
+        return BaseController.error(res, error.message, 409, {
+          code: 'DELIVERY_CONFLICT'
+        });
+      }
+      return BaseController.error(res, 'Failed to update delivery', 500, {
+        message: error.message
+      });
+    }
+  }
+
   /**
    * PUT /api/orders/customer/cancel/:theaterId/:orderId
    * Customer cancels their own order (no authentication required)
@@ -587,7 +816,7 @@ class OrderController extends BaseController {
       ) && !source.includes('online') && !source.includes('qr_code') && !source.includes('kiosk');
 
       // Add title - adjust merge cells based on whether Customer/Phone columns are included
-      const lastColumn = isOrderHistory ? 'L' : 'N';
+      const lastColumn = isOrderHistory ? 'M' : 'O';
       worksheet.mergeCells(`A1:${lastColumn}1`);
       worksheet.getCell('A1').value = 'Order History Report';
       worksheet.getCell('A1').style = titleStyle;
@@ -614,8 +843,8 @@ class OrderController extends BaseController {
 
       // Add headers - conditionally exclude Customer and Phone for Order History
       const headers = isOrderHistory
-        ? ['S.No', 'Order No', 'Date', 'Time', 'Staff Name', 'Items', 'Quantity', 'Cash', 'UPI', 'Card', 'Total', 'Status']
-        : ['S.No', 'Order No', 'Date', 'Time', 'Customer', 'Phone', 'Staff Name', 'Items', 'Quantity', 'Cash', 'UPI', 'Card', 'Total', 'Status'];
+        ? ['S.No', 'Order No', 'Date', 'Time', 'Staff Name', 'Items', 'Quantity', 'Cash', 'UPI', 'Card', 'Gift Card', 'Total', 'Status']
+        : ['S.No', 'Order No', 'Date', 'Time', 'Customer', 'Phone', 'Staff Name', 'Items', 'Quantity', 'Cash', 'UPI', 'Card', 'Gift Card', 'Total', 'Status'];
       worksheet.getRow(6).values = headers;
       worksheet.getRow(6).eachCell((cell) => {
         cell.style = headerStyle;
@@ -635,6 +864,7 @@ class OrderController extends BaseController {
           { key: 'cash', width: 15 },
           { key: 'upi', width: 15 },
           { key: 'card', width: 15 },
+          { key: 'giftcard', width: 15 },
           { key: 'total', width: 15 },
           { key: 'status', width: 12 }
         ]
@@ -651,6 +881,7 @@ class OrderController extends BaseController {
           { key: 'cash', width: 15 },
           { key: 'upi', width: 15 },
           { key: 'card', width: 15 },
+          { key: 'giftcard', width: 15 },
           { key: 'total', width: 15 },
           { key: 'status', width: 12 }
         ];
@@ -659,6 +890,7 @@ class OrderController extends BaseController {
       let totalCash = 0;
       let totalUPI = 0;
       let totalCard = 0;
+      let totalGiftCard = 0;
       let totalRevenue = 0;
       let cancelledAmount = 0; // Track total cancelled amount
       let totalOrders = filteredOrders.length;
@@ -703,55 +935,23 @@ class OrderController extends BaseController {
           totalRevenue += rawAmount;
         }
 
-        // Handle payment method - check multiple possible field names
-        const paymentMethod = (order.payment?.method ||
-          order.paymentMethod ||
-          order.payment?.type ||
-          '').toLowerCase();
+        // ✅ Split payments: allocate the order amount to Cash / UPI / Card / Gift Card by tender
+        // Orders without stored tenders fall back to their single payment method
+        const tenderBreakdown = getTenderBreakdown(order);
+        const sign = isCancelled ? -1 : 1;
 
-        let cashAmount = 0;
-        let upiAmount = 0;
-        let cardAmount = 0;
+        // Cancelled orders show negative amounts; pending/failed orders are shown but not totalled
+        const cashAmount = sign * tenderBreakdown.cash;
+        const upiAmount = sign * tenderBreakdown.upi;
+        const cardAmount = sign * tenderBreakdown.card;
+        const giftCardAmount = sign * tenderBreakdown.giftcard;
 
         if (isCountedRevenue) {
           // Only add to payment totals if order is confirmed/paid
-          if (paymentMethod === 'cash') {
-            cashAmount = rawAmount;
-            totalCash += rawAmount;
-          } else if (paymentMethod === 'upi' || paymentMethod === 'online' || paymentMethod === 'razorpay') {
-            upiAmount = rawAmount;
-            totalUPI += rawAmount;
-          } else if (paymentMethod === 'card' || paymentMethod === 'neft' || paymentMethod === 'credit_card' || paymentMethod === 'debit_card') {
-            cardAmount = rawAmount;
-            totalCard += rawAmount;
-          } else {
-            // Default to UPI for online orders if payment method is unclear
-            upiAmount = rawAmount;
-            totalUPI += rawAmount;
-          }
-        } else if (isCancelled) {
-          // For cancelled orders, show negative amounts
-          if (paymentMethod === 'cash') {
-            cashAmount = -Math.abs(rawAmount);
-          } else if (paymentMethod === 'upi' || paymentMethod === 'online' || paymentMethod === 'razorpay') {
-            upiAmount = -Math.abs(rawAmount);
-          } else if (paymentMethod === 'card' || paymentMethod === 'neft' || paymentMethod === 'credit_card' || paymentMethod === 'debit_card') {
-            cardAmount = -Math.abs(rawAmount);
-          } else {
-            upiAmount = -Math.abs(rawAmount);
-          }
-        } else {
-          // Pending/Failed orders: Show amounts in columns but DO NOT add to totals
-          // amounts are still populated in variables for the row, but not added to total accumulators
-          if (paymentMethod === 'cash') {
-            cashAmount = rawAmount;
-          } else if (paymentMethod === 'upi' || paymentMethod === 'online' || paymentMethod === 'razorpay') {
-            upiAmount = rawAmount;
-          } else if (paymentMethod === 'card' || paymentMethod === 'neft' || paymentMethod === 'credit_card' || paymentMethod === 'debit_card') {
-            cardAmount = rawAmount;
-          } else {
-            upiAmount = rawAmount;
-          }
+          totalCash += tenderBreakdown.cash;
+          totalUPI += tenderBreakdown.upi;
+          totalCard += tenderBreakdown.card;
+          totalGiftCard += tenderBreakdown.giftcard;
         }
 
         // ✅ Get the actual username of the staff member who created/sold this order
@@ -827,6 +1027,7 @@ class OrderController extends BaseController {
             cashAmount || 0,
             upiAmount || 0,
             cardAmount || 0,
+            giftCardAmount || 0,
             amount,
             order.status || 'pending'
           ]
@@ -843,6 +1044,7 @@ class OrderController extends BaseController {
             cashAmount || 0,
             upiAmount || 0,
             cardAmount || 0,
+            giftCardAmount || 0,
             amount,
             order.status || 'pending'
           ];
@@ -862,15 +1064,16 @@ class OrderController extends BaseController {
           const itemsColNumber = isOrderHistory ? 6 : 8;
           cell.alignment = { vertical: 'middle', horizontal: colNumber === itemsColNumber ? 'left' : 'center' };
 
-          // Payment columns: Cash, UPI, Card, Total
-          // For Order History: columns 8, 9, 10, 11
-          // For Online Orders: columns 10, 11, 12, 13
+          // Payment columns: Cash, UPI, Card, Gift Card, Total
+          // For Order History: columns 8, 9, 10, 11, 12
+          // For Online Orders: columns 10, 11, 12, 13, 14
           const cashCol = isOrderHistory ? 8 : 10;
           const upiCol = isOrderHistory ? 9 : 11;
           const cardCol = isOrderHistory ? 10 : 12;
-          const totalCol = isOrderHistory ? 11 : 13;
+          const giftCardCol = isOrderHistory ? 11 : 13;
+          const totalCol = isOrderHistory ? 12 : 14;
 
-          if (colNumber === cashCol || colNumber === upiCol || colNumber === cardCol || colNumber === totalCol) {
+          if (colNumber === cashCol || colNumber === upiCol || colNumber === cardCol || colNumber === giftCardCol || colNumber === totalCol) {
             if (cell.value && cell.value !== 0) {
               // For negative values (cancelled orders), show with minus sign
               cell.numFmt = cell.value < 0 ? '₹-#,##0.00' : '₹#,##0.00';
@@ -886,8 +1089,8 @@ class OrderController extends BaseController {
             }
           }
 
-          // Status column is at position 12 for Order History, 14 for Online Orders
-          const statusColNumber = isOrderHistory ? 12 : 14;
+          // Status column is at position 13 for Order History, 15 for Online Orders
+          const statusColNumber = isOrderHistory ? 13 : 15;
           if (colNumber === statusColNumber) {
             const status = order.status || 'pending';
             if (status === 'completed') {
@@ -911,12 +1114,12 @@ class OrderController extends BaseController {
       // Add cancelled amount row if there are cancelled orders
       if (cancelledAmount > 0) {
         const cancelledRowData = isOrderHistory
-          ? ['', '', '', '', '', 'CANCELLED:', '', '', '', '', -cancelledAmount, '']
-          : ['', '', '', '', '', '', '', 'CANCELLED:', '', '', '', '', -cancelledAmount, ''];
+          ? ['', '', '', '', '', 'CANCELLED:', '', '', '', '', '', -cancelledAmount, '']
+          : ['', '', '', '', '', '', '', 'CANCELLED:', '', '', '', '', '', -cancelledAmount, ''];
 
         const cancelledRow = worksheet.addRow(cancelledRowData);
         const cancelledLabelCol = isOrderHistory ? 6 : 8;
-        const cancelledAmountCol = isOrderHistory ? 11 : 13;
+        const cancelledAmountCol = isOrderHistory ? 12 : 14;
 
         cancelledRow.getCell(cancelledLabelCol).font = { bold: true, size: 12, color: { argb: 'FFDC2626' } };
         cancelledRow.getCell(cancelledAmountCol).font = { bold: true, size: 12, color: { argb: 'FFDC2626' } };
@@ -927,20 +1130,21 @@ class OrderController extends BaseController {
 
       // Add total row
       const summaryRowData = isOrderHistory
-        ? ['', '', '', '', '', 'TOTAL:', totalOrders, totalCash, totalUPI, totalCard, totalRevenue, '']
-        : ['', '', '', '', '', '', '', 'TOTAL:', totalOrders, totalCash, totalUPI, totalCard, totalRevenue, ''];
+        ? ['', '', '', '', '', 'TOTAL:', totalOrders, totalCash, totalUPI, totalCard, totalGiftCard, totalRevenue, '']
+        : ['', '', '', '', '', '', '', 'TOTAL:', totalOrders, totalCash, totalUPI, totalCard, totalGiftCard, totalRevenue, ''];
 
       const summaryRow = worksheet.addRow(summaryRowData);
 
       // Column positions for summary row
-      // For Order History: TOTAL=6, Orders=7, Cash=8, UPI=9, Card=10, Total=11
-      // For Online Orders: TOTAL=8, Orders=9, Cash=10, UPI=11, Card=12, Total=13
+      // For Order History: TOTAL=6, Orders=7, Cash=8, UPI=9, Card=10, Gift Card=11, Total=12
+      // For Online Orders: TOTAL=8, Orders=9, Cash=10, UPI=11, Card=12, Gift Card=13, Total=14
       const totalLabelCol = isOrderHistory ? 6 : 8;
       const ordersCol = isOrderHistory ? 7 : 9;
       const cashCol = isOrderHistory ? 8 : 10;
       const upiCol = isOrderHistory ? 9 : 11;
       const cardCol = isOrderHistory ? 10 : 12;
-      const totalCol = isOrderHistory ? 11 : 13;
+      const giftCardCol = isOrderHistory ? 11 : 13;
+      const totalCol = isOrderHistory ? 12 : 14;
 
       summaryRow.getCell(totalLabelCol).font = { bold: true, size: 12 };
       summaryRow.getCell(ordersCol).font = { bold: true, size: 12 };
@@ -957,6 +1161,10 @@ class OrderController extends BaseController {
       summaryRow.getCell(cardCol).numFmt = '₹#,##0.00';
       summaryRow.getCell(cardCol).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFFEB9C' } };
 
+      summaryRow.getCell(giftCardCol).font = { bold: true, size: 12 };
+      summaryRow.getCell(giftCardCol).numFmt = '₹#,##0.00';
+      summaryRow.getCell(giftCardCol).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFFEB9C' } };
+
       summaryRow.getCell(totalCol).font = { bold: true, size: 12, color: { argb: 'FF059669' } };
       summaryRow.getCell(totalCol).numFmt = '₹#,##0.00';
       summaryRow.getCell(totalCol).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFD1FAE5' } };
@@ -223,9 +223,125 @@ class PaymentController extends BaseController {
     }
   }
 
+  /**
+   * GET /api/payments/refunds/:theaterId/:orderId
+   * Refund ledger of an order
+   */
+  static async getRefunds(req, res) {
+    try {
+      const result = await paymentService.getOrderRefunds(req.params.orderId);
+      return BaseController.success(res, result);
+    } catch (error) {
+      console.error('❌ [PaymentController] Get refunds error:', error);
+      return BaseController.error(res, 'Failed to fetch refunds', 500, {
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /api/payments/refunds/:theaterId/:orderId/customer?phone=
+   * Refund ledger for the customer who placed the order
+   */
+  static async getCustomerRefunds(req, res) {
+    try {
+      const { theaterId, orderId } = req.params;
+      const result = await paymentService.getCustomerOrderRefunds(theaterId, orderId, req.query.phone);
+      return BaseController.success(res, result);
+    } catch (error) {
+      if (error.message === 'Order not found') {
+        return BaseController.error(res, error.message, 404);
+      }
+      console.error('❌ [PaymentController] Get customer refunds error:', error);
+      return BaseController.error(res, 'Failed to fetch refunds', 500, {
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * POST /api/payments/refunds/:theaterId/:orderId
+   * Full or partial refund through the order's payment gateway
+   */
+  static async refund(req, res) {
+    try {
+      const { theaterId, orderId } = req.params;
+      const result = await paymentService.refundOrder(theaterId, orderId, req.body, {
+        userId: req.user?.userId,
+        username: req.user?.username
+      });
+
+      BaseController.audit(req, {
+        action: 'refund',
+        entityType: 'refund',
+        entityId: result.refund.refundId,
+        entityName: result.orderNumber ? `Order ${result.orderNumber}` : `Order ${orderId}`,
+        after: { orderId, ...result }
+      });
+
+      let message = 'Refund initiated - awaiting gateway confirmation';
+      if (result.refund.method === 'manual') {
+        message = `Refund recorded - pay ₹${result.refund.amount.toFixed(2)} back to the customer`;
+      } else if (result.refund.status === 'processed') {
+        message = 'Refund processed successfully';
+      }
+      if (result.refund.giftCardAmount > 0) {
+        message += ` (₹${result.refund.giftCardAmount.toFixed(2)} returned to the gift card)`;
+      }
+      return BaseController.success(res, result, message, 201);
+    } catch (error) {
+      console.error('❌ [PaymentController] Refund error:', {
+        message: error.message,
+        theaterId: req.params.theaterId,
+        orderId: req.params.orderId
+      });
+
+      if (error.message === 'Order not found' || error.message === 'Theater not found') {
+        return BaseController.error(res, error.message, 404);
+      }
+      if (error.message.startsWith('Refund failed')) {
+        return BaseController.error(res, error.message, 502, { code: 'REFUND_FAILED' });
+      }
+      if (error.message.includes('No online payment') ||
+        error.message.includes('already fully refunded') ||
+        error.message.includes('exceeds') ||
+        error.message.includes('greater than zero') ||
+        error.message.includes('not found in order')) {
+        return BaseController.error(res, error.message, 400);
+      }
+
+      return BaseController.error(res, 'Failed to process refund', 500, {
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Verify a Razorpay webhook against the theater's webhook secret
+   * @returns {boolean} - False only when a secret is configured and the signature does not match
+   */
+  static async verifyRazorpayWebhook(req, transaction) {
+    const Theater = require('../models/Theater');
+    const theater = await Theater.findById(transaction.theaterId);
+    const channel = transaction.gateway?.channel || 'online';
+    const gatewayConfig = channel === 'kiosk'
+      ? theater?.paymentGateway?.kiosk
+      : theater?.paymentGateway?.online;
+    const webhookSecret = gatewayConfig?.razorpay?.webhookSecret;
+
+    if (!webhookSecret) {
+      console.warn('⚠️ [PaymentController] Webhook secret not configured, skipping signature verification');
+      return true;
+    }
+
+    const Razorpay = require('razorpay');
+    const rawBody = req.rawBody || JSON.stringify(req.body);
+    return Razorpay.validateWebhookSignature(rawBody, req.headers['x-razorpay-signature'], webhookSecret);
+  }
+
   /**
    * POST /api/payments/webhook/razorpay
-   * Razorpay webhook handler - processes payment.captured events
+   * Razorpay webhook handler - processes payment.captured and refund.* events
    */
   static async webhookRazorpay(req, res) {
     try {
@@ -238,6 +354,39 @@ class PaymentController extends BaseController {
         return res.status(400).json({ success: false, message: 'Signature missing' });
       }
 
+      // Refund status updates (refund.processed / refund.failed)
+      if (['refund.processed', 'refund.failed'].includes(payload.event)) {
+        const refundData = payload.payload?.refund?.entity;
+        if (!refundData) {
+          return res.status(400).json({ success: false, message: 'Refund data missing' });
+        }
+
+        const PaymentTransaction = require('../models/PaymentTransaction');
+        const transaction = await PaymentTransaction.findOne({ 'gateway.paymentId': refundData.payment_id });
+        if (!transaction) {
+          return res.json({ success: true, message: 'Webhook received but transaction not found' });
+        }
+
+        const isValid = await PaymentController.verifyRazorpayWebhook(req, transaction);
+        if (!isValid) {
+          console.error('❌ [PaymentController] Refund webhook signature verification failed');
+          return res.status(400).json({ success: false, message: 'Invalid signature' });
+        }
+
+        const entry = await paymentService.handleRefundWebhook({
+          gatewayRefundId: refundData.id,
+          refundId: refundData.receipt,
+          status: payload.event === 'refund.processed' ? 'processed' : 'failed',
+          failureReason: refundData.error_description || refundData.notes?.reason,
+          payload: refundData
+        });
+
+        return res.json({
+          success: true,
+          message: entry ? 'Refund webhook processed' : 'Webhook received but refund not found'
+        });
+      }
+
       // Process payment.captured event
       if (payload.event === 'payment.captured') {
         const paymentData = payload.payload?.payment?.entity;
@@ -309,6 +458,10 @@ class PaymentController extends BaseController {
           
         }
 
+        if (paymentService.isRefunded(transaction)) {
+          return res.json({ success: true, message: 'Webhook received but payment was already refunded' });
+        }
+
         // Only process if payment is captured
         if (paymentStatus === 'captured') {
           // Update transaction status
@@ -357,8 +510,29 @@ class PaymentController extends BaseController {
   static async webhookCashfree(req, res) {
     try {
       const payload = req.body;
-      
-      
+
+      // Refund status updates
+      if (payload.type === 'REFUND_STATUS_WEBHOOK') {
+        const refundData = payload.data?.refund;
+        if (!refundData) {
+          return res.status(400).json({ success: false, message: 'Refund data missing' });
+        }
+
+        const refundStatus = refundData.refund_status;
+        const entry = await paymentService.handleRefundWebhook({
+          gatewayRefundId: refundData.cf_refund_id,
+          refundId: refundData.refund_id,
+          status: refundStatus === 'SUCCESS' ? 'processed' : refundStatus === 'CANCELLED' ? 'failed' : 'pending',
+          failureReason: refundData.status_description,
+          payload: refundData
+        });
+
+        return res.json({
+          success: true,
+          message: entry ? 'Refund webhook processed' : 'Webhook received but refund not found'
+        });
+      }
+
       // Process ORDER.PAYMENT.SUCCESS event
       if (payload.type === 'ORDER.PAYMENT.SUCCESS' || payload.type === 'PAYMENT_SUCCESS') {
         const orderData = payload.data?.order || payload.data;
@@ -390,6 +564,10 @@ class PaymentController extends BaseController {
           return res.json({ success: true, message: 'Webhook received but transaction not found' });
         }
 
+        if (paymentService.isRefunded(transaction)) {
+          return res.json({ success: true, message: 'Webhook received but payment was already refunded' });
+        }
+
         // Only process if payment is successful
         if (paymentStatus === 'SUCCESS' || paymentStatus === 'CAPTURED' || paymentStatus === 'COMPLETED') {
           // Update transaction status
@@ -431,6 +609,151 @@ class PaymentController extends BaseController {
       return res.status(200).json({ success: false, message: error.message });
     }
   }
+
+  /**
+   * Respond to a PhonePe / Paytm server-to-server notification
+   */
+  static async handleGatewayWebhook(provider, req, res) {
+    try {
+      const result = await paymentService.handleGatewayWebhook(provider, req);
+      return res.json({ success: true, ...result });
+    } catch (error) {
+      if (error.message === 'Invalid signature' || error.message === 'Invalid webhook payload') {
+        return res.status(400).json({ success: false, message: error.message });
+      }
+      console.error(`❌ [PaymentController] ${provider} webhook error:`, error);
+      // Still return 200 to prevent the gateway from retrying
+      return res.status(200).json({ success: false, message: error.message });
+    }
+  }
+
+  /**
+   * POST /api/payments/webhook/phonepe
+   * PhonePe S2S callback - base64 `response` body signed with X-VERIFY
+   */
+  static async webhookPhonePe(req, res) {
+    return PaymentController.handleGatewayWebhook('phonepe', req, res);
+  }
+
+  /**
+   * POST /api/payments/webhook/paytm
+   * Paytm webhook - form post signed with CHECKSUMHASH
+   */
+  static async webhookPaytm(req, res) {
+    return PaymentController.handleGatewayWebhook('paytm', req, res);
+  }
+
+  /**
+   * POST /api/payments/callback/paytm
+   * Paytm posts the customer's browser here after payment; record the result and send them back to the app
+   */
+  static async callbackPaytm(req, res) {
+    try {
+      await paymentService.handleGatewayWebhook('paytm', req);
+    } catch (error) {
+      // The callback page verifies the payment again, so only log here
+      console.error('❌ [PaymentController] Paytm callback error:', error.message);
+    }
+
+    const params = new URLSearchParams({ provider: 'paytm', order_id: req.body?.ORDERID || '' });
+    return res.redirect(302, `${process.env.FRONTEND_URL || 'http://localhost:3000'}/payment/callback?${params.toString()}`);
+  }
+
+  /**
+   * Map direct UPI errors to status codes
+   */
+  static upiError(res, error) {
+    if (error.message === 'UPI payment not found') {
+      return BaseController.error(res, error.message, 404);
+    }
+    if (error.message.startsWith('UTR must') ||
+      error.message.includes('already submitted') ||
+      error.message.includes('already confirmed') ||
+      error.message.includes('no longer open') ||
+      error.message.includes('does not match') ||
+      error.message.includes('reason is required')) {
+      return BaseController.error(res, error.message, 400);
+    }
+    return BaseController.error(res, 'Failed to process UPI payment', 500, {
+      message: error.message
+    });
+  }
+
+  /**
+   * POST /api/payments/upi/utr
+   * Customer submits the UTR after paying the theater's UPI QR
+   */
+  static async submitUpiUtr(req, res) {
+    try {
+      const result = await paymentService.submitUpiUtr(req.body);
+      return BaseController.success(res, result, 'UTR submitted - awaiting cashier verification');
+    } catch (error) {
+      console.error('❌ [PaymentController] UTR submit error:', error.message);
+      return PaymentController.upiError(res, error);
+    }
+  }
+
+  /**
+   * GET /api/payments/upi/status/:transactionId
+   */
+  static async getUpiStatus(req, res) {
+    try {
+      const result = await paymentService.getUpiPaymentStatus(req.params.transactionId);
+      return BaseController.success(res, result);
+    } catch (error) {
+      return PaymentController.upiError(res, error);
+    }
+  }
+
+  /**
+   * GET /api/payments/upi/queue/:theaterId
+   * Direct UPI payments waiting for a cashier
+   */
+  static async getUpiQueue(req, res) {
+    try {
+      const payments = await paymentService.getUpiVerificationQueue(req.params.theaterId);
+      return BaseController.success(res, { payments });
+    } catch (error) {
+      console.error('❌ [PaymentController] UPI queue error:', error);
+      return PaymentController.upiError(res, error);
+    }
+  }
+
+  /**
+   * POST /api/payments/upi/:theaterId/:transactionId/:action
+   * Cashier approves (order marked paid) or rejects a UTR
+   */
+  static async reviewUpiPayment(req, res) {
+    try {
+      const { theaterId, transactionId, action } = req.params;
+      const result = await paymentService.reviewUpiPayment(theaterId, transactionId, {
+        action,
+        utr: req.body?.utr,
+        reason: req.body?.reason,
+        ipAddress: req.ip || req.connection.remoteAddress || 'unknown'
+      }, {
+        userId: req.user?.userId,
+        username: req.user?.username
+      });
+
+      BaseController.audit(req, {
+        action: action === 'approve' ? 'approve' : 'reject',
+        entityType: 'upi_payment',
+        entityId: transactionId,
+        entityName: result.utr ? `UTR ${result.utr}` : 'UPI payment',
+        after: result
+      });
+
+      return BaseController.success(res, result, action === 'approve' ? 'Payment confirmed' : 'Payment rejected');
+    } catch (error) {
+      console.error('❌ [PaymentController] UPI review error:', {
+        message: error.message,
+        theaterId: req.params.theaterId,
+        transactionId: req.params.transactionId
+      });
+      return PaymentController.upiError(res, error);
+    }
+  }
 }
 
 module.exports = PaymentController;
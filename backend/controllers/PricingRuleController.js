@@ -0,0 +1,116 @@
+const BaseController = require('./BaseController');
+const pricingRuleService = require('../services/PricingRuleService');
+
+/**
+ * Pricing Rule Controller
+ * Handles HTTP requests for time-based product pricing rules
+ */
+class PricingRuleController extends BaseController {
+  /**
+   * GET /api/pricing-rules/:theaterId
+   */
+  static async getRules(req, res) {
+    try {
+      const rules = await pricingRuleService.getRules(req.params.theaterId);
+      return BaseController.success(res, rules);
+    } catch (error) {
+      console.error('Get pricing rules error:', error);
+      return BaseController.error(res, 'Failed to fetch pricing rules', 500, {
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * POST /api/pricing-rules/:theaterId
+   */
+  static async createRule(req, res) {
+    try {
+      const rule = await pricingRuleService.createRule(req.params.theaterId, req.body);
+
+      BaseController.audit(req, {
+        action: 'create',
+        entityType: 'pricing_rule',
+        entityId: rule._id,
+        entityName: rule.name,
+        after: rule
+      });
+
+      return BaseController.success(res, rule, 'Pricing rule created successfully', 201);
+    } catch (error) {
+      console.error('Create pricing rule error:', error);
+      if (error.message.startsWith('Pricing rule')) {
+        return BaseController.error(res, error.message, 400);
+      }
+      return BaseController.error(res, 'Failed to create pricing rule', 500, {
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * PUT /api/pricing-rules/:theaterId/:ruleId
+   */
+  static async updateRule(req, res) {
+    try {
+      const before = await pricingRuleService.getRule(req.params.theaterId, req.params.ruleId);
+      const rule = await pricingRuleService.updateRule(
+        req.params.theaterId,
+        req.params.ruleId,
+        req.body
+      );
+
+      BaseController.audit(req, {
+        action: 'update',
+        entityType: 'pricing_rule',
+        entityId: req.params.ruleId,
+        entityName: rule.name,
+        before,
+        after: rule
+      });
+
+      return BaseController.success(res, rule, 'Pricing rule updated successfully');
+    } catch (error) {
+      console.error('Update pricing rule error:', error);
+      if (error.message === 'Pricing rule not found') {
+        return BaseController.error(res, error.message, 404);
+      }
+      if (error.message.startsWith('Pricing rule')) {
+        return BaseController.error(res, error.message, 400);
+      }
+      return BaseController.error(res, 'Failed to update pricing rule', 500, {
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * DELETE /api/pricing-rules/:theaterId/:ruleId
+   */
+  static async deleteRule(req, res) {
+    try {
+      const before = await pricingRuleService.getRule(req.params.theaterId, req.params.ruleId);
+      await pricingRuleService.deleteRule(req.params.theaterId, req.params.ruleId);
+
+      BaseController.audit(req, {
+        action: 'delete',
+        entityType: 'pricing_rule',
+        entityId: req.params.ruleId,
+        entityName: before?.name,
+        before
+      });
+
+      return BaseController.success(res, null, 'Pricing rule deleted successfully');
+    } catch (error) {
+      console.error('Delete pricing rule error:', error);
+      if (error.message === 'Pricing rule not found') {
+        return BaseController.error(res, error.message, 404);
+      }
+      return BaseController.error(res, 'Failed to delete pricing rule', 500, {
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = PricingRuleController;
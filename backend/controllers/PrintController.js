@@ -7,6 +7,7 @@ const { exec } = require('child_process');
 const { promisify } = require('util');
 const execAsync = promisify(exec);
 const { loadPrinterFormatConfig } = require('../utils/printerFormatConfig');
+const { describeModifiers } = require('../utils/productModifiers');
 
 /**
  * Print Controller
@@ -62,8 +63,11 @@ class PrintController extends BaseController {
       const rate = Number(item.unitPrice ?? item.price ?? item.rate ?? 0);
       const total = Number(item.totalPrice ?? item.total ?? (qty * rate));
       let name = item.productName ?? item.menuItem?.name ?? item.name ?? 'Item';
-      const size = item.size ?? item.productSize ?? item.variant?.option ?? (item.variants && item.variants[0]?.option) ?? null;
+      const modifiers = describeModifiers(item);
+      const size = item.size ?? item.productSize ?? item.variant?.option ??
+        (!modifiers && item.variants && item.variants[0]?.option) ?? null;
       if (size) name = `${name} (${size})`;
+      if (modifiers) name = `${name} + ${modifiers}`;
       // Escape basic characters (minimal)
       const safeName = String(name).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
 
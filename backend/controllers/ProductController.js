@@ -6,6 +6,7 @@ const Category = require('../models/Category');
 const Product = require('../models/Product');
 const MonthlyStock = require('../models/MonthlyStock');
 const ExcelJS = require('exceljs');
+const { normalizeModifierGroups } = require('../utils/productModifiers');
 
 /**
  * Product Controller
@@ -238,11 +239,23 @@ class ProductController extends BaseController {
         status: req.body.status || 'active',
         sku: req.body.sku || `SKU-${Date.now()}`,
         barcode: req.body.barcode || null,
-        tags: req.body.tags ? (Array.isArray(req.body.tags) ? req.body.tags : req.body.tags.split(',').map(t => t.trim()).filter(t => t)) : []
+        tags: req.body.tags ? (Array.isArray(req.body.tags) ? req.body.tags : req.body.tags.split(',').map(t => t.trim()).filter(t => t)) : [],
+        // Modifier groups (Size, Add-ons) customers pick when ordering
+        variants: normalizeModifierGroups(req.body.variants),
+        // Ingredients the product is made from - checked against the theater's products by the service
+        recipe: req.body.recipe
       };
 
       const product = await productService.createProduct(theaterId, productData);
 
+      BaseController.audit(req, {
+        action: 'create',
+        entityType: 'product',
+        entityId: product?._id,
+        entityName: product?.name,
+        after: product
+      });
+
       return res.status(201).json({
         success: true,
         message: 'Product created successfully',
@@ -260,6 +273,16 @@ class ProductController extends BaseController {
           code: 'INVALID_CATEGORY'
         });
       }
+      if (error.message.startsWith('Modifier')) {
+        return BaseController.error(res, error.message, 400, {
+          code: 'INVALID_MODIFIERS'
+        });
+      }
+      if (error.message.startsWith('Recipe')) {
+        return BaseController.error(res, error.message, 400, {
+          code: 'INVALID_RECIPE'
+        });
+      }
       return BaseController.error(res, 'Failed to create product', 500, {
         message: error.message
       });
@@ -570,9 +593,24 @@ class ProductController extends BaseController {
           ? req.body.tags
           : req.body.tags.split(',');
       }
+      if (req.body.variants !== undefined) {
+        updateData.variants = normalizeModifierGroups(req.body.variants);
+      }
+      if (req.body.recipe !== undefined) {
+        updateData.recipe = req.body.recipe;
+      }
 
       const updatedProduct = await productService.updateProduct(theaterId, productId, updateData);
 
+      BaseController.audit(req, {
+        action: 'update',
+        entityType: 'product',
+        entityId: productId,
+        entityName: updatedProduct?.name || existingProduct?.name,
+        before: existingProduct,
+        after: updatedProduct
+      });
+
       return BaseController.success(res, updatedProduct, 'Product updated successfully');
     } catch (error) {
       console.error('Update product error:', error);
@@ -586,6 +624,16 @@ class ProductController extends BaseController {
           code: 'INVALID_ID'
         });
       }
+      if (error.message.startsWith('Modifier')) {
+        return BaseController.error(res, error.message, 400, {
+          code: 'INVALID_MODIFIERS'
+        });
+      }
+      if (error.message.startsWith('Recipe')) {
+        return BaseController.error(res, error.message, 400, {
+          code: 'INVALID_RECIPE'
+        });
+      }
       return BaseController.error(res, 'Failed to update product', 500, {
         message: error.message
       });
@@ -621,6 +669,14 @@ class ProductController extends BaseController {
 
       await productService.deleteProduct(theaterId, productId);
 
+      BaseController.audit(req, {
+        action: 'delete',
+        entityType: 'product',
+        entityId: productId,
+        entityName: product?.name,
+        before: product
+      });
+
       return BaseController.success(res, null, 'Product deleted successfully');
     } catch (error) {
       console.error('Delete product error:', error);
@@ -0,0 +1,147 @@
+const BaseController = require('./BaseController');
+const purchaseOrderService = require('../services/PurchaseOrderService');
+
+/**
+ * Purchase Order Controller
+ * Handles HTTP requests for purchase orders, goods-received notes and the purchase margin report
+ */
+class PurchaseOrderController extends BaseController {
+  /**
+   * Errors worth showing to the user as they are
+   */
+  static purchaseOrderError(res, error, fallback) {
+    if (error.message === 'Purchase order not found' || error.message === 'Supplier not found') {
+      return BaseController.error(res, error.message, 404);
+    }
+    if (error.message.startsWith('Purchase order')) {
+      return BaseController.error(res, error.message, 400);
+    }
+    return BaseController.error(res, fallback, 500, {
+      message: error.message
+    });
+  }
+
+  /**
+   * GET /api/purchase-orders/:theaterId
+   */
+  static async getPurchaseOrders(req, res) {
+    try {
+      const purchaseOrders = await purchaseOrderService.getPurchaseOrders(req.params.theaterId, req.query);
+      return BaseController.success(res, purchaseOrders);
+    } catch (error) {
+      console.error('Get purchase orders error:', error);
+      return BaseController.error(res, 'Failed to fetch purchase orders', 500, {
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /api/purchase-orders/:theaterId/margin-report
+   */
+  static async getMarginReport(req, res) {
+    try {
+      const report = await purchaseOrderService.getMarginReport(req.params.theaterId, req.query);
+      return BaseController.success(res, report);
+    } catch (error) {
+      console.error('Get purchase margin report error:', error);
+      return BaseController.error(res, 'Failed to build margin report', 500, {
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /api/purchase-orders/:theaterId/:poId
+   */
+  static async getPurchaseOrder(req, res) {
+    try {
+      const purchaseOrder = await purchaseOrderService.getPurchaseOrder(req.params.theaterId, req.params.poId);
+      return BaseController.success(res, purchaseOrder);
+    } catch (error) {
+      console.error('Get purchase order error:', error);
+      return PurchaseOrderController.purchaseOrderError(res, error, 'Failed to fetch purchase order');
+    }
+  }
+
+  /**
+   * POST /api/purchase-orders/:theaterId
+   */
+  static async createPurchaseOrder(req, res) {
+    try {
+      const purchaseOrder = await purchaseOrderService.createPurchaseOrder(req.params.theaterId, req.body, req.user);
+      return BaseController.success(res, purchaseOrder, 'Purchase order created successfully', 201);
+    } catch (error) {
+      console.error('Create purchase order error:', error);
+      return PurchaseOrderController.purchaseOrderError(res, error, 'Failed to create purchase order');
+    }
+  }
+
+  /**
+   * PUT /api/purchase-orders/:theaterId/:poId
+   */
+  static async updatePurchaseOrder(req, res) {
+    try {
+      const purchaseOrder = await purchaseOrderService.updatePurchaseOrder(
+        req.params.theaterId,
+        req.params.poId,
+        req.body
+      );
+      return BaseController.success(res, purchaseOrder, 'Purchase order updated successfully');
+    } catch (error) {
+      console.error('Update purchase order error:', error);
+      return PurchaseOrderController.purchaseOrderError(res, error, 'Failed to update purchase order');
+    }
+  }
+
+  /**
+   * PATCH /api/purchase-orders/:theaterId/:poId/status
+   */
+  static async updateStatus(req, res) {
+    try {
+      const purchaseOrder = await purchaseOrderService.updateStatus(
+        req.params.theaterId,
+        req.params.poId,
+        req.body.status
+      );
+      return BaseController.success(res, purchaseOrder, 'Purchase order status updated');
+    } catch (error) {
+      console.error('Update purchase order status error:', error);
+      return PurchaseOrderController.purchaseOrderError(res, error, 'Failed to update purchase order status');
+    }
+  }
+
+  /**
+   * POST /api/purchase-orders/:theaterId/:poId/receive
+   * Goods-received note - books the delivered quantities into stock
+   */
+  static async receiveGoods(req, res) {
+    try {
+      const purchaseOrder = await purchaseOrderService.receiveGoods(
+        req.params.theaterId,
+        req.params.poId,
+        req.body,
+        req.user
+      );
+      return BaseController.success(res, purchaseOrder, 'Goods received and stock updated');
+    } catch (error) {
+      console.error('Receive goods error:', error);
+      return PurchaseOrderController.purchaseOrderError(res, error, 'Failed to receive goods');
+    }
+  }
+
+  /**
+   * DELETE /api/purchase-orders/:theaterId/:poId
+   */
+  static async deletePurchaseOrder(req, res) {
+    try {
+      await purchaseOrderService.deletePurchaseOrder(req.params.theaterId, req.params.poId);
+      return BaseController.success(res, null, 'Purchase order deleted successfully');
+    } catch (error) {
+      console.error('Delete purchase order error:', error);
+      return PurchaseOrderController.purchaseOrderError(res, error, 'Failed to delete purchase order');
+    }
+  }
+}
+
+module.exports = PurchaseOrderController;
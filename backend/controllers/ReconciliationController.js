@@ -0,0 +1,105 @@
+const BaseController = require('./BaseController');
+const reconciliationService = require('../services/ReconciliationService');
+const { formatDateToLocal } = require('../utils/dateUtils');
+
+/**
+ * Reconciliation Controller
+ * Handles HTTP requests for daily payment reconciliation against gateway settlements
+ */
+class ReconciliationController extends BaseController {
+  /**
+   * Date range from ?date= or ?startDate=&endDate= (defaults to yesterday)
+   */
+  static getDateRange(query) {
+    if (query.startDate && query.endDate) {
+      return { startDate: query.startDate, endDate: query.endDate };
+    }
+    const date = query.date || formatDateToLocal(new Date(Date.now() - 24 * 60 * 60 * 1000));
+    return { startDate: date, endDate: date };
+  }
+
+  /**
+   * GET /api/reconciliation/overview?date= | ?startDate=&endDate=
+   * Open issue counts per theater (super admin)
+   */
+  static async getOverview(req, res) {
+    try {
+      const range = ReconciliationController.getDateRange(req.query);
+      const overview = await reconciliationService.getOverview(range);
+      return BaseController.success(res, { ...range, theaters: overview });
+    } catch (error) {
+      console.error('Get reconciliation overview error:', error);
+      return BaseController.error(res, 'Failed to fetch reconciliation overview', 500, {
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /api/reconciliation/:theaterId?date= | ?startDate=&endDate=
+   */
+  static async getReports(req, res) {
+    try {
+      const range = ReconciliationController.getDateRange(req.query);
+      const reports = await reconciliationService.getTheaterReports(req.params.theaterId, range);
+      return BaseController.success(res, { ...range, reports });
+    } catch (error) {
+      console.error('Get reconciliation reports error:', error);
+      return BaseController.error(res, 'Failed to fetch reconciliation reports', 500, {
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * POST /api/reconciliation/:theaterId/run
+   * Re-run reconciliation for one day
+   */
+  static async run(req, res) {
+    try {
+      const report = await reconciliationService.reconcileTheater(
+        req.params.theaterId,
+        req.body.date,
+        req.user?.username || 'admin'
+      );
+      const message = report.status === 'failed'
+        ? `Reconciliation could not reach the payment gateway: ${report.error}`
+        : report.summary.openIssues > 0
+          ? `Reconciliation found ${report.summary.openIssues} issue(s)`
+          : 'All payments matched';
+      return BaseController.success(res, report, message);
+    } catch (error) {
+      console.error('Run reconciliation error:', error);
+      if (error.message === 'Theater not found') {
+        return BaseController.error(res, error.message, 404);
+      }
+      return BaseController.error(res, 'Failed to run reconciliation', 500, {
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * PUT /api/reconciliation/:theaterId/:date/issues/:issueId/resolve
+   */
+  static async resolveIssue(req, res) {
+    try {
+      const { theaterId, date, issueId } = req.params;
+      const report = await reconciliationService.resolveIssue(theaterId, date, issueId, req.body.note, {
+        userId: req.user?.userId,
+        username: req.user?.username
+      });
+      return BaseController.success(res, report, 'Issue marked as resolved');
+    } catch (error) {
+      console.error('Resolve reconciliation issue error:', error);
+      if (error.message.includes('not found')) {
+        return BaseController.error(res, error.message, 404);
+      }
+      return BaseController.error(res, 'Failed to resolve issue', 500, {
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = ReconciliationController;
@@ -58,6 +58,15 @@ class RoleController extends BaseController {
         isDefault
       });
 
+      BaseController.audit(req, {
+        theaterId: theaterId || result.theater?._id,
+        action: 'create',
+        entityType: 'role',
+        entityId: result.role?._id,
+        entityName: result.role?.name,
+        after: result.role
+      });
+
       return res.status(201).json({
         success: true,
         message: 'Role created successfully',
@@ -79,7 +88,19 @@ class RoleController extends BaseController {
    */
   static async update(req, res) {
     try {
+      const existing = await roleService.getRoleWithTheater(req.params.roleId);
       const updated = await roleService.updateRole(req.params.roleId, req.body);
+
+      BaseController.audit(req, {
+        theaterId: existing?.theaterId,
+        action: 'update',
+        entityType: 'role',
+        entityId: req.params.roleId,
+        entityName: updated?.name,
+        before: existing?.role,
+        after: updated
+      });
+
       return BaseController.success(res, updated, 'Role updated successfully');
     } catch (error) {
       console.error('Update role error:', error);
@@ -97,7 +118,18 @@ class RoleController extends BaseController {
    */
   static async delete(req, res) {
     try {
+      const existing = await roleService.getRoleWithTheater(req.params.roleId);
       await roleService.deleteRole(req.params.roleId);
+
+      BaseController.audit(req, {
+        theaterId: existing?.theaterId,
+        action: 'delete',
+        entityType: 'role',
+        entityId: req.params.roleId,
+        entityName: existing?.role?.name,
+        before: existing?.role
+      });
+
       return BaseController.success(res, null, 'Role deleted successfully');
     } catch (error) {
       console.error('Delete role error:', error);
@@ -1,6 +1,7 @@
 const BaseController = require('./BaseController');
 const OTP = require('../models/OTP');
 const settingsService = require('../services/SettingsService');
+const { issueCustomerToken } = require('../utils/customerToken');
 
 /**
  * SMS Controller
@@ -175,7 +176,9 @@ class SMSController extends BaseController {
       return BaseController.success(res, {
         message: 'OTP verified successfully',
         phoneNumber: cleanPhone,
-        verified: true
+        verified: true,
+        // Proves the phone on later requests (loyalty wallet, points redemption)
+        customerToken: issueCustomerToken(cleanPhone)
       });
 
     } catch (error) {
@@ -62,10 +62,21 @@ class SettingsController extends BaseController {
    */
   static async updateTheaterSettings(req, res) {
     try {
+      const before = await settingsService.getTheaterSettings(req.params.theaterId);
       const updated = await settingsService.updateTheaterSettings(
         req.params.theaterId,
         req.body
       );
+
+      BaseController.audit(req, {
+        action: before ? 'update' : 'create',
+        entityType: 'theater_settings',
+        entityId: updated?._id,
+        entityName: 'Theater settings',
+        before,
+        after: updated
+      });
+
       return BaseController.success(res, updated, 'Theater settings updated successfully');
     } catch (error) {
       console.error('Update theater settings error:', error);
@@ -0,0 +1,120 @@
+const BaseController = require('./BaseController');
+const showScheduleService = require('../services/ShowScheduleService');
+
+/**
+ * Show Schedule Controller
+ * Handles HTTP requests for screen show timings and customer ordering windows
+ */
+class ShowScheduleController extends BaseController {
+  /**
+   * GET /api/show-schedules/:theaterId
+   */
+  static async getSchedule(req, res) {
+    try {
+      const result = await showScheduleService.getSchedule(req.params.theaterId, req.query);
+      return BaseController.success(res, result);
+    } catch (error) {
+      console.error('Get show schedule error:', error);
+      return BaseController.error(res, 'Failed to fetch show schedule', 500, {
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /api/show-schedules/:theaterId/window?qrName=
+   * Public - used by the customer landing/menu pages
+   */
+  static async getWindow(req, res) {
+    try {
+      const window = await showScheduleService.getOrderingWindow(
+        req.params.theaterId,
+        req.query.qrName
+      );
+      return BaseController.success(res, { ...window, serverTime: new Date() });
+    } catch (error) {
+      console.error('Get ordering window error:', error);
+      return BaseController.error(res, 'Failed to check ordering window', 500, {
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * POST /api/show-schedules/:theaterId/shows
+   */
+  static async createShow(req, res) {
+    try {
+      const show = await showScheduleService.createShow(req.params.theaterId, req.body);
+      return BaseController.success(res, show, 'Show added successfully', 201);
+    } catch (error) {
+      console.error('Create show error:', error);
+      if (error.message.startsWith('Show') || error.message.startsWith('Interval')) {
+        return BaseController.error(res, error.message, 400);
+      }
+      return BaseController.error(res, 'Failed to add show', 500, {
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * PUT /api/show-schedules/:theaterId/shows/:showId
+   */
+  static async updateShow(req, res) {
+    try {
+      const show = await showScheduleService.updateShow(
+        req.params.theaterId,
+        req.params.showId,
+        req.body
+      );
+      return BaseController.success(res, show, 'Show updated successfully');
+    } catch (error) {
+      console.error('Update show error:', error);
+      if (error.message === 'Show not found') {
+        return BaseController.error(res, error.message, 404);
+      }
+      if (error.message.startsWith('Show') || error.message.startsWith('Interval')) {
+        return BaseController.error(res, error.message, 400);
+      }
+      return BaseController.error(res, 'Failed to update show', 500, {
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * DELETE /api/show-schedules/:theaterId/shows/:showId
+   */
+  static async deleteShow(req, res) {
+    try {
+      await showScheduleService.deleteShow(req.params.theaterId, req.params.showId);
+      return BaseController.success(res, null, 'Show deleted successfully');
+    } catch (error) {
+      console.error('Delete show error:', error);
+      if (error.message === 'Show not found') {
+        return BaseController.error(res, error.message, 404);
+      }
+      return BaseController.error(res, 'Failed to delete show', 500, {
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * PUT /api/show-schedules/:theaterId/settings
+   */
+  static async updateSettings(req, res) {
+    try {
+      const settings = await showScheduleService.updateSettings(req.params.theaterId, req.body);
+      return BaseController.success(res, settings, 'Ordering window settings updated');
+    } catch (error) {
+      console.error('Update show schedule settings error:', error);
+      return BaseController.error(res, 'Failed to update settings', 500, {
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = ShowScheduleController;
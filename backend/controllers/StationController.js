@@ -0,0 +1,111 @@
+const BaseController = require('./BaseController');
+const stationService = require('../services/StationService');
+
+/**
+ * Station Controller
+ * Handles HTTP requests for preparation stations and station tickets
+ */
+class StationController extends BaseController {
+  /**
+   * GET /api/stations/:theaterId
+   */
+  static async getByTheater(req, res) {
+    try {
+      const stations = await stationService.getStations(req.params.theaterId);
+      return BaseController.success(res, stations);
+    } catch (error) {
+      console.error('Get stations error:', error);
+      return BaseController.error(res, 'Failed to fetch stations', 500, {
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * POST /api/stations/:theaterId
+   */
+  static async create(req, res) {
+    try {
+      const station = await stationService.createStation(req.params.theaterId, req.body);
+      return BaseController.success(res, station, 'Station created successfully', 201);
+    } catch (error) {
+      console.error('Create station error:', error);
+      if (error.message.includes('already exists')) {
+        return BaseController.error(res, error.message, 409);
+      }
+      return BaseController.error(res, 'Failed to create station', 500, {
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * PUT /api/stations/:theaterId/:stationId
+   */
+  static async update(req, res) {
+    try {
+      const station = await stationService.updateStation(
+        req.params.theaterId,
+        req.params.stationId,
+        req.body
+      );
+      return BaseController.success(res, station, 'Station updated successfully');
+    } catch (error) {
+      console.error('Update station error:', error);
+      if (error.message === 'Station not found') {
+        return BaseController.error(res, error.message, 404);
+      }
+      if (error.message.includes('already exists')) {
+        return BaseController.error(res, error.message, 409);
+      }
+      return BaseController.error(res, 'Failed to update station', 500, {
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * DELETE /api/stations/:theaterId/:stationId
+   */
+  static async delete(req, res) {
+    try {
+      await stationService.deleteStation(req.params.theaterId, req.params.stationId);
+      return BaseController.success(res, null, 'Station deleted successfully');
+    } catch (error) {
+      console.error('Delete station error:', error);
+      if (error.message === 'Station not found') {
+        return BaseController.error(res, error.message, 404);
+      }
+      return BaseController.error(res, 'Failed to delete station', 500, {
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * PUT /api/stations/:theaterId/orders/:orderId/tickets/:ticketId/ready
+   * Mark a station's part of the order as ready
+   */
+  static async markTicketReady(req, res) {
+    try {
+      const { theaterId, orderId, ticketId } = req.params;
+      const order = await stationService.markTicketReady(theaterId, orderId, ticketId);
+
+      return BaseController.success(res, {
+        orderId: order._id,
+        status: order.status,
+        stationTickets: order.stationTickets || []
+      }, 'Station ticket marked ready');
+    } catch (error) {
+      console.error('Mark station ticket ready error:', error);
+      if (error.message === 'Order not found' || error.message === 'Station ticket not found') {
+        return BaseController.error(res, error.message, 404);
+      }
+      return BaseController.error(res, 'Failed to update station ticket', 500, {
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = StationController;
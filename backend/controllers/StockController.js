@@ -1,9 +1,30 @@
 const BaseController = require('./BaseController');
 const stockService = require('../services/StockService');
+const productService = require('../services/ProductService');
+const reorderForecastService = require('../services/ReorderForecastService');
 const MonthlyStock = require('../models/MonthlyStock');
 const mongoose = require('mongoose');
 const ExcelJS = require('exceljs');
 
+// Audit trail entry for one stock entry, named after its product
+// Not awaited by the handlers - a failed product lookup only loses the name
+const auditStockEntry = (req, action, { before = null, after = null }) => {
+  const { theaterId, productId, entryId } = req.params;
+  const entry = after || before;
+  const date = entry?.date ? new Date(entry.date).toISOString().slice(0, 10) : '';
+
+  return productService.getProductById(productId, theaterId)
+    .catch(() => null)
+    .then(product => BaseController.audit(req, {
+      action,
+      entityType: 'stock_entry',
+      entityId: entryId || entry?._id,
+      entityName: [product?.name || 'Product', entry?.type, date].filter(Boolean).join(' · '),
+      before,
+      after
+    }));
+};
+
 /**
  * Stock Controller
  */
@@ -94,6 +115,8 @@ class StockController extends BaseController {
         req.body
       );
 
+      auditStockEntry(req, 'create', { after: stockService.findStockEntry(monthlyDoc) });
+
       return BaseController.success(res, monthlyDoc, 'Stock entry added successfully');
     } catch (error) {
       console.error('Add stock entry error:', error);
@@ -110,6 +133,7 @@ class StockController extends BaseController {
     try {
       const { theaterId, productId, entryId } = req.params;
 
+      const before = await stockService.getStockEntry(theaterId, productId, entryId);
       const monthlyDoc = await stockService.updateStockEntry(
         theaterId,
         productId,
@@ -117,6 +141,8 @@ class StockController extends BaseController {
         req.body
       );
 
+      auditStockEntry(req, 'update', { before, after: stockService.findStockEntry(monthlyDoc, entryId) });
+
       return BaseController.success(res, monthlyDoc, 'Stock entry updated successfully');
     } catch (error) {
       console.error('Update stock entry error:', error);
@@ -136,12 +162,15 @@ class StockController extends BaseController {
     try {
       const { theaterId, productId, entryId } = req.params;
 
+      const before = await stockService.getStockEntry(theaterId, productId, entryId);
       const monthlyDoc = await stockService.deleteStockEntry(
         theaterId,
         productId,
         entryId
       );
 
+      auditStockEntry(req, 'delete', { before });
+
       return BaseController.success(res, monthlyDoc, 'Stock entry deleted successfully');
     } catch (error) {
       console.error('Delete stock entry error:', error);
@@ -154,6 +183,22 @@ class StockController extends BaseController {
     }
   }
 
+  /**
+   * GET /api/theater-stock/reorder-suggestions/:theaterId
+   * Forecast stock-out dates and suggested reorder quantities for product stock
+   */
+  static async getReorderSuggestions(req, res) {
+    try {
+      const suggestions = await reorderForecastService.getSuggestions(req.params.theaterId, 'product', req.query);
+      return BaseController.success(res, suggestions);
+    } catch (error) {
+      console.error('Get product stock reorder suggestions error:', error);
+      return BaseController.error(res, 'Failed to fetch reorder suggestions', 500, {
+        message: error.message
+      });
+    }
+  }
+
   /**
    * GET /api/theater-stock/excel/:theaterId/:productId
    * Export stock data for a specific product to Excel
@@ -0,0 +1,136 @@
+const BaseController = require('./BaseController');
+const stockTransferService = require('../services/StockTransferService');
+
+/**
+ * Stock Transfer Controller
+ * Handles HTTP requests for stock moved between theaters of the same owner
+ */
+class StockTransferController extends BaseController {
+  /**
+   * Errors worth showing to the user as they are
+   */
+  static transferError(res, error, fallback) {
+    if (error.message === 'Transfer not found') {
+      return BaseController.error(res, error.message, 404);
+    }
+    if (error.message.startsWith('Transfer')) {
+      return BaseController.error(res, error.message, 400);
+    }
+    return BaseController.error(res, fallback, 500, {
+      message: error.message
+    });
+  }
+
+  /**
+   * GET /api/stock-transfers/:theaterId/theaters
+   */
+  static async getTransferTheaters(req, res) {
+    try {
+      const theaters = await stockTransferService.getTransferTheaters(req.params.theaterId);
+      return BaseController.success(res, theaters);
+    } catch (error) {
+      console.error('Get transfer theaters error:', error);
+      return BaseController.error(res, 'Failed to fetch theaters', 500, {
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /api/stock-transfers/:theaterId
+   */
+  static async getTransfers(req, res) {
+    try {
+      const transfers = await stockTransferService.getTransfers(req.params.theaterId, req.query);
+      return BaseController.success(res, transfers);
+    } catch (error) {
+      console.error('Get stock transfers error:', error);
+      return BaseController.error(res, 'Failed to fetch stock transfers', 500, {
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /api/stock-transfers/:theaterId/:transferId
+   */
+  static async getTransfer(req, res) {
+    try {
+      const transfer = await stockTransferService.getTransfer(req.params.theaterId, req.params.transferId);
+      return BaseController.success(res, transfer);
+    } catch (error) {
+      console.error('Get stock transfer error:', error);
+      return StockTransferController.transferError(res, error, 'Failed to fetch stock transfer');
+    }
+  }
+
+  /**
+   * POST /api/stock-transfers/:theaterId
+   */
+  static async sendTransfer(req, res) {
+    try {
+      const transfer = await stockTransferService.sendTransfer(req.params.theaterId, req.body, req.user);
+
+      BaseController.audit(req, {
+        action: 'create',
+        entityType: 'stock_transfer',
+        entityId: transfer._id,
+        entityName: transfer.transferNumber,
+        after: transfer
+      });
+
+      return BaseController.success(res, transfer, `Transfer ${transfer.transferNumber} sent to ${transfer.toTheaterName}`, 201);
+    } catch (error) {
+      console.error('Send stock transfer error:', error);
+      return StockTransferController.transferError(res, error, 'Failed to send stock transfer');
+    }
+  }
+
+  /**
+   * POST /api/stock-transfers/:theaterId/:transferId/receive
+   */
+  static async receiveTransfer(req, res) {
+    try {
+      const { theaterId, transferId } = req.params;
+      const transfer = await stockTransferService.receiveTransfer(theaterId, transferId, req.body, req.user);
+
+      BaseController.audit(req, {
+        action: 'update',
+        entityType: 'stock_transfer',
+        entityId: transferId,
+        entityName: transfer.transferNumber,
+        after: transfer
+      });
+
+      return BaseController.success(res, transfer, `Transfer ${transfer.transferNumber} received`);
+    } catch (error) {
+      console.error('Receive stock transfer error:', error);
+      return StockTransferController.transferError(res, error, 'Failed to receive stock transfer');
+    }
+  }
+
+  /**
+   * POST /api/stock-transfers/:theaterId/:transferId/cancel
+   */
+  static async cancelTransfer(req, res) {
+    try {
+      const { theaterId, transferId } = req.params;
+      const transfer = await stockTransferService.cancelTransfer(theaterId, transferId, req.user);
+
+      BaseController.audit(req, {
+        action: 'cancel',
+        entityType: 'stock_transfer',
+        entityId: transferId,
+        entityName: transfer.transferNumber,
+        after: transfer
+      });
+
+      return BaseController.success(res, transfer, `Transfer ${transfer.transferNumber} cancelled - stock returned`);
+    } catch (error) {
+      console.error('Cancel stock transfer error:', error);
+      return StockTransferController.transferError(res, error, 'Failed to cancel stock transfer');
+    }
+  }
+}
+
+module.exports = StockTransferController;
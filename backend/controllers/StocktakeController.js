@@ -0,0 +1,113 @@
+const BaseController = require('./BaseController');
+const stocktakeService = require('../services/StocktakeService');
+
+const STATUS_MESSAGES = {
+  submit: 'Stocktake submitted for approval',
+  reopen: 'Stocktake reopened for counting',
+  approve: 'Stocktake approved - variances posted to cafe stock',
+  cancel: 'Stocktake cancelled'
+};
+
+/**
+ * Stocktake Controller
+ * Handles HTTP requests for physical stock counts of cafe stock
+ */
+class StocktakeController extends BaseController {
+  /**
+   * Errors worth showing to the user as they are
+   */
+  static stocktakeError(res, error, fallback) {
+    if (error.message === 'Stocktake not found') {
+      return BaseController.error(res, error.message, 404);
+    }
+    if (error.message.startsWith('Stocktake')) {
+      return BaseController.error(res, error.message, 400);
+    }
+    return BaseController.error(res, fallback, 500, {
+      message: error.message
+    });
+  }
+
+  /**
+   * GET /api/stocktakes/:theaterId
+   */
+  static async getStocktakes(req, res) {
+    try {
+      const stocktakes = await stocktakeService.getStocktakes(req.params.theaterId, req.query);
+      return BaseController.success(res, stocktakes);
+    } catch (error) {
+      console.error('Get stocktakes error:', error);
+      return BaseController.error(res, 'Failed to fetch stocktakes', 500, {
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /api/stocktakes/:theaterId/:stocktakeId
+   */
+  static async getStocktake(req, res) {
+    try {
+      const stocktake = await stocktakeService.getStocktake(req.params.theaterId, req.params.stocktakeId);
+      return BaseController.success(res, stocktake);
+    } catch (error) {
+      console.error('Get stocktake error:', error);
+      return StocktakeController.stocktakeError(res, error, 'Failed to fetch stocktake');
+    }
+  }
+
+  /**
+   * POST /api/stocktakes/:theaterId
+   */
+  static async startStocktake(req, res) {
+    try {
+      const stocktake = await stocktakeService.startStocktake(req.params.theaterId, req.body, req.user);
+      return BaseController.success(res, stocktake, 'Stocktake started', 201);
+    } catch (error) {
+      console.error('Start stocktake error:', error);
+      return StocktakeController.stocktakeError(res, error, 'Failed to start stocktake');
+    }
+  }
+
+  /**
+   * PUT /api/stocktakes/:theaterId/:stocktakeId/counts
+   */
+  static async saveCounts(req, res) {
+    try {
+      const { theaterId, stocktakeId } = req.params;
+      const stocktake = await stocktakeService.saveCounts(theaterId, stocktakeId, req.body.counts, req.user);
+      return BaseController.success(res, stocktake, 'Counts saved');
+    } catch (error) {
+      console.error('Save stocktake counts error:', error);
+      return StocktakeController.stocktakeError(res, error, 'Failed to save counts');
+    }
+  }
+
+  /**
+   * POST /api/stocktakes/:theaterId/:stocktakeId/:action (submit | reopen | approve | cancel)
+   */
+  static async changeStatus(req, res) {
+    try {
+      const { theaterId, stocktakeId, action } = req.params;
+      const stocktake = await stocktakeService.changeStatus(theaterId, stocktakeId, action, req.user);
+
+      // Submitting and reopening are steps of the count - approving posts stock, cancelling drops the count
+      if (action === 'approve' || action === 'cancel') {
+        BaseController.audit(req, {
+          action,
+          entityType: 'stocktake',
+          entityId: stocktakeId,
+          entityName: stocktake.stocktakeNumber,
+          after: stocktake
+        });
+      }
+
+      return BaseController.success(res, stocktake, STATUS_MESSAGES[action]);
+    } catch (error) {
+      console.error('Change stocktake status error:', error);
+      return StocktakeController.stocktakeError(res, error, 'Failed to update stocktake');
+    }
+  }
+}
+
+module.exports = StocktakeController;
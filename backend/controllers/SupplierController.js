@@ -0,0 +1,85 @@
+const BaseController = require('./BaseController');
+const supplierService = require('../services/SupplierService');
+
+/**
+ * Supplier Controller
+ * Handles HTTP requests for the suppliers purchase orders are raised to
+ */
+class SupplierController extends BaseController {
+  /**
+   * Errors worth showing to the user as they are
+   */
+  static supplierError(res, error, fallback) {
+    if (error.message === 'Supplier not found') {
+      return BaseController.error(res, error.message, 404);
+    }
+    if (error.message.startsWith('Supplier')) {
+      return BaseController.error(res, error.message, 400);
+    }
+    return BaseController.error(res, fallback, 500, {
+      message: error.message
+    });
+  }
+
+  /**
+   * GET /api/suppliers/:theaterId
+   */
+  static async getSuppliers(req, res) {
+    try {
+      const suppliers = await supplierService.getSuppliers(req.params.theaterId, {
+        includeInactive: req.query.includeInactive !== 'false'
+      });
+      return BaseController.success(res, suppliers);
+    } catch (error) {
+      console.error('Get suppliers error:', error);
+      return BaseController.error(res, 'Failed to fetch suppliers', 500, {
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * POST /api/suppliers/:theaterId
+   */
+  static async createSupplier(req, res) {
+    try {
+      const supplier = await supplierService.createSupplier(req.params.theaterId, req.body);
+      return BaseController.success(res, supplier, 'Supplier created successfully', 201);
+    } catch (error) {
+      console.error('Create supplier error:', error);
+      return SupplierController.supplierError(res, error, 'Failed to create supplier');
+    }
+  }
+
+  /**
+   * PUT /api/suppliers/:theaterId/:supplierId
+   */
+  static async updateSupplier(req, res) {
+    try {
+      const supplier = await supplierService.updateSupplier(
+        req.params.theaterId,
+        req.params.supplierId,
+        req.body
+      );
+      return BaseController.success(res, supplier, 'Supplier updated successfully');
+    } catch (error) {
+      console.error('Update supplier error:', error);
+      return SupplierController.supplierError(res, error, 'Failed to update supplier');
+    }
+  }
+
+  /**
+   * DELETE /api/suppliers/:theaterId/:supplierId
+   */
+  static async deleteSupplier(req, res) {
+    try {
+      await supplierService.deleteSupplier(req.params.theaterId, req.params.supplierId);
+      return BaseController.success(res, null, 'Supplier deleted successfully');
+    } catch (error) {
+      console.error('Delete supplier error:', error);
+      return SupplierController.supplierError(res, error, 'Failed to delete supplier');
+    }
+  }
+}
+
+module.exports = SupplierController;
@@ -91,7 +91,8 @@ class TheaterController extends BaseController {
         website,
         gstNumber,
         fssaiNumber,
-        uniqueNumber
+        uniqueNumber,
+        organizationId
       } = req.body;
 
       // Validate required fields
@@ -244,6 +245,7 @@ class TheaterController extends BaseController {
           contactNumber: ownerContactNumber || '',
           personalAddress: personalAddress || ownerPersonalAddress || ''
         },
+        organizationId: organizationId ? String(organizationId).trim() : '',
         agreementDetails: {
           startDate: agreementStartDate ? new Date(agreementStartDate) : undefined,
           endDate: agreementEndDate ? new Date(agreementEndDate) : undefined
@@ -506,6 +508,10 @@ class TheaterController extends BaseController {
           personalAddress: req.body.personalAddress || theater.ownerDetails?.personalAddress || ''
         };
       }
+      // Only a super admin groups theaters under one owner - the group decides where stock can be transferred
+      if (req.body.organizationId !== undefined && req.user.role === 'super_admin') {
+        updateData.organizationId = String(req.body.organizationId || '').trim();
+      }
       if (req.body.agreementStartDate || req.body.agreementEndDate || fileUrls.agreementCopy) {
         updateData.agreementDetails = {
           startDate: req.body.agreementStartDate ? new Date(req.body.agreementStartDate) : theater.agreementDetails?.startDate,
@@ -593,6 +599,10 @@ class TheaterController extends BaseController {
             paytm: {
               ...(existingKioskConfig.paytm || {}),
               ...(kioskConfig.paytm || {})
+            },
+            upi: {
+              ...(existingKioskConfig.upi || {}),
+              ...(kioskConfig.upi || {})
             }
           };
 
@@ -609,6 +619,10 @@ class TheaterController extends BaseController {
           } else if (mergedKioskConfig.paytm?.enabled && mergedKioskConfig.paytm?.merchantId) {
             enabledProvider = 'paytm';
             isKioskEnabled = true;
+          } else if (mergedKioskConfig.upi?.enabled && mergedKioskConfig.upi?.vpa) {
+            // Direct UPI only when no gateway is set up
+            enabledProvider = 'upi';
+            isKioskEnabled = true;
           }
 
           // ✅ FIX: Set acceptedMethods based on provider capabilities
@@ -643,6 +657,15 @@ class TheaterController extends BaseController {
               netbanking: true,
               wallet: true
             };
+          } else if (isKioskEnabled && enabledProvider === 'upi' && !mergedKioskConfig.acceptedMethods) {
+            // Direct UPI only takes UPI
+            acceptedMethods = {
+              cash: true,
+              card: false,
+              upi: true,
+              netbanking: false,
+              wallet: false
+            };
           } else if (!acceptedMethods) {
             // Default fallback
             acceptedMethods = {
@@ -696,6 +719,10 @@ class TheaterController extends BaseController {
             paytm: {
               ...(existingOnlineConfig.paytm || {}),
               ...(onlineConfig.paytm || {})
+            },
+            upi: {
+              ...(existingOnlineConfig.upi || {}),
+              ...(onlineConfig.upi || {})
             }
           };
 
@@ -712,6 +739,10 @@ class TheaterController extends BaseController {
           } else if (mergedOnlineConfig.paytm?.enabled && mergedOnlineConfig.paytm?.merchantId) {
             enabledProvider = 'paytm';
             isOnlineEnabled = true;
+          } else if (mergedOnlineConfig.upi?.enabled && mergedOnlineConfig.upi?.vpa) {
+            // Direct UPI only when no gateway is set up
+            enabledProvider = 'upi';
+            isOnlineEnabled = true;
           }
 
           // ✅ FIX: Set acceptedMethods based on provider capabilities
@@ -746,6 +777,15 @@ class TheaterController extends BaseController {
               netbanking: true,
               wallet: true
             };
+          } else if (isOnlineEnabled && enabledProvider === 'upi' && !mergedOnlineConfig.acceptedMethods) {
+            // Direct UPI only takes UPI
+            acceptedMethods = {
+              cash: false,
+              card: false,
+              upi: true,
+              netbanking: false,
+              wallet: false
+            };
           } else if (!acceptedMethods) {
             // Default fallback
             acceptedMethods = {
@@ -781,7 +821,11 @@ class TheaterController extends BaseController {
         updateData.paymentGateway = paymentGateway;
       }
 
-      const updatedTheater = await theaterService.updateTheater(req.params.id, updateData);
+      const updatedTheater = await theaterService.updateTheater(
+        req.params.id,
+        updateData,
+        BaseController.auditContext(req, { theaterId: req.params.id })
+      );
 
       // 🔍 Verify GST Number was updated
 
@@ -805,7 +849,10 @@ class TheaterController extends BaseController {
    */
   static async delete(req, res) {
     try {
-      const { theater, deletionResults } = await theaterService.deleteTheater(req.params.id);
+      const { theater, deletionResults } = await theaterService.deleteTheater(
+        req.params.id,
+        BaseController.auditContext(req, { theaterId: req.params.id })
+      );
 
       return BaseController.success(res, {
         message: `Theater "${theater.name}" and all related data deleted permanently`,
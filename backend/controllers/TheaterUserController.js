@@ -33,6 +33,15 @@ class TheaterUserController extends BaseController {
       
       const result = await theaterUserService.createTheaterUser(req.body);
 
+      BaseController.audit(req, {
+        theaterId: req.body.theaterId || req.body.theater,
+        action: 'create',
+        entityType: 'theater_user',
+        entityId: result.user?._id,
+        entityName: result.user?.username,
+        after: result.user
+      });
+
       
       return res.status(201).json({
         success: true,
@@ -59,7 +68,19 @@ class TheaterUserController extends BaseController {
    */
   static async update(req, res) {
     try {
+      const existing = await theaterUserService.getTheaterUserWithTheater(req.params.userId);
       const updated = await theaterUserService.updateTheaterUser(req.params.userId, req.body);
+
+      BaseController.audit(req, {
+        theaterId: existing?.theaterId,
+        action: 'update',
+        entityType: 'theater_user',
+        entityId: req.params.userId,
+        entityName: updated?.username,
+        before: existing?.user,
+        after: updated
+      });
+
       return BaseController.success(res, updated, 'Theater user updated successfully');
     } catch (error) {
       console.error('Update theater user error:', error);
@@ -77,7 +98,18 @@ class TheaterUserController extends BaseController {
    */
   static async delete(req, res) {
     try {
+      const existing = await theaterUserService.getTheaterUserWithTheater(req.params.userId);
       await theaterUserService.deleteTheaterUser(req.params.userId);
+
+      BaseController.audit(req, {
+        theaterId: existing?.theaterId,
+        action: 'delete',
+        entityType: 'theater_user',
+        entityId: req.params.userId,
+        entityName: existing?.user?.username,
+        before: existing?.user
+      });
+
       return BaseController.success(res, null, 'Theater user deleted successfully');
     } catch (error) {
       console.error('Delete theater user error:', error);
@@ -0,0 +1,96 @@
+const BaseController = require('./BaseController');
+const wasteLogService = require('../services/WasteLogService');
+
+/**
+ * Waste Log Controller
+ * Handles HTTP requests for cafe stock waste logs, their approval and the waste vs sales report
+ */
+class WasteLogController extends BaseController {
+  /**
+   * Errors worth showing to the user as they are
+   */
+  static wasteLogError(res, error, fallback) {
+    if (error.message === 'Waste log not found') {
+      return BaseController.error(res, error.message, 404);
+    }
+    if (error.message.startsWith('Waste')) {
+      return BaseController.error(res, error.message, 400);
+    }
+    return BaseController.error(res, fallback, 500, {
+      message: error.message
+    });
+  }
+
+  /**
+   * GET /api/waste-logs/:theaterId
+   */
+  static async getWasteLogs(req, res) {
+    try {
+      const wasteLogs = await wasteLogService.getWasteLogs(req.params.theaterId, req.query);
+      return BaseController.success(res, wasteLogs);
+    } catch (error) {
+      console.error('Get waste logs error:', error);
+      return BaseController.error(res, 'Failed to fetch waste logs', 500, {
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /api/waste-logs/:theaterId/report
+   */
+  static async getWasteReport(req, res) {
+    try {
+      const report = await wasteLogService.getWasteReport(req.params.theaterId, req.query);
+      return BaseController.success(res, report);
+    } catch (error) {
+      console.error('Get waste report error:', error);
+      return BaseController.error(res, 'Failed to build waste report', 500, {
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * POST /api/waste-logs/:theaterId
+   */
+  static async recordWaste(req, res) {
+    try {
+      const wasteLog = await wasteLogService.recordWaste(req.params.theaterId, req.body, req.user);
+      return BaseController.success(res, wasteLog, 'Waste logged - waiting for approval', 201);
+    } catch (error) {
+      console.error('Record waste error:', error);
+      return WasteLogController.wasteLogError(res, error, 'Failed to log waste');
+    }
+  }
+
+  /**
+   * POST /api/waste-logs/:theaterId/:wasteId/:action (approve | reject)
+   * Theater Admin only - approving takes the quantity off cafe stock
+   */
+  static async reviewWasteLog(req, res) {
+    try {
+      const { theaterId, wasteId, action } = req.params;
+      const wasteLog = await wasteLogService.reviewWasteLog(theaterId, wasteId, action, req.body, req.user);
+
+      BaseController.audit(req, {
+        action: action === 'approve' ? 'approve' : 'reject',
+        entityType: 'waste_log',
+        entityId: wasteId,
+        entityName: wasteLog.productName,
+        after: wasteLog
+      });
+
+      return BaseController.success(
+        res,
+        wasteLog,
+        action === 'approve' ? 'Waste approved and taken off stock' : 'Waste log rejected'
+      );
+    } catch (error) {
+      console.error('Review waste log error:', error);
+      return WasteLogController.wasteLogError(res, error, 'Failed to review waste log');
+    }
+  }
+}
+
+module.exports = WasteLogController;
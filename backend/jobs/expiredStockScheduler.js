@@ -1,13 +1,14 @@
 const cron = require('node-cron');
 const MonthlyStock = require('../models/MonthlyStock');
 const Product = require('../models/Product');
+const cafeStockService = require('../services/CafeStockService');
 
 /**
- * Auto-expire stock entries at 12:01 AM daily
+ * Auto-expire theater stock entries
  * Checks all stock entries with expireDate <= today
  * Moves quantity from stockAdded to expiredStock
  */
-async function processExpiredStock() {
+async function processExpiredTheaterStock() {
   try {
 
     const today = new Date();
@@ -66,10 +67,35 @@ async function processExpiredStock() {
     }
 
   } catch (error) {
-    console.error('❌ Expired Stock Scheduler Error:', error);
+    console.error('❌ Expired Theater Stock Error:', error);
   }
 }
 
+/**
+ * Auto-expire cafe stock batches
+ * Every batch expiring today or earlier that still has stock left is written off -
+ * the remaining quantity is booked as expired stock on today's cafe stock entry
+ */
+async function processExpiredCafeStock() {
+  try {
+    const { batches, quantity } = await cafeStockService.expireBatches(new Date());
+
+    if (batches > 0) {
+      console.log(`🗑️  Expired ${batches} cafe stock batch(es), ${quantity} unit(s) written off`);
+    }
+  } catch (error) {
+    console.error('❌ Expired Cafe Stock Error:', error);
+  }
+}
+
+/**
+ * Auto-expire stock at 12:01 AM daily - theater stock entries and cafe stock batches
+ */
+async function processExpiredStock() {
+  await processExpiredTheaterStock();
+  await processExpiredCafeStock();
+}
+
 /**
  * Start the scheduled job
  * Runs daily at 12:01 AM
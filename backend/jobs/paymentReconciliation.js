@@ -0,0 +1,45 @@
+const cron = require('node-cron');
+const ReconciliationService = require('../services/ReconciliationService');
+
+let isRunning = false;
+
+/**
+ * Reconcile yesterday's gateway payments for every theater
+ * Matches gateway payments / settlements against PaymentTransaction and order payment records,
+ * flagging missing, duplicate and amount-mismatched payments for the transaction pages
+ */
+async function runPaymentReconciliation(date) {
+  if (isRunning) return null;
+  isRunning = true;
+
+  try {
+    const result = await ReconciliationService.runDailyReconciliation(date);
+    console.log(`🧾 [PaymentReconciliation] ${result.date}: ${result.theaters} theater(s), ${result.withIssues} with issues, ${result.failed} failed`);
+    return result;
+  } catch (error) {
+    console.error('❌ Payment Reconciliation Error:', error);
+    return null;
+  } finally {
+    isRunning = false;
+  }
+}
+
+/**
+ * Start the scheduled job
+ * Runs daily at 6:00 AM, after the gateways have published the previous day's settlements
+ */
+function startPaymentReconciliation() {
+  // 0 6 * * * = every day at 06:00
+  cron.schedule('0 6 * * *', async () => {
+    await runPaymentReconciliation();
+  }, {
+    scheduled: true,
+    timezone: "Asia/Kolkata"
+  });
+}
+
+// Export functions
+module.exports = {
+  startPaymentReconciliation,
+  runPaymentReconciliation // For manual testing
+};
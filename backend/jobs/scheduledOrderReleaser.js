@@ -0,0 +1,46 @@
+const cron = require('node-cron');
+const OrderService = require('../services/OrderService');
+
+let isRunning = false;
+
+/**
+ * Release held interval / show-start pre-orders to the kitchen
+ * Orders carry `scheduledFor` (interval or show start minus the theater's release lead);
+ * once that time passes they are printed at their stations and appear on the kitchen display
+ */
+async function releaseScheduledOrders() {
+  // Skip the tick if the previous run is still printing
+  if (isRunning) return;
+  isRunning = true;
+
+  try {
+    const released = await OrderService.releaseScheduledOrders(new Date());
+    if (released > 0) {
+      console.log(`⏰ [ScheduledOrderReleaser] Released ${released} held order(s) to the kitchen`);
+    }
+  } catch (error) {
+    console.error('❌ Scheduled Order Releaser Error:', error);
+  } finally {
+    isRunning = false;
+  }
+}
+
+/**
+ * Start the scheduled job
+ * Runs every minute
+ */
+function startScheduledOrderReleaser() {
+  // * * * * * = every minute
+  cron.schedule('* * * * *', async () => {
+    await releaseScheduledOrders();
+  }, {
+    scheduled: true,
+    timezone: "Asia/Kolkata"
+  });
+}
+
+// Export functions
+module.exports = {
+  startScheduledOrderReleaser,
+  releaseScheduledOrders // For manual testing
+};
@@ -17,6 +17,9 @@ const {
   sendExpiredStockNotification
 } = require('../utils/emailService');
 const { getTheaterEmailAddresses } = require('../utils/stockEmailHelper');
+const { rememberForecasts } = require('../utils/lowStockChecker');
+const cafeStockService = require('../services/CafeStockService');
+const reorderForecastService = require('../services/ReorderForecastService');
 const settingsService = require('../services/SettingsService');
 
 // Store cron job references for reloading
@@ -130,6 +133,19 @@ async function checkExpiringStock() {
           }
         }
         
+        // 📦 Cafe stock batches expiring within 3 days (batches already past expiry are left to the expired stock job)
+        const expiringBatches = await cafeStockService.getBatches(theater._id, { withinDays: 3 });
+        for (const batch of expiringBatches) {
+          if (batch.daysUntilExpiry < 0) continue;
+
+          expiringProducts.push({
+            productName: `${batch.productName} (Cafe - Batch ${batch.batchNumber})`,
+            balance: batch.remaining,
+            expireDate: batch.expireDate,
+            daysUntilExpiry: batch.daysUntilExpiry
+          });
+        }
+
         // Send email if there are expiring products
         if (expiringProducts.length > 0) {
           await sendStockExpirationWarning(theater, expiringProducts);
@@ -175,6 +191,16 @@ async function checkLowStock() {
         const sevenDaysAgo = new Date();
         sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
         sevenDaysAgo.setHours(0, 0, 0, 0);
+
+        // 📈 Reorder forecast per product (day-of-week sales and supplier lead time)
+        const forecasts = new Map();
+        try {
+          const suggestions = await reorderForecastService.getSuggestions(theater._id, 'product');
+          suggestions.forEach(suggestion => forecasts.set(suggestion.productId, suggestion));
+          rememberForecasts(theater._id, suggestions);
+        } catch (error) {
+          console.error(`❌ Error forecasting reorders for theater ${theater.name}:`, error);
+        }
         
         for (const product of products) {
           const lowStockAlert = product.inventory?.minStock || 5; // Default threshold
@@ -224,8 +250,10 @@ async function checkLowStock() {
           // Check if stock will reach threshold in 30 minutes OR is already at/below threshold
           const willReachThreshold = predictedStockIn30Minutes <= lowStockAlert && predictedStockIn30Minutes > 0;
           const isAlreadyLow = currentStock > 0 && currentStock <= lowStockAlert;
+          const forecast = forecasts.get(String(product._id));
+          const runsOutBeforeDelivery = currentStock > 0 && forecast?.status === 'reorder';
           
-          if (willReachThreshold || isAlreadyLow) {
+          if (willReachThreshold || isAlreadyLow || runsOutBeforeDelivery) {
             // Get today's stock entry
             let stockEntry = null;
             if (monthlyDoc && monthlyDoc.stockDetails) {
@@ -247,7 +275,9 @@ async function checkLowStock() {
               predictedBalance: Math.max(0, predictedStockIn30Minutes),
               expireDate: stockEntry?.expireDate || null,
               lowStockAlert,
-              warningType: isAlreadyLow ? 'Currently Low' : 'Will Reach Threshold Soon'
+              unit: forecast?.unit,
+              warningType: isAlreadyLow ? 'Currently Low' : willReachThreshold ? 'Will Reach Threshold Soon' : 'Runs Out Before Delivery',
+              forecast
             });
           }
         }
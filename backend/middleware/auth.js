@@ -1,6 +1,7 @@
 const jwt = require('jsonwebtoken');
 const mongoose = require('mongoose');
 const { getJWTSecret } = require('../utils/jwtHelper');
+const { verifyCustomerToken } = require('../utils/customerToken');
 
 // JWT Authentication Middleware
 const authenticateToken = (req, res, next) => {
@@ -31,7 +32,9 @@ const authenticateToken = (req, res, next) => {
   }
 
   jwt.verify(token, getJWTSecret(), async (err, decoded) => {
-    if (err) {
+    // Customer tokens only prove a phone number - never a staff login (tokens issued before
+    // customers got their own secret still verify here)
+    if (err || decoded.type === 'customer') {
       return res.status(403).json({ 
         error: 'Invalid or expired token',
         code: 'TOKEN_INVALID'
@@ -132,7 +135,7 @@ const optionalAuth = (req, res, next) => {
 
   if (token) {
     jwt.verify(token, getJWTSecret(), (err, decoded) => {
-      if (!err) {
+      if (!err && decoded.type !== 'customer') {
         req.user = decoded;
       }
     });
@@ -141,6 +144,22 @@ const optionalAuth = (req, res, next) => {
   next();
 };
 
+// Customer (OTP-verified phone) authentication - token from /api/sms/verify-otp in X-Customer-Token
+const authenticateCustomer = (req, res, next) => {
+  const phone = verifyCustomerToken(req.headers['x-customer-token']);
+
+  if (!phone) {
+    return res.status(401).json({
+      error: 'Phone verification required',
+      code: 'CUSTOMER_TOKEN_INVALID',
+      message: 'Please verify your phone number again'
+    });
+  }
+
+  req.customer = { phone };
+  next();
+};
+
 // Role-based authorization middleware
 const requireRole = (roles) => {
   return (req, res, next) => {
@@ -505,6 +524,7 @@ const getUserDataScope = async (userId) => {
 module.exports = {
   authenticateToken,
   optionalAuth,
+  authenticateCustomer,
   requireRole,
   requireTheaterAccess,
   requirePageAccess,
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+/**
+ * Audit log entry - one administrative or financial change
+ * Written by the controllers after a successful change (see BaseController.audit), never edited afterwards
+ */
+const auditLogSchema = new mongoose.Schema({
+  // Theater the change belongs to (null for global changes made by a super admin)
+  theater: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Theater',
+    default: null
+  },
+  actor: {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    username: {
+      type: String,
+      default: ''
+    },
+    role: {
+      type: String,
+      default: ''
+    }
+  },
+  action: {
+    type: String,
+    enum: ['create', 'update', 'delete', 'cancel', 'approve', 'reject', 'refund'],
+    required: true
+  },
+  // What was changed, e.g. product, stock_entry, role, order_item
+  entityType: {
+    type: String,
+    required: true
+  },
+  entityId: {
+    type: String,
+    default: null
+  },
+  entityName: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Snapshots of the entity before and after the change (secrets redacted)
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Field level diff of before and after
+  changes: [{
+    _id: false,
+    field: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+  ip: {
+    type: String,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  method: {
+    type: String,
+    default: ''
+  },
+  path: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+auditLogSchema.index({ theater: 1, createdAt: -1 });
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ 'actor.userId': 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema, 'auditlogs');
@@ -87,8 +87,15 @@ const stockDetailSchema = new mongoose.Schema({
     comment: 'Closing balance for this day'
   },
   expireDate: Date,
+  // ✅ ADD: Manufacture date of the batch brought in by this entry
+  manufactureDate: Date,
   batchNumber: String,
   notes: String,
+  // ✅ ADD: Inter-theater transfer this entry belongs to (outward at the sender, inward at the receiver)
+  stockTransferId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
   // ✅ ADD: Unit field for stock entry
   unit: {
     type: String,
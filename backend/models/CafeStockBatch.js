@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+/**
+ * Cafe stock batch (lot)
+ * One per inward cafe stock entry - sales draw the oldest batches down first (FIFO)
+ * and whatever is left when the expiry date passes is written off by the expired stock job
+ */
+const cafeStockBatchSchema = new mongoose.Schema({
+  theaterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Theater',
+    required: true
+  },
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  batchNumber: {
+    type: String,
+    trim: true,
+    required: true
+  },
+  manufactureDate: {
+    type: Date,
+    default: null
+  },
+  expireDate: {
+    type: Date,
+    default: null
+  },
+  // Date of the stock entry that brought the batch in - FIFO order
+  receivedAt: {
+    type: Date,
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  remaining: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  unit: {
+    type: String,
+    default: 'Nos'
+  },
+  // CafeMonthlyStock stockDetails entry that added the batch
+  stockEntryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['active', 'depleted', 'expired'],
+    default: 'active'
+  },
+  expiredQuantity: {
+    type: Number,
+    default: 0
+  },
+  expiredAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+cafeStockBatchSchema.index({ theaterId: 1, productId: 1, status: 1, receivedAt: 1 });
+cafeStockBatchSchema.index({ status: 1, expireDate: 1 });
+cafeStockBatchSchema.index({ stockEntryId: 1 });
+
+module.exports = mongoose.model('CafeStockBatch', cafeStockBatchSchema, 'cafestockbatches');
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+// Cash put into / taken out of the drawer during a shift (change top-up, safe drop, petty expense)
+const cashMovementSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['cash_in', 'cash_out'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  reason: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  createdBy: {
+    userId: mongoose.Schema.Types.ObjectId,
+    username: String
+  },
+  createdAt: { type: Date, default: Date.now }
+}, { _id: true });
+
+// Expected vs counted amount of one payment method at shift close
+const methodTotalSchema = new mongoose.Schema({
+  method: { type: String, required: true },
+  orderCount: { type: Number, default: 0 },
+  sales: { type: Number, default: 0 },
+  expected: { type: Number, default: 0 },
+  counted: { type: Number, default: null },
+  variance: { type: Number, default: null }
+}, { _id: false });
+
+// One cashier's drawer session on the POS, from opening float to Z-report
+const cashierShiftSchema = new mongoose.Schema({
+  theater: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Theater',
+    required: true
+  },
+  staff: {
+    userId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    username: String,
+    role: String
+  },
+  shiftNumber: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['open', 'closed'],
+    default: 'open'
+  },
+  openingFloat: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  openingNote: String,
+  openedAt: { type: Date, default: Date.now },
+  cashMovements: [cashMovementSchema],
+  // Filled in when the shift is closed (live figures are computed on request while open)
+  summary: {
+    orderCount: { type: Number, default: 0 },
+    salesTotal: { type: Number, default: 0 },
+    cashIn: { type: Number, default: 0 },
+    cashOut: { type: Number, default: 0 },
+    expectedCash: { type: Number, default: 0 },
+    countedCash: { type: Number, default: null },
+    cashVariance: { type: Number, default: null },
+    byMethod: [methodTotalSchema]
+  },
+  closingNote: String,
+  closedAt: Date,
+  closedBy: {
+    userId: mongoose.Schema.Types.ObjectId,
+    username: String
+  },
+  zReportPrintCount: { type: Number, default: 0 }
+}, {
+  timestamps: true
+});
+
+cashierShiftSchema.index({ theater: 1, openedAt: -1 });
+cashierShiftSchema.index({ theater: 1, 'staff.userId': 1, status: 1 });
+// A cashier can only have one open drawer per theater
+cashierShiftSchema.index(
+  { theater: 1, 'staff.userId': 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+
+module.exports = mongoose.model('CashierShift', cashierShiftSchema);
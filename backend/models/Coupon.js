@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+
+// Coupon subdocument schema (one promo code of the theater)
+const couponObjectSchema = new mongoose.Schema({
+  // Code the customer / cashier enters - stored uppercase, unique within the theater
+  code: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true
+  },
+  description: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  discountType: {
+    type: String,
+    enum: ['percentage', 'flat'],
+    required: true
+  },
+  // Percent off (percentage) or rupees off (flat)
+  discountValue: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Item amount (after item discounts, before tax) the order must reach
+  minOrderAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Cap for percentage coupons - null means no cap
+  maxDiscount: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  // Redemptions across all customers - null means unlimited
+  usageLimit: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+  // Redemptions per customer phone number - null means unlimited
+  perCustomerLimit: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+  validFrom: {
+    type: Date,
+    default: null
+  },
+  validUntil: {
+    type: Date,
+    default: null
+  },
+  // Empty lists = coupon applies to every product
+  applicableCategories: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  applicableProducts: [{
+    type: mongoose.Schema.Types.ObjectId
+  }],
+  // Where the code can be used: customer QR ordering ('online') and/or counter / kiosk ('pos')
+  channels: {
+    type: [{ type: String, enum: ['online', 'pos'] }],
+    default: ['online', 'pos']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: true });
+
+// Main Coupon collection schema (one document per theater)
+const couponSchema = new mongoose.Schema({
+  theater: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Theater',
+    required: true,
+    unique: true,  // One document per theater
+    index: true
+  },
+  couponList: [couponObjectSchema],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+couponSchema.index({ 'couponList.code': 1 });
+
+couponSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+module.exports = mongoose.model('Coupon', couponSchema, 'coupons');
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+/**
+ * Coupon redemption counters - one per code for the overall limit (phone '') and one per
+ * customer phone for the per-customer limit
+ * Checkouts reserve a redemption with a guarded $inc, so concurrent orders cannot pass a limit
+ */
+const couponUsageSchema = new mongoose.Schema({
+  theater: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Theater',
+    required: true
+  },
+  code: {
+    type: String,
+    required: true
+  },
+  // Last 10 digits of the customer's phone, '' for the coupon's overall counter
+  phone: {
+    type: String,
+    default: ''
+  },
+  count: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  lastReservedAt: {
+    type: Date,
+    default: null
+  }
+});
+
+couponUsageSchema.index({ theater: 1, code: 1, phone: 1 }, { unique: true });
+
+module.exports = mongoose.model('CouponUsage', couponUsageSchema, 'couponusages');
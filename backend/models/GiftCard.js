@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+/**
+ * Prepaid gift card / stored-value card sold at the counter
+ * The balance is spent as a 'giftcard' payment tender; every movement is in GiftCardTransaction
+ */
+const giftCardSchema = new mongoose.Schema({
+  theater: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Theater',
+    required: true
+  },
+  // Printed on the card and encoded in its QR - stored without spaces or dashes
+  code: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  initialValue: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  balance: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // blocked: lost / stolen card - kept for the ledger but cannot be spent or topped up
+  status: {
+    type: String,
+    enum: ['active', 'blocked'],
+    default: 'active'
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  customerName: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  customerPhone: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  note: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  issuedBy: {
+    userId: mongoose.Schema.Types.ObjectId,
+    username: String
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+giftCardSchema.index({ theater: 1, code: 1 }, { unique: true });
+giftCardSchema.index({ theater: 1, createdAt: -1 });
+
+module.exports = mongoose.model('GiftCard', giftCardSchema, 'giftcards');
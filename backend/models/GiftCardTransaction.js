@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+/**
+ * Gift card ledger - one entry per movement of a card's balance
+ */
+const giftCardTransactionSchema = new mongoose.Schema({
+  theater: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Theater',
+    required: true
+  },
+  card: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GiftCard',
+    required: true
+  },
+  code: {
+    type: String,
+    required: true
+  },
+  // issue / topup: value loaded (paid for at the counter), redeem: spent on an order,
+  // refund: returned from a cancelled / abandoned order, block / unblock: status change (amount 0)
+  type: {
+    type: String,
+    enum: ['issue', 'topup', 'redeem', 'refund', 'block', 'unblock'],
+    required: true
+  },
+  // Signed - negative for redeem
+  amount: {
+    type: Number,
+    required: true
+  },
+  // redeem: how much of it has gone back to the card - refunds claim against it so nothing returns twice
+  returnedAmount: {
+    type: Number,
+    default: 0
+  },
+  balanceAfter: {
+    type: Number,
+    default: null
+  },
+  // How the customer paid for the value loaded (issue / topup)
+  paymentMethod: {
+    type: String,
+    enum: ['cash', 'card', 'upi', null],
+    default: null
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  orderNumber: String,
+  performedBy: {
+    userId: mongoose.Schema.Types.ObjectId,
+    username: String
+  },
+  note: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+giftCardTransactionSchema.index({ theater: 1, createdAt: -1 });
+giftCardTransactionSchema.index({ card: 1, createdAt: -1 });
+giftCardTransactionSchema.index({ theater: 1, orderId: 1 }, { partialFilterExpression: { orderId: { $type: 'objectId' } } });
+
+module.exports = mongoose.model('GiftCardTransaction', giftCardTransactionSchema, 'giftcardtransactions');
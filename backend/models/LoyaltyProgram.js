@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// Loyalty points rules (one document per theater)
+const loyaltyProgramSchema = new mongoose.Schema({
+  theater: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Theater',
+    required: true,
+    unique: true,  // One document per theater
+    index: true
+  },
+  isEnabled: {
+    type: Boolean,
+    default: false
+  },
+  // Points earned for every ₹100 paid
+  earnRate: {
+    type: Number,
+    default: 5,
+    min: 0
+  },
+  // Rupee value of one point when redeemed
+  pointValue: {
+    type: Number,
+    default: 1,
+    min: 0.01
+  },
+  // Smallest number of points that can be redeemed on an order
+  minRedeemPoints: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Most of an order's payable total that points may cover (%)
+  maxRedeemPercent: {
+    type: Number,
+    default: 50,
+    min: 0,
+    max: 100
+  },
+  // Days earned points stay valid - 0 means they never expire
+  expiryDays: {
+    type: Number,
+    default: 365,
+    min: 0
+  },
+  // First time the program was switched on - orders placed before it earn nothing
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+loyaltyProgramSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+module.exports = mongoose.model('LoyaltyProgram', loyaltyProgramSchema, 'loyaltyprograms');
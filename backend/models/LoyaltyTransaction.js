@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+/**
+ * Loyalty points ledger - one entry per movement of a customer's points
+ * Positive entries (earn, refund) are lots: remainingPoints is what is left of them
+ * after redemptions and expiry, and the balance is the sum of remainingPoints
+ */
+const loyaltyTransactionSchema = new mongoose.Schema({
+  theater: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Theater',
+    required: true
+  },
+  // 10-digit phone number verified by OTP
+  phone: {
+    type: String,
+    required: true
+  },
+  // earn: paid order, redeem: spent on an order, refund: points of a cancelled / failed order given back,
+  // reversal: points of a cancelled order taken back, expire: lot ran out
+  type: {
+    type: String,
+    enum: ['earn', 'redeem', 'refund', 'reversal', 'expire'],
+    required: true
+  },
+  // Signed - negative for redeem / reversal / expire
+  points: {
+    type: Number,
+    required: true
+  },
+  remainingPoints: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  orderNumber: String,
+  // Rupee value of the points at the time (redeem: discount given)
+  amount: {
+    type: Number,
+    default: 0
+  },
+  description: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+loyaltyTransactionSchema.index({ theater: 1, phone: 1, createdAt: -1 });
+// An order earns, redeems, refunds and reverses at most once
+loyaltyTransactionSchema.index(
+  { theater: 1, orderId: 1, type: 1 },
+  { unique: true, partialFilterExpression: { orderId: { $type: 'objectId' } } }
+);
+
+module.exports = mongoose.model('LoyaltyTransaction', loyaltyTransactionSchema, 'loyaltytransactions');
@@ -73,6 +73,11 @@ const stockDetailSchema = new mongoose.Schema({
   expireDate: Date,
   batchNumber: String,
   notes: String,
+  // ✅ ADD: Inter-theater transfer this entry belongs to (outward at the sender, inward at the receiver)
+  stockTransferId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
   // FIFO tracking: stores details of which stocks were deducted for SOLD entries
   fifoDetails: [{
     date: Date,
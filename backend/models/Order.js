@@ -102,10 +102,21 @@ const orderSchema = new mongoose.Schema({
         'online', // Generic online payment
         'razorpay', // Razorpay gateway
         'phonepe', // PhonePe gateway
-        'paytm' // Paytm gateway
+        'paytm', // Paytm gateway
+        'split' // Several counter tenders - see payment.tenders
       ],
       default: 'cash'
     },
+    // Split payments: one entry per tender collected at the counter
+    tenders: [{
+      _id: false,
+      method: { type: String, enum: ['cash', 'card', 'upi'], required: true },
+      amount: { type: Number, required: true, min: 0 },
+      received: Number,  // Cash handed over (cash tender only)
+      change: Number,
+      reference: String  // Card slip / UPI reference
+    }],
+    changeGiven: { type: Number, default: 0 },
     status: {
       type: String,
       enum: ['pending', 'paid', 'failed', 'refunded', 'partially_refunded'],
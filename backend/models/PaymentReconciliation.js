@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// One discrepancy found while matching gateway payments against our records
+const reconciliationIssueSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: [
+      'missing_at_gateway',   // We recorded a successful payment the gateway has not captured
+      'missing_in_records',   // Gateway captured a payment we have no successful transaction for
+      'missing_transaction',  // Order marked paid online without a payment transaction
+      'duplicate',            // Same order paid more than once
+      'amount_mismatch'       // Gateway / transaction / order amounts disagree
+    ],
+    required: true
+  },
+  // Stable key so re-running a day keeps resolutions (type + the reference it was raised for)
+  key: { type: String, required: true },
+  orderId: mongoose.Schema.Types.ObjectId,
+  orderNumber: String,
+  transactionIds: [mongoose.Schema.Types.ObjectId],
+  gatewayPaymentIds: [String],
+  gatewayOrderId: String,
+  expectedAmount: Number,
+  actualAmount: Number,
+  message: String,
+  resolved: { type: Boolean, default: false },
+  resolvedBy: {
+    userId: mongoose.Schema.Types.ObjectId,
+    username: String
+  },
+  resolvedAt: Date,
+  resolutionNote: String
+}, { _id: true });
+
+// Reconciliation result of one theater for one business day
+const paymentReconciliationSchema = new mongoose.Schema({
+  theater: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Theater',
+    required: true,
+    index: true
+  },
+  date: {
+    type: String, // YYYY-MM-DD (business day, Asia/Kolkata)
+    required: true
+  },
+  providers: [String],
+  status: {
+    type: String,
+    enum: ['matched', 'issues', 'failed'],
+    default: 'matched'
+  },
+  summary: {
+    gatewayCount: { type: Number, default: 0 },
+    gatewayAmount: { type: Number, default: 0 },
+    transactionCount: { type: Number, default: 0 },
+    transactionAmount: { type: Number, default: 0 },
+    orderCount: { type: Number, default: 0 },
+    orderAmount: { type: Number, default: 0 },
+    matchedCount: { type: Number, default: 0 },
+    settledAmount: { type: Number, default: 0 },
+    fees: { type: Number, default: 0 },
+    tax: { type: Number, default: 0 },
+    unsettledCount: { type: Number, default: 0 },
+    openIssues: { type: Number, default: 0 }
+  },
+  issues: [reconciliationIssueSchema],
+  error: String,
+  runAt: { type: Date, default: Date.now },
+  runBy: {
+    type: String,
+    default: 'scheduler' // 'scheduler' or the username that re-ran it
+  }
+}, {
+  timestamps: true
+});
+
+paymentReconciliationSchema.index({ theater: 1, date: 1 }, { unique: true });
+paymentReconciliationSchema.index({ date: 1, status: 1 });
+
+module.exports = mongoose.model('PaymentReconciliation', paymentReconciliationSchema);
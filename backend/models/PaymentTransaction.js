@@ -1,5 +1,48 @@
 const mongoose = require('mongoose');
 
+// One refund issued against this payment (full or partial)
+const refundEntrySchema = new mongoose.Schema({
+  refundId: { type: String, required: true },   // Our reference, sent to the gateway
+  gatewayRefundId: String,                     // rfnd_XXXX (Razorpay) / cf_refund_id (Cashfree) / PhonePe or Paytm refund ID
+  amount: { type: Number, required: true, min: 0 },
+  taxAmount: { type: Number, default: 0 },     // GST share included in `amount`
+  giftCardAmount: { type: Number, default: 0 }, // Gift card tenders returned to their cards (full refunds, not in `amount`)
+  type: {
+    type: String,
+    enum: ['full', 'partial'],
+    default: 'partial'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processed', 'failed'],
+    default: 'pending'
+  },
+  // manual: paid back by staff outside the gateway (direct UPI payments)
+  method: {
+    type: String,
+    enum: ['gateway', 'manual'],
+    default: 'gateway'
+  },
+  reason: String,
+  // Order items covered by this refund (stock restored for these quantities)
+  items: [{
+    itemId: String,
+    productId: mongoose.Schema.Types.ObjectId,
+    name: String,
+    quantity: Number,
+    amount: Number
+  }],
+  stockRestored: { type: Boolean, default: false },
+  initiatedBy: {
+    userId: mongoose.Schema.Types.ObjectId,
+    username: String
+  },
+  initiatedAt: { type: Date, default: Date.now },
+  processedAt: Date,
+  failureReason: String,
+  gatewayResponse: mongoose.Schema.Types.Mixed
+}, { _id: true });
+
 const paymentTransactionSchema = new mongoose.Schema({
   theaterId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -18,7 +61,7 @@ const paymentTransactionSchema = new mongoose.Schema({
   gateway: {
     provider: {
       type: String,
-      enum: ['razorpay', 'phonepe', 'paytm', 'stripe', 'cash', 'manual'],
+      enum: ['razorpay', 'cashfree', 'phonepe', 'paytm', 'upi', 'stripe', 'cash', 'manual'],
       required: true
     },
     channel: {
@@ -42,7 +85,7 @@ const paymentTransactionSchema = new mongoose.Schema({
   // Payment Status
   status: {
     type: String,
-    enum: ['initiated', 'pending', 'processing', 'success', 'failed', 'cancelled', 'refunded'],
+    enum: ['initiated', 'pending', 'processing', 'success', 'failed', 'cancelled', 'refunded', 'partially_refunded'],
     default: 'initiated',
     index: true
   },
@@ -75,7 +118,27 @@ const paymentTransactionSchema = new mongoose.Schema({
     description: String
   },
   
+  // Direct UPI: UTR the customer submitted and the cashier's review of it
+  upi: {
+    utr: String,
+    submittedAt: Date,
+    reviewStatus: {
+      type: String,
+      enum: ['awaiting_utr', 'pending_review', 'approved', 'rejected']
+    },
+    reviewedBy: {
+      userId: mongoose.Schema.Types.ObjectId,
+      username: String
+    },
+    reviewedAt: Date,
+    rejectionReason: String
+  },
+  
   // Refund Details
+  // Every refund issued against the payment; `refundedAmount` excludes failed ones
+  refunds: [refundEntrySchema],
+  refundedAmount: { type: Number, default: 0 },
+  // Latest refund (kept for older reports)
   refund: {
     amount: Number,
     status: String,
@@ -87,6 +150,9 @@ const paymentTransactionSchema = new mongoose.Schema({
   
   // Metadata
   metadata: {
+    orderNumber: String,
+    customerName: String,
+    paymentMethod: String,
     orderType: String,
     gatewayUsed: String,
     channel: String,
@@ -106,6 +172,10 @@ paymentTransactionSchema.index({ 'gateway.channel': 1 });
 paymentTransactionSchema.index({ status: 1, createdAt: -1 });
 paymentTransactionSchema.index({ theaterId: 1, status: 1 });
 paymentTransactionSchema.index({ theaterId: 1, 'gateway.channel': 1 });
+paymentTransactionSchema.index({ 'refunds.refundId': 1 });
+paymentTransactionSchema.index({ 'refunds.gatewayRefundId': 1 });
+paymentTransactionSchema.index({ theaterId: 1, 'upi.reviewStatus': 1 });
+paymentTransactionSchema.index({ 'upi.utr': 1 });
 
 // Virtual for transaction age
 paymentTransactionSchema.virtual('ageInMinutes').get(function() {
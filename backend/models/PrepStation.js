@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// Preparation station subdocument schema (each counter/kitchen within the list)
+const prepStationObjectSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  // Products whose category is listed here are prepared at this station
+  categoryIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  // Fallback mapping when the product's category is not assigned to any station
+  kioskTypeIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'KioskType'
+  }],
+  // Printer (cloud print / POS agent) that receives this station's tickets
+  printerName: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  // Receives items that match no other station
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: true });
+
+// Main PrepStation collection schema (one document per theater)
+const prepStationSchema = new mongoose.Schema({
+  theater: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Theater',
+    required: true,
+    unique: true,  // One document per theater
+    index: true
+  },
+  stationList: [prepStationObjectSchema],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+prepStationSchema.index({ 'stationList.isActive': 1 });
+
+prepStationSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+module.exports = mongoose.model('PrepStation', prepStationSchema, 'prepstations');
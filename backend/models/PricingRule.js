@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+// Pricing rule subdocument schema (one happy-hour / peak pricing window of the theater)
+const pricingRuleObjectSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // percentage: % of the base price, amount: rupees off / on, fixed: price becomes the value
+  adjustmentType: {
+    type: String,
+    enum: ['percentage', 'amount', 'fixed'],
+    required: true
+  },
+  // Cheaper (happy hour) or dearer (weekend bump) - ignored for fixed prices
+  direction: {
+    type: String,
+    enum: ['decrease', 'increase'],
+    default: 'decrease'
+  },
+  value: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // 0 = Sunday ... 6 = Saturday - empty list means every day
+  daysOfWeek: [{
+    type: Number,
+    min: 0,
+    max: 6
+  }],
+  // 'HH:mm' theater local time - both empty means all day.
+  // A window ending before it starts runs past midnight (e.g. 22:00 - 02:00)
+  startTime: {
+    type: String,
+    default: ''
+  },
+  endTime: {
+    type: String,
+    default: ''
+  },
+  validFrom: {
+    type: Date,
+    default: null
+  },
+  validUntil: {
+    type: Date,
+    default: null
+  },
+  // Empty lists = rule applies to every product
+  applicableCategories: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  applicableProducts: [{
+    type: mongoose.Schema.Types.ObjectId
+  }],
+  // When several rules match a product the highest priority wins
+  priority: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: true });
+
+// Main PricingRule collection schema (one document per theater)
+const pricingRuleSchema = new mongoose.Schema({
+  theater: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Theater',
+    required: true,
+    unique: true,  // One document per theater
+    index: true
+  },
+  ruleList: [pricingRuleObjectSchema],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+pricingRuleSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+module.exports = mongoose.model('PricingRule', pricingRuleSchema, 'pricingrules');
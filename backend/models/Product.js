@@ -108,15 +108,27 @@ const productSchema = new mongoose.Schema({
       sugar: Number
     }
   },
+  // Modifier groups picked when ordering (Size, Add-ons) - see utils/productModifiers.js
   variants: [{
-    name: String, // Size, Color, etc.
+    name: String, // Size, Add-ons, etc.
+    required: { type: Boolean, default: false },
+    minSelections: { type: Number, default: 0, min: 0 },
+    maxSelections: { type: Number, min: 0 }, // Defaults to the number of options
     options: [{
-      label: String, // Small, Medium, Large
-      price: Number,
+      label: String, // Small, Medium, Large / Extra cheese
+      price: Number, // Added to the product price
       sku: String,
-      stock: Number
+      stock: { type: Number, default: null } // null = not counted
     }]
   }],
+  // Recipe / bill of materials - ingredient products one item is made from
+  // Selling a recipe product moves its ingredients' cafe stock instead of its own
+  recipe: [{
+    ingredientId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+    ingredientName: String,
+    quantity: { type: Number, min: 0 }, // Per item, in `unit`
+    unit: { type: String, default: 'Nos' } // Converted to the ingredient's stock unit
+  }],
   tags: [String],
   status: {
     type: String,
@@ -0,0 +1,162 @@
+const mongoose = require('mongoose');
+
+// One product ordered on a PO - receivedQuantity grows with every goods-received note
+const purchaseOrderItemSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  productName: {
+    type: String,
+    default: ''
+  },
+  unit: {
+    type: String,
+    default: 'Nos'
+  },
+  orderedQuantity: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Expected cost per unit (excluding tax) - the GRN records what was actually charged
+  unitCost: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  receivedQuantity: {
+    type: Number,
+    min: 0,
+    default: 0
+  }
+}, { _id: true });
+
+// One received product on a GRN - becomes an ADDED stock entry with its batch and expiry
+const receiptItemSchema = new mongoose.Schema({
+  itemId: mongoose.Schema.Types.ObjectId,
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  },
+  productName: String,
+  unit: String,
+  quantity: {
+    type: Number,
+    min: 0
+  },
+  unitCost: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  batchNumber: String,
+  expireDate: Date,
+  // Stock entry created for this line (MonthlyStock or CafeMonthlyStock, per the PO destination)
+  stockEntryId: mongoose.Schema.Types.ObjectId
+}, { _id: true });
+
+// Goods-received note - one delivery against the PO (a PO can be received in parts)
+const receiptSchema = new mongoose.Schema({
+  grnNumber: {
+    type: String,
+    required: true
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  invoiceNumber: {
+    type: String,
+    default: ''
+  },
+  notes: {
+    type: String,
+    default: ''
+  },
+  items: [receiptItemSchema],
+  totalCost: {
+    type: Number,
+    default: 0
+  },
+  receivedBy: {
+    userId: mongoose.Schema.Types.ObjectId,
+    username: String
+  }
+}, { _id: true });
+
+/**
+ * Purchase order raised to a supplier
+ * Stock only moves when goods are received (receipts) - ordering alone changes nothing
+ */
+const purchaseOrderSchema = new mongoose.Schema({
+  theater: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Theater',
+    required: true
+  },
+  poNumber: {
+    type: String,
+    required: true
+  },
+  supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: true
+  },
+  supplierName: {
+    type: String,
+    default: ''
+  },
+  // draft: being prepared, ordered: sent to the supplier, partially_received / received: goods in,
+  // closed: short delivery accepted (no more receipts), cancelled: nothing received and not expected
+  status: {
+    type: String,
+    enum: ['draft', 'ordered', 'partially_received', 'received', 'closed', 'cancelled'],
+    default: 'draft'
+  },
+  // Where received goods are booked: product (theater) stock or straight into cafe stock
+  destination: {
+    type: String,
+    enum: ['product', 'cafe'],
+    default: 'product'
+  },
+  orderDate: {
+    type: Date,
+    default: Date.now
+  },
+  expectedDate: {
+    type: Date,
+    default: null
+  },
+  items: [purchaseOrderItemSchema],
+  receipts: [receiptSchema],
+  // Expected value of the PO (ordered quantity x unit cost)
+  totalAmount: {
+    type: Number,
+    default: 0
+  },
+  // Actual value of everything received so far
+  receivedAmount: {
+    type: Number,
+    default: 0
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  createdBy: {
+    userId: mongoose.Schema.Types.ObjectId,
+    username: String
+  }
+}, {
+  timestamps: true
+});
+
+purchaseOrderSchema.index({ theater: 1, poNumber: 1 }, { unique: true });
+purchaseOrderSchema.index({ theater: 1, status: 1, createdAt: -1 });
+purchaseOrderSchema.index({ theater: 1, 'receipts.receivedAt': 1 });
+
+module.exports = mongoose.model('PurchaseOrder', purchaseOrderSchema, 'purchaseorders');
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+// Show subdocument schema (one screening on one screen)
+const showObjectSchema = new mongoose.Schema({
+  // Screen QR name the show runs on (matches order.qrName, e.g. "Screen 1")
+  qrName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  movieName: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  startsAt: {
+    type: Date,
+    required: true
+  },
+  // Optional - shows without an interval cannot take "deliver at interval" orders
+  intervalAt: {
+    type: Date,
+    default: null
+  },
+  endsAt: {
+    type: Date,
+    required: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: true });
+
+// Main ShowSchedule collection schema (one document per theater)
+const showScheduleSchema = new mongoose.Schema({
+  theater: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Theater',
+    required: true,
+    unique: true,  // One document per theater
+    index: true
+  },
+  // Ordering window rules applied to every show of the theater
+  settings: {
+    // Ordering opens this many minutes before the show starts
+    openBeforeStartMinutes: { type: Number, default: 30, min: 0 },
+    // Last order is accepted this many minutes before the show ends
+    lastOrderBeforeEndMinutes: { type: Number, default: 15, min: 0 },
+    // "Deliver at interval" is offered until this many minutes before the interval
+    intervalCutoffMinutes: { type: Number, default: 10, min: 0 },
+    // Held orders are released to the kitchen this many minutes before interval / show start
+    releaseLeadMinutes: { type: Number, default: 15, min: 0 },
+    // Outside a window: 'block' rejects orders, 'preorder' schedules them for the next show
+    outsideWindow: {
+      type: String,
+      enum: ['block', 'preorder'],
+      default: 'block'
+    }
+  },
+  showList: [showObjectSchema],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+showScheduleSchema.index({ 'showList.qrName': 1, 'showList.startsAt': 1 });
+
+showScheduleSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+module.exports = mongoose.model('ShowSchedule', showScheduleSchema, 'showschedules');
@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+
+const staffSchema = {
+  userId: mongoose.Schema.Types.ObjectId,
+  username: String
+};
+
+// One product of a transfer - sent as the sender's product, received as the receiver's own product
+const transferItemSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  productName: {
+    type: String,
+    default: ''
+  },
+  unit: {
+    type: String,
+    default: 'Nos'
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Set when received - the receiving theater's product the stock is booked to
+  receivedProductId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  receivedProductName: {
+    type: String,
+    default: ''
+  },
+  receivedQuantity: {
+    type: Number,
+    default: null
+  },
+  // receivedQuantity - quantity (negative when short)
+  discrepancy: {
+    type: Number,
+    default: 0
+  },
+  discrepancyReason: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Stock entries posted for this item (outward at the sender, inward at the receiver)
+  outwardEntryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  inwardEntryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  }
+});
+
+/**
+ * Stock moved between two theaters of the same owner
+ * Sending takes the stock off the sender straight away (in_transit); receiving books what actually
+ * arrived at the receiver and records any discrepancy; cancelling a transfer in transit returns the stock
+ */
+const stockTransferSchema = new mongoose.Schema({
+  transferNumber: {
+    type: String,
+    required: true
+  },
+  fromTheater: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Theater',
+    required: true
+  },
+  fromTheaterName: {
+    type: String,
+    default: ''
+  },
+  toTheater: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Theater',
+    required: true
+  },
+  toTheaterName: {
+    type: String,
+    default: ''
+  },
+  // Which stock moves on both sides: product (theater) stock or cafe stock
+  stockType: {
+    type: String,
+    enum: ['product', 'cafe'],
+    default: 'product'
+  },
+  status: {
+    type: String,
+    enum: ['in_transit', 'received', 'cancelled'],
+    default: 'in_transit'
+  },
+  items: [transferItemSchema],
+  notes: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  receiveNotes: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  sentAt: {
+    type: Date,
+    default: Date.now
+  },
+  sentBy: staffSchema,
+  receivedAt: {
+    type: Date,
+    default: null
+  },
+  receivedBy: staffSchema,
+  cancelledAt: {
+    type: Date,
+    default: null
+  },
+  cancelledBy: staffSchema
+}, {
+  timestamps: true
+});
+
+stockTransferSchema.index({ fromTheater: 1, transferNumber: 1 }, { unique: true });
+stockTransferSchema.index({ fromTheater: 1, status: 1, sentAt: -1 });
+stockTransferSchema.index({ toTheater: 1, status: 1, sentAt: -1 });
+
+module.exports = mongoose.model('StockTransfer', stockTransferSchema, 'stocktransfers');
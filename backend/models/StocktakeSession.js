@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+const staffSchema = {
+  userId: mongoose.Schema.Types.ObjectId,
+  username: String
+};
+
+// One product of a stocktake - counted quantity against what cafe stock said at the time of the count
+const stocktakeLineSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  productName: {
+    type: String,
+    default: ''
+  },
+  unit: {
+    type: String,
+    default: 'Nos'
+  },
+  // null until the product has been counted
+  countedQuantity: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  // Cafe stock balance when the count was entered - the variance is taken against this
+  systemQuantity: {
+    type: Number,
+    default: null
+  },
+  variance: {
+    type: Number,
+    default: 0
+  },
+  // Average purchase cost per unit (null when the product was never bought on a PO in this unit)
+  unitCost: {
+    type: Number,
+    default: null
+  },
+  varianceValue: {
+    type: Number,
+    default: 0
+  },
+  countedAt: {
+    type: Date,
+    default: null
+  },
+  countedBy: staffSchema,
+  // ADJUSTMENT entry posted to cafe stock on approval
+  adjustmentEntryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  }
+}, { _id: false });
+
+/**
+ * Physical stock count of cafe stock
+ * counting: staff enter counts (saved as they go, can be resumed), submitted: waiting for a theater admin,
+ * approved: variances posted to CafeMonthlyStock as ADJUSTMENT entries, cancelled: nothing posted
+ */
+const stocktakeSessionSchema = new mongoose.Schema({
+  theater: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Theater',
+    required: true
+  },
+  stocktakeNumber: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['counting', 'submitted', 'approved', 'cancelled'],
+    default: 'counting'
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  lines: [stocktakeLineSchema],
+  startedBy: staffSchema,
+  submittedBy: staffSchema,
+  submittedAt: {
+    type: Date,
+    default: null
+  },
+  reviewedBy: staffSchema,
+  reviewedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+stocktakeSessionSchema.index({ theater: 1, stocktakeNumber: 1 }, { unique: true });
+stocktakeSessionSchema.index({ theater: 1, status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('StocktakeSession', stocktakeSessionSchema, 'stocktakesessions');
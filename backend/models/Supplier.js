@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+/**
+ * Supplier / vendor the theater buys stock from
+ * Referenced by purchase orders; name and contact are copied onto each PO when it is raised
+ */
+const supplierSchema = new mongoose.Schema({
+  theater: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Theater',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  contactPerson: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  phone: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: ''
+  },
+  gstNumber: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    default: ''
+  },
+  address: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Usual days from ordering to delivery - used to suggest expected dates on new POs
+  leadTimeDays: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Inactive suppliers stay on old POs but cannot be picked for new ones
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+supplierSchema.index({ theater: 1, name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+
+module.exports = mongoose.model('Supplier', supplierSchema, 'suppliers');
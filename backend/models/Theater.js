@@ -104,6 +104,13 @@ const theaterSchema = new mongoose.Schema({
     contactNumber: String,
     personalAddress: String
   },
+  // Theaters of one owner share this id (set by a super admin) - stock transfers only run between them
+  organizationId: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    default: ''
+  },
   agreementDetails: {
     startDate: Date,
     endDate: Date,
@@ -172,7 +179,7 @@ const theaterSchema = new mongoose.Schema({
       enabled: { type: Boolean, default: false },
       provider: {
         type: String,
-        enum: ['razorpay', 'phonepe', 'paytm', 'cashfree', 'stripe', 'none'],
+        enum: ['razorpay', 'phonepe', 'paytm', 'cashfree', 'upi', 'stripe', 'none'],
         default: 'none'
       },
       
@@ -213,6 +220,13 @@ const theaterSchema = new mongoose.Schema({
         testMode: { type: Boolean, default: true }
       },
       
+      // Direct UPI (no gateway) for Kiosk/POS - payments confirmed by a cashier against the UTR
+      upi: {
+        enabled: { type: Boolean, default: false },
+        vpa: { type: String, default: '', trim: true },
+        payeeName: { type: String, default: '', trim: true }
+      },
+      
       // Accepted payment methods for Kiosk/POS
       acceptedMethods: {
         cash: { type: Boolean, default: true },
@@ -231,7 +245,7 @@ const theaterSchema = new mongoose.Schema({
       enabled: { type: Boolean, default: false },
       provider: {
         type: String,
-        enum: ['razorpay', 'phonepe', 'paytm', 'cashfree', 'stripe', 'none'],
+        enum: ['razorpay', 'phonepe', 'paytm', 'cashfree', 'upi', 'stripe', 'none'],
         default: 'none'
       },
       
@@ -272,6 +286,13 @@ const theaterSchema = new mongoose.Schema({
         testMode: { type: Boolean, default: true }
       },
       
+      // Direct UPI (no gateway) for Online - payments confirmed by a cashier against the UTR
+      upi: {
+        enabled: { type: Boolean, default: false },
+        vpa: { type: String, default: '', trim: true },
+        payeeName: { type: String, default: '', trim: true }
+      },
+      
       // Accepted payment methods for Online
       acceptedMethods: {
         cash: { type: Boolean, default: false },
@@ -309,6 +330,7 @@ theaterSchema.index({ 'geoLocation': '2dsphere' }, { sparse: true });
 theaterSchema.index({ status: 1, isActive: 1 });
 // Compound index for common filtered queries
 theaterSchema.index({ isActive: 1, createdAt: 1 });
+theaterSchema.index({ organizationId: 1 }); // Stock transfer destinations
 
 // Virtual for full address
 theaterSchema.virtual('fullAddress').get(function() {
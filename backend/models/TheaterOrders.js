@@ -22,7 +22,50 @@ const orderItemSchema = new mongoose.Schema({
     required: false,  // Made optional - can be calculated from quantity * unitPrice
     min: 0
   },
-  specialInstructions: String
+  // Price before a happy-hour / peak pricing rule changed unitPrice
+  regularPrice: Number,
+  pricingRule: {
+    ruleId: mongoose.Schema.Types.ObjectId,
+    name: String
+  },
+  // Modifier options picked for the line - their prices are included in unitPrice
+  variants: [{
+    groupId: mongoose.Schema.Types.ObjectId,
+    name: String,
+    optionId: mongoose.Schema.Types.ObjectId,
+    option: String,
+    price: Number
+  }],
+  // Recipe used when the item was sold - cancellations put these ingredients back
+  recipe: [{
+    ingredientId: mongoose.Schema.Types.ObjectId,
+    ingredientName: String,
+    quantity: Number,
+    unit: String
+  }],
+  specialInstructions: String,
+  // Preparation station the item is routed to (see PrepStation)
+  stationId: mongoose.Schema.Types.ObjectId,
+  stationName: String,
+  // Quantity already refunded (and restocked) through partial refunds
+  refundedQuantity: { type: Number, default: 0 }
+}, { _id: true });
+
+// Per-station ticket printed for an order and its readiness
+const stationTicketSchema = new mongoose.Schema({
+  stationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  stationName: String,
+  printerName: String,
+  status: {
+    type: String,
+    enum: ['pending', 'ready'],
+    default: 'pending'
+  },
+  printedAt: Date,
+  readyAt: Date
 }, { _id: true });
 
 // Individual order schema (will be stored in array)
@@ -65,6 +108,13 @@ const orderSchema = new mongoose.Schema({
       required: true,
       min: 0
     },
+    // ✅ Coupon applied at checkout (see services/CouponService.js) - couponDiscount is included in totalDiscount
+    couponCode: String,
+    couponType: { type: String, enum: ['percentage', 'flat'] },
+    couponDiscount: { type: Number, default: 0, min: 0 },
+    // Loyalty points spent on this order (see services/LoyaltyService.js) - loyaltyDiscount is included in totalDiscount
+    loyaltyPointsRedeemed: { type: Number, default: 0, min: 0 },
+    loyaltyDiscount: { type: Number, default: 0, min: 0 },
     currency: { type: String, default: 'INR' }
   },
   payment: {
@@ -81,16 +131,32 @@ const orderSchema = new mongoose.Schema({
       'online', // ✅ Generic online payment
       'razorpay', // ✅ Razorpay gateway
       'phonepe', // ✅ PhonePe gateway
-      'paytm' // ✅ Paytm gateway
+      'paytm', // ✅ Paytm gateway
+      'split', // ✅ Several counter tenders - see payment.tenders
+      'giftcard' // 🎁 Paid in full from a gift card
     ],
     default: 'cash'
   },
+    // ✅ Split payments: one entry per tender collected at the counter
+    // 🎁 Online orders part-paid by gift card store the card tender plus an 'online' tender for the gateway share
+    tenders: [{
+      _id: false,
+      method: { type: String, enum: ['cash', 'card', 'upi', 'giftcard', 'online'], required: true },
+      amount: { type: Number, required: true, min: 0 },
+      received: Number,  // Cash handed over (cash tender only)
+      change: Number,
+      reference: String  // Card slip / UPI reference / gift card code
+    }],
+    changeGiven: { type: Number, default: 0 },
     status: {
       type: String,
-      enum: ['pending', 'paid', 'failed', 'refunded', 'completed'],
+      enum: ['pending', 'paid', 'failed', 'refunded', 'partially_refunded', 'completed'],
       default: 'pending'
     },
     paidAt: Date,
+    // Refunds issued through the payment gateway (see PaymentTransaction.refunds)
+    refundAmount: { type: Number, default: 0 },
+    refundedAt: Date,
     // Payment gateway transaction details
     transactionId: String,  // Our internal transaction document ID
     razorpayPaymentId: String,  // Razorpay payment ID (e.g., pay_XXXXXX)
@@ -140,11 +206,25 @@ const orderSchema = new mongoose.Schema({
   qrName: String,     // ✅ QR code name (e.g., "Screen 1", "YQ S-1")
   seat: String,       // ✅ Seat identifier (e.g., "A1", "B2")
   specialInstructions: String,
+  stationTickets: [stationTicketSchema],
+  // Show-time delivery: 'now', 'interval' or 'show_start' (pre-order outside the window)
+  deliverAt: {
+    type: String,
+    enum: ['now', 'interval', 'show_start'],
+    default: 'now'
+  },
+  deliverBy: Date,     // When the customer expects the order (interval / show start)
+  scheduledFor: Date,  // Order is held off the kitchen until this time
+  releasedAt: Date,    // Set by the scheduled order release job (or at creation for immediate orders)
+  // Seat delivery runner who claimed the order
+  assignedTo: mongoose.Schema.Types.ObjectId,
+  assignedToName: String,
   timestamps: {
     placedAt: { type: Date, default: Date.now },
     confirmedAt: Date,
     preparingAt: Date,
     readyAt: Date,
+    claimedAt: Date,
     servedAt: Date,
     completedAt: Date,
     cancelledAt: Date
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+// Why stock was thrown away - 'expired' is booked as expired stock, everything else as damaged
+const WASTE_REASONS = ['dropped', 'burnt', 'quality_reject', 'spoiled', 'expired', 'other'];
+
+const staffSchema = {
+  userId: mongoose.Schema.Types.ObjectId,
+  username: String
+};
+
+/**
+ * Waste / spoilage record for cafe stock
+ * Staff log what was thrown away and why; it only comes off stock (as a DAMAGED / EXPIRED
+ * movement on the day's CafeMonthlyStock entry) once a theater admin approves it
+ */
+const wasteLogSchema = new mongoose.Schema({
+  theater: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Theater',
+    required: true
+  },
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  productName: {
+    type: String,
+    default: ''
+  },
+  // Day the stock was wasted - the stock movement is booked on this day
+  wasteDate: {
+    type: Date,
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  unit: {
+    type: String,
+    default: 'Nos'
+  },
+  reasonCode: {
+    type: String,
+    enum: WASTE_REASONS,
+    required: true
+  },
+  reasonNote: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  photoUrl: {
+    type: String,
+    default: ''
+  },
+  // Average purchase cost per unit when logged (null when the product was never bought on a PO)
+  unitCost: {
+    type: Number,
+    default: null
+  },
+  costAmount: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  recordedBy: staffSchema,
+  reviewedBy: staffSchema,
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  rejectionReason: {
+    type: String,
+    trim: true,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+wasteLogSchema.index({ theater: 1, wasteDate: -1 });
+wasteLogSchema.index({ theater: 1, status: 1, createdAt: -1 });
+
+wasteLogSchema.statics.REASONS = WASTE_REASONS;
+
+module.exports = mongoose.model('WasteLog', wasteLogSchema, 'wastelogs');
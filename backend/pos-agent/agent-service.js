@@ -518,13 +518,18 @@ async function printReceipt(order, printerConfig, label) {
     const total = item.totalPrice || item.total || (qty * rate);
     let name = item.productName || item.name || 'Item';
     
+    // Modifier options picked for the line (Large, Extra cheese) - legacy variants have no groupId
+    const modifiers = (item.variants || []).filter(v => v && v.groupId).map(v => v.option).join(', ');
     // Add size/variant information if available (prioritize originalQuantity)
     const size = item.originalQuantity || item.size || item.productSize || item.sizeLabel || 
-                 item.variant?.option || (item.variants && item.variants.length > 0 ? item.variants[0].option : null);
+                 item.variant?.option || (!modifiers && item.variants && item.variants.length > 0 ? item.variants[0].option : null);
     
     if (size) {
       name = `${name} (${size})`;
     }
+    if (modifiers) {
+      name = `${name} + ${modifiers}`;
+    }
     
     return `
     <div class="item-row">
@@ -220,13 +220,18 @@ async function printReceipt(order, printerConfig, label) {
     const qty = item.quantity;
     const price = item.unitPrice || item.price || 0;
     
+    // Modifier options picked for the line (Large, Extra cheese) - legacy variants have no groupId
+    const modifiers = (item.variants || []).filter(v => v && v.groupId).map(v => v.option).join(', ');
     // Add size/variant information if available (prioritize originalQuantity)
     const size = item.originalQuantity || item.size || item.productSize || item.sizeLabel || 
-                 item.variant?.option || (item.variants && item.variants.length > 0 ? item.variants[0].option : null);
+                 item.variant?.option || (!modifiers && item.variants && item.variants.length > 0 ? item.variants[0].option : null);
     
     if (size) {
       name = `${name} (${size})`;
     }
+    if (modifiers) {
+      name = `${name} + ${modifiers}`;
+    }
     
     lines.push(`${name} x${qty}  ₹${price.toFixed(2)}`);
   });
@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const BaseController = require('../controllers/BaseController');
+const AuditLogController = require('../controllers/AuditLogController');
+const {
+  authenticateToken,
+  requireRole,
+  requireTheaterAccess,
+  requireTheaterAdminRole
+} = require('../middleware/auth');
+const { auditLogValidator, validate } = require('../validators/auditLogValidator');
+
+/**
+ * Audit Log Routes (MVC Pattern)
+ * Read only - entries are written by the controllers that make the changes
+ */
+
+// GET /api/audit-logs
+router.get('/',
+  authenticateToken,
+  requireRole(['super_admin']),
+  auditLogValidator.getAll,
+  validate,
+  BaseController.asyncHandler(AuditLogController.getAll)
+);
+
+// GET /api/audit-logs/:theaterId
+router.get('/:theaterId',
+  authenticateToken,
+  requireTheaterAccess,
+  requireTheaterAdminRole,
+  auditLogValidator.getByTheater,
+  validate,
+  BaseController.asyncHandler(AuditLogController.getByTheater)
+);
+
+module.exports = router;
@@ -34,6 +34,26 @@ router.get('/excel/:theaterId/:productId',
   BaseController.asyncHandler(CafeStockController.exportExcel)
 );
 
+// GET /api/cafe-stock/batches/:theaterId
+// Open batches with expiry - also before /:theaterId/:productId
+router.get('/batches/:theaterId',
+  authenticateToken,
+  requireTheaterAccess,
+  stockValidator.batches,
+  validate,
+  BaseController.asyncHandler(CafeStockController.getBatches)
+);
+
+// GET /api/cafe-stock/reorder-suggestions/:theaterId
+// Forecast stock-out dates and reorder quantities - also before /:theaterId/:productId
+router.get('/reorder-suggestions/:theaterId',
+  authenticateToken,
+  requireTheaterAccess,
+  stockValidator.reorderSuggestions,
+  validate,
+  BaseController.asyncHandler(CafeStockController.getReorderSuggestions)
+);
+
 // GET /api/cafe-stock/:theaterId/:productId
 router.get('/:theaterId/:productId',
   authenticateToken,
@@ -0,0 +1,55 @@
+const express = require('express');
+const router = express.Router();
+const BaseController = require('../controllers/BaseController');
+const CouponController = require('../controllers/CouponController');
+const { authenticateToken, requireTheaterAccess } = require('../middleware/auth');
+const { couponValidator, validate } = require('../validators/couponValidator');
+
+/**
+ * Coupon Routes (MVC Pattern)
+ */
+
+// POST /api/coupons/:theaterId/validate (public - customer checkout and POS cart)
+router.post('/:theaterId/validate',
+  couponValidator.validateCode,
+  validate,
+  BaseController.asyncHandler(CouponController.validateCode)
+);
+
+// GET /api/coupons/:theaterId
+router.get('/:theaterId',
+  authenticateToken,
+  requireTheaterAccess,
+  couponValidator.getCoupons,
+  validate,
+  BaseController.asyncHandler(CouponController.getCoupons)
+);
+
+// POST /api/coupons/:theaterId
+router.post('/:theaterId',
+  authenticateToken,
+  requireTheaterAccess,
+  couponValidator.createCoupon,
+  validate,
+  BaseController.asyncHandler(CouponController.createCoupon)
+);
+
+// PUT /api/coupons/:theaterId/:couponId
+router.put('/:theaterId/:couponId',
+  authenticateToken,
+  requireTheaterAccess,
+  couponValidator.updateCoupon,
+  validate,
+  BaseController.asyncHandler(CouponController.updateCoupon)
+);
+
+// DELETE /api/coupons/:theaterId/:couponId
+router.delete('/:theaterId/:couponId',
+  authenticateToken,
+  requireTheaterAccess,
+  couponValidator.deleteCoupon,
+  validate,
+  BaseController.asyncHandler(CouponController.deleteCoupon)
+);
+
+module.exports = router;
@@ -0,0 +1,73 @@
+const express = require('express');
+const router = express.Router();
+const BaseController = require('../controllers/BaseController');
+const GiftCardController = require('../controllers/GiftCardController');
+const { authenticateToken, requireTheaterAccess } = require('../middleware/auth');
+const { giftCardValidator, validate } = require('../validators/giftCardValidator');
+
+/**
+ * Gift Card Routes (MVC Pattern)
+ */
+
+// POST /api/gift-cards/:theaterId/balance (public - customer checkout and POS tender panel)
+router.post('/:theaterId/balance',
+  giftCardValidator.checkBalance,
+  validate,
+  BaseController.asyncHandler(GiftCardController.checkBalance)
+);
+
+// GET /api/gift-cards/:theaterId/ledger
+router.get('/:theaterId/ledger',
+  authenticateToken,
+  requireTheaterAccess,
+  giftCardValidator.getLedger,
+  validate,
+  BaseController.asyncHandler(GiftCardController.getLedger)
+);
+
+// GET /api/gift-cards/:theaterId
+router.get('/:theaterId',
+  authenticateToken,
+  requireTheaterAccess,
+  giftCardValidator.getCards,
+  validate,
+  BaseController.asyncHandler(GiftCardController.getCards)
+);
+
+// POST /api/gift-cards/:theaterId
+router.post('/:theaterId',
+  authenticateToken,
+  requireTheaterAccess,
+  giftCardValidator.issueCard,
+  validate,
+  BaseController.asyncHandler(GiftCardController.issueCard)
+);
+
+// GET /api/gift-cards/:theaterId/:cardId
+router.get('/:theaterId/:cardId',
+  authenticateToken,
+  requireTheaterAccess,
+  giftCardValidator.getCard,
+  validate,
+  BaseController.asyncHandler(GiftCardController.getCard)
+);
+
+// POST /api/gift-cards/:theaterId/:cardId/top-up
+router.post('/:theaterId/:cardId/top-up',
+  authenticateToken,
+  requireTheaterAccess,
+  giftCardValidator.topUpCard,
+  validate,
+  BaseController.asyncHandler(GiftCardController.topUpCard)
+);
+
+// PUT /api/gift-cards/:theaterId/:cardId/status
+router.put('/:theaterId/:cardId/status',
+  authenticateToken,
+  requireTheaterAccess,
+  giftCardValidator.setCardStatus,
+  validate,
+  BaseController.asyncHandler(GiftCardController.setCardStatus)
+);
+
+module.exports = router;
@@ -0,0 +1,38 @@
+const express = require('express');
+const router = express.Router();
+const BaseController = require('../controllers/BaseController');
+const LoyaltyController = require('../controllers/LoyaltyController');
+const { authenticateToken, authenticateCustomer, requireTheaterAccess } = require('../middleware/auth');
+const { loyaltyValidator, validate } = require('../validators/loyaltyValidator');
+
+/**
+ * Loyalty Routes (MVC Pattern)
+ */
+
+// GET /api/loyalty/:theaterId/wallet (customer - X-Customer-Token from OTP verification)
+router.get('/:theaterId/wallet',
+  authenticateCustomer,
+  loyaltyValidator.getWallet,
+  validate,
+  BaseController.asyncHandler(LoyaltyController.getWallet)
+);
+
+// GET /api/loyalty/:theaterId/program
+router.get('/:theaterId/program',
+  authenticateToken,
+  requireTheaterAccess,
+  loyaltyValidator.getProgram,
+  validate,
+  BaseController.asyncHandler(LoyaltyController.getProgram)
+);
+
+// PUT /api/loyalty/:theaterId/program
+router.put('/:theaterId/program',
+  authenticateToken,
+  requireTheaterAccess,
+  loyaltyValidator.updateProgram,
+  validate,
+  BaseController.asyncHandler(LoyaltyController.updateProgram)
+);
+
+module.exports = router;
@@ -64,6 +64,45 @@ router.put('/theater/:theaterId/:orderId/status',
   BaseController.asyncHandler(OrderController.updateStatus)
 );
 
+// GET /api/orders/kds/:theaterId
+// Kitchen display tickets grouped by stage
+router.get('/kds/:theaterId',
+  authenticateToken,
+  requireTheaterAccess,
+  orderValidator.getKitchenTickets,
+  validate,
+  BaseController.asyncHandler(OrderController.getKitchenTickets)
+);
+
+// PUT /api/orders/kds/:theaterId/:orderId/bump
+// Move a kitchen ticket to its next stage
+router.put('/kds/:theaterId/:orderId/bump',
+  authenticateToken,
+  requireTheaterAccess,
+  orderValidator.bumpKitchenTicket,
+  validate,
+  BaseController.asyncHandler(OrderController.bumpKitchenTicket)
+);
+
+// GET /api/orders/runner/:theaterId
+// Seat delivery queue for runners
+router.get('/runner/:theaterId',
+  authenticateToken,
+  requireTheaterAccess,
+  orderValidator.getRunnerQueue,
+  validate,
+  BaseController.asyncHandler(OrderController.getRunnerQueue)
+);
+
+// PUT /api/orders/runner/:theaterId/:orderId/:action (claim | release | deliver)
+router.put('/runner/:theaterId/:orderId/:action',
+  authenticateToken,
+  requireTheaterAccess,
+  orderValidator.updateRunnerDelivery,
+  validate,
+  BaseController.asyncHandler(OrderController.updateRunnerDelivery)
+);
+
 // PUT /api/orders/customer/cancel/:theaterId/:orderId
 // Customer cancels their own order (no auth required, validates by phone number)
 router.put('/customer/cancel/:theaterId/:orderId',
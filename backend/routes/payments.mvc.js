@@ -2,7 +2,8 @@ const express = require('express');
 const router = express.Router();
 const BaseController = require('../controllers/BaseController');
 const PaymentController = require('../controllers/PaymentController');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requireTheaterAccess } = require('../middleware/auth');
+const { paymentValidator, validate } = require('../validators/paymentValidator');
 const rateLimit = require('express-rate-limit');
 
 /**
@@ -59,6 +60,70 @@ router.post('/sync-all-pending/:theaterId',
   BaseController.asyncHandler(PaymentController.syncAllPendingPayments)
 );
 
+// GET /api/payments/refunds/:theaterId/:orderId
+// Refund ledger of an order
+router.get('/refunds/:theaterId/:orderId',
+  authenticateToken,
+  requireTheaterAccess,
+  paymentValidator.getRefunds,
+  validate,
+  BaseController.asyncHandler(PaymentController.getRefunds)
+);
+
+// GET /api/payments/refunds/:theaterId/:orderId/customer?phone=
+// Refund ledger for the customer's order details page (phone must match the order)
+router.get('/refunds/:theaterId/:orderId/customer',
+  paymentValidator.getCustomerRefunds,
+  validate,
+  BaseController.asyncHandler(PaymentController.getCustomerRefunds)
+);
+
+// POST /api/payments/refunds/:theaterId/:orderId
+// Full or partial refund through the payment gateway (PAYMENT_GATEWAY_MOCK_MODE=true for local testing)
+router.post('/refunds/:theaterId/:orderId',
+  authenticateToken,
+  requireTheaterAccess,
+  paymentValidator.refund,
+  validate,
+  BaseController.asyncHandler(PaymentController.refund)
+);
+
+// POST /api/payments/upi/utr
+// Customer submits the UTR of a direct UPI payment - rate limited like /verify
+router.post('/upi/utr',
+  paymentVerifyLimiter,
+  paymentValidator.submitUpiUtr,
+  validate,
+  BaseController.asyncHandler(PaymentController.submitUpiUtr)
+);
+
+// GET /api/payments/upi/status/:transactionId
+// Polled by the customer / kiosk while the cashier verifies the UTR
+router.get('/upi/status/:transactionId',
+  paymentValidator.getUpiStatus,
+  validate,
+  BaseController.asyncHandler(PaymentController.getUpiStatus)
+);
+
+// GET /api/payments/upi/queue/:theaterId
+// Cashier verification queue
+router.get('/upi/queue/:theaterId',
+  authenticateToken,
+  requireTheaterAccess,
+  paymentValidator.getUpiQueue,
+  validate,
+  BaseController.asyncHandler(PaymentController.getUpiQueue)
+);
+
+// POST /api/payments/upi/:theaterId/:transactionId/:action (approve | reject)
+router.post('/upi/:theaterId/:transactionId/:action',
+  authenticateToken,
+  requireTheaterAccess,
+  paymentValidator.reviewUpi,
+  validate,
+  BaseController.asyncHandler(PaymentController.reviewUpiPayment)
+);
+
 // POST /api/payments/webhook/razorpay
 // Note: This route should use express.raw() middleware in server.js before JSON parser
 router.post('/webhook/razorpay',
@@ -71,5 +136,21 @@ router.post('/webhook/cashfree',
   BaseController.asyncHandler(PaymentController.webhookCashfree)
 );
 
+// POST /api/payments/webhook/phonepe
+router.post('/webhook/phonepe',
+  BaseController.asyncHandler(PaymentController.webhookPhonePe)
+);
+
+// POST /api/payments/webhook/paytm
+router.post('/webhook/paytm',
+  BaseController.asyncHandler(PaymentController.webhookPaytm)
+);
+
+// POST /api/payments/callback/paytm
+// Browser form post from Paytm's payment page, redirects to the frontend callback page
+router.post('/callback/paytm',
+  BaseController.asyncHandler(PaymentController.callbackPaytm)
+);
+
 module.exports = router;
 
@@ -26,7 +26,10 @@ router.get('/:theaterId', (req, res) => {
   const jwt = require('jsonwebtoken');
   const { getJWTSecret } = require('../utils/jwtHelper');
   try {
-    jwt.verify(token, getJWTSecret());
+    const decoded = jwt.verify(token, getJWTSecret());
+    if (decoded.type === 'customer') {
+      throw new Error('Customer tokens cannot open the POS stream');
+    }
   } catch (err) {
     return res.status(401).json({ success: false, error: 'Invalid token' });
   }
@@ -0,0 +1,48 @@
+const express = require('express');
+const router = express.Router();
+const BaseController = require('../controllers/BaseController');
+const PricingRuleController = require('../controllers/PricingRuleController');
+const { authenticateToken, requireTheaterAccess } = require('../middleware/auth');
+const { pricingRuleValidator, validate } = require('../validators/pricingRuleValidator');
+
+/**
+ * Pricing Rule Routes (MVC Pattern)
+ */
+
+// GET /api/pricing-rules/:theaterId
+router.get('/:theaterId',
+  authenticateToken,
+  requireTheaterAccess,
+  pricingRuleValidator.getRules,
+  validate,
+  BaseController.asyncHandler(PricingRuleController.getRules)
+);
+
+// POST /api/pricing-rules/:theaterId
+router.post('/:theaterId',
+  authenticateToken,
+  requireTheaterAccess,
+  pricingRuleValidator.createRule,
+  validate,
+  BaseController.asyncHandler(PricingRuleController.createRule)
+);
+
+// PUT /api/pricing-rules/:theaterId/:ruleId
+router.put('/:theaterId/:ruleId',
+  authenticateToken,
+  requireTheaterAccess,
+  pricingRuleValidator.updateRule,
+  validate,
+  BaseController.asyncHandler(PricingRuleController.updateRule)
+);
+
+// DELETE /api/pricing-rules/:theaterId/:ruleId
+router.delete('/:theaterId/:ruleId',
+  authenticateToken,
+  requireTheaterAccess,
+  pricingRuleValidator.deleteRule,
+  validate,
+  BaseController.asyncHandler(PricingRuleController.deleteRule)
+);
+
+module.exports = router;
@@ -0,0 +1,85 @@
+const express = require('express');
+const router = express.Router();
+const BaseController = require('../controllers/BaseController');
+const PurchaseOrderController = require('../controllers/PurchaseOrderController');
+const { authenticateToken, requireTheaterAccess } = require('../middleware/auth');
+const { purchaseOrderValidator, validate } = require('../validators/purchaseOrderValidator');
+
+/**
+ * Purchase Order Routes (MVC Pattern)
+ */
+
+// GET /api/purchase-orders/:theaterId/margin-report
+// Must be before /:theaterId/:poId to avoid matching conflicts
+router.get('/:theaterId/margin-report',
+  authenticateToken,
+  requireTheaterAccess,
+  purchaseOrderValidator.getMarginReport,
+  validate,
+  BaseController.asyncHandler(PurchaseOrderController.getMarginReport)
+);
+
+// GET /api/purchase-orders/:theaterId
+router.get('/:theaterId',
+  authenticateToken,
+  requireTheaterAccess,
+  purchaseOrderValidator.getPurchaseOrders,
+  validate,
+  BaseController.asyncHandler(PurchaseOrderController.getPurchaseOrders)
+);
+
+// GET /api/purchase-orders/:theaterId/:poId
+router.get('/:theaterId/:poId',
+  authenticateToken,
+  requireTheaterAccess,
+  purchaseOrderValidator.getPurchaseOrder,
+  validate,
+  BaseController.asyncHandler(PurchaseOrderController.getPurchaseOrder)
+);
+
+// POST /api/purchase-orders/:theaterId
+router.post('/:theaterId',
+  authenticateToken,
+  requireTheaterAccess,
+  purchaseOrderValidator.createPurchaseOrder,
+  validate,
+  BaseController.asyncHandler(PurchaseOrderController.createPurchaseOrder)
+);
+
+// PUT /api/purchase-orders/:theaterId/:poId
+router.put('/:theaterId/:poId',
+  authenticateToken,
+  requireTheaterAccess,
+  purchaseOrderValidator.updatePurchaseOrder,
+  validate,
+  BaseController.asyncHandler(PurchaseOrderController.updatePurchaseOrder)
+);
+
+// PATCH /api/purchase-orders/:theaterId/:poId/status
+router.patch('/:theaterId/:poId/status',
+  authenticateToken,
+  requireTheaterAccess,
+  purchaseOrderValidator.updateStatus,
+  validate,
+  BaseController.asyncHandler(PurchaseOrderController.updateStatus)
+);
+
+// POST /api/purchase-orders/:theaterId/:poId/receive
+router.post('/:theaterId/:poId/receive',
+  authenticateToken,
+  requireTheaterAccess,
+  purchaseOrderValidator.receiveGoods,
+  validate,
+  BaseController.asyncHandler(PurchaseOrderController.receiveGoods)
+);
+
+// DELETE /api/purchase-orders/:theaterId/:poId
+router.delete('/:theaterId/:poId',
+  authenticateToken,
+  requireTheaterAccess,
+  purchaseOrderValidator.deletePurchaseOrder,
+  validate,
+  BaseController.asyncHandler(PurchaseOrderController.deletePurchaseOrder)
+);
+
+module.exports = router;
@@ -0,0 +1,48 @@
+const express = require('express');
+const router = express.Router();
+const BaseController = require('../controllers/BaseController');
+const ReconciliationController = require('../controllers/ReconciliationController');
+const { authenticateToken, requireRole, requireTheaterAccess } = require('../middleware/auth');
+const { reconciliationValidator, validate } = require('../validators/reconciliationValidator');
+
+/**
+ * Payment Reconciliation Routes (MVC Pattern)
+ */
+
+// GET /api/reconciliation/overview?date=
+router.get('/overview',
+  authenticateToken,
+  requireRole(['super_admin']),
+  reconciliationValidator.getOverview,
+  validate,
+  BaseController.asyncHandler(ReconciliationController.getOverview)
+);
+
+// GET /api/reconciliation/:theaterId?date= | ?startDate=&endDate=
+router.get('/:theaterId',
+  authenticateToken,
+  requireTheaterAccess,
+  reconciliationValidator.getReports,
+  validate,
+  BaseController.asyncHandler(ReconciliationController.getReports)
+);
+
+// POST /api/reconciliation/:theaterId/run
+router.post('/:theaterId/run',
+  authenticateToken,
+  requireTheaterAccess,
+  reconciliationValidator.run,
+  validate,
+  BaseController.asyncHandler(ReconciliationController.run)
+);
+
+// PUT /api/reconciliation/:theaterId/:date/issues/:issueId/resolve
+router.put('/:theaterId/:date/issues/:issueId/resolve',
+  authenticateToken,
+  requireTheaterAccess,
+  reconciliationValidator.resolveIssue,
+  validate,
+  BaseController.asyncHandler(ReconciliationController.resolveIssue)
+);
+
+module.exports = router;
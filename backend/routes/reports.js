@@ -8,6 +8,21 @@ const {
   requireTheaterAdminRole,
   getUserDataScope
 } = require('../middleware/auth');
+const { getTenderBreakdown, formatTenders } = require('../utils/paymentTenders');
+
+/**
+ * ✅ Revenue split by tender (cash / upi / card / gift card) - split payments count towards each tender
+ */
+function buildTenderBreakdown(orders) {
+  return orders.reduce((acc, order) => {
+    const breakdown = getTenderBreakdown(order);
+    acc.cash += breakdown.cash;
+    acc.upi += breakdown.upi;
+    acc.card += breakdown.card;
+    acc.giftcard += breakdown.giftcard;
+    return acc;
+  }, { cash: 0, upi: 0, card: 0, giftcard: 0 });
+}
 
 /**
  * ✅ GET /api/reports/full-report/:theaterId
@@ -86,7 +101,8 @@ router.get('/full-report/:theaterId',
           totalRevenue,
           avgOrderValue,
           statusBreakdown,
-          categoryBreakdown
+          categoryBreakdown,
+          tenderBreakdown: buildTenderBreakdown(orders)
         },
         orders: orders
       };
@@ -254,7 +270,8 @@ router.get('/my-sales/:theaterId',
           avgOrderValue,
           completedOrders: orders.filter(o => o.status === 'completed').length,
           pendingOrders: orders.filter(o => o.status === 'pending').length,
-          categoryBreakdown
+          categoryBreakdown,
+          tenderBreakdown: buildTenderBreakdown(orders)
         },
         orders: orders
       };
@@ -352,6 +369,7 @@ router.get('/my-stats/:theaterId',
       const stats = {
         myOrders: orders.length,
         myRevenue: orders.reduce((sum, order) => sum + (order.pricing?.total || 0), 0),
+        myRevenueByTender: buildTenderBreakdown(orders),
         myCategories: Array.from(categories)
       };
 
@@ -393,15 +411,18 @@ function generateCSV(orders, reportName, generatedBy) {
     order.items?.map(i => i.categoryName || i.category).filter(Boolean).join('; ') || 'N/A',
     `₹${order.pricing?.total || 0}`,
     order.status || 'unknown',
-    order.paymentMethod || 'N/A'
+    formatTenders(order)
   ]);
 
+  const tenderBreakdown = buildTenderBreakdown(orders);
+
   const csvContent = [
     [`Report: ${reportName}`],
     [`Generated by: ${generatedBy}`],
     [`Generated at: ${new Date().toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })}`],
     [`Total Orders: ${orders.length}`],
     [`Total Revenue: ₹${orders.reduce((sum, o) => sum + (o.pricing?.total || 0), 0)}`],
+    [`Cash: ₹${tenderBreakdown.cash.toFixed(2)}`, `UPI: ₹${tenderBreakdown.upi.toFixed(2)}`, `Card: ₹${tenderBreakdown.card.toFixed(2)}`, `Gift Card: ₹${tenderBreakdown.giftcard.toFixed(2)}`],
     [],
     headers,
     ...rows
@@ -487,7 +508,7 @@ router.get('/excel/:theaterId',
       };
 
       // Add title
-      worksheet.mergeCells('A1:H1');
+      worksheet.mergeCells('A1:L1');
       worksheet.getCell('A1').value = 'Sales Report';
       worksheet.getCell('A1').style = titleStyle;
 
@@ -497,7 +518,7 @@ router.get('/excel/:theaterId',
       worksheet.getCell('A4').value = `Generated At: ${new Date().toLocaleString('en-IN')}`;
 
       // Add headers (row 6)
-      const headers = ['Order No', 'Date', 'Time', 'Customer', 'Items', 'Quantity', 'Amount', 'Status'];
+      const headers = ['Order No', 'Date', 'Time', 'Customer', 'Items', 'Quantity', 'Cash', 'UPI', 'Card', 'Gift Card', 'Amount', 'Status'];
       worksheet.getRow(6).values = headers;
       worksheet.getRow(6).eachCell((cell) => {
         cell.style = headerStyle;
@@ -511,6 +532,10 @@ router.get('/excel/:theaterId',
         { key: 'customer', width: 20 },
         { key: 'items', width: 35 },
         { key: 'quantity', width: 10 },
+        { key: 'cash', width: 13 },
+        { key: 'upi', width: 13 },
+        { key: 'card', width: 13 },
+        { key: 'giftcard', width: 13 },
         { key: 'amount', width: 15 },
         { key: 'status', width: 12 }
       ];
@@ -518,6 +543,7 @@ router.get('/excel/:theaterId',
       // Add data rows
       let rowIndex = 7;
       let totalRevenue = 0;
+      const tenderTotals = { cash: 0, upi: 0, card: 0, giftcard: 0 };
 
       orders.forEach((order, index) => {
         // Debug: Log first order to see structure
@@ -552,6 +578,13 @@ router.get('/excel/:theaterId',
                       order.total || 
                       order.amount || 0;
         totalRevenue += amount;
+
+        // ✅ Split payments: amount allocated to Cash / UPI / Card / Gift Card by tender
+        const tenderBreakdown = getTenderBreakdown(order);
+        tenderTotals.cash += tenderBreakdown.cash;
+        tenderTotals.upi += tenderBreakdown.upi;
+        tenderTotals.card += tenderBreakdown.card;
+        tenderTotals.giftcard += tenderBreakdown.giftcard;
         
         // Handle customer info - check multiple possible field names
         const customerName = order.customerInfo?.name || 
@@ -569,6 +602,10 @@ router.get('/excel/:theaterId',
           customerName,
           items,
           totalQty,
+          tenderBreakdown.cash,
+          tenderBreakdown.upi,
+          tenderBreakdown.card,
+          tenderBreakdown.giftcard,
           amount,
           order.status || 'pending'
         ];
@@ -583,7 +620,7 @@ router.get('/excel/:theaterId',
           };
           
           // Format currency
-          if (colNumber === 7) {
+          if (colNumber >= 7 && colNumber <= 11) {
             cell.numFmt = '₹#,##0.00';
           }
         });
@@ -593,11 +630,13 @@ router.get('/excel/:theaterId',
 
       // Add summary row
       const summaryRow = worksheet.getRow(rowIndex + 1);
-      summaryRow.values = ['', '', '', '', '', 'TOTAL:', totalRevenue, ''];
+      summaryRow.values = ['', '', '', '', '', 'TOTAL:', tenderTotals.cash, tenderTotals.upi, tenderTotals.card, tenderTotals.giftcard, totalRevenue, ''];
       summaryRow.getCell(6).font = { bold: true };
-      summaryRow.getCell(7).font = { bold: true };
-      summaryRow.getCell(7).numFmt = '₹#,##0.00';
-      summaryRow.getCell(7).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFFEB9C' } };
+      for (let col = 7; col <= 11; col++) {
+        summaryRow.getCell(col).font = { bold: true };
+        summaryRow.getCell(col).numFmt = '₹#,##0.00';
+        summaryRow.getCell(col).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFFEB9C' } };
+      }
 
       // Log access
       await mongoose.connection.db.collection('report_access_logs').insertOne({
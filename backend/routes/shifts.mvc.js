@@ -0,0 +1,66 @@
+const express = require('express');
+const router = express.Router();
+const BaseController = require('../controllers/BaseController');
+const CashierShiftController = require('../controllers/CashierShiftController');
+const { authenticateToken, requireTheaterAccess } = require('../middleware/auth');
+const { cashierShiftValidator, validate } = require('../validators/cashierShiftValidator');
+
+/**
+ * Cashier Shift Routes (MVC Pattern)
+ */
+
+// GET /api/shifts/:theaterId/current
+router.get('/:theaterId/current',
+  authenticateToken,
+  requireTheaterAccess,
+  cashierShiftValidator.getCurrent,
+  validate,
+  BaseController.asyncHandler(CashierShiftController.getCurrent)
+);
+
+// GET /api/shifts/:theaterId?date=&status=
+router.get('/:theaterId',
+  authenticateToken,
+  requireTheaterAccess,
+  cashierShiftValidator.getShifts,
+  validate,
+  BaseController.asyncHandler(CashierShiftController.getShifts)
+);
+
+// POST /api/shifts/:theaterId/open
+router.post('/:theaterId/open',
+  authenticateToken,
+  requireTheaterAccess,
+  cashierShiftValidator.open,
+  validate,
+  BaseController.asyncHandler(CashierShiftController.open)
+);
+
+// POST /api/shifts/:theaterId/:shiftId/cash
+router.post('/:theaterId/:shiftId/cash',
+  authenticateToken,
+  requireTheaterAccess,
+  cashierShiftValidator.addCashMovement,
+  validate,
+  BaseController.asyncHandler(CashierShiftController.addCashMovement)
+);
+
+// POST /api/shifts/:theaterId/:shiftId/close
+router.post('/:theaterId/:shiftId/close',
+  authenticateToken,
+  requireTheaterAccess,
+  cashierShiftValidator.close,
+  validate,
+  BaseController.asyncHandler(CashierShiftController.close)
+);
+
+// GET /api/shifts/:theaterId/:shiftId/z-report
+router.get('/:theaterId/:shiftId/z-report',
+  authenticateToken,
+  requireTheaterAccess,
+  cashierShiftValidator.getZReport,
+  validate,
+  BaseController.asyncHandler(CashierShiftController.getZReport)
+);
+
+module.exports = router;
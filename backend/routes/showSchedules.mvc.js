@@ -0,0 +1,62 @@
+const express = require('express');
+const router = express.Router();
+const BaseController = require('../controllers/BaseController');
+const ShowScheduleController = require('../controllers/ShowScheduleController');
+const { authenticateToken, requireTheaterAccess } = require('../middleware/auth');
+const { showScheduleValidator, validate } = require('../validators/showScheduleValidator');
+
+/**
+ * Show Schedule Routes (MVC Pattern)
+ */
+
+// GET /api/show-schedules/:theaterId/window?qrName= (public - customer QR pages)
+router.get('/:theaterId/window',
+  showScheduleValidator.getWindow,
+  validate,
+  BaseController.asyncHandler(ShowScheduleController.getWindow)
+);
+
+// GET /api/show-schedules/:theaterId
+router.get('/:theaterId',
+  authenticateToken,
+  requireTheaterAccess,
+  showScheduleValidator.getSchedule,
+  validate,
+  BaseController.asyncHandler(ShowScheduleController.getSchedule)
+);
+
+// PUT /api/show-schedules/:theaterId/settings
+router.put('/:theaterId/settings',
+  authenticateToken,
+  requireTheaterAccess,
+  showScheduleValidator.updateSettings,
+  validate,
+  BaseController.asyncHandler(ShowScheduleController.updateSettings)
+);
+
+// POST /api/show-schedules/:theaterId/shows
+router.post('/:theaterId/shows',
+  authenticateToken,
+  requireTheaterAccess,
+  showScheduleValidator.createShow,
+  validate,
+  BaseController.asyncHandler(ShowScheduleController.createShow)
+);
+
+// PUT /api/show-schedules/:theaterId/shows/:showId
+router.put('/:theaterId/shows/:showId',
+  authenticateToken,
+  requireTheaterAccess,
+  showScheduleValidator.updateShow,
+  validate,
+  BaseController.asyncHandler(ShowScheduleController.updateShow)
+);
+
+// DELETE /api/show-schedules/:theaterId/shows/:showId
+router.delete('/:theaterId/shows/:showId',
+  authenticateToken,
+  requireTheaterAccess,
+  BaseController.asyncHandler(ShowScheduleController.deleteShow)
+);
+
+module.exports = router;
@@ -0,0 +1,53 @@
+const express = require('express');
+const router = express.Router();
+const BaseController = require('../controllers/BaseController');
+const StationController = require('../controllers/StationController');
+const { authenticateToken, requireTheaterAccess } = require('../middleware/auth');
+const { stationValidator, validate } = require('../validators/stationValidator');
+
+/**
+ * Preparation Station Routes (MVC Pattern)
+ */
+
+// PUT /api/stations/:theaterId/orders/:orderId/tickets/:ticketId/ready
+router.put('/:theaterId/orders/:orderId/tickets/:ticketId/ready',
+  authenticateToken,
+  requireTheaterAccess,
+  stationValidator.ticketReady,
+  validate,
+  BaseController.asyncHandler(StationController.markTicketReady)
+);
+
+// GET /api/stations/:theaterId
+router.get('/:theaterId',
+  authenticateToken,
+  requireTheaterAccess,
+  BaseController.asyncHandler(StationController.getByTheater)
+);
+
+// POST /api/stations/:theaterId
+router.post('/:theaterId',
+  authenticateToken,
+  requireTheaterAccess,
+  stationValidator.create,
+  validate,
+  BaseController.asyncHandler(StationController.create)
+);
+
+// PUT /api/stations/:theaterId/:stationId
+router.put('/:theaterId/:stationId',
+  authenticateToken,
+  requireTheaterAccess,
+  stationValidator.update,
+  validate,
+  BaseController.asyncHandler(StationController.update)
+);
+
+// DELETE /api/stations/:theaterId/:stationId
+router.delete('/:theaterId/:stationId',
+  authenticateToken,
+  requireTheaterAccess,
+  BaseController.asyncHandler(StationController.delete)
+);
+
+module.exports = router;
@@ -17,6 +17,16 @@ router.get('/excel/:theaterId/:productId',
   BaseController.asyncHandler(StockController.exportExcel)
 );
 
+// GET /api/theater-stock/reorder-suggestions/:theaterId
+// Forecast stock-out dates and reorder quantities - also before /:theaterId/:productId
+router.get('/reorder-suggestions/:theaterId',
+  authenticateToken,
+  requireTheaterAccess,
+  stockValidator.reorderSuggestions,
+  validate,
+  BaseController.asyncHandler(StockController.getReorderSuggestions)
+);
+
 // GET /api/theater-stock/:theaterId/:productId
 router.get('/:theaterId/:productId',
   authenticateToken,
@@ -0,0 +1,69 @@
+const express = require('express');
+const router = express.Router();
+const BaseController = require('../controllers/BaseController');
+const StockTransferController = require('../controllers/StockTransferController');
+const { authenticateToken, requireTheaterAccess, requireTheaterAdminRole } = require('../middleware/auth');
+const { stockTransferValidator, validate } = require('../validators/stockTransferValidator');
+
+/**
+ * Stock Transfer Routes (MVC Pattern)
+ * Sending and cancelling is for the sending theater's admin; receiving for the receiving theater's staff
+ */
+
+// GET /api/stock-transfers/:theaterId/theaters
+router.get('/:theaterId/theaters',
+  authenticateToken,
+  requireTheaterAccess,
+  stockTransferValidator.getTransferTheaters,
+  validate,
+  BaseController.asyncHandler(StockTransferController.getTransferTheaters)
+);
+
+// GET /api/stock-transfers/:theaterId
+router.get('/:theaterId',
+  authenticateToken,
+  requireTheaterAccess,
+  stockTransferValidator.getTransfers,
+  validate,
+  BaseController.asyncHandler(StockTransferController.getTransfers)
+);
+
+// GET /api/stock-transfers/:theaterId/:transferId
+router.get('/:theaterId/:transferId',
+  authenticateToken,
+  requireTheaterAccess,
+  stockTransferValidator.getTransfer,
+  validate,
+  BaseController.asyncHandler(StockTransferController.getTransfer)
+);
+
+// POST /api/stock-transfers/:theaterId
+router.post('/:theaterId',
+  authenticateToken,
+  requireTheaterAccess,
+  requireTheaterAdminRole,
+  stockTransferValidator.sendTransfer,
+  validate,
+  BaseController.asyncHandler(StockTransferController.sendTransfer)
+);
+
+// POST /api/stock-transfers/:theaterId/:transferId/receive
+router.post('/:theaterId/:transferId/receive',
+  authenticateToken,
+  requireTheaterAccess,
+  stockTransferValidator.receiveTransfer,
+  validate,
+  BaseController.asyncHandler(StockTransferController.receiveTransfer)
+);
+
+// POST /api/stock-transfers/:theaterId/:transferId/cancel
+router.post('/:theaterId/:transferId/cancel',
+  authenticateToken,
+  requireTheaterAccess,
+  requireTheaterAdminRole,
+  stockTransferValidator.cancelTransfer,
+  validate,
+  BaseController.asyncHandler(StockTransferController.cancelTransfer)
+);
+
+module.exports = router;
@@ -0,0 +1,63 @@
+const express = require('express');
+const router = express.Router();
+const BaseController = require('../controllers/BaseController');
+const StocktakeController = require('../controllers/StocktakeController');
+const { authenticateToken, requireTheaterAccess, requireTheaterAdminRole } = require('../middleware/auth');
+const { stocktakeValidator, validate } = require('../validators/stocktakeValidator');
+
+/**
+ * Stocktake Routes (MVC Pattern)
+ */
+
+// Staff submit their count; approving, reopening and cancelling is for the theater admin
+const requireAdminUnlessSubmit = (req, res, next) => (
+  req.params.action === 'submit' ? next() : requireTheaterAdminRole(req, res, next)
+);
+
+// GET /api/stocktakes/:theaterId
+router.get('/:theaterId',
+  authenticateToken,
+  requireTheaterAccess,
+  stocktakeValidator.getStocktakes,
+  validate,
+  BaseController.asyncHandler(StocktakeController.getStocktakes)
+);
+
+// GET /api/stocktakes/:theaterId/:stocktakeId
+router.get('/:theaterId/:stocktakeId',
+  authenticateToken,
+  requireTheaterAccess,
+  stocktakeValidator.getStocktake,
+  validate,
+  BaseController.asyncHandler(StocktakeController.getStocktake)
+);
+
+// POST /api/stocktakes/:theaterId
+router.post('/:theaterId',
+  authenticateToken,
+  requireTheaterAccess,
+  stocktakeValidator.startStocktake,
+  validate,
+  BaseController.asyncHandler(StocktakeController.startStocktake)
+);
+
+// PUT /api/stocktakes/:theaterId/:stocktakeId/counts
+router.put('/:theaterId/:stocktakeId/counts',
+  authenticateToken,
+  requireTheaterAccess,
+  stocktakeValidator.saveCounts,
+  validate,
+  BaseController.asyncHandler(StocktakeController.saveCounts)
+);
+
+// POST /api/stocktakes/:theaterId/:stocktakeId/:action (submit | reopen | approve | cancel)
+router.post('/:theaterId/:stocktakeId/:action',
+  authenticateToken,
+  requireTheaterAccess,
+  requireAdminUnlessSubmit,
+  stocktakeValidator.changeStatus,
+  validate,
+  BaseController.asyncHandler(StocktakeController.changeStatus)
+);
+
+module.exports = router;
@@ -0,0 +1,48 @@
+const express = require('express');
+const router = express.Router();
+const BaseController = require('../controllers/BaseController');
+const SupplierController = require('../controllers/SupplierController');
+const { authenticateToken, requireTheaterAccess } = require('../middleware/auth');
+const { supplierValidator, validate } = require('../validators/supplierValidator');
+
+/**
+ * Supplier Routes (MVC Pattern)
+ */
+
+// GET /api/suppliers/:theaterId
+router.get('/:theaterId',
+  authenticateToken,
+  requireTheaterAccess,
+  supplierValidator.getSuppliers,
+  validate,
+  BaseController.asyncHandler(SupplierController.getSuppliers)
+);
+
+// POST /api/suppliers/:theaterId
+router.post('/:theaterId',
+  authenticateToken,
+  requireTheaterAccess,
+  supplierValidator.createSupplier,
+  validate,
+  BaseController.asyncHandler(SupplierController.createSupplier)
+);
+
+// PUT /api/suppliers/:theaterId/:supplierId
+router.put('/:theaterId/:supplierId',
+  authenticateToken,
+  requireTheaterAccess,
+  supplierValidator.updateSupplier,
+  validate,
+  BaseController.asyncHandler(SupplierController.updateSupplier)
+);
+
+// DELETE /api/suppliers/:theaterId/:supplierId
+router.delete('/:theaterId/:supplierId',
+  authenticateToken,
+  requireTheaterAccess,
+  supplierValidator.deleteSupplier,
+  validate,
+  BaseController.asyncHandler(SupplierController.deleteSupplier)
+);
+
+module.exports = router;
@@ -0,0 +1,50 @@
+const express = require('express');
+const router = express.Router();
+const BaseController = require('../controllers/BaseController');
+const WasteLogController = require('../controllers/WasteLogController');
+const { authenticateToken, requireTheaterAccess, requireTheaterAdminRole } = require('../middleware/auth');
+const { wasteLogValidator, validate } = require('../validators/wasteLogValidator');
+
+/**
+ * Waste Log Routes (MVC Pattern)
+ */
+
+// GET /api/waste-logs/:theaterId/report
+// Waste vs sales - before /:theaterId/:wasteId/:action
+router.get('/:theaterId/report',
+  authenticateToken,
+  requireTheaterAccess,
+  wasteLogValidator.getWasteReport,
+  validate,
+  BaseController.asyncHandler(WasteLogController.getWasteReport)
+);
+
+// GET /api/waste-logs/:theaterId
+router.get('/:theaterId',
+  authenticateToken,
+  requireTheaterAccess,
+  wasteLogValidator.getWasteLogs,
+  validate,
+  BaseController.asyncHandler(WasteLogController.getWasteLogs)
+);
+
+// POST /api/waste-logs/:theaterId
+router.post('/:theaterId',
+  authenticateToken,
+  requireTheaterAccess,
+  wasteLogValidator.recordWaste,
+  validate,
+  BaseController.asyncHandler(WasteLogController.recordWaste)
+);
+
+// POST /api/waste-logs/:theaterId/:wasteId/:action (approve | reject)
+router.post('/:theaterId/:wasteId/:action',
+  authenticateToken,
+  requireTheaterAccess,
+  requireTheaterAdminRole,
+  wasteLogValidator.reviewWasteLog,
+  validate,
+  BaseController.asyncHandler(WasteLogController.reviewWasteLog)
+);
+
+module.exports = router;
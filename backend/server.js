@@ -87,6 +87,16 @@ const baseUrl =
 // MIDDLEWARE SETUP
 // ==============================================
 
+// req.ip is read from X-Forwarded-For only for the proxies we run (nginx on the same host by default) -
+// anything else in the header is client supplied. TRUST_PROXY takes Express' values: a hop count,
+// 'loopback', a comma separated list of addresses / subnets, true or false
+const trustProxySetting = (value) => {
+  if (/^\d+$/.test(value)) return Number(value);
+  if (value === 'true' || value === 'false') return value === 'true';
+  return value;
+};
+app.set('trust proxy', trustProxySetting((process.env.TRUST_PROXY || 'loopback').trim()));
+
 // Security middleware
 app.use(helmet({
   contentSecurityPolicy: false,
@@ -148,13 +158,19 @@ const allowedOrigins = process.env.CORS_ORIGINS
     'https://yqpay-78918378061.us-central1.run.app'
   ];
 
+// Payment pages that post the customer's browser back to us (Paytm callback)
+const paymentGatewayOrigins = [
+  'https://securegw.paytm.in',
+  'https://securegw-stage.paytm.in'
+];
+
 
 app.use(cors({
   origin: (origin, callback) => {
     // Allow requests with no origin (mobile apps, Postman, etc.)
     if (!origin) return callback(null, true);
 
-    if (allowedOrigins.includes(origin)) {
+    if (allowedOrigins.includes(origin) || paymentGatewayOrigins.includes(origin)) {
       callback(null, true);
     } else {
       // In production, reject unknown origins for security
@@ -178,7 +194,8 @@ app.use(cors({
     'Origin',
     'Cache-Control',
     'Pragma',
-    'Expires'
+    'Expires',
+    'X-Customer-Token' // Loyalty wallet - see middleware/auth.js authenticateCustomer
   ],
   exposedHeaders: ['Content-Type', 'Authorization'],
   preflightContinue: false,
@@ -512,6 +529,14 @@ if (connectWithOptimizedPooling && process.env.NODE_ENV !== 'test') {
       const { startExpiredStockScheduler } = require('./jobs/expiredStockScheduler');
       startExpiredStockScheduler();
 
+      // Release interval / show-start pre-orders to the kitchen when they fall due
+      const { startScheduledOrderReleaser } = require('./jobs/scheduledOrderReleaser');
+      startScheduledOrderReleaser();
+
+      // Reconcile yesterday's gateway payments against our records every morning
+      const { startPaymentReconciliation } = require('./jobs/paymentReconciliation');
+      startPaymentReconciliation();
+
       // Initialize stock email notification jobs
       try {
         const { initializeStockEmailJobs } = require('./jobs/stockEmailNotifications');
@@ -686,6 +711,14 @@ if (connectWithOptimizedPooling && process.env.NODE_ENV !== 'test') {
       const { startExpiredStockScheduler } = require('./jobs/expiredStockScheduler');
       startExpiredStockScheduler();
 
+      // Release interval / show-start pre-orders to the kitchen when they fall due
+      const { startScheduledOrderReleaser } = require('./jobs/scheduledOrderReleaser');
+      startScheduledOrderReleaser();
+
+      // Reconcile yesterday's gateway payments against our records every morning
+      const { startPaymentReconciliation } = require('./jobs/paymentReconciliation');
+      startPaymentReconciliation();
+
       // Initialize stock email notification jobs
       try {
         const { initializeStockEmailJobs } = require('./jobs/stockEmailNotifications');
@@ -1343,6 +1376,46 @@ app.use('/api/reports', reportsRoutes);
 app.use('/api/pos', posNotificationsRoutes);
 app.use('/api/pos-stream', posStreamRoutes);
 
+// Preparation stations (MVC pattern - no cache - order routing config)
+app.use('/api/stations', require('./routes/stations.mvc'));
+
+// Show schedules / ordering windows (MVC pattern - no cache - time sensitive)
+app.use('/api/show-schedules', require('./routes/showSchedules.mvc'));
+
+// Payment reconciliation against gateway settlements (MVC pattern - no cache)
+app.use('/api/reconciliation', require('./routes/reconciliation.mvc'));
+
+// Cashier shifts / cash drawer reconciliation (MVC pattern - no cache)
+app.use('/api/shifts', require('./routes/shifts.mvc'));
+
+// Coupons / promo codes (MVC pattern - no cache - usage limits change per order)
+app.use('/api/coupons', require('./routes/coupons.mvc'));
+
+// Pricing rules / happy hours (MVC pattern - no cache)
+app.use('/api/pricing-rules', require('./routes/pricingRules.mvc'));
+
+// Loyalty points (MVC pattern - no cache - balances change per order)
+app.use('/api/loyalty', require('./routes/loyalty.mvc'));
+
+// Gift cards (MVC pattern - no cache - balances change per order)
+app.use('/api/gift-cards', require('./routes/giftCards.mvc'));
+
+// Suppliers, purchase orders and goods receipts (MVC pattern - no cache - receipts move stock)
+app.use('/api/suppliers', require('./routes/suppliers.mvc'));
+app.use('/api/purchase-orders', require('./routes/purchaseOrders.mvc'));
+
+// Waste and spoilage log (MVC pattern - no cache - approvals move stock)
+app.use('/api/waste-logs', require('./routes/wasteLogs.mvc'));
+
+// Stocktakes - physical counts of cafe stock (MVC pattern - no cache - approvals move stock)
+app.use('/api/stocktakes', require('./routes/stocktakes.mvc'));
+
+// Stock transfers between theaters of the same owner (MVC pattern - no cache - transfers move stock)
+app.use('/api/stock-transfers', require('./routes/stockTransfers.mvc'));
+
+// Audit log of administrative and financial changes (MVC pattern - no cache - read right after changes)
+app.use('/api/audit-logs', require('./routes/auditLogs.mvc'));
+
 // Payments (MVC pattern - no cache - sensitive real-time data)
 const paymentRoutesMVC = require('./routes/payments.mvc');
 app.use('/api/payments', paymentRoutesMVC);
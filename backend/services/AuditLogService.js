@@ -0,0 +1,171 @@
+const mongoose = require('mongoose');
+const BaseService = require('./BaseService');
+const AuditLog = require('../models/AuditLog');
+
+// Never copied into a snapshot, whatever entity they belong to: payment gateway credentials by name,
+// and anything named like a password, token, secret or key (saltKey, merchantKey, apiKey, ...)
+const SECRET_KEYS = ['pin', 'otp', 'saltkey', 'merchantkey', 'keysecret', 'secretkey', 'webhooksecret', 'apikey', 'privatekey'];
+const SECRET_KEY_PATTERN = /password|token|secret|key$/i;
+// Names ending in "key" that identify something rather than unlock it (e.g. the name of a Settings entry)
+const PUBLIC_KEYS = ['key', 'sortKey'];
+// Bookkeeping fields that change on every save
+const IGNORED_KEYS = ['__v', 'createdAt', 'updatedAt'];
+
+const isSecretKey = (key) => SECRET_KEYS.includes(String(key).toLowerCase()) ||
+  (!PUBLIC_KEYS.includes(key) && SECRET_KEY_PATTERN.test(key));
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const toObjectId = (value) => (
+  value && mongoose.Types.ObjectId.isValid(String(value)) ? new mongoose.Types.ObjectId(String(value)) : null
+);
+
+/**
+ * Audit Log Service
+ * Records who changed what (with a before/after diff) and searches the trail
+ */
+class AuditLogService extends BaseService {
+  constructor() {
+    super(AuditLog);
+  }
+
+  /**
+   * Plain JSON copy of a document with secrets redacted and bookkeeping fields dropped
+   */
+  snapshot(value) {
+    if (value === undefined || value === null) return null;
+    const plain = typeof value.toObject === 'function' ? value.toObject() : value;
+
+    const clean = (node) => {
+      if (Array.isArray(node)) return node.map(clean);
+      if (!isPlainObject(node)) return node;
+      // A { key, value } entry (Settings) holding a secret keeps its name but not its value
+      const secretEntry = typeof node.key === 'string' && 'value' in node && isSecretKey(node.key);
+      return Object.keys(node).reduce((result, key) => {
+        if (IGNORED_KEYS.includes(key)) return result;
+        result[key] = isSecretKey(key) || (secretEntry && key === 'value') ? '[redacted]' : clean(node[key]);
+        return result;
+      }, {});
+    };
+
+    return clean(JSON.parse(JSON.stringify(plain)));
+  }
+
+  /**
+   * Field level changes between two snapshots
+   * Nested objects are compared per field (dot paths), arrays as a whole
+   */
+  diff(before, after) {
+    const changes = [];
+
+    const walk = (from, to, path) => {
+      if (isPlainObject(from) && isPlainObject(to)) {
+        const keys = new Set([...Object.keys(from), ...Object.keys(to)]);
+        keys.forEach(key => walk(from[key], to[key], path ? `${path}.${key}` : key));
+        return;
+      }
+      if (JSON.stringify(from) !== JSON.stringify(to)) {
+        changes.push({ field: path, from: from === undefined ? null : from, to: to === undefined ? null : to });
+      }
+    };
+
+    // Only an update has two sides worth diffing - create and delete keep the full snapshot instead
+    if (before && after) {
+      walk(before, after, '');
+    }
+    return changes;
+  }
+
+  /**
+   * Write one audit entry
+   * Auditing must never break the change it describes, so failures are logged and swallowed
+   */
+  async record({ context = {}, theaterId, action, entityType, entityId, entityName, before, after }) {
+    try {
+      const beforeSnapshot = this.snapshot(before);
+      const afterSnapshot = this.snapshot(after);
+      const changes = this.diff(beforeSnapshot, afterSnapshot);
+
+      // An update that changed nothing is not worth a line in the trail
+      if (action === 'update' && beforeSnapshot && afterSnapshot && changes.length === 0) {
+        return null;
+      }
+
+      return await AuditLog.create({
+        theater: toObjectId(theaterId || context.theaterId),
+        actor: {
+          userId: toObjectId(context.actor?.userId),
+          username: context.actor?.username || '',
+          role: context.actor?.role || ''
+        },
+        action,
+        entityType,
+        entityId: entityId ? String(entityId) : null,
+        entityName: entityName || '',
+        before: beforeSnapshot,
+        after: afterSnapshot,
+        changes,
+        ip: context.ip || '',
+        userAgent: context.userAgent || '',
+        method: context.method || '',
+        path: context.path || ''
+      });
+    } catch (error) {
+      console.error('Audit log write error:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Search the audit trail, newest first
+   * Theater admins are always scoped to their own theater; super admins may search every theater
+   */
+  async getAuditLogs(query = {}, { theaterId = null } = {}) {
+    const {
+      entityType,
+      action,
+      actor,
+      entityId,
+      search,
+      startDate,
+      endDate,
+      page = 1,
+      limit = 50
+    } = query;
+
+    const filter = {};
+    const scopedTheater = theaterId || query.theaterId;
+    if (scopedTheater) filter.theater = toObjectId(scopedTheater);
+    if (entityType) filter.entityType = entityType;
+    if (action) filter.action = action;
+    if (entityId) filter.entityId = String(entityId);
+
+    if (actor) {
+      const escaped = actor.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      filter['actor.username'] = { $regex: escaped, $options: 'i' };
+    }
+
+    if (search) {
+      const escaped = search.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      filter.$or = [
+        { entityName: { $regex: escaped, $options: 'i' } },
+        { 'changes.field': { $regex: escaped, $options: 'i' } },
+        { entityId: search.trim() }
+      ];
+    }
+
+    if (startDate || endDate) {
+      filter.createdAt = {};
+      if (startDate) filter.createdAt.$gte = new Date(`${startDate}T00:00:00`);
+      if (endDate) filter.createdAt.$lte = new Date(`${endDate}T23:59:59.999`);
+    }
+
+    return this.findAll(filter, {
+      page: Math.max(1, parseInt(page) || 1),
+      limit: Math.min(200, Math.max(1, parseInt(limit) || 50)),
+      sort: { createdAt: -1 },
+      populate: { path: 'theater', select: 'name' }
+    });
+  }
+}
+
+module.exports = new AuditLogService();
@@ -0,0 +1,58 @@
+const AuditLog = require('../models/AuditLog');
+const AuditLogService = require('./AuditLogService');
+
+describe('AuditLogService.snapshot', () => {
+  const settings = {
+    _id: 's1',
+    __v: 3,
+    updatedAt: '2026-10-16T10:00:00.000Z',
+    paymentGateway: {
+      kiosk: {
+        provider: 'razorpay',
+        razorpay: { enabled: true, keyId: 'rzp_live_public', keySecret: 'rzp-secret', webhookSecret: 'whsec' },
+        phonepe: { merchantId: 'PHONEPE1', saltKey: 'salt-123', saltIndex: '1' },
+        paytm: { merchantId: 'PAYTM1', merchantKey: 'paytm-key', websiteName: 'DEFAULT' },
+        cashfree: { appId: 'cf-app', secretKey: 'cf-secret' }
+      }
+    },
+    smsConfig: { apiKey: 'sms-key', senderId: 'YQPAY' },
+    entries: [{ key: 'razorpayKeySecret', value: 'legacy-secret' }, { key: 'currency', value: 'INR' }]
+  };
+
+  it('redacts every payment gateway credential however deep it sits', () => {
+    const snapshot = AuditLogService.snapshot(settings);
+    const { razorpay, phonepe, paytm, cashfree } = snapshot.paymentGateway.kiosk;
+
+    expect(razorpay).toEqual({ enabled: true, keyId: 'rzp_live_public', keySecret: '[redacted]', webhookSecret: '[redacted]' });
+    expect(phonepe).toEqual({ merchantId: 'PHONEPE1', saltKey: '[redacted]', saltIndex: '1' });
+    expect(paytm).toEqual({ merchantId: 'PAYTM1', merchantKey: '[redacted]', websiteName: 'DEFAULT' });
+    expect(cashfree).toEqual({ appId: 'cf-app', secretKey: '[redacted]' });
+    expect(snapshot.smsConfig).toEqual({ apiKey: '[redacted]', senderId: 'YQPAY' });
+  });
+
+  it('keeps the name of a secret settings entry but not its value', () => {
+    expect(AuditLogService.snapshot(settings).entries).toEqual([
+      { key: 'razorpayKeySecret', value: '[redacted]' },
+      { key: 'currency', value: 'INR' }
+    ]);
+  });
+
+  it('redacts staff credentials and drops bookkeeping fields', () => {
+    const snapshot = AuditLogService.snapshot({ username: 'cashier1', password: 'hash', pin: '1234', refreshToken: 't', __v: 1 });
+    expect(snapshot).toEqual({ username: 'cashier1', password: '[redacted]', pin: '[redacted]', refreshToken: '[redacted]' });
+    expect(JSON.stringify(AuditLogService.snapshot(settings))).not.toMatch(/rzp-secret|whsec|salt-123|paytm-key|cf-secret|sms-key/);
+  });
+
+  it('records redacted before and after copies with the changed fields', async () => {
+    jest.spyOn(AuditLog, 'create').mockImplementation(async (entry) => entry);
+    const after = JSON.parse(JSON.stringify(settings));
+    after.paymentGateway.kiosk.phonepe.saltKey = 'salt-456';
+    after.paymentGateway.kiosk.phonepe.saltIndex = '2';
+
+    const entry = await AuditLogService.record({ action: 'update', entityType: 'theater_settings', before: settings, after });
+
+    expect(entry.changes).toEqual([{ field: 'paymentGateway.kiosk.phonepe.saltIndex', from: '1', to: '2' }]);
+    expect(JSON.stringify(entry)).not.toMatch(/salt-123|salt-456/);
+    jest.restoreAllMocks();
+  });
+});
@@ -123,25 +123,71 @@ class BaseService {
 
   /**
    * Update by ID
+   * Pass `audit` (BaseController.auditContext) to record the change with a before/after diff
    */
   async updateById(id, data, options = {}) {
     const {
       new: returnNew = true,
-      runValidators = true
+      runValidators = true,
+      audit = null
     } = options;
 
-    return this.model.findByIdAndUpdate(
+    const before = audit ? await this.model.findById(id).lean().maxTimeMS(15000) : null;
+
+    const updated = await this.model.findByIdAndUpdate(
       id,
       data,
       { new: returnNew, runValidators }
     );
+
+    if (audit && updated) {
+      await this.recordAudit(audit, {
+        action: 'update',
+        entityId: id,
+        entityName: updated.name || before?.name,
+        before,
+        after: returnNew ? updated : await this.model.findById(id).lean()
+      });
+    }
+
+    return updated;
   }
 
   /**
    * Delete by ID
+   * Pass `audit` (BaseController.auditContext) to record the deleted document
+   */
+  async deleteById(id, options = {}) {
+    const { audit = null } = options;
+
+    const deleted = await this.model.findByIdAndDelete(id);
+
+    if (audit && deleted) {
+      await this.recordAudit(audit, {
+        action: 'delete',
+        entityId: id,
+        entityName: deleted.name,
+        before: deleted
+      });
+    }
+
+    return deleted;
+  }
+
+  /**
+   * Record an administrative change in the audit log
+   * Nothing is recorded without an audit context; the entity type defaults to the model name
    */
-  async deleteById(id) {
-    return this.model.findByIdAndDelete(id);
+  async recordAudit(audit, details) {
+    if (!audit) return null;
+
+    // Required lazily - the audit log service is itself a BaseService
+    const auditLogService = require('./AuditLogService');
+    return auditLogService.record({
+      context: audit,
+      entityType: audit.entityType || (this.model ? this.model.modelName.toLowerCase() : 'unknown'),
+      ...details
+    });
   }
 
   /**
@@ -3,7 +3,25 @@ const CafeMonthlyStock = require('../models/CafeMonthlyStock');
 const MonthlyStock = require('../models/MonthlyStock');
 const StockService = require('./StockService');
 const Product = require('../models/Product');
+const CafeStockBatch = require('../models/CafeStockBatch');
 const mongoose = require('mongoose');
+const { getRecipe, toIngredientUsage } = require('../utils/productRecipes');
+
+const roundQty = (value) => Math.round((Number(value) || 0) * 1000) / 1000;
+
+const isSameDay = (a, b) => {
+  const first = new Date(a);
+  const second = new Date(b);
+  first.setHours(0, 0, 0, 0);
+  second.setHours(0, 0, 0, 0);
+  return first.getTime() === second.getTime();
+};
+
+// Balances are only "current" on the running month's document
+const isCurrentMonth = (year, monthNumber) => {
+  const now = new Date();
+  return Number(year) === now.getFullYear() && Number(monthNumber) === now.getMonth() + 1;
+};
 
 /**
  * Cafe Stock Service
@@ -113,6 +131,7 @@ class CafeStockService extends BaseService {
 
     // Create new entry
     const newEntry = {
+      _id: new mongoose.Types.ObjectId(), // ✅ Known up front so the batch can point at it
       date: entryDate,
       type: entryData.type,
       quantity: entryData.quantity, // ✅ FIX: Restore required quantity field
@@ -127,6 +146,7 @@ class CafeStockService extends BaseService {
       stockAdjustment: entryData.stockAdjustment || 0, // ✅ ADD: Include stockAdjustment field
       cancelStock: entryData.cancelStock || 0, // ✅ ADD: Include cancelStock field
       expireDate: entryData.expireDate || null,
+      manufactureDate: entryData.manufactureDate || null,
       batchNumber: entryData.batchNumber || null,
       notes: entryData.notes || '',
       oldStock: previousDayBalance,
@@ -154,6 +174,11 @@ class CafeStockService extends BaseService {
     this.recalculateBalances(monthlyDoc);
     await monthlyDoc.save();
 
+    // 📦 Inward stock opens a batch that sales draw down FIFO
+    if (newEntry.invordStock + newEntry.directStock > 0) {
+      await this.createBatch(theaterId, productId, newEntry);
+    }
+
     // Update theater stock transfer field for this date
     await this.updateTheaterStockTransfer(theaterId, productId, entryDate, newEntry.invordStock);
 
@@ -237,6 +262,30 @@ class CafeStockService extends BaseService {
   }
 
 
+  /**
+   * A single stock entry of a product (audit snapshots)
+   */
+  async getStockEntry(theaterId, productId, entryId) {
+    const monthlyDoc = await CafeMonthlyStock.findOne(
+      { theaterId, productId, 'stockDetails._id': entryId },
+      { 'stockDetails.$': 1 }
+    ).lean().maxTimeMS(20000);
+    return monthlyDoc?.stockDetails?.[0] || null;
+  }
+
+  /**
+   * A stock entry of a monthly document - by id, or the newest one (just added) when no id is given
+   */
+  findStockEntry(monthlyDoc, entryId = null) {
+    const entries = monthlyDoc?.stockDetails || [];
+    if (entryId) {
+      return entries.find(entry => String(entry._id) === String(entryId)) || null;
+    }
+    return entries.reduce((newest, entry) => (
+      !newest || String(entry._id) > String(newest._id) ? entry : newest
+    ), null);
+  }
+
   /**
    * Update stock entry
    */
@@ -292,6 +341,15 @@ class CafeStockService extends BaseService {
     this.recalculateBalances(monthlyDoc);
     await monthlyDoc.save();
 
+    // 📦 Keep the entry's batch in line with the edited inward quantity and any stock taken out
+    const updatedEntry = monthlyDoc.stockDetails.find(e => e._id.toString() === entryId);
+    if (updatedEntry) {
+      await this.syncBatchWithEntry(theaterId, productId, updatedEntry);
+    }
+    if (isCurrentMonth(year, monthNumber)) {
+      await this.syncBatchesToBalance(theaterId, productId, monthlyDoc.closingBalance);
+    }
+
     // Update theater stock transfer field for this date
     const updatedInvordStock = updateData.type === 'ADDED' ? updateData.quantity : 0;
     await this.updateTheaterStockTransfer(theaterId, productId, entryDate, updatedInvordStock);
@@ -324,6 +382,11 @@ class CafeStockService extends BaseService {
     this.recalculateBalances(monthlyDoc);
     await monthlyDoc.save();
 
+    // The entry's stock is gone, and with it its batch
+    if (mongoose.Types.ObjectId.isValid(entryId)) {
+      await CafeStockBatch.deleteMany({ stockEntryId: new mongoose.Types.ObjectId(entryId) });
+    }
+
     // Update theater stock transfer field to 0 for this date (since entry is deleted)
     if (deletedEntry) {
       await this.updateTheaterStockTransfer(theaterId, productId, deletedEntry.date, 0);
@@ -749,6 +812,18 @@ class CafeStockService extends BaseService {
     return consumption;
   }
 
+  /**
+   * Unit the product's cafe stock is kept in (unit of its latest entry)
+   */
+  async getStockUnit(theaterId, productId) {
+    const monthlyDoc = await CafeMonthlyStock.findOne({ theaterId, productId })
+      .sort({ year: -1, monthNumber: -1 })
+      .select('stockDetails.unit')
+      .lean();
+    const entryWithUnit = [...(monthlyDoc?.stockDetails || [])].reverse().find(entry => entry.unit);
+    return entryWithUnit?.unit || 'Nos';
+  }
+
   /**
    * Get current available stock balance for a product
    * Returns the current balance stock considering all transactions up to the given date
@@ -944,8 +1019,109 @@ class CafeStockService extends BaseService {
     }
   }
 
+  /**
+   * Find a product of a theater (productlist array first, Product model as fallback)
+   */
+  async findProduct(theaterId, productId) {
+    const productContainer = await mongoose.connection.db.collection('productlist').findOne({
+      theater: new mongoose.Types.ObjectId(theaterId),
+      'productList._id': new mongoose.Types.ObjectId(productId)
+    });
+
+    const product = productContainer?.productList?.find(p => String(p._id) === String(productId));
+    return product || await Product.findById(productId).lean();
+  }
+
+  /**
+   * 🍿 How far the ingredients of a recipe product go
+   * Ingredients without any cafe stock set up yet are not counted (same leniency as validateOrderQuantity)
+   * @returns {Array} [{ ingredientId, name, unit, available, perItem, tracked, maxItems }]
+   */
+  async getRecipeAvailability(theaterId, product, targetDate = null) {
+    const date = targetDate ? new Date(targetDate) : new Date();
+    const year = date.getFullYear();
+    const monthNumber = date.getMonth() + 1;
+    const availability = [];
+
+    for (const line of getRecipe(product)) {
+      const ingredientId = String(line.ingredientId);
+      const previousBalance = await CafeMonthlyStock.getPreviousMonthBalance(theaterId, ingredientId, year, monthNumber);
+      const monthlyDoc = await CafeMonthlyStock.getOrCreateMonthlyDoc(theaterId, ingredientId, year, monthNumber, previousBalance);
+      this.recalculateBalances(monthlyDoc);
+
+      let unit = 'Nos';
+      const entryWithUnit = [...(monthlyDoc.stockDetails || [])]
+        .sort((a, b) => new Date(b.date) - new Date(a.date))
+        .find(entry => entry.unit);
+      if (entryWithUnit) unit = entryWithUnit.unit;
+
+      const available = Math.max(0, monthlyDoc.closingBalance || 0);
+      const perItem = this.calculateConsumption(toIngredientUsage(line), 1, unit);
+      const tracked = (monthlyDoc.stockDetails?.length || 0) > 0 || (monthlyDoc.oldStock || 0) > 0;
+
+      availability.push({
+        ingredientId,
+        name: line.ingredientName || 'ingredient',
+        unit,
+        available,
+        perItem,
+        tracked,
+        // Small epsilon so 0.36 kg / 0.12 kg counts as 3, not 2.9999
+        maxItems: tracked && perItem > 0 ? Math.floor(available / perItem + 1e-9) : Infinity
+      });
+    }
+
+    return availability;
+  }
+
+  /**
+   * 🍿 Items of a recipe product the ingredients can still make
+   * @returns {number|null} null when none of the ingredients has stock set up
+   */
+  async getRecipeMaxOrderable(theaterId, product, targetDate = null) {
+    const availability = await this.getRecipeAvailability(theaterId, product, targetDate);
+    const limits = availability.filter(entry => entry.tracked).map(entry => entry.maxItems);
+    return limits.length > 0 ? Math.max(0, Math.min(...limits)) : null;
+  }
+
+  /**
+   * 🍿 Validate an order quantity of a recipe product against its ingredients
+   * Returns { valid: boolean, maxOrderable: number, message: string }
+   */
+  async validateRecipeQuantity(theaterId, product, requestedQty, targetDate = null) {
+    const availability = await this.getRecipeAvailability(theaterId, product, targetDate);
+    const tracked = availability.filter(entry => entry.tracked);
+
+    if (tracked.length === 0) {
+      return {
+        valid: true,
+        maxOrderable: requestedQty,
+        message: 'Ingredient stock not set up yet - order allowed'
+      };
+    }
+
+    const maxOrderable = Math.max(0, Math.min(...tracked.map(entry => entry.maxItems)));
+    const short = tracked.find(entry => entry.maxItems < requestedQty);
+
+    if (short) {
+      const needed = Math.round(short.perItem * requestedQty * 1000) / 1000;
+      return {
+        valid: false,
+        maxOrderable,
+        message: `Not enough ${short.name} (${short.available} ${short.unit} left, ${needed} ${short.unit} needed)`
+      };
+    }
+
+    return {
+      valid: true,
+      maxOrderable,
+      message: 'Ingredients available'
+    };
+  }
+
   /**
    * Validate if order quantity is within available stock
+   * Products with a recipe are checked against their ingredients
    * Returns { valid: boolean, maxOrderable: number, message: string }
    */
   async validateOrderQuantity(theaterId, productId, orderQuantity, targetDate = null) {
@@ -960,6 +1136,12 @@ class CafeStockService extends BaseService {
         };
       }
 
+      // 🍿 Products made from a recipe are limited by their ingredients, not their own stock
+      const listedProduct = await this.findProduct(theaterId, productId);
+      if (getRecipe(listedProduct).length > 0) {
+        return await this.validateRecipeQuantity(theaterId, listedProduct, requestedQty, targetDate);
+      }
+
       // Get product to check if stock tracking is enabled
       const product = await Product.findById(productId).lean();
       if (!product) {
@@ -1069,8 +1251,10 @@ class CafeStockService extends BaseService {
   /**
    * Record stock usage (sales) in cafe stock - FIFO logic
    * This is called when orders are placed from POS, Online, or Kiosk
+   * Products with a recipe record the sale against each ingredient instead
+   * @param {object} usage - Optional ingredient usage (see toIngredientUsage) - consumption is worked out from it instead of the product
    */
-  async recordStockUsage(theaterId, productId, quantity, orderDate) {
+  async recordStockUsage(theaterId, productId, quantity, orderDate, usage = null) {
     try {
       const entryDate = new Date(orderDate);
       const year = entryDate.getFullYear();
@@ -1107,6 +1291,12 @@ class CafeStockService extends BaseService {
         console.error(`❌ [CafeStock] Product ${productId} not found in database!`);
         // Don't throw error - allow order to complete even if product not found
         return;
+      } else if (!usage && getRecipe(product).length > 0) {
+        // 🍿 Recipe product - deduct every ingredient, the finished product keeps no stock of its own
+        for (const line of getRecipe(product)) {
+          await this.recordStockUsage(theaterId, line.ingredientId, quantity, orderDate, toIngredientUsage(line));
+        }
+        return;
       } else {
         console.log(`📋 [CafeStock] Product data for ${product.name}:`, {
           _id: product._id,
@@ -1155,7 +1345,7 @@ class CafeStockService extends BaseService {
 
       // ✅ FIX: Calculate actual stock consumption based on units
       // If product is 750ML and stock is L, consumption should be 0.75 * quantity
-      const consumptionAmount = this.calculateConsumption(product, quantity, targetUnit);
+      const consumptionAmount = this.calculateConsumption(usage || product, quantity, targetUnit);
 
       // FIX: Ensure consumption is at least 0 and preserve decimal precision
       const safeConsumption = Math.max(0, consumptionAmount);
@@ -1194,7 +1384,7 @@ class CafeStockService extends BaseService {
           cancelStock: 0,
           oldStock: previousDayBalance,
           balance: Math.max(0, previousDayBalance - safeConsumption),
-          notes: 'Sales entry',
+          notes: usage ? 'Sales entry (recipe ingredient)' : 'Sales entry',
           inwardType: 'product'
         };
 
@@ -1242,6 +1432,16 @@ class CafeStockService extends BaseService {
 
       // Recalculate monthly totals and closing balance
       this.recalculateBalances(currentMonthDoc);
+
+      // 📦 FIFO: the sale comes out of the oldest batches - record which ones on the day's entry
+      if (isCurrentMonth(year, monthNumber)) {
+        const deductions = await this.syncBatchesToBalance(theaterId, productId, currentMonthDoc.closingBalance);
+        const salesEntry = currentMonthDoc.stockDetails.find(entry => isSameDay(entry.date, entryDate));
+        if (salesEntry && deductions.length > 0) {
+          salesEntry.fifoDetails.push(...deductions);
+        }
+      }
+
       await currentMonthDoc.save();
 
     } catch (error) {
@@ -1409,12 +1609,385 @@ class CafeStockService extends BaseService {
       // Recalculate monthly totals and closing balance
       this.recalculateBalances(currentMonthDoc);
       await currentMonthDoc.save();
+
+      // 📦 Give the stock back to the batches it most likely came from
+      await this.restoreBatches(theaterId, productId, safeConsumption);
     } catch (error) {
       console.error('Cafe stock restoration error:', error);
       // Don't throw - allow cancellation to complete even if stock restoration fails
       // Log the error for manual review
     }
   }
+  /**
+   * Open a batch for an inward stock entry
+   * Entries without a batch number get one from their date, e.g. AUTO-20261019-1A2B
+   */
+  async createBatch(theaterId, productId, entry) {
+    const quantity = roundQty((entry.invordStock || 0) + (entry.directStock || 0));
+    const receivedAt = new Date(entry.date);
+    const datePart = receivedAt.toISOString().slice(0, 10).replace(/-/g, '');
+
+    return CafeStockBatch.create({
+      theaterId,
+      productId,
+      batchNumber: entry.batchNumber || `AUTO-${datePart}-${String(entry._id).slice(-4).toUpperCase()}`,
+      manufactureDate: entry.manufactureDate || null,
+      expireDate: entry.expireDate || null,
+      receivedAt,
+      quantity,
+      remaining: quantity,
+      unit: entry.unit || 'Nos',
+      stockEntryId: entry._id
+    });
+  }
+
+  /**
+   * Carry an edited inward quantity over to the entry's batch
+   * The difference is added to / taken from what is left of the batch
+   */
+  async syncBatchWithEntry(theaterId, productId, entry) {
+    const quantity = roundQty((entry.invordStock || 0) + (entry.directStock || 0));
+    const batch = await CafeStockBatch.findOne({ stockEntryId: entry._id });
+
+    if (!batch) {
+      return quantity > 0 ? this.createBatch(theaterId, productId, entry) : null;
+    }
+    if (batch.status === 'expired') {
+      return batch;
+    }
+    if (quantity <= 0) {
+      await batch.deleteOne();
+      return null;
+    }
+
+    batch.remaining = Math.min(quantity, Math.max(0, roundQty(batch.remaining + quantity - batch.quantity)));
+    batch.quantity = quantity;
+    batch.unit = entry.unit || batch.unit;
+    batch.status = batch.remaining > 0 ? 'active' : 'depleted';
+    await batch.save();
+    return batch;
+  }
+
+  /**
+   * Draw batches down FIFO until they hold no more than the product's stock balance
+   * Stock from before batches were tracked is treated as the oldest, so it goes first.
+   * @returns {Array} FIFO deductions ({ date, batchNumber, deducted, expireDate }) for the stock entry
+   */
+  async syncBatchesToBalance(theaterId, productId, balance) {
+    const batches = await CafeStockBatch.find({
+      theaterId,
+      productId,
+      status: 'active',
+      remaining: { $gt: 0 }
+    }).sort({ receivedAt: 1, createdAt: 1 });
+
+    let excess = roundQty(batches.reduce((sum, batch) => sum + batch.remaining, 0) - (balance || 0));
+    const deductions = [];
+
+    for (const batch of batches) {
+      if (excess <= 0) break;
+
+      const deducted = Math.min(batch.remaining, excess);
+      batch.remaining = roundQty(batch.remaining - deducted);
+      if (batch.remaining <= 0) {
+        batch.remaining = 0;
+        batch.status = 'depleted';
+      }
+      excess = roundQty(excess - deducted);
+      await batch.save();
+
+      deductions.push({
+        date: batch.receivedAt,
+        batchNumber: batch.batchNumber,
+        deducted: roundQty(deducted),
+        expireDate: batch.expireDate
+      });
+    }
+
+    return deductions;
+  }
+
+  /**
+   * Put cancelled stock back into batches in reverse FIFO order (newest consumed batch first)
+   * Anything the batches cannot take back was old untracked stock and stays unbatched
+   */
+  async restoreBatches(theaterId, productId, quantity) {
+    let toRestore = roundQty(quantity);
+    if (toRestore <= 0) return;
+
+    const batches = await CafeStockBatch.find({
+      theaterId,
+      productId,
+      status: { $in: ['active', 'depleted'] },
+      $expr: { $lt: ['$remaining', '$quantity'] }
+    }).sort({ receivedAt: -1, createdAt: -1 });
+
+    for (const batch of batches) {
+      if (toRestore <= 0) break;
+
+      const restored = Math.min(roundQty(batch.quantity - batch.remaining), toRestore);
+      batch.remaining = roundQty(batch.remaining + restored);
+      batch.status = 'active';
+      toRestore = roundQty(toRestore - restored);
+      await batch.save();
+    }
+  }
+
+  /**
+   * Open batches of a theater, soonest expiry first
+   * @param {Object} options - productId: one product only; withinDays: only batches expiring by the end of that day
+   *   (already expired batches the job has not written off yet are included)
+   */
+  async getBatches(theaterId, { productId = null, withinDays = null } = {}) {
+    const query = {
+      theaterId: new mongoose.Types.ObjectId(theaterId),
+      status: 'active',
+      remaining: { $gt: 0 }
+    };
+    if (productId) {
+      query.productId = new mongoose.Types.ObjectId(productId);
+    }
+    if (withinDays !== null && withinDays !== undefined) {
+      const until = new Date();
+      until.setDate(until.getDate() + Number(withinDays));
+      until.setHours(23, 59, 59, 999);
+      query.expireDate = { $ne: null, $lte: until };
+    }
+
+    const [batches, productContainer] = await Promise.all([
+      CafeStockBatch.find(query).sort({ expireDate: 1, receivedAt: 1 }).lean(),
+      mongoose.connection.db.collection('productlist').findOne(
+        { theater: new mongoose.Types.ObjectId(theaterId) },
+        { projection: { 'productList._id': 1, 'productList.name': 1 } }
+      )
+    ]);
+
+    const productNames = new Map(
+      (productContainer?.productList || []).map(product => [String(product._id), product.name])
+    );
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+
+    // Batches without an expiry date sort last
+    return batches
+      .sort((a, b) => (a.expireDate ? 0 : 1) - (b.expireDate ? 0 : 1))
+      .map(batch => {
+        let daysUntilExpiry = null;
+        if (batch.expireDate) {
+          const expiry = new Date(batch.expireDate);
+          expiry.setHours(0, 0, 0, 0);
+          daysUntilExpiry = Math.round((expiry - today) / (1000 * 60 * 60 * 24));
+        }
+        return {
+          ...batch,
+          productName: productNames.get(String(batch.productId)) || 'Unknown Product',
+          daysUntilExpiry
+        };
+      });
+  }
+
+  /**
+   * Add stock movements to a day's entry of a monthly document, creating the entry when the day has none,
+   * and recalculate the balances
+   * @param {Object} changes - Quantities to add per field, e.g. { damageStock: 2 }
+   */
+  bookDayEntry(monthlyDoc, date, changes, note, unit = 'Nos') {
+    let dayEntry = monthlyDoc.stockDetails.find(entry => isSameDay(entry.date, date));
+
+    if (!dayEntry) {
+      const lastEntryWithUnit = [...monthlyDoc.stockDetails].reverse().find(entry => entry.unit);
+      monthlyDoc.stockDetails.push({
+        date: new Date(date),
+        type: 'ADDED', // Keep as ADDED so sales booked on the same day still count
+        quantity: 0,
+        invordStock: 0,
+        directStock: 0,
+        sales: 0,
+        damageStock: 0,
+        expiredStock: 0,
+        addon: 0,
+        stockAdjustment: 0,
+        cancelStock: 0,
+        oldStock: 0,
+        balance: 0,
+        notes: note,
+        unit: lastEntryWithUnit?.unit || unit,
+        inwardType: 'product'
+      });
+      dayEntry = monthlyDoc.stockDetails[monthlyDoc.stockDetails.length - 1];
+    } else {
+      dayEntry.notes = dayEntry.notes && !dayEntry.notes.startsWith('Auto-generated')
+        ? `${dayEntry.notes} | ${note}`
+        : note;
+    }
+
+    Object.entries(changes).forEach(([field, quantity]) => {
+      dayEntry[field] = roundQty((dayEntry[field] || 0) + quantity);
+    });
+
+    monthlyDoc.markModified('stockDetails');
+    this.recalculateBalances(monthlyDoc);
+  }
+
+  /**
+   * Take wasted stock off cafe stock as damaged (or expired) stock on the day it was wasted
+   * Batches are drawn down FIFO like a sale
+   */
+  async recordWaste(theaterId, productId, { date, quantity, expired = false, note = '' }) {
+    const wasteDate = new Date(date);
+    const year = wasteDate.getFullYear();
+    const monthNumber = wasteDate.getMonth() + 1;
+
+    const previousBalance = await CafeMonthlyStock.getPreviousMonthBalance(theaterId, productId, year, monthNumber);
+    const monthlyDoc = await CafeMonthlyStock.getOrCreateMonthlyDoc(theaterId, productId, year, monthNumber, previousBalance);
+
+    this.bookDayEntry(monthlyDoc, wasteDate, { [expired ? 'expiredStock' : 'damageStock']: roundQty(quantity) }, note);
+    await monthlyDoc.save();
+
+    if (isCurrentMonth(year, monthNumber)) {
+      await this.syncBatchesToBalance(theaterId, productId, monthlyDoc.closingBalance);
+    }
+
+    return monthlyDoc;
+  }
+
+  /**
+   * Products of a theater that have cafe stock, with the unit each is kept in (unit of its latest entry)
+   * @returns {Map} productId -> unit
+   */
+  async getStockedProductUnits(theaterId) {
+    const docs = await CafeMonthlyStock.aggregate([
+      { $match: { theaterId: new mongoose.Types.ObjectId(theaterId) } },
+      { $sort: { year: -1, monthNumber: -1 } },
+      { $group: { _id: '$productId', units: { $first: '$stockDetails.unit' } } }
+    ]);
+
+    return new Map(docs.map(doc => [
+      String(doc._id),
+      [...(doc.units || [])].reverse().find(unit => unit) || 'Nos'
+    ]));
+  }
+
+  /**
+   * Post a stock correction as an ADJUSTMENT entry on a monthly document (does not save it)
+   * A negative correction is never more than the stock on hand
+   * @param {number} quantity - Positive adds stock, negative takes it off
+   * @param {Object} extra - Extra fields for the entry (e.g. stockTransferId)
+   * @returns {ObjectId} _id of the ADJUSTMENT entry
+   */
+  postAdjustment(monthlyDoc, date, quantity, note, unit = 'Nos', extra = {}) {
+    this.recalculateBalances(monthlyDoc);
+
+    // Keep a regular day entry ahead of the adjustment so sales booked later in the day still land on an ADDED entry
+    if (!monthlyDoc.stockDetails.some(entry => isSameDay(entry.date, date))) {
+      const dayStart = new Date(date);
+      dayStart.setHours(0, 0, 0, 0);
+      this.bookDayEntry(monthlyDoc, dayStart, {}, 'Auto-generated: Balance carried forward', unit);
+    }
+
+    const adjustment = roundQty(Math.max(quantity, -(monthlyDoc.closingBalance || 0)));
+    const entryId = new mongoose.Types.ObjectId();
+    monthlyDoc.stockDetails.push({
+      _id: entryId,
+      date: new Date(date),
+      type: 'ADJUSTMENT',
+      quantity: adjustment,
+      invordStock: 0,
+      directStock: 0,
+      sales: 0,
+      damageStock: 0,
+      expiredStock: 0,
+      addon: 0,
+      stockAdjustment: adjustment,
+      cancelStock: 0,
+      oldStock: 0,
+      balance: 0,
+      notes: note,
+      unit,
+      ...extra
+    });
+
+    monthlyDoc.markModified('stockDetails');
+    this.recalculateBalances(monthlyDoc);
+    return entryId;
+  }
+
+  /**
+   * Take back an ADJUSTMENT entry posted by postAdjustment (a multi-step write that failed part way)
+   */
+  async removeAdjustment(monthlyDocId, entryId) {
+    const monthlyDoc = await CafeMonthlyStock.findById(monthlyDocId);
+    if (!monthlyDoc) return;
+
+    monthlyDoc.stockDetails = monthlyDoc.stockDetails.filter(entry => String(entry._id) !== String(entryId));
+    monthlyDoc.markModified('stockDetails');
+    this.recalculateBalances(monthlyDoc);
+    await monthlyDoc.save();
+  }
+
+  /**
+   * Write off what is left of batches expiring today or earlier - the same cut-off as theater stock entries
+   * The quantity is booked as expired stock on today's cafe stock entry of each product
+   * (never more than the product still has on hand)
+   * @returns {Object} { batches, quantity } - batches expired and total quantity written off
+   */
+  async expireBatches(asOf = new Date()) {
+    const todayStart = new Date(asOf);
+    todayStart.setHours(0, 0, 0, 0);
+
+    const batches = await CafeStockBatch.find({
+      status: 'active',
+      remaining: { $gt: 0 },
+      expireDate: { $ne: null, $lte: todayStart }
+    }).sort({ receivedAt: 1, createdAt: 1 });
+
+    const byProduct = new Map();
+    for (const batch of batches) {
+      const key = `${batch.theaterId}_${batch.productId}`;
+      if (!byProduct.has(key)) byProduct.set(key, []);
+      byProduct.get(key).push(batch);
+    }
+
+    const year = asOf.getFullYear();
+    const monthNumber = asOf.getMonth() + 1;
+    let totalQuantity = 0;
+
+    for (const productBatches of byProduct.values()) {
+      const { theaterId, productId } = productBatches[0];
+      try {
+        const previousBalance = await CafeMonthlyStock.getPreviousMonthBalance(theaterId, productId, year, monthNumber);
+        const monthlyDoc = await CafeMonthlyStock.getOrCreateMonthlyDoc(theaterId, productId, year, monthNumber, previousBalance);
+        this.recalculateBalances(monthlyDoc);
+
+        let available = monthlyDoc.closingBalance || 0;
+        let expiredQuantity = 0;
+        for (const batch of productBatches) {
+          const quantity = Math.min(batch.remaining, available);
+          available = roundQty(available - quantity);
+          expiredQuantity = roundQty(expiredQuantity + quantity);
+
+          batch.expiredQuantity = roundQty(quantity);
+          batch.remaining = 0;
+          batch.status = 'expired';
+          batch.expiredAt = asOf;
+        }
+
+        if (expiredQuantity > 0) {
+          const note = `Expired batch ${productBatches.map(batch => batch.batchNumber).join(', ')}`;
+          this.bookDayEntry(monthlyDoc, asOf, { expiredStock: expiredQuantity }, note, productBatches[0].unit);
+          await monthlyDoc.save();
+        }
+
+        await Promise.all(productBatches.map(batch => batch.save()));
+        totalQuantity = roundQty(totalQuantity + expiredQuantity);
+      } catch (error) {
+        console.error(`❌ Error expiring cafe stock batches for product ${productId}:`, error);
+      }
+    }
+
+    return { batches: batches.length, quantity: totalQuantity };
+  }
+
 }
 
 module.exports = new CafeStockService();
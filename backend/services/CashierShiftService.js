@@ -0,0 +1,365 @@
+const mongoose = require('mongoose');
+const BaseService = require('./BaseService');
+const CashierShift = require('../models/CashierShift');
+const Theater = require('../models/Theater');
+const { formatDateToLocal } = require('../utils/dateUtils');
+const { orderTendersExpression } = require('../utils/paymentTenders');
+const GiftCardService = require('./GiftCardService');
+
+// Orders in these states never reached the drawer
+const EXCLUDED_ORDER_STATUSES = ['cancelled'];
+const COUNTED_PAYMENT_STATUSES = ['paid', 'completed', 'partially_refunded'];
+// Gateway methods are summed under one "online" line on the Z-report
+const ONLINE_METHODS = ['online', 'razorpay', 'phonepe', 'paytm', 'cashfree', 'netbanking', 'wallet'];
+
+const roundAmount = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const normalizeMethod = (method) => {
+  const value = String(method || 'cash').toLowerCase();
+  if (value === 'cod') return 'cash';
+  if (ONLINE_METHODS.includes(value)) return 'online';
+  return value;
+};
+
+/**
+ * Cashier Shift Service
+ * Drawer sessions on the POS: opening float, cash in/out, and expected-vs-counted totals at close
+ */
+class CashierShiftService extends BaseService {
+  constructor() {
+    super(CashierShift);
+  }
+
+  /**
+   * Staff identity stored on the shift (same fields as order staffInfo)
+   */
+  getStaff(user) {
+    const userId = user?.userId || user?._id;
+    if (!userId || !mongoose.Types.ObjectId.isValid(String(userId))) {
+      throw new Error('Shift requires a logged-in staff user');
+    }
+    return {
+      userId: new mongoose.Types.ObjectId(String(userId)),
+      username: user.username || null,
+      role: user.role || user.userType || null
+    };
+  }
+
+  /**
+   * Theater admins may act on any cashier's shift, staff only on their own
+   */
+  canManageShift(shift, user) {
+    const userId = String(user?.userId || user?._id || '');
+    if (String(shift.staff.userId) === userId) return true;
+    const role = String(user?.role || user?.userType || '').toLowerCase();
+    return role === 'super_admin' || role === 'theater_admin';
+  }
+
+  /**
+   * Payment totals of the orders a cashier created between two times
+   * @returns {Object} { byMethod: Map, orderCount } - split orders count once in orderCount
+   */
+  async getShiftSales(theaterId, staffUserId, from, to) {
+    const rows = await mongoose.connection.db.collection('theaterorders').aggregate([
+      { $match: { theater: new mongoose.Types.ObjectId(theaterId) } },
+      { $unwind: '$orderList' },
+      {
+        $match: {
+          'orderList.staffInfo.staffId': new mongoose.Types.ObjectId(String(staffUserId)),
+          'orderList.createdAt': { $gte: from, $lte: to },
+          'orderList.status': { $nin: EXCLUDED_ORDER_STATUSES },
+          'orderList.payment.status': { $in: COUNTED_PAYMENT_STATUSES }
+        }
+      },
+      // Split payments count towards each tender's method
+      { $addFields: { tender: orderTendersExpression() } },
+      { $unwind: '$tender' },
+      {
+        $group: {
+          _id: '$tender.method',
+          orderCount: { $sum: 1 },
+          orderIds: { $addToSet: '$orderList._id' },
+          amount: {
+            $sum: {
+              $subtract: [
+                { $ifNull: ['$tender.amount', 0] },
+                // Gateway refunds only apply to single-method orders
+                {
+                  $cond: [
+                    { $eq: ['$orderList.payment.method', 'split'] },
+                    0,
+                    { $ifNull: ['$orderList.payment.refundAmount', 0] }
+                  ]
+                }
+              ]
+            }
+          }
+        }
+      }
+    ]).toArray();
+
+    const byMethod = new Map();
+    const orderIds = new Set();
+    rows.forEach(row => {
+      row.orderIds.forEach(id => orderIds.add(String(id)));
+      const method = normalizeMethod(row._id);
+      const current = byMethod.get(method) || { method, orderCount: 0, sales: 0 };
+      current.orderCount += row.orderCount;
+      current.sales = roundAmount(current.sales + row.amount);
+      byMethod.set(method, current);
+    });
+
+    return { byMethod, orderCount: orderIds.size };
+  }
+
+  /**
+   * Expected drawer contents per payment method, with counted amounts and variance when given
+   * Cash expected = opening float + cash sales + cash in - cash out
+   * Gift cards sold or topped up by the cashier count as sales of the method they were paid with
+   * @param {Object} shift - CashierShift (lean or document)
+   * @param {Object} counted - { cash, card, upi, ... } counted at close (optional)
+   */
+  async buildSummary(shift, counted = null) {
+    const to = shift.closedAt || new Date();
+    const { byMethod: sales, orderCount } = await this.getShiftSales(shift.theater, shift.staff.userId, shift.openedAt, to);
+
+    // 🎁 Money taken for gift cards during the shift
+    const giftCardSales = await GiftCardService.getSalesByMethod(shift.theater, shift.staff.userId, shift.openedAt, to);
+    let giftCardSalesTotal = 0;
+    giftCardSales.forEach((amount, method) => {
+      const key = normalizeMethod(method);
+      const line = sales.get(key) || { method: key, orderCount: 0, sales: 0 };
+      line.sales = roundAmount(line.sales + amount);
+      line.giftCardSales = roundAmount((line.giftCardSales || 0) + amount);
+      sales.set(key, line);
+      giftCardSalesTotal = roundAmount(giftCardSalesTotal + amount);
+    });
+
+    const movements = shift.cashMovements || [];
+    const cashIn = roundAmount(movements.filter(m => m.type === 'cash_in').reduce((sum, m) => sum + m.amount, 0));
+    const cashOut = roundAmount(movements.filter(m => m.type === 'cash_out').reduce((sum, m) => sum + m.amount, 0));
+
+    // Cash is always on the report, even with no cash sales
+    if (!sales.has('cash')) {
+      sales.set('cash', { method: 'cash', orderCount: 0, sales: 0 });
+    }
+    // Methods the cashier counted but sold nothing with still get a line
+    Object.keys(counted || {}).forEach(method => {
+      const key = normalizeMethod(method);
+      if (!sales.has(key)) {
+        sales.set(key, { method: key, orderCount: 0, sales: 0 });
+      }
+    });
+
+    const byMethod = [...sales.values()]
+      .sort((a, b) => (a.method === 'cash' ? -1 : b.method === 'cash' ? 1 : a.method.localeCompare(b.method)))
+      .map(line => {
+        const expected = line.method === 'cash'
+          ? roundAmount(shift.openingFloat + line.sales + cashIn - cashOut)
+          : line.sales;
+        const rawCounted = counted ? counted[line.method] : undefined;
+        const countedAmount = rawCounted === undefined || rawCounted === null || rawCounted === ''
+          ? null
+          : roundAmount(rawCounted);
+        return {
+          ...line,
+          expected,
+          counted: countedAmount,
+          variance: countedAmount === null ? null : roundAmount(countedAmount - expected)
+        };
+      });
+
+    const cashLine = byMethod.find(line => line.method === 'cash');
+
+    return {
+      orderCount,
+      salesTotal: roundAmount(byMethod.reduce((sum, line) => sum + line.sales, 0)),
+      giftCardSales: giftCardSalesTotal,
+      cashIn,
+      cashOut,
+      expectedCash: cashLine.expected,
+      countedCash: cashLine.counted,
+      cashVariance: cashLine.variance,
+      byMethod
+    };
+  }
+
+  /**
+   * Shift with live totals while it is open (stored totals once closed)
+   */
+  async withSummary(shift) {
+    const plain = typeof shift.toObject === 'function' ? shift.toObject() : shift;
+    if (plain.status === 'closed') return plain;
+    return { ...plain, summary: await this.buildSummary(plain) };
+  }
+
+  /**
+   * The logged-in cashier's open shift for a theater (null when none)
+   */
+  async getCurrentShift(theaterId, user) {
+    const staff = this.getStaff(user);
+    const shift = await CashierShift.findOne({
+      theater: theaterId,
+      'staff.userId': staff.userId,
+      status: 'open'
+    }).lean().maxTimeMS(15000);
+
+    return shift ? this.withSummary(shift) : null;
+  }
+
+  /**
+   * Open a shift with the starting float in the drawer
+   */
+  async openShift(theaterId, user, { openingFloat = 0, note = '' } = {}) {
+    const staff = this.getStaff(user);
+
+    const existing = await CashierShift.findOne({
+      theater: theaterId,
+      'staff.userId': staff.userId,
+      status: 'open'
+    }).lean();
+    if (existing) {
+      throw new Error(`Shift ${existing.shiftNumber} is already open - close it before opening a new one`);
+    }
+
+    const today = formatDateToLocal(new Date());
+    const dayStart = new Date(`${today}T00:00:00`);
+    const shiftsToday = await CashierShift.countDocuments({
+      theater: theaterId,
+      openedAt: { $gte: dayStart }
+    });
+
+    try {
+      const shift = await CashierShift.create({
+        theater: theaterId,
+        staff,
+        shiftNumber: `SH-${today.replace(/-/g, '')}-${String(shiftsToday + 1).padStart(2, '0')}`,
+        openingFloat: roundAmount(openingFloat),
+        openingNote: note || '',
+        openedAt: new Date()
+      });
+      return this.withSummary(shift);
+    } catch (error) {
+      // Unique open-shift index: a second tab opened one at the same moment
+      if (error.code === 11000) {
+        throw new Error('A shift is already open for this cashier');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Load an open shift the user is allowed to change
+   */
+  async getOpenShiftForUpdate(theaterId, shiftId, user) {
+    const shift = await CashierShift.findOne({ _id: shiftId, theater: theaterId });
+    if (!shift) {
+      throw new Error('Shift not found');
+    }
+    if (!this.canManageShift(shift, user)) {
+      throw new Error('You can only update your own shift');
+    }
+    if (shift.status !== 'open') {
+      throw new Error('Shift is already closed');
+    }
+    return shift;
+  }
+
+  /**
+   * Record cash put into or taken out of the drawer
+   */
+  async addCashMovement(theaterId, shiftId, user, { type, amount, reason = '' }) {
+    const shift = await this.getOpenShiftForUpdate(theaterId, shiftId, user);
+
+    if (type === 'cash_out') {
+      const summary = await this.buildSummary(shift.toObject());
+      if (roundAmount(amount) > summary.expectedCash) {
+        throw new Error(`Cash out exceeds the cash expected in the drawer (₹${summary.expectedCash.toFixed(2)})`);
+      }
+    }
+
+    shift.cashMovements.push({
+      type,
+      amount: roundAmount(amount),
+      reason: reason || '',
+      createdBy: { userId: user.userId || user._id, username: user.username || null },
+      createdAt: new Date()
+    });
+    await shift.save();
+
+    return this.withSummary(shift);
+  }
+
+  /**
+   * Close a shift with the counted drawer amounts and freeze its totals
+   * @param {Object} counted - { cash, card, upi, ... } as counted by the cashier
+   */
+  async closeShift(theaterId, shiftId, user, { counted = {}, note = '' }) {
+    const shift = await this.getOpenShiftForUpdate(theaterId, shiftId, user);
+
+    if (counted.cash === undefined || counted.cash === null || counted.cash === '') {
+      throw new Error('Counted cash is required to close the shift');
+    }
+
+    shift.closedAt = new Date();
+    shift.summary = await this.buildSummary(shift.toObject(), counted);
+    shift.status = 'closed';
+    shift.closingNote = note || '';
+    shift.closedBy = { userId: user.userId || user._id, username: user.username || null };
+    await shift.save();
+
+    return shift.toObject();
+  }
+
+  /**
+   * Shifts of a theater for a day (open shifts carry live totals)
+   */
+  async getShifts(theaterId, { date, status } = {}) {
+    const filter = { theater: theaterId };
+    if (date) {
+      const dayStart = new Date(`${date}T00:00:00`);
+      filter.openedAt = { $gte: dayStart, $lt: new Date(dayStart.getTime() + 24 * 60 * 60 * 1000) };
+    }
+    if (status) {
+      filter.status = status;
+    }
+
+    const shifts = await CashierShift.find(filter)
+      .sort({ openedAt: -1 })
+      .limit(200)
+      .lean()
+      .maxTimeMS(15000);
+
+    return Promise.all(shifts.map(shift => this.withSummary(shift)));
+  }
+
+  /**
+   * Z-report data: shift totals plus the theater header printed on it
+   * Counts each print so reprints can be told apart
+   */
+  async getZReport(theaterId, shiftId, user) {
+    const shift = await CashierShift.findOne({ _id: shiftId, theater: theaterId });
+    if (!shift) {
+      throw new Error('Shift not found');
+    }
+    if (!this.canManageShift(shift, user)) {
+      throw new Error('You can only print your own shift');
+    }
+
+    if (shift.status === 'closed') {
+      shift.zReportPrintCount = (shift.zReportPrintCount || 0) + 1;
+      await shift.save();
+    }
+
+    const theater = await Theater.findById(theaterId)
+      .select('name address phone email gstNumber fssaiNumber branding')
+      .lean();
+
+    return {
+      shift: await this.withSummary(shift),
+      theater: theater || null
+    };
+  }
+}
+
+module.exports = new CashierShiftService();
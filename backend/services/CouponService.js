@@ -0,0 +1,461 @@
+const mongoose = require('mongoose');
+const BaseService = require('./BaseService');
+const Coupon = require('../models/Coupon');
+const CouponUsage = require('../models/CouponUsage');
+const { calculateCouponDiscount } = require('../utils/orderCalculation');
+const { normalizePhone } = require('../utils/customerToken');
+
+const COUPON_FIELDS = [
+  'code', 'description', 'discountType', 'discountValue', 'minOrderAmount', 'maxDiscount',
+  'usageLimit', 'perCustomerLimit', 'validFrom', 'validUntil',
+  'applicableCategories', 'applicableProducts', 'channels', 'isActive'
+];
+
+// Orders in these states do not use up a coupon redemption
+const RELEASED_ORDER_STATUSES = ['cancelled'];
+// Paid orders always use up their redemption; unpaid ones only hold it while the checkout is open
+const REDEEMED_PAYMENT_STATUSES = ['paid', 'completed', 'partially_refunded', 'refunded'];
+const CHECKOUT_HOLD_MS = 30 * 60 * 1000;
+// A full counter is only recounted from the orders once no checkout has reserved for this long,
+// so reservations whose order is still being placed are never counted away
+const RECOUNT_AFTER_MS = 5 * 60 * 1000;
+
+// Stored phone formats of one customer on orders placed before couponPhone was recorded
+const phoneVariants = (phone) => [phone, `+91${phone}`, `91${phone}`];
+
+/**
+ * Orders that count as a redemption: not cancelled, and either paid or still in checkout
+ * Abandoned checkouts and failed payments give the redemption back automatically
+ */
+const redeemedOrderMatch = () => ({
+  'orderList.status': { $nin: RELEASED_ORDER_STATUSES },
+  $or: [
+    { 'orderList.payment.status': { $in: REDEEMED_PAYMENT_STATUSES } },
+    {
+      'orderList.payment.status': { $ne: 'failed' },
+      'orderList.createdAt': { $gte: new Date(Date.now() - CHECKOUT_HOLD_MS) }
+    }
+  ]
+});
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+/**
+ * Coupon Service
+ * Promo code definitions and their server-side validation at checkout
+ */
+class CouponService extends BaseService {
+  constructor() {
+    super(Coupon);
+  }
+
+  /**
+   * Get all coupons of a theater with their redemption counts
+   */
+  async getCoupons(theaterId) {
+    const doc = await Coupon.findOne({ theater: theaterId }).lean().maxTimeMS(15000);
+    const coupons = doc?.couponList || [];
+    const usage = await this.getUsageByCode(theaterId);
+
+    return coupons
+      .map(coupon => ({ ...coupon, usedCount: usage.get(coupon.code) || 0 }))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  /**
+   * Pick the editable fields from a request body
+   */
+  pickCouponFields(data) {
+    const fields = {};
+    COUPON_FIELDS.forEach(field => {
+      if (data[field] !== undefined) {
+        fields[field] = data[field];
+      }
+    });
+    if (fields.code !== undefined) {
+      fields.code = normalizeCode(fields.code);
+    }
+    // Empty values from the form mean "no limit"
+    ['maxDiscount', 'usageLimit', 'perCustomerLimit', 'validFrom', 'validUntil'].forEach(field => {
+      if (fields[field] === '') {
+        fields[field] = null;
+      }
+    });
+    return fields;
+  }
+
+  /**
+   * Check a coupon definition is consistent
+   */
+  validateCouponRules(coupon) {
+    if (coupon.discountType === 'percentage' && (coupon.discountValue <= 0 || coupon.discountValue > 100)) {
+      throw new Error('Coupon percentage must be between 1 and 100');
+    }
+    if (coupon.discountType === 'flat' && coupon.discountValue <= 0) {
+      throw new Error('Coupon amount must be greater than 0');
+    }
+    if (coupon.validFrom && coupon.validUntil && new Date(coupon.validUntil) <= new Date(coupon.validFrom)) {
+      throw new Error('Coupon end date must be after its start date');
+    }
+    if (!coupon.channels || coupon.channels.length === 0) {
+      throw new Error('Coupon must be usable on at least one channel');
+    }
+  }
+
+  /**
+   * Add a coupon
+   */
+  async createCoupon(theaterId, data) {
+    const fields = this.pickCouponFields(data);
+    const coupon = { channels: ['online', 'pos'], ...fields };
+    this.validateCouponRules(coupon);
+
+    let doc = await Coupon.findOne({ theater: theaterId });
+    if (!doc) {
+      doc = new Coupon({ theater: theaterId, couponList: [] });
+    }
+
+    if (doc.couponList.some(existing => existing.code === coupon.code)) {
+      throw new Error(`Coupon code ${coupon.code} already exists`);
+    }
+
+    doc.couponList.push(coupon);
+    await doc.save();
+    return doc.couponList[doc.couponList.length - 1];
+  }
+
+  /**
+   * A single coupon of a theater
+   */
+  async getCoupon(theaterId, couponId) {
+    const doc = await Coupon.findOne(
+      { theater: theaterId, 'couponList._id': couponId },
+      { 'couponList.$': 1 }
+    ).lean();
+    return doc?.couponList?.[0] || null;
+  }
+
+  /**
+   * Update a coupon
+   */
+  async updateCoupon(theaterId, couponId, data) {
+    const doc = await Coupon.findOne({ theater: theaterId });
+    const coupon = doc?.couponList.id(couponId);
+    if (!coupon) {
+      throw new Error('Coupon not found');
+    }
+
+    const fields = this.pickCouponFields(data);
+    if (fields.code && doc.couponList.some(existing => existing.code === fields.code && String(existing._id) !== String(couponId))) {
+      throw new Error(`Coupon code ${fields.code} already exists`);
+    }
+
+    Object.assign(coupon, fields);
+    this.validateCouponRules(coupon);
+    coupon.updatedAt = new Date();
+
+    await doc.save();
+    return coupon;
+  }
+
+  /**
+   * Delete a coupon (past orders keep the code and discount they were billed with)
+   */
+  async deleteCoupon(theaterId, couponId) {
+    const result = await Coupon.findOneAndUpdate(
+      { theater: theaterId, 'couponList._id': couponId },
+      { $pull: { couponList: { _id: couponId } }, $set: { updatedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!result) {
+      throw new Error('Coupon not found');
+    }
+    return true;
+  }
+
+  /**
+   * Redemptions per coupon code - counted from the orders that carry the code (see redeemedOrderMatch)
+   */
+  async getUsageByCode(theaterId) {
+    const rows = await mongoose.connection.db.collection('theaterorders').aggregate([
+      { $match: { theater: new mongoose.Types.ObjectId(theaterId) } },
+      { $unwind: '$orderList' },
+      {
+        $match: {
+          'orderList.pricing.couponCode': { $exists: true, $ne: null },
+          ...redeemedOrderMatch()
+        }
+      },
+      { $group: { _id: '$orderList.pricing.couponCode', count: { $sum: 1 } } }
+    ]).toArray();
+
+    return new Map(rows.map(row => [row._id, row.count]));
+  }
+
+  /**
+   * Redemptions of one code - overall and by one customer phone number
+   * Phones are compared on their last 10 digits, whatever format the order stored
+   */
+  async getUsage(theaterId, code, customerPhone = null) {
+    const phone = normalizePhone(customerPhone) || null;
+    const variants = phone ? phoneVariants(phone) : [];
+
+    const [row] = await mongoose.connection.db.collection('theaterorders').aggregate([
+      { $match: { theater: new mongoose.Types.ObjectId(theaterId) } },
+      { $unwind: '$orderList' },
+      {
+        $match: {
+          'orderList.pricing.couponCode': code,
+          ...redeemedOrderMatch()
+        }
+      },
+      {
+        $group: {
+          _id: null,
+          total: { $sum: 1 },
+          byCustomer: {
+            $sum: {
+              $cond: [
+                {
+                  $and: [
+                    { $ne: [phone, null] },
+                    {
+                      $or: [
+                        { $eq: ['$orderList.pricing.couponPhone', phone] },
+                        { $in: ['$orderList.customerInfo.phone', variants] },
+                        { $in: ['$orderList.customerInfo.phoneNumber', variants] }
+                      ]
+                    }
+                  ]
+                },
+                1,
+                0
+              ]
+            }
+          }
+        }
+      }
+    ]).toArray();
+
+    return { total: row?.total || 0, byCustomer: row?.byCustomer || 0 };
+  }
+
+  /**
+   * Coupon lines for the items of an order: amount after item discount, before tax
+   * Combo offers are already discounted and never take a coupon
+   * @param {Array} productList - Theater productlist entries (for category lookup and prices)
+   * @param {Array} items - Order items [{ productId, quantity, unitPrice?, discountPercentage?, priceAfterDiscount? }]
+   */
+  buildCouponLines(productList, items) {
+    const products = new Map((productList || []).map(product => [String(product._id), product]));
+
+    return (items || [])
+      .filter(item => !item.isFromCombo && !item.isCombo && !item.isComboOffer)
+      .map(item => {
+        const product = products.get(String(item.productId));
+        if (!product) return null;
+
+        let amount = item.priceAfterDiscount;
+        if (amount === undefined || amount === null) {
+          const price = parseFloat(item.unitPrice || product.pricing?.sellingPrice || product.pricing?.basePrice) || 0;
+          const discountPercentage = parseFloat(item.discountPercentage || product.pricing?.discountPercentage) || 0;
+          const lineTotal = price * (parseInt(item.quantity) || 0);
+          amount = lineTotal - lineTotal * (discountPercentage / 100);
+        }
+
+        return {
+          productId: String(product._id),
+          categoryId: product.categoryId ? String(product.categoryId) : null,
+          amount
+        };
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Validate a coupon code for an order and work out its discount
+   * Throws with a customer-facing message when the coupon cannot be used
+   * @param {string} theaterId
+   * @param {string} code - Code as entered
+   * @param {Object} options - { lines, customerPhone, channel: 'online'|'pos', at, requireCustomer }
+   *   requireCustomer: false lets a preview pass before the customer's phone is known
+   * @returns {Object} { couponId, code, description, discountType, discountValue, discount, eligibleAmount }
+   */
+  async evaluateCoupon(theaterId, code, { lines = [], customerPhone = null, channel = 'online', at = new Date(), requireCustomer = true } = {}) {
+    const normalizedCode = normalizeCode(code);
+    const doc = await Coupon.findOne({ theater: theaterId }).lean().maxTimeMS(15000);
+    const coupon = (doc?.couponList || []).find(entry => entry.code === normalizedCode);
+
+    if (!coupon || !coupon.isActive) {
+      throw new Error('Coupon code is not valid');
+    }
+    if (coupon.validFrom && at < new Date(coupon.validFrom)) {
+      throw new Error('Coupon is not active yet');
+    }
+    if (coupon.validUntil && at > new Date(coupon.validUntil)) {
+      throw new Error('Coupon has expired');
+    }
+    if (!(coupon.channels || []).includes(channel)) {
+      throw new Error(channel === 'pos'
+        ? 'Coupon can only be used for online orders'
+        : 'Coupon can only be used at the counter');
+    }
+
+    const calculation = calculateCouponDiscount(coupon, lines);
+    if (!calculation.valid) {
+      throw new Error(calculation.message);
+    }
+
+    if (coupon.usageLimit || coupon.perCustomerLimit) {
+      if (coupon.perCustomerLimit && !customerPhone && requireCustomer) {
+        throw new Error('Coupon needs the customer\'s phone number');
+      }
+
+      const usage = await this.getUsage(theaterId, coupon.code, customerPhone);
+      if (coupon.usageLimit && usage.total >= coupon.usageLimit) {
+        throw new Error('Coupon usage limit has been reached');
+      }
+      if (coupon.perCustomerLimit && usage.byCustomer >= coupon.perCustomerLimit) {
+        throw new Error('Coupon has already been used the maximum number of times by this customer');
+      }
+    }
+
+    return {
+      couponId: coupon._id,
+      code: coupon.code,
+      description: coupon.description,
+      discountType: coupon.discountType,
+      discountValue: coupon.discountValue,
+      usageLimit: coupon.usageLimit || null,
+      perCustomerLimit: coupon.perCustomerLimit || null,
+      discount: calculation.discount,
+      eligibleAmount: calculation.eligibleAmount
+    };
+  }
+
+  /**
+   * Reserve a redemption of an evaluated coupon for an order about to be placed
+   * evaluateCoupon's count is only a check - this is what stops concurrent checkouts passing a limit
+   * @param {Object} coupon - Result of evaluateCoupon
+   * @returns {Array} Phones of the counters taken ('' = overall), for releaseReservation
+   */
+  async reserveRedemption(theaterId, coupon, customerPhone = null) {
+    const phone = normalizePhone(customerPhone);
+    const limits = [];
+    if (coupon.usageLimit) {
+      limits.push({ phone: '', limit: coupon.usageLimit, message: 'Coupon usage limit has been reached' });
+    }
+    if (coupon.perCustomerLimit && phone) {
+      limits.push({ phone, limit: coupon.perCustomerLimit, message: 'Coupon has already been used the maximum number of times by this customer' });
+    }
+
+    const taken = [];
+    try {
+      for (const { phone: counterPhone, limit, message } of limits) {
+        if (!(await this.takeRedemption(theaterId, coupon.code, counterPhone, limit))) {
+          throw new Error(message);
+        }
+        taken.push(counterPhone);
+      }
+    } catch (error) {
+      await this.releaseReservation(theaterId, coupon.code, taken);
+      throw error;
+    }
+    return taken;
+  }
+
+  /**
+   * Count one redemption on a counter if it is under the limit
+   * A full counter is recounted from the orders once, since cancelled or abandoned orders may still be on it
+   */
+  async takeRedemption(theaterId, code, phone, limit) {
+    const increment = () => CouponUsage.findOneAndUpdate(
+      { theater: theaterId, code, phone, count: { $lt: limit } },
+      { $inc: { count: 1 }, $set: { lastReservedAt: new Date() } },
+      { upsert: true, new: true }
+    ).catch(error => {
+      // The counter exists but is full, so the upsert tried to create a second one
+      if (error.code === 11000) return null;
+      throw error;
+    });
+
+    if (await increment()) return true;
+    if (!(await this.recountUsage(theaterId, code, phone))) return false;
+    return !!(await increment());
+  }
+
+  /**
+   * Bring a counter down to the redemptions the orders still hold
+   * @returns {boolean} Whether the counter went down
+   */
+  async recountUsage(theaterId, code, phone) {
+    const counter = await CouponUsage.findOne({ theater: theaterId, code, phone }).lean();
+    if (!counter || (counter.lastReservedAt && Date.now() - new Date(counter.lastReservedAt) < RECOUNT_AFTER_MS)) {
+      return false;
+    }
+
+    const usage = await this.getUsage(theaterId, code, phone || null);
+    const count = phone ? usage.byCustomer : usage.total;
+    if (count >= counter.count) return false;
+
+    // Compare-and-set - a reservation or release since the read leaves the counter alone
+    const result = await CouponUsage.updateOne(
+      { _id: counter._id, count: counter.count, lastReservedAt: counter.lastReservedAt },
+      { $set: { count } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Give back redemptions counted by reserveRedemption
+   * @param {Array} phones - Counters to give back ('' = overall)
+   */
+  async releaseReservation(theaterId, code, phones) {
+    if (!phones || phones.length === 0) return;
+    await CouponUsage.updateMany(
+      { theater: theaterId, code, phone: { $in: phones }, count: { $gt: 0 } },
+      { $inc: { count: -1 } }
+    );
+  }
+
+  /**
+   * Give back the coupon redemption of a cancelled order - once, however often the order is cancelled
+   */
+  async releaseOrderRedemption(theaterId, order) {
+    const reserved = order.pricing?.couponReserved;
+    if (!order.pricing?.couponCode || !reserved || reserved.length === 0) return;
+
+    const claim = await mongoose.connection.db.collection('theaterorders').updateOne(
+      {
+        theater: new mongoose.Types.ObjectId(theaterId),
+        orderList: { $elemMatch: { _id: order._id, 'pricing.couponReleased': { $ne: true } } }
+      },
+      { $set: { 'orderList.$.pricing.couponReleased': true } }
+    );
+    if (claim.modifiedCount === 0) return;
+
+    await this.releaseReservation(theaterId, order.pricing.couponCode, reserved);
+  }
+
+  /**
+   * Check a code from the cart before the order is placed (customer checkout / POS cart)
+   * Uses the same lines and rules as createOrder, so the preview matches the billed discount
+   * The per-customer limit is checked again when the order is placed with the customer's phone
+   */
+  async previewCoupon(theaterId, { code, items, customerPhone, channel }) {
+    const productContainer = await mongoose.connection.db.collection('productlist').findOne({
+      theater: new mongoose.Types.ObjectId(theaterId)
+    });
+
+    const lines = this.buildCouponLines(productContainer?.productList, items);
+    return this.evaluateCoupon(theaterId, code, {
+      lines,
+      customerPhone: customerPhone || null,
+      channel,
+      requireCustomer: false
+    });
+  }
+}
+
+module.exports = new CouponService();
@@ -0,0 +1,237 @@
+const mongoose = require('mongoose');
+const Coupon = require('../models/Coupon');
+const CouponUsage = require('../models/CouponUsage');
+const CouponService = require('./CouponService');
+
+describe('CouponService.evaluateCoupon', () => {
+  const theaterId = '64b0000000000000000000aa';
+  const lines = [
+    { productId: 'p1', categoryId: 'c1', amount: 300 },
+    { productId: 'p2', categoryId: 'c2', amount: 100 }
+  ];
+  let coupon;
+  let usage;
+
+  beforeEach(() => {
+    coupon = {
+      _id: 'coupon1',
+      code: 'WELCOME10',
+      description: '10% off',
+      discountType: 'percentage',
+      discountValue: 10,
+      maxDiscount: 35,
+      channels: ['online', 'pos'],
+      isActive: true
+    };
+    usage = { total: 0, byCustomer: 0 };
+    jest.spyOn(Coupon, 'findOne').mockImplementation(() => ({
+      lean: () => ({ maxTimeMS: async () => ({ couponList: [coupon] }) })
+    }));
+    jest.spyOn(CouponService, 'getUsage').mockImplementation(async () => usage);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('takes the discount off the order, capped at the maximum', async () => {
+    const result = await CouponService.evaluateCoupon(theaterId, ' welcome10 ', { lines });
+    expect(result).toMatchObject({ code: 'WELCOME10', discount: 35, eligibleAmount: 400 });
+    // No limits - redemptions are not even counted
+    expect(CouponService.getUsage).not.toHaveBeenCalled();
+  });
+
+  it('stops at the overall usage limit', async () => {
+    coupon.usageLimit = 100;
+    usage.total = 99;
+    await expect(CouponService.evaluateCoupon(theaterId, 'WELCOME10', { lines })).resolves.toBeTruthy();
+
+    usage.total = 100;
+    await expect(CouponService.evaluateCoupon(theaterId, 'WELCOME10', { lines }))
+      .rejects.toThrow('Coupon usage limit has been reached');
+  });
+
+  it('stops at the per customer limit for the customer phone', async () => {
+    coupon.perCustomerLimit = 1;
+    usage.byCustomer = 1;
+
+    await expect(CouponService.evaluateCoupon(theaterId, 'WELCOME10', { lines, customerPhone: '+91 98765 43210' }))
+      .rejects.toThrow('Coupon has already been used the maximum number of times by this customer');
+    expect(CouponService.getUsage).toHaveBeenCalledWith(theaterId, 'WELCOME10', '+91 98765 43210');
+  });
+
+  it('needs the customer phone for a per customer limit unless it is only a preview', async () => {
+    coupon.perCustomerLimit = 2;
+
+    await expect(CouponService.evaluateCoupon(theaterId, 'WELCOME10', { lines }))
+      .rejects.toThrow('Coupon needs the customer\'s phone number');
+    await expect(CouponService.evaluateCoupon(theaterId, 'WELCOME10', { lines, requireCustomer: false }))
+      .resolves.toMatchObject({ discount: 35 });
+  });
+
+  it('checks the dates, channel and minimum order before counting redemptions', async () => {
+    coupon.usageLimit = 1;
+    const at = new Date('2026-10-16T12:00:00Z');
+
+    coupon.validUntil = new Date('2026-10-15T23:59:59Z');
+    await expect(CouponService.evaluateCoupon(theaterId, 'WELCOME10', { lines, at })).rejects.toThrow('Coupon has expired');
+
+    coupon.validUntil = null;
+    coupon.channels = ['online'];
+    await expect(CouponService.evaluateCoupon(theaterId, 'WELCOME10', { lines, channel: 'pos', at }))
+      .rejects.toThrow('Coupon can only be used for online orders');
+
+    coupon.channels = ['online', 'pos'];
+    coupon.minOrderAmount = 500;
+    await expect(CouponService.evaluateCoupon(theaterId, 'WELCOME10', { lines, at }))
+      .rejects.toThrow('Coupon requires a minimum order of ₹500');
+
+    expect(CouponService.getUsage).not.toHaveBeenCalled();
+  });
+});
+
+describe('CouponService.getUsage', () => {
+  const originalDb = mongoose.connection.db;
+  let pipeline;
+
+  beforeEach(() => {
+    mongoose.connection.db = {
+      collection: () => ({
+        aggregate: (stages) => {
+          pipeline = stages;
+          return { toArray: async () => [{ total: 4, byCustomer: 2 }] };
+        }
+      })
+    };
+  });
+
+  afterEach(() => {
+    mongoose.connection.db = originalDb;
+  });
+
+  it('counts paid or in-checkout orders that are not cancelled', async () => {
+    const usage = await CouponService.getUsage('64b0000000000000000000aa', 'WELCOME10');
+    expect(usage).toEqual({ total: 4, byCustomer: 2 });
+
+    const match = pipeline[2].$match;
+    expect(match['orderList.pricing.couponCode']).toBe('WELCOME10');
+    expect(match['orderList.status']).toEqual({ $nin: ['cancelled'] });
+    expect(match.$or[0]['orderList.payment.status'].$in).toEqual(['paid', 'completed', 'partially_refunded', 'refunded']);
+    expect(match.$or[1]['orderList.payment.status']).toEqual({ $ne: 'failed' });
+  });
+
+  it('matches the customer on the last 10 digits of the phone, whatever format the order stored', async () => {
+    await CouponService.getUsage('64b0000000000000000000aa', 'WELCOME10', '+91 98765-43210');
+
+    const customerMatch = pipeline[3].$group.byCustomer.$sum.$cond[0].$and[1].$or;
+    expect(customerMatch[0]).toEqual({ $eq: ['$orderList.pricing.couponPhone', '9876543210'] });
+    expect(customerMatch[1].$in[1]).toEqual(['9876543210', '+919876543210', '919876543210']);
+  });
+});
+
+describe('CouponService.reserveRedemption', () => {
+  const theaterId = '64b0000000000000000000aa';
+  const originalDb = mongoose.connection.db;
+  const coupon = { code: 'WELCOME10', usageLimit: 2, perCustomerLimit: 1 };
+  let counters;
+  let usage;
+
+  const counter = (phone) => counters.find(entry => entry.phone === phone);
+
+  beforeEach(() => {
+    counters = [];
+    usage = { total: 0, byCustomer: 0 };
+    // Guarded upsert - a full counter does not match, so the upsert collides with it on the unique index
+    jest.spyOn(CouponUsage, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      const existing = counter(filter.phone);
+      if (existing && existing.count >= filter.count.$lt) {
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      }
+      const entry = existing || { _id: `counter${counters.length + 1}`, phone: filter.phone, count: 0 };
+      if (!existing) counters.push(entry);
+      entry.count += update.$inc.count;
+      entry.lastReservedAt = update.$set.lastReservedAt;
+      return { ...entry };
+    });
+    jest.spyOn(CouponUsage, 'findOne').mockImplementation((filter) => ({
+      lean: async () => (counter(filter.phone) ? { ...counter(filter.phone) } : null)
+    }));
+    jest.spyOn(CouponUsage, 'updateOne').mockImplementation(async (filter, update) => {
+      const entry = counters.find(item => item._id === filter._id);
+      if (!entry || entry.count !== filter.count || entry.lastReservedAt !== filter.lastReservedAt) {
+        return { modifiedCount: 0 };
+      }
+      entry.count = update.$set.count;
+      return { modifiedCount: 1 };
+    });
+    jest.spyOn(CouponUsage, 'updateMany').mockImplementation(async (filter, update) => {
+      counters
+        .filter(entry => filter.phone.$in.includes(entry.phone) && entry.count > 0)
+        .forEach(entry => { entry.count += update.$inc.count; });
+      return {};
+    });
+    jest.spyOn(CouponService, 'getUsage').mockImplementation(async () => usage);
+  });
+
+  afterEach(() => {
+    mongoose.connection.db = originalDb;
+    jest.restoreAllMocks();
+  });
+
+  it('lets only as many concurrent checkouts through as the usage limit allows', async () => {
+    const results = await Promise.allSettled(['9876543210', '9876543211', '9876543212', '9876543213']
+      .map(phone => CouponService.reserveRedemption(theaterId, coupon, phone)));
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(2);
+    expect(results.filter(result => result.status === 'rejected').map(result => result.reason.message))
+      .toEqual(['Coupon usage limit has been reached', 'Coupon usage limit has been reached']);
+    expect(counter('').count).toBe(2);
+  });
+
+  it('gives back the overall redemption when the customer has used up theirs', async () => {
+    await expect(CouponService.reserveRedemption(theaterId, coupon, '+91 98765 43210')).resolves.toEqual(['', '9876543210']);
+    await expect(CouponService.reserveRedemption(theaterId, coupon, '9876543210'))
+      .rejects.toThrow('Coupon has already been used the maximum number of times by this customer');
+
+    expect(counter('').count).toBe(1);
+    expect(counter('9876543210').count).toBe(1);
+  });
+
+  it('recounts a full counter from the orders once nobody has reserved for a while', async () => {
+    counters.push({ _id: 'counter1', phone: '', count: 2, lastReservedAt: new Date() });
+    await expect(CouponService.reserveRedemption(theaterId, coupon)).rejects.toThrow('Coupon usage limit has been reached');
+    // Reservations of orders still being placed are not counted away
+    expect(CouponService.getUsage).not.toHaveBeenCalled();
+
+    // One of the two orders was abandoned
+    counters[0].lastReservedAt = new Date(Date.now() - 10 * 60 * 1000);
+    usage.total = 1;
+    await expect(CouponService.reserveRedemption(theaterId, coupon)).resolves.toEqual(['']);
+    expect(counter('').count).toBe(2);
+  });
+
+  it('gives back the redemption of a cancelled order only once', async () => {
+    let released = false;
+    mongoose.connection.db = {
+      collection: () => ({
+        updateOne: async () => {
+          const modifiedCount = released ? 0 : 1;
+          released = true;
+          return { modifiedCount };
+        }
+      })
+    };
+    const order = {
+      _id: new mongoose.Types.ObjectId('64b000000000000000000001'),
+      pricing: { couponCode: 'WELCOME10', couponReserved: await CouponService.reserveRedemption(theaterId, coupon, '9876543210') }
+    };
+
+    await Promise.all([
+      CouponService.releaseOrderRedemption(theaterId, order),
+      CouponService.releaseOrderRedemption(theaterId, order)
+    ]);
+
+    expect(counter('').count).toBe(0);
+    expect(counter('9876543210').count).toBe(0);
+  });
+});
@@ -0,0 +1,574 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const BaseService = require('./BaseService');
+const GiftCard = require('../models/GiftCard');
+const GiftCardTransaction = require('../models/GiftCardTransaction');
+
+// Unambiguous characters only (no 0/O, 1/I/L) - codes are read out and typed at the counter
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 12;
+const LOAD_PAYMENT_METHODS = ['cash', 'card', 'upi'];
+const MAX_CARD_VALUE = 100000;
+
+const PAID_STATUSES = ['paid', 'completed', 'partially_refunded'];
+// Unpaid online orders older than this are treated as abandoned and give the card balance back
+const ABANDONED_ORDER_MS = 24 * 60 * 60 * 1000;
+
+const round = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const normalizeCode = (code) => String(code || '').replace(/[\s-]/g, '').toUpperCase();
+
+const staffOf = (actor = {}) => {
+  const userId = actor.userId || actor._id;
+  return {
+    userId: userId && mongoose.Types.ObjectId.isValid(String(userId)) ? new mongoose.Types.ObjectId(String(userId)) : undefined,
+    username: actor.username || undefined
+  };
+};
+
+/**
+ * Gift Card Service
+ * Prepaid cards sold at the counter and spent as a 'giftcard' payment tender (POS and online).
+ * Balances move only through this service so every change has a ledger entry
+ */
+class GiftCardService extends BaseService {
+  constructor() {
+    super(GiftCard);
+  }
+
+  /**
+   * Random card code, e.g. "K7QM4TZP9WRA" (printed in groups of four)
+   */
+  generateCode() {
+    let code = '';
+    for (let i = 0; i < CODE_LENGTH; i++) {
+      code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+    }
+    return code;
+  }
+
+  /**
+   * Cards of a theater, newest first
+   */
+  async getCards(theaterId, { search = '', status = '', page = 1, limit = 50 } = {}) {
+    const filter = { theater: theaterId };
+    if (status) filter.status = status;
+    if (search) {
+      const term = search.trim();
+      const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      filter.$or = [
+        { code: normalizeCode(term) },
+        { customerName: { $regex: escaped, $options: 'i' } },
+        { customerPhone: { $regex: escaped } }
+      ];
+    }
+
+    const pageNumber = Math.max(1, parseInt(page) || 1);
+    const pageSize = Math.min(200, Math.max(1, parseInt(limit) || 50));
+
+    const [cards, total, summary] = await Promise.all([
+      GiftCard.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize)
+        .lean()
+        .maxTimeMS(15000),
+      GiftCard.countDocuments(filter),
+      this.getCardSummary(theaterId)
+    ]);
+
+    return {
+      cards,
+      summary,
+      pagination: {
+        current: pageNumber,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
+    };
+  }
+
+  /**
+   * Card counts and the value still owed to card holders
+   */
+  async getCardSummary(theaterId) {
+    const [row] = await GiftCard.aggregate([
+      { $match: { theater: new mongoose.Types.ObjectId(theaterId) } },
+      {
+        $group: {
+          _id: null,
+          totalCards: { $sum: 1 },
+          activeCards: { $sum: { $cond: [{ $eq: ['$status', 'active'] }, 1, 0] } },
+          outstandingBalance: { $sum: '$balance' }
+        }
+      }
+    ]);
+
+    return {
+      totalCards: row?.totalCards || 0,
+      activeCards: row?.activeCards || 0,
+      outstandingBalance: round(row?.outstandingBalance)
+    };
+  }
+
+  /**
+   * Card by its printed / scanned code
+   */
+  async findByCode(theaterId, code) {
+    const normalized = normalizeCode(code);
+    if (!normalized) {
+      throw new Error('Gift card code is required');
+    }
+    const card = await GiftCard.findOne({ theater: theaterId, code: normalized }).maxTimeMS(15000);
+    if (!card) {
+      throw new Error('Gift card not found');
+    }
+    return card;
+  }
+
+  /**
+   * Card with its ledger, after returning balance held by orders that never went through
+   */
+  async getCardDetails(theaterId, cardId) {
+    const card = await GiftCard.findOne({ _id: cardId, theater: theaterId });
+    if (!card) {
+      throw new Error('Gift card not found');
+    }
+    await this.settleCard(card);
+
+    const [fresh, history] = await Promise.all([
+      GiftCard.findById(card._id).lean(),
+      GiftCardTransaction.find({ card: card._id })
+        .sort({ createdAt: -1 })
+        .limit(200)
+        .lean()
+    ]);
+    return { ...fresh, history };
+  }
+
+  /**
+   * Balance check by code (POS tender panel and customer checkout)
+   */
+  async checkBalance(theaterId, code) {
+    const card = await this.findByCode(theaterId, code);
+    await this.settleCard(card);
+    const fresh = await GiftCard.findById(card._id).lean();
+
+    return {
+      code: fresh.code,
+      balance: round(fresh.balance),
+      status: fresh.status,
+      expiresAt: fresh.expiresAt,
+      isUsable: this.getUnusableReason(fresh) === null
+    };
+  }
+
+  /**
+   * Why a card cannot be spent right now (null when it can)
+   */
+  getUnusableReason(card, at = new Date()) {
+    if (card.status === 'blocked') return 'Gift card is blocked';
+    if (card.expiresAt && new Date(card.expiresAt) <= at) return 'Gift card has expired';
+    if (!(card.balance > 0)) return 'Gift card has no balance left';
+    return null;
+  }
+
+  validateLoad(amount, paymentMethod) {
+    const value = round(amount);
+    if (!(value > 0)) {
+      throw new Error('Gift card amount must be greater than 0');
+    }
+    if (!LOAD_PAYMENT_METHODS.includes(paymentMethod)) {
+      throw new Error('Gift card must be paid for with cash, card or UPI');
+    }
+    return value;
+  }
+
+  /**
+   * Sell a new card loaded with an amount
+   */
+  async issueCard(theaterId, data, actor = {}) {
+    const amount = this.validateLoad(data.amount, data.paymentMethod);
+    if (amount > MAX_CARD_VALUE) {
+      throw new Error(`Gift card value cannot exceed ₹${MAX_CARD_VALUE}`);
+    }
+    if (data.expiresAt && new Date(data.expiresAt) <= new Date()) {
+      throw new Error('Gift card expiry must be in the future');
+    }
+
+    const staff = staffOf(actor);
+    let card = null;
+    // A clash in the unique index just means another random code is needed
+    for (let attempt = 0; attempt < 5 && !card; attempt++) {
+      try {
+        card = await GiftCard.create({
+          theater: theaterId,
+          code: this.generateCode(),
+          initialValue: amount,
+          balance: amount,
+          expiresAt: data.expiresAt || null,
+          customerName: data.customerName || '',
+          customerPhone: data.customerPhone || '',
+          note: data.note || '',
+          issuedBy: staff
+        });
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+      }
+    }
+    if (!card) {
+      throw new Error('Gift card code could not be generated - please try again');
+    }
+
+    await GiftCardTransaction.create({
+      theater: theaterId,
+      card: card._id,
+      code: card.code,
+      type: 'issue',
+      amount,
+      balanceAfter: amount,
+      paymentMethod: data.paymentMethod,
+      performedBy: staff,
+      note: data.note || ''
+    });
+
+    return card.toObject();
+  }
+
+  /**
+   * Load more value onto a card
+   */
+  async topUpCard(theaterId, cardId, data, actor = {}) {
+    const amount = this.validateLoad(data.amount, data.paymentMethod);
+
+    const card = await GiftCard.findOneAndUpdate(
+      {
+        _id: cardId,
+        theater: theaterId,
+        status: 'active',
+        balance: { $lte: MAX_CARD_VALUE - amount }
+      },
+      { $inc: { balance: amount } },
+      { new: true }
+    );
+
+    if (!card) {
+      const existing = await GiftCard.findOne({ _id: cardId, theater: theaterId }).lean();
+      if (!existing) throw new Error('Gift card not found');
+      if (existing.status === 'blocked') throw new Error('Gift card is blocked');
+      throw new Error(`Gift card balance cannot exceed ₹${MAX_CARD_VALUE}`);
+    }
+
+    await GiftCardTransaction.create({
+      theater: theaterId,
+      card: card._id,
+      code: card.code,
+      type: 'topup',
+      amount,
+      balanceAfter: round(card.balance),
+      paymentMethod: data.paymentMethod,
+      performedBy: staffOf(actor),
+      note: data.note || ''
+    });
+
+    return card.toObject();
+  }
+
+  /**
+   * Block a lost card or unblock it again
+   */
+  async setCardStatus(theaterId, cardId, status, actor = {}, note = '') {
+    const card = await GiftCard.findOne({ _id: cardId, theater: theaterId });
+    if (!card) {
+      throw new Error('Gift card not found');
+    }
+    if (card.status === status) {
+      return card.toObject();
+    }
+
+    card.status = status;
+    await card.save();
+
+    await GiftCardTransaction.create({
+      theater: theaterId,
+      card: card._id,
+      code: card.code,
+      type: status === 'blocked' ? 'block' : 'unblock',
+      amount: 0,
+      balanceAfter: round(card.balance),
+      performedBy: staffOf(actor),
+      note
+    });
+
+    return card.toObject();
+  }
+
+  /**
+   * How much of a bill a card can pay (online checkout uses the card for as much as it covers)
+   * @returns {Object} { code, amount, balance }
+   */
+  async quoteRedemption(theaterId, code, payable) {
+    const card = await this.findByCode(theaterId, code);
+    await this.settleCard(card);
+    const fresh = await GiftCard.findById(card._id).lean();
+
+    const reason = this.getUnusableReason(fresh);
+    if (reason) {
+      throw new Error(reason);
+    }
+
+    const amount = round(Math.min(fresh.balance, Number(payable) || 0));
+    if (amount <= 0) {
+      throw new Error('Gift card cannot be used on this order');
+    }
+    return { code: fresh.code, amount, balance: round(fresh.balance) };
+  }
+
+  /**
+   * Take the gift card tenders of a new order off their cards
+   * All or nothing - cards already charged are refunded when a later one fails
+   * @param {Array} tenders - [{ method: 'giftcard', amount, reference: code }]
+   */
+  async redeemTenders(theaterId, tenders, order, actor = {}) {
+    const charged = [];
+    try {
+      for (const tender of tenders) {
+        const code = normalizeCode(tender.reference);
+        const amount = round(tender.amount);
+        const card = await GiftCard.findOneAndUpdate(
+          {
+            theater: theaterId,
+            code,
+            status: 'active',
+            balance: { $gte: amount },
+            $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+          },
+          { $inc: { balance: -amount }, $set: { lastUsedAt: new Date() } },
+          { new: true }
+        );
+
+        if (!card) {
+          const existing = await this.findByCode(theaterId, code);
+          const reason = this.getUnusableReason(existing);
+          throw new Error(reason || `Gift card balance (₹${round(existing.balance).toFixed(2)}) is less than ₹${amount.toFixed(2)}`);
+        }
+
+        const charge = { card, amount };
+        charged.push(charge);
+        charge.entry = await GiftCardTransaction.create({
+          theater: theaterId,
+          card: card._id,
+          code: card.code,
+          type: 'redeem',
+          amount: -amount,
+          balanceAfter: round(card.balance),
+          orderId: order._id,
+          orderNumber: order.orderNumber,
+          performedBy: staffOf(actor)
+        });
+      }
+    } catch (error) {
+      for (const { card, amount, entry } of charged) {
+        const giveBack = entry
+          ? this.returnRedemption(entry, amount, order, 'Order could not be placed')
+          : this.creditCard(card, amount, order, 'Order could not be placed');
+        await giveBack.catch(refundError =>
+          console.error(`❌ [GiftCardService] Failed to return ₹${amount} to gift card ${card.code}:`, refundError.message)
+        );
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Put an amount back on a card with a refund entry
+   */
+  async creditCard(card, amount, order, note) {
+    const updated = await GiftCard.findByIdAndUpdate(
+      card._id,
+      { $inc: { balance: amount } },
+      { new: true }
+    );
+    await GiftCardTransaction.create({
+      theater: card.theater,
+      card: card._id,
+      code: card.code,
+      type: 'refund',
+      amount,
+      balanceAfter: round(updated?.balance),
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      note
+    });
+  }
+
+  /**
+   * Give back up to `amount` of one redeem entry
+   * The entry's returnedAmount is claimed with a compare-and-set before the card is credited,
+   * so refunds and settles running at the same time cannot return the same money twice
+   * @returns {number} Amount returned
+   */
+  async returnRedemption(entry, amount, order, note) {
+    let current = entry;
+    for (let attempt = 0; current && attempt < 5; attempt++) {
+      const returned = round(current.returnedAmount);
+      const credit = round(Math.min(-current.amount - returned, amount));
+      if (credit <= 0) return 0;
+
+      const claimed = await GiftCardTransaction.findOneAndUpdate(
+        { _id: current._id, type: 'redeem', returnedAmount: returned },
+        { $set: { returnedAmount: round(returned + credit) } },
+        { new: true }
+      );
+      if (!claimed) {
+        // Someone else returned part of it first - try again with what is left
+        current = await GiftCardTransaction.findById(current._id).lean();
+        continue;
+      }
+
+      try {
+        await this.creditCard({ _id: current.card, theater: current.theater, code: current.code }, credit, order, note);
+      } catch (error) {
+        await GiftCardTransaction.updateOne(
+          { _id: current._id, returnedAmount: round(returned + credit) },
+          { $set: { returnedAmount: returned } }
+        );
+        throw error;
+      }
+      return credit;
+    }
+    return 0;
+  }
+
+  /**
+   * Return gift card money of an order - up to `amount`, never more than was charged and not yet returned
+   * @returns {number} Amount returned to cards
+   */
+  async refundOrder(theaterId, order, amount = Infinity, note = '') {
+    const redemptions = await GiftCardTransaction.find({
+      theater: theaterId,
+      orderId: order._id,
+      type: 'redeem'
+    }).lean();
+
+    let left = amount;
+    let returned = 0;
+    for (const entry of redemptions) {
+      if (left <= 0) break;
+      const credit = await this.returnRedemption(entry, left, order, note);
+      left = round(left - credit);
+      returned = round(returned + credit);
+    }
+    return returned;
+  }
+
+  /**
+   * Give back balance held by orders of this card that were cancelled, failed or abandoned unpaid
+   */
+  async settleCard(card) {
+    const redemptions = await GiftCardTransaction.find({
+      card: card._id,
+      type: 'redeem',
+      orderId: { $ne: null }
+    }).lean();
+
+    const openEntries = redemptions.filter(entry => round(-entry.amount - round(entry.returnedAmount)) > 0);
+    if (openEntries.length === 0) return;
+    const openOrderIds = [...new Set(openEntries.map(entry => String(entry.orderId)))]
+      .map(orderId => new mongoose.Types.ObjectId(orderId));
+
+    const orders = await mongoose.connection.db.collection('theaterorders').aggregate([
+      { $match: { theater: new mongoose.Types.ObjectId(String(card.theater)) } },
+      { $unwind: '$orderList' },
+      { $match: { 'orderList._id': { $in: openOrderIds } } },
+      {
+        $project: {
+          _id: '$orderList._id',
+          orderNumber: '$orderList.orderNumber',
+          status: '$orderList.status',
+          paymentStatus: '$orderList.payment.status',
+          createdAt: '$orderList.createdAt'
+        }
+      }
+    ]).toArray();
+
+    const now = new Date();
+    for (const order of orders) {
+      const isReleased = order.status === 'cancelled' ||
+        order.paymentStatus === 'failed' ||
+        (!PAID_STATUSES.includes(order.paymentStatus) && now - new Date(order.createdAt) > ABANDONED_ORDER_MS);
+      if (!isReleased) continue;
+
+      const note = order.status === 'cancelled'
+        ? `Order ${order.orderNumber} cancelled`
+        : `Order ${order.orderNumber} was not paid`;
+      for (const entry of openEntries.filter(entry => String(entry.orderId) === String(order._id))) {
+        await this.returnRedemption(entry, Infinity, order, note);
+      }
+    }
+  }
+
+  /**
+   * Card movements between two dates with totals per type (reports)
+   */
+  async getLedger(theaterId, { startDate, endDate, type } = {}) {
+    const match = { theater: new mongoose.Types.ObjectId(theaterId) };
+    if (startDate || endDate) {
+      match.createdAt = {};
+      if (startDate) match.createdAt.$gte = new Date(startDate);
+      if (endDate) match.createdAt.$lte = new Date(endDate);
+    }
+    if (type) match.type = type;
+
+    const [transactions, totals, summary] = await Promise.all([
+      GiftCardTransaction.find(match).sort({ createdAt: -1 }).limit(1000).lean().maxTimeMS(20000),
+      GiftCardTransaction.aggregate([
+        { $match: match },
+        { $group: { _id: '$type', count: { $sum: 1 }, amount: { $sum: '$amount' } } }
+      ]),
+      this.getCardSummary(theaterId)
+    ]);
+
+    const byType = {};
+    totals.forEach(row => {
+      byType[row._id] = { count: row.count, amount: round(Math.abs(row.amount)) };
+    });
+    const amountOf = (key) => byType[key]?.amount || 0;
+
+    return {
+      transactions,
+      totals: {
+        issued: amountOf('issue'),
+        toppedUp: amountOf('topup'),
+        redeemed: amountOf('redeem'),
+        refunded: amountOf('refund'),
+        cardsIssued: byType.issue?.count || 0,
+        byType
+      },
+      summary
+    };
+  }
+
+  /**
+   * Money taken for cards (issue / top-up) by a cashier between two times, per payment method
+   * Counted in the cashier's drawer alongside order sales
+   * @returns {Map} method -> amount
+   */
+  async getSalesByMethod(theaterId, staffUserId, from, to) {
+    const rows = await GiftCardTransaction.aggregate([
+      {
+        $match: {
+          theater: new mongoose.Types.ObjectId(String(theaterId)),
+          type: { $in: ['issue', 'topup'] },
+          'performedBy.userId': new mongoose.Types.ObjectId(String(staffUserId)),
+          createdAt: { $gte: from, $lte: to }
+        }
+      },
+      { $group: { _id: '$paymentMethod', amount: { $sum: '$amount' } } }
+    ]);
+    return new Map(rows.map(row => [row._id || 'cash', round(row.amount)]));
+  }
+}
+
+module.exports = new GiftCardService();
@@ -0,0 +1,171 @@
+const mongoose = require('mongoose');
+const GiftCard = require('../models/GiftCard');
+const GiftCardTransaction = require('../models/GiftCardTransaction');
+const GiftCardService = require('./GiftCardService');
+
+describe('GiftCardService', () => {
+  const theaterId = '64b0000000000000000000aa';
+  const originalDb = mongoose.connection.db;
+  let cards;
+  let ledger;
+  let orders;
+
+  const order = (id, fields = {}) => ({
+    _id: new mongoose.Types.ObjectId(id),
+    orderNumber: `ORD-${id.slice(-2)}`,
+    status: 'pending',
+    paymentStatus: 'pending',
+    createdAt: new Date(),
+    ...fields
+  });
+
+  const redeemEntry = (cardId, orderId, amount) => ({
+    _id: `entry${ledger.length + 1}`,
+    theater: theaterId,
+    card: cardId,
+    code: cards[cardId].code,
+    type: 'redeem',
+    amount: -amount,
+    returnedAmount: 0,
+    orderId: new mongoose.Types.ObjectId(orderId)
+  });
+
+  const refunds = () => ledger.filter(entry => entry.type === 'refund');
+
+  beforeEach(() => {
+    cards = {
+      card1: { _id: 'card1', theater: theaterId, code: 'K7QM4TZP9WRA', balance: 350, status: 'active', expiresAt: null },
+      card2: { _id: 'card2', theater: theaterId, code: 'H3XN8VBC2DFE', balance: 40, status: 'active', expiresAt: null }
+    };
+    ledger = [];
+    orders = [];
+
+    mongoose.connection.db = {
+      collection: () => ({ aggregate: () => ({ toArray: async () => orders }) })
+    };
+    jest.spyOn(GiftCard, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      const card = Object.values(cards).find(entry => entry.code === filter.code);
+      if (!card || card.balance < filter.balance.$gte) return null;
+      card.balance += update.$inc.balance;
+      return { ...card };
+    });
+    jest.spyOn(GiftCard, 'findOne').mockImplementation((filter) => ({
+      maxTimeMS: async () => Object.values(cards).find(entry => entry.code === filter.code) || null
+    }));
+    jest.spyOn(GiftCard, 'findByIdAndUpdate').mockImplementation(async (id, update) => {
+      cards[id].balance += update.$inc.balance;
+      return { ...cards[id] };
+    });
+    jest.spyOn(GiftCardTransaction, 'create').mockImplementation(async (entry) => {
+      const saved = { _id: `entry${ledger.length + 1}`, returnedAmount: 0, ...entry };
+      ledger.push(saved);
+      return saved;
+    });
+    jest.spyOn(GiftCardTransaction, 'find').mockImplementation((filter) => ({
+      lean: async () => ledger
+        .filter(entry => entry.type === filter.type)
+        .filter(entry => (filter.card ? entry.card === filter.card : String(entry.orderId) === String(filter.orderId)))
+        .map(entry => ({ ...entry }))
+    }));
+    jest.spyOn(GiftCardTransaction, 'findById').mockImplementation((id) => ({
+      lean: async () => ({ ...ledger.find(entry => entry._id === id) })
+    }));
+    // Compare-and-set on returnedAmount - matches only while nobody else has returned part of the entry
+    jest.spyOn(GiftCardTransaction, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      const entry = ledger.find(item => item._id === filter._id);
+      if (!entry || entry.returnedAmount !== filter.returnedAmount) return null;
+      entry.returnedAmount = update.$set.returnedAmount;
+      return { ...entry };
+    });
+  });
+
+  afterEach(() => {
+    mongoose.connection.db = originalDb;
+    jest.restoreAllMocks();
+  });
+
+  describe('settleCard', () => {
+    it('returns the hold of a cancelled order once when two balance checks settle at the same time', async () => {
+      cards.card1.balance = 200;
+      ledger.push(redeemEntry('card1', '64b000000000000000000001', 150));
+      orders.push(order('64b000000000000000000001', { status: 'cancelled' }));
+
+      await Promise.all([GiftCardService.settleCard(cards.card1), GiftCardService.settleCard(cards.card1)]);
+
+      expect(cards.card1.balance).toBe(350);
+      expect(refunds()).toEqual([expect.objectContaining({ amount: 150, balanceAfter: 350, note: 'Order ORD-01 cancelled' })]);
+      expect(ledger[0].returnedAmount).toBe(150);
+    });
+
+    it('keeps holds of paid and recent orders and releases one left unpaid for a day', async () => {
+      ledger.push(redeemEntry('card1', '64b000000000000000000001', 100));
+      ledger.push(redeemEntry('card1', '64b000000000000000000002', 50));
+      ledger.push(redeemEntry('card1', '64b000000000000000000003', 30));
+      orders.push(order('64b000000000000000000001', { status: 'confirmed', paymentStatus: 'paid' }));
+      orders.push(order('64b000000000000000000002'));
+      orders.push(order('64b000000000000000000003', { createdAt: new Date(Date.now() - 25 * 60 * 60 * 1000) }));
+
+      await GiftCardService.settleCard(cards.card1);
+
+      expect(refunds()).toEqual([expect.objectContaining({ amount: 30, note: 'Order ORD-03 was not paid' })]);
+      expect(cards.card1.balance).toBe(380);
+    });
+
+    it('only returns what a partial refund left on the hold', async () => {
+      ledger.push(redeemEntry('card1', '64b000000000000000000001', 150));
+      ledger[0].returnedAmount = 100;
+      orders.push(order('64b000000000000000000001', { status: 'cancelled' }));
+
+      await GiftCardService.settleCard(cards.card1);
+
+      expect(refunds()).toEqual([expect.objectContaining({ amount: 50 })]);
+      expect(ledger[0].returnedAmount).toBe(150);
+    });
+  });
+
+  describe('redeemTenders', () => {
+    const newOrder = { _id: new mongoose.Types.ObjectId('64b000000000000000000009'), orderNumber: 'ORD-09' };
+
+    it('takes each tender off its card with a redeem entry', async () => {
+      await GiftCardService.redeemTenders(theaterId, [
+        { method: 'giftcard', amount: 200, reference: 'k7qm-4tzp-9wra' },
+        { method: 'giftcard', amount: 40, reference: 'H3XN 8VBC 2DFE' }
+      ], newOrder);
+
+      expect(cards.card1.balance).toBe(150);
+      expect(cards.card2.balance).toBe(0);
+      expect(ledger).toEqual([
+        expect.objectContaining({ type: 'redeem', amount: -200, balanceAfter: 150, orderId: newOrder._id }),
+        expect.objectContaining({ type: 'redeem', amount: -40, balanceAfter: 0, orderId: newOrder._id })
+      ]);
+    });
+
+    it('gives back cards already charged when a later card cannot cover its tender', async () => {
+      await expect(GiftCardService.redeemTenders(theaterId, [
+        { method: 'giftcard', amount: 200, reference: 'K7QM4TZP9WRA' },
+        { method: 'giftcard', amount: 60, reference: 'H3XN8VBC2DFE' }
+      ], newOrder)).rejects.toThrow('Gift card balance (₹40.00) is less than ₹60.00');
+
+      expect(cards.card1.balance).toBe(350);
+      expect(cards.card2.balance).toBe(40);
+      expect(ledger[0]).toMatchObject({ type: 'redeem', amount: -200, returnedAmount: 200 });
+      expect(refunds()).toEqual([expect.objectContaining({ amount: 200, note: 'Order could not be placed' })]);
+    });
+  });
+
+  describe('refundOrder', () => {
+    it('never returns more than the order took off its cards', async () => {
+      const paidOrder = order('64b000000000000000000001');
+      ledger.push(redeemEntry('card1', '64b000000000000000000001', 150));
+      ledger.push(redeemEntry('card2', '64b000000000000000000001', 40));
+
+      await expect(GiftCardService.refundOrder(theaterId, paidOrder, 160, 'Refund')).resolves.toBe(160);
+      await expect(GiftCardService.refundOrder(theaterId, paidOrder, Infinity, 'Refund')).resolves.toBe(30);
+      await expect(GiftCardService.refundOrder(theaterId, paidOrder, Infinity, 'Refund')).resolves.toBe(0);
+
+      expect(ledger.slice(0, 2).map(entry => entry.returnedAmount)).toEqual([150, 40]);
+      expect(cards.card1.balance).toBe(500);
+      expect(cards.card2.balance).toBe(80);
+    });
+  });
+});
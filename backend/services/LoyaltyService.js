@@ -0,0 +1,421 @@
+const mongoose = require('mongoose');
+const BaseService = require('./BaseService');
+const LoyaltyProgram = require('../models/LoyaltyProgram');
+const LoyaltyTransaction = require('../models/LoyaltyTransaction');
+const { normalizePhone } = require('../utils/customerToken');
+
+const PROGRAM_FIELDS = ['isEnabled', 'earnRate', 'pointValue', 'minRedeemPoints', 'maxRedeemPercent', 'expiryDays'];
+
+const PAID_STATUSES = ['paid', 'completed', 'partially_refunded'];
+// Unpaid online orders older than this are treated as abandoned and give their points back
+const ABANDONED_ORDER_MS = 24 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// Stored phone formats of one customer (orders keep whatever the checkout sent)
+const phoneVariants = (phone) => [phone, `+91${phone}`, `91${phone}`];
+
+/**
+ * Loyalty Service
+ * Per-theater points wallet of customers identified by their OTP-verified phone number.
+ * Points are earned on paid orders and spent as a discount at checkout; earning, reversals and
+ * refunds are settled from the orders themselves whenever a wallet is read or points are spent
+ */
+class LoyaltyService extends BaseService {
+  constructor() {
+    super(LoyaltyTransaction);
+  }
+
+  /**
+   * Get the loyalty rules of a theater (defaults when never configured)
+   */
+  async getProgram(theaterId) {
+    const program = await LoyaltyProgram.findOne({ theater: theaterId }).lean().maxTimeMS(15000);
+    if (program) return program;
+
+    const defaults = new LoyaltyProgram({ theater: theaterId }).toObject();
+    delete defaults._id;
+    return defaults;
+  }
+
+  /**
+   * Update the loyalty rules of a theater
+   */
+  async updateProgram(theaterId, data) {
+    const fields = {};
+    PROGRAM_FIELDS.forEach(field => {
+      if (data[field] !== undefined) {
+        fields[field] = data[field];
+      }
+    });
+
+    let program = await LoyaltyProgram.findOne({ theater: theaterId });
+    if (!program) {
+      program = new LoyaltyProgram({ theater: theaterId });
+    }
+
+    Object.assign(program, fields);
+    if (program.isEnabled && !program.startedAt) {
+      program.startedAt = new Date();
+    }
+
+    await program.save();
+    return program.toObject();
+  }
+
+  /**
+   * Points outstanding across all customers of a theater
+   */
+  async getProgramStats(theaterId) {
+    const [row] = await LoyaltyTransaction.aggregate([
+      { $match: { theater: new mongoose.Types.ObjectId(theaterId), remainingPoints: { $gt: 0 } } },
+      { $group: { _id: '$phone', points: { $sum: '$remainingPoints' } } },
+      { $group: { _id: null, members: { $sum: 1 }, outstandingPoints: { $sum: '$points' } } }
+    ]);
+
+    return { members: row?.members || 0, outstandingPoints: row?.outstandingPoints || 0 };
+  }
+
+  /**
+   * Points an order earns - whole points per ₹100 of the amount paid
+   */
+  calculateEarnedPoints(program, amountPaid) {
+    return Math.floor((Number(amountPaid) || 0) * (program.earnRate || 0) / 100);
+  }
+
+  expiryFrom(program, from) {
+    return program.expiryDays > 0 ? new Date(new Date(from).getTime() + program.expiryDays * DAY_MS) : null;
+  }
+
+  /**
+   * Create a ledger entry once per order and type (a concurrent settle may have written it already)
+   */
+  async addOrderEntry(entry) {
+    try {
+      return await LoyaltyTransaction.create(entry);
+    } catch (error) {
+      if (error.code === 11000) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Take points out of a customer's lots, soonest-expiring first
+   * @returns {number} Points actually taken (less than asked when the balance is short)
+   */
+  async consumeLots(theaterId, phone, points) {
+    const takes = await this.takeFromLots(theaterId, phone, points);
+    return takes.reduce((sum, { take }) => sum + take, 0);
+  }
+
+  /**
+   * Take points out of a customer's lots, soonest-expiring first
+   * Each lot is taken with a conditional $inc, so the same points can never be spent twice
+   * @returns {Array} [{ lotId, take }] - what came out of which lot
+   */
+  async takeFromLots(theaterId, phone, points) {
+    const lots = await LoyaltyTransaction.find({
+      theater: theaterId,
+      phone,
+      remainingPoints: { $gt: 0 }
+    }).sort({ expiresAt: 1, createdAt: 1 });
+
+    // Lots without expiry are used last
+    lots.sort((a, b) => (a.expiresAt ? 0 : 1) - (b.expiresAt ? 0 : 1));
+
+    let left = points;
+    const takes = [];
+    for (const lot of lots) {
+      if (left <= 0) break;
+      const take = Math.min(lot.remainingPoints, left);
+      const updated = await LoyaltyTransaction.updateOne(
+        { _id: lot._id, remainingPoints: { $gte: take } },
+        { $inc: { remainingPoints: -take } }
+      );
+      if (updated.modifiedCount > 0) {
+        left -= take;
+        takes.push({ lotId: lot._id, take });
+      }
+    }
+    return takes;
+  }
+
+  /**
+   * Put points taken by takeFromLots back into the lots they came from
+   */
+  async restoreLots(takes) {
+    for (const { lotId, take } of takes) {
+      await LoyaltyTransaction.updateOne({ _id: lotId }, { $inc: { remainingPoints: take } });
+    }
+  }
+
+  /**
+   * Write expire entries for lots that ran out
+   */
+  async expireLots(theaterId, phone, at = new Date()) {
+    const lots = await LoyaltyTransaction.find({
+      theater: theaterId,
+      phone,
+      remainingPoints: { $gt: 0 },
+      expiresAt: { $ne: null, $lte: at }
+    });
+
+    for (const lot of lots) {
+      const expired = lot.remainingPoints;
+      const updated = await LoyaltyTransaction.updateOne(
+        { _id: lot._id, remainingPoints: expired },
+        { $set: { remainingPoints: 0 } }
+      );
+      if (updated.modifiedCount > 0) {
+        await LoyaltyTransaction.create({
+          theater: theaterId,
+          phone,
+          type: 'expire',
+          points: -expired,
+          description: `Points earned ${lot.createdAt.toLocaleDateString('en-IN')} expired`,
+          createdAt: lot.expiresAt
+        });
+      }
+    }
+  }
+
+  /**
+   * Bring a customer's ledger up to date with their orders:
+   * earn on newly paid orders, take back points of cancelled orders,
+   * give back points spent on cancelled / failed / abandoned orders, and expire old lots
+   */
+  async settleCustomer(theaterId, phone, program = null) {
+    program = program || await this.getProgram(theaterId);
+    const now = new Date();
+
+    const orders = await mongoose.connection.db.collection('theaterorders').aggregate([
+      { $match: { theater: new mongoose.Types.ObjectId(theaterId) } },
+      { $unwind: '$orderList' },
+      {
+        $match: {
+          $or: [
+            { 'orderList.customerInfo.phone': { $in: phoneVariants(phone) } },
+            { 'orderList.customerInfo.phoneNumber': { $in: phoneVariants(phone) } }
+          ]
+        }
+      },
+      {
+        $project: {
+          _id: '$orderList._id',
+          orderNumber: '$orderList.orderNumber',
+          status: '$orderList.status',
+          paymentStatus: '$orderList.payment.status',
+          paidAt: '$orderList.payment.paidAt',
+          total: '$orderList.pricing.total',
+          createdAt: '$orderList.createdAt'
+        }
+      }
+    ]).toArray();
+
+    const entries = await LoyaltyTransaction.find({
+      theater: theaterId,
+      phone,
+      orderId: { $ne: null }
+    }).lean();
+    const entriesByOrder = new Map();
+    entries.forEach(entry => {
+      const key = String(entry.orderId);
+      if (!entriesByOrder.has(key)) entriesByOrder.set(key, new Map());
+      entriesByOrder.get(key).set(entry.type, entry);
+    });
+
+    for (const order of orders) {
+      const types = entriesByOrder.get(String(order._id)) || new Map();
+      const isCancelled = order.status === 'cancelled';
+      const isPaid = PAID_STATUSES.includes(order.paymentStatus) && !isCancelled;
+      const isReleased = isCancelled ||
+        order.paymentStatus === 'failed' ||
+        (order.paymentStatus === 'pending' && now - new Date(order.createdAt) > ABANDONED_ORDER_MS);
+
+      // Earn on paid orders placed while the program runs
+      const startedAt = program.startedAt ? new Date(program.startedAt) : null;
+      if (isPaid && program.isEnabled && startedAt && new Date(order.createdAt) >= startedAt && !types.has('earn')) {
+        const points = this.calculateEarnedPoints(program, order.total);
+        if (points > 0) {
+          const earnedAt = order.paidAt || order.createdAt || now;
+          await this.addOrderEntry({
+            theater: theaterId,
+            phone,
+            type: 'earn',
+            points,
+            remainingPoints: points,
+            expiresAt: this.expiryFrom(program, earnedAt),
+            orderId: order._id,
+            orderNumber: order.orderNumber,
+            amount: round(order.total),
+            description: `Earned on order ${order.orderNumber}`,
+            createdAt: earnedAt
+          });
+        }
+      }
+
+      // Cancelled after earning - take back what is still unspent
+      if (isCancelled && types.has('earn') && !types.has('reversal')) {
+        const taken = await this.consumeLots(theaterId, phone, types.get('earn').points);
+        await this.addOrderEntry({
+          theater: theaterId,
+          phone,
+          type: 'reversal',
+          points: -taken,
+          orderId: order._id,
+          orderNumber: order.orderNumber,
+          description: `Order ${order.orderNumber} cancelled`
+        });
+      }
+
+      // Points spent on an order that never went through come back as a fresh lot
+      if (isReleased && types.has('redeem') && !types.has('refund')) {
+        const points = Math.abs(types.get('redeem').points);
+        await this.addOrderEntry({
+          theater: theaterId,
+          phone,
+          type: 'refund',
+          points,
+          remainingPoints: points,
+          expiresAt: this.expiryFrom(program, now),
+          orderId: order._id,
+          orderNumber: order.orderNumber,
+          amount: types.get('redeem').amount,
+          description: `Points returned from order ${order.orderNumber}`
+        });
+      }
+    }
+
+    await this.expireLots(theaterId, phone, now);
+  }
+
+  /**
+   * Current balance of a customer (call settleCustomer first for an up-to-date figure)
+   */
+  async getBalance(theaterId, phone) {
+    const [row] = await LoyaltyTransaction.aggregate([
+      { $match: { theater: new mongoose.Types.ObjectId(theaterId), phone, remainingPoints: { $gt: 0 } } },
+      { $group: { _id: null, points: { $sum: '$remainingPoints' }, nextExpiry: { $min: '$expiresAt' } } }
+    ]);
+    return { points: row?.points || 0, nextExpiry: row?.nextExpiry || null };
+  }
+
+  /**
+   * Customer wallet: rules, balance, what expires next and recent ledger entries
+   */
+  async getWallet(theaterId, rawPhone) {
+    const phone = normalizePhone(rawPhone);
+    const program = await this.getProgram(theaterId);
+    await this.settleCustomer(theaterId, phone, program);
+
+    const [balance, history] = await Promise.all([
+      this.getBalance(theaterId, phone),
+      LoyaltyTransaction.find({ theater: theaterId, phone })
+        .sort({ createdAt: -1 })
+        .limit(50)
+        .select('type points orderNumber amount description expiresAt createdAt')
+        .lean()
+    ]);
+
+    let expiring = null;
+    if (balance.nextExpiry) {
+      const [row] = await LoyaltyTransaction.aggregate([
+        {
+          $match: {
+            theater: new mongoose.Types.ObjectId(theaterId),
+            phone,
+            remainingPoints: { $gt: 0 },
+            expiresAt: balance.nextExpiry
+          }
+        },
+        { $group: { _id: null, points: { $sum: '$remainingPoints' } } }
+      ]);
+      expiring = { points: row?.points || 0, date: balance.nextExpiry };
+    }
+
+    return {
+      program: {
+        isEnabled: program.isEnabled,
+        earnRate: program.earnRate,
+        pointValue: program.pointValue,
+        minRedeemPoints: program.minRedeemPoints,
+        maxRedeemPercent: program.maxRedeemPercent,
+        expiryDays: program.expiryDays
+      },
+      points: balance.points,
+      value: round(balance.points * program.pointValue),
+      expiring,
+      history
+    };
+  }
+
+  /**
+   * Work out how many points an order can use and what they take off
+   * Asking for more than the balance or the per-order cap allows is trimmed down
+   * @param {number} payable - Order total before points
+   * @returns {Object} { points, discount }
+   */
+  async quoteRedemption(theaterId, rawPhone, requestedPoints, payable) {
+    const phone = normalizePhone(rawPhone);
+    const program = await this.getProgram(theaterId);
+
+    if (!program.isEnabled) {
+      throw new Error('Loyalty points are not available at this theater');
+    }
+
+    await this.settleCustomer(theaterId, phone, program);
+    const { points: balance } = await this.getBalance(theaterId, phone);
+
+    const capAmount = (Number(payable) || 0) * (program.maxRedeemPercent || 0) / 100;
+    const capPoints = Math.floor(capAmount / program.pointValue + 1e-9);
+    const points = Math.min(Math.floor(requestedPoints), balance, capPoints);
+
+    if (points <= 0) {
+      throw new Error('Loyalty points cannot be used on this order');
+    }
+    if (points < (program.minRedeemPoints || 0)) {
+      throw new Error(`Loyalty points can be used from ${program.minRedeemPoints} points`);
+    }
+
+    return { points, discount: round(points * program.pointValue) };
+  }
+
+  /**
+   * Spend the quoted points on an order before it is saved
+   * When the balance no longer covers the quote (spent on another order since) nothing is spent
+   * and the order fails, so the discount on the bill is always paid for in points
+   * @returns {Object} { entry, takes } - pass to undoRedemption if the order cannot be saved
+   */
+  async redeemForOrder(theaterId, rawPhone, { points, discount }, order) {
+    const phone = normalizePhone(rawPhone);
+    const takes = await this.takeFromLots(theaterId, phone, points);
+    const taken = takes.reduce((sum, { take }) => sum + take, 0);
+    if (taken < points) {
+      await this.restoreLots(takes);
+      throw new Error('Loyalty points balance has changed - please review your points and place the order again');
+    }
+
+    const entry = await this.addOrderEntry({
+      theater: theaterId,
+      phone,
+      type: 'redeem',
+      points: -points,
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      amount: discount,
+      description: `Redeemed on order ${order.orderNumber}`
+    });
+    return { entry, takes };
+  }
+
+  /**
+   * Give back points spent on an order that could not be saved
+   */
+  async undoRedemption(theaterId, order, { takes }) {
+    await this.restoreLots(takes);
+    await LoyaltyTransaction.deleteOne({ theater: theaterId, orderId: order._id, type: 'redeem' });
+  }
+}
+
+module.exports = new LoyaltyService();
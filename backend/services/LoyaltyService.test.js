@@ -0,0 +1,46 @@
+const LoyaltyTransaction = require('../models/LoyaltyTransaction');
+const LoyaltyService = require('./LoyaltyService');
+
+describe('LoyaltyService.redeemForOrder', () => {
+  const order = { _id: '64b000000000000000000001', orderNumber: 'ORD-1' };
+  let lots;
+
+  beforeEach(() => {
+    lots = [
+      { _id: 'lot1', remainingPoints: 30, expiresAt: new Date('2026-11-01') },
+      { _id: 'lot2', remainingPoints: 50, expiresAt: null }
+    ];
+    jest.spyOn(LoyaltyTransaction, 'find').mockReturnValue({ sort: () => Promise.resolve(lots.map(lot => ({ ...lot }))) });
+    // Conditional $inc: only succeeds while the lot still holds enough points
+    jest.spyOn(LoyaltyTransaction, 'updateOne').mockImplementation(async (filter, update) => {
+      const lot = lots.find(entry => entry._id === filter._id);
+      const needed = filter.remainingPoints?.$gte ?? 0;
+      if (!lot || lot.remainingPoints < needed) return { modifiedCount: 0 };
+      lot.remainingPoints += update.$inc.remainingPoints;
+      return { modifiedCount: 1 };
+    });
+    jest.spyOn(LoyaltyTransaction, 'create').mockImplementation(async (entry) => entry);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('spends the quoted points soonest-expiring lot first', async () => {
+    const { entry, takes } = await LoyaltyService.redeemForOrder('64b0000000000000000000aa', '+919876543210', { points: 40, discount: 20 }, order);
+
+    expect(takes).toEqual([{ lotId: 'lot1', take: 30 }, { lotId: 'lot2', take: 10 }]);
+    expect(lots.map(lot => lot.remainingPoints)).toEqual([0, 40]);
+    expect(entry).toMatchObject({ type: 'redeem', points: -40, amount: 20, phone: '9876543210' });
+  });
+
+  it('fails and spends nothing when the balance no longer covers the quote', async () => {
+    // Another order spent lot2 after the quote was made
+    lots[1].remainingPoints = 5;
+
+    await expect(LoyaltyService.redeemForOrder('64b0000000000000000000aa', '9876543210', { points: 40, discount: 20 }, order))
+      .rejects.toThrow('Loyalty points balance has changed');
+    expect(lots.map(lot => lot.remainingPoints)).toEqual([30, 5]);
+    expect(LoyaltyTransaction.create).not.toHaveBeenCalled();
+  });
+});
@@ -5,12 +5,51 @@ const Theater = require('../models/Theater');
 const MonthlyStock = require('../models/MonthlyStock');
 const Product = require('../models/Product');
 const CafeStockService = require('./CafeStockService');
+const StationService = require('./StationService');
+const CouponService = require('./CouponService');
+const LoyaltyService = require('./LoyaltyService');
+const GiftCardService = require('./GiftCardService');
+const ShowScheduleService = require('./ShowScheduleService');
+const PricingRuleService = require('./PricingRuleService');
 const { calculateOrderTotals } = require('../utils/orderCalculation');
+const { resolveProductPrice, getRegularPrice } = require('../utils/pricingRules');
+const { getModifierGroups, resolveModifierSelections, checkModifierStock, collectModifierStock, describeModifiers } = require('../utils/productModifiers');
+const { snapshotRecipe, toIngredientUsage } = require('../utils/productRecipes');
+const { verifyCustomerToken, normalizePhone } = require('../utils/customerToken');
+const { normalizeTenders, reduceTenders, getOrderTenders } = require('../utils/paymentTenders');
 const mongoose = require('mongoose');
 const { sendPosOrderNotification } = require('../utils/firebaseNotifier');
 const { broadcastPosEvent } = require('../routes/posStream');
 const { ensureDatabaseReady, executeWithRetry } = require('../utils/mongodbQueryHelper');
 
+// Order status -> timestamps.* field stamped when the order enters that status
+const STATUS_TIMESTAMP_FIELDS = {
+  confirmed: 'confirmedAt',
+  preparing: 'preparingAt',
+  ready: 'readyAt',
+  served: 'servedAt',
+  completed: 'completedAt',
+  cancelled: 'cancelledAt'
+};
+
+// Kitchen display (KDS) stages and the status a ticket moves to when bumped
+// Pending orders are not paid yet - only payment confirms them, never the kitchen
+const KDS_STAGES = ['confirmed', 'preparing', 'ready'];
+const KDS_NEXT_STAGE = {
+  confirmed: 'preparing',
+  preparing: 'ready',
+  ready: 'served'
+};
+
+// Split a seat label like "H12" into row "H" and number 12 for runner route ordering
+const parseSeat = (seat) => {
+  const match = String(seat || '').trim().toUpperCase().match(/^([A-Z]*)\s*-?\s*(\d*)/);
+  return {
+    row: match?.[1] || '',
+    number: parseInt(match?.[2]) || 0
+  };
+};
+
 /**
  * Order Service
  * Handles all order-related business logic
@@ -168,16 +207,19 @@ class OrderService extends BaseService {
     if (paymentMode && paymentMode !== 'all') {
       const paymentModeLower = paymentMode.toLowerCase();
       orders = orders.filter(o => {
-        const orderPaymentMethod = (o.payment?.method || '').toLowerCase();
-        // Handle different payment method variations
-        if (paymentModeLower === 'upi' || paymentModeLower === 'online') {
-          return orderPaymentMethod === 'upi' ||
-            orderPaymentMethod === 'online' ||
-            orderPaymentMethod === 'razorpay' ||
-            orderPaymentMethod === 'phonepe' ||
-            orderPaymentMethod === 'paytm';
-        }
-        return orderPaymentMethod === paymentModeLower;
+        // ✅ Split payments match every method they were tendered with
+        return getOrderTenders(o).some(tender => {
+          const orderPaymentMethod = (tender.method || '').toLowerCase();
+          // Handle different payment method variations
+          if (paymentModeLower === 'upi' || paymentModeLower === 'online') {
+            return orderPaymentMethod === 'upi' ||
+              orderPaymentMethod === 'online' ||
+              orderPaymentMethod === 'razorpay' ||
+              orderPaymentMethod === 'phonepe' ||
+              orderPaymentMethod === 'paytm';
+          }
+          return orderPaymentMethod === paymentModeLower;
+        });
       });
     }
 
@@ -427,6 +469,18 @@ class OrderService extends BaseService {
         throw new Error('No products found for this theater');
       }
 
+      // ✅ Screen QR orders must fall inside the screen's show-time ordering window
+      let orderTiming = { deliverAt: 'now', deliverBy: null, scheduledFor: null };
+      const isScreenOrder = orderData.qrName &&
+        ['qr_order', 'qr_code'].includes(orderData.orderType || orderData.source);
+      if (isScreenOrder) {
+        orderTiming = await ShowScheduleService.resolveOrderTiming(
+          theaterId,
+          orderData.qrName,
+          orderData.deliverAt || 'now'
+        );
+      }
+
     // ✅ FIX: Load ComboOffer model for combo offer processing
     const ComboOffer = require('../models/ComboOffer');
     const CafeStockService = require('./CafeStockService');
@@ -434,6 +488,12 @@ class OrderService extends BaseService {
     const orderItems = [];
     let subtotal = 0;
 
+    // ⏰ Happy-hour / peak pricing: products targeted by a rule are billed at the server's price
+    // (so are products with modifiers - the picked options are priced from the product)
+    const pricingRules = await PricingRuleService.getActiveRules(theaterId);
+    const pricingTimeZone = pricingRules.length > 0 ? await PricingRuleService.getTimeZone(theaterId) : undefined;
+    let repricedOnServer = false;
+
     for (const item of orderData.items) {
       // ✅ FIX: Check if this is a combo offer
       // First check explicit flag, then check if productId exists in ComboOffer collection
@@ -636,6 +696,8 @@ class OrderService extends BaseService {
             discountPercentage: discountPercentage,
             image: productImage,
             images: actualProduct.images || (productImage ? [productImage] : []),
+            // 🍿 Ingredients the item is made from (restored on cancellation)
+            recipe: snapshotRecipe(actualProduct).length > 0 ? snapshotRecipe(actualProduct) : undefined,
             // Mark as part of combo for reference
             isFromCombo: true,
             comboOfferId: item.productId,
@@ -658,7 +720,23 @@ class OrderService extends BaseService {
       }
 
       // Use price from orderData if provided (frontend calculated), otherwise from product
-      const itemPrice = item.unitPrice || product.pricing?.sellingPrice || product.pricing?.basePrice || 0;
+      let itemPrice = item.unitPrice || product.pricing?.sellingPrice || product.pricing?.basePrice || 0;
+
+      // 🧀 Modifier options must exist on the product and satisfy each group's min / max
+      const modifiers = resolveModifierSelections(product, item.modifiers);
+      const hasModifiers = getModifierGroups(product).length > 0;
+
+      // ⏰ A cart priced before/after a happy hour must not keep the wrong price
+      const rulePricing = pricingRules.length > 0 ? resolveProductPrice(pricingRules, product, orderDate, pricingTimeZone) : null;
+      if (rulePricing?.hasRules || hasModifiers) {
+        const serverPrice = Math.round(
+          ((rulePricing?.hasRules ? rulePricing.price : getRegularPrice(product)) + modifiers.modifierTotal) * 100
+        ) / 100;
+        if (Math.abs(serverPrice - itemPrice) > 0.01) {
+          repricedOnServer = true;
+        }
+        itemPrice = serverPrice;
+      }
       const quantity = item.quantity;
       const taxRate = item.taxRate || product.pricing?.taxRate || product.taxRate || 0;
       const gstType = item.gstType || product.pricing?.gstType || product.gstType || 'EXCLUDE';
@@ -746,6 +824,13 @@ class OrderService extends BaseService {
         noQty: noQty, // ✅ FIX: Save No.Qty (quantity per item) in order item
         stockQuantityConsumed: stockQuantityConsumed, // ✅ FIX: Save stock quantity consumed for accurate cancellation
         unitPrice: itemPrice,
+        // ⏰ Price before the pricing rule, kept for receipts and reports
+        regularPrice: rulePricing?.rule ? rulePricing.regularPrice + modifiers.modifierTotal : undefined,
+        pricingRule: rulePricing?.rule ? { ruleId: rulePricing.rule._id, name: rulePricing.rule.name } : undefined,
+        // 🧀 Picked modifier options (already included in unitPrice)
+        variants: modifiers.variants.length > 0 ? modifiers.variants : undefined,
+        // 🍿 Ingredients the item is made from (restored on cancellation)
+        recipe: snapshotRecipe(product).length > 0 ? snapshotRecipe(product) : undefined,
         total: lineTotal,  // Total after discount and tax
         subtotal: lineSubtotal,  // Original price before discount
         discountAmount: discountAmount,
@@ -765,6 +850,9 @@ class OrderService extends BaseService {
       });
     }
 
+    // 🧀 Counted modifier options (e.g. a limited sauce) must cover every line that picked them
+    checkModifierStock(productContainer.productList, orderItems);
+
     // ✅ FIX: Validate stock availability BEFORE creating order object
     // Check each item's quantity against available stock
     // Note: Combo offers are already validated above when expanded into products
@@ -826,14 +914,21 @@ class OrderService extends BaseService {
 
     // Calculate totals - use frontend values if provided, otherwise calculate from items
     // ✅ FIX: Pass total from frontend to ensure calculation consistency
-    const totals = calculateOrderTotals({
-      items: orderItems,
-      subtotal: orderData.subtotal || subtotal,
-      tax: orderData.tax || 0,
-      discount: orderData.totalDiscount || orderData.discount || 0,
-      total: orderData.total || 0, // ✅ Pass frontend-calculated total
-      deliveryCharge: orderData.deliveryCharge || 0
-    });
+    // ⏰ When a pricing rule (or modifier pricing) changed an item price the frontend totals are stale - recalculate from items
+    // (combo lines carry component prices, not the combo price, so combo carts keep the frontend totals)
+    const totals = repricedOnServer && !orderItems.some(orderItem => orderItem.isFromCombo)
+      ? calculateOrderTotals({
+        items: orderItems,
+        deliveryCharge: orderData.deliveryCharge || 0
+      })
+      : calculateOrderTotals({
+        items: orderItems,
+        subtotal: orderData.subtotal || subtotal,
+        tax: orderData.tax || 0,
+        discount: orderData.totalDiscount || orderData.discount || 0,
+        total: orderData.total || 0, // ✅ Pass frontend-calculated total
+        deliveryCharge: orderData.deliveryCharge || 0
+      });
 
     // Determine order source and payment method
     // ✅ FIX: Map orderType to source for backward compatibility
@@ -860,7 +955,7 @@ class OrderService extends BaseService {
     if (!orderSource) {
       orderSource = 'pos'; // Default fallback
     }
-    const paymentMethod = orderData.paymentMethod || 'cash';
+    let paymentMethod = orderData.paymentMethod || 'cash';
 
     // ✅ FIX: Auto-confirm COD (Cash) orders for POS routes (kiosk/pos/offline-pos)
     // IMPORTANT: All POS routes (kiosk, pos, offline-pos) use KIOSK gateway channel
@@ -871,11 +966,89 @@ class OrderService extends BaseService {
       orderSource === 'offline-pos' ||
       orderData.orderType === 'pos';
     const isOnlineRoute = orderSource === 'online-pos' || orderSource === 'online';
+
+    // 🎟️ Coupon: validated and priced on the server, then taken off the payable total
+    // The cart sends its total before the coupon; GST stays as billed on the items
+    let appliedCoupon = null;
+    if (orderData.couponCode) {
+      appliedCoupon = await CouponService.evaluateCoupon(theaterId, orderData.couponCode, {
+        lines: CouponService.buildCouponLines(productContainer.productList, orderItems),
+        customerPhone: orderData.customerInfo?.phone || orderData.customerInfo?.phoneNumber || orderData.customerPhone || null,
+        channel: isPOSRoute ? 'pos' : 'online',
+        at: orderDate
+      });
+
+      const payableBeforeCoupon = totals.total || subtotal;
+      const couponDiscount = Math.min(appliedCoupon.discount, payableBeforeCoupon);
+      totals.total = Math.round((payableBeforeCoupon - couponDiscount) * 100) / 100;
+      totals.totalDiscount = Math.round(((totals.totalDiscount || 0) + couponDiscount) * 100) / 100;
+      if (totals.pricing) {
+        totals.pricing.total = totals.total;
+        totals.pricing.totalDiscount = totals.totalDiscount;
+      }
+      appliedCoupon.discount = couponDiscount;
+    }
+
+    // ⭐ Loyalty points: only the OTP-verified owner of the order's phone number can spend them
+    let loyaltyRedemption = null;
+    let loyaltyPhone = null;
+    if (parseInt(orderData.redeemPoints) > 0) {
+      loyaltyPhone = verifyCustomerToken(orderData.customerToken);
+      const orderPhone = normalizePhone(orderData.customerInfo?.phone || orderData.customerInfo?.phoneNumber || orderData.customerPhone);
+      if (!loyaltyPhone || loyaltyPhone !== orderPhone) {
+        throw new Error('Loyalty points need a verified phone number - please verify your phone again');
+      }
+
+      const payableBeforePoints = totals.total || subtotal;
+      loyaltyRedemption = await LoyaltyService.quoteRedemption(theaterId, loyaltyPhone, parseInt(orderData.redeemPoints), payableBeforePoints);
+      totals.total = Math.round((payableBeforePoints - loyaltyRedemption.discount) * 100) / 100;
+      totals.totalDiscount = Math.round(((totals.totalDiscount || 0) + loyaltyRedemption.discount) * 100) / 100;
+      if (totals.pricing) {
+        totals.pricing.total = totals.total;
+        totals.pricing.totalDiscount = totals.totalDiscount;
+      }
+    }
+
+    // ✅ Split payments: tenders (part cash, part UPI/card/gift card) are collected by the cashier at the counter
+    let paymentTenders = null;
+    if (Array.isArray(orderData.tenders) && orderData.tenders.length > 0) {
+      if (!isPOSRoute) {
+        throw new Error('Split payments are only supported for counter (POS) orders');
+      }
+      const orderTotal = totals.total || (totals.pricing && totals.pricing.total) || subtotal;
+      paymentTenders = normalizeTenders(orderData.tenders, orderTotal);
+      paymentMethod = paymentTenders.method;
+    }
+
+    // 🎁 Gift card online: the card pays as much of the bill as it covers, the gateway collects the rest
+    if (orderData.giftCardCode && !isPOSRoute) {
+      const orderTotal = totals.total || subtotal;
+      const quote = await GiftCardService.quoteRedemption(theaterId, orderData.giftCardCode, orderTotal);
+      const gatewayShare = Math.round((orderTotal - quote.amount) * 100) / 100;
+      const giftCardTender = { method: 'giftcard', amount: quote.amount, reference: quote.code };
+      // Checkout asked for the whole bill on the card - fail before anything is recorded if it no longer covers it
+      if (paymentMethod === 'giftcard' && gatewayShare > 0) {
+        throw new Error(`Gift card balance (₹${quote.balance.toFixed(2)}) no longer covers the order total`);
+      }
+
+      paymentTenders = {
+        method: gatewayShare > 0 ? paymentMethod : 'giftcard',
+        tenders: gatewayShare > 0 ? [giftCardTender, { method: 'online', amount: gatewayShare }] : [giftCardTender],
+        changeGiven: 0
+      };
+      paymentMethod = paymentTenders.method;
+    }
+    const giftCardTenders = (paymentTenders?.tenders || []).filter(tender => tender.method === 'giftcard');
+
     const isCashPayment = paymentMethod === 'cash' || paymentMethod === 'cod';
+    const isCounterCollected = isCashPayment || (!!paymentTenders && isPOSRoute);
+    // Nothing left to collect - paid in full from a gift card (any channel)
+    const isPrepaid = paymentMethod === 'giftcard';
 
-    // Set status to 'confirmed' for COD orders from POS routes
-    const orderStatus = (isPOSRoute && isCashPayment) ? 'confirmed' : 'pending';
-    const paymentStatus = (isPOSRoute && isCashPayment) ? 'completed' : (orderData.paymentStatus || 'pending');
+    // Set status to 'confirmed' for COD / counter-tendered orders from POS routes
+    const isSettled = (isPOSRoute && isCounterCollected) || isPrepaid;
+    const orderStatus = isSettled ? 'confirmed' : 'pending';
+    const paymentStatus = isSettled ? 'completed' : (orderData.paymentStatus || 'pending');
 
     // ✅ Create staffInfo from logged-in user to save username who created/sold the order
     let staffInfo = null;
@@ -931,6 +1104,14 @@ class OrderService extends BaseService {
     // Format: TheaterPrefix + 4-digit number (e.g., Gu0001)
     const orderNumber = `${theaterPrefix}${(totalOrdersCount + 1).toString().padStart(4, '0')}`;
 
+    // ✅ Split items across preparation stations (popcorn / beverage / hot food counters)
+    let stationTickets = [];
+    try {
+      stationTickets = await StationService.assignStations(theaterId, orderItems, productContainer.productList);
+    } catch (stationError) {
+      console.warn('⚠️ [OrderService] Could not assign preparation stations:', stationError.message);
+    }
+
     // Create order
     const newOrder = {
       _id: new mongoose.Types.ObjectId(),
@@ -960,13 +1141,76 @@ class OrderService extends BaseService {
       payment: {
         method: paymentMethod,
         status: paymentStatus,
-        transactionId: orderData.transactionId || null
+        transactionId: orderData.transactionId || null,
+        ...(paymentTenders && {
+          tenders: paymentTenders.tenders,
+          changeGiven: paymentTenders.changeGiven,
+          ...(paymentStatus === 'completed' && { paidAt: orderDate })
+        })
       },
       status: orderStatus,
+      stationTickets: stationTickets,
+      deliverAt: orderTiming.deliverAt,
+      deliverBy: orderTiming.deliverBy,
+      scheduledFor: orderTiming.scheduledFor, // Held off the kitchen display until this time
+      // ⏰ Orders due later are released by jobs/scheduledOrderReleaser.js
+      releasedAt: orderTiming.scheduledFor && orderTiming.scheduledFor > orderDate ? null : orderDate,
       createdAt: orderDate,
       updatedAt: orderDate
     };
 
+    if (appliedCoupon) {
+      newOrder.pricing.couponCode = appliedCoupon.code;
+      newOrder.pricing.couponType = appliedCoupon.discountType;
+      newOrder.pricing.couponDiscount = appliedCoupon.discount;
+      // Per-customer limits are counted on this, whatever phone format the checkout sent
+      newOrder.pricing.couponPhone = normalizePhone(
+        orderData.customerInfo?.phone || orderData.customerInfo?.phoneNumber || orderData.customerPhone
+      ) || null;
+    }
+
+    if (loyaltyRedemption) {
+      newOrder.pricing.loyaltyPointsRedeemed = loyaltyRedemption.points;
+      newOrder.pricing.loyaltyDiscount = loyaltyRedemption.discount;
+    }
+
+    // 🎟️ Reserve the coupon redemption first - a coupon used up by another checkout meanwhile fails the order
+    if (appliedCoupon) {
+      newOrder.pricing.couponReserved = await CouponService.reserveRedemption(theaterId, appliedCoupon, newOrder.pricing.couponPhone);
+    }
+    const undoCouponReservation = () => (appliedCoupon
+      ? CouponService.releaseReservation(theaterId, appliedCoupon.code, newOrder.pricing.couponReserved).catch(undoError =>
+        console.error('❌ [OrderService] Failed to release coupon redemption:', undoError.message)
+      )
+      : Promise.resolve());
+
+    // ⭐ Spend the points before anything else is recorded - a balance that no longer covers them fails the order
+    let loyaltySpend = null;
+    if (loyaltyRedemption) {
+      try {
+        loyaltySpend = await LoyaltyService.redeemForOrder(theaterId, loyaltyPhone, loyaltyRedemption, newOrder);
+      } catch (loyaltyError) {
+        await undoCouponReservation();
+        throw loyaltyError;
+      }
+    }
+    const undoLoyaltySpend = () => (loyaltySpend
+      ? LoyaltyService.undoRedemption(theaterId, newOrder, loyaltySpend).catch(undoError =>
+        console.error('❌ [OrderService] Failed to return loyalty points:', undoError.message)
+      )
+      : Promise.resolve());
+
+    // 🎁 Charge the gift cards before anything else is recorded - a short or blocked card fails the order
+    if (giftCardTenders.length > 0) {
+      try {
+        await GiftCardService.redeemTenders(theaterId, giftCardTenders, newOrder, user || {});
+      } catch (giftCardError) {
+        await undoLoyaltySpend();
+        await undoCouponReservation();
+        throw giftCardError;
+      }
+    }
+
     // Record stock usage ONLY in cafe stock (NOT in theater stock)
     // ✅ FIX: Sales should only be recorded in cafe stock, not theater stock
     // Theater stock only tracks: invord stock, transfer, expired, damage, and stock adjustment
@@ -989,23 +1233,35 @@ class OrderService extends BaseService {
         // Use actualQuantityNeeded for combo products (already calculated correctly)
         await CafeStockService.recordStockUsage(theaterId, orderItem.productId, orderItem.quantity, orderDate);
       }
+      await this.adjustModifierStock(theaterId, orderItems, -1);
     } else {
     }
 
     // ✅ FIX: Wrap critical database operation with retry logic
     // Add to theater orders
-    const result = await executeWithRetry(
-      () => db.collection('theaterorders').findOneAndUpdate(
-        { theater: theaterObjectId },
-        {
-          $push: { orderList: newOrder },
-          $setOnInsert: { theater: theaterObjectId, createdAt: orderDate },
-          $set: { updatedAt: orderDate }
-        },
-        { upsert: true, returnDocument: 'after' }
-      ),
-      { queryName: 'CreateOrder', maxRetries: 5, timeout: 60000 } // More retries for critical operation
-    );
+    try {
+      await executeWithRetry(
+        () => db.collection('theaterorders').findOneAndUpdate(
+          { theater: theaterObjectId },
+          {
+            $push: { orderList: newOrder },
+            $setOnInsert: { theater: theaterObjectId, createdAt: orderDate },
+            $set: { updatedAt: orderDate }
+          },
+          { upsert: true, returnDocument: 'after' }
+        ),
+        { queryName: 'CreateOrder', maxRetries: 5, timeout: 60000 } // More retries for critical operation
+      );
+    } catch (insertError) {
+      if (giftCardTenders.length > 0) {
+        await GiftCardService.refundOrder(theaterId, newOrder, Infinity, 'Order could not be placed').catch(refundError =>
+          console.error('❌ [OrderService] Failed to return gift card balance:', refundError.message)
+        );
+      }
+      await undoLoyaltySpend();
+      await undoCouponReservation();
+      throw insertError;
+    }
 
     // 🔔 Notify POS clients via Firebase when POS / kiosk / offline-pos orders are created
     try {
@@ -1024,6 +1280,14 @@ class OrderService extends BaseService {
       console.error('Stack:', notifyError.stack);
     }
 
+    // 🖨️ Confirmed orders go straight to the station printers; pending ones wait for payment
+    // and held (pre-ordered) ones wait for the release job
+    if (orderStatus === 'confirmed' && stationTickets.length > 0 && !this.isHeldForRelease(newOrder)) {
+      StationService.dispatchStationTickets(theaterId, newOrder).catch(stationError =>
+        console.error('❌ [OrderService] Failed to dispatch station tickets:', stationError.message)
+      );
+    }
+
     return newOrder;
     } catch (error) {
       // ✅ FIX: Handle connection errors gracefully - comprehensive error detection
@@ -1068,11 +1332,133 @@ class OrderService extends BaseService {
     }
   }
 
+  /**
+   * Move the stock of counted modifier options on the product list
+   * @param {number} direction - -1 when the items are sold, 1 when they are restocked
+   */
+  async adjustModifierStock(theaterId, items, direction) {
+    const usages = collectModifierStock(items);
+    if (usages.length === 0) return;
+
+    const db = mongoose.connection.db;
+    for (const usage of usages) {
+      try {
+        await db.collection('productlist').updateOne(
+          { theater: new mongoose.Types.ObjectId(theaterId) },
+          { $inc: { 'productList.$[product].variants.$[group].options.$[option].stock': direction * usage.quantity } },
+          {
+            arrayFilters: [
+              { 'product._id': new mongoose.Types.ObjectId(usage.productId) },
+              { 'group._id': new mongoose.Types.ObjectId(usage.groupId) },
+              // Options without a stock count are left alone
+              { 'option._id': new mongoose.Types.ObjectId(usage.optionId), 'option.stock': { $type: 'number' } }
+            ]
+          }
+        );
+      } catch (error) {
+        console.error(`❌ [OrderService] Failed to update modifier stock for product ${usage.productId}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Put an order item's stock back into cafe inventory
+   * `quantity` may be less than the item quantity (partial refunds); the saved
+   * stockQuantityConsumed is scaled down accordingly
+   */
+  async restoreItemStock(theaterId, item, orderDate, quantity = item.quantity) {
+    const productId = item.productId;
+    if (!productId || !quantity || quantity <= 0) return;
+
+    const db = mongoose.connection.db;
+
+    // 🧀 Counted modifier options go back too
+    await this.adjustModifierStock(theaterId, [{ ...item, quantity }], 1);
+
+    // 🍿 Recipe items were deducted from their ingredients - put back what the saved recipe used
+    if (Array.isArray(item.recipe) && item.recipe.length > 0) {
+      for (const line of item.recipe) {
+        await CafeStockService.restoreStockOnCancellation(
+          theaterId,
+          String(line.ingredientId),
+          quantity,
+          orderDate,
+          toIngredientUsage(line)
+        );
+      }
+      return;
+    }
+
+    // ✅ FIX: Use saved stockQuantityConsumed if available (most accurate)
+    // This ensures we restore the exact stock amount that was deducted during order creation
+    let savedStockQuantityConsumed = item.stockQuantityConsumed;
+    const savedNoQty = item.noQty;
+
+    // Convert to number to ensure it's a valid numeric value
+    if (savedStockQuantityConsumed !== null && savedStockQuantityConsumed !== undefined) {
+      savedStockQuantityConsumed = Number(savedStockQuantityConsumed);
+    }
+
+    if (savedStockQuantityConsumed !== null &&
+      savedStockQuantityConsumed !== undefined &&
+      !isNaN(savedStockQuantityConsumed) &&
+      savedStockQuantityConsumed > 0) {
+      const itemQuantity = item.quantity || quantity;
+      await CafeStockService.restoreStockOnCancellation(
+        theaterId,
+        productId,
+        quantity,
+        orderDate,
+        null, // product parameter (not needed if stockQuantityConsumed is provided)
+        savedStockQuantityConsumed * (quantity / itemQuantity)
+      );
+      return;
+    }
+
+    if (savedNoQty) {
+      // Fallback: Calculate using saved noQty from order item
+      const productContainer = await db.collection('productlist').findOne({
+        theater: new mongoose.Types.ObjectId(theaterId),
+        'productList._id': new mongoose.Types.ObjectId(productId)
+      });
+
+      let product = productContainer?.productList?.find(
+        p => String(p._id) === String(productId)
+      ) || null;
+
+      if (!product) {
+        product = await Product.findById(productId).lean();
+      }
+
+      if (product) {
+        // Temporarily override product's noQty with saved noQty for accurate calculation
+        await CafeStockService.restoreStockOnCancellation(
+          theaterId,
+          productId,
+          quantity,
+          orderDate,
+          { ...product, noQty: savedNoQty }
+        );
+        return;
+      }
+
+      // Last resort: use standard restoration
+      console.warn(`⚠️ [OrderService] Product not found, using standard restoration for product ${productId}`);
+    } else {
+      // No saved data: use standard restoration (will use current product noQty)
+      console.warn(`⚠️ [OrderService] No saved noQty or stockQuantityConsumed, using standard restoration for product ${productId}`);
+    }
+
+    await CafeStockService.restoreStockOnCancellation(theaterId, productId, quantity, orderDate);
+  }
+
   /**
    * Cancel a product/item from an order
    * Removes the item, recalculates order totals, and restores stock
+   * Online-paid orders get the item's share of the bill (incl. GST) refunded through the gateway
+   * @returns {Object} - { order, refund } (refund is null when nothing was refunded)
    */
-  async cancelOrderProduct(theaterId, orderId, itemId) {
+  async cancelOrderProduct(theaterId, orderId, itemId, actor = {}) {
     const db = mongoose.connection.db;
     const theaterObjectId = new mongoose.Types.ObjectId(theaterId);
     const orderObjectId = new mongoose.Types.ObjectId(orderId);
@@ -1114,119 +1500,165 @@ class OrderService extends BaseService {
       throw new Error('Product not found in order');
     }
 
-    // Restore stock for the cancelled item
-    try {
-      const productId = itemToCancel.productId;
-      const quantity = itemToCancel.quantity || 0;
-      const orderDate = currentOrder.createdAt || new Date();
+    // Remove the item from the order
+    const updatedItems = items.filter(item => String(item._id || item.productId) !== String(itemId));
 
-      // ✅ DEBUG: Log the entire item to see what fields are available
-      console.log(`🔍 [OrderService] Item to cancel:`, JSON.stringify({
-        productId: itemToCancel.productId,
-        name: itemToCancel.name,
-        quantity: itemToCancel.quantity,
-        noQty: itemToCancel.noQty,
-        stockQuantityConsumed: itemToCancel.stockQuantityConsumed,
-        allKeys: Object.keys(itemToCancel)
-      }, null, 2));
-
-      if (productId && quantity > 0) {
-        // ✅ FIX: Use saved stockQuantityConsumed if available (most accurate)
-        // This ensures we restore the exact stock amount that was deducted during order creation
-        // Try multiple possible field names in case of different formats
-        let savedStockQuantityConsumed = itemToCancel.stockQuantityConsumed ||
-          itemToCancel['stockQuantityConsumed'];
-        const savedNoQty = itemToCancel.noQty || itemToCancel['noQty'];
-
-        // ✅ FIX: Convert to number to ensure it's a valid numeric value
-        if (savedStockQuantityConsumed !== null && savedStockQuantityConsumed !== undefined) {
-          savedStockQuantityConsumed = Number(savedStockQuantityConsumed);
-        }
+    // Recalculate order totals using the remaining items
+    const previousTotals = calculateOrderTotals({ items });
+    const totals = calculateOrderTotals({
+      items: updatedItems
+    });
 
+    // 🎟️ Keep the order's coupon on the remaining items - percentage coupons shrink with the bill,
+    // flat ones stay as billed (never more than the new total)
+    const previousCouponDiscount = currentOrder.pricing?.couponDiscount || 0;
+    const previousLoyaltyDiscount = currentOrder.pricing?.loyaltyDiscount || 0;
+    const previousPayable = previousTotals.total - previousCouponDiscount - previousLoyaltyDiscount;
+    if (previousCouponDiscount > 0) {
+      const scaledDiscount = currentOrder.pricing.couponType === 'flat' || !previousTotals.total
+        ? previousCouponDiscount
+        : previousCouponDiscount * (totals.total / previousTotals.total);
+      const couponDiscount = Math.round(Math.min(scaledDiscount, totals.total) * 100) / 100;
+
+      totals.total = Math.round((totals.total - couponDiscount) * 100) / 100;
+      totals.totalDiscount = Math.round(((totals.totalDiscount || 0) + couponDiscount) * 100) / 100;
+      totals.pricing = {
+        ...totals.pricing,
+        total: totals.total,
+        totalDiscount: totals.totalDiscount,
+        couponCode: currentOrder.pricing.couponCode,
+        couponType: currentOrder.pricing.couponType,
+        couponPhone: currentOrder.pricing.couponPhone || null,
+        couponDiscount
+      };
+    }
 
-        // ✅ FIX: Check if stockQuantityConsumed exists and is a valid positive number
-        if (savedStockQuantityConsumed !== null &&
-          savedStockQuantityConsumed !== undefined &&
-          !isNaN(savedStockQuantityConsumed) &&
-          savedStockQuantityConsumed > 0) {
-          // Use the saved stock quantity consumed directly (most accurate)
-          await CafeStockService.restoreStockOnCancellation(
-            theaterId,
-            productId,
-            quantity,
-            orderDate,
-            null, // product parameter (not needed if stockQuantityConsumed is provided)
-            savedStockQuantityConsumed // Pass saved stockQuantityConsumed directly (this is the actual stock to restore)
-          );
-        } else if (savedNoQty) {
-          // Fallback: Calculate using saved noQty from order item
-          // Fetch product to get quantity/unit info for calculation
-          const productContainer = await db.collection('productlist').findOne({
-            theater: theaterObjectId,
-            'productList._id': new mongoose.Types.ObjectId(productId)
-          });
+    // ⭐ Points spent stay spent on the remaining items (never more than the new total)
+    if (previousLoyaltyDiscount > 0) {
+      const loyaltyDiscount = Math.round(Math.min(previousLoyaltyDiscount, totals.total) * 100) / 100;
+
+      totals.total = Math.round((totals.total - loyaltyDiscount) * 100) / 100;
+      totals.totalDiscount = Math.round(((totals.totalDiscount || 0) + loyaltyDiscount) * 100) / 100;
+      totals.pricing = {
+        ...totals.pricing,
+        total: totals.total,
+        totalDiscount: totals.totalDiscount,
+        loyaltyPointsRedeemed: currentOrder.pricing.loyaltyPointsRedeemed,
+        loyaltyDiscount
+      };
+    }
 
-          let product = null;
-          if (productContainer && productContainer.productList) {
-            product = productContainer.productList.find(
-              p => String(p._id) === String(productId)
-            );
-          }
+    // 💵 Split payments: the item comes off every tender in proportion, so shift cash and tender reports
+    // add up to the reduced bill
+    const storedTenders = currentOrder.payment?.tenders || [];
+    const tenderedTotal = storedTenders.reduce((sum, tender) => sum + (Number(tender.amount) || 0), 0);
+    const tenderReduction = storedTenders.length > 0
+      ? reduceTenders(storedTenders, Math.round((tenderedTotal - totals.total) * 100) / 100)
+      : null;
+
+    // 🔒 Claim the item before any money moves - a second cancel of the same item (double click,
+    // two tills) finds it claimed and stops instead of refunding it twice
+    const itemsField = currentOrder.items ? 'items' : 'products';
+    const itemMatch = itemToCancel._id ? { _id: itemToCancel._id } : { productId: itemToCancel.productId };
+    const claimFilter = (cancelStatus) => ({
+      theater: theaterObjectId,
+      orderList: {
+        $elemMatch: {
+          _id: orderObjectId,
+          status: { $nin: ['cancelled', 'completed'] },
+          [itemsField]: { $elemMatch: { ...itemMatch, cancelStatus } }
+        }
+      }
+    });
+    const claimOptions = {
+      arrayFilters: [
+        { 'order._id': orderObjectId },
+        Object.fromEntries(Object.entries(itemMatch).map(([key, value]) => [`item.${key}`, value]))
+      ]
+    };
+    const claimPath = `orderList.$[order].${itemsField}.$[item].cancelStatus`;
 
-          if (!product) {
-            product = await Product.findById(productId).lean();
-          }
+    const claim = await db.collection('theaterorders').updateOne(
+      claimFilter(null),
+      { $set: { [claimPath]: 'cancelling' } },
+      claimOptions
+    );
+    if (claim.modifiedCount === 0) {
+      throw new Error('Cannot modify order: this product is already being cancelled');
+    }
 
-          if (product) {
-            // Temporarily override product's noQty with saved noQty for accurate calculation
-            const productWithSavedNoQty = { ...product, noQty: savedNoQty };
-            await CafeStockService.restoreStockOnCancellation(
-              theaterId,
-              productId,
-              quantity,
-              orderDate,
-              productWithSavedNoQty // Pass product with saved noQty
-            );
-          } else {
-            // Last resort: use standard restoration
-            console.warn(`⚠️ [OrderService] Product not found, using standard restoration for product ${productId}`);
-            await CafeStockService.restoreStockOnCancellation(
-              theaterId,
-              productId,
-              quantity,
-              orderDate
-            );
+    // What each tender paid for the item: stored split tenders in proportion, otherwise the whole share
+    // on the order's one payment method. Units refunded earlier were already paid back in full.
+    const remainingQuantity = (itemToCancel.quantity || 0) - (itemToCancel.refundedQuantity || 0);
+    const unrefundedShare = itemToCancel.quantity ? Math.max(0, remainingQuantity) / itemToCancel.quantity : 0;
+    const tenderShares = tenderReduction
+      ? storedTenders.map((tender, index) => ({ method: tender.method, amount: tenderReduction.reductions[index] }))
+      : [{ method: currentOrder.payment?.method, amount: previousPayable - totals.total }];
+    const unrefundedTenderShare = (isGiftCard) => Math.round(tenderShares
+      .filter(tender => (tender.method === 'giftcard') === isGiftCard)
+      .reduce((sum, tender) => sum + tender.amount, 0) * unrefundedShare * 100) / 100;
+    const giftCardShare = unrefundedTenderShare(true);
+    const paidShare = unrefundedTenderShare(false);
+
+    // ✅ Online payments: send the gateway's share of the item (incl. GST) back before touching the order,
+    // so a rejected refund leaves the item in place instead of silently keeping the customer's money
+    let refund = null;
+    try {
+      if (['paid', 'partially_refunded'].includes(currentOrder.payment?.status) && paidShare > 0) {
+        const paymentService = require('./paymentService');
+        const transaction = await paymentService.getPaidTransaction(orderId);
+
+        if (transaction) {
+          const refundableBalance = (transaction.amount?.value || 0) - (transaction.refundedAmount || 0);
+          const amount = Math.min(paidShare, Math.round(refundableBalance * 100) / 100);
+          const taxShare = previousPayable > totals.total
+            ? (previousTotals.tax - totals.tax) * (amount / (previousPayable - totals.total))
+            : 0;
+
+          if (amount > 0) {
+            const result = await paymentService.refundOrder(theaterId, orderId, {
+              type: 'partial',
+              amount,
+              taxAmount: Math.round(taxShare * 100) / 100,
+              items: [{ itemId, quantity: remainingQuantity }],
+              reason: `Item cancelled: ${itemToCancel.name || itemToCancel.productName || 'product'}`,
+              restock: false // Restocked below along with the cancellation
+            }, actor);
+            refund = result.refund;
           }
-        } else {
-          // No saved data: use standard restoration (will use current product noQty)
-          console.warn(`⚠️ [OrderService] No saved noQty or stockQuantityConsumed, using standard restoration for product ${productId}`);
-          await CafeStockService.restoreStockOnCancellation(
-            theaterId,
-            productId,
-            quantity,
-            orderDate
-          );
         }
       }
     } catch (error) {
-      console.error(`❌ [OrderService] Error restoring stock for cancelled product:`, error);
-      // Continue with cancellation even if stock restoration fails
+      // Nothing was refunded - release the item so the cancel can be retried
+      await db.collection('theaterorders').updateOne(claimFilter('cancelling'), { $unset: { [claimPath]: '' } }, claimOptions)
+        .catch(releaseError => console.error('❌ [OrderService] Failed to release cancel claim:', releaseError.message));
+      throw error;
     }
 
-    // Remove the item from the order
-    const updatedItems = items.filter(item => String(item._id || item.productId) !== String(itemId));
+    // 🎁 The gift card tenders' share goes back on the card
+    if (giftCardShare > 0) {
+      await GiftCardService.refundOrder(
+        theaterId,
+        currentOrder,
+        giftCardShare,
+        `Item cancelled: ${itemToCancel.name || itemToCancel.productName || 'product'}`
+      ).catch(giftCardError =>
+        console.error(`❌ [OrderService] Failed to return gift card balance for order ${orderId}:`, giftCardError.message)
+      );
+    }
 
-    // Recalculate order totals using the remaining items
-    const totals = calculateOrderTotals({
-      items: updatedItems
-    });
+    // Restore stock for the cancelled item (minus anything already restocked by a refund)
+    try {
+      const orderDate = currentOrder.createdAt || new Date();
+      await this.restoreItemStock(theaterId, itemToCancel, orderDate, remainingQuantity);
+    } catch (error) {
+      console.error(`❌ [OrderService] Error restoring stock for cancelled product:`, error);
+      // Continue with cancellation even if stock restoration fails
+    }
 
-    // Update the order: remove item and update pricing
+    // Update the order: remove item and update pricing (only while this cancel still holds the claim)
     const updateResult = await db.collection('theaterorders').findOneAndUpdate(
-      {
-        theater: theaterObjectId,
-        'orderList._id': orderObjectId
-      },
+      claimFilter('cancelling'),
       {
         $set: {
           'orderList.$.items': updatedItems,
@@ -1244,6 +1676,7 @@ class OrderService extends BaseService {
             currency: 'INR'
           },
           'orderList.$.totalAmount': totals.total || 0, // Update for backward compatibility
+          ...(tenderReduction ? { 'orderList.$.payment.tenders': tenderReduction.tenders } : {}),
           'orderList.$.updatedAt': new Date(),
           updatedAt: new Date()
         }
@@ -1259,7 +1692,7 @@ class OrderService extends BaseService {
       o => String(o._id) === orderId
     );
 
-    return updatedOrder;
+    return { order: updatedOrder, refund };
   }
 
   /**
@@ -1296,102 +1729,50 @@ class OrderService extends BaseService {
         const orderItems = currentOrder.items || currentOrder.products || [];
 
 
-        // Restore stock for each item in the order
+        // Restore stock for each item in the order (refunds may already have restocked part of it)
+        const orderDate = currentOrder.createdAt || new Date();
         for (const item of orderItems) {
-          const productId = item.productId;
-          const quantity = item.quantity || 0;
-          const orderDate = currentOrder.createdAt || new Date();
-
-          // ✅ FIX: Use saved stockQuantityConsumed if available (most accurate)
-          // This ensures we restore the exact stock amount that was deducted during order creation
-          let savedStockQuantityConsumed = item.stockQuantityConsumed || item['stockQuantityConsumed'];
-          const savedNoQty = item.noQty || item['noQty'];
-
-          // Convert to number to ensure it's a valid numeric value
-          if (savedStockQuantityConsumed !== null && savedStockQuantityConsumed !== undefined) {
-            savedStockQuantityConsumed = Number(savedStockQuantityConsumed);
-          }
-
-
-          if (productId && quantity > 0) {
-            // ✅ FIX: Check if stockQuantityConsumed exists and is a valid positive number
-            if (savedStockQuantityConsumed !== null &&
-              savedStockQuantityConsumed !== undefined &&
-              !isNaN(savedStockQuantityConsumed) &&
-              savedStockQuantityConsumed > 0) {
-              // Use the saved stock quantity consumed directly (most accurate)
-              await CafeStockService.restoreStockOnCancellation(
-                theaterId,
-                productId,
-                quantity,
-                orderDate,
-                null, // product parameter (not needed if stockQuantityConsumed is provided)
-                savedStockQuantityConsumed // Pass saved stockQuantityConsumed directly
-              );
-            } else if (savedNoQty) {
-              // Fallback: Calculate using saved noQty from order item
-              const productContainer = await db.collection('productlist').findOne({
-                theater: theaterObjectId,
-                'productList._id': new mongoose.Types.ObjectId(productId)
-              });
-
-              let product = null;
-              if (productContainer && productContainer.productList) {
-                product = productContainer.productList.find(
-                  p => String(p._id) === String(productId)
-                );
-              }
-
-              if (!product) {
-                product = await Product.findById(productId).lean();
-              }
-
-              if (product) {
-                // Temporarily override product's noQty with saved noQty for accurate calculation
-                const productWithSavedNoQty = { ...product, noQty: savedNoQty };
-                await CafeStockService.restoreStockOnCancellation(
-                  theaterId,
-                  productId,
-                  quantity,
-                  orderDate,
-                  productWithSavedNoQty // Pass product with saved noQty
-                );
-              } else {
-                // Last resort: use standard restoration
-                console.warn(`⚠️ [OrderService] Product not found, using standard restoration for product ${productId}`);
-                await CafeStockService.restoreStockOnCancellation(
-                  theaterId,
-                  productId,
-                  quantity,
-                  orderDate
-                );
-              }
-            } else {
-              // No saved data: use standard restoration (will use current product noQty)
-              console.warn(`⚠️ [OrderService] No saved noQty or stockQuantityConsumed, using standard restoration for product ${productId}`);
-              await CafeStockService.restoreStockOnCancellation(
-                theaterId,
-                productId,
-                quantity,
-                orderDate
-              );
-            }
-          }
+          await this.restoreItemStock(
+            theaterId,
+            item,
+            orderDate,
+            (item.quantity || 0) - (item.refundedQuantity || 0)
+          );
         }
       } catch (error) {
         console.error(`❌ [OrderService] Error restoring stock for cancelled order ${orderId}:`, error);
         // Don't throw - allow order cancellation to proceed even if stock restoration fails
         // This ensures the order status is updated, and stock can be manually adjusted if needed
       }
+
+      // 🎁 Gift card money goes back on the card (what is left after earlier item cancellations)
+      if ((currentOrder.payment?.tenders || []).some(tender => tender.method === 'giftcard')) {
+        await GiftCardService.refundOrder(theaterId, currentOrder, Infinity, `Order ${currentOrder.orderNumber} cancelled`)
+          .catch(giftCardError =>
+            console.error(`❌ [OrderService] Failed to return gift card balance for order ${orderId}:`, giftCardError.message)
+          );
+      }
+
+      // 🎟️ The coupon redemption goes back for other orders to use
+      await CouponService.releaseOrderRedemption(theaterId, currentOrder).catch(couponError =>
+        console.error(`❌ [OrderService] Failed to release coupon redemption for order ${orderId}:`, couponError.message)
+      );
     }
 
     // Prepare update operations
+    const now = new Date();
     const updateSet = {
       'orderList.$.status': status,
-      'orderList.$.updatedAt': new Date(),
-      updatedAt: new Date()
+      'orderList.$.updatedAt': now,
+      updatedAt: now
     };
 
+    // Stamp timestamps.<status>At so KDS timers and delivery stats have stage start times
+    const timestampField = STATUS_TIMESTAMP_FIELDS[status];
+    if (timestampField && currentOrder.status !== status) {
+      updateSet[`orderList.$.timestamps.${timestampField}`] = now;
+    }
+
     // ✅ FIX: If order becomes confirmed/completed and stock wasn't recorded, record it now
     if ((status === 'confirmed' || status === 'completed' || status === 'paid' || status === 'served') &&
       !currentOrder.stockRecorded) {
@@ -1410,6 +1791,7 @@ class OrderService extends BaseService {
           console.error(`❌ [OrderService] Failed to record late stock usage for item ${item.productId}:`, stockError);
         }
       }
+      await this.adjustModifierStock(theaterId, itemsToDeduct, -1);
 
       updateSet['orderList.$.stockRecorded'] = true;
     }
@@ -1434,9 +1816,432 @@ class OrderService extends BaseService {
       o => String(o._id) === orderId
     );
 
+    // Orders confirmed by staff after being held as pending still need their station tickets printed
+    if (status === 'confirmed' && currentOrder.status === 'pending' && !this.isHeldForRelease(updatedOrder) &&
+      (updatedOrder.stationTickets || []).some(ticket => !ticket.printedAt)) {
+      StationService.dispatchStationTickets(theaterId, updatedOrder).catch(stationError =>
+        console.error('❌ [OrderService] Failed to dispatch station tickets:', stationError.message)
+      );
+    }
+
+    // Fan out the transition to connected kitchen displays / POS agents
+    if (currentOrder.status !== status) {
+      try {
+        broadcastPosEvent(theaterId, {
+          type: 'order_status',
+          event: status,
+          previousStatus: currentOrder.status,
+          orderId: String(updatedOrder._id),
+          orderNumber: updatedOrder.orderNumber
+        });
+      } catch (broadcastError) {
+        console.error('❌ [OrderService] Failed to broadcast status change:', broadcastError.message);
+      }
+    }
+
     return updatedOrder;
   }
 
+  /**
+   * Is the order still waiting for its scheduled release to the kitchen?
+   */
+  isHeldForRelease(order, at = new Date()) {
+    return !!order?.scheduledFor && !order.releasedAt && new Date(order.scheduledFor) > at;
+  }
+
+  /**
+   * Release held interval / show-start orders whose scheduled time has arrived
+   * Paid orders get their receipt and station tickets printed; unpaid ones print once payment lands
+   * Runs every minute from jobs/scheduledOrderReleaser.js
+   */
+  async releaseScheduledOrders(at = new Date()) {
+    const db = mongoose.connection.db;
+
+    const theaterDocs = await db.collection('theaterorders').aggregate([
+      { $match: { orderList: { $elemMatch: { scheduledFor: { $lte: at }, releasedAt: null } } } },
+      {
+        $project: {
+          theater: 1,
+          orderList: {
+            $filter: {
+              input: '$orderList',
+              as: 'order',
+              cond: {
+                $and: [
+                  { $ne: [{ $ifNull: ['$$order.scheduledFor', null] }, null] },
+                  { $lte: ['$$order.scheduledFor', at] },
+                  { $eq: [{ $ifNull: ['$$order.releasedAt', null] }, null] }
+                ]
+              }
+            }
+          }
+        }
+      }
+    ]).toArray();
+
+    let released = 0;
+
+    for (const doc of theaterDocs) {
+      const theaterId = String(doc.theater);
+
+      for (const order of doc.orderList) {
+        // Claim the release atomically so two server instances never print the same order twice
+        const claim = await db.collection('theaterorders').updateOne(
+          { theater: doc.theater, 'orderList._id': order._id },
+          { $set: { 'orderList.$[order].releasedAt': at, 'orderList.$[order].updatedAt': at } },
+          { arrayFilters: [{ 'order._id': order._id, 'order.releasedAt': null }] }
+        );
+        if (claim.modifiedCount === 0) continue;
+
+        released++;
+        const releasedOrder = { ...order, releasedAt: at };
+
+        if (['confirmed', 'preparing'].includes(order.status)) {
+          try {
+            const { autoPrintReceipt } = require('../utils/printHelper');
+            await autoPrintReceipt(releasedOrder, theaterId, 'regular');
+          } catch (printError) {
+            console.warn('⚠️ [OrderService] Auto-print failed for released order:', printError.message);
+          }
+
+          StationService.dispatchStationTickets(theaterId, releasedOrder).catch(stationError =>
+            console.error('❌ [OrderService] Failed to dispatch station tickets:', stationError.message)
+          );
+        }
+
+        if (order.status !== 'cancelled') {
+          broadcastPosEvent(theaterId, {
+            type: 'order_status',
+            event: 'released',
+            orderId: String(order._id),
+            orderNumber: order.orderNumber,
+            deliverAt: order.deliverAt
+          });
+        }
+      }
+    }
+
+    return released;
+  }
+
+  /**
+   * Get live kitchen display tickets grouped by stage (confirmed → preparing → ready)
+   * Only orders placed within the last `hours` hours are considered
+   */
+  async getKitchenTickets(theaterId, options = {}) {
+    const db = mongoose.connection.db;
+    const theaterObjectId = new mongoose.Types.ObjectId(theaterId);
+    const hours = Math.min(Math.max(parseInt(options.hours) || 12, 1), 48);
+    const now = new Date();
+    const since = new Date(now.getTime() - hours * 60 * 60 * 1000);
+
+    // Filter inside MongoDB so the whole orderList is not shipped for every refresh
+    const [theaterOrders] = await db.collection('theaterorders').aggregate([
+      { $match: { theater: theaterObjectId } },
+      {
+        $project: {
+          orderList: {
+            $filter: {
+              input: '$orderList',
+              as: 'order',
+              cond: {
+                $and: [
+                  { $in: ['$$order.status', KDS_STAGES] },
+                  { $gte: ['$$order.createdAt', since] },
+                  // Orders for a later interval/show stay off the board until due
+                  { $lte: [{ $ifNull: ['$$order.scheduledFor', null] }, now] }
+                ]
+              }
+            }
+          }
+        }
+      }
+    ]).toArray();
+
+    const tickets = {};
+    KDS_STAGES.forEach(stage => { tickets[stage] = []; });
+
+    for (const order of theaterOrders?.orderList || []) {
+      const timestamps = order.timestamps || {};
+      const placedAt = timestamps.placedAt || order.createdAt;
+      const stageStartedAt = timestamps[STATUS_TIMESTAMP_FIELDS[order.status]] || placedAt;
+
+      tickets[order.status].push({
+        _id: order._id,
+        orderNumber: order.orderNumber,
+        status: order.status,
+        source: order.source,
+        qrName: order.qrName || null,
+        seat: order.seat || null,
+        customerName: order.customerInfo?.name || null,
+        specialInstructions: order.specialInstructions || '',
+        deliverAt: order.deliverAt || 'now',
+        deliverBy: order.deliverBy || null,
+        scheduledFor: order.scheduledFor || null,
+        items: (order.items || order.products || []).map(item => ({
+          _id: item._id,
+          name: item.name || item.productName,
+          quantity: item.quantity,
+          size: item.originalQuantity || item.sizeLabel || item.size || null,
+          modifiers: describeModifiers(item),
+          specialInstructions: item.specialInstructions || '',
+          comboOfferName: item.comboOfferName || null,
+          stationName: item.stationName || null
+        })),
+        stationTickets: (order.stationTickets || []).map(ticket => ({
+          _id: ticket._id,
+          stationName: ticket.stationName,
+          status: ticket.status,
+          readyAt: ticket.readyAt
+        })),
+        placedAt,
+        stageStartedAt,
+        timestamps
+      });
+    }
+
+    // Oldest tickets first so the longest-waiting order is at the top of each column
+    KDS_STAGES.forEach(stage => {
+      tickets[stage].sort((a, b) => new Date(a.placedAt) - new Date(b.placedAt));
+    });
+
+    return {
+      stages: KDS_STAGES,
+      tickets,
+      serverTime: new Date()
+    };
+  }
+
+  /**
+   * Bump a kitchen ticket to its next stage
+   * `expectedStatus` guards against two displays bumping the same ticket twice
+   */
+  async bumpKitchenTicket(theaterId, orderId, expectedStatus = null) {
+    const db = mongoose.connection.db;
+    const theaterOrders = await db.collection('theaterorders').findOne(
+      {
+        theater: new mongoose.Types.ObjectId(theaterId),
+        'orderList._id': new mongoose.Types.ObjectId(orderId)
+      },
+      { projection: { 'orderList.$': 1 } }
+    );
+
+    const currentOrder = theaterOrders?.orderList?.[0];
+    if (!currentOrder) {
+      throw new Error('Order not found');
+    }
+
+    if (expectedStatus && currentOrder.status !== expectedStatus) {
+      throw new Error(`Order status has changed to ${currentOrder.status}`);
+    }
+
+    if (currentOrder.status === 'pending') {
+      throw new Error('Cannot bump pending order - payment is not confirmed yet');
+    }
+
+    const nextStatus = KDS_NEXT_STAGE[currentOrder.status];
+    if (!nextStatus) {
+      throw new Error(`Cannot bump ${currentOrder.status} order`);
+    }
+
+    return this.updateOrderStatus(theaterId, orderId, nextStatus);
+  }
+
+  /**
+   * Get the seat delivery queue for runners
+   * Ready orders that carry a screen/seat, sorted by screen then row then seat number
+   */
+  async getRunnerQueue(theaterId, runnerId, options = {}) {
+    const db = mongoose.connection.db;
+    const hours = Math.min(Math.max(parseInt(options.hours) || 12, 1), 48);
+    const since = new Date(Date.now() - hours * 60 * 60 * 1000);
+
+    const [theaterOrders] = await db.collection('theaterorders').aggregate([
+      { $match: { theater: new mongoose.Types.ObjectId(theaterId) } },
+      {
+        $project: {
+          orderList: {
+            $filter: {
+              input: '$orderList',
+              as: 'order',
+              cond: {
+                $and: [
+                  { $eq: ['$$order.status', 'ready'] },
+                  { $gt: [{ $strLenCP: { $ifNull: ['$$order.seat', ''] } }, 0] },
+                  { $gte: ['$$order.createdAt', since] }
+                ]
+              }
+            }
+          }
+        }
+      }
+    ]).toArray();
+
+    const orders = (theaterOrders?.orderList || [])
+      // Orders claimed by another runner are hidden; unclaimed and own claims stay visible
+      .filter(order => !order.assignedTo || String(order.assignedTo) === String(runnerId))
+      .map(order => {
+        const { row, number } = parseSeat(order.seat);
+        return {
+          _id: order._id,
+          orderNumber: order.orderNumber,
+          qrName: order.qrName || null,
+          seat: order.seat,
+          row,
+          seatNumber: number,
+          customerName: order.customerInfo?.name || null,
+          customerPhone: order.customerInfo?.phone || order.customerInfo?.phoneNumber || null,
+          specialInstructions: order.specialInstructions || '',
+          deliverAt: order.deliverAt || 'now',
+          deliverBy: order.deliverBy || null,
+          scheduledFor: order.scheduledFor || null,
+          items: (order.items || order.products || []).map(item => ({
+            name: item.name || item.productName,
+            quantity: item.quantity,
+            size: item.originalQuantity || item.sizeLabel || item.size || null
+          })),
+          total: order.pricing?.total || order.totalAmount || 0,
+          paymentStatus: order.payment?.status || 'pending',
+          claimedByMe: !!order.assignedTo,
+          readyAt: order.timestamps?.readyAt || order.updatedAt,
+          claimedAt: order.timestamps?.claimedAt || null
+        };
+      });
+
+    orders.sort((a, b) =>
+      String(a.qrName || '').localeCompare(String(b.qrName || ''), undefined, { numeric: true }) ||
+      a.row.localeCompare(b.row) ||
+      a.seatNumber - b.seatNumber ||
+      new Date(a.readyAt) - new Date(b.readyAt)
+    );
+
+    return {
+      orders,
+      serverTime: new Date()
+    };
+  }
+
+  /**
+   * Claim a ready seat order for delivery
+   * The claim is atomic - only one runner can hold an order
+   */
+  async claimDelivery(theaterId, orderId, runner) {
+    const db = mongoose.connection.db;
+    const orderObjectId = new mongoose.Types.ObjectId(orderId);
+    const runnerObjectId = new mongoose.Types.ObjectId(runner.userId);
+    const now = new Date();
+
+    const result = await db.collection('theaterorders').findOneAndUpdate(
+      { theater: new mongoose.Types.ObjectId(theaterId), 'orderList._id': orderObjectId },
+      {
+        $set: {
+          'orderList.$[order].assignedTo': runnerObjectId,
+          'orderList.$[order].assignedToName': runner.username || null,
+          'orderList.$[order].timestamps.claimedAt': now,
+          'orderList.$[order].updatedAt': now
+        }
+      },
+      {
+        arrayFilters: [{ 'order._id': orderObjectId, 'order.status': 'ready', 'order.assignedTo': null }],
+        returnDocument: 'after'
+      }
+    );
+
+    const order = result.value?.orderList.find(o => String(o._id) === String(orderId));
+    if (!order) {
+      throw new Error('Order not found');
+    }
+    if (order.status !== 'ready') {
+      throw new Error(`Order is ${order.status}, not ready for delivery`);
+    }
+    if (String(order.assignedTo) !== String(runnerObjectId)) {
+      throw new Error(`Order already claimed by ${order.assignedToName || 'another runner'}`);
+    }
+
+    broadcastPosEvent(theaterId, {
+      type: 'order_status',
+      event: 'claimed',
+      orderId: String(order._id),
+      orderNumber: order.orderNumber,
+      assignedToName: order.assignedToName
+    });
+
+    return order;
+  }
+
+  /**
+   * Release a claimed order back to the queue (runner can't deliver it)
+   */
+  async releaseDelivery(theaterId, orderId, runner) {
+    const db = mongoose.connection.db;
+    const orderObjectId = new mongoose.Types.ObjectId(orderId);
+
+    const result = await db.collection('theaterorders').findOneAndUpdate(
+      { theater: new mongoose.Types.ObjectId(theaterId), 'orderList._id': orderObjectId },
+      {
+        $set: {
+          'orderList.$[order].assignedTo': null,
+          'orderList.$[order].assignedToName': null,
+          'orderList.$[order].timestamps.claimedAt': null,
+          'orderList.$[order].updatedAt': new Date()
+        }
+      },
+      {
+        arrayFilters: [{
+          'order._id': orderObjectId,
+          'order.status': 'ready',
+          'order.assignedTo': new mongoose.Types.ObjectId(runner.userId)
+        }],
+        returnDocument: 'after'
+      }
+    );
+
+    const order = result.value?.orderList.find(o => String(o._id) === String(orderId));
+    if (!order) {
+      throw new Error('Order not found');
+    }
+    if (order.assignedTo) {
+      throw new Error('Order is not claimed by you');
+    }
+
+    broadcastPosEvent(theaterId, {
+      type: 'order_status',
+      event: 'released',
+      orderId: String(order._id),
+      orderNumber: order.orderNumber
+    });
+
+    return order;
+  }
+
+  /**
+   * Confirm delivery to the seat - moves the order to 'served'
+   * Only the runner holding the claim may deliver it
+   */
+  async markDelivered(theaterId, orderId, runner) {
+    const db = mongoose.connection.db;
+    const theaterOrders = await db.collection('theaterorders').findOne(
+      {
+        theater: new mongoose.Types.ObjectId(theaterId),
+        'orderList._id': new mongoose.Types.ObjectId(orderId)
+      },
+      { projection: { 'orderList.$': 1 } }
+    );
+
+    const currentOrder = theaterOrders?.orderList?.[0];
+    if (!currentOrder) {
+      throw new Error('Order not found');
+    }
+    if (currentOrder.status !== 'ready') {
+      throw new Error(`Order is ${currentOrder.status}, not ready for delivery`);
+    }
+    if (String(currentOrder.assignedTo) !== String(runner.userId)) {
+      throw new Error('Order is not claimed by you');
+    }
+
+    return this.updateOrderStatus(theaterId, orderId, 'served');
+  }
+
   /**
    * Get nested order data for a theater (with filters and summary)
    */
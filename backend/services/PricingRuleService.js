@@ -0,0 +1,151 @@
+const BaseService = require('./BaseService');
+const PricingRule = require('../models/PricingRule');
+const Theater = require('../models/Theater');
+const { toMinutes, DEFAULT_TIME_ZONE } = require('../utils/pricingRules');
+
+const RULE_FIELDS = [
+  'name', 'adjustmentType', 'direction', 'value', 'daysOfWeek', 'startTime', 'endTime',
+  'validFrom', 'validUntil', 'applicableCategories', 'applicableProducts', 'priority', 'isActive'
+];
+
+/**
+ * Pricing Rule Service
+ * Happy-hour / peak pricing windows that change product prices by day and time
+ */
+class PricingRuleService extends BaseService {
+  constructor() {
+    super(PricingRule);
+  }
+
+  /**
+   * Get all pricing rules of a theater
+   */
+  async getRules(theaterId) {
+    const doc = await PricingRule.findOne({ theater: theaterId }).lean().maxTimeMS(15000);
+    return (doc?.ruleList || [])
+      .sort((a, b) => (b.priority || 0) - (a.priority || 0) || new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  /**
+   * Get one pricing rule of a theater (null when it does not exist)
+   */
+  async getRule(theaterId, ruleId) {
+    const doc = await PricingRule.findOne({ theater: theaterId, 'ruleList._id': ruleId }, { 'ruleList.$': 1 })
+      .lean()
+      .maxTimeMS(15000);
+    return doc?.ruleList?.[0] || null;
+  }
+
+  /**
+   * Get the enabled rules of a theater for pricing products
+   * Time windows are checked per product by utils/pricingRules
+   */
+  async getActiveRules(theaterId) {
+    const doc = await PricingRule.findOne({ theater: theaterId }).lean().maxTimeMS(15000);
+    return (doc?.ruleList || []).filter(rule => rule.isActive !== false);
+  }
+
+  /**
+   * Time zone the theater's rule days and times are in
+   */
+  async getTimeZone(theaterId) {
+    const theater = await Theater.findById(theaterId).select('settings.timezone').lean().maxTimeMS(15000);
+    return theater?.settings?.timezone || DEFAULT_TIME_ZONE;
+  }
+
+  /**
+   * Pick the editable fields from a request body
+   */
+  pickRuleFields(data) {
+    const fields = {};
+    RULE_FIELDS.forEach(field => {
+      if (data[field] !== undefined) {
+        fields[field] = data[field];
+      }
+    });
+    // Empty values from the form mean "no limit"
+    ['validFrom', 'validUntil'].forEach(field => {
+      if (fields[field] === '') {
+        fields[field] = null;
+      }
+    });
+    if (fields.daysOfWeek !== undefined) {
+      fields.daysOfWeek = [...new Set(fields.daysOfWeek.map(Number))].sort();
+    }
+    return fields;
+  }
+
+  /**
+   * Check a rule definition is consistent
+   */
+  validateRule(rule) {
+    if (rule.adjustmentType === 'percentage' && (rule.value <= 0 || (rule.direction !== 'increase' && rule.value > 100))) {
+      throw new Error('Pricing rule percentage must be between 1 and 100');
+    }
+    if (rule.adjustmentType === 'amount' && rule.value <= 0) {
+      throw new Error('Pricing rule amount must be greater than 0');
+    }
+    if ((rule.startTime && toMinutes(rule.startTime) === null) || (rule.endTime && toMinutes(rule.endTime) === null)) {
+      throw new Error('Pricing rule times must be in HH:mm format');
+    }
+    if (rule.startTime && rule.endTime && rule.startTime === rule.endTime) {
+      throw new Error('Pricing rule start and end time must be different');
+    }
+    if (rule.validFrom && rule.validUntil && new Date(rule.validUntil) <= new Date(rule.validFrom)) {
+      throw new Error('Pricing rule end date must be after its start date');
+    }
+  }
+
+  /**
+   * Add a pricing rule
+   */
+  async createRule(theaterId, data) {
+    const rule = this.pickRuleFields(data);
+    this.validateRule(rule);
+
+    let doc = await PricingRule.findOne({ theater: theaterId });
+    if (!doc) {
+      doc = new PricingRule({ theater: theaterId, ruleList: [] });
+    }
+
+    doc.ruleList.push(rule);
+    await doc.save();
+    return doc.ruleList[doc.ruleList.length - 1];
+  }
+
+  /**
+   * Update a pricing rule
+   */
+  async updateRule(theaterId, ruleId, data) {
+    const doc = await PricingRule.findOne({ theater: theaterId });
+    const rule = doc?.ruleList.id(ruleId);
+    if (!rule) {
+      throw new Error('Pricing rule not found');
+    }
+
+    Object.assign(rule, this.pickRuleFields(data));
+    this.validateRule(rule);
+    rule.updatedAt = new Date();
+
+    await doc.save();
+    return rule;
+  }
+
+  /**
+   * Delete a pricing rule (past orders keep the price they were billed at)
+   */
+  async deleteRule(theaterId, ruleId) {
+    const result = await PricingRule.findOneAndUpdate(
+      { theater: theaterId, 'ruleList._id': ruleId },
+      { $pull: { ruleList: { _id: ruleId } }, $set: { updatedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!result) {
+      throw new Error('Pricing rule not found');
+    }
+    return true;
+  }
+}
+
+module.exports = new PricingRuleService();
@@ -5,6 +5,10 @@ const MonthlyStock = require('../models/MonthlyStock');
 const CafeMonthlyStock = require('../models/CafeMonthlyStock');
 const mongoose = require('mongoose');
 const { ensureDatabaseReady } = require('../utils/mongodbQueryHelper');
+const { resolveProductPrice } = require('../utils/pricingRules');
+const pricingRuleService = require('./PricingRuleService');
+const CafeStockService = require('./CafeStockService');
+const { getRecipe, normalizeRecipe } = require('../utils/productRecipes');
 
 /**
  * Product Service
@@ -29,6 +33,8 @@ class ProductService extends BaseService {
    * @param {string} theaterId - Theater ID
    * @param {object} queryParams - Query parameters including:
    *   - stockSource: 'theater' (default) uses MonthlyStock, 'cafe' uses CafeMonthlyStock
+   *   - applyPricingRules: 'false' returns stored prices (product management pages edit them);
+   *     otherwise happy-hour / peak rules running now are applied to pricing.basePrice
    */
   async getProductsByTheater(theaterId, queryParams) {
     const {
@@ -41,7 +47,8 @@ class ProductService extends BaseService {
       isFeatured,
       sortBy = 'name',
       sortOrder = 'asc',
-      stockSource = 'theater' // 'theater' for MonthlyStock, 'cafe' for CafeMonthlyStock
+      stockSource = 'theater', // 'theater' for MonthlyStock, 'cafe' for CafeMonthlyStock
+      applyPricingRules = 'true'
     } = queryParams;
 
     // ✅ FIX: Ensure database connection is ready before accessing db
@@ -155,6 +162,18 @@ class ProductService extends BaseService {
         });
       }
 
+      // ⏰ Pricing rules (happy hours / weekend bumps) - loaded once, priced per product below
+      const pricingRules = applyPricingRules === 'false'
+        ? []
+        : await pricingRuleService.getActiveRules(theaterId).catch(error => {
+          console.warn('⚠️ Failed to load pricing rules:', error.message);
+          return [];
+        });
+      const pricedAt = new Date();
+      const pricingTimeZone = pricingRules.length > 0
+        ? await pricingRuleService.getTimeZone(theaterId).catch(() => undefined)
+        : undefined;
+
       // Populate data for each product - make async to handle base64 image migration
       paginated = await Promise.all(paginated.map(async (product) => {
         // Get kioskType data
@@ -494,6 +513,19 @@ class ProductService extends BaseService {
           totalInvordStock = 0;
         }
 
+        // 🍿 Recipe products are made to order - what can be sold depends on the ingredients
+        if (stockSource === 'cafe' && getRecipe(product).length > 0) {
+          try {
+            const recipeStock = await CafeStockService.getRecipeMaxOrderable(theaterId, product);
+            if (recipeStock !== null) {
+              balanceStock = recipeStock;
+              result.stockUnit = 'Nos';
+            }
+          } catch (recipeError) {
+            console.error(`❌ [${product.name}] Error checking recipe ingredients:`, recipeError.message);
+          }
+        }
+
         // Update inventory.currentStock to reflect balance stock from MonthlyStock
         if (!result.inventory) {
           result.inventory = {};
@@ -502,6 +534,25 @@ class ProductService extends BaseService {
         result.balanceStock = balanceStock; // Add balanceStock field for easy access
         result.totalInvordStock = totalInvordStock; // Add totalInvordStock field (TOTAL ADDED from stock management)
 
+        // ⏰ Rule price becomes the price menus sell at; regularPrice keeps the stored price for strike-through
+        if (pricingRules.length > 0) {
+          const resolved = resolveProductPrice(pricingRules, product, pricedAt, pricingTimeZone);
+          if (resolved.rule) {
+            result.pricing = {
+              ...(product.pricing || {}),
+              basePrice: resolved.price,
+              sellingPrice: resolved.price,
+              regularPrice: resolved.regularPrice
+            };
+            result.pricingRule = {
+              _id: resolved.rule._id,
+              name: resolved.rule.name,
+              direction: resolved.rule.direction,
+              endTime: resolved.rule.endTime || null
+            };
+          }
+        }
+
         return result;
       }));
     }
@@ -905,6 +956,16 @@ class ProductService extends BaseService {
       throw new Error('Invalid category');
     }
 
+    // 🍿 Recipe ingredients must be products of this theater
+    let recipe = [];
+    if (productData.recipe !== undefined) {
+      const productContainer = await db.collection('productlist').findOne(
+        { theater: theaterObjectId },
+        { projection: { 'productList._id': 1, 'productList.name': 1 } }
+      );
+      recipe = normalizeRecipe(productData.recipe, productContainer?.productList);
+    }
+
     // Create product with proper structure and defaults
     const newProduct = {
       _id: new mongoose.Types.ObjectId(),
@@ -962,6 +1023,8 @@ class ProductService extends BaseService {
         isVeg: productData.isVeg === true || productData.isVeg === 'true'
       } : undefined,
       tags: productData.tags || [],
+      variants: productData.variants || [],
+      recipe,
       status: productData.status || 'active',
       isActive: productData.isActive !== undefined ? productData.isActive : true,
       isAvailable: productData.isAvailable !== undefined ? productData.isAvailable : true,
@@ -1033,6 +1096,10 @@ class ProductService extends BaseService {
         : null;
     }
 
+    if (processedUpdateData.recipe !== undefined) {
+      processedUpdateData.recipe = normalizeRecipe(processedUpdateData.recipe, existingDoc.productList, productId);
+    }
+
     // Merge existing product with update data
     const mergedProduct = {
       ...existingProduct,
@@ -0,0 +1,584 @@
+const mongoose = require('mongoose');
+const BaseService = require('./BaseService');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const Supplier = require('../models/Supplier');
+const StockService = require('./StockService');
+const CafeStockService = require('./CafeStockService');
+const { toIngredientUsage } = require('../utils/productRecipes');
+
+const EDITABLE_STATUSES = ['draft', 'ordered'];
+const RECEIVABLE_STATUSES = ['ordered', 'partially_received'];
+const PAID_STATUSES = ['paid', 'completed', 'partially_refunded'];
+
+const round = (value, places = 2) => {
+  const factor = 10 ** places;
+  return Math.round((Number(value) || 0) * factor) / factor;
+};
+
+const staffOf = (actor = {}) => {
+  const userId = actor.userId || actor._id;
+  return {
+    userId: userId && mongoose.Types.ObjectId.isValid(String(userId)) ? new mongoose.Types.ObjectId(String(userId)) : undefined,
+    username: actor.username || undefined
+  };
+};
+
+/**
+ * Purchase Order Service
+ * Purchase orders to suppliers and the goods-received notes (GRNs) that book the delivered
+ * quantities into product or cafe stock as ADDED entries with their batch and expiry
+ */
+class PurchaseOrderService extends BaseService {
+  constructor() {
+    super(PurchaseOrder);
+  }
+
+  /**
+   * Products of the theater keyed by id (raw productlist collection)
+   */
+  async getProductMap(theaterId) {
+    const container = await mongoose.connection.db.collection('productlist').findOne(
+      { theater: new mongoose.Types.ObjectId(theaterId) },
+      { projection: { productList: 1 } }
+    );
+    return new Map((container?.productList || []).map(product => [String(product._id), product]));
+  }
+
+  /**
+   * Get purchase orders of a theater (newest first), optionally by status / supplier
+   */
+  async getPurchaseOrders(theaterId, query = {}) {
+    const filter = { theater: theaterId };
+    if (query.status) {
+      filter.status = { $in: String(query.status).split(',') };
+    }
+    if (query.supplierId) {
+      filter.supplier = query.supplierId;
+    }
+    return PurchaseOrder.find(filter).sort({ createdAt: -1 }).lean().maxTimeMS(15000);
+  }
+
+  /**
+   * Get one purchase order of a theater
+   */
+  async getPurchaseOrder(theaterId, poId) {
+    const po = await PurchaseOrder.findOne({ _id: poId, theater: theaterId }).lean().maxTimeMS(15000);
+    if (!po) {
+      throw new Error('Purchase order not found');
+    }
+    return po;
+  }
+
+  /**
+   * Next PO number of the theater, e.g. "PO-0042"
+   */
+  async nextPoNumber(theaterId) {
+    const count = await PurchaseOrder.countDocuments({ theater: theaterId });
+    return `PO-${String(count + 1).padStart(4, '0')}`;
+  }
+
+  /**
+   * Check and price the ordered items against the theater's products
+   */
+  async buildItems(theaterId, items) {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new Error('Purchase order needs at least one item');
+    }
+
+    const productMap = await this.getProductMap(theaterId);
+    const seen = new Set();
+
+    return items.map((item, index) => {
+      const productId = String(item.productId || '');
+      const product = productMap.get(productId);
+      if (!product) {
+        throw new Error(`Purchase order item ${index + 1} is not a product of this theater`);
+      }
+      if (seen.has(productId)) {
+        throw new Error(`Purchase order lists ${product.name} more than once`);
+      }
+      seen.add(productId);
+
+      const orderedQuantity = round(item.orderedQuantity, 3);
+      if (orderedQuantity <= 0) {
+        throw new Error(`Purchase order quantity for ${product.name} must be greater than 0`);
+      }
+      const unitCost = round(item.unitCost);
+      if (unitCost < 0) {
+        throw new Error(`Purchase order cost for ${product.name} cannot be negative`);
+      }
+
+      return {
+        productId: new mongoose.Types.ObjectId(productId),
+        productName: product.name || '',
+        unit: String(item.unit || 'Nos').trim() || 'Nos',
+        orderedQuantity,
+        unitCost,
+        receivedQuantity: 0
+      };
+    });
+  }
+
+  /**
+   * Expected value of the ordered items
+   */
+  totalOf(items) {
+    return round(items.reduce((sum, item) => sum + item.orderedQuantity * item.unitCost, 0));
+  }
+
+  /**
+   * Active supplier of the theater for a new / edited PO
+   */
+  async getOrderableSupplier(theaterId, supplierId) {
+    if (!supplierId || !mongoose.Types.ObjectId.isValid(String(supplierId))) {
+      throw new Error('Purchase order needs a supplier');
+    }
+    const supplier = await Supplier.findOne({ _id: supplierId, theater: theaterId }).lean();
+    if (!supplier) {
+      throw new Error('Supplier not found');
+    }
+    if (supplier.isActive === false) {
+      throw new Error('Purchase order cannot use an inactive supplier');
+    }
+    return supplier;
+  }
+
+  /**
+   * Raise a purchase order (as a draft, or straight to 'ordered')
+   */
+  async createPurchaseOrder(theaterId, data, actor = {}) {
+    const supplier = await this.getOrderableSupplier(theaterId, data.supplierId);
+    const items = await this.buildItems(theaterId, data.items);
+    const orderDate = data.orderDate ? new Date(data.orderDate) : new Date();
+
+    // Expected date defaults to the supplier's usual lead time
+    let expectedDate = data.expectedDate ? new Date(data.expectedDate) : null;
+    if (!expectedDate && supplier.leadTimeDays > 0) {
+      expectedDate = new Date(orderDate.getTime() + supplier.leadTimeDays * 24 * 60 * 60 * 1000);
+    }
+
+    // A clash in the unique index means another PO took the number - take the next one
+    for (let attempt = 0; attempt < 5; attempt++) {
+      try {
+        const po = await PurchaseOrder.create({
+          theater: theaterId,
+          poNumber: await this.nextPoNumber(theaterId),
+          supplier: supplier._id,
+          supplierName: supplier.name,
+          status: data.status === 'ordered' ? 'ordered' : 'draft',
+          destination: data.destination === 'cafe' ? 'cafe' : 'product',
+          orderDate,
+          expectedDate,
+          items,
+          totalAmount: this.totalOf(items),
+          notes: data.notes || '',
+          createdBy: staffOf(actor)
+        });
+        return po.toObject();
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+      }
+    }
+    throw new Error('Purchase order number could not be generated - please try again');
+  }
+
+  /**
+   * Edit a purchase order that has not been received yet
+   */
+  async updatePurchaseOrder(theaterId, poId, data) {
+    const po = await PurchaseOrder.findOne({ _id: poId, theater: theaterId });
+    if (!po) {
+      throw new Error('Purchase order not found');
+    }
+    if (!EDITABLE_STATUSES.includes(po.status)) {
+      throw new Error('Purchase order can only be edited before goods are received');
+    }
+
+    if (data.supplierId !== undefined && String(data.supplierId) !== String(po.supplier)) {
+      const supplier = await this.getOrderableSupplier(theaterId, data.supplierId);
+      po.supplier = supplier._id;
+      po.supplierName = supplier.name;
+    }
+    if (data.items !== undefined) {
+      po.items = await this.buildItems(theaterId, data.items);
+      po.totalAmount = this.totalOf(po.items);
+    }
+    if (data.destination !== undefined) {
+      po.destination = data.destination === 'cafe' ? 'cafe' : 'product';
+    }
+    if (data.orderDate) {
+      po.orderDate = new Date(data.orderDate);
+    }
+    if (data.expectedDate !== undefined) {
+      po.expectedDate = data.expectedDate ? new Date(data.expectedDate) : null;
+    }
+    if (data.notes !== undefined) {
+      po.notes = data.notes;
+    }
+
+    await po.save();
+    return po.toObject();
+  }
+
+  /**
+   * Move a PO along: draft -> ordered, cancel before anything arrives,
+   * or close a partial delivery when the rest will not come
+   */
+  async updateStatus(theaterId, poId, status) {
+    const po = await PurchaseOrder.findOne({ _id: poId, theater: theaterId });
+    if (!po) {
+      throw new Error('Purchase order not found');
+    }
+
+    const allowed = {
+      ordered: ['draft'],
+      cancelled: ['draft', 'ordered'],
+      closed: ['partially_received']
+    };
+    if (!allowed[status]) {
+      throw new Error(`Purchase order cannot be set to ${status}`);
+    }
+    if (!allowed[status].includes(po.status)) {
+      throw new Error(`Purchase order that is ${po.status.replace('_', ' ')} cannot be ${status}`);
+    }
+
+    po.status = status;
+    await po.save();
+    return po.toObject();
+  }
+
+  /**
+   * Delete a draft purchase order
+   */
+  async deletePurchaseOrder(theaterId, poId) {
+    const po = await PurchaseOrder.findOne({ _id: poId, theater: theaterId }).lean();
+    if (!po) {
+      throw new Error('Purchase order not found');
+    }
+    if (po.status !== 'draft') {
+      throw new Error('Purchase order can only be deleted as a draft - cancel it instead');
+    }
+    await PurchaseOrder.deleteOne({ _id: po._id });
+    return true;
+  }
+
+  /**
+   * Book one received line into stock and return the id of the ADDED entry
+   */
+  async postStockEntry(theaterId, po, line, receivedAt, note) {
+    const entryData = {
+      date: receivedAt,
+      type: 'ADDED',
+      quantity: line.quantity,
+      unit: line.unit,
+      batchNumber: line.batchNumber || null,
+      expireDate: line.expireDate || null,
+      notes: note
+    };
+
+    const monthlyDoc = po.destination === 'cafe'
+      ? await CafeStockService.addStockEntry(theaterId, String(line.productId), { ...entryData, inwardType: 'cafe' })
+      : await StockService.addStockEntry(theaterId, String(line.productId), entryData);
+
+    const entry = (monthlyDoc?.stockDetails || []).find(detail =>
+      detail.type === 'ADDED' && detail.notes === note && Number(detail.quantity) === line.quantity
+    );
+    return entry?._id || null;
+  }
+
+  /**
+   * Receive goods against a PO (goods-received note)
+   * Each line must fit in what is still outstanding; the PO becomes partially_received
+   * until every item is in full
+   * @param {Object} data - { receivedAt, invoiceNumber, notes, items: [{ itemId, quantity, unitCost, batchNumber, expireDate }] }
+   */
+  async receiveGoods(theaterId, poId, data, actor = {}) {
+    const po = await PurchaseOrder.findOne({ _id: poId, theater: theaterId });
+    if (!po) {
+      throw new Error('Purchase order not found');
+    }
+    if (!RECEIVABLE_STATUSES.includes(po.status)) {
+      throw new Error(po.status === 'draft'
+        ? 'Purchase order must be marked as ordered before receiving goods'
+        : `Purchase order that is ${po.status.replace('_', ' ')} cannot receive goods`);
+    }
+
+    const receivedAt = data.receivedAt ? new Date(data.receivedAt) : new Date();
+    if (receivedAt > new Date()) {
+      throw new Error('Purchase order receipt date cannot be in the future');
+    }
+
+    // Check every line before any stock moves
+    const lines = (data.items || [])
+      .filter(line => round(line.quantity, 3) > 0)
+      .map(line => {
+        const item = po.items.id(line.itemId);
+        if (!item) {
+          throw new Error('Purchase order item not found');
+        }
+        const quantity = round(line.quantity, 3);
+        const outstanding = round(item.orderedQuantity - item.receivedQuantity, 3);
+        if (quantity > outstanding) {
+          throw new Error(`Purchase order receipt for ${item.productName} exceeds the outstanding ${outstanding} ${item.unit}`);
+        }
+        const expireDate = line.expireDate ? new Date(line.expireDate) : null;
+        if (expireDate && expireDate <= receivedAt) {
+          throw new Error(`Purchase order receipt for ${item.productName} is already expired`);
+        }
+        return {
+          item,
+          itemId: item._id,
+          productId: item.productId,
+          productName: item.productName,
+          unit: item.unit,
+          quantity,
+          unitCost: line.unitCost !== undefined && line.unitCost !== '' ? round(line.unitCost) : item.unitCost,
+          batchNumber: String(line.batchNumber || '').trim(),
+          expireDate
+        };
+      });
+
+    if (lines.length === 0) {
+      throw new Error('Purchase order receipt needs at least one received quantity');
+    }
+    if (lines.some(line => line.unitCost < 0)) {
+      throw new Error('Purchase order receipt cost cannot be negative');
+    }
+
+    const grnNumber = `${po.poNumber}-GRN${po.receipts.length + 1}`;
+    const note = `${grnNumber} from ${po.supplierName}${data.invoiceNumber ? ` (invoice ${data.invoiceNumber})` : ''}`;
+
+    const receiptItems = [];
+    for (const line of lines) {
+      const stockEntryId = await this.postStockEntry(theaterId, po, line, receivedAt, note);
+      line.item.receivedQuantity = round(line.item.receivedQuantity + line.quantity, 3);
+      receiptItems.push({
+        itemId: line.itemId,
+        productId: line.productId,
+        productName: line.productName,
+        unit: line.unit,
+        quantity: line.quantity,
+        unitCost: line.unitCost,
+        batchNumber: line.batchNumber,
+        expireDate: line.expireDate,
+        stockEntryId
+      });
+    }
+
+    const totalCost = round(receiptItems.reduce((sum, line) => sum + line.quantity * line.unitCost, 0));
+    po.receipts.push({
+      grnNumber,
+      receivedAt,
+      invoiceNumber: data.invoiceNumber || '',
+      notes: data.notes || '',
+      items: receiptItems,
+      totalCost,
+      receivedBy: staffOf(actor)
+    });
+    po.receivedAmount = round((po.receivedAmount || 0) + totalCost);
+    po.status = po.items.every(item => item.receivedQuantity >= item.orderedQuantity)
+      ? 'received'
+      : 'partially_received';
+
+    await po.save();
+    return po.toObject();
+  }
+
+  /**
+   * Weighted average purchase cost per product over all goods received up to a date
+   * @returns {Map} productId -> { averageUnitCost, unit }
+   */
+  async getAverageUnitCosts(theaterId, asOf = new Date()) {
+    const lines = await PurchaseOrder.aggregate([
+      { $match: { theater: new mongoose.Types.ObjectId(theaterId) } },
+      { $unwind: '$receipts' },
+      { $match: { 'receipts.receivedAt': { $lte: asOf } } },
+      { $unwind: '$receipts.items' },
+      {
+        $group: {
+          _id: '$receipts.items.productId',
+          quantity: { $sum: '$receipts.items.quantity' },
+          value: { $sum: { $multiply: ['$receipts.items.quantity', { $ifNull: ['$receipts.items.unitCost', 0] }] } },
+          unit: { $last: '$receipts.items.unit' }
+        }
+      }
+    ]);
+
+    return new Map(lines
+      .filter(line => line.quantity > 0)
+      .map(line => [String(line._id), { averageUnitCost: line.value / line.quantity, unit: line.unit || 'Nos' }]));
+  }
+
+  /**
+   * Purchase cost vs sales per product for a date range
+   * Cost of sales uses the weighted average received cost up to the end of the range;
+   * recipe products are costed from their ingredients. Sold quantities are converted to
+   * the purchase unit the same way cafe stock is consumed
+   * @param {string} startDate - YYYY-MM-DD (defaults to the 1st of this month)
+   * @param {string} endDate - YYYY-MM-DD (defaults to today)
+   */
+  async getMarginReport(theaterId, { startDate, endDate } = {}) {
+    const now = new Date();
+    const rangeStart = startDate ? new Date(`${startDate}T00:00:00`) : new Date(now.getFullYear(), now.getMonth(), 1);
+    const rangeEnd = endDate ? new Date(`${endDate}T23:59:59.999`) : now;
+    const theaterObjectId = new mongoose.Types.ObjectId(theaterId);
+
+    const [receipts, soldItems, productMap] = await Promise.all([
+      PurchaseOrder.aggregate([
+        { $match: { theater: theaterObjectId } },
+        { $unwind: '$receipts' },
+        { $match: { 'receipts.receivedAt': { $lte: rangeEnd } } },
+        { $unwind: '$receipts.items' },
+        {
+          $project: {
+            receivedAt: '$receipts.receivedAt',
+            productId: '$receipts.items.productId',
+            productName: '$receipts.items.productName',
+            unit: '$receipts.items.unit',
+            quantity: '$receipts.items.quantity',
+            unitCost: '$receipts.items.unitCost'
+          }
+        }
+      ]),
+      mongoose.connection.db.collection('theaterorders').aggregate([
+        { $match: { theater: theaterObjectId } },
+        { $unwind: '$orderList' },
+        {
+          $match: {
+            'orderList.createdAt': { $gte: rangeStart, $lte: rangeEnd },
+            'orderList.status': { $ne: 'cancelled' },
+            'orderList.payment.status': { $in: PAID_STATUSES }
+          }
+        },
+        { $unwind: '$orderList.items' },
+        {
+          $project: {
+            _id: 0,
+            productId: '$orderList.items.productId',
+            name: '$orderList.items.name',
+            quantity: '$orderList.items.quantity',
+            unitPrice: '$orderList.items.unitPrice',
+            totalPrice: '$orderList.items.totalPrice',
+            recipe: '$orderList.items.recipe'
+          }
+        }
+      ]).toArray(),
+      this.getProductMap(theaterId)
+    ]);
+
+    // Weighted average cost per purchased product (all receipts up to the end of the range)
+    const costs = new Map();
+    const rows = new Map();
+    const rowOf = (productId, name) => {
+      if (!rows.has(productId)) {
+        rows.set(productId, {
+          productId,
+          productName: productMap.get(productId)?.name || name || 'Unknown product',
+          unit: costs.get(productId)?.unit || 'Nos',
+          purchasedQuantity: 0,
+          purchaseCost: 0,
+          averageUnitCost: costs.get(productId)?.averageUnitCost ?? null,
+          soldQuantity: 0,
+          salesRevenue: 0,
+          costOfSales: 0
+        });
+      }
+      return rows.get(productId);
+    };
+
+    receipts.forEach(line => {
+      const productId = String(line.productId);
+      const cost = costs.get(productId) || { quantity: 0, value: 0, unit: line.unit || 'Nos', name: line.productName };
+      cost.quantity += line.quantity || 0;
+      cost.value += (line.quantity || 0) * (line.unitCost || 0);
+      costs.set(productId, cost);
+    });
+    costs.forEach(cost => {
+      cost.averageUnitCost = cost.quantity > 0 ? cost.value / cost.quantity : 0;
+    });
+
+    receipts
+      .filter(line => new Date(line.receivedAt) >= rangeStart)
+      .forEach(line => {
+        const row = rowOf(String(line.productId), line.productName);
+        row.purchasedQuantity += line.quantity || 0;
+        row.purchaseCost += (line.quantity || 0) * (line.unitCost || 0);
+      });
+
+    // Cost of one sold line in purchase units, or null when nothing it uses has been purchased
+    const costOfLine = (item, productId) => {
+      const quantity = Number(item.quantity) || 0;
+      if (Array.isArray(item.recipe) && item.recipe.length > 0) {
+        let total = null;
+        item.recipe.forEach(line => {
+          const cost = costs.get(String(line.ingredientId));
+          if (!cost) return;
+          const used = CafeStockService.calculateConsumption(toIngredientUsage(line), quantity, cost.unit);
+          total = (total || 0) + used * cost.averageUnitCost;
+        });
+        return total;
+      }
+      const cost = costs.get(productId);
+      if (!cost) return null;
+      const product = productMap.get(productId);
+      const used = product ? CafeStockService.calculateConsumption(product, quantity, cost.unit) : quantity;
+      return used * cost.averageUnitCost;
+    };
+
+    let uncostedRevenue = 0;
+    soldItems.forEach(item => {
+      if (!item.productId) return;
+      const productId = String(item.productId);
+      const revenue = Number(item.totalPrice) || (Number(item.unitPrice) || 0) * (Number(item.quantity) || 0);
+      const cost = costOfLine(item, productId);
+      if (cost === null) {
+        uncostedRevenue += revenue;
+        return;
+      }
+      const row = rowOf(productId, item.name);
+      row.soldQuantity += Number(item.quantity) || 0;
+      row.salesRevenue += revenue;
+      row.costOfSales += cost;
+    });
+
+    const products = [...rows.values()]
+      .map(row => {
+        const margin = row.salesRevenue - row.costOfSales;
+        return {
+          ...row,
+          purchasedQuantity: round(row.purchasedQuantity, 3),
+          purchaseCost: round(row.purchaseCost),
+          averageUnitCost: row.averageUnitCost === null ? null : round(row.averageUnitCost),
+          salesRevenue: round(row.salesRevenue),
+          costOfSales: round(row.costOfSales),
+          margin: round(margin),
+          marginPercent: row.salesRevenue > 0 ? round((margin / row.salesRevenue) * 100, 1) : null
+        };
+      })
+      .sort((a, b) => b.salesRevenue - a.salesRevenue || b.purchaseCost - a.purchaseCost);
+
+    const totals = products.reduce((sum, row) => ({
+      purchaseCost: sum.purchaseCost + row.purchaseCost,
+      salesRevenue: sum.salesRevenue + row.salesRevenue,
+      costOfSales: sum.costOfSales + row.costOfSales
+    }), { purchaseCost: 0, salesRevenue: 0, costOfSales: 0 });
+    const totalMargin = totals.salesRevenue - totals.costOfSales;
+
+    return {
+      startDate: rangeStart,
+      endDate: rangeEnd,
+      products,
+      totals: {
+        purchaseCost: round(totals.purchaseCost),
+        salesRevenue: round(totals.salesRevenue),
+        costOfSales: round(totals.costOfSales),
+        margin: round(totalMargin),
+        marginPercent: totals.salesRevenue > 0 ? round((totalMargin / totals.salesRevenue) * 100, 1) : null,
+        // Sales of products with no purchase history - left out of the margin
+        uncostedRevenue: round(uncostedRevenue)
+      }
+    };
+  }
+}
+
+module.exports = new PurchaseOrderService();
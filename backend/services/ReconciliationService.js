@@ -0,0 +1,410 @@
+const mongoose = require('mongoose');
+const BaseService = require('./BaseService');
+const PaymentReconciliation = require('../models/PaymentReconciliation');
+const PaymentTransaction = require('../models/PaymentTransaction');
+const Theater = require('../models/Theater');
+const { fetchGatewayPayments } = require('../utils/settlementGateways');
+const { formatDateToLocal } = require('../utils/dateUtils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const AMOUNT_TOLERANCE = 0.01; // Paise-level rounding between gateways and our totals
+const GATEWAY_PROVIDERS = ['razorpay', 'cashfree'];
+// Settlement reports are not fetched for these yet (direct UPI has none) - their orders are left out instead of flagged
+const UNRECONCILED_PROVIDERS = ['phonepe', 'paytm', 'upi'];
+const SUCCESS_STATUSES = ['success', 'partially_refunded', 'refunded'];
+
+const roundAmount = (value) => Math.round((Number(value) || 0) * 100) / 100;
+const amountsDiffer = (a, b) => Math.abs(roundAmount(a) - roundAmount(b)) > AMOUNT_TOLERANCE;
+
+/**
+ * Reconciliation Service
+ * Matches one day of gateway payments against PaymentTransaction and order payment records
+ */
+class ReconciliationService extends BaseService {
+  constructor() {
+    super(PaymentReconciliation);
+  }
+
+  /**
+   * Start / end of a business day
+   */
+  getDayBounds(date) {
+    const dayStart = new Date(`${date}T00:00:00`);
+    return { dayStart, dayEnd: new Date(dayStart.getTime() + DAY_MS - 1) };
+  }
+
+  /**
+   * Orders of the day that were paid through a gateway (or claim to be)
+   */
+  async getOnlinePaidOrders(theaterId, dayStart, dayEnd) {
+    return mongoose.connection.db.collection('theaterorders').aggregate([
+      { $match: { theater: new mongoose.Types.ObjectId(theaterId) } },
+      { $unwind: '$orderList' },
+      {
+        $match: {
+          'orderList.createdAt': { $gte: dayStart, $lte: dayEnd },
+          'orderList.payment.status': { $in: ['paid', 'completed', 'partially_refunded', 'refunded'] },
+          $or: [
+            { 'orderList.payment.transactionId': { $exists: true, $nin: [null, ''] } },
+            { 'orderList.payment.razorpayPaymentId': { $exists: true, $nin: [null, ''] } },
+            { 'orderList.payment.method': { $in: ['online', 'razorpay'] } }
+          ]
+        }
+      },
+      {
+        $project: {
+          _id: '$orderList._id',
+          orderNumber: '$orderList.orderNumber',
+          status: '$orderList.status',
+          payment: '$orderList.payment',
+          total: { $ifNull: ['$orderList.pricing.total', '$orderList.totalAmount'] }
+        }
+      }
+    ]).toArray();
+  }
+
+  /**
+   * Reconcile one theater for one day and store the result
+   * Resolutions of issues found on an earlier run of the same day are kept
+   * @param {string} theaterId - Theater ID
+   * @param {string} date - YYYY-MM-DD
+   * @param {string} runBy - 'scheduler' or the username re-running it
+   * @returns {Object} - PaymentReconciliation document
+   */
+  async reconcileTheater(theaterId, date, runBy = 'scheduler') {
+    const theater = await Theater.findById(theaterId).lean().maxTimeMS(20000);
+    if (!theater) {
+      throw new Error('Theater not found');
+    }
+
+    const { dayStart, dayEnd } = this.getDayBounds(date);
+    const previous = await PaymentReconciliation.findOne({ theater: theaterId, date }).lean();
+
+    let result;
+    try {
+      const [gateway, allTransactions, allOrders] = await Promise.all([
+        fetchGatewayPayments(theater, date, dayStart, dayEnd),
+        PaymentTransaction.find({
+          theaterId,
+          status: { $in: SUCCESS_STATUSES },
+          'gateway.provider': { $in: [...GATEWAY_PROVIDERS, ...UNRECONCILED_PROVIDERS] },
+          $or: [
+            { completedAt: { $gte: dayStart, $lte: dayEnd } },
+            { completedAt: null, initiatedAt: { $gte: dayStart, $lte: dayEnd } }
+          ]
+        }).lean(),
+        this.getOnlinePaidOrders(theaterId, dayStart, dayEnd)
+      ]);
+
+      const skippedOrderIds = new Set(allTransactions
+        .filter(transaction => UNRECONCILED_PROVIDERS.includes(transaction.gateway?.provider))
+        .map(transaction => String(transaction.orderId)));
+      const transactions = allTransactions.filter(transaction => GATEWAY_PROVIDERS.includes(transaction.gateway?.provider));
+      const orders = allOrders.filter(order => !skippedOrderIds.has(String(order._id)));
+
+      result = this.matchPayments(gateway.records, transactions, orders);
+      result.providers = gateway.providers;
+    } catch (error) {
+      console.error(`❌ [ReconciliationService] Reconciliation failed for theater ${theaterId} on ${date}:`, error.message);
+      result = { providers: [], summary: {}, issues: [], error: error.message };
+    }
+
+    // Carry over resolutions from the previous run of this day
+    const resolvedByKey = new Map((previous?.issues || []).filter(i => i.resolved).map(i => [i.key, i]));
+    const issues = result.issues.map(issue => {
+      const earlier = resolvedByKey.get(issue.key);
+      return earlier
+        ? { ...issue, resolved: true, resolvedBy: earlier.resolvedBy, resolvedAt: earlier.resolvedAt, resolutionNote: earlier.resolutionNote }
+        : issue;
+    });
+    const openIssues = issues.filter(issue => !issue.resolved).length;
+
+    return PaymentReconciliation.findOneAndUpdate(
+      { theater: theaterId, date },
+      {
+        $set: {
+          providers: result.providers,
+          status: result.error ? 'failed' : openIssues > 0 ? 'issues' : 'matched',
+          summary: { ...result.summary, openIssues },
+          issues,
+          error: result.error || null,
+          runAt: new Date(),
+          runBy
+        }
+      },
+      { new: true, upsert: true, runValidators: true }
+    ).lean();
+  }
+
+  /**
+   * Match gateway records, payment transactions and orders
+   * Pure function of its inputs so it can be exercised with the fake gateway
+   * @returns {Object} - { summary, issues }
+   */
+  matchPayments(gatewayRecords, transactions, orders) {
+    const issues = [];
+    const captured = gatewayRecords.filter(record => record.status !== 'failed');
+    const byPaymentId = new Map(gatewayRecords.map(record => [String(record.gatewayPaymentId), record]));
+    const capturedByOrderId = new Map();
+    captured.forEach(record => {
+      if (!record.gatewayOrderId) return;
+      const list = capturedByOrderId.get(record.gatewayOrderId) || [];
+      list.push(record);
+      capturedByOrderId.set(record.gatewayOrderId, list);
+    });
+
+    const matchedRecords = new Set();
+    let matchedCount = 0;
+
+    // 1. Every successful transaction should have a captured gateway payment of the same amount
+    transactions.forEach(transaction => {
+      const paymentId = transaction.gateway?.paymentId;
+      const gatewayOrderId = transaction.gateway?.orderId;
+      const record = (paymentId && byPaymentId.get(String(paymentId))) ||
+        (gatewayOrderId && capturedByOrderId.get(gatewayOrderId)?.[0]);
+
+      if (!record || record.status === 'failed') {
+        issues.push({
+          type: 'missing_at_gateway',
+          key: `missing_at_gateway_${transaction._id}`,
+          orderId: transaction.orderId,
+          transactionIds: [transaction._id],
+          gatewayPaymentIds: paymentId ? [paymentId] : [],
+          gatewayOrderId,
+          expectedAmount: roundAmount(transaction.amount?.value),
+          actualAmount: 0,
+          message: record
+            ? `Gateway reports payment ${record.gatewayPaymentId} as failed`
+            : 'No captured gateway payment found for this transaction'
+        });
+        return;
+      }
+
+      matchedRecords.add(record);
+      if (amountsDiffer(record.amount, transaction.amount?.value)) {
+        issues.push({
+          type: 'amount_mismatch',
+          key: `amount_mismatch_gateway_${transaction._id}`,
+          orderId: transaction.orderId,
+          transactionIds: [transaction._id],
+          gatewayPaymentIds: [record.gatewayPaymentId],
+          gatewayOrderId: record.gatewayOrderId,
+          expectedAmount: roundAmount(transaction.amount?.value),
+          actualAmount: roundAmount(record.amount),
+          message: `Gateway captured ₹${roundAmount(record.amount).toFixed(2)}, transaction records ₹${roundAmount(transaction.amount?.value).toFixed(2)}`
+        });
+      } else {
+        matchedCount++;
+      }
+    });
+
+    // 2. Gateway payments we never recorded
+    const knownGatewayOrderIds = new Set(transactions.map(t => t.gateway?.orderId).filter(Boolean));
+    captured.forEach(record => {
+      if (matchedRecords.has(record)) return;
+      // A second capture against an order we did record is a duplicate, not an unknown payment
+      if (record.gatewayOrderId && knownGatewayOrderIds.has(record.gatewayOrderId)) return;
+      issues.push({
+        type: 'missing_in_records',
+        key: `missing_in_records_${record.gatewayPaymentId}`,
+        gatewayPaymentIds: [record.gatewayPaymentId],
+        gatewayOrderId: record.gatewayOrderId,
+        expectedAmount: 0,
+        actualAmount: roundAmount(record.amount),
+        message: `Gateway captured ₹${roundAmount(record.amount).toFixed(2)} with no matching payment transaction`
+      });
+    });
+
+    // 3. Duplicates: an order paid by more than one transaction, or captured more than once at the gateway
+    const transactionsByOrder = new Map();
+    transactions.forEach(transaction => {
+      const key = String(transaction.orderId);
+      transactionsByOrder.set(key, [...(transactionsByOrder.get(key) || []), transaction]);
+    });
+    transactionsByOrder.forEach((list, orderId) => {
+      if (list.length < 2) return;
+      issues.push({
+        type: 'duplicate',
+        key: `duplicate_order_${orderId}`,
+        orderId: list[0].orderId,
+        transactionIds: list.map(t => t._id),
+        gatewayPaymentIds: list.map(t => t.gateway?.paymentId).filter(Boolean),
+        expectedAmount: roundAmount(list[0].amount?.value),
+        actualAmount: roundAmount(list.reduce((sum, t) => sum + (t.amount?.value || 0), 0)),
+        message: `Order has ${list.length} successful payments`
+      });
+    });
+    capturedByOrderId.forEach((list, gatewayOrderId) => {
+      if (list.length < 2) return;
+      const transaction = transactions.find(t => t.gateway?.orderId === gatewayOrderId);
+      if (transaction && transactionsByOrder.get(String(transaction.orderId))?.length > 1) return; // Already flagged above
+      issues.push({
+        type: 'duplicate',
+        key: `duplicate_gateway_${gatewayOrderId}`,
+        orderId: transaction?.orderId,
+        transactionIds: transaction ? [transaction._id] : [],
+        gatewayPaymentIds: list.map(record => record.gatewayPaymentId),
+        gatewayOrderId,
+        expectedAmount: roundAmount(list[0].amount),
+        actualAmount: roundAmount(list.reduce((sum, record) => sum + record.amount, 0)),
+        message: `Gateway captured ${list.length} payments for one order`
+      });
+    });
+
+    // 4. Orders: paid online must have a transaction, and (net of refunds) match its amount
+    orders.forEach(order => {
+      const orderTransactions = transactionsByOrder.get(String(order._id)) || [];
+      const issueBase = { orderId: order._id, orderNumber: order.orderNumber };
+
+      if (orderTransactions.length === 0) {
+        issues.push({
+          ...issueBase,
+          type: 'missing_transaction',
+          key: `missing_transaction_${order._id}`,
+          gatewayPaymentIds: order.payment?.razorpayPaymentId ? [order.payment.razorpayPaymentId] : [],
+          gatewayOrderId: order.payment?.razorpayOrderId,
+          expectedAmount: roundAmount(order.total),
+          actualAmount: 0,
+          message: 'Order is marked paid online but has no successful payment transaction'
+        });
+        return;
+      }
+
+      const transaction = orderTransactions[0];
+      const netPaid = (transaction.amount?.value || 0) - (transaction.refundedAmount || 0);
+      // Cancelled orders keep their original total - only the refund tells the money story
+      if (order.status !== 'cancelled' && amountsDiffer(netPaid, order.total)) {
+        issues.push({
+          ...issueBase,
+          type: 'amount_mismatch',
+          key: `amount_mismatch_order_${order._id}`,
+          transactionIds: [transaction._id],
+          gatewayPaymentIds: transaction.gateway?.paymentId ? [transaction.gateway.paymentId] : [],
+          expectedAmount: roundAmount(order.total),
+          actualAmount: roundAmount(netPaid),
+          message: `Order total ₹${roundAmount(order.total).toFixed(2)} but ₹${roundAmount(netPaid).toFixed(2)} was paid (net of refunds)`
+        });
+      }
+    });
+
+    // Order numbers for transaction-level issues
+    const orderNumbers = new Map(orders.map(order => [String(order._id), order.orderNumber]));
+    issues.forEach(issue => {
+      if (!issue.orderNumber && issue.orderId) {
+        issue.orderNumber = orderNumbers.get(String(issue.orderId));
+      }
+    });
+
+    const sum = (list, pick) => roundAmount(list.reduce((total, item) => total + (Number(pick(item)) || 0), 0));
+    const settled = captured.filter(record => record.settlementId);
+
+    return {
+      issues,
+      summary: {
+        gatewayCount: captured.length,
+        gatewayAmount: sum(captured, record => record.amount),
+        transactionCount: transactions.length,
+        transactionAmount: sum(transactions, t => t.amount?.value),
+        orderCount: orders.length,
+        orderAmount: sum(orders, order => order.total),
+        matchedCount,
+        settledAmount: sum(settled, record => record.amount - record.fee - record.tax - (record.refundedAmount || 0)),
+        fees: sum(captured, record => record.fee),
+        tax: sum(captured, record => record.tax),
+        unsettledCount: captured.length - settled.length
+      }
+    };
+  }
+
+  /**
+   * Reconcile every active theater with a payment gateway for a day (defaults to yesterday)
+   * @returns {Object} - { date, theaters, withIssues, failed }
+   */
+  async runDailyReconciliation(date = formatDateToLocal(new Date(Date.now() - DAY_MS))) {
+    const theaters = await Theater.find({
+      isActive: true,
+      $or: [
+        { 'paymentGateway.online.enabled': true },
+        { 'paymentGateway.kiosk.enabled': true }
+      ]
+    }).select('_id name').lean();
+
+    const totals = { date, theaters: theaters.length, withIssues: 0, failed: 0 };
+    for (const theater of theaters) {
+      try {
+        const report = await this.reconcileTheater(theater._id, date);
+        if (report.status === 'issues') totals.withIssues++;
+        if (report.status === 'failed') totals.failed++;
+      } catch (error) {
+        totals.failed++;
+        console.error(`❌ [ReconciliationService] ${theater.name}:`, error.message);
+      }
+    }
+    return totals;
+  }
+
+  /**
+   * Reconciliation reports of a theater for a date range (newest first)
+   */
+  async getTheaterReports(theaterId, { startDate, endDate }) {
+    return PaymentReconciliation.find({
+      theater: theaterId,
+      date: { $gte: startDate, $lte: endDate }
+    }).sort({ date: -1 }).lean().maxTimeMS(15000);
+  }
+
+  /**
+   * Per-theater issue counts for a date range (super admin transaction list)
+   * @returns {Object} - { [theaterId]: { days, openIssues, failedDays, lastRunAt } }
+   */
+  async getOverview({ startDate, endDate }) {
+    const rows = await PaymentReconciliation.aggregate([
+      { $match: { date: { $gte: startDate, $lte: endDate } } },
+      {
+        $group: {
+          _id: '$theater',
+          days: { $sum: 1 },
+          openIssues: { $sum: '$summary.openIssues' },
+          failedDays: { $sum: { $cond: [{ $eq: ['$status', 'failed'] }, 1, 0] } },
+          lastRunAt: { $max: '$runAt' }
+        }
+      }
+    ]);
+
+    return rows.reduce((overview, row) => {
+      overview[String(row._id)] = {
+        days: row.days,
+        openIssues: row.openIssues,
+        failedDays: row.failedDays,
+        lastRunAt: row.lastRunAt
+      };
+      return overview;
+    }, {});
+  }
+
+  /**
+   * Mark an issue as explained / fixed
+   */
+  async resolveIssue(theaterId, date, issueId, note, actor = {}) {
+    const report = await PaymentReconciliation.findOne({ theater: theaterId, date });
+    const issue = report?.issues.id(issueId);
+    if (!issue) {
+      throw new Error('Reconciliation issue not found');
+    }
+
+    issue.resolved = true;
+    issue.resolvedBy = { userId: actor.userId, username: actor.username };
+    issue.resolvedAt = new Date();
+    issue.resolutionNote = note || '';
+
+    report.summary.openIssues = report.issues.filter(i => !i.resolved).length;
+    if (report.status !== 'failed') {
+      report.status = report.summary.openIssues > 0 ? 'issues' : 'matched';
+    }
+
+    await report.save();
+    return report.toObject();
+  }
+}
+
+module.exports = new ReconciliationService();
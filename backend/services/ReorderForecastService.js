@@ -0,0 +1,325 @@
+const mongoose = require('mongoose');
+const BaseService = require('./BaseService');
+const MonthlyStock = require('../models/MonthlyStock');
+const CafeMonthlyStock = require('../models/CafeMonthlyStock');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const PurchaseOrderService = require('./PurchaseOrderService');
+const { getRecipe } = require('../utils/productRecipes');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Sales history the forecast learns from, and how far ahead a stock-out is looked for
+const HISTORY_DAYS = 56;
+const HORIZON_DAYS = 90;
+
+// Used when the product's supplier has no lead time / when no cover is asked for
+const DEFAULT_LEAD_TIME_DAYS = 3;
+const DEFAULT_COVER_DAYS = 7;
+
+// A weekday needs this many weeks of history before its own pattern is trusted
+const MIN_WEEKS_FOR_SEASONALITY = 2;
+
+const round = (value, places = 3) => {
+  const factor = 10 ** places;
+  return Math.round((Number(value) || 0) * factor) / factor;
+};
+
+const startOfDay = (value) => {
+  const date = new Date(value);
+  date.setHours(0, 0, 0, 0);
+  return date;
+};
+
+const dayKey = (value) => startOfDay(value).getTime();
+
+// Day keys are local midnights, so step by calendar day rather than by 24 hours
+const addDays = (day, count) => {
+  const date = new Date(day);
+  date.setDate(date.getDate() + count);
+  return date.getTime();
+};
+
+/**
+ * Reorder Forecast Service
+ * Forecasts daily demand per product from its stock history with a day-of-week pattern, projects when it runs out,
+ * and suggests what to order so a delivery (after the supplier's lead time) arrives before it does
+ */
+class ReorderForecastService extends BaseService {
+  constructor() {
+    super(null); // No base model - reads monthly stock and purchase orders
+  }
+
+  /**
+   * Units taken off stock per product per day since a date
+   * Cafe stock: the day's sales (orders, recipe ingredients included). Product stock: sales recorded in
+   * usageHistory plus what was moved to the cafe
+   * @returns {Object} { demand: Map productId -> Map day -> quantity, firstDays: Map productId -> first day with stock }
+   */
+  async getDailyDemand(stockType, theaterId, since, productId = null) {
+    const Model = stockType === 'cafe' ? CafeMonthlyStock : MonthlyStock;
+    const sinceYear = since.getFullYear();
+    const sinceMonth = since.getMonth() + 1;
+
+    const docs = await Model.find({
+      theaterId,
+      ...(productId ? { productId } : {}),
+      $or: [
+        { year: { $gt: sinceYear } },
+        { year: sinceYear, monthNumber: { $gte: sinceMonth } }
+      ]
+    })
+      .select('productId stockDetails.date stockDetails.sales stockDetails.transfer stockDetails.usageHistory')
+      .lean()
+      .maxTimeMS(20000);
+
+    const demand = new Map();
+    const firstDays = new Map();
+    const add = (productId, date, quantity) => {
+      if (!(quantity > 0) || new Date(date) < since) return;
+      if (!demand.has(productId)) demand.set(productId, new Map());
+      const days = demand.get(productId);
+      days.set(dayKey(date), (days.get(dayKey(date)) || 0) + quantity);
+    };
+
+    for (const doc of docs) {
+      const productId = String(doc.productId);
+      for (const entry of doc.stockDetails || []) {
+        const first = firstDays.get(productId);
+        if (!first || dayKey(entry.date) < first) {
+          firstDays.set(productId, dayKey(entry.date));
+        }
+
+        if (stockType === 'cafe') {
+          add(productId, entry.date, Number(entry.sales) || 0);
+        } else {
+          add(productId, entry.date, Number(entry.transfer) || 0);
+          for (const usage of entry.usageHistory || []) {
+            add(productId, usage.orderDate || entry.date, Number(usage.quantity) || 0);
+          }
+        }
+      }
+    }
+
+    return { demand, firstDays };
+  }
+
+  /**
+   * Average daily demand and a factor per weekday (Sunday = 0) from the days observed
+   * A weekday seen fewer than MIN_WEEKS_FOR_SEASONALITY times keeps the plain average
+   */
+  buildDemandModel(days, fromDay, toDay) {
+    const weekdayTotals = Array(7).fill(0);
+    const weekdayCounts = Array(7).fill(0);
+    let total = 0;
+    let observedDays = 0;
+
+    for (let day = fromDay; day < toDay; day = addDays(day, 1)) {
+      const weekday = new Date(day).getDay();
+      const quantity = days?.get(day) || 0;
+      weekdayTotals[weekday] += quantity;
+      weekdayCounts[weekday] += 1;
+      total += quantity;
+      observedDays += 1;
+    }
+
+    const averageDaily = observedDays > 0 ? total / observedDays : 0;
+    const weekdayFactors = weekdayTotals.map((weekdayTotal, weekday) => (
+      averageDaily > 0 && weekdayCounts[weekday] >= MIN_WEEKS_FOR_SEASONALITY
+        ? (weekdayTotal / weekdayCounts[weekday]) / averageDaily
+        : 1
+    ));
+
+    return { averageDaily, weekdayFactors, observedDays };
+  }
+
+  /**
+   * Forecast demand on a day
+   */
+  forecastDay(model, day) {
+    return model.averageDaily * model.weekdayFactors[new Date(day).getDay()];
+  }
+
+  /**
+   * Forecast demand over the next `days` days starting today (today only counts what is still to be sold)
+   */
+  forecastDemand(model, today, soldToday, days) {
+    let demand = 0;
+    for (let index = 0; index < days; index++) {
+      const day = addDays(today, index);
+      const forecast = this.forecastDay(model, day);
+      demand += index === 0 ? Math.max(0, forecast - soldToday) : forecast;
+    }
+    return demand;
+  }
+
+  /**
+   * First day the stock runs out at the forecast rate (null when not within HORIZON_DAYS)
+   */
+  projectStockOut(model, balance, today, soldToday) {
+    if (balance <= 0) return new Date(today);
+    if (model.averageDaily <= 0) return null;
+
+    let remaining = balance;
+    for (let index = 0; index < HORIZON_DAYS; index++) {
+      const day = addDays(today, index);
+      const forecast = this.forecastDay(model, day);
+      remaining -= index === 0 ? Math.max(0, forecast - soldToday) : forecast;
+      if (remaining <= 0) return new Date(day);
+    }
+    return null;
+  }
+
+  /**
+   * Current balance and unit of every product with stock of this type
+   */
+  async getBalances(stockType, theaterId, productId = null) {
+    const Model = stockType === 'cafe' ? CafeMonthlyStock : MonthlyStock;
+    const match = { theaterId: new mongoose.Types.ObjectId(theaterId) };
+    if (productId) {
+      match.productId = new mongoose.Types.ObjectId(productId);
+    }
+    const docs = await Model.aggregate([
+      { $match: match },
+      { $sort: { year: -1, monthNumber: -1 } },
+      {
+        $group: {
+          _id: '$productId',
+          balance: { $first: '$closingBalance' },
+          units: { $first: '$stockDetails.unit' }
+        }
+      }
+    ]);
+
+    return new Map(docs.map(doc => [String(doc._id), {
+      balance: round(Math.max(0, doc.balance || 0)),
+      unit: [...(doc.units || [])].reverse().find(unit => unit) || 'Nos'
+    }]));
+  }
+
+  /**
+   * Supplier lead time per product (supplier of its latest purchase order) and quantities still on order
+   * Only orders booking into this stock count, and only lines in the unit the stock is kept in
+   */
+  async getPurchasing(stockType, theaterId, balances) {
+    const orders = await PurchaseOrder.find({
+      theater: theaterId,
+      status: { $nin: ['draft', 'cancelled'] }
+    })
+      .sort({ orderDate: -1, createdAt: -1 })
+      .limit(500)
+      .populate('supplier', 'name leadTimeDays')
+      .lean()
+      .maxTimeMS(15000);
+
+    const suppliers = new Map();
+    const onOrder = new Map();
+    for (const order of orders) {
+      const destination = order.destination || 'product';
+      for (const item of order.items || []) {
+        const productId = String(item.productId);
+        if (!suppliers.has(productId) && order.supplier) {
+          suppliers.set(productId, order.supplier);
+        }
+        if (
+          destination === stockType &&
+          ['ordered', 'partially_received'].includes(order.status) &&
+          item.unit === (balances.get(productId)?.unit || 'Nos')
+        ) {
+          const outstanding = Math.max(0, (item.orderedQuantity || 0) - (item.receivedQuantity || 0));
+          onOrder.set(productId, (onOrder.get(productId) || 0) + outstanding);
+        }
+      }
+    }
+
+    return { suppliers, onOrder };
+  }
+
+  /**
+   * Reorder suggestion per product of a theater's product or cafe stock, most urgent first
+   * @param {string} stockType - 'product' | 'cafe'
+   * @param {Object} options - leadTimeDays (when the supplier has none), coverDays (stock to order beyond the lead time), productId
+   * @returns {Array} [{ productId, productName, unit, balance, minStock, averageDailySales, weekdayForecast, leadTimeDays,
+   *   supplierName, onOrder, leadTimeDemand, reorderPoint, stockOutDate, daysOfStock, suggestedQuantity, status }]
+   *   status: 'reorder' (order now), 'watch' (runs out within lead time + cover), 'ok', 'no_sales'
+   */
+  async getSuggestions(theaterId, stockType = 'product', options = {}) {
+    const defaultLeadTime = Math.max(0, parseInt(options.leadTimeDays, 10) || DEFAULT_LEAD_TIME_DAYS);
+    const coverDays = Math.max(1, parseInt(options.coverDays, 10) || DEFAULT_COVER_DAYS);
+
+    const today = dayKey(new Date());
+    const since = new Date(addDays(today, -HISTORY_DAYS));
+
+    const [productMap, balances, { demand, firstDays }] = await Promise.all([
+      PurchaseOrderService.getProductMap(theaterId),
+      this.getBalances(stockType, theaterId, options.productId),
+      this.getDailyDemand(stockType, theaterId, since, options.productId)
+    ]);
+    const { suppliers, onOrder } = await this.getPurchasing(stockType, theaterId, balances);
+
+    const suggestions = [];
+    for (const [productId, { balance, unit }] of balances) {
+      const product = productMap.get(productId);
+      if (!product || product.isActive === false) continue;
+      // Recipe products keep no cafe stock of their own - their ingredients are forecast instead
+      if (stockType === 'cafe' && getRecipe(product).length > 0) continue;
+
+      const days = demand.get(productId);
+      const fromDay = Math.max(since.getTime(), firstDays.get(productId) || today);
+      const model = this.buildDemandModel(days, fromDay, today);
+      const soldToday = days?.get(today) || 0;
+
+      const supplier = suppliers.get(productId);
+      const leadTimeDays = supplier?.leadTimeDays > 0 ? supplier.leadTimeDays : defaultLeadTime;
+      const minStock = Math.max(0, Number(product.inventory?.minStock) || 0);
+      const ordered = round(onOrder.get(productId) || 0);
+
+      const leadTimeDemand = this.forecastDemand(model, today, soldToday, leadTimeDays);
+      const coverDemand = this.forecastDemand(model, today, soldToday, leadTimeDays + coverDays);
+      const reorderPoint = leadTimeDemand + minStock;
+      const stockOutDate = this.projectStockOut(model, balance, today, soldToday);
+      const daysOfStock = stockOutDate ? Math.round((dayKey(stockOutDate) - today) / DAY_MS) : null;
+
+      // Enough to last the lead time plus the cover days and still hold the minimum stock
+      let suggestedQuantity = Math.max(0, coverDemand + minStock - balance - ordered);
+      suggestedQuantity = unit === 'Nos' ? Math.ceil(suggestedQuantity) : round(suggestedQuantity);
+
+      let status = 'ok';
+      if (model.averageDaily <= 0) {
+        status = balance <= minStock && minStock > 0 ? 'reorder' : 'no_sales';
+      } else if (balance + ordered <= reorderPoint) {
+        status = 'reorder';
+      } else if (daysOfStock !== null && daysOfStock <= leadTimeDays + coverDays) {
+        status = 'watch';
+      }
+
+      suggestions.push({
+        productId,
+        productName: product.name || '',
+        unit,
+        balance,
+        minStock,
+        averageDailySales: round(model.averageDaily),
+        weekdayForecast: model.weekdayFactors.map(factor => round(model.averageDaily * factor)),
+        historyDays: model.observedDays,
+        leadTimeDays,
+        supplierName: supplier?.name || '',
+        onOrder: ordered,
+        leadTimeDemand: round(leadTimeDemand),
+        reorderPoint: round(reorderPoint),
+        stockOutDate,
+        daysOfStock,
+        suggestedQuantity: status === 'reorder' || status === 'watch' ? suggestedQuantity : 0,
+        status
+      });
+    }
+
+    const urgency = { reorder: 0, watch: 1, ok: 2, no_sales: 3 };
+    return suggestions.sort((a, b) =>
+      urgency[a.status] - urgency[b.status] ||
+      (a.daysOfStock ?? HORIZON_DAYS + 1) - (b.daysOfStock ?? HORIZON_DAYS + 1) ||
+      a.productName.localeCompare(b.productName)
+    );
+  }
+}
+
+module.exports = new ReorderForecastService();
@@ -0,0 +1,104 @@
+const PurchaseOrderService = require('./PurchaseOrderService');
+const ReorderForecastService = require('./ReorderForecastService');
+
+// Local midnight `offset` days from a day, as the forecast keys its days
+const day = (offset, from = new Date()) => {
+  const date = new Date(from);
+  date.setHours(0, 0, 0, 0);
+  date.setDate(date.getDate() + offset);
+  return date.getTime();
+};
+
+describe('ReorderForecastService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('demand model', () => {
+    // Monday 5 to Sunday 18 October 2026 - two weeks, Saturdays selling 20 and other days 6
+    const monday = new Date(2026, 9, 5);
+    const days = new Map();
+    for (let offset = 0; offset < 14; offset++) {
+      days.set(day(offset, monday), new Date(day(offset, monday)).getDay() === 6 ? 20 : 6);
+    }
+    const model = ReorderForecastService.buildDemandModel(days, day(0, monday), day(14, monday));
+
+    it('averages the days observed and weighs each weekday seen for two weeks', () => {
+      expect(model.observedDays).toBe(14);
+      expect(model.averageDaily).toBe(8);
+      expect(model.weekdayFactors[6]).toBe(2.5);
+      expect(model.weekdayFactors[1]).toBe(0.75);
+    });
+
+    it('keeps the plain average for a weekday seen fewer than two weeks', () => {
+      const short = ReorderForecastService.buildDemandModel(days, day(0, monday), day(8, monday));
+      // Monday is seen twice, Saturday only once
+      expect(short.weekdayFactors[1]).toBeCloseTo(6 / short.averageDaily);
+      expect(short.weekdayFactors[6]).toBe(1);
+    });
+
+    it('only counts what is still to be sold today', () => {
+      const saturday = day(19, monday);
+      // Saturday 20 with 15 already sold, then Sunday and Monday 6 each
+      expect(ReorderForecastService.forecastDemand(model, saturday, 15, 3)).toBe(17);
+      expect(ReorderForecastService.forecastDemand(model, saturday, 25, 3)).toBe(12);
+    });
+
+    it('projects the first day the stock runs out', () => {
+      const saturday = day(19, monday);
+      expect(ReorderForecastService.projectStockOut(model, 30, saturday, 0)).toEqual(new Date(day(2, saturday)));
+      expect(ReorderForecastService.projectStockOut(model, 0, saturday, 0)).toEqual(new Date(saturday));
+      expect(ReorderForecastService.projectStockOut({ averageDaily: 0 }, 30, saturday, 0)).toBeNull();
+    });
+  });
+
+  describe('getSuggestions', () => {
+    beforeEach(() => {
+      // Four weeks selling 10 a day, 4 sold so far today
+      const sales = new Map([[day(0), 4]]);
+      for (let offset = 1; offset <= 28; offset++) sales.set(day(-offset), 10);
+      const selling = ['reorder', 'watch', 'ok'];
+
+      jest.spyOn(PurchaseOrderService, 'getProductMap').mockResolvedValue(new Map([
+        ['reorder', { name: 'Cola', inventory: { minStock: 5 } }],
+        ['watch', { name: 'Nachos', inventory: { minStock: 5 } }],
+        ['ok', { name: 'Popcorn', inventory: { minStock: 5 } }],
+        ['low', { name: 'Candy', inventory: { minStock: 5 } }],
+        ['idle', { name: 'Water', inventory: {} }]
+      ]));
+      jest.spyOn(ReorderForecastService, 'getBalances').mockResolvedValue(new Map([
+        ['ok', { balance: 200, unit: 'Nos' }],
+        ['watch', { balance: 30, unit: 'Nos' }],
+        ['idle', { balance: 10, unit: 'Nos' }],
+        ['reorder', { balance: 30, unit: 'Nos' }],
+        ['low', { balance: 2, unit: 'Nos' }]
+      ]));
+      jest.spyOn(ReorderForecastService, 'getDailyDemand').mockResolvedValue({
+        demand: new Map(selling.map(productId => [productId, sales])),
+        firstDays: new Map(selling.map(productId => [productId, day(-28)]))
+      });
+      jest.spyOn(ReorderForecastService, 'getPurchasing').mockResolvedValue({
+        suppliers: new Map([['reorder', { name: 'Fizz Co', leadTimeDays: 3 }]]),
+        onOrder: new Map([['watch', 10]])
+      });
+    });
+
+    it('orders what lasts the lead time and cover days, most urgent first', async () => {
+      const suggestions = await ReorderForecastService.getSuggestions('64b0000000000000000000aa', 'product', { coverDays: 7 });
+      const byProduct = Object.fromEntries(suggestions.map(suggestion => [suggestion.productId, suggestion]));
+
+      expect(suggestions.map(suggestion => suggestion.productId)).toEqual(['reorder', 'low', 'watch', 'ok', 'idle']);
+      // 6 left to sell today + 2 days of 10, plus the minimum stock of 5
+      expect(byProduct.reorder).toMatchObject({
+        averageDailySales: 10, leadTimeDays: 3, supplierName: 'Fizz Co', leadTimeDemand: 26, reorderPoint: 31,
+        daysOfStock: 3, suggestedQuantity: 71, status: 'reorder'
+      });
+      // 10 on order lifts it over the reorder point, but it still runs out within lead time + cover
+      expect(byProduct.watch).toMatchObject({ onOrder: 10, daysOfStock: 3, suggestedQuantity: 61, status: 'watch' });
+      expect(byProduct.ok).toMatchObject({ daysOfStock: 20, suggestedQuantity: 0, status: 'ok' });
+      // No sales - only the minimum stock decides
+      expect(byProduct.low).toMatchObject({ averageDailySales: 0, stockOutDate: null, suggestedQuantity: 3, status: 'reorder' });
+      expect(byProduct.idle).toMatchObject({ suggestedQuantity: 0, status: 'no_sales' });
+    });
+  });
+});
@@ -167,6 +167,19 @@ class RoleService extends BaseService {
     const role = rolesDoc.roleList.find(r => r._id.toString() === roleId);
     return role || null;
   }
+
+  /**
+   * Role together with the theater it belongs to (audit snapshots)
+   */
+  async getRoleWithTheater(roleId) {
+    const rolesDoc = await RoleArray.findOne(
+      { 'roleList._id': roleId },
+      { theater: 1, 'roleList.$': 1 }
+    ).lean().maxTimeMS(20000);
+
+    const role = rolesDoc?.roleList?.[0];
+    return role ? { role, theaterId: rolesDoc.theater } : null;
+  }
 }
 
 module.exports = new RoleService();
@@ -0,0 +1,273 @@
+const BaseService = require('./BaseService');
+const ShowSchedule = require('../models/ShowSchedule');
+
+const MINUTE_MS = 60 * 1000;
+
+const DEFAULT_SETTINGS = {
+  openBeforeStartMinutes: 30,
+  lastOrderBeforeEndMinutes: 15,
+  intervalCutoffMinutes: 10,
+  releaseLeadMinutes: 15,
+  outsideWindow: 'block'
+};
+
+const sameScreen = (a, b) =>
+  String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+/**
+ * Show Schedule Service
+ * Handles per-screen show timings and the ordering windows derived from them
+ */
+class ShowScheduleService extends BaseService {
+  constructor() {
+    super(ShowSchedule);
+  }
+
+  /**
+   * Get schedule for a theater
+   * `date` (YYYY-MM-DD) limits the list to shows starting on that day
+   */
+  async getSchedule(theaterId, { date, qrName } = {}) {
+    const doc = await ShowSchedule.findOne({ theater: theaterId }).lean().maxTimeMS(15000);
+    let shows = doc?.showList || [];
+
+    if (date) {
+      const dayStart = new Date(`${date}T00:00:00`);
+      const dayEnd = new Date(dayStart.getTime() + 24 * 60 * MINUTE_MS);
+      shows = shows.filter(show => show.startsAt >= dayStart && show.startsAt < dayEnd);
+    }
+
+    if (qrName) {
+      shows = shows.filter(show => sameScreen(show.qrName, qrName));
+    }
+
+    return {
+      settings: { ...DEFAULT_SETTINGS, ...(doc?.settings || {}) },
+      shows: shows.sort((a, b) => new Date(a.startsAt) - new Date(b.startsAt))
+    };
+  }
+
+  /**
+   * Check a show's timings are in order
+   */
+  validateShowTimes(show) {
+    const startsAt = new Date(show.startsAt);
+    const endsAt = new Date(show.endsAt);
+    const intervalAt = show.intervalAt ? new Date(show.intervalAt) : null;
+
+    if (isNaN(startsAt) || isNaN(endsAt) || endsAt <= startsAt) {
+      throw new Error('Show end time must be after start time');
+    }
+    if (intervalAt && (isNaN(intervalAt) || intervalAt <= startsAt || intervalAt >= endsAt)) {
+      throw new Error('Interval must fall between show start and end');
+    }
+  }
+
+  /**
+   * Add a show
+   */
+  async createShow(theaterId, data) {
+    this.validateShowTimes(data);
+
+    let doc = await ShowSchedule.findOne({ theater: theaterId });
+    if (!doc) {
+      doc = new ShowSchedule({ theater: theaterId, showList: [] });
+    }
+
+    const overlapping = doc.showList.some(show =>
+      show.isActive &&
+      sameScreen(show.qrName, data.qrName) &&
+      new Date(data.startsAt) < show.endsAt &&
+      new Date(data.endsAt) > show.startsAt
+    );
+    if (overlapping) {
+      throw new Error('Show overlaps another show on this screen');
+    }
+
+    doc.showList.push({
+      qrName: data.qrName.trim(),
+      movieName: data.movieName || '',
+      startsAt: data.startsAt,
+      intervalAt: data.intervalAt || null,
+      endsAt: data.endsAt,
+      isActive: data.isActive !== false
+    });
+
+    await doc.save();
+    return doc.showList[doc.showList.length - 1];
+  }
+
+  /**
+   * Update a show
+   */
+  async updateShow(theaterId, showId, data) {
+    const doc = await ShowSchedule.findOne({ theater: theaterId });
+    const show = doc?.showList.id(showId);
+    if (!show) {
+      throw new Error('Show not found');
+    }
+
+    ['qrName', 'movieName', 'startsAt', 'intervalAt', 'endsAt', 'isActive'].forEach(field => {
+      if (data[field] !== undefined) {
+        show[field] = data[field];
+      }
+    });
+    this.validateShowTimes(show);
+    show.updatedAt = new Date();
+
+    await doc.save();
+    return show;
+  }
+
+  /**
+   * Delete a show
+   */
+  async deleteShow(theaterId, showId) {
+    const result = await ShowSchedule.findOneAndUpdate(
+      { theater: theaterId, 'showList._id': showId },
+      { $pull: { showList: { _id: showId } }, $set: { updatedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!result) {
+      throw new Error('Show not found');
+    }
+    return true;
+  }
+
+  /**
+   * Update the theater's ordering window rules
+   */
+  async updateSettings(theaterId, settings) {
+    const update = {};
+    Object.keys(DEFAULT_SETTINGS).forEach(field => {
+      if (settings[field] !== undefined) {
+        update[`settings.${field}`] = settings[field];
+      }
+    });
+
+    const doc = await ShowSchedule.findOneAndUpdate(
+      { theater: theaterId },
+      { $set: { ...update, updatedAt: new Date() }, $setOnInsert: { showList: [] } },
+      { new: true, upsert: true, runValidators: true }
+    ).lean();
+
+    return { ...DEFAULT_SETTINGS, ...doc.settings };
+  }
+
+  /**
+   * Work out what a customer on a screen may do right now
+   *
+   * status:
+   * - 'open'     ordering allowed for the current show (optionally deliver at interval)
+   * - 'preorder' outside a window, but the order can be scheduled for the next show
+   * - 'closed'   ordering blocked until `opensAt`
+   * Screens without any schedule are always 'open' (scheduled: false)
+   */
+  async getOrderingWindow(theaterId, qrName, at = new Date()) {
+    const { settings, shows } = await this.getSchedule(theaterId, { qrName });
+    const activeShows = shows.filter(show => show.isActive);
+    const now = at.getTime();
+
+    if (!qrName || activeShows.length === 0) {
+      return { scheduled: false, status: 'open', canOrderNow: true, canDeliverAtInterval: false };
+    }
+
+    const opensAt = show => new Date(show.startsAt).getTime() - settings.openBeforeStartMinutes * MINUTE_MS;
+    const closesAt = show => new Date(show.endsAt).getTime() - settings.lastOrderBeforeEndMinutes * MINUTE_MS;
+    const summarize = show => show && {
+      _id: show._id,
+      movieName: show.movieName,
+      startsAt: show.startsAt,
+      intervalAt: show.intervalAt,
+      endsAt: show.endsAt
+    };
+
+    const currentShow = activeShows.find(show => opensAt(show) <= now && now < closesAt(show));
+    if (currentShow) {
+      const intervalAt = currentShow.intervalAt ? new Date(currentShow.intervalAt).getTime() : null;
+      const canDeliverAtInterval = !!intervalAt &&
+        now < intervalAt - settings.intervalCutoffMinutes * MINUTE_MS;
+
+      return {
+        scheduled: true,
+        status: 'open',
+        canOrderNow: true,
+        canDeliverAtInterval,
+        currentShow: summarize(currentShow),
+        closesAt: new Date(closesAt(currentShow))
+      };
+    }
+
+    const nextShow = activeShows.find(show => opensAt(show) > now);
+    if (nextShow && settings.outsideWindow === 'preorder') {
+      return {
+        scheduled: true,
+        status: 'preorder',
+        canOrderNow: false,
+        canDeliverAtInterval: !!nextShow.intervalAt,
+        nextShow: summarize(nextShow),
+        opensAt: new Date(opensAt(nextShow)),
+        message: `Orders now will be delivered when ${nextShow.movieName || 'the next show'} starts`
+      };
+    }
+
+    return {
+      scheduled: true,
+      status: 'closed',
+      canOrderNow: false,
+      canDeliverAtInterval: false,
+      nextShow: summarize(nextShow) || null,
+      opensAt: nextShow ? new Date(opensAt(nextShow)) : null,
+      message: nextShow
+        ? 'Ordering for this screen opens shortly before the next show'
+        : 'Ordering is closed for this screen'
+    };
+  }
+
+  /**
+   * Decide when an order placed from a screen should be released to the kitchen
+   * Returns { deliverAt, deliverBy, scheduledFor }:
+   * - deliverBy     when the customer expects the order at the seat (interval / show start)
+   * - scheduledFor  when the order is released to preparation (deliverBy - releaseLeadMinutes)
+   * Both are null for immediate orders. Throws when the screen's ordering window does not allow the request
+   */
+  async resolveOrderTiming(theaterId, qrName, deliverAt = 'now', at = new Date()) {
+    const window = await this.getOrderingWindow(theaterId, qrName, at);
+    const immediate = { deliverAt: 'now', deliverBy: null, scheduledFor: null };
+
+    if (!window.scheduled) {
+      if (deliverAt === 'interval') {
+        throw new Error('Interval delivery is not available for this screen');
+      }
+      return immediate;
+    }
+
+    if (window.status === 'closed') {
+      throw new Error(window.message);
+    }
+
+    const { settings } = await this.getSchedule(theaterId, { qrName });
+    const show = window.currentShow || window.nextShow;
+    const hold = (mode, deliverBy) => ({
+      deliverAt: mode,
+      deliverBy,
+      scheduledFor: new Date(deliverBy.getTime() - settings.releaseLeadMinutes * MINUTE_MS)
+    });
+
+    if (deliverAt === 'interval') {
+      if (!window.canDeliverAtInterval) {
+        throw new Error('Interval delivery is no longer available for this show');
+      }
+      return hold('interval', new Date(show.intervalAt));
+    }
+
+    if (window.status === 'preorder') {
+      return hold('show_start', new Date(show.startsAt));
+    }
+
+    return immediate;
+  }
+}
+
+module.exports = new ShowScheduleService();
@@ -0,0 +1,308 @@
+const BaseService = require('./BaseService');
+const PrepStation = require('../models/PrepStation');
+const cloudPrintService = require('./cloud-print-service');
+const { broadcastPosEvent } = require('../routes/posStream');
+const { describeModifiers } = require('../utils/productModifiers');
+const mongoose = require('mongoose');
+
+/**
+ * Station Service
+ * Handles preparation stations (popcorn, beverage, hot food counters...)
+ * and splitting orders into per-station tickets
+ */
+class StationService extends BaseService {
+  constructor() {
+    super(PrepStation);
+  }
+
+  /**
+   * Get all stations for a theater
+   */
+  async getStations(theaterId, { activeOnly = false } = {}) {
+    const doc = await PrepStation.findOne({ theater: theaterId }).lean().maxTimeMS(15000);
+    let stations = doc?.stationList || [];
+
+    if (activeOnly) {
+      stations = stations.filter(station => station.isActive);
+    }
+
+    return stations.sort((a, b) => {
+      if (a.sortOrder !== b.sortOrder) {
+        return a.sortOrder - b.sortOrder;
+      }
+      return a.name.localeCompare(b.name);
+    });
+  }
+
+  /**
+   * Create a station
+   */
+  async createStation(theaterId, data) {
+    let doc = await PrepStation.findOne({ theater: theaterId });
+    if (!doc) {
+      doc = new PrepStation({ theater: theaterId, stationList: [] });
+    }
+
+    const name = data.name.trim();
+    if (doc.stationList.some(s => s.name.toLowerCase() === name.toLowerCase())) {
+      throw new Error('Station with this name already exists');
+    }
+
+    // Only one station can catch unmapped items
+    if (data.isDefault) {
+      doc.stationList.forEach(s => { s.isDefault = false; });
+    }
+
+    doc.stationList.push({
+      name,
+      description: data.description || '',
+      categoryIds: data.categoryIds || [],
+      kioskTypeIds: data.kioskTypeIds || [],
+      printerName: data.printerName || '',
+      isDefault: data.isDefault === true,
+      isActive: data.isActive !== false,
+      sortOrder: data.sortOrder || 0
+    });
+
+    await doc.save();
+    return doc.stationList[doc.stationList.length - 1];
+  }
+
+  /**
+   * Update a station
+   */
+  async updateStation(theaterId, stationId, data) {
+    const doc = await PrepStation.findOne({ theater: theaterId });
+    const station = doc?.stationList.id(stationId);
+    if (!station) {
+      throw new Error('Station not found');
+    }
+
+    if (data.name !== undefined) {
+      const name = data.name.trim();
+      const duplicate = doc.stationList.some(s =>
+        String(s._id) !== String(stationId) && s.name.toLowerCase() === name.toLowerCase()
+      );
+      if (duplicate) {
+        throw new Error('Station with this name already exists');
+      }
+      station.name = name;
+    }
+
+    if (data.isDefault === true) {
+      doc.stationList.forEach(s => { s.isDefault = false; });
+    }
+
+    ['description', 'categoryIds', 'kioskTypeIds', 'printerName', 'isDefault', 'isActive', 'sortOrder']
+      .forEach(field => {
+        if (data[field] !== undefined) {
+          station[field] = data[field];
+        }
+      });
+    station.updatedAt = new Date();
+
+    await doc.save();
+    return station;
+  }
+
+  /**
+   * Delete a station
+   */
+  async deleteStation(theaterId, stationId) {
+    const result = await PrepStation.findOneAndUpdate(
+      { theater: theaterId, 'stationList._id': stationId },
+      { $pull: { stationList: { _id: stationId } }, $set: { updatedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!result) {
+      throw new Error('Station not found');
+    }
+    return true;
+  }
+
+  /**
+   * Pick the station that prepares a product
+   * Category mapping wins over kiosk type mapping; unmapped products go to the default station
+   */
+  resolveStation(stations, product) {
+    if (!product || stations.length === 0) return null;
+
+    const categoryId = product.categoryId ? String(product.categoryId) : null;
+    const kioskTypeId = product.kioskType ? String(product.kioskType) : null;
+
+    if (categoryId) {
+      const byCategory = stations.find(s => (s.categoryIds || []).some(id => String(id) === categoryId));
+      if (byCategory) return byCategory;
+    }
+
+    if (kioskTypeId) {
+      const byKioskType = stations.find(s => (s.kioskTypeIds || []).some(id => String(id) === kioskTypeId));
+      if (byKioskType) return byKioskType;
+    }
+
+    return stations.find(s => s.isDefault) || null;
+  }
+
+  /**
+   * Tag order items with their station and build one ticket per station
+   * Items are mutated in place (stationId / stationName); returns the ticket list
+   * Returns an empty list when the theater has no stations configured
+   */
+  async assignStations(theaterId, orderItems, productList) {
+    const stations = await this.getStations(theaterId, { activeOnly: true });
+    if (stations.length === 0) return [];
+
+    const tickets = new Map();
+
+    for (const item of orderItems) {
+      const product = productList.find(p => String(p._id) === String(item.productId));
+      const station = this.resolveStation(stations, product);
+      if (!station) continue;
+
+      const stationId = String(station._id);
+      item.stationId = station._id;
+      item.stationName = station.name;
+
+      if (!tickets.has(stationId)) {
+        tickets.set(stationId, {
+          _id: new mongoose.Types.ObjectId(),
+          stationId: station._id,
+          stationName: station.name,
+          printerName: station.printerName || null,
+          status: 'pending',
+          printedAt: null,
+          readyAt: null
+        });
+      }
+    }
+
+    return Array.from(tickets.values());
+  }
+
+  /**
+   * Send each station ticket to its own printer (cloud print + POS agent stream)
+   * Orders without station tickets are left to the regular receipt flow
+   */
+  async dispatchStationTickets(theaterId, order) {
+    const stationTickets = order?.stationTickets || [];
+    if (stationTickets.length === 0) return 0;
+
+    const items = order.items || order.products || [];
+    const printedAt = new Date();
+    let dispatched = 0;
+
+    for (const ticket of stationTickets) {
+      const ticketItems = items.filter(item => String(item.stationId) === String(ticket.stationId));
+      if (ticketItems.length === 0) continue;
+
+      const ticketOrder = {
+        _id: order._id,
+        orderNumber: order.orderNumber,
+        createdAt: order.createdAt,
+        qrName: order.qrName || null,
+        seat: order.seat || null,
+        specialInstructions: order.specialInstructions || '',
+        items: ticketItems,
+        isStationTicket: true,
+        stationName: ticket.stationName
+      };
+
+      try {
+        await cloudPrintService.queuePrint(String(theaterId), ticketOrder, ticket.printerName || null);
+
+        broadcastPosEvent(theaterId, {
+          type: 'station_ticket',
+          orderId: String(order._id),
+          orderNumber: order.orderNumber,
+          ticketId: String(ticket._id),
+          stationId: String(ticket.stationId),
+          stationName: ticket.stationName,
+          printerName: ticket.printerName || null,
+          items: ticketItems.map(item => ({
+            name: item.name || item.productName,
+            quantity: item.quantity,
+            size: item.originalQuantity || item.size || null,
+            modifiers: describeModifiers(item),
+            specialInstructions: item.specialInstructions || ''
+          }))
+        });
+
+        dispatched++;
+      } catch (error) {
+        console.error(`❌ [StationService] Failed to dispatch ticket for station ${ticket.stationName}:`, error.message);
+      }
+    }
+
+    if (dispatched > 0) {
+      await mongoose.connection.db.collection('theaterorders').updateOne(
+        {
+          theater: new mongoose.Types.ObjectId(theaterId),
+          'orderList._id': new mongoose.Types.ObjectId(order._id)
+        },
+        { $set: { 'orderList.$.stationTickets.$[ticket].printedAt': printedAt } },
+        { arrayFilters: [{ 'ticket.printedAt': null }] }
+      );
+    }
+
+    return dispatched;
+  }
+
+  /**
+   * Mark one station's ticket as ready
+   * When every station is ready the order itself moves to 'ready'
+   */
+  async markTicketReady(theaterId, orderId, ticketId) {
+    const db = mongoose.connection.db;
+    const theaterObjectId = new mongoose.Types.ObjectId(theaterId);
+    const orderObjectId = new mongoose.Types.ObjectId(orderId);
+    const now = new Date();
+
+    const result = await db.collection('theaterorders').findOneAndUpdate(
+      { theater: theaterObjectId, 'orderList._id': orderObjectId },
+      {
+        $set: {
+          'orderList.$[order].stationTickets.$[ticket].status': 'ready',
+          'orderList.$[order].stationTickets.$[ticket].readyAt': now,
+          'orderList.$[order].updatedAt': now
+        }
+      },
+      {
+        arrayFilters: [
+          { 'order._id': orderObjectId },
+          { 'ticket._id': new mongoose.Types.ObjectId(ticketId) }
+        ],
+        returnDocument: 'after'
+      }
+    );
+
+    const order = result.value?.orderList.find(o => String(o._id) === String(orderId));
+    if (!order) {
+      throw new Error('Order not found');
+    }
+
+    const ticket = (order.stationTickets || []).find(t => String(t._id) === String(ticketId));
+    if (!ticket) {
+      throw new Error('Station ticket not found');
+    }
+
+    const allReady = order.stationTickets.every(t => t.status === 'ready');
+    if (allReady && ['confirmed', 'preparing'].includes(order.status)) {
+      // Lazy require to avoid a circular dependency with OrderService
+      const orderService = require('./OrderService');
+      return orderService.updateOrderStatus(theaterId, orderId, 'ready');
+    }
+
+    broadcastPosEvent(theaterId, {
+      type: 'order_status',
+      event: 'station_ready',
+      orderId: String(order._id),
+      orderNumber: order.orderNumber,
+      stationName: ticket.stationName
+    });
+
+    return order;
+  }
+}
+
+module.exports = new StationService();
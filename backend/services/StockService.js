@@ -150,6 +150,30 @@ class StockService extends BaseService {
     return monthlyDoc;
   }
 
+  /**
+   * A single stock entry of a product (audit snapshots)
+   */
+  async getStockEntry(theaterId, productId, entryId) {
+    const monthlyDoc = await MonthlyStock.findOne(
+      { theaterId, productId, 'stockDetails._id': entryId },
+      { 'stockDetails.$': 1 }
+    ).lean().maxTimeMS(20000);
+    return monthlyDoc?.stockDetails?.[0] || null;
+  }
+
+  /**
+   * A stock entry of a monthly document - by id, or the newest one (just added) when no id is given
+   */
+  findStockEntry(monthlyDoc, entryId = null) {
+    const entries = monthlyDoc?.stockDetails || [];
+    if (entryId) {
+      return entries.find(entry => String(entry._id) === String(entryId)) || null;
+    }
+    return entries.reduce((newest, entry) => (
+      !newest || String(entry._id) > String(newest._id) ? entry : newest
+    ), null);
+  }
+
   /**
    * Update stock entry
    */
@@ -341,6 +365,66 @@ class StockService extends BaseService {
     monthlyDoc.closingBalance = runningBalance;
   }
 
+  /**
+   * Unit the product's stock is kept in (unit of its latest entry)
+   */
+  async getStockUnit(theaterId, productId) {
+    const monthlyDoc = await MonthlyStock.findOne({ theaterId, productId })
+      .sort({ year: -1, monthNumber: -1 })
+      .select('stockDetails.unit')
+      .lean();
+    const entryWithUnit = [...(monthlyDoc?.stockDetails || [])].reverse().find(entry => entry.unit);
+    return entryWithUnit?.unit || 'Nos';
+  }
+
+  /**
+   * Post a stock correction as an ADJUSTMENT entry on a monthly document (does not save it)
+   * A negative correction is never more than the stock on hand
+   * @param {number} quantity - Positive adds stock, negative takes it off
+   * @param {Object} extra - Extra fields for the entry (e.g. stockTransferId)
+   * @returns {ObjectId} _id of the ADJUSTMENT entry
+   */
+  postAdjustment(monthlyDoc, date, quantity, note, unit = 'Nos', extra = {}) {
+    this.recalculateBalances(monthlyDoc);
+
+    const adjustment = Math.round(Math.max(quantity, -(monthlyDoc.closingBalance || 0)) * 1000) / 1000;
+    const entryId = new mongoose.Types.ObjectId();
+    monthlyDoc.stockDetails.push({
+      _id: entryId,
+      date: new Date(date),
+      type: 'ADJUSTMENT',
+      quantity: adjustment,
+      unit,
+      invordStock: 0,
+      sales: 0,
+      damageStock: 0,
+      expiredStock: 0,
+      stockAdjustment: adjustment,
+      transfer: 0,
+      oldStock: 0,
+      balance: 0,
+      notes: note,
+      ...extra
+    });
+
+    monthlyDoc.markModified('stockDetails');
+    this.recalculateBalances(monthlyDoc);
+    return entryId;
+  }
+
+  /**
+   * Take back an ADJUSTMENT entry posted by postAdjustment (a multi-step write that failed part way)
+   */
+  async removeAdjustment(monthlyDocId, entryId) {
+    const monthlyDoc = await MonthlyStock.findById(monthlyDocId);
+    if (!monthlyDoc) return;
+
+    monthlyDoc.stockDetails = monthlyDoc.stockDetails.filter(entry => String(entry._id) !== String(entryId));
+    monthlyDoc.markModified('stockDetails');
+    this.recalculateBalances(monthlyDoc);
+    await monthlyDoc.save();
+  }
+
   /**
    * Auto-expire stock (simplified version)
    */
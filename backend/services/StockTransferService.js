@@ -0,0 +1,419 @@
+const mongoose = require('mongoose');
+const BaseService = require('./BaseService');
+const StockTransfer = require('../models/StockTransfer');
+const Theater = require('../models/Theater');
+const MonthlyStock = require('../models/MonthlyStock');
+const CafeMonthlyStock = require('../models/CafeMonthlyStock');
+const StockService = require('./StockService');
+const CafeStockService = require('./CafeStockService');
+const PurchaseOrderService = require('./PurchaseOrderService');
+const { getRecipe } = require('../utils/productRecipes');
+const { runInTransaction } = require('../utils/mongoTransactions');
+
+// Monthly stock model + service of each stock a transfer can move
+const STOCKS = {
+  product: { Model: MonthlyStock, service: StockService, label: 'product stock' },
+  cafe: { Model: CafeMonthlyStock, service: CafeStockService, label: 'cafe stock' }
+};
+
+const round = (value, places = 3) => {
+  const factor = 10 ** places;
+  return Math.round((Number(value) || 0) * factor) / factor;
+};
+
+const staffOf = (actor = {}) => {
+  const userId = actor.userId || actor._id;
+  return {
+    userId: userId && mongoose.Types.ObjectId.isValid(String(userId)) ? new mongoose.Types.ObjectId(String(userId)) : undefined,
+    username: actor.username || undefined
+  };
+};
+
+/**
+ * Stock Transfer Service
+ * Stock moved between theaters of the same owner - theaters a super admin gave the same organizationId.
+ * Every movement is an ADJUSTMENT entry tagged with the transfer on the theater's MonthlyStock / CafeMonthlyStock,
+ * written together with the transfer
+ * (see utils/mongoTransactions.js - without a transaction a failed step takes back the movements booked so far)
+ */
+class StockTransferService extends BaseService {
+  constructor() {
+    super(StockTransfer);
+  }
+
+  /**
+   * Other active theaters of the same owner - the theaters stock can be sent to
+   */
+  async getTransferTheaters(theaterId) {
+    const theater = await Theater.findById(theaterId).select('organizationId').lean();
+    if (!theater?.organizationId) return [];
+
+    const theaters = await Theater.find({
+      _id: { $ne: theaterId },
+      organizationId: theater.organizationId,
+      isActive: { $ne: false }
+    }).select('name').lean();
+    return theaters
+      .map(other => ({ _id: other._id, name: other.name }))
+      .sort((a, b) => String(a.name).localeCompare(String(b.name)));
+  }
+
+  /**
+   * Transfers sent or received by a theater (newest first)
+   * @param {Object} query - direction ('outgoing' | 'incoming'), status, productId (either side), startDate / endDate
+   */
+  async getTransfers(theaterId, query = {}) {
+    const theaterObjectId = new mongoose.Types.ObjectId(theaterId);
+    const filter = {};
+    if (query.direction === 'outgoing') {
+      filter.fromTheater = theaterObjectId;
+    } else if (query.direction === 'incoming') {
+      filter.toTheater = theaterObjectId;
+    } else {
+      filter.$or = [{ fromTheater: theaterObjectId }, { toTheater: theaterObjectId }];
+    }
+    if (query.status) {
+      filter.status = { $in: String(query.status).split(',') };
+    }
+    if (query.productId) {
+      const productObjectId = new mongoose.Types.ObjectId(query.productId);
+      filter.items = { $elemMatch: { $or: [{ productId: productObjectId }, { receivedProductId: productObjectId }] } };
+    }
+    if (query.startDate || query.endDate) {
+      filter.sentAt = {};
+      if (query.startDate) filter.sentAt.$gte = new Date(query.startDate);
+      if (query.endDate) filter.sentAt.$lte = new Date(query.endDate);
+    }
+    return StockTransfer.find(filter).sort({ sentAt: -1 }).limit(200).lean().maxTimeMS(15000);
+  }
+
+  /**
+   * One transfer the theater sent or received
+   */
+  async getTransfer(theaterId, transferId) {
+    const transfer = await StockTransfer.findOne({
+      _id: transferId,
+      $or: [{ fromTheater: theaterId }, { toTheater: theaterId }]
+    }).lean();
+    if (!transfer) {
+      throw new Error('Transfer not found');
+    }
+    return transfer;
+  }
+
+  /**
+   * Next transfer number of the sending theater (TR-0001, TR-0002, ...)
+   */
+  async nextTransferNumber(theaterId) {
+    const count = await StockTransfer.countDocuments({ fromTheater: theaterId });
+    return `TR-${String(count + 1).padStart(4, '0')}`;
+  }
+
+  /**
+   * Unit the product's stock of this type is kept in
+   */
+  async getStockUnit(stockType, theaterId, productId) {
+    return STOCKS[stockType].service.getStockUnit(theaterId, productId);
+  }
+
+  /**
+   * Create the month document a movement is booked on - kept out of the transactions
+   */
+  async prepareMonthlyDoc(stockType, theaterId, productId, date) {
+    const { Model } = STOCKS[stockType];
+    const year = date.getFullYear();
+    const monthNumber = date.getMonth() + 1;
+    const previousBalance = await Model.getPreviousMonthBalance(theaterId, productId, year, monthNumber);
+    await Model.getOrCreateMonthlyDoc(theaterId, productId, year, monthNumber, previousBalance);
+  }
+
+  /**
+   * Book a movement on a theater's stock - stock going out must be on hand
+   * The month document is saved with its version, so a concurrent change to it fails the save instead of being overwritten
+   * @param {Function} onUndo - Registers how to take the movement back (see utils/mongoTransactions.js)
+   * @returns {Object} { entryId, balance } - the ADJUSTMENT entry and the closing balance after it
+   */
+  async bookMovement(session, onUndo, stockType, theaterId, item, date, quantity, note, transferId) {
+    const { Model, service, label } = STOCKS[stockType];
+    const monthlyDoc = await Model.findOne({
+      theaterId,
+      productId: item.productId,
+      year: date.getFullYear(),
+      monthNumber: date.getMonth() + 1
+    }).session(session);
+
+    service.recalculateBalances(monthlyDoc);
+    const onHand = monthlyDoc.closingBalance || 0;
+    if (quantity < 0 && -quantity > onHand) {
+      throw new Error(`Transfer quantity of ${item.productName} is more than the ${onHand} ${item.unit} in ${label}`);
+    }
+
+    const entryId = service.postAdjustment(monthlyDoc, date, quantity, note, item.unit, { stockTransferId: transferId });
+    await monthlyDoc.save({ session });
+    onUndo(() => service.removeAdjustment(monthlyDoc._id, entryId));
+    return { entryId, balance: monthlyDoc.closingBalance };
+  }
+
+  /**
+   * Draw cafe batches down after cafe stock went out (FIFO, like a sale)
+   */
+  async syncCafeBatches(theaterId, balances) {
+    for (const [productId, balance] of balances) {
+      try {
+        await CafeStockService.syncBatchesToBalance(theaterId, productId, balance);
+      } catch (error) {
+        console.error(`❌ Error syncing batches after transfer for product ${productId}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Send stock to another theater of the same owner - it comes off the sender's stock now
+   * and is in transit until the receiver books it in
+   */
+  async sendTransfer(theaterId, data, actor = {}) {
+    const stockType = data.stockType === 'cafe' ? 'cafe' : 'product';
+    const toTheaterId = String(data.toTheaterId || '');
+    if (toTheaterId === String(theaterId)) {
+      throw new Error('Transfer cannot be sent to the same theater');
+    }
+
+    const transferTheaters = await this.getTransferTheaters(theaterId);
+    const toTheater = transferTheaters.find(theater => String(theater._id) === toTheaterId);
+    if (!toTheater) {
+      throw new Error('Transfer can only be sent to another theater of the same owner');
+    }
+
+    if (!Array.isArray(data.items) || data.items.length === 0) {
+      throw new Error('Transfer needs at least one item');
+    }
+
+    const [fromTheater, productMap] = await Promise.all([
+      Theater.findById(theaterId).select('name').lean(),
+      PurchaseOrderService.getProductMap(theaterId)
+    ]);
+
+    const seen = new Set();
+    const items = [];
+    for (const [index, item] of data.items.entries()) {
+      const productId = String(item.productId || '');
+      const product = productMap.get(productId);
+      if (!product) {
+        throw new Error(`Transfer item ${index + 1} is not a product of this theater`);
+      }
+      if (seen.has(productId)) {
+        throw new Error(`Transfer lists ${product.name} more than once`);
+      }
+      if (stockType === 'cafe' && getRecipe(product).length > 0) {
+        throw new Error(`Transfer of ${product.name} is sent as its ingredients`);
+      }
+      const quantity = round(item.quantity);
+      if (quantity <= 0) {
+        throw new Error(`Transfer quantity of ${product.name} must be greater than 0`);
+      }
+      seen.add(productId);
+      items.push({
+        productId,
+        productName: product.name || '',
+        unit: await this.getStockUnit(stockType, theaterId, productId),
+        quantity
+      });
+    }
+
+    const sentAt = new Date();
+    for (const item of items) {
+      await this.prepareMonthlyDoc(stockType, theaterId, item.productId, sentAt);
+    }
+
+    // A clash in the unique index means another transfer took the number - take the next one
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const transferNumber = await this.nextTransferNumber(theaterId);
+      const balances = new Map();
+      let sent = null;
+      try {
+        sent = await runInTransaction(async (session, onUndo) => {
+          balances.clear();
+          const transfer = new StockTransfer({
+            transferNumber,
+            fromTheater: theaterId,
+            fromTheaterName: fromTheater?.name || '',
+            toTheater: toTheater._id,
+            toTheaterName: toTheater.name,
+            stockType,
+            items,
+            notes: data.notes || '',
+            sentAt,
+            sentBy: staffOf(actor)
+          });
+
+          for (const item of transfer.items) {
+            const { entryId, balance } = await this.bookMovement(
+              session, onUndo, stockType, theaterId, item, sentAt, -item.quantity,
+              `Transfer ${transferNumber} to ${toTheater.name}`, transfer._id
+            );
+            item.outwardEntryId = entryId;
+            balances.set(String(item.productId), balance);
+          }
+
+          // Saved last - a taken transfer number fails here and the movements are taken back
+          await transfer.save({ session });
+          return transfer.toObject();
+        });
+      } catch (error) {
+        if (error.code === 11000) continue;
+        throw error;
+      }
+
+      if (stockType === 'cafe') {
+        await this.syncCafeBatches(theaterId, balances);
+      }
+      return sent;
+    }
+    throw new Error('Transfer number could not be generated - please try again');
+  }
+
+  /**
+   * Receive a transfer at the receiving theater - each item is booked to one of the receiver's own products
+   * with the quantity that actually arrived; a different quantity is kept as a discrepancy with its reason
+   * @param {Array} data.items - [{ itemId, receivedProductId, receivedQuantity, discrepancyReason }]
+   */
+  async receiveTransfer(theaterId, transferId, data, actor = {}) {
+    const transfer = await StockTransfer.findOne({ _id: transferId, toTheater: theaterId }).lean();
+    if (!transfer) {
+      throw new Error('Transfer not found');
+    }
+    if (transfer.status !== 'in_transit') {
+      throw new Error(`Transfer is already ${transfer.status}`);
+    }
+
+    const productMap = await PurchaseOrderService.getProductMap(theaterId);
+    const received = new Map();
+    for (const item of transfer.items) {
+      const line = (data.items || []).find(entry => String(entry.itemId) === String(item._id));
+      if (!line) {
+        throw new Error(`Transfer item ${item.productName} needs a received quantity`);
+      }
+      const product = productMap.get(String(line.receivedProductId || ''));
+      if (!product) {
+        throw new Error(`Transfer item ${item.productName} needs a product of this theater to book it to`);
+      }
+      if (transfer.stockType === 'cafe' && getRecipe(product).length > 0) {
+        throw new Error(`Transfer item ${item.productName} cannot be booked to recipe product ${product.name}`);
+      }
+      const receivedQuantity = round(line.receivedQuantity);
+      if (receivedQuantity < 0) {
+        throw new Error(`Transfer received quantity of ${item.productName} cannot be negative`);
+      }
+      const discrepancy = round(receivedQuantity - item.quantity);
+      const discrepancyReason = String(line.discrepancyReason || '').trim();
+      if (discrepancy !== 0 && !discrepancyReason) {
+        throw new Error(`Transfer item ${item.productName} needs a reason for the ${discrepancy < 0 ? 'shortage' : 'excess'}`);
+      }
+      received.set(String(item._id), {
+        receivedProductId: String(line.receivedProductId),
+        receivedProductName: product.name || '',
+        receivedQuantity,
+        discrepancy,
+        discrepancyReason: discrepancy !== 0 ? discrepancyReason : ''
+      });
+    }
+
+    const receivedAt = new Date();
+    for (const line of received.values()) {
+      if (line.receivedQuantity > 0) {
+        await this.prepareMonthlyDoc(transfer.stockType, theaterId, line.receivedProductId, receivedAt);
+      }
+    }
+
+    const result = await runInTransaction(async (session, onUndo) => {
+      // Claim the transfer first - a second receive or a cancel finds it no longer in transit and books nothing
+      const doc = await StockTransfer.findOneAndUpdate(
+        { _id: transferId, toTheater: theaterId, status: 'in_transit' },
+        { $set: { status: 'received', receivedAt, receivedBy: staffOf(actor), receiveNotes: data.notes || '' } },
+        { new: true, session }
+      );
+      if (!doc) {
+        throw new Error('Transfer is no longer in transit');
+      }
+      onUndo(() => StockTransfer.updateOne(
+        { _id: doc._id, status: 'received' },
+        { $set: { status: 'in_transit', receivedAt: null, receiveNotes: '' }, $unset: { receivedBy: '' } }
+      ));
+
+      for (const item of doc.items) {
+        Object.assign(item, received.get(String(item._id)));
+        if (item.receivedQuantity > 0) {
+          const { entryId } = await this.bookMovement(
+            session, onUndo, doc.stockType, theaterId,
+            { productId: item.receivedProductId, productName: item.receivedProductName, unit: item.unit },
+            receivedAt, item.receivedQuantity, `Transfer ${doc.transferNumber} from ${doc.fromTheaterName}`, doc._id
+          );
+          item.inwardEntryId = entryId;
+        }
+      }
+
+      await doc.save({ session });
+      return doc.toObject();
+    });
+
+    return result;
+  }
+
+  /**
+   * Cancel a transfer that is still in transit - the sent stock goes back to the sender
+   */
+  async cancelTransfer(theaterId, transferId, actor = {}) {
+    const transfer = await StockTransfer.findOne({ _id: transferId, fromTheater: theaterId }).lean();
+    if (!transfer) {
+      throw new Error('Transfer not found');
+    }
+    if (transfer.status !== 'in_transit') {
+      throw new Error(`Transfer is already ${transfer.status}`);
+    }
+
+    const cancelledAt = new Date();
+    for (const item of transfer.items) {
+      await this.prepareMonthlyDoc(transfer.stockType, theaterId, item.productId, cancelledAt);
+    }
+
+    const result = await runInTransaction(async (session, onUndo) => {
+      // Claim the transfer first - a receive or a second cancel finds it no longer in transit and books nothing
+      const doc = await StockTransfer.findOneAndUpdate(
+        { _id: transferId, fromTheater: theaterId, status: 'in_transit' },
+        { $set: { status: 'cancelled', cancelledAt, cancelledBy: staffOf(actor) } },
+        { new: true, session }
+      );
+      if (!doc) {
+        throw new Error('Transfer is no longer in transit');
+      }
+      onUndo(() => StockTransfer.updateOne(
+        { _id: doc._id, status: 'cancelled' },
+        { $set: { status: 'in_transit', cancelledAt: null }, $unset: { cancelledBy: '' } }
+      ));
+
+      for (const item of doc.items) {
+        await this.bookMovement(
+          session, onUndo, doc.stockType, theaterId, item, cancelledAt, item.quantity,
+          `Transfer ${doc.transferNumber} to ${doc.toTheaterName} cancelled - stock returned`, doc._id
+        );
+      }
+
+      return doc.toObject();
+    });
+
+    // Returned cafe stock goes back into the batches it was drawn from
+    if (result.stockType === 'cafe') {
+      for (const item of result.items) {
+        try {
+          await CafeStockService.restoreBatches(theaterId, item.productId, item.quantity);
+        } catch (error) {
+          console.error(`❌ Error restoring batches after transfer cancel for product ${item.productId}:`, error);
+        }
+      }
+    }
+
+    return result;
+  }
+}
+
+module.exports = new StockTransferService();
@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+const StockTransfer = require('../models/StockTransfer');
+const MonthlyStock = require('../models/MonthlyStock');
+const StockService = require('./StockService');
+const PurchaseOrderService = require('./PurchaseOrderService');
+const StockTransferService = require('./StockTransferService');
+
+// Without transactions (a standalone server) a failed step takes back the claim and the movements booked before it
+describe('StockTransferService on a standalone server', () => {
+  const senderId = '64b0000000000000000000aa';
+  const receiverId = '64b0000000000000000000bb';
+  const originalDb = mongoose.connection.db;
+  let transfer;
+  let stock;
+  let failingSave;
+
+  const transferDoc = (filter) => {
+    if (String(filter._id) !== String(transfer._id) || transfer.status !== filter.status) return null;
+    return {
+      ...transfer,
+      items: transfer.items.map(item => ({ ...item })),
+      save: async () => {},
+      toObject() { return { ...this }; }
+    };
+  };
+
+  beforeEach(() => {
+    transfer = {
+      _id: 'transfer1',
+      transferNumber: 'TR-0001',
+      fromTheater: senderId,
+      fromTheaterName: 'Screen One',
+      toTheater: receiverId,
+      toTheaterName: 'Screen Two',
+      stockType: 'product',
+      status: 'in_transit',
+      items: [
+        { _id: 'item1', productId: 'popcorn', productName: 'Popcorn', unit: 'Nos', quantity: 10 },
+        { _id: 'item2', productId: 'cola', productName: 'Cola', unit: 'Nos', quantity: 5 }
+      ]
+    };
+    stock = { popcorn: 0, cola: 0, nachos: 0, soda: 0 };
+    failingSave = null;
+
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    // A standalone mongod answers hello without a replica set name
+    mongoose.connection.db = { admin: () => ({ command: async () => ({ isWritablePrimary: true }) }) };
+
+    jest.spyOn(StockTransfer, 'findOne').mockImplementation(() => ({ lean: async () => ({ ...transfer }) }));
+    jest.spyOn(StockTransfer, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      const doc = transferDoc(filter);
+      if (doc) Object.assign(transfer, update.$set);
+      return doc && { ...doc, ...update.$set };
+    });
+    jest.spyOn(StockTransfer, 'updateOne').mockImplementation(async (filter, update) => {
+      if (transfer.status === filter.status) Object.assign(transfer, update.$set);
+      return {};
+    });
+    jest.spyOn(PurchaseOrderService, 'getProductMap').mockResolvedValue(new Map([
+      ['nachos', { name: 'Nachos' }],
+      ['soda', { name: 'Soda' }]
+    ]));
+    jest.spyOn(StockTransferService, 'prepareMonthlyDoc').mockResolvedValue();
+
+    // Month documents hold the posted adjustment until they are saved
+    jest.spyOn(MonthlyStock, 'findOne').mockImplementation((filter) => ({
+      session: async () => ({
+        _id: `doc-${filter.productId}`,
+        productId: filter.productId,
+        closingBalance: stock[filter.productId],
+        async save() {
+          if (failingSave === filter.productId) throw new Error('No matching document found for id');
+          stock[filter.productId] = this.closingBalance;
+        }
+      })
+    }));
+    jest.spyOn(StockService, 'recalculateBalances').mockImplementation(() => {});
+    jest.spyOn(StockService, 'postAdjustment').mockImplementation((monthlyDoc, date, quantity) => {
+      monthlyDoc.closingBalance += quantity;
+      return `entry-${monthlyDoc.productId}`;
+    });
+    jest.spyOn(StockService, 'removeAdjustment').mockImplementation(async (monthlyDocId) => {
+      stock[monthlyDocId.replace('doc-', '')] = 0;
+    });
+  });
+
+  afterEach(() => {
+    mongoose.connection.db = originalDb;
+    jest.restoreAllMocks();
+  });
+
+  const receive = () => StockTransferService.receiveTransfer(receiverId, 'transfer1', {
+    items: [
+      { itemId: 'item1', receivedProductId: 'nachos', receivedQuantity: 10 },
+      { itemId: 'item2', receivedProductId: 'soda', receivedQuantity: 4, discrepancyReason: 'One can leaked' }
+    ]
+  });
+
+  it('books the received stock once when the transfer is received twice at the same time', async () => {
+    const results = await Promise.allSettled([receive(), receive()]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find(result => result.status === 'rejected').reason.message).toBe('Transfer is no longer in transit');
+    expect(stock).toMatchObject({ nachos: 10, soda: 4 });
+    expect(transfer.status).toBe('received');
+  });
+
+  it('takes back the received stock and keeps the transfer in transit when a booking fails', async () => {
+    failingSave = 'soda';
+
+    await expect(receive()).rejects.toThrow('No matching document found for id');
+
+    expect(StockService.removeAdjustment).toHaveBeenCalledWith('doc-nachos', 'entry-nachos');
+    expect(stock).toMatchObject({ nachos: 0, soda: 0 });
+    expect(transfer).toMatchObject({ status: 'in_transit', receivedAt: null });
+    // The transfer can be received again
+    failingSave = null;
+    await expect(receive()).resolves.toMatchObject({ status: 'received' });
+  });
+
+  it('takes back the returned stock and keeps the transfer in transit when a cancel fails part way', async () => {
+    failingSave = 'cola';
+
+    await expect(StockTransferService.cancelTransfer(senderId, 'transfer1')).rejects.toThrow('No matching document found for id');
+
+    expect(StockService.removeAdjustment).toHaveBeenCalledWith('doc-popcorn', 'entry-popcorn');
+    expect(stock).toMatchObject({ popcorn: 0, cola: 0 });
+    expect(transfer).toMatchObject({ status: 'in_transit', cancelledAt: null });
+  });
+});
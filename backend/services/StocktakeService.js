@@ -0,0 +1,311 @@
+const mongoose = require('mongoose');
+const BaseService = require('./BaseService');
+const StocktakeSession = require('../models/StocktakeSession');
+const CafeMonthlyStock = require('../models/CafeMonthlyStock');
+const CafeStockService = require('./CafeStockService');
+const PurchaseOrderService = require('./PurchaseOrderService');
+const { runInTransaction } = require('../utils/mongoTransactions');
+const { getRecipe } = require('../utils/productRecipes');
+
+const round = (value, places = 2) => {
+  const factor = 10 ** places;
+  return Math.round((Number(value) || 0) * factor) / factor;
+};
+
+const staffOf = (actor = {}) => {
+  const userId = actor.userId || actor._id;
+  return {
+    userId: userId && mongoose.Types.ObjectId.isValid(String(userId)) ? new mongoose.Types.ObjectId(String(userId)) : undefined,
+    username: actor.username || undefined
+  };
+};
+
+// Counts and variance totals of a stocktake (shortage / excess at purchase cost)
+const summarize = (lines = []) => {
+  const counted = lines.filter(line => line.countedQuantity !== null && line.countedQuantity !== undefined);
+  const withVariance = counted.filter(line => line.variance);
+  return {
+    totalLines: lines.length,
+    countedLines: counted.length,
+    varianceLines: withVariance.length,
+    shortageValue: round(withVariance.reduce((sum, line) => sum + Math.min(0, line.varianceValue || 0), 0)),
+    excessValue: round(withVariance.reduce((sum, line) => sum + Math.max(0, line.varianceValue || 0), 0)),
+    varianceValue: round(withVariance.reduce((sum, line) => sum + (line.varianceValue || 0), 0)),
+    uncostedLines: withVariance.filter(line => line.unitCost === null || line.unitCost === undefined).length
+  };
+};
+
+/**
+ * Stocktake Service
+ * Physical counts of cafe stock. Each count is compared with the cafe stock balance when it is entered;
+ * approving a stocktake posts every variance as an ADJUSTMENT entry in one transaction
+ */
+class StocktakeService extends BaseService {
+  constructor() {
+    super(StocktakeSession);
+  }
+
+  /**
+   * Stocktakes of a theater (newest first) - without their lines, with count / variance totals
+   */
+  async getStocktakes(theaterId, query = {}) {
+    const filter = { theater: theaterId };
+    if (query.status) {
+      filter.status = { $in: String(query.status).split(',') };
+    }
+    const stocktakes = await StocktakeSession.find(filter).sort({ createdAt: -1 }).limit(100).lean().maxTimeMS(15000);
+    return stocktakes.map(({ lines, ...stocktake }) => ({ ...stocktake, summary: summarize(lines) }));
+  }
+
+  /**
+   * One stocktake of a theater with its lines
+   */
+  async getStocktake(theaterId, stocktakeId) {
+    const stocktake = await StocktakeSession.findOne({ _id: stocktakeId, theater: theaterId }).lean();
+    if (!stocktake) {
+      throw new Error('Stocktake not found');
+    }
+    return { ...stocktake, summary: summarize(stocktake.lines) };
+  }
+
+  /**
+   * Next stocktake number of the theater (ST-0001, ST-0002, ...)
+   */
+  async nextStocktakeNumber(theaterId) {
+    const count = await StocktakeSession.countDocuments({ theater: theaterId });
+    return `ST-${String(count + 1).padStart(4, '0')}`;
+  }
+
+  /**
+   * Start a stocktake - one line per product kept in cafe stock
+   * (recipe products keep no stock of their own). Only one stocktake can be open at a time
+   */
+  async startStocktake(theaterId, data = {}, actor = {}) {
+    const open = await StocktakeSession.findOne({ theater: theaterId, status: { $in: ['counting', 'submitted'] } })
+      .select('stocktakeNumber')
+      .lean();
+    if (open) {
+      throw new Error(`Stocktake ${open.stocktakeNumber} is still open - finish or cancel it first`);
+    }
+
+    const [productMap, stockedUnits] = await Promise.all([
+      PurchaseOrderService.getProductMap(theaterId),
+      CafeStockService.getStockedProductUnits(theaterId)
+    ]);
+
+    const lines = [...stockedUnits.entries()]
+      .filter(([productId]) => productMap.has(productId) && getRecipe(productMap.get(productId)).length === 0)
+      .map(([productId, unit]) => ({
+        productId,
+        productName: productMap.get(productId).name || '',
+        unit
+      }))
+      .sort((a, b) => a.productName.localeCompare(b.productName));
+
+    if (lines.length === 0) {
+      throw new Error('Stocktake needs products with cafe stock - add stock first');
+    }
+
+    // A clash in the unique index means another stocktake took the number - take the next one
+    for (let attempt = 0; attempt < 5; attempt++) {
+      try {
+        const stocktake = await StocktakeSession.create({
+          theater: theaterId,
+          stocktakeNumber: await this.nextStocktakeNumber(theaterId),
+          notes: data.notes || '',
+          lines,
+          startedBy: staffOf(actor)
+        });
+        const result = stocktake.toObject();
+        return { ...result, summary: summarize(result.lines) };
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+      }
+    }
+    throw new Error('Stocktake number could not be generated - please try again');
+  }
+
+  /**
+   * Save counted quantities (any number of products at a time, so a count can be resumed).
+   * A count of null clears the product. The variance is taken against the cafe stock balance right now
+   * @param {Array} counts - [{ productId, countedQuantity }]
+   */
+  async saveCounts(theaterId, stocktakeId, counts, actor = {}) {
+    const stocktake = await StocktakeSession.findOne({ _id: stocktakeId, theater: theaterId });
+    if (!stocktake) {
+      throw new Error('Stocktake not found');
+    }
+    if (stocktake.status !== 'counting') {
+      throw new Error(`Stocktake is ${stocktake.status} - counts can no longer be changed`);
+    }
+
+    const costs = await PurchaseOrderService.getAverageUnitCosts(theaterId);
+    const countedBy = staffOf(actor);
+
+    for (const count of counts) {
+      const line = stocktake.lines.find(item => String(item.productId) === String(count.productId));
+      if (!line) {
+        throw new Error('Stocktake product is not part of this count');
+      }
+
+      if (count.countedQuantity === null || count.countedQuantity === undefined || count.countedQuantity === '') {
+        Object.assign(line, {
+          countedQuantity: null,
+          systemQuantity: null,
+          variance: 0,
+          unitCost: null,
+          varianceValue: 0,
+          countedAt: null,
+          countedBy: undefined
+        });
+        continue;
+      }
+
+      const countedQuantity = round(count.countedQuantity, 3);
+      if (countedQuantity < 0) {
+        throw new Error(`Stocktake count of ${line.productName} cannot be negative`);
+      }
+
+      const systemQuantity = round(await CafeStockService.getCurrentStockBalance(theaterId, line.productId), 3);
+      const variance = round(countedQuantity - systemQuantity, 3);
+      const cost = costs.get(String(line.productId));
+      const unitCost = cost && cost.unit.toLowerCase() === line.unit.toLowerCase() ? round(cost.averageUnitCost) : null;
+
+      Object.assign(line, {
+        countedQuantity,
+        systemQuantity,
+        variance,
+        unitCost,
+        varianceValue: unitCost === null ? 0 : round(variance * unitCost),
+        countedAt: new Date(),
+        countedBy
+      });
+    }
+
+    await stocktake.save();
+    const result = stocktake.toObject();
+    return { ...result, summary: summarize(result.lines) };
+  }
+
+  /**
+   * Move a stocktake on
+   * @param {string} action - 'submit' (counting -> submitted), 'reopen' (submitted -> counting),
+   *                          'approve' (submitted -> approved, variances posted) or 'cancel'
+   */
+  async changeStatus(theaterId, stocktakeId, action, actor = {}) {
+    const stocktake = await StocktakeSession.findOne({ _id: stocktakeId, theater: theaterId }).lean();
+    if (!stocktake) {
+      throw new Error('Stocktake not found');
+    }
+
+    if (action === 'approve') {
+      return this.approveStocktake(stocktake, actor);
+    }
+
+    const transitions = {
+      submit: { from: ['counting'], to: 'submitted', done: 'submitted' },
+      reopen: { from: ['submitted'], to: 'counting', done: 'reopened' },
+      cancel: { from: ['counting', 'submitted'], to: 'cancelled', done: 'cancelled' }
+    };
+    const transition = transitions[action];
+    if (!transition.from.includes(stocktake.status)) {
+      throw new Error(`Stocktake is ${stocktake.status} and cannot be ${transition.done}`);
+    }
+    if (action === 'submit' && summarize(stocktake.lines).countedLines === 0) {
+      throw new Error('Stocktake has no counted products yet');
+    }
+
+    const update = { status: transition.to };
+    if (action === 'submit') {
+      update.submittedBy = staffOf(actor);
+      update.submittedAt = new Date();
+    } else if (action === 'cancel') {
+      update.reviewedBy = staffOf(actor);
+      update.reviewedAt = new Date();
+    }
+
+    const updated = await StocktakeSession.findOneAndUpdate(
+      { _id: stocktakeId, theater: theaterId, status: stocktake.status },
+      { $set: update },
+      { new: true }
+    ).lean();
+    if (!updated) {
+      throw new Error('Stocktake was changed by someone else - please reload');
+    }
+    return { ...updated, summary: summarize(updated.lines) };
+  }
+
+  /**
+   * Approve a submitted stocktake - every counted product with a variance gets an ADJUSTMENT entry on
+   * today's cafe stock together with the status change (see utils/mongoTransactions.js - nothing stays posted if any of it fails)
+   */
+  async approveStocktake(stocktake, actor = {}) {
+    if (stocktake.status !== 'submitted') {
+      throw new Error(`Stocktake is ${stocktake.status} and cannot be approved`);
+    }
+
+    const theaterId = String(stocktake.theater);
+    const now = new Date();
+    const year = now.getFullYear();
+    const monthNumber = now.getMonth() + 1;
+    const adjusted = stocktake.lines.filter(line => line.countedQuantity !== null && line.variance);
+
+    // Month documents are created up front - creating collections / documents is kept out of the transaction
+    for (const line of adjusted) {
+      const previousBalance = await CafeMonthlyStock.getPreviousMonthBalance(theaterId, line.productId, year, monthNumber);
+      await CafeMonthlyStock.getOrCreateMonthlyDoc(theaterId, line.productId, year, monthNumber, previousBalance);
+    }
+
+    const balances = new Map();
+    const approved = await runInTransaction(async (session, onUndo) => {
+      balances.clear();
+      // Claim the stocktake first - a second approval finds nothing left to approve and posts nothing
+      const doc = await StocktakeSession.findOneAndUpdate(
+        { _id: stocktake._id, status: 'submitted' },
+        { $set: { status: 'approved', reviewedBy: staffOf(actor), reviewedAt: now } },
+        { new: true, session }
+      );
+      if (!doc) {
+        throw new Error('Stocktake is no longer waiting for approval');
+      }
+      onUndo(() => StocktakeSession.updateOne(
+        { _id: doc._id, status: 'approved' },
+        { $set: { status: 'submitted', reviewedAt: null }, $unset: { reviewedBy: '' } }
+      ));
+
+      for (const line of doc.lines) {
+        if (line.countedQuantity === null || !line.variance) continue;
+
+        const monthlyDoc = await CafeMonthlyStock.findOne({
+          theaterId: doc.theater,
+          productId: line.productId,
+          year,
+          monthNumber
+        }).session(session);
+
+        const note = `Stocktake ${doc.stocktakeNumber}: counted ${line.countedQuantity} ${line.unit}, system ${line.systemQuantity} ${line.unit}`;
+        const entryId = CafeStockService.postAdjustment(monthlyDoc, now, line.variance, note, line.unit);
+        await monthlyDoc.save({ session });
+        onUndo(() => CafeStockService.removeAdjustment(monthlyDoc._id, entryId));
+        line.adjustmentEntryId = entryId;
+        balances.set(String(line.productId), monthlyDoc.closingBalance);
+      }
+
+      await doc.save({ session });
+      return doc.toObject();
+    });
+
+    // 📦 Batches follow the corrected balances (a shortage draws the oldest batches down)
+    for (const [productId, balance] of balances) {
+      try {
+        await CafeStockService.syncBatchesToBalance(theaterId, productId, balance);
+      } catch (error) {
+        console.error(`❌ Error syncing batches after stocktake for product ${productId}:`, error);
+      }
+    }
+
+    return { ...approved, summary: summarize(approved.lines) };
+  }
+}
+
+module.exports = new StocktakeService();
@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+const StocktakeSession = require('../models/StocktakeSession');
+const CafeMonthlyStock = require('../models/CafeMonthlyStock');
+const CafeStockService = require('./CafeStockService');
+const StocktakeService = require('./StocktakeService');
+
+// Without transactions (a standalone server) a failed posting takes back the approval and the entries posted before it
+describe('StocktakeService.approveStocktake on a standalone server', () => {
+  const theaterId = '64b0000000000000000000aa';
+  const originalDb = mongoose.connection.db;
+  let stocktake;
+  let stock;
+  let entries;
+  let failingSave;
+
+  beforeEach(() => {
+    stocktake = {
+      _id: 'stocktake1',
+      theater: theaterId,
+      stocktakeNumber: 'ST-0001',
+      status: 'submitted',
+      lines: [
+        { productId: 'milk', unit: 'L', systemQuantity: 12, countedQuantity: 10.5, variance: -1.5, varianceValue: -75, unitCost: 50 },
+        { productId: 'sugar', unit: 'kg', systemQuantity: 4, countedQuantity: 4, variance: 0, varianceValue: 0, unitCost: 40 },
+        { productId: 'beans', unit: 'kg', systemQuantity: 2, countedQuantity: null, variance: null },
+        { productId: 'cups', unit: 'Nos', systemQuantity: 100, countedQuantity: 104, variance: 4, varianceValue: 8, unitCost: 2 }
+      ]
+    };
+    stock = { milk: 12, sugar: 4, beans: 2, cups: 100 };
+    entries = [];
+    failingSave = null;
+
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    // A standalone mongod answers hello without a replica set name
+    mongoose.connection.db = { admin: () => ({ command: async () => ({ isWritablePrimary: true }) }) };
+
+    jest.spyOn(CafeMonthlyStock, 'getPreviousMonthBalance').mockResolvedValue(0);
+    jest.spyOn(CafeMonthlyStock, 'getOrCreateMonthlyDoc').mockResolvedValue({});
+    jest.spyOn(StocktakeSession, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      if (stocktake.status !== filter.status) return null;
+      Object.assign(stocktake, update.$set);
+      return {
+        ...stocktake,
+        lines: stocktake.lines.map(line => ({ ...line })),
+        save: async () => {},
+        toObject() { return { ...this }; }
+      };
+    });
+    jest.spyOn(StocktakeSession, 'updateOne').mockImplementation(async (filter, update) => {
+      if (stocktake.status === filter.status) Object.assign(stocktake, update.$set);
+      return {};
+    });
+
+    // Month documents hold the posted adjustment until they are saved
+    jest.spyOn(CafeMonthlyStock, 'findOne').mockImplementation((filter) => ({
+      session: async () => ({
+        _id: `doc-${filter.productId}`,
+        productId: filter.productId,
+        closingBalance: stock[filter.productId],
+        async save() {
+          if (failingSave === filter.productId) throw new Error('No matching document found for id');
+          stock[filter.productId] = this.closingBalance;
+          entries.push({ productId: filter.productId, quantity: this.posted.quantity, note: this.posted.note });
+        }
+      })
+    }));
+    jest.spyOn(CafeStockService, 'postAdjustment').mockImplementation((monthlyDoc, date, quantity, note) => {
+      monthlyDoc.closingBalance += quantity;
+      monthlyDoc.posted = { quantity, note };
+      return `entry-${monthlyDoc.productId}`;
+    });
+    jest.spyOn(CafeStockService, 'removeAdjustment').mockImplementation(async (monthlyDocId) => {
+      const productId = monthlyDocId.replace('doc-', '');
+      const entry = entries.find(item => item.productId === productId);
+      stock[productId] -= entry.quantity;
+      entries = entries.filter(item => item !== entry);
+    });
+    jest.spyOn(CafeStockService, 'syncBatchesToBalance').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    mongoose.connection.db = originalDb;
+    jest.restoreAllMocks();
+  });
+
+  it('posts an adjustment for every counted product with a variance and draws the batches to the new balance', async () => {
+    const approved = await StocktakeService.approveStocktake(stocktake, { username: 'manager' });
+
+    expect(entries).toEqual([
+      { productId: 'milk', quantity: -1.5, note: 'Stocktake ST-0001: counted 10.5 L, system 12 L' },
+      { productId: 'cups', quantity: 4, note: 'Stocktake ST-0001: counted 104 Nos, system 100 Nos' }
+    ]);
+    expect(stock).toEqual({ milk: 10.5, sugar: 4, beans: 2, cups: 104 });
+    expect(approved.lines.map(line => line.adjustmentEntryId)).toEqual(['entry-milk', undefined, undefined, 'entry-cups']);
+    expect(approved).toMatchObject({ status: 'approved', summary: { countedLines: 3, varianceLines: 2, varianceValue: -67 } });
+    expect(CafeStockService.syncBatchesToBalance.mock.calls).toEqual([[theaterId, 'milk', 10.5], [theaterId, 'cups', 104]]);
+  });
+
+  it('takes back the posted adjustments and leaves the stocktake submitted when a posting fails', async () => {
+    failingSave = 'cups';
+
+    await expect(StocktakeService.approveStocktake(stocktake)).rejects.toThrow('No matching document found for id');
+
+    expect(CafeStockService.removeAdjustment).toHaveBeenCalledWith('doc-milk', 'entry-milk');
+    expect(entries).toEqual([]);
+    expect(stock).toEqual({ milk: 12, sugar: 4, beans: 2, cups: 100 });
+    expect(stocktake).toMatchObject({ status: 'submitted', reviewedAt: null });
+    expect(CafeStockService.syncBatchesToBalance).not.toHaveBeenCalled();
+  });
+
+  it('posts the variances once when the stocktake is approved twice at the same time', async () => {
+    const results = await Promise.allSettled([
+      StocktakeService.approveStocktake({ ...stocktake }),
+      StocktakeService.approveStocktake({ ...stocktake })
+    ]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find(result => result.status === 'rejected').reason.message)
+      .toBe('Stocktake is no longer waiting for approval');
+    expect(entries).toHaveLength(2);
+  });
+});
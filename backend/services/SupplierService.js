@@ -0,0 +1,125 @@
+const BaseService = require('./BaseService');
+const Supplier = require('../models/Supplier');
+const PurchaseOrder = require('../models/PurchaseOrder');
+
+const SUPPLIER_FIELDS = [
+  'name', 'contactPerson', 'phone', 'email', 'gstNumber', 'address', 'leadTimeDays', 'notes', 'isActive'
+];
+
+/**
+ * Supplier Service
+ * Vendors the theater raises purchase orders to
+ */
+class SupplierService extends BaseService {
+  constructor() {
+    super(Supplier);
+  }
+
+  /**
+   * Get the suppliers of a theater (active first, then by name)
+   */
+  async getSuppliers(theaterId, { includeInactive = true } = {}) {
+    const filter = { theater: theaterId };
+    if (!includeInactive) {
+      filter.isActive = true;
+    }
+    return Supplier.find(filter)
+      .sort({ isActive: -1, name: 1 })
+      .collation({ locale: 'en', strength: 2 })
+      .lean()
+      .maxTimeMS(15000);
+  }
+
+  /**
+   * Get one supplier of a theater
+   */
+  async getSupplier(theaterId, supplierId) {
+    const supplier = await Supplier.findOne({ _id: supplierId, theater: theaterId }).lean().maxTimeMS(15000);
+    if (!supplier) {
+      throw new Error('Supplier not found');
+    }
+    return supplier;
+  }
+
+  /**
+   * Pick the editable fields from a request body
+   */
+  pickSupplierFields(data) {
+    const fields = {};
+    SUPPLIER_FIELDS.forEach(field => {
+      if (data[field] !== undefined) {
+        fields[field] = typeof data[field] === 'string' ? data[field].trim() : data[field];
+      }
+    });
+    if (fields.leadTimeDays !== undefined) {
+      fields.leadTimeDays = Math.max(0, parseInt(fields.leadTimeDays, 10) || 0);
+    }
+    return fields;
+  }
+
+  /**
+   * Turn a duplicate-name index error into a readable one
+   */
+  rethrowDuplicate(error) {
+    if (error.code === 11000) {
+      throw new Error('Supplier with this name already exists');
+    }
+    throw error;
+  }
+
+  /**
+   * Create a supplier
+   */
+  async createSupplier(theaterId, data) {
+    const fields = this.pickSupplierFields(data);
+    if (!fields.name) {
+      throw new Error('Supplier name is required');
+    }
+    try {
+      const supplier = await Supplier.create({ ...fields, theater: theaterId });
+      return supplier.toObject();
+    } catch (error) {
+      return this.rethrowDuplicate(error);
+    }
+  }
+
+  /**
+   * Update a supplier
+   */
+  async updateSupplier(theaterId, supplierId, data) {
+    const fields = this.pickSupplierFields(data);
+    if (fields.name !== undefined && !fields.name) {
+      throw new Error('Supplier name is required');
+    }
+    try {
+      const supplier = await Supplier.findOneAndUpdate(
+        { _id: supplierId, theater: theaterId },
+        { $set: fields },
+        { new: true, runValidators: true }
+      ).lean();
+      if (!supplier) {
+        throw new Error('Supplier not found');
+      }
+      return supplier;
+    } catch (error) {
+      return this.rethrowDuplicate(error);
+    }
+  }
+
+  /**
+   * Delete a supplier - only when no purchase order uses it (deactivate it otherwise)
+   */
+  async deleteSupplier(theaterId, supplierId) {
+    const used = await PurchaseOrder.exists({ theater: theaterId, supplier: supplierId });
+    if (used) {
+      throw new Error('Supplier has purchase orders - deactivate it instead');
+    }
+    const result = await Supplier.findOneAndDelete({ _id: supplierId, theater: theaterId });
+    if (!result) {
+      throw new Error('Supplier not found');
+    }
+    return true;
+  }
+}
+
+module.exports = new SupplierService();
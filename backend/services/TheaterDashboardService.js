@@ -307,6 +307,7 @@ class TheaterDashboardService extends BaseService {
       const method = (paymentMethod || '').toLowerCase();
       
       // Direct mappings
+      if (method === 'split') return 'split'; // Several counter tenders - see addToPaymentBreakdown
       if (method === 'cash' || method === 'cod') return 'cash';
       if (method === 'card' || method === 'netbanking' || method === 'bank_transfer') return 'card';
       if (method === 'upi') return 'upi';
@@ -327,6 +328,19 @@ class TheaterDashboardService extends BaseService {
       return 'cash'; // Default fallback
     };
 
+    // ✅ Split payments: add each tender to its own method instead of the whole order total
+    const addToPaymentBreakdown = (breakdown, order, total) => {
+      const paymentMethod = normalizePaymentMethod(order.payment?.method || order.paymentMethod);
+      if (paymentMethod === 'split' && Array.isArray(order.payment?.tenders)) {
+        order.payment.tenders.forEach(tender => {
+          const tenderMethod = normalizePaymentMethod(tender.method);
+          breakdown[tenderMethod] = (breakdown[tenderMethod] || 0) + (Number(tender.amount) || 0);
+        });
+        return;
+      }
+      breakdown[paymentMethod] = (breakdown[paymentMethod] || 0) + total;
+    };
+
     // ✅ Calculate payment method breakdown for POS sales
     const posPaymentBreakdown = { cash: 0, upi: 0, card: 0 };
     posOrders
@@ -341,8 +355,7 @@ class TheaterDashboardService extends BaseService {
                      (order.pricing?.subtotal || 0) + (order.pricing?.taxAmount || 0) + (order.pricing?.serviceChargeAmount || 0) - (order.pricing?.discountAmount || 0) ||
                      0;
         const numTotal = Number(total) || 0;
-        const paymentMethod = normalizePaymentMethod(order.payment?.method || order.paymentMethod);
-        posPaymentBreakdown[paymentMethod] = (posPaymentBreakdown[paymentMethod] || 0) + numTotal;
+        addToPaymentBreakdown(posPaymentBreakdown, order, numTotal);
       });
 
     // ✅ Calculate payment method breakdown for Kiosk sales
@@ -359,8 +372,7 @@ class TheaterDashboardService extends BaseService {
                      (order.pricing?.subtotal || 0) + (order.pricing?.taxAmount || 0) + (order.pricing?.serviceChargeAmount || 0) - (order.pricing?.discountAmount || 0) ||
                      0;
         const numTotal = Number(total) || 0;
-        const paymentMethod = normalizePaymentMethod(order.payment?.method || order.paymentMethod);
-        kioskPaymentBreakdown[paymentMethod] = (kioskPaymentBreakdown[paymentMethod] || 0) + numTotal;
+        addToPaymentBreakdown(kioskPaymentBreakdown, order, numTotal);
       });
 
     // ✅ Calculate payment method breakdown for Online sales
@@ -377,8 +389,7 @@ class TheaterDashboardService extends BaseService {
                      (order.pricing?.subtotal || 0) + (order.pricing?.taxAmount || 0) + (order.pricing?.serviceChargeAmount || 0) - (order.pricing?.discountAmount || 0) ||
                      0;
         const numTotal = Number(total) || 0;
-        const paymentMethod = normalizePaymentMethod(order.payment?.method || order.paymentMethod);
-        onlinePaymentBreakdown[paymentMethod] = (onlinePaymentBreakdown[paymentMethod] || 0) + numTotal;
+        addToPaymentBreakdown(onlinePaymentBreakdown, order, numTotal);
       });
 
     // ✅ Sales Figures - Monthly data for last 12 months
@@ -890,7 +901,8 @@ class TheaterDashboardService extends BaseService {
       topProducts,
       recentTransactions,
       specialties,
-      recentOrders
+      recentOrders,
+      runnerStats: this.getRunnerDeliveryStats(todayOrders)
     };
     } catch (error) {
       console.error('❌ [Dashboard] Error in getTheaterDashboard:', error);
@@ -898,6 +910,57 @@ class TheaterDashboardService extends BaseService {
       throw error;
     }
   }
+
+  /**
+   * Per-runner seat delivery stats
+   * Delivery time = claimed → served, wait time = ready → claimed (minutes)
+   * @param {Array} orders - Orders to aggregate (already date filtered)
+   */
+  getRunnerDeliveryStats(orders) {
+    const minutesBetween = (from, to) => (new Date(to) - new Date(from)) / 60000;
+    const round = (value) => Math.round(value * 10) / 10;
+    const runners = new Map();
+
+    for (const order of orders) {
+      const timestamps = order.timestamps || {};
+      if (!order.assignedTo || !timestamps.servedAt || !timestamps.claimedAt) continue;
+
+      const runnerId = String(order.assignedTo);
+      if (!runners.has(runnerId)) {
+        runners.set(runnerId, {
+          runnerId,
+          runnerName: order.assignedToName || 'Runner',
+          deliveries: 0,
+          totalDeliveryMinutes: 0,
+          totalWaitMinutes: 0,
+          waitSamples: 0,
+          slowestDeliveryMinutes: 0
+        });
+      }
+
+      const stats = runners.get(runnerId);
+      const deliveryMinutes = Math.max(0, minutesBetween(timestamps.claimedAt, timestamps.servedAt));
+      stats.deliveries++;
+      stats.totalDeliveryMinutes += deliveryMinutes;
+      stats.slowestDeliveryMinutes = Math.max(stats.slowestDeliveryMinutes, deliveryMinutes);
+
+      if (timestamps.readyAt) {
+        stats.totalWaitMinutes += Math.max(0, minutesBetween(timestamps.readyAt, timestamps.claimedAt));
+        stats.waitSamples++;
+      }
+    }
+
+    return Array.from(runners.values())
+      .map(stats => ({
+        runnerId: stats.runnerId,
+        runnerName: stats.runnerName,
+        deliveries: stats.deliveries,
+        avgDeliveryMinutes: round(stats.totalDeliveryMinutes / stats.deliveries),
+        avgWaitMinutes: stats.waitSamples > 0 ? round(stats.totalWaitMinutes / stats.waitSamples) : null,
+        slowestDeliveryMinutes: round(stats.slowestDeliveryMinutes)
+      }))
+      .sort((a, b) => b.deliveries - a.deliveries);
+  }
 }
 
 module.exports = new TheaterDashboardService();
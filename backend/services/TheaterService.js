@@ -229,17 +229,18 @@ class TheaterService extends BaseService {
   /**
    * Update theater
    */
-  async updateTheater(id, updateData) {
+  async updateTheater(id, updateData, audit = null) {
     return this.updateById(id, updateData, {
       new: true,
-      runValidators: true
+      runValidators: true,
+      audit
     });
   }
 
   /**
    * Delete theater (CASCADE DELETE)
    */
-  async deleteTheater(id) {
+  async deleteTheater(id, audit = null) {
     const theater = await this.findById(id);
     if (!theater) {
       throw new Error('Theater not found');
@@ -326,7 +327,7 @@ class TheaterService extends BaseService {
     }
 
     // Delete theater
-    await this.deleteById(id);
+    await this.deleteById(id, { audit });
     deletionResults.deleted.theater = true;
 
     return {
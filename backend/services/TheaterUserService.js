@@ -92,6 +92,19 @@ class TheaterUserService extends BaseService {
     };
   }
 
+  /**
+   * Theater user together with the theater it belongs to (audit snapshots)
+   */
+  async getTheaterUserWithTheater(userId) {
+    const usersDoc = await TheaterUserArray.findOne(
+      { 'users._id': userId },
+      { theaterId: 1, 'users.$': 1 }
+    ).lean().maxTimeMS(5000);
+
+    const user = usersDoc?.users?.[0];
+    return user ? { user, theaterId: usersDoc.theaterId } : null;
+  }
+
   /**
    * Update theater user
    */
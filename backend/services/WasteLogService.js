@@ -0,0 +1,279 @@
+const mongoose = require('mongoose');
+const BaseService = require('./BaseService');
+const WasteLog = require('../models/WasteLog');
+const CafeStockService = require('./CafeStockService');
+const PurchaseOrderService = require('./PurchaseOrderService');
+const { getRecipe } = require('../utils/productRecipes');
+
+const PAID_STATUSES = ['paid', 'completed', 'partially_refunded'];
+
+const REASON_LABELS = {
+  dropped: 'Dropped',
+  burnt: 'Burnt',
+  quality_reject: 'Quality reject',
+  spoiled: 'Spoiled',
+  expired: 'Expired',
+  other: 'Other'
+};
+
+const round = (value, places = 2) => {
+  const factor = 10 ** places;
+  return Math.round((Number(value) || 0) * factor) / factor;
+};
+
+const staffOf = (actor = {}) => {
+  const userId = actor.userId || actor._id;
+  return {
+    userId: userId && mongoose.Types.ObjectId.isValid(String(userId)) ? new mongoose.Types.ObjectId(String(userId)) : undefined,
+    username: actor.username || undefined
+  };
+};
+
+// Whole local days, same as the other stock reports
+const dateRange = ({ startDate, endDate } = {}) => {
+  const now = new Date();
+  return {
+    rangeStart: startDate ? new Date(`${startDate}T00:00:00`) : new Date(now.getFullYear(), now.getMonth(), 1),
+    rangeEnd: endDate ? new Date(`${endDate}T23:59:59.999`) : now
+  };
+};
+
+/**
+ * Waste Log Service
+ * Waste and spoilage of cafe stock with a reason, photo and purchase cost. Logs wait for a
+ * theater admin - approving one books it as damaged / expired stock, rejecting leaves stock alone
+ */
+class WasteLogService extends BaseService {
+  constructor() {
+    super(WasteLog);
+  }
+
+  /**
+   * Waste logs of a theater (newest first) - by status and waste date range
+   */
+  async getWasteLogs(theaterId, query = {}) {
+    const filter = { theater: theaterId };
+    if (query.status) {
+      filter.status = { $in: String(query.status).split(',') };
+    }
+    if (query.startDate || query.endDate) {
+      const { rangeStart, rangeEnd } = dateRange(query);
+      filter.wasteDate = { $gte: rangeStart, $lte: rangeEnd };
+    }
+    return WasteLog.find(filter).sort({ wasteDate: -1, createdAt: -1 }).limit(500).lean().maxTimeMS(15000);
+  }
+
+  /**
+   * Log waste of a cafe stock product - waits for approval before it comes off stock
+   */
+  async recordWaste(theaterId, data, actor = {}) {
+    const productId = String(data.productId || '');
+    const productMap = await PurchaseOrderService.getProductMap(theaterId);
+    const product = productMap.get(productId);
+    if (!product) {
+      throw new Error('Waste product is not a product of this theater');
+    }
+    if (getRecipe(product).length > 0) {
+      throw new Error(`Waste of ${product.name} is logged against its ingredients`);
+    }
+
+    const quantity = round(data.quantity, 3);
+    if (quantity <= 0) {
+      throw new Error('Waste quantity must be greater than 0');
+    }
+
+    const wasteDate = data.wasteDate ? new Date(data.wasteDate) : new Date();
+    if (wasteDate > new Date()) {
+      throw new Error('Waste date cannot be in the future');
+    }
+
+    const reasonNote = String(data.reasonNote || '').trim();
+    if (data.reasonCode === 'other' && !reasonNote) {
+      throw new Error('Waste reason "other" needs a note');
+    }
+
+    const balance = await CafeStockService.getCurrentStockBalance(theaterId, productId);
+    if (quantity > balance) {
+      throw new Error(`Waste quantity is more than the ${balance} in cafe stock`);
+    }
+
+    // Cost at the average purchase price, when the product is bought in the unit it is stocked in
+    const [unit, costs] = await Promise.all([
+      CafeStockService.getStockUnit(theaterId, productId),
+      PurchaseOrderService.getAverageUnitCosts(theaterId, wasteDate)
+    ]);
+    const cost = costs.get(productId);
+    const unitCost = cost && cost.unit.toLowerCase() === unit.toLowerCase() ? round(cost.averageUnitCost) : null;
+
+    return WasteLog.create({
+      theater: theaterId,
+      productId,
+      productName: product.name || '',
+      wasteDate,
+      quantity,
+      unit,
+      reasonCode: data.reasonCode,
+      reasonNote,
+      photoUrl: String(data.photoUrl || '').trim(),
+      unitCost,
+      costAmount: unitCost === null ? 0 : round(quantity * unitCost),
+      recordedBy: staffOf(actor)
+    });
+  }
+
+  /**
+   * Approve (stock comes off as damaged / expired) or reject a pending waste log
+   * @param {string} action - 'approve' | 'reject'
+   */
+  async reviewWasteLog(theaterId, wasteId, action, { reason } = {}, actor = {}) {
+    const existing = await WasteLog.findOne({ _id: wasteId, theater: theaterId }).lean();
+    if (!existing) {
+      throw new Error('Waste log not found');
+    }
+    if (existing.status !== 'pending') {
+      throw new Error(`Waste log is already ${existing.status}`);
+    }
+
+    // Claim the log first so two reviewers cannot both book it
+    const wasteLog = await WasteLog.findOneAndUpdate(
+      { _id: wasteId, theater: theaterId, status: 'pending' },
+      {
+        $set: {
+          status: action === 'approve' ? 'approved' : 'rejected',
+          reviewedBy: staffOf(actor),
+          reviewedAt: new Date(),
+          rejectionReason: action === 'reject' ? String(reason || '').trim() : ''
+        }
+      },
+      { new: true }
+    );
+    if (!wasteLog) {
+      throw new Error('Waste log is no longer pending');
+    }
+
+    if (action === 'approve') {
+      try {
+        await CafeStockService.recordWaste(theaterId, wasteLog.productId, {
+          date: wasteLog.wasteDate,
+          quantity: wasteLog.quantity,
+          expired: wasteLog.reasonCode === 'expired',
+          note: `Waste - ${REASON_LABELS[wasteLog.reasonCode]}: ${wasteLog.quantity} ${wasteLog.unit}${wasteLog.reasonNote ? ` (${wasteLog.reasonNote})` : ''}`
+        });
+      } catch (error) {
+        await WasteLog.updateOne(
+          { _id: wasteLog._id },
+          { $set: { status: 'pending', reviewedBy: null, reviewedAt: null } }
+        );
+        throw error;
+      }
+    }
+
+    return wasteLog;
+  }
+
+  /**
+   * Waste vs sales for a date range - approved waste cost per product against what the product sold for,
+   * plus waste by reason
+   */
+  async getWasteReport(theaterId, query = {}) {
+    const { rangeStart, rangeEnd } = dateRange(query);
+    const theaterObjectId = new mongoose.Types.ObjectId(theaterId);
+
+    const [wasteLogs, salesLines] = await Promise.all([
+      WasteLog.find({
+        theater: theaterObjectId,
+        wasteDate: { $gte: rangeStart, $lte: rangeEnd },
+        status: { $in: ['approved', 'pending'] }
+      }).lean(),
+      mongoose.connection.db.collection('theaterorders').aggregate([
+        { $match: { theater: theaterObjectId } },
+        { $unwind: '$orderList' },
+        {
+          $match: {
+            'orderList.createdAt': { $gte: rangeStart, $lte: rangeEnd },
+            'orderList.status': { $ne: 'cancelled' },
+            'orderList.payment.status': { $in: PAID_STATUSES }
+          }
+        },
+        { $unwind: '$orderList.items' },
+        {
+          $group: {
+            _id: '$orderList.items.productId',
+            soldQuantity: { $sum: '$orderList.items.quantity' },
+            salesRevenue: {
+              $sum: {
+                $ifNull: [
+                  '$orderList.items.totalPrice',
+                  { $multiply: ['$orderList.items.unitPrice', '$orderList.items.quantity'] }
+                ]
+              }
+            }
+          }
+        }
+      ]).toArray()
+    ]);
+
+    const sales = new Map(salesLines.map(line => [String(line._id), line]));
+    const rows = new Map();
+    const reasons = new Map();
+    let pendingCount = 0;
+    let uncostedCount = 0;
+
+    wasteLogs.forEach(log => {
+      if (log.status === 'pending') {
+        pendingCount += 1;
+        return;
+      }
+
+      const productId = String(log.productId);
+      if (!rows.has(productId)) {
+        rows.set(productId, {
+          productId,
+          productName: log.productName,
+          unit: log.unit,
+          entries: 0,
+          wastedQuantity: 0,
+          wasteCost: 0,
+          soldQuantity: sales.get(productId)?.soldQuantity || 0,
+          salesRevenue: round(sales.get(productId)?.salesRevenue)
+        });
+      }
+      const row = rows.get(productId);
+      row.entries += 1;
+      row.wastedQuantity = round(row.wastedQuantity + log.quantity, 3);
+      row.wasteCost = round(row.wasteCost + (log.costAmount || 0));
+      if (log.unitCost === null || log.unitCost === undefined) uncostedCount += 1;
+
+      const reason = reasons.get(log.reasonCode) || { reasonCode: log.reasonCode, entries: 0, wasteCost: 0 };
+      reason.entries += 1;
+      reason.wasteCost = round(reason.wasteCost + (log.costAmount || 0));
+      reasons.set(log.reasonCode, reason);
+    });
+
+    const wastePercentOf = (wasteCost, salesRevenue) => (salesRevenue > 0 ? round((wasteCost / salesRevenue) * 100, 1) : null);
+
+    const products = [...rows.values()]
+      .map(row => ({ ...row, wastePercent: wastePercentOf(row.wasteCost, row.salesRevenue) }))
+      .sort((a, b) => b.wasteCost - a.wasteCost || b.wastedQuantity - a.wastedQuantity);
+
+    const wasteCost = round(products.reduce((sum, row) => sum + row.wasteCost, 0));
+    const salesRevenue = round(salesLines.reduce((sum, line) => sum + (line.salesRevenue || 0), 0));
+
+    return {
+      startDate: rangeStart,
+      endDate: rangeEnd,
+      products,
+      reasons: [...reasons.values()].sort((a, b) => b.wasteCost - a.wasteCost),
+      totals: {
+        entries: products.reduce((sum, row) => sum + row.entries, 0),
+        wasteCost,
+        salesRevenue,
+        wastePercent: wastePercentOf(wasteCost, salesRevenue),
+        uncostedEntries: uncostedCount,
+        pendingEntries: pendingCount
+      }
+    };
+  }
+}
+
+module.exports = new WasteLogService();
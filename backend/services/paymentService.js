@@ -9,6 +9,116 @@ const crypto = require('crypto');
 const { sendPosOrderNotification } = require('../utils/firebaseNotifier');
 const { broadcastPosEvent } = require('../routes/posStream');
 const CafeStockService = require('./CafeStockService');
+const GiftCardService = require('./GiftCardService');
+const { generateSignature: generatePaytmSignature, verifySignature: verifyPaytmSignature } = require('../utils/paytmChecksum');
+const { getGatewayAmount } = require('../utils/paymentTenders');
+
+// Local development: refunds are recorded without calling the payment gateway
+const PAYMENT_MOCK_MODE = process.env.PAYMENT_GATEWAY_MOCK_MODE === 'true';
+
+// Orders still with the kitchen are cancelled when fully refunded
+const ACTIVE_ORDER_STATUSES = ['pending', 'confirmed', 'preparing', 'ready'];
+// Refunds are final - a replayed verification or late webhook must not mark the payment paid again
+const REFUNDED_TRANSACTION_STATUSES = ['partially_refunded', 'refunded'];
+
+const roundAmount = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const PHONEPE_HOSTS = {
+  test: 'https://api-preprod.phonepe.com/apis/pg-sandbox',
+  live: 'https://api.phonepe.com/apis/hermes'
+};
+
+const PAYTM_HOSTS = {
+  test: 'https://securegw-stage.paytm.in',
+  live: 'https://securegw.paytm.in'
+};
+
+// PhonePe X-VERIFY header: sha256(payload + saltKey) + '###' + saltIndex
+const phonepeChecksum = (payload, phonepeConfig) =>
+  `${crypto.createHash('sha256').update(payload + phonepeConfig.saltKey.trim()).digest('hex')}###${phonepeConfig.saltIndex || 1}`;
+
+// Direct UPI: payee VPA and the 12-digit UTR (RRN) shown in the customer's UPI app
+const UPI_VPA_PATTERN = /^[a-zA-Z0-9._-]{2,256}@[a-zA-Z][a-zA-Z0-9.-]{1,63}$/;
+const UTR_PATTERN = /^\d{12}$/;
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a || ''));
+  const right = Buffer.from(String(b || ''));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+/**
+ * Gateway providers
+ * Every provider a theater can pick for kiosk / online payments implements:
+ * - isConfigured(config)                        enabled and has the credentials it needs
+ * - createOrder(service, theater, order, channel) creates the gateway order and a pending transaction
+ * - verify(service, transaction, config, data)  asks the gateway about the payment -> { isValid, paymentId }
+ * Redirect-based providers also handle server-to-server notifications:
+ * - parseWebhook(req)                           -> { gatewayOrderId, paymentId, status, amount }
+ * - verifyWebhook(req, config)                  checks the notification checksum
+ * Refunds of these providers report back on the same webhook (see handleGatewayRefundWebhook)
+ * Direct UPI has no gateway to ask, so verify only passes once a cashier has approved the submitted UTR
+ * When the theater has not picked a provider, the first configured one in this order is used
+ */
+const GATEWAY_PROVIDERS = {
+  razorpay: {
+    isConfigured: (config) => !!(config?.enabled && config.keyId),
+    createOrder: (service, theater, order, channel) => service.createRazorpayOrder(theater, order, channel),
+    verify: (service, transaction, config, data) => service.verifyRazorpayPayment(transaction, config, data)
+  },
+  phonepe: {
+    isConfigured: (config) => !!(config?.enabled && config.merchantId),
+    createOrder: (service, theater, order, channel) => service.createPhonePeOrder(theater, order, channel),
+    verify: (service, transaction, config) => service.verifyPhonePePayment(transaction, config),
+    parseWebhook: (req) => {
+      const decoded = JSON.parse(Buffer.from(req.body?.response || '', 'base64').toString('utf8'));
+      const data = decoded.data || {};
+      return {
+        gatewayOrderId: data.merchantTransactionId,
+        paymentId: data.transactionId,
+        status: decoded.code === 'PAYMENT_SUCCESS' ? 'success' : decoded.code === 'PAYMENT_PENDING' ? 'pending' : 'failed',
+        amount: (Number(data.amount) || 0) / 100
+      };
+    },
+    verifyWebhook: (req, config) =>
+      !!config?.saltKey && safeEqual(req.headers['x-verify'], phonepeChecksum(req.body?.response || '', config))
+  },
+  paytm: {
+    isConfigured: (config) => !!(config?.enabled && config.merchantId),
+    createOrder: (service, theater, order, channel) => service.createPaytmOrder(theater, order, channel),
+    verify: (service, transaction, config) => service.verifyPaytmPayment(transaction, config),
+    parseWebhook: (req) => ({
+      gatewayOrderId: req.body?.ORDERID,
+      paymentId: req.body?.TXNID,
+      status: req.body?.STATUS === 'TXN_SUCCESS' ? 'success' : req.body?.STATUS === 'PENDING' ? 'pending' : 'failed',
+      amount: Number(req.body?.TXNAMOUNT) || 0,
+      // Refund notifications carry our refund reference and Paytm's refund ID
+      ...(req.body?.REFID && { refundId: req.body.REFID, gatewayRefundId: req.body.REFUNDID })
+    }),
+    verifyWebhook: (req, config) =>
+      !!config?.merchantKey &&
+      req.body?.MID === config.merchantId.trim() &&
+      verifyPaytmSignature(req.body, config.merchantKey.trim(), req.body?.CHECKSUMHASH)
+  },
+  cashfree: {
+    isConfigured: (config) => !!(config?.enabled && config.appId),
+    createOrder: (service, theater, order, channel) => service.createCashfreeOrder(theater, order, channel),
+    verify: async (service, transaction, config, data) => ({
+      isValid: await service.verifyCashfreePayment(
+        transaction.gateway?.orderId || data.razorpayOrderId || data.paymentId,
+        config,
+        transaction.gateway?.channel
+      ),
+      paymentId: null
+    })
+  },
+  // Direct UPI: no gateway account - the customer pays the theater's VPA and a cashier confirms the UTR
+  upi: {
+    isConfigured: (config) => !!(config?.enabled && config.vpa),
+    createOrder: (service, theater, order, channel) => service.createUpiOrder(theater, order, channel),
+    verify: (service, transaction) => service.verifyUpiPayment(transaction)
+  }
+};
 
 /**
  * Payment Service
@@ -62,6 +172,35 @@ class PaymentService extends BaseService {
     return gatewayConfig;
   }
 
+  /**
+   * Get the provider a channel's gateway config uses
+   * Falls back to the first configured provider when none is explicitly selected
+   * @param {Object} gatewayConfig - Channel gateway configuration
+   * @returns {string} - Provider name or 'none'
+   */
+  detectProvider(gatewayConfig) {
+    const provider = gatewayConfig?.provider || 'none';
+    if (provider !== 'none') {
+      return provider;
+    }
+
+    return Object.keys(GATEWAY_PROVIDERS)
+      .find(name => GATEWAY_PROVIDERS[name].isConfigured(gatewayConfig?.[name])) || 'none';
+  }
+
+  /**
+   * Get a gateway provider implementation
+   * @param {string} provider - Provider name
+   * @returns {Object} - Provider (see GATEWAY_PROVIDERS)
+   */
+  getGatewayProvider(provider) {
+    const gatewayProvider = GATEWAY_PROVIDERS[provider];
+    if (!gatewayProvider) {
+      throw new Error(`Unsupported payment provider: ${provider}`);
+    }
+    return gatewayProvider;
+  }
+
   /**
    * Verify Razorpay payment signature
    * @param {string} orderId - Razorpay order ID
@@ -198,6 +337,209 @@ class PaymentService extends BaseService {
     }
   }
 
+  /**
+   * Verify Razorpay payment (signature, then amount and status from the Razorpay API)
+   * @param {Object} transaction - PaymentTransaction document
+   * @param {Object} razorpayConfig - Razorpay configuration
+   * @param {Object} verificationData - { razorpayOrderId, paymentId, signature }
+   * @returns {Object} - { isValid, paymentId }
+   */
+  async verifyRazorpayPayment(transaction, razorpayConfig, { razorpayOrderId, paymentId, signature }) {
+    let isValid = false;
+
+    if (!razorpayConfig || !razorpayConfig.keySecret) {
+      throw new Error('Razorpay key secret not configured');
+    }
+
+    // ✅ VALIDATION: Check if signature is present (required for Razorpay)
+    if (!signature) {
+      console.error('❌ [PaymentService] Razorpay signature is missing - payment verification cannot proceed');
+      throw new Error('Payment signature is required for Razorpay verification');
+    }
+
+    if (!razorpayOrderId || !paymentId) {
+      console.error('❌ [PaymentService] Razorpay order ID or payment ID is missing:', {
+        hasOrderId: !!razorpayOrderId,
+        hasPaymentId: !!paymentId
+      });
+      throw new Error('Razorpay order ID and payment ID are required for verification');
+    }
+
+    console.log('🔍 [PaymentService] Verifying Razorpay signature...', {
+      orderId: razorpayOrderId.substring(0, 20) + '...',
+      paymentId: paymentId.substring(0, 20) + '...',
+      hasSignature: !!signature
+    });
+
+    isValid = this.verifyRazorpaySignature(
+      razorpayOrderId,
+      paymentId,
+      signature,
+      razorpayConfig.keySecret
+    );
+
+    if (!isValid) {
+      console.error('❌ [PaymentService] Razorpay signature verification failed');
+    } else {
+      // ✅ SECURITY: Additional validation - verify payment amount matches order amount
+      try {
+        const RazorpayInstance = new Razorpay({
+          key_id: razorpayConfig.keyId,
+          key_secret: razorpayConfig.keySecret
+        });
+
+        // Fetch payment details from Razorpay to verify amount
+        const razorpayPayment = await RazorpayInstance.payments.fetch(paymentId);
+
+        if (razorpayPayment && razorpayPayment.order_id === razorpayOrderId) {
+          // Get order amount (in paise for Razorpay)
+          const orderAmount = transaction.amount || 0;
+          const paymentAmount = razorpayPayment.amount || 0;
+
+          // Amounts should match (both in paise)
+          if (Math.abs(orderAmount - paymentAmount) > 1) { // Allow 1 paise difference for rounding
+            console.error('❌ [PaymentService] Payment amount mismatch!', {
+              orderAmount,
+              paymentAmount,
+              orderId: transaction.orderId
+            });
+            throw new Error('Payment amount does not match order amount');
+          }
+
+          // Verify payment status is captured/successful
+          if (razorpayPayment.status !== 'captured' && razorpayPayment.status !== 'authorized') {
+            console.error('❌ [PaymentService] Payment status is not successful:', razorpayPayment.status);
+            throw new Error(`Payment status is ${razorpayPayment.status}, expected captured or authorized`);
+          }
+
+        } else {
+          console.warn('⚠️ [PaymentService] Could not verify payment amount - order ID mismatch in Razorpay response');
+        }
+      } catch (amountError) {
+        console.error('❌ [PaymentService] Amount verification error:', amountError.message);
+        // Don't fail verification if amount check fails - signature is primary security
+        // But log it for investigation
+        console.warn('⚠️ [PaymentService] Continuing with signature-only verification');
+      }
+    }
+
+    return { isValid, paymentId };
+  }
+
+  /**
+   * Verify PhonePe payment via the Check Status API
+   * @param {Object} transaction - PaymentTransaction document
+   * @param {Object} phonepeConfig - PhonePe configuration
+   * @returns {Object} - { isValid, paymentId }
+   */
+  async verifyPhonePePayment(transaction, phonepeConfig) {
+    try {
+      if (!phonepeConfig || !phonepeConfig.merchantId || !phonepeConfig.saltKey) {
+        throw new Error('PhonePe configuration is missing');
+      }
+
+      const merchantId = phonepeConfig.merchantId.trim();
+      const merchantTransactionId = transaction.gateway.orderId;
+      const path = `/pg/v1/status/${merchantId}/${merchantTransactionId}`;
+      const host = phonepeConfig.testMode ? PHONEPE_HOSTS.test : PHONEPE_HOSTS.live;
+
+      const axios = require('axios');
+      const response = await axios.get(`${host}${path}`, {
+        headers: {
+          'Content-Type': 'application/json',
+          'X-VERIFY': phonepeChecksum(path, phonepeConfig),
+          'X-MERCHANT-ID': merchantId
+        }
+      });
+
+      const payment = response.data?.data || {};
+      const expectedAmount = Math.round((transaction.amount?.value || 0) * 100);
+      const isValid = response.data?.code === 'PAYMENT_SUCCESS' &&
+        payment.state === 'COMPLETED' &&
+        Number(payment.amount) === expectedAmount;
+
+      if (!isValid) {
+        console.log('⚠️ [PaymentService] PhonePe payment not successful:', {
+          merchantTransactionId,
+          code: response.data?.code,
+          state: payment.state,
+          amount: payment.amount,
+          expectedAmount
+        });
+      }
+
+      return { isValid, paymentId: payment.transactionId || null };
+    } catch (error) {
+      console.error('❌ Error verifying PhonePe payment:', error.response?.data || error.message);
+      return { isValid: false, paymentId: null };
+    }
+  }
+
+  /**
+   * Verify Paytm payment via the Transaction Status API
+   * @param {Object} transaction - PaymentTransaction document
+   * @param {Object} paytmConfig - Paytm configuration
+   * @returns {Object} - { isValid, paymentId }
+   */
+  async verifyPaytmPayment(transaction, paytmConfig) {
+    try {
+      if (!paytmConfig || !paytmConfig.merchantId || !paytmConfig.merchantKey) {
+        throw new Error('Paytm configuration is missing');
+      }
+
+      const body = {
+        mid: paytmConfig.merchantId.trim(),
+        orderId: transaction.gateway.orderId
+      };
+      const host = paytmConfig.testMode ? PAYTM_HOSTS.test : PAYTM_HOSTS.live;
+
+      const axios = require('axios');
+      const response = await axios.post(
+        `${host}/v3/order/status`,
+        {
+          body,
+          head: { signature: generatePaytmSignature(JSON.stringify(body), paytmConfig.merchantKey.trim()) }
+        },
+        { headers: { 'Content-Type': 'application/json' } }
+      );
+
+      const result = response.data?.body || {};
+      const isValid = result.resultInfo?.resultStatus === 'TXN_SUCCESS' &&
+        Math.abs(Number(result.txnAmount) - (transaction.amount?.value || 0)) < 0.01;
+
+      if (!isValid) {
+        console.log('⚠️ [PaymentService] Paytm payment not successful:', {
+          orderId: body.orderId,
+          status: result.resultInfo?.resultStatus,
+          message: result.resultInfo?.resultMsg,
+          amount: result.txnAmount
+        });
+      }
+
+      return { isValid, paymentId: result.txnId || null };
+    } catch (error) {
+      console.error('❌ Error verifying Paytm payment:', error.response?.data || error.message);
+      return { isValid: false, paymentId: null };
+    }
+  }
+
+  /**
+   * Direct UPI payments are confirmed by a cashier, not a gateway
+   * @param {Object} transaction - PaymentTransaction document
+   * @returns {Object} - { isValid, paymentId: UTR }
+   */
+  async verifyUpiPayment(transaction) {
+    const reviewStatus = transaction.upi?.reviewStatus;
+    if (reviewStatus === 'rejected') {
+      throw new Error('UPI payment was rejected by the cashier');
+    }
+    if (reviewStatus !== 'approved') {
+      throw new Error('UPI payment is awaiting cashier verification');
+    }
+
+    return { isValid: true, paymentId: transaction.upi.utr };
+  }
+
   /**
    * Update transaction status
    * @param {string} transactionId - Transaction ID
@@ -252,20 +594,8 @@ class PaymentService extends BaseService {
 
     // ✅ FIX: Return public config only
     // IMPORTANT: Check if gateway provider is actually configured (has credentials)
-    let provider = gatewayConfig.provider || 'none';
-
     // ✅ AUTO-DETECT: If provider is not set, detect from enabled provider configs
-    if (provider === 'none') {
-      if (gatewayConfig.razorpay?.enabled && gatewayConfig.razorpay?.keyId) {
-        provider = 'razorpay';
-      } else if (gatewayConfig.phonepe?.enabled && gatewayConfig.phonepe?.merchantId) {
-        provider = 'phonepe';
-      } else if (gatewayConfig.paytm?.enabled && gatewayConfig.paytm?.merchantId) {
-        provider = 'paytm';
-      } else if (gatewayConfig.cashfree?.enabled && gatewayConfig.cashfree?.appId) {
-        provider = 'cashfree';
-      }
-    }
+    const provider = this.detectProvider(gatewayConfig);
 
     // ✅ CRITICAL FIX: Check if provider-specific config is enabled (e.g., gatewayConfig.razorpay.enabled)
     // The database structure has enabled flag inside each provider object, not at the top level
@@ -283,21 +613,10 @@ class PaymentService extends BaseService {
       }
     }
 
-    // ✅ ADDITIONAL CHECK: Verify provider-specific config exists and is enabled
-    if (isEnabled && provider !== 'none') {
-      if (provider === 'razorpay' && (!gatewayConfig.razorpay || !gatewayConfig.razorpay.enabled || !gatewayConfig.razorpay.keyId)) {
-        console.warn(`⚠️ [PaymentService] Razorpay provider selected but not properly configured (missing keyId or not enabled)`);
-        isEnabled = false;
-      } else if (provider === 'phonepe' && (!gatewayConfig.phonepe || !gatewayConfig.phonepe.enabled || !gatewayConfig.phonepe.merchantId)) {
-        console.warn(`⚠️ [PaymentService] PhonePe provider selected but not properly configured (missing merchantId or not enabled)`);
-        isEnabled = false;
-      } else if (provider === 'paytm' && (!gatewayConfig.paytm || !gatewayConfig.paytm.enabled || !gatewayConfig.paytm.merchantId)) {
-        console.warn(`⚠️ [PaymentService] Paytm provider selected but not properly configured (missing merchantId or not enabled)`);
-        isEnabled = false;
-      } else if (provider === 'cashfree' && (!gatewayConfig.cashfree || !gatewayConfig.cashfree.enabled || !gatewayConfig.cashfree.appId)) {
-        console.warn(`⚠️ [PaymentService] Cashfree provider selected but not properly configured (missing appId or not enabled)`);
-        isEnabled = false;
-      }
+    // ✅ ADDITIONAL CHECK: Verify provider-specific config exists and has its credentials
+    if (isEnabled && (!GATEWAY_PROVIDERS[provider] || !GATEWAY_PROVIDERS[provider].isConfigured(gatewayConfig[provider]))) {
+      console.warn(`⚠️ [PaymentService] ${provider} provider selected but not properly configured (missing credentials or not enabled)`);
+      isEnabled = false;
     }
 
     // ✅ FIX: Set acceptedMethods with defaults based on provider capabilities
@@ -343,6 +662,15 @@ class PaymentService extends BaseService {
             netbanking: true,
             wallet: true
           };
+        } else if (provider === 'upi') {
+          // Direct UPI only takes UPI
+          acceptedMethods = {
+            cash: channel === 'kiosk' ? true : false,
+            card: false,
+            upi: true,
+            netbanking: false,
+            wallet: false
+          };
         } else if (provider === 'cashfree') {
           // Cashfree supports multiple methods
           acceptedMethods = {
@@ -412,6 +740,11 @@ class PaymentService extends BaseService {
         appId: gatewayConfig.cashfree.appId,
         testMode: gatewayConfig.cashfree.testMode || false
       };
+    } else if (provider === 'upi' && gatewayConfig.upi?.enabled) {
+      publicConfig.upi = {
+        vpa: gatewayConfig.upi.vpa,
+        payeeName: gatewayConfig.upi.payeeName || theater.name
+      };
     }
 
     return publicConfig;
@@ -446,8 +779,8 @@ class PaymentService extends BaseService {
       key_secret: gatewayConfig.razorpay.keySecret.trim()
     });
 
-    // Get order amount (in smallest currency unit - paise for INR)
-    const totalAmount = order.pricing?.total || order.totalAmount || 0;
+    // Get order amount (in smallest currency unit - paise for INR) - gift card share already paid
+    const totalAmount = getGatewayAmount(order);
     const amountInPaise = Math.round(totalAmount * 100);
 
     // Create Razorpay order
@@ -548,7 +881,7 @@ class PaymentService extends BaseService {
     }
 
     // Get order amount (Cashfree expects amount in rupees, not paise)
-    const totalAmount = order.pricing?.total || order.totalAmount || 0;
+    const totalAmount = getGatewayAmount(order);
 
     // Determine API endpoint based on test mode
     const apiVersion = gatewayConfig.cashfree.apiVersion || '2022-09-01';
@@ -654,6 +987,280 @@ class PaymentService extends BaseService {
     }
   }
 
+  /**
+   * Create the pending transaction for a redirect-based gateway order
+   * Created before calling the gateway so the payment can always be matched back
+   * @returns {Object} - PaymentTransaction document
+   */
+  async createPendingTransaction(theater, order, channel, provider, gatewayOrderId, amount, currency = 'INR') {
+    const transaction = new PaymentTransaction({
+      theaterId: theater._id,
+      orderId: order._id,
+      method: order.payment?.method || 'upi',
+      gateway: {
+        provider,
+        channel,
+        orderId: gatewayOrderId,
+        transactionId: gatewayOrderId
+      },
+      amount: {
+        value: amount,
+        currency
+      },
+      status: 'pending',
+      metadata: {
+        orderNumber: order.orderNumber,
+        customerName: order.customerInfo?.name || order.customerName,
+        paymentMethod: order.payment?.method
+      }
+    });
+
+    await transaction.save();
+    return transaction;
+  }
+
+  /**
+   * Mark a transaction failed when the gateway rejected the order
+   */
+  async failPendingTransaction(transaction, provider, error) {
+    const message = error.response?.data?.message ||
+      error.response?.data?.body?.resultInfo?.resultMsg ||
+      error.message ||
+      'Unknown error';
+
+    console.error(`❌ [PaymentService] ${provider} order creation failed:`, {
+      message: error.message,
+      response: error.response?.data,
+      status: error.response?.status
+    });
+
+    await this.updateTransactionStatus(transaction._id, 'failed', {
+      error: {
+        code: 'ORDER_CREATION_FAILED',
+        message,
+        timestamp: new Date().toISOString()
+      }
+    }).catch(() => {});
+
+    return message;
+  }
+
+  /**
+   * Create PhonePe payment order (Standard Checkout PAY_PAGE)
+   * The customer is redirected to PhonePe and comes back to /payment/callback
+   * @param {Object} theater - Theater document
+   * @param {Object} order - Order document
+   * @param {string} channel - 'kiosk' or 'online'
+   * @returns {Object} - Payment order details
+   */
+  async createPhonePeOrder(theater, order, channel) {
+    const phonepeConfig = this.getGatewayConfig(theater, channel)?.phonepe;
+
+    if (!phonepeConfig || !phonepeConfig.enabled) {
+      throw new Error('PhonePe is not configured for this theater');
+    }
+
+    if (!phonepeConfig.merchantId || phonepeConfig.merchantId.trim() === '') {
+      throw new Error('PhonePe merchant ID is not configured for this theater');
+    }
+
+    if (!phonepeConfig.saltKey || phonepeConfig.saltKey.trim() === '') {
+      throw new Error('PhonePe salt key is not configured for this theater');
+    }
+
+    // PhonePe expects amount in paise
+    const totalAmount = getGatewayAmount(order);
+    const amountInPaise = Math.round(totalAmount * 100);
+    const merchantId = phonepeConfig.merchantId.trim();
+    const phone = String(order.customerInfo?.phone || order.customerInfo?.phoneNumber || '').replace(/\D/g, '').slice(-10);
+
+    // Unique per attempt, max 38 characters
+    const merchantTransactionId = `T${order._id}${Date.now().toString(36)}`;
+    const transaction = await this.createPendingTransaction(theater, order, channel, 'phonepe', merchantTransactionId, totalAmount);
+
+    const payload = {
+      merchantId,
+      merchantTransactionId,
+      merchantUserId: `U${phone || order._id}`,
+      amount: amountInPaise,
+      redirectUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/payment/callback?provider=phonepe&order_id=${merchantTransactionId}`,
+      redirectMode: 'REDIRECT',
+      callbackUrl: `${process.env.BACKEND_URL || 'http://localhost:5000'}/api/payments/webhook/phonepe`,
+      ...(phone.length === 10 && { mobileNumber: phone }),
+      paymentInstrument: { type: 'PAY_PAGE' }
+    };
+    const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64');
+    const host = phonepeConfig.testMode ? PHONEPE_HOSTS.test : PHONEPE_HOSTS.live;
+
+    try {
+      const axios = require('axios');
+      const response = await axios.post(
+        `${host}/pg/v1/pay`,
+        { request: encodedPayload },
+        {
+          headers: {
+            'Content-Type': 'application/json',
+            'X-VERIFY': phonepeChecksum(`${encodedPayload}/pg/v1/pay`, phonepeConfig)
+          }
+        }
+      );
+
+      const paymentUrl = response.data?.data?.instrumentResponse?.redirectInfo?.url;
+      if (!response.data?.success || !paymentUrl) {
+        throw new Error(response.data?.message || 'PhonePe did not return a payment page');
+      }
+
+      return {
+        orderId: merchantTransactionId,
+        merchantTransactionId,
+        amount: amountInPaise,
+        currency: 'INR',
+        merchantId,
+        provider: 'phonepe',
+        paymentUrl,
+        transactionId: transaction._id.toString()
+      };
+    } catch (error) {
+      const message = await this.failPendingTransaction(transaction, 'PhonePe', error);
+      throw new Error(`PhonePe order creation failed: ${message}`);
+    }
+  }
+
+  /**
+   * Create Paytm payment order (Initiate Transaction API)
+   * The client posts { mid, orderId, txnToken } to paymentUrl to open Paytm's payment page;
+   * Paytm posts the result back to /api/payments/callback/paytm
+   * @param {Object} theater - Theater document
+   * @param {Object} order - Order document
+   * @param {string} channel - 'kiosk' or 'online'
+   * @returns {Object} - Payment order details
+   */
+  async createPaytmOrder(theater, order, channel) {
+    const paytmConfig = this.getGatewayConfig(theater, channel)?.paytm;
+
+    if (!paytmConfig || !paytmConfig.enabled) {
+      throw new Error('Paytm is not configured for this theater');
+    }
+
+    if (!paytmConfig.merchantId || paytmConfig.merchantId.trim() === '') {
+      throw new Error('Paytm merchant ID is not configured for this theater');
+    }
+
+    if (!paytmConfig.merchantKey || paytmConfig.merchantKey.trim() === '') {
+      throw new Error('Paytm merchant key is not configured for this theater');
+    }
+
+    // Paytm expects amount in rupees as a string with two decimals
+    const totalAmount = getGatewayAmount(order);
+    const mid = paytmConfig.merchantId.trim();
+    const host = paytmConfig.testMode ? PAYTM_HOSTS.test : PAYTM_HOSTS.live;
+    const phone = String(order.customerInfo?.phone || order.customerInfo?.phoneNumber || '').replace(/\D/g, '').slice(-10);
+
+    const paytmOrderId = `ORD${order._id}${Date.now().toString(36)}`;
+    const transaction = await this.createPendingTransaction(theater, order, channel, 'paytm', paytmOrderId, totalAmount);
+
+    const body = {
+      requestType: 'Payment',
+      mid,
+      websiteName: paytmConfig.websiteName || (paytmConfig.testMode ? 'WEBSTAGING' : 'DEFAULT'),
+      orderId: paytmOrderId,
+      callbackUrl: `${process.env.BACKEND_URL || 'http://localhost:5000'}/api/payments/callback/paytm`,
+      txnAmount: {
+        value: totalAmount.toFixed(2),
+        currency: 'INR'
+      },
+      userInfo: {
+        custId: `CUST_${phone || order._id}`,
+        ...(phone.length === 10 && { mobile: phone })
+      }
+    };
+
+    try {
+      const axios = require('axios');
+      const response = await axios.post(
+        `${host}/theia/api/v1/initiateTransaction?mid=${mid}&orderId=${paytmOrderId}`,
+        {
+          body,
+          head: { signature: generatePaytmSignature(JSON.stringify(body), paytmConfig.merchantKey.trim()) }
+        },
+        { headers: { 'Content-Type': 'application/json' } }
+      );
+
+      const result = response.data?.body;
+      if (result?.resultInfo?.resultStatus !== 'S' || !result.txnToken) {
+        throw new Error(result?.resultInfo?.resultMsg || 'Paytm did not return a transaction token');
+      }
+
+      return {
+        orderId: paytmOrderId,
+        txnToken: result.txnToken,
+        amount: Math.round(totalAmount * 100),
+        currency: 'INR',
+        merchantId: mid,
+        provider: 'paytm',
+        paymentUrl: `${host}/theia/api/v1/showPaymentPage?mid=${mid}&orderId=${paytmOrderId}`,
+        paymentForm: { mid, orderId: paytmOrderId, txnToken: result.txnToken },
+        transactionId: transaction._id.toString()
+      };
+    } catch (error) {
+      const message = await this.failPendingTransaction(transaction, 'Paytm', error);
+      throw new Error(`Paytm order creation failed: ${message}`);
+    }
+  }
+
+  /**
+   * Create a direct UPI payment (no gateway)
+   * The client renders `upiUri` as a QR; the customer pays from any UPI app and submits the UTR,
+   * which a cashier checks against the theater's bank account before the order is marked paid
+   * @param {Object} theater - Theater document
+   * @param {Object} order - Order document
+   * @param {string} channel - 'kiosk' or 'online'
+   * @returns {Object} - Payment order details
+   */
+  async createUpiOrder(theater, order, channel) {
+    const upiConfig = this.getGatewayConfig(theater, channel)?.upi;
+
+    if (!upiConfig || !upiConfig.enabled) {
+      throw new Error('Direct UPI is not configured for this theater');
+    }
+
+    if (!upiConfig.vpa || !UPI_VPA_PATTERN.test(upiConfig.vpa.trim())) {
+      throw new Error('UPI ID is not configured for this theater');
+    }
+
+    const totalAmount = getGatewayAmount(order);
+    const vpa = upiConfig.vpa.trim();
+    const payeeName = (upiConfig.payeeName || theater.name || 'Theater').trim();
+
+    // Sent as the UPI transaction reference (tr), max 35 characters
+    const upiOrderId = `UPI${order._id}${Date.now().toString(36)}`;
+    const transaction = await this.createPendingTransaction(theater, order, channel, 'upi', upiOrderId, totalAmount);
+    transaction.method = 'upi';
+    transaction.upi = { reviewStatus: 'awaiting_utr' };
+    await transaction.save();
+
+    const params = new URLSearchParams({
+      pa: vpa,
+      pn: payeeName,
+      am: totalAmount.toFixed(2),
+      cu: 'INR',
+      tn: `Order ${order.orderNumber || order._id}`,
+      tr: upiOrderId
+    });
+
+    return {
+      orderId: upiOrderId,
+      amount: Math.round(totalAmount * 100),
+      currency: 'INR',
+      provider: 'upi',
+      vpa,
+      payeeName,
+      // URLSearchParams encodes spaces as '+', which some UPI apps show literally
+      upiUri: `upi://pay?${params.toString().replace(/\+/g, '%20')}`,
+      transactionId: transaction._id.toString()
+    };
+  }
+
   /**
    * Create payment order (main method called by controller)
    * @param {string} orderId - Order ID
@@ -702,6 +1309,11 @@ class PaymentService extends BaseService {
       throw new Error('Order not found');
     }
 
+    // 🎁 Paid in full from a gift card - nothing for the gateway to collect
+    if (order.payment?.method === 'giftcard') {
+      throw new Error('Order is already paid');
+    }
+
     // Get theater
     const theater = await Theater.findById(theaterId).maxTimeMS(20000);
     if (!theater) {
@@ -721,20 +1333,8 @@ class PaymentService extends BaseService {
     }
 
     // ✅ FIX: Auto-detect provider if not explicitly set (similar to getPaymentConfig)
-    let provider = gatewayConfig.provider || 'none';
-
     // ✅ AUTO-DETECT: If provider is not set, detect from enabled provider configs
-    if (provider === 'none') {
-      if (gatewayConfig.razorpay?.enabled && gatewayConfig.razorpay?.keyId) {
-        provider = 'razorpay';
-      } else if (gatewayConfig.phonepe?.enabled && gatewayConfig.phonepe?.merchantId) {
-        provider = 'phonepe';
-      } else if (gatewayConfig.paytm?.enabled && gatewayConfig.paytm?.merchantId) {
-        provider = 'paytm';
-      } else if (gatewayConfig.cashfree?.enabled && gatewayConfig.cashfree?.appId) {
-        provider = 'cashfree';
-      }
-    }
+    const provider = this.detectProvider(gatewayConfig);
 
     // Check if provider is configured and enabled
     if (provider === 'none' || !gatewayConfig[provider] || !gatewayConfig[provider].enabled) {
@@ -771,17 +1371,7 @@ class PaymentService extends BaseService {
 
 
     try {
-      if (provider === 'razorpay') {
-        paymentOrder = await this.createRazorpayOrder(theater, order, channel);
-      } else if (provider === 'phonepe') {
-        throw new Error('PhonePe integration not yet implemented');
-      } else if (provider === 'paytm') {
-        throw new Error('Paytm integration not yet implemented');
-      } else if (provider === 'cashfree') {
-        paymentOrder = await this.createCashfreeOrder(theater, order, channel);
-      } else {
-        throw new Error(`Unsupported payment provider: ${provider}`);
-      }
+      paymentOrder = await this.getGatewayProvider(provider).createOrder(this, theater, order, channel);
 
 
       return {
@@ -820,12 +1410,14 @@ class PaymentService extends BaseService {
         paymentId,
         signature,
         razorpayOrderId,
+        gatewayOrderId,
         transactionId
       } = verificationData;
 
       // ✅ FIX: Validate required fields
       // Note: We'll detect provider later, but signature is optional for Cashfree
-      if (!razorpayOrderId && !paymentId) {
+      // Redirect gateways (PhonePe, Paytm, Cashfree) come back with only their order ID / our transaction ID
+      if (!razorpayOrderId && !paymentId && !gatewayOrderId && !transactionId) {
         console.error('❌ [PaymentService] Order ID or payment ID is required');
         throw new Error('Order ID or payment ID is required');
       }
@@ -834,6 +1426,7 @@ class PaymentService extends BaseService {
         orderId,
         paymentId,
         razorpayOrderId,
+        gatewayOrderId,
         transactionId,
         signature: signature ? '✅ Present' : '❌ Missing'
       });
@@ -848,8 +1441,8 @@ class PaymentService extends BaseService {
       // If transaction not found by ID, try to find by gateway order ID or payment ID
       if (!transaction) {
         const searchQuery = {};
-        if (razorpayOrderId) {
-          searchQuery['gateway.orderId'] = razorpayOrderId;
+        if (razorpayOrderId || gatewayOrderId) {
+          searchQuery['gateway.orderId'] = razorpayOrderId || gatewayOrderId;
         }
         if (paymentId && !transaction) {
           searchQuery['gateway.paymentId'] = paymentId;
@@ -908,6 +1501,15 @@ class PaymentService extends BaseService {
         // In production, you might want to reject old payments: throw new Error('Payment verification window expired');
       }
 
+      if (this.isRefunded(transaction)) {
+        return {
+          success: true,
+          message: 'Payment already verified and refunded',
+          order: null,
+          transaction: transaction
+        };
+      }
+
       // ✅ VALIDATION: Check if payment is already verified
       if (transaction.status === 'success') {
         // Payment is already verified, but we should still update the order if needed
@@ -928,6 +1530,13 @@ class PaymentService extends BaseService {
         throw new Error('Transaction order ID does not match');
       }
       // For Cashfree, order ID validation happens in verifyCashfreePayment
+      if (gatewayOrderId && transaction.gateway?.orderId !== gatewayOrderId) {
+        console.error('❌ [PaymentService] Gateway order ID mismatch!', {
+          storedOrderId: transaction.gateway?.orderId,
+          receivedOrderId: gatewayOrderId
+        });
+        throw new Error('Transaction order ID does not match');
+      }
 
       // Get theater
       const theater = await Theater.findById(transaction.theaterId);
@@ -969,120 +1578,20 @@ class PaymentService extends BaseService {
       }
 
       // ✅ FIX: Auto-detect provider if not explicitly set
-      let provider = gatewayConfig.provider || 'none';
-
-      // ✅ AUTO-DETECT: If provider is not set, detect from enabled provider configs
-      if (provider === 'none') {
-        if (gatewayConfig.razorpay?.enabled && gatewayConfig.razorpay?.keyId) {
-          provider = 'razorpay';
-        } else if (gatewayConfig.phonepe?.enabled && gatewayConfig.phonepe?.merchantId) {
-          provider = 'phonepe';
-        } else if (gatewayConfig.paytm?.enabled && gatewayConfig.paytm?.merchantId) {
-          provider = 'paytm';
-        } else if (gatewayConfig.cashfree?.enabled && gatewayConfig.cashfree?.appId) {
-          provider = 'cashfree';
-        }
-      }
-
-      // Verify signature based on provider
-      let isValid = false;
-
-      if (provider === 'razorpay') {
-        if (!gatewayConfig.razorpay || !gatewayConfig.razorpay.keySecret) {
-          throw new Error('Razorpay key secret not configured');
-        }
-
-        // ✅ VALIDATION: Check if signature is present (required for Razorpay)
-        if (!signature) {
-          console.error('❌ [PaymentService] Razorpay signature is missing - payment verification cannot proceed');
-          throw new Error('Payment signature is required for Razorpay verification');
-        }
-
-        if (!razorpayOrderId || !paymentId) {
-          console.error('❌ [PaymentService] Razorpay order ID or payment ID is missing:', {
-            hasOrderId: !!razorpayOrderId,
-            hasPaymentId: !!paymentId
-          });
-          throw new Error('Razorpay order ID and payment ID are required for verification');
-        }
+      // Verify with the provider the payment order was created with
+      const provider = transaction.gateway.provider || this.detectProvider(gatewayConfig);
 
-        console.log('🔍 [PaymentService] Verifying Razorpay signature...', {
-          orderId: razorpayOrderId.substring(0, 20) + '...',
-          paymentId: paymentId.substring(0, 20) + '...',
-          hasSignature: !!signature
-        });
+      // Verify the payment with the gateway
+      const verification = await this.getGatewayProvider(provider).verify(this, transaction, gatewayConfig[provider], verificationData);
+      const isValid = verification.isValid;
+      const gatewayPaymentId = verification.paymentId || paymentId;
+      const gatewayOrderRef = razorpayOrderId || transaction.gateway.orderId;
 
-        isValid = this.verifyRazorpaySignature(
-          razorpayOrderId,
-          paymentId,
-          signature,
-          gatewayConfig.razorpay.keySecret
-        );
-
-        if (!isValid) {
-          console.error('❌ [PaymentService] Razorpay signature verification failed');
-        } else {
-          // ✅ SECURITY: Additional validation - verify payment amount matches order amount
-          try {
-            const RazorpayInstance = new Razorpay({
-              key_id: gatewayConfig.razorpay.keyId,
-              key_secret: gatewayConfig.razorpay.keySecret
-            });
-
-            // Fetch payment details from Razorpay to verify amount
-            const razorpayPayment = await RazorpayInstance.payments.fetch(paymentId);
-
-            if (razorpayPayment && razorpayPayment.order_id === razorpayOrderId) {
-              // Get order amount (in paise for Razorpay)
-              const orderAmount = transaction.amount || 0;
-              const paymentAmount = razorpayPayment.amount || 0;
-
-              // Amounts should match (both in paise)
-              if (Math.abs(orderAmount - paymentAmount) > 1) { // Allow 1 paise difference for rounding
-                console.error('❌ [PaymentService] Payment amount mismatch!', {
-                  orderAmount,
-                  paymentAmount,
-                  orderId: transaction.orderId
-                });
-                throw new Error('Payment amount does not match order amount');
-              }
-
-              // Verify payment status is captured/successful
-              if (razorpayPayment.status !== 'captured' && razorpayPayment.status !== 'authorized') {
-                console.error('❌ [PaymentService] Payment status is not successful:', razorpayPayment.status);
-                throw new Error(`Payment status is ${razorpayPayment.status}, expected captured or authorized`);
-              }
-
-            } else {
-              console.warn('⚠️ [PaymentService] Could not verify payment amount - order ID mismatch in Razorpay response');
-            }
-          } catch (amountError) {
-            console.error('❌ [PaymentService] Amount verification error:', amountError.message);
-            // Don't fail verification if amount check fails - signature is primary security
-            // But log it for investigation
-            console.warn('⚠️ [PaymentService] Continuing with signature-only verification');
-          }
-        }
-      } else if (provider === 'phonepe') {
-        throw new Error('PhonePe signature verification not yet implemented');
-      } else if (provider === 'paytm') {
-        throw new Error('Paytm signature verification not yet implemented');
-      } else if (provider === 'cashfree') {
-        // Cashfree verification - check payment status via API
-        isValid = await this.verifyCashfreePayment(
-          razorpayOrderId || paymentId,
-          gatewayConfig.cashfree,
-          channel
-        );
-      } else {
-        throw new Error(`Unsupported payment provider: ${provider}`);
-      }
-
-      if (!isValid) {
-        // ✅ SECURITY: Log failed verification attempts for monitoring
-        const failureData = {
-          transactionId: transaction._id,
-          orderId: transaction.orderId,
+      if (!isValid) {
+        // ✅ SECURITY: Log failed verification attempts for monitoring
+        const failureData = {
+          transactionId: transaction._id,
+          orderId: transaction.orderId,
           razorpayOrderId,
           paymentId,
           theaterId: transaction.theaterId,
@@ -1112,7 +1621,7 @@ class PaymentService extends BaseService {
         transactionId: transaction._id,
         orderId: transaction.orderId,
         razorpayOrderId,
-        paymentId,
+        paymentId: gatewayPaymentId,
         theaterId: transaction.theaterId,
         amount: transaction.amount?.value || transaction.amount,
         timestamp: new Date().toISOString(),
@@ -1122,7 +1631,7 @@ class PaymentService extends BaseService {
 
       // Update transaction as success
       const updateData = {
-        'gateway.paymentId': paymentId || razorpayOrderId,
+        'gateway.paymentId': gatewayPaymentId || razorpayOrderId || transaction.gateway.orderId,
         completedAt: new Date(),
         verifiedAt: new Date(), // ✅ SECURITY: Track when verification happened
         verificationIp: verificationData.ipAddress || null // ✅ SECURITY: Store IP for audit trail
@@ -1173,8 +1682,8 @@ class PaymentService extends BaseService {
 
         // Store all transaction details
         order.payment.transactionId = transaction._id.toString();
-        order.payment.razorpayPaymentId = paymentId;
-        order.payment.razorpayOrderId = razorpayOrderId;
+        order.payment.razorpayPaymentId = gatewayPaymentId;
+        order.payment.razorpayOrderId = gatewayOrderRef;
         order.payment.razorpaySignature = signature;
 
         // ✅ FIX: Update order status to 'confirmed' when payment is successful
@@ -1197,6 +1706,8 @@ class PaymentService extends BaseService {
                 await CafeStockService.recordStockUsage(transaction.theaterId, item.productId, qty, orderDate);
               }
             }
+            const orderService = require('./OrderService');
+            await orderService.adjustModifierStock(transaction.theaterId, itemsToDeduct, -1);
             order.stockRecorded = true;
             stockRecordedNow = true;
           } catch (stockError) {
@@ -1215,8 +1726,8 @@ class PaymentService extends BaseService {
               'orderList.$.payment.status': 'paid',
               'orderList.$.payment.paidAt': new Date(),
               'orderList.$.payment.transactionId': transaction._id.toString(),
-              'orderList.$.payment.razorpayPaymentId': paymentId,
-              'orderList.$.payment.razorpayOrderId': razorpayOrderId,
+              'orderList.$.payment.razorpayPaymentId': gatewayPaymentId,
+              'orderList.$.payment.razorpayOrderId': gatewayOrderRef,
               'orderList.$.payment.razorpaySignature': signature,
               'orderList.$.status': 'confirmed',
               'orderList.$.updatedAt': new Date()
@@ -1277,8 +1788,8 @@ class PaymentService extends BaseService {
 
           console.log('💾 Stored transaction IDs:', {
             transactionId: transaction._id.toString(),
-            razorpayPaymentId: paymentId,
-            razorpayOrderId: razorpayOrderId
+            razorpayPaymentId: gatewayPaymentId,
+            razorpayOrderId: gatewayOrderRef
           });
         } catch (saveError) {
           console.error('❌ [PaymentService] Error saving order after payment verification:', saveError);
@@ -1321,13 +1832,25 @@ class PaymentService extends BaseService {
           });
 
 
-          // 🖨️ AUTO-PRINT: Print receipt automatically for paid online orders
-          try {
-            const { autoPrintReceipt } = require('../utils/printHelper');
-            await autoPrintReceipt(order, theaterIdForNotification.toString(), 'regular');
-          } catch (printError) {
-            console.warn('⚠️  [PaymentService] Auto-print failed (non-critical):', printError.message);
-            // Silent fail - don't interrupt payment flow
+          // ⏰ Interval / show-start pre-orders print when the release job hands them to the kitchen
+          const orderService = require('./OrderService');
+          if (!orderService.isHeldForRelease(order)) {
+            // 🖨️ AUTO-PRINT: Print receipt automatically for paid online orders
+            try {
+              const { autoPrintReceipt } = require('../utils/printHelper');
+              await autoPrintReceipt(order, theaterIdForNotification.toString(), 'regular');
+            } catch (printError) {
+              console.warn('⚠️  [PaymentService] Auto-print failed (non-critical):', printError.message);
+              // Silent fail - don't interrupt payment flow
+            }
+
+            // 🖨️ Send each preparation station its own ticket
+            try {
+              const StationService = require('./StationService');
+              await StationService.dispatchStationTickets(theaterIdForNotification.toString(), order);
+            } catch (stationError) {
+              console.warn('⚠️  [PaymentService] Station ticket dispatch failed (non-critical):', stationError.message);
+            }
           }
         } else {
         }
@@ -1364,6 +1887,329 @@ class PaymentService extends BaseService {
     }
   }
 
+  /**
+   * Process a payment notification from a redirect-based gateway (PhonePe / Paytm)
+   * Successful payments go through verifyPayment so the order is confirmed exactly like a client-side verification
+   * @param {string} provider - 'phonepe' or 'paytm'
+   * @param {Object} req - Express request (headers + parsed body)
+   * @returns {Object} - { processed, message, gatewayOrderId, orderId }
+   */
+  async handleGatewayWebhook(provider, req) {
+    const gatewayProvider = this.getGatewayProvider(provider);
+    if (!gatewayProvider.parseWebhook) {
+      throw new Error(`Webhooks are not supported for ${provider}`);
+    }
+
+    let event;
+    try {
+      event = gatewayProvider.parseWebhook(req);
+    } catch (parseError) {
+      event = null;
+    }
+    if (!event?.gatewayOrderId) {
+      throw new Error('Invalid webhook payload');
+    }
+
+    const transaction = event.refundId ? null : await PaymentTransaction.findOne({
+      'gateway.provider': provider,
+      'gateway.orderId': event.gatewayOrderId
+    });
+    if (!transaction) {
+      // PhonePe refunds are transactions of their own, notified under the refund's ID
+      return this.handleGatewayRefundWebhook(provider, req, event);
+    }
+
+    await this.verifyGatewayWebhook(provider, req, transaction);
+
+    const result = {
+      gatewayOrderId: event.gatewayOrderId,
+      orderId: transaction.orderId.toString()
+    };
+
+    if (transaction.status === 'success' || this.isRefunded(transaction)) {
+      return { ...result, processed: true, message: 'Payment already recorded' };
+    }
+
+    if (event.status === 'pending') {
+      return { ...result, processed: false, message: 'Webhook received but payment still pending' };
+    }
+
+    if (event.status === 'failed') {
+      await this.updateTransactionStatus(transaction._id, 'failed', {
+        'gateway.paymentId': event.paymentId,
+        error: {
+          code: 'PAYMENT_FAILED',
+          message: `${provider} reported the payment as failed`,
+          timestamp: new Date().toISOString()
+        }
+      });
+      return { ...result, processed: true, message: 'Payment failure recorded' };
+    }
+
+    // Checksum proves the notification came from the gateway; verifyPayment still confirms status and amount with its API
+    await this.verifyPayment({
+      orderId: result.orderId,
+      transactionId: transaction._id.toString(),
+      gatewayOrderId: event.gatewayOrderId,
+      paymentId: event.paymentId,
+      ipAddress: `${provider}-webhook`
+    });
+
+    return { ...result, processed: true, message: 'Webhook processed successfully' };
+  }
+
+  /**
+   * Check a PhonePe / Paytm notification against the checksum key of the transaction's theater
+   */
+  async verifyGatewayWebhook(provider, req, transaction) {
+    const theater = await Theater.findById(transaction.theaterId);
+    const gatewayConfig = theater && this.getGatewayConfig(theater, transaction.gateway.channel);
+    if (!this.getGatewayProvider(provider).verifyWebhook(req, gatewayConfig?.[provider])) {
+      console.error(`❌ [PaymentService] ${provider} webhook checksum verification failed:`, transaction.gateway.orderId);
+      throw new Error('Invalid signature');
+    }
+  }
+
+  /**
+   * Apply a PhonePe / Paytm refund status notification
+   * @param {string} provider - 'phonepe' or 'paytm'
+   * @param {Object} req - Express request
+   * @param {Object} event - Parsed webhook; refundId (Paytm) or gatewayOrderId (PhonePe) is our refund ID
+   * @returns {Object} - { processed, message, gatewayOrderId, orderId }
+   */
+  async handleGatewayRefundWebhook(provider, req, event) {
+    const refundId = event.refundId || event.gatewayOrderId;
+    const transaction = await PaymentTransaction.findOne({
+      'gateway.provider': provider,
+      'refunds.refundId': refundId
+    });
+    if (!transaction) {
+      return { processed: false, message: 'Webhook received but transaction not found', gatewayOrderId: event.gatewayOrderId };
+    }
+
+    await this.verifyGatewayWebhook(provider, req, transaction);
+
+    const result = {
+      gatewayOrderId: event.gatewayOrderId,
+      orderId: transaction.orderId.toString()
+    };
+    if (event.status === 'pending') {
+      return { ...result, processed: false, message: 'Webhook received but refund still pending' };
+    }
+
+    const entry = await this.handleRefundWebhook({
+      gatewayRefundId: event.refundId ? event.gatewayRefundId : event.paymentId,
+      refundId,
+      status: event.status === 'success' ? 'processed' : 'failed',
+      failureReason: `${provider} reported the refund as failed`,
+      payload: req.body
+    });
+
+    return { ...result, processed: !!entry, message: entry ? 'Refund webhook processed' : 'Webhook received but refund not found' };
+  }
+
+  /**
+   * Attach the customer's UTR to a direct UPI payment and queue it for cashier review
+   * A rejected UTR can be corrected and submitted again
+   * @param {Object} data - { transactionId, orderId, utr }
+   * @returns {Object} - Current UPI payment status
+   */
+  async submitUpiUtr({ transactionId, orderId, utr }) {
+    const normalizedUtr = String(utr || '').replace(/\s/g, '');
+    if (!UTR_PATTERN.test(normalizedUtr)) {
+      throw new Error('UTR must be the 12-digit UPI reference number');
+    }
+
+    const transaction = await PaymentTransaction.findById(transactionId);
+    if (!transaction || transaction.gateway?.provider !== 'upi') {
+      throw new Error('UPI payment not found');
+    }
+    if (orderId && transaction.orderId.toString() !== orderId.toString()) {
+      throw new Error('Order ID does not match the transaction');
+    }
+    if (transaction.status === 'success') {
+      return this.formatUpiStatus(transaction);
+    }
+    if (transaction.status !== 'pending') {
+      throw new Error('This UPI payment is no longer open');
+    }
+
+    await this.assertUtrUnused(transaction, normalizedUtr);
+
+    transaction.upi = {
+      utr: normalizedUtr,
+      submittedAt: new Date(),
+      reviewStatus: 'pending_review'
+    };
+    await transaction.save();
+
+    // 🔔 Refresh the cashier's verification queue
+    broadcastPosEvent(transaction.theaterId, {
+      type: 'upi_payment',
+      event: 'utr_submitted',
+      transactionId: transaction._id.toString(),
+      orderId: transaction.orderId.toString()
+    });
+
+    return this.formatUpiStatus(transaction);
+  }
+
+  /**
+   * A UTR can only pay for one order
+   */
+  async assertUtrUnused(transaction, utr) {
+    const duplicate = await PaymentTransaction.findOne({
+      _id: { $ne: transaction._id },
+      theaterId: transaction.theaterId,
+      'gateway.provider': 'upi',
+      'upi.utr': utr,
+      'upi.reviewStatus': { $in: ['pending_review', 'approved'] }
+    }).lean();
+
+    if (duplicate) {
+      throw new Error('This UTR has already been submitted for another order');
+    }
+  }
+
+  formatUpiStatus(transaction) {
+    return {
+      transactionId: transaction._id.toString(),
+      orderId: transaction.orderId.toString(),
+      status: transaction.status,
+      reviewStatus: transaction.status === 'success' ? 'approved' : (transaction.upi?.reviewStatus || 'awaiting_utr'),
+      utr: transaction.upi?.utr || null,
+      rejectionReason: transaction.upi?.rejectionReason || null,
+      amount: transaction.amount?.value || 0
+    };
+  }
+
+  /**
+   * Status of a direct UPI payment (polled by the customer / kiosk while the cashier reviews it)
+   * @param {string} transactionId - PaymentTransaction ID
+   */
+  async getUpiPaymentStatus(transactionId) {
+    const transaction = await PaymentTransaction.findById(transactionId).lean();
+    if (!transaction || transaction.gateway?.provider !== 'upi') {
+      throw new Error('UPI payment not found');
+    }
+    return this.formatUpiStatus(transaction);
+  }
+
+  /**
+   * Direct UPI payments waiting for a cashier (last 24 hours)
+   * Includes payments without a UTR yet so the cashier can confirm them by amount from the bank app
+   * @param {string} theaterId - Theater ID
+   * @returns {Array} - Queue entries, UTR submissions first
+   */
+  async getUpiVerificationQueue(theaterId) {
+    const transactions = await PaymentTransaction.find({
+      theaterId: new mongoose.Types.ObjectId(theaterId),
+      'gateway.provider': 'upi',
+      status: 'pending',
+      createdAt: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) }
+    })
+      .sort({ 'upi.submittedAt': -1, createdAt: -1 })
+      .limit(200)
+      .lean()
+      .maxTimeMS(20000);
+
+    const reviewOrder = { pending_review: 0, rejected: 1, awaiting_utr: 2 };
+    return transactions
+      .map(transaction => ({
+        ...this.formatUpiStatus(transaction),
+        orderNumber: transaction.metadata?.orderNumber || null,
+        customerName: transaction.metadata?.customerName || null,
+        channel: transaction.gateway?.channel,
+        submittedAt: transaction.upi?.submittedAt || null,
+        createdAt: transaction.createdAt
+      }))
+      .sort((a, b) => (reviewOrder[a.reviewStatus] ?? 3) - (reviewOrder[b.reviewStatus] ?? 3));
+  }
+
+  /**
+   * Cashier decision on a direct UPI payment
+   * - approve: records the UTR (the cashier may enter it if the customer did not) and confirms the order
+   *   through verifyPayment, so stock, printing and POS notifications match gateway payments
+   * - reject: the customer sees the reason and can submit a corrected UTR
+   * @param {string} theaterId - Theater ID
+   * @param {string} transactionId - PaymentTransaction ID
+   * @param {Object} review - { action: 'approve'|'reject', utr, reason, ipAddress }
+   * @param {Object} actor - { userId, username } of the cashier
+   * @returns {Object} - Updated UPI payment status
+   */
+  async reviewUpiPayment(theaterId, transactionId, review, actor = {}) {
+    const { action, reason, ipAddress } = review;
+    const transaction = await PaymentTransaction.findOne({
+      _id: new mongoose.Types.ObjectId(transactionId),
+      theaterId: new mongoose.Types.ObjectId(theaterId),
+      'gateway.provider': 'upi'
+    });
+
+    if (!transaction) {
+      throw new Error('UPI payment not found');
+    }
+    if (transaction.status === 'success') {
+      throw new Error('UPI payment is already confirmed');
+    }
+    if (transaction.status !== 'pending') {
+      throw new Error('This UPI payment is no longer open');
+    }
+
+    const reviewedBy = { userId: actor.userId, username: actor.username };
+
+    if (action === 'reject') {
+      if (!reason || !String(reason).trim()) {
+        throw new Error('A reason is required to reject a UPI payment');
+      }
+      transaction.set({
+        'upi.reviewStatus': 'rejected',
+        'upi.rejectionReason': String(reason).trim(),
+        'upi.reviewedBy': reviewedBy,
+        'upi.reviewedAt': new Date()
+      });
+      await transaction.save();
+    } else {
+      const utr = transaction.upi?.utr || String(review.utr || '').replace(/\s/g, '');
+      if (!UTR_PATTERN.test(utr)) {
+        throw new Error('UTR must be the 12-digit UPI reference number');
+      }
+      await this.assertUtrUnused(transaction, utr);
+
+      transaction.set({
+        'upi.utr': utr,
+        'upi.submittedAt': transaction.upi?.submittedAt || new Date(),
+        'upi.reviewStatus': 'approved',
+        'upi.rejectionReason': undefined,
+        'upi.reviewedBy': reviewedBy,
+        'upi.reviewedAt': new Date()
+      });
+      await transaction.save();
+
+      await this.verifyPayment({
+        transactionId: transaction._id.toString(),
+        orderId: transaction.orderId.toString(),
+        ipAddress: ipAddress || 'cashier-review'
+      });
+      transaction.status = 'success';
+    }
+
+    console.log(`✅ [PaymentService] UPI payment ${action === 'reject' ? 'rejected' : 'approved'}:`, {
+      transactionId: transaction._id,
+      orderNumber: transaction.metadata?.orderNumber,
+      utr: transaction.upi?.utr,
+      reviewedBy: actor.username
+    });
+
+    broadcastPosEvent(transaction.theaterId, {
+      type: 'upi_payment',
+      event: action === 'reject' ? 'rejected' : 'approved',
+      transactionId: transaction._id.toString(),
+      orderId: transaction.orderId.toString()
+    });
+
+    return this.formatUpiStatus(transaction);
+  }
+
   /**
    * Get payment transactions
    */
@@ -1491,12 +2337,24 @@ class PaymentService extends BaseService {
               orderId: order._id.toString()
             });
 
-            // Auto-print receipt
-            try {
-              const { autoPrintReceipt } = require('../utils/printHelper');
-              await autoPrintReceipt(order, theaterIdForNotification.toString(), 'regular');
-            } catch (printError) {
-              console.warn('⚠️ [PaymentService] Auto-print failed (non-critical):', printError.message);
+            // Held pre-orders are printed by the release job instead
+            const orderService = require('./OrderService');
+            if (!orderService.isHeldForRelease(order)) {
+              // Auto-print receipt
+              try {
+                const { autoPrintReceipt } = require('../utils/printHelper');
+                await autoPrintReceipt(order, theaterIdForNotification.toString(), 'regular');
+              } catch (printError) {
+                console.warn('⚠️ [PaymentService] Auto-print failed (non-critical):', printError.message);
+              }
+
+              // Station tickets
+              try {
+                const StationService = require('./StationService');
+                await StationService.dispatchStationTickets(theaterIdForNotification.toString(), order);
+              } catch (stationError) {
+                console.warn('⚠️ [PaymentService] Station ticket dispatch failed (non-critical):', stationError.message);
+              }
             }
           }
         } catch (notifyError) {
@@ -1750,6 +2608,645 @@ class PaymentService extends BaseService {
       throw error;
     }
   }
+
+  /**
+   * Whether (part of) a payment has been refunded - its status no longer follows the gateway's payment status
+   * @param {Object} transaction - PaymentTransaction document
+   * @returns {boolean}
+   */
+  isRefunded(transaction) {
+    return REFUNDED_TRANSACTION_STATUSES.includes(transaction?.status);
+  }
+
+  /**
+   * Find the successful gateway payment behind an order
+   * @param {string} orderId - Order ID
+   * @returns {Object|null} - PaymentTransaction document
+   */
+  async getPaidTransaction(orderId) {
+    return PaymentTransaction.findOne({
+      orderId: new mongoose.Types.ObjectId(orderId),
+      status: { $in: ['success', 'partially_refunded', 'refunded'] }
+    }).sort({ createdAt: -1 });
+  }
+
+  /**
+   * Send a refund to the gateway the payment was captured by
+   * @param {Object} theater - Theater document
+   * @param {Object} transaction - PaymentTransaction document
+   * @param {number} amount - Refund amount in rupees
+   * @param {string} refundId - Our refund reference
+   * @param {string} reason - Refund note
+   * @returns {Object} - { gatewayRefundId, status: 'pending'|'processed'|'failed', method: 'gateway'|'manual', raw }
+   */
+  async issueGatewayRefund(theater, transaction, amount, refundId, reason) {
+    const provider = transaction.gateway?.provider;
+
+    // Direct UPI has no gateway to send the money back through - staff pay it back at the counter
+    if (provider === 'upi') {
+      return { gatewayRefundId: null, status: 'processed', method: 'manual', raw: { utr: transaction.upi?.utr || null } };
+    }
+
+    if (PAYMENT_MOCK_MODE) {
+      console.log(`🧪 [PaymentService] Mock refund ${refundId} for ₹${amount}`);
+      return { gatewayRefundId: `mock_${refundId}`, status: 'processed', raw: { mock: true } };
+    }
+
+    const channel = transaction.gateway?.channel === 'kiosk' ? 'kiosk' : 'online';
+    const gatewayConfig = this.getGatewayConfig(theater, channel);
+
+    if (provider === 'razorpay') {
+      const razorpayConfig = gatewayConfig?.razorpay;
+      if (!razorpayConfig?.keyId || !razorpayConfig?.keySecret) {
+        throw new Error('Refund failed: Razorpay is not configured for this theater');
+      }
+      if (!transaction.gateway?.paymentId) {
+        throw new Error('Refund failed: Razorpay payment ID is missing for this transaction');
+      }
+
+      const razorpay = new Razorpay({
+        key_id: razorpayConfig.keyId.trim(),
+        key_secret: razorpayConfig.keySecret.trim()
+      });
+
+      try {
+        const refund = await razorpay.payments.refund(transaction.gateway.paymentId, {
+          amount: Math.round(amount * 100), // Razorpay amounts are in paise
+          receipt: refundId,
+          notes: { reason: reason || '', orderId: String(transaction.orderId) }
+        });
+
+        return {
+          gatewayRefundId: refund.id,
+          status: refund.status === 'processed' ? 'processed' : refund.status === 'failed' ? 'failed' : 'pending',
+          raw: refund
+        };
+      } catch (razorpayError) {
+        console.error('❌ [PaymentService] Razorpay refund failed:', razorpayError.error || razorpayError.message);
+        throw new Error(`Refund failed: ${razorpayError.error?.description || razorpayError.message || 'Unknown error'}`);
+      }
+    }
+
+    if (provider === 'cashfree') {
+      const cashfreeConfig = gatewayConfig?.cashfree;
+      if (!cashfreeConfig?.appId || !cashfreeConfig?.secretKey) {
+        throw new Error('Refund failed: Cashfree is not configured for this theater');
+      }
+
+      const apiVersion = cashfreeConfig.apiVersion || '2022-09-01';
+      const baseUrl = cashfreeConfig.testMode
+        ? 'https://sandbox.cashfree.com/pg'
+        : 'https://api.cashfree.com/pg';
+
+      try {
+        const axios = require('axios');
+        const response = await axios.post(
+          `${baseUrl}/orders/${transaction.gateway.orderId}/refunds`,
+          {
+            refund_amount: amount, // Cashfree expects amount in rupees
+            refund_id: refundId,
+            refund_note: reason || 'Refund'
+          },
+          {
+            headers: {
+              'x-client-id': cashfreeConfig.appId.trim(),
+              'x-client-secret': cashfreeConfig.secretKey.trim(),
+              'x-api-version': apiVersion,
+              'Content-Type': 'application/json'
+            }
+          }
+        );
+
+        const refundStatus = response.data?.refund_status;
+        return {
+          gatewayRefundId: response.data?.cf_refund_id ? String(response.data.cf_refund_id) : refundId,
+          status: refundStatus === 'SUCCESS' ? 'processed' : refundStatus === 'CANCELLED' ? 'failed' : 'pending',
+          raw: response.data
+        };
+      } catch (cashfreeError) {
+        console.error('❌ [PaymentService] Cashfree refund failed:', cashfreeError.response?.data || cashfreeError.message);
+        throw new Error(`Refund failed: ${cashfreeError.response?.data?.message || cashfreeError.message || 'Unknown error'}`);
+      }
+    }
+
+    if (provider === 'phonepe') {
+      const phonepeConfig = gatewayConfig?.phonepe;
+      if (!phonepeConfig?.merchantId || !phonepeConfig?.saltKey) {
+        throw new Error('Refund failed: PhonePe is not configured for this theater');
+      }
+
+      // The refund is a new PhonePe transaction pointing at the payment's merchantTransactionId
+      const payload = {
+        merchantId: phonepeConfig.merchantId.trim(),
+        merchantUserId: `U${transaction.orderId}`,
+        originalTransactionId: transaction.gateway.orderId,
+        merchantTransactionId: refundId,
+        amount: Math.round(amount * 100), // PhonePe amounts are in paise
+        callbackUrl: `${process.env.BACKEND_URL || 'http://localhost:5000'}/api/payments/webhook/phonepe`
+      };
+      const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64');
+      const host = phonepeConfig.testMode ? PHONEPE_HOSTS.test : PHONEPE_HOSTS.live;
+
+      try {
+        const axios = require('axios');
+        const response = await axios.post(
+          `${host}/pg/v1/refund`,
+          { request: encodedPayload },
+          {
+            headers: {
+              'Content-Type': 'application/json',
+              'X-VERIFY': phonepeChecksum(`${encodedPayload}/pg/v1/refund`, phonepeConfig)
+            }
+          }
+        );
+
+        const code = response.data?.code;
+        return {
+          gatewayRefundId: response.data?.data?.transactionId || refundId,
+          status: code === 'PAYMENT_SUCCESS' ? 'processed' : code === 'PAYMENT_PENDING' ? 'pending' : 'failed',
+          raw: response.data
+        };
+      } catch (phonepeError) {
+        console.error('❌ [PaymentService] PhonePe refund failed:', phonepeError.response?.data || phonepeError.message);
+        throw new Error(`Refund failed: ${phonepeError.response?.data?.message || phonepeError.message || 'Unknown error'}`);
+      }
+    }
+
+    if (provider === 'paytm') {
+      const paytmConfig = gatewayConfig?.paytm;
+      if (!paytmConfig?.merchantId || !paytmConfig?.merchantKey) {
+        throw new Error('Refund failed: Paytm is not configured for this theater');
+      }
+      if (!transaction.gateway?.paymentId) {
+        throw new Error('Refund failed: Paytm transaction ID is missing for this transaction');
+      }
+
+      const body = {
+        mid: paytmConfig.merchantId.trim(),
+        txnType: 'REFUND',
+        orderId: transaction.gateway.orderId,
+        txnId: transaction.gateway.paymentId,
+        refId: refundId,
+        refundAmount: amount.toFixed(2) // Paytm expects rupees as a string with two decimals
+      };
+      const host = paytmConfig.testMode ? PAYTM_HOSTS.test : PAYTM_HOSTS.live;
+
+      try {
+        const axios = require('axios');
+        const response = await axios.post(
+          `${host}/refund/apply`,
+          {
+            body,
+            head: { signature: generatePaytmSignature(JSON.stringify(body), paytmConfig.merchantKey.trim()) }
+          },
+          { headers: { 'Content-Type': 'application/json' } }
+        );
+
+        const result = response.data?.body || {};
+        const resultStatus = result.resultInfo?.resultStatus;
+        return {
+          gatewayRefundId: result.refundId || refundId,
+          status: resultStatus === 'TXN_SUCCESS' ? 'processed' : resultStatus === 'TXN_FAILURE' ? 'failed' : 'pending',
+          raw: response.data
+        };
+      } catch (paytmError) {
+        console.error('❌ [PaymentService] Paytm refund failed:', paytmError.response?.data || paytmError.message);
+        throw new Error(`Refund failed: ${paytmError.response?.data?.body?.resultInfo?.resultMsg || paytmError.message || 'Unknown error'}`);
+      }
+    }
+
+    throw new Error(`Refund failed: refunds are not supported for ${provider || 'this'} payments`);
+  }
+
+  /**
+   * Derive the transaction status from its refunded total in the same write, so concurrent refunds
+   * always leave the status matching the amount
+   * @returns {Object} - Updated PaymentTransaction document
+   */
+  async settleRefundStatus(transactionId, paidAmount) {
+    return PaymentTransaction.findOneAndUpdate(
+      { _id: transactionId },
+      [{
+        $set: {
+          status: {
+            $switch: {
+              branches: [
+                { case: { $lte: [{ $ifNull: ['$refundedAmount', 0] }, 0.001] }, then: 'success' },
+                { case: { $gte: ['$refundedAmount', paidAmount - 0.001] }, then: 'refunded' }
+              ],
+              default: 'partially_refunded'
+            }
+          }
+        }
+      }],
+      { new: true }
+    );
+  }
+
+  /**
+   * Mirror the refunded total onto the order's payment block
+   */
+  async syncOrderRefundState(theaterId, orderId, refundedAmount, paidAmount) {
+    const paymentStatus = refundedAmount <= 0
+      ? 'paid'
+      : refundedAmount >= paidAmount ? 'refunded' : 'partially_refunded';
+    const now = new Date();
+
+    await mongoose.connection.db.collection('theaterorders').updateOne(
+      {
+        theater: new mongoose.Types.ObjectId(theaterId),
+        'orderList._id': new mongoose.Types.ObjectId(orderId)
+      },
+      {
+        $set: {
+          'orderList.$.payment.status': paymentStatus,
+          'orderList.$.payment.refundAmount': refundedAmount,
+          'orderList.$.payment.refundedAt': refundedAmount > 0 ? now : null,
+          'orderList.$.updatedAt': now,
+          updatedAt: now
+        }
+      }
+    );
+
+    return paymentStatus;
+  }
+
+  /**
+   * Refund an order fully or partially through its payment gateway
+   * - Full refunds cover whatever is still refundable and give gift card tenders back to their cards;
+   *   orders still with the kitchen are cancelled
+   * - Partial refunds take an amount and/or the items (itemId + quantity) being returned;
+   *   without an amount the items' share of the bill is refunded
+   * - Refunded items go back into cafe stock unless `restock` is false (never twice for cancelled orders)
+   * @param {string} theaterId - Theater ID
+   * @param {string} orderId - Order ID
+   * @param {Object} refundData - { type: 'full'|'partial', amount, taxAmount, items, reason, restock }
+   * @param {Object} actor - { userId, username } of the staff member issuing the refund
+   * @returns {Object} - Refund entry and updated totals
+   */
+  async refundOrder(theaterId, orderId, refundData, actor = {}) {
+    const db = mongoose.connection.db;
+    const theaterOrders = await db.collection('theaterorders').findOne(
+      {
+        theater: new mongoose.Types.ObjectId(theaterId),
+        'orderList._id': new mongoose.Types.ObjectId(orderId)
+      },
+      { projection: { 'orderList.$': 1 } }
+    );
+
+    const order = theaterOrders?.orderList?.[0];
+    if (!order) {
+      throw new Error('Order not found');
+    }
+
+    const transaction = await this.getPaidTransaction(orderId);
+    if (!transaction) {
+      throw new Error('No online payment found for this order');
+    }
+
+    const paidAmount = roundAmount(transaction.amount?.value);
+    const refundable = roundAmount(paidAmount - (transaction.refundedAmount || 0));
+    if (refundable <= 0) {
+      throw new Error('Order is already fully refunded');
+    }
+
+    const isFull = refundData.type === 'full';
+    const orderItems = order.items || order.products || [];
+    const itemKey = (item) => String(item._id || item.productId);
+    const itemShare = (item, quantity) => {
+      const lineTotal = item.total ?? item.totalPrice ?? (item.unitPrice || 0) * (item.quantity || 0);
+      return item.quantity ? (lineTotal / item.quantity) * quantity : 0;
+    };
+    const itemTaxShare = (item, quantity) =>
+      item.quantity ? ((item.taxAmount || 0) / item.quantity) * quantity : 0;
+
+    // Items covered by the refund and how many of each go back on the shelf
+    const refundItems = [];
+    if (isFull) {
+      orderItems.forEach(item => {
+        const remaining = (item.quantity || 0) - (item.refundedQuantity || 0);
+        if (remaining > 0) refundItems.push({ item, quantity: remaining });
+      });
+    } else {
+      for (const requested of refundData.items || []) {
+        const item = orderItems.find(i =>
+          String(i._id || '') === String(requested.itemId) || String(i.productId || '') === String(requested.itemId)
+        );
+        if (!item) {
+          throw new Error('Product not found in order');
+        }
+        const remaining = (item.quantity || 0) - (item.refundedQuantity || 0);
+        // No quantity means whatever is left of the item; an explicit quantity must be a whole count
+        const quantity = requested.quantity === undefined || requested.quantity === null
+          ? remaining
+          : Number(requested.quantity);
+        if (!Number.isInteger(quantity) || quantity <= 0) {
+          throw new Error(remaining > 0
+            ? 'Refund quantity must be at least 1'
+            : `${item.name || item.productName} is already fully refunded`);
+        }
+        if (quantity > remaining) {
+          throw new Error(`Refund quantity exceeds remaining quantity for ${item.name || item.productName}`);
+        }
+        refundItems.push({ item, quantity });
+      }
+    }
+
+    const amount = isFull
+      ? refundable
+      : roundAmount(refundData.amount ?? refundItems.reduce((sum, r) => sum + itemShare(r.item, r.quantity), 0));
+
+    if (!amount || amount <= 0) {
+      throw new Error('Refund amount must be greater than zero');
+    }
+    if (amount > refundable) {
+      throw new Error(`Refund amount exceeds refundable balance of ₹${refundable.toFixed(2)}`);
+    }
+
+    const theater = await Theater.findById(theaterId).maxTimeMS(20000);
+    if (!theater) {
+      throw new Error('Theater not found');
+    }
+
+    const taxAmount = roundAmount(refundData.taxAmount ?? (isFull
+      ? (order.pricing?.taxAmount ?? order.pricing?.tax ?? 0) * (amount / paidAmount)
+      : refundItems.reduce((sum, r) => sum + itemTaxShare(r.item, r.quantity), 0)));
+
+    const refundId = `rf_${order.orderNumber || orderId}_${Date.now()}`;
+    const entry = {
+      refundId,
+      amount,
+      taxAmount: Math.min(taxAmount, amount),
+      type: isFull ? 'full' : 'partial',
+      status: 'pending',
+      reason: refundData.reason || '',
+      items: refundItems.map(({ item, quantity }) => ({
+        itemId: itemKey(item),
+        productId: item.productId,
+        name: item.name || item.productName,
+        quantity,
+        amount: roundAmount(itemShare(item, quantity))
+      })),
+      initiatedBy: { userId: actor.userId, username: actor.username },
+      initiatedAt: new Date()
+    };
+
+    // 🔒 Reserve the amount before calling the gateway so concurrent refunds can never exceed what was paid
+    const reserved = await PaymentTransaction.findOneAndUpdate(
+      {
+        _id: transaction._id,
+        $expr: { $lte: [{ $add: [{ $ifNull: ['$refundedAmount', 0] }, amount] }, paidAmount + 0.001] }
+      },
+      { $inc: { refundedAmount: amount } },
+      { new: true }
+    );
+    if (!reserved) {
+      throw new Error('Refund amount exceeds refundable balance - another refund was issued for this order');
+    }
+
+    // Gives the reservation back and keeps the failed attempt in the ledger
+    const releaseReservation = (failureReason) => PaymentTransaction.updateOne(
+      { _id: transaction._id },
+      {
+        $inc: { refundedAmount: -amount },
+        $push: { refunds: { ...entry, status: 'failed', failureReason } }
+      }
+    );
+
+    let gatewayResult;
+    try {
+      gatewayResult = await this.issueGatewayRefund(theater, transaction, amount, refundId, entry.reason);
+    } catch (error) {
+      await releaseReservation(error.message);
+      throw error;
+    }
+
+    entry.gatewayRefundId = gatewayResult.gatewayRefundId;
+    entry.status = gatewayResult.status;
+    entry.method = gatewayResult.method || 'gateway';
+    entry.gatewayResponse = gatewayResult.raw;
+    if (entry.status === 'processed') {
+      entry.processedAt = new Date();
+    }
+
+    if (entry.status === 'failed') {
+      await releaseReservation('Rejected by payment gateway');
+      throw new Error('Refund failed: rejected by payment gateway');
+    }
+
+    // ✅ Stock: cancelled orders were already restocked; a full refund of a live order cancels it (which restocks)
+    const orderService = require('./OrderService');
+    const cancelOrder = isFull && ACTIVE_ORDER_STATUSES.includes(order.status);
+    const restock = refundData.restock !== false && order.status !== 'cancelled';
+
+    try {
+      if (cancelOrder) {
+        await orderService.updateOrderStatus(theaterId, orderId, 'cancelled');
+        entry.stockRestored = true;
+      } else if (restock) {
+        const orderDate = order.createdAt || new Date();
+        for (const { item, quantity } of refundItems) {
+          await orderService.restoreItemStock(theaterId, item, orderDate, quantity);
+        }
+        entry.stockRestored = refundItems.length > 0;
+      }
+    } catch (stockError) {
+      console.error(`❌ [PaymentService] Error restoring stock for refund ${refundId}:`, stockError);
+      // Money has already gone back to the customer - stock can be adjusted manually
+    }
+
+    // 🎁 A full refund also returns the gift card tenders of a split payment (cancelling the order may already have)
+    if (isFull && (order.payment?.tenders || []).some(tender => tender.method === 'giftcard')) {
+      try {
+        entry.giftCardAmount = await GiftCardService.refundOrder(theaterId, order, Infinity, `Order ${order.orderNumber} refunded`);
+      } catch (giftCardError) {
+        console.error(`❌ [PaymentService] Failed to return gift card balance for refund ${refundId}:`, giftCardError.message);
+      }
+    }
+
+    // The amount is already counted in refundedAmount by the reservation
+    await PaymentTransaction.updateOne(
+      { _id: transaction._id },
+      {
+        $push: { refunds: entry },
+        $set: {
+          refund: {
+            amount,
+            status: entry.status,
+            refundId,
+            initiatedAt: entry.initiatedAt,
+            completedAt: entry.processedAt,
+            reason: entry.reason
+          }
+        }
+      }
+    );
+    const updatedTransaction = await this.settleRefundStatus(transaction._id, paidAmount);
+    const refundedAmount = roundAmount(updatedTransaction.refundedAmount);
+
+    // Track refunded quantities so later refunds / cancellations don't restock them again.
+    // Only the refunded lines are touched, so item changes made meanwhile (e.g. a cancel claim) are kept
+    if (refundItems.length > 0) {
+      const itemsField = order.items ? 'items' : 'products';
+      const $inc = {};
+      const arrayFilters = [{ 'order._id': new mongoose.Types.ObjectId(orderId) }];
+      refundItems.forEach(({ item, quantity }, index) => {
+        $inc[`orderList.$[order].${itemsField}.$[line${index}].refundedQuantity`] = quantity;
+        arrayFilters.push(item._id ? { [`line${index}._id`]: item._id } : { [`line${index}.productId`]: item.productId });
+      });
+      await db.collection('theaterorders').updateOne(
+        { theater: new mongoose.Types.ObjectId(theaterId), 'orderList._id': new mongoose.Types.ObjectId(orderId) },
+        { $inc },
+        { arrayFilters }
+      );
+    }
+
+    const paymentStatus = await this.syncOrderRefundState(theaterId, orderId, refundedAmount, paidAmount);
+
+    broadcastPosEvent(theaterId, {
+      type: 'pos_order',
+      event: 'refunded',
+      orderId: String(orderId),
+      orderNumber: order.orderNumber,
+      amount
+    });
+
+    const savedEntry = updatedTransaction.refunds.find(refund => refund.refundId === refundId).toObject();
+    delete savedEntry.gatewayResponse;
+
+    return {
+      refund: savedEntry,
+      orderNumber: order.orderNumber,
+      paidAmount,
+      refundedAmount,
+      refundableAmount: roundAmount(paidAmount - refundedAmount),
+      paymentStatus
+    };
+  }
+
+  /**
+   * Get the refund ledger of an order
+   * @param {string} orderId - Order ID
+   * @returns {Object} - Paid / refunded totals and refund entries
+   */
+  async getOrderRefunds(orderId) {
+    const transaction = await this.getPaidTransaction(orderId);
+    if (!transaction) {
+      return { refundable: false, paidAmount: 0, refundedAmount: 0, refundableAmount: 0, refunds: [] };
+    }
+
+    const paidAmount = roundAmount(transaction.amount?.value);
+    const refundedAmount = roundAmount(transaction.refundedAmount);
+
+    return {
+      refundable: paidAmount - refundedAmount > 0,
+      provider: transaction.gateway?.provider,
+      paidAmount,
+      refundedAmount,
+      refundableAmount: roundAmount(paidAmount - refundedAmount),
+      refunds: (transaction.refunds || []).map(refund => {
+        const entry = refund.toObject();
+        delete entry.gatewayResponse;
+        return entry;
+      })
+    };
+  }
+
+  /**
+   * Refund ledger shown to the customer who placed the order
+   * The phone number must match the order; staff details are left out
+   * @param {string} theaterId - Theater ID
+   * @param {string} orderId - Order ID
+   * @param {string} phone - Customer phone number
+   * @returns {Object} - Paid / refunded totals and refund entries
+   */
+  async getCustomerOrderRefunds(theaterId, orderId, phone) {
+    const theaterOrders = await mongoose.connection.db.collection('theaterorders').findOne(
+      {
+        theater: new mongoose.Types.ObjectId(theaterId),
+        'orderList._id': new mongoose.Types.ObjectId(orderId)
+      },
+      { projection: { 'orderList.$': 1 } }
+    );
+
+    const order = theaterOrders?.orderList?.[0];
+    const orderPhone = order?.customerInfo?.phoneNumber || order?.customerInfo?.phone || order?.customerPhone;
+    const digits = (value) => String(value || '').replace(/\D/g, '').slice(-10);
+    if (!order || !orderPhone || digits(orderPhone) !== digits(phone)) {
+      throw new Error('Order not found');
+    }
+
+    const ledger = await this.getOrderRefunds(orderId);
+    return {
+      paidAmount: ledger.paidAmount,
+      refundedAmount: ledger.refundedAmount,
+      refunds: ledger.refunds
+        .filter(refund => refund.status !== 'failed')
+        .map(({ refundId, amount, taxAmount, type, status, method, reason, items, initiatedAt, processedAt }) => ({
+          refundId, amount, taxAmount, type, status, method, reason, initiatedAt, processedAt,
+          items: (items || []).map(({ name, quantity, amount: itemAmount }) => ({ name, quantity, amount: itemAmount }))
+        }))
+    };
+  }
+
+  /**
+   * Apply a refund status update pushed by a gateway webhook
+   * Failed refunds give the amount back to the refundable balance
+   * @param {Object} update - { gatewayRefundId, refundId, status: 'processed'|'failed'|'pending', failureReason, payload }
+   * @returns {Object|null} - Updated refund entry, null when the refund is unknown
+   */
+  async handleRefundWebhook({ gatewayRefundId, refundId, status, failureReason, payload }) {
+    const conditions = [];
+    if (gatewayRefundId) conditions.push({ 'refunds.gatewayRefundId': String(gatewayRefundId) });
+    if (refundId) conditions.push({ 'refunds.refundId': String(refundId) });
+    if (conditions.length === 0) return null;
+
+    const transaction = await PaymentTransaction.findOne({ $or: conditions });
+    if (!transaction) return null;
+
+    const entry = transaction.refunds.find(refund =>
+      (gatewayRefundId && refund.gatewayRefundId === String(gatewayRefundId)) ||
+      (refundId && refund.refundId === String(refundId))
+    );
+
+    // Duplicate / out-of-order deliveries: a settled refund does not change again
+    if (!entry || entry.status === status || entry.status !== 'pending') {
+      return entry || null;
+    }
+
+    entry.status = status;
+    entry.gatewayResponse = payload;
+    if (status === 'processed') {
+      entry.processedAt = new Date();
+    }
+
+    const paidAmount = roundAmount(transaction.amount?.value);
+    if (status === 'failed') {
+      entry.failureReason = failureReason || 'Refund failed at payment gateway';
+    }
+
+    if (transaction.refund?.refundId === entry.refundId) {
+      transaction.refund.status = status;
+      transaction.refund.completedAt = entry.processedAt;
+    }
+
+    await transaction.save();
+
+    if (status === 'failed') {
+      // Atomic, like the reservation in refundOrder - a refund in flight may be holding part of the balance
+      await PaymentTransaction.updateOne({ _id: transaction._id }, { $inc: { refundedAmount: -entry.amount } });
+      const updatedTransaction = await this.settleRefundStatus(transaction._id, paidAmount);
+      await this.syncOrderRefundState(
+        String(transaction.theaterId),
+        String(transaction.orderId),
+        roundAmount(updatedTransaction.refundedAmount),
+        paidAmount
+      );
+      console.warn(`⚠️ [PaymentService] Refund ${entry.refundId} failed at gateway: ${entry.failureReason}`);
+    }
+
+    return entry;
+  }
 }
 
 module.exports = new PaymentService();
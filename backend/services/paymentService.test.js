@@ -0,0 +1,412 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Theater = require('../models/Theater');
+const PaymentTransaction = require('../models/PaymentTransaction');
+const GiftCardService = require('./GiftCardService');
+const { generateSignature, verifySignature } = require('../utils/paytmChecksum');
+
+// POS screens and cloud printers are not part of these tests
+jest.mock('../routes/posStream', () => ({ broadcastPosEvent: jest.fn() }));
+
+const paymentService = require('./paymentService');
+
+describe('gateway webhooks', () => {
+  describe('PhonePe', () => {
+    const phonepe = paymentService.getGatewayProvider('phonepe');
+    const config = { merchantId: 'PHONEPEUAT', saltKey: '099eb0cd-02cf-4e2a-8aca-3e6c6aff0399', saltIndex: '1' };
+    const response = Buffer.from(JSON.stringify({
+      code: 'PAYMENT_SUCCESS',
+      data: { merchantTransactionId: 'TXN-1001', transactionId: 'T2310161234', amount: 44100 }
+    })).toString('base64');
+    // X-VERIFY: sha256(base64 response + salt key) + '###' + salt index
+    const xVerify = `${crypto.createHash('sha256').update(response + config.saltKey).digest('hex')}###1`;
+
+    it('accepts a callback signed with the theater salt key', () => {
+      expect(phonepe.verifyWebhook({ body: { response }, headers: { 'x-verify': xVerify } }, config)).toBe(true);
+    });
+
+    it('rejects a changed body, another salt key or a missing signature', () => {
+      const changed = Buffer.from(JSON.stringify({ code: 'PAYMENT_SUCCESS', data: { amount: 100 } })).toString('base64');
+      expect(phonepe.verifyWebhook({ body: { response: changed }, headers: { 'x-verify': xVerify } }, config)).toBe(false);
+      expect(phonepe.verifyWebhook({ body: { response }, headers: { 'x-verify': xVerify } }, { ...config, saltKey: 'other-salt' })).toBe(false);
+      expect(phonepe.verifyWebhook({ body: { response }, headers: {} }, config)).toBe(false);
+      expect(phonepe.verifyWebhook({ body: { response }, headers: { 'x-verify': xVerify } }, { ...config, saltKey: '' })).toBe(false);
+    });
+
+    it('reads the payment from the base64 response in rupees', () => {
+      expect(phonepe.parseWebhook({ body: { response } })).toEqual({
+        gatewayOrderId: 'TXN-1001',
+        paymentId: 'T2310161234',
+        status: 'success',
+        amount: 441
+      });
+    });
+  });
+
+  describe('Paytm', () => {
+    const paytm = paymentService.getGatewayProvider('paytm');
+    const config = { merchantId: 'THEATER01', merchantKey: 'abcd1234EFGH5678' };
+    const body = { MID: 'THEATER01', ORDERID: 'TXN-1001', TXNID: '2023101611', TXNAMOUNT: '441.00', STATUS: 'TXN_SUCCESS' };
+    body.CHECKSUMHASH = generateSignature(body, config.merchantKey);
+
+    it('accepts a callback for the theater merchant signed with its key', () => {
+      expect(paytm.verifyWebhook({ body }, config)).toBe(true);
+      expect(paytm.parseWebhook({ body })).toEqual({ gatewayOrderId: 'TXN-1001', paymentId: '2023101611', status: 'success', amount: 441 });
+    });
+
+    it('rejects a callback for another merchant or with a changed amount', () => {
+      expect(paytm.verifyWebhook({ body }, { ...config, merchantId: 'THEATER02' })).toBe(false);
+      expect(paytm.verifyWebhook({ body: { ...body, TXNAMOUNT: '1.00' } }, config)).toBe(false);
+    });
+  });
+});
+
+describe('paymentService.refundOrder', () => {
+  const theaterId = '64b0000000000000000000aa';
+  const orderId = '64b000000000000000000001';
+  const originalDb = mongoose.connection.db;
+  let order;
+  let transaction;
+  let pushedEntry;
+  let lineUpdate;
+
+  beforeEach(() => {
+    lineUpdate = null;
+    order = {
+      _id: new mongoose.Types.ObjectId(orderId),
+      orderNumber: 'ORD-1001',
+      status: 'completed',
+      items: [
+        { _id: 'item1', productId: 'p1', name: 'Popcorn', quantity: 3, unitPrice: 100, total: 300, taxAmount: 15 },
+        { _id: 'item2', productId: 'p2', name: 'Cola', quantity: 2, unitPrice: 60, total: 120, taxAmount: 6 }
+      ],
+      pricing: { total: 441, taxAmount: 21 }
+    };
+    transaction = { _id: 'txn1', amount: { value: 441 }, refundedAmount: 0 };
+
+    mongoose.connection.db = {
+      collection: () => ({
+        findOne: async () => ({ orderList: [order] }),
+        updateOne: async (filter, update, options) => {
+          if (update.$inc) lineUpdate = { $inc: update.$inc, arrayFilters: options.arrayFilters };
+          return {};
+        }
+      })
+    };
+    jest.spyOn(paymentService, 'getPaidTransaction').mockImplementation(async () => transaction);
+    jest.spyOn(Theater, 'findById').mockReturnValue({ maxTimeMS: async () => ({ _id: theaterId }) });
+    jest.spyOn(paymentService, 'issueGatewayRefund')
+      .mockImplementation(async () => ({ gatewayRefundId: 'rfnd_1', status: 'processed', raw: {} }));
+    // The reservation only passes while the refunds stay within what was paid
+    jest.spyOn(PaymentTransaction, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      const after = transaction.refundedAmount + update.$inc.refundedAmount;
+      if (after > transaction.amount.value + 0.001) return null;
+      transaction.refundedAmount = after;
+      return transaction;
+    });
+    jest.spyOn(PaymentTransaction, 'updateOne').mockImplementation(async (filter, update) => {
+      if (update.$push?.refunds) pushedEntry = update.$push.refunds;
+      return {};
+    });
+    jest.spyOn(paymentService, 'settleRefundStatus').mockImplementation(async () => ({
+      refundedAmount: transaction.refundedAmount,
+      refunds: [{ ...pushedEntry, toObject: () => ({ ...pushedEntry }) }]
+    }));
+  });
+
+  afterEach(() => {
+    mongoose.connection.db = originalDb;
+    jest.restoreAllMocks();
+  });
+
+  it('refunds the returned items share of the bill and their tax', async () => {
+    const result = await paymentService.refundOrder(theaterId, orderId, {
+      type: 'partial',
+      items: [{ itemId: 'item1', quantity: 2 }],
+      restock: false
+    });
+
+    expect(paymentService.issueGatewayRefund).toHaveBeenCalledWith(expect.anything(), transaction, 200, expect.any(String), '');
+    expect(result.refund).toMatchObject({ amount: 200, taxAmount: 10, type: 'partial' });
+    expect(result.refund.items).toEqual([expect.objectContaining({ itemId: 'item1', quantity: 2, amount: 200 })]);
+    expect(result).toMatchObject({ paidAmount: 441, refundedAmount: 200, refundableAmount: 241, paymentStatus: 'partially_refunded' });
+    // Only the refunded line is updated, on the field the order keeps its items in
+    expect(lineUpdate).toEqual({
+      $inc: { 'orderList.$[order].items.$[line0].refundedQuantity': 2 },
+      arrayFilters: [{ 'order._id': order._id }, { 'line0._id': 'item1' }]
+    });
+  });
+
+  it('refunds what is left of an item when no quantity is given', async () => {
+    order.items[0].refundedQuantity = 2;
+    transaction.refundedAmount = 200;
+
+    const result = await paymentService.refundOrder(theaterId, orderId, { type: 'partial', items: [{ itemId: 'item1' }], restock: false });
+
+    expect(result.refund).toMatchObject({ amount: 100, taxAmount: 5 });
+    expect(lineUpdate.$inc).toEqual({ 'orderList.$[order].items.$[line0].refundedQuantity': 1 });
+  });
+
+  it('refunds the balance on a full refund with the tax pro rata', async () => {
+    transaction.refundedAmount = 200;
+
+    const result = await paymentService.refundOrder(theaterId, orderId, { type: 'full', restock: false });
+
+    // ₹241 of ₹441 carries 241/441 of the ₹21 tax
+    expect(result.refund).toMatchObject({ amount: 241, taxAmount: 11.48, type: 'full' });
+    expect(result).toMatchObject({ refundedAmount: 441, refundableAmount: 0, paymentStatus: 'refunded' });
+  });
+
+  it('counts the refunded quantity on the products array of orders that keep their lines there', async () => {
+    order.products = order.items;
+    delete order.items;
+
+    await paymentService.refundOrder(theaterId, orderId, { type: 'full', restock: false });
+
+    expect(lineUpdate).toEqual({
+      $inc: {
+        'orderList.$[order].products.$[line0].refundedQuantity': 3,
+        'orderList.$[order].products.$[line1].refundedQuantity': 2
+      },
+      arrayFilters: [{ 'order._id': order._id }, { 'line0._id': 'item1' }, { 'line1._id': 'item2' }]
+    });
+  });
+
+  it('gives the gift card tender of a split payment back on a full refund', async () => {
+    order.payment = { method: 'split', tenders: [{ method: 'giftcard', amount: 141, reference: 'K7QM4TZP9WRA' }, { method: 'upi', amount: 300 }] };
+    transaction.amount.value = 300;
+    jest.spyOn(GiftCardService, 'refundOrder').mockResolvedValue(141);
+
+    const result = await paymentService.refundOrder(theaterId, orderId, { type: 'full', restock: false });
+
+    expect(GiftCardService.refundOrder).toHaveBeenCalledWith(theaterId, order, Infinity, 'Order ORD-1001 refunded');
+    expect(result.refund).toMatchObject({ amount: 300, giftCardAmount: 141 });
+  });
+
+  it('leaves gift card tenders alone on a partial refund', async () => {
+    order.payment = { method: 'split', tenders: [{ method: 'giftcard', amount: 141, reference: 'K7QM4TZP9WRA' }, { method: 'upi', amount: 300 }] };
+    jest.spyOn(GiftCardService, 'refundOrder');
+
+    await paymentService.refundOrder(theaterId, orderId, { type: 'partial', amount: 50, restock: false });
+
+    expect(GiftCardService.refundOrder).not.toHaveBeenCalled();
+  });
+
+  it('rejects quantities that are not whole, more than is left, or over the refundable balance', async () => {
+    await expect(paymentService.refundOrder(theaterId, orderId, { type: 'partial', items: [{ itemId: 'item1', quantity: 1.5 }] }))
+      .rejects.toThrow('Refund quantity must be at least 1');
+    await expect(paymentService.refundOrder(theaterId, orderId, { type: 'partial', items: [{ itemId: 'item2', quantity: 3 }] }))
+      .rejects.toThrow('Refund quantity exceeds remaining quantity for Cola');
+
+    transaction.refundedAmount = 400;
+    await expect(paymentService.refundOrder(theaterId, orderId, { type: 'partial', items: [{ itemId: 'item2', quantity: 1 }] }))
+      .rejects.toThrow('Refund amount exceeds refundable balance of ₹41.00');
+    expect(paymentService.issueGatewayRefund).not.toHaveBeenCalled();
+  });
+
+  it('gives the reservation back when the gateway refund fails', async () => {
+    paymentService.issueGatewayRefund.mockRejectedValueOnce(new Error('Refund failed: gateway timeout'));
+
+    await expect(paymentService.refundOrder(theaterId, orderId, { type: 'partial', amount: 50, restock: false }))
+      .rejects.toThrow('Refund failed: gateway timeout');
+    expect(PaymentTransaction.updateOne).toHaveBeenCalledWith(
+      { _id: 'txn1' },
+      expect.objectContaining({ $inc: { refundedAmount: -50 } })
+    );
+  });
+});
+
+describe('paymentService.issueGatewayRefund', () => {
+  const axios = require('axios');
+  const transaction = {
+    orderId: '64b000000000000000000001',
+    gateway: { channel: 'online', orderId: 'T64b000000000000000000001abc', paymentId: '2023101611' }
+  };
+  const theaterWith = (config) => ({ paymentGateway: { online: config } });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('refunds a PhonePe payment as a signed refund transaction in paise', async () => {
+    const phonepe = { merchantId: 'PHONEPEUAT', saltKey: 'salt-key', saltIndex: '2', testMode: true };
+    jest.spyOn(axios, 'post').mockResolvedValue({
+      data: { success: true, code: 'PAYMENT_PENDING', data: { transactionId: 'PPR123' } }
+    });
+
+    const result = await paymentService.issueGatewayRefund(
+      theaterWith({ phonepe }), { ...transaction, gateway: { ...transaction.gateway, provider: 'phonepe' } }, 120.5, 'rf_ORD-1001_1', 'Cold popcorn'
+    );
+
+    const [url, body, options] = axios.post.mock.calls[0];
+    const payload = JSON.parse(Buffer.from(body.request, 'base64').toString('utf8'));
+    expect(url).toBe('https://api-preprod.phonepe.com/apis/pg-sandbox/pg/v1/refund');
+    expect(payload).toMatchObject({
+      merchantId: 'PHONEPEUAT',
+      originalTransactionId: 'T64b000000000000000000001abc',
+      merchantTransactionId: 'rf_ORD-1001_1',
+      amount: 12050
+    });
+    expect(options.headers['X-VERIFY']).toBe(
+      `${crypto.createHash('sha256').update(`${body.request}/pg/v1/refund` + 'salt-key').digest('hex')}###2`
+    );
+    expect(result).toMatchObject({ gatewayRefundId: 'PPR123', status: 'pending' });
+  });
+
+  it('refunds a Paytm payment against its order and transaction ID with a signed body', async () => {
+    const paytm = { merchantId: 'THEATER01', merchantKey: 'abcd1234EFGH5678' };
+    jest.spyOn(axios, 'post').mockResolvedValue({
+      data: { body: { resultInfo: { resultStatus: 'PENDING' }, refundId: 'PTMR456' } }
+    });
+
+    const result = await paymentService.issueGatewayRefund(
+      theaterWith({ paytm }), { ...transaction, gateway: { ...transaction.gateway, provider: 'paytm' } }, 120.5, 'rf_ORD-1001_1', ''
+    );
+
+    const [url, { body, head }] = axios.post.mock.calls[0];
+    expect(url).toBe('https://securegw.paytm.in/refund/apply');
+    expect(body).toEqual({
+      mid: 'THEATER01',
+      txnType: 'REFUND',
+      orderId: 'T64b000000000000000000001abc',
+      txnId: '2023101611',
+      refId: 'rf_ORD-1001_1',
+      refundAmount: '120.50'
+    });
+    expect(verifySignature(JSON.stringify(body), paytm.merchantKey, head.signature)).toBe(true);
+    expect(result).toMatchObject({ gatewayRefundId: 'PTMR456', status: 'pending' });
+  });
+
+  it('records a direct UPI refund for staff to pay back instead of failing', async () => {
+    jest.spyOn(axios, 'post');
+
+    const result = await paymentService.issueGatewayRefund(
+      theaterWith({}), { ...transaction, gateway: { ...transaction.gateway, provider: 'upi' }, upi: { utr: '401234567890' } }, 60, 'rf_ORD-1001_3', ''
+    );
+
+    expect(result).toEqual({ gatewayRefundId: null, status: 'processed', method: 'manual', raw: { utr: '401234567890' } });
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+
+  it('reports a refund the gateway turned down as failed', async () => {
+    const paytm = { merchantId: 'THEATER01', merchantKey: 'abcd1234EFGH5678' };
+    jest.spyOn(axios, 'post').mockResolvedValue({ data: { body: { resultInfo: { resultStatus: 'TXN_FAILURE' } } } });
+
+    const result = await paymentService.issueGatewayRefund(
+      theaterWith({ paytm }), { ...transaction, gateway: { ...transaction.gateway, provider: 'paytm' } }, 50, 'rf_ORD-1001_2', ''
+    );
+    expect(result.status).toBe('failed');
+  });
+});
+
+describe('PhonePe and Paytm refund notifications', () => {
+  const config = { merchantId: 'THEATER01', merchantKey: 'abcd1234EFGH5678', saltKey: 'salt-key', saltIndex: '1' };
+  const transaction = {
+    _id: 'txn1',
+    theaterId: '64b0000000000000000000aa',
+    orderId: new mongoose.Types.ObjectId('64b000000000000000000001'),
+    gateway: { provider: 'paytm', channel: 'online', orderId: 'ORD64b0001' }
+  };
+
+  beforeEach(() => {
+    jest.spyOn(Theater, 'findById').mockResolvedValue({ paymentGateway: { online: { paytm: config, phonepe: config } } });
+    jest.spyOn(paymentService, 'handleRefundWebhook').mockImplementation(async (update) => ({ ...update }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('settles a Paytm refund by its REFID instead of treating it as a payment', async () => {
+    jest.spyOn(PaymentTransaction, 'findOne').mockResolvedValue(transaction);
+    const body = { MID: 'THEATER01', ORDERID: 'ORD64b0001', TXNID: '2023101611', REFID: 'rf_ORD-1001_1', REFUNDID: 'PTMR456', STATUS: 'TXN_SUCCESS' };
+    body.CHECKSUMHASH = generateSignature(body, config.merchantKey);
+
+    const result = await paymentService.handleGatewayWebhook('paytm', { body, headers: {} });
+
+    expect(PaymentTransaction.findOne).toHaveBeenCalledTimes(1);
+    expect(PaymentTransaction.findOne).toHaveBeenCalledWith({ 'gateway.provider': 'paytm', 'refunds.refundId': 'rf_ORD-1001_1' });
+    expect(paymentService.handleRefundWebhook).toHaveBeenCalledWith(expect.objectContaining({
+      gatewayRefundId: 'PTMR456',
+      refundId: 'rf_ORD-1001_1',
+      status: 'processed'
+    }));
+    expect(result).toMatchObject({ processed: true, message: 'Refund webhook processed' });
+  });
+
+  it('finds a PhonePe refund by the merchantTransactionId it was sent with', async () => {
+    jest.spyOn(PaymentTransaction, 'findOne')
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce({ ...transaction, gateway: { ...transaction.gateway, provider: 'phonepe' } });
+    const response = Buffer.from(JSON.stringify({
+      code: 'PAYMENT_ERROR',
+      data: { merchantTransactionId: 'rf_ORD-1001_1', transactionId: 'PPR123', amount: 12050 }
+    })).toString('base64');
+    const xVerify = `${crypto.createHash('sha256').update(response + config.saltKey).digest('hex')}###1`;
+
+    await paymentService.handleGatewayWebhook('phonepe', { body: { response }, headers: { 'x-verify': xVerify } });
+
+    expect(paymentService.handleRefundWebhook).toHaveBeenCalledWith(expect.objectContaining({
+      gatewayRefundId: 'PPR123',
+      refundId: 'rf_ORD-1001_1',
+      status: 'failed'
+    }));
+  });
+
+  it('rejects a refund notification with a bad checksum', async () => {
+    jest.spyOn(PaymentTransaction, 'findOne').mockResolvedValue(transaction);
+    const body = { MID: 'THEATER01', ORDERID: 'ORD64b0001', REFID: 'rf_ORD-1001_1', STATUS: 'TXN_SUCCESS', CHECKSUMHASH: 'forged' };
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(paymentService.handleGatewayWebhook('paytm', { body, headers: {} })).rejects.toThrow('Invalid signature');
+    expect(paymentService.handleRefundWebhook).not.toHaveBeenCalled();
+  });
+});
+
+describe('refunded payments', () => {
+  const transaction = {
+    _id: 'txn1',
+    status: 'partially_refunded',
+    theaterId: '64b0000000000000000000aa',
+    orderId: new mongoose.Types.ObjectId('64b000000000000000000001'),
+    createdAt: new Date(),
+    gateway: { provider: 'paytm', channel: 'online', orderId: 'ORD64b0001' }
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(paymentService, 'updateTransactionStatus');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('are not marked paid again by a replayed verification', async () => {
+    jest.spyOn(PaymentTransaction, 'findById').mockResolvedValue(transaction);
+    jest.spyOn(Theater, 'findById');
+
+    const result = await paymentService.verifyPayment({ transactionId: 'txn1', orderId: '64b000000000000000000001' });
+
+    expect(result).toMatchObject({ success: true, message: 'Payment already verified and refunded', order: null });
+    expect(Theater.findById).not.toHaveBeenCalled();
+    expect(paymentService.updateTransactionStatus).not.toHaveBeenCalled();
+  });
+
+  it('are not marked paid or failed again by a late gateway notification', async () => {
+    const config = { merchantId: 'THEATER01', merchantKey: 'abcd1234EFGH5678' };
+    jest.spyOn(PaymentTransaction, 'findOne').mockResolvedValue({ ...transaction, status: 'refunded' });
+    jest.spyOn(Theater, 'findById').mockResolvedValue({ paymentGateway: { online: { paytm: config } } });
+    jest.spyOn(paymentService, 'verifyPayment');
+
+    for (const STATUS of ['TXN_SUCCESS', 'TXN_FAILURE']) {
+      const body = { MID: 'THEATER01', ORDERID: 'ORD64b0001', TXNID: '2023101611', TXNAMOUNT: '441.00', STATUS };
+      body.CHECKSUMHASH = generateSignature(body, config.merchantKey);
+
+      await expect(paymentService.handleGatewayWebhook('paytm', { body, headers: {} }))
+        .resolves.toMatchObject({ processed: true, message: 'Payment already recorded' });
+    }
+    expect(paymentService.verifyPayment).not.toHaveBeenCalled();
+    expect(paymentService.updateTransactionStatus).not.toHaveBeenCalled();
+  });
+});
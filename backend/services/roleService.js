@@ -286,6 +286,58 @@ async function createDefaultKioskRole(theaterId, theaterName) {
   }
 }
 
+/**
+ * Get default permissions for Seat Runner role
+ * Runners only see the seat delivery queue
+ */
+function getDefaultRunnerPermissions() {
+  return [
+    { page: 'SeatDelivery', pageName: 'Seat Delivery', hasAccess: true, route: '/seat-delivery/:theaterId' }
+  ];
+}
+
+/**
+ * Create default Seat Runner role for a theater
+ * Staff with this role claim ready QR seat orders and mark them delivered
+ * 
+ * @param {ObjectId} theaterId - The theater's MongoDB ObjectId
+ * @param {String} theaterName - The theater's name (for role description)
+ * @returns {Promise<Object>} The created role document
+ */
+async function createDefaultRunnerRole(theaterId, theaterName) {
+  try {
+    
+    let rolesDoc = await RoleArray.findOrCreateByTheater(theaterId);
+    
+    const existingRunnerRole = rolesDoc.roleList.find(role => 
+      role.name === 'Seat Runner' && role.isDefault === true
+    );
+    
+    if (existingRunnerRole) {
+      return existingRunnerRole;
+    }
+    
+    const roleData = {
+      name: 'Seat Runner',
+      description: `Default seat delivery role for ${theaterName}. Runners claim ready screen orders and confirm delivery to the seat. Cannot be deleted or edited.`,
+      permissions: getDefaultRunnerPermissions(),
+      isGlobal: false,
+      priority: 20,
+      isActive: true,
+      isDefault: true,
+      canDelete: false,
+      canEdit: false
+    };
+    
+    const savedRole = await rolesDoc.addRole(roleData);
+    return savedRole;
+    
+  } catch (error) {
+    console.error('❌ [RoleService] Error creating default Seat Runner role:', error);
+    throw error;
+  }
+}
+
 /**
  * Check if a role is protected (default role) - ARRAY-BASED STRUCTURE
  * 
@@ -494,13 +546,13 @@ async function validateRoleUpdate(roleId, updateData) {
 }
 
 /**
- * Create both default roles for a theater (Theater Admin + Kiosk Screen)
+ * Create the default roles for a theater (Theater Admin + Kiosk Screen + Seat Runner)
  * This function ensures both roles are created in a single transaction
  * to avoid race conditions
  * 
  * @param {ObjectId} theaterId - The theater's MongoDB ObjectId
  * @param {String} theaterName - The theater's name (for role descriptions)
- * @returns {Promise<Object>} Object with both created roles { adminRole, kioskRole }
+ * @returns {Promise<Object>} Object with the created roles { adminRole, kioskRole, runnerRole }
  */
 async function createDefaultRoles(theaterId, theaterName) {
   try {
@@ -508,7 +560,7 @@ async function createDefaultRoles(theaterId, theaterName) {
     // Find or create roles document for theater
     let rolesDoc = await RoleArray.findOrCreateByTheater(theaterId);
     
-    const results = { adminRole: null, kioskRole: null };
+    const results = { adminRole: null, kioskRole: null, runnerRole: null };
     
     // 1. Create Theater Admin role if it doesn't exist
     const existingAdminRole = rolesDoc.roleList.find(role => 
@@ -561,6 +613,9 @@ async function createDefaultRoles(theaterId, theaterName) {
       results.kioskRole = await rolesDoc.addRole(kioskRoleData);
     }
     
+    // 3. Create Seat Runner role if it doesn't exist
+    results.runnerRole = await createDefaultRunnerRole(theaterId, theaterName);
+    
     return results;
     
   } catch (error) {
@@ -573,10 +628,12 @@ async function createDefaultRoles(theaterId, theaterName) {
 module.exports = {
   createDefaultTheaterAdminRole,
   createDefaultKioskRole,
+  createDefaultRunnerRole,
   createDefaultRoles,
   getDefaultTheaterAdminPermissions,
   getBasicTheaterAdminPermissions,
   getDefaultKioskPermissions,
+  getDefaultRunnerPermissions,
   isProtectedRole,
   canDeleteRole,
   canEditRole,
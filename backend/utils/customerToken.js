@@ -0,0 +1,43 @@
+/**
+ * Customer Token Utility
+ * Customers have no account - their identity is the phone number they verified by OTP.
+ * After a successful OTP check they get a signed token carrying that phone, which the
+ * loyalty wallet and points redemption require
+ */
+const jwt = require('jsonwebtoken');
+const { getCustomerJWTSecret } = require('./jwtHelper');
+
+const CUSTOMER_TOKEN_TTL = '30d';
+const CUSTOMER_TOKEN_AUDIENCE = 'customer';
+
+// Phones are stored with and without +91 - compare on the last 10 digits
+const normalizePhone = (phone) => String(phone || '').replace(/\D/g, '').slice(-10);
+
+/**
+ * Sign a token for an OTP-verified phone number
+ */
+const issueCustomerToken = (phone) => jwt.sign(
+  { type: 'customer', phone: normalizePhone(phone) },
+  getCustomerJWTSecret(),
+  { expiresIn: CUSTOMER_TOKEN_TTL, audience: CUSTOMER_TOKEN_AUDIENCE }
+);
+
+/**
+ * Read the verified phone number from a customer token
+ * @returns {string|null} 10-digit phone, or null for missing / invalid / staff tokens
+ */
+const verifyCustomerToken = (token) => {
+  if (!token) return null;
+  try {
+    const decoded = jwt.verify(String(token).trim(), getCustomerJWTSecret(), { audience: CUSTOMER_TOKEN_AUDIENCE });
+    return decoded.type === 'customer' && decoded.phone ? decoded.phone : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  normalizePhone,
+  issueCustomerToken,
+  verifyCustomerToken
+};
@@ -0,0 +1,31 @@
+const jwt = require('jsonwebtoken');
+const { getJWTSecret } = require('./jwtHelper');
+const { issueCustomerToken, verifyCustomerToken, normalizePhone } = require('./customerToken');
+
+describe('customer tokens', () => {
+  const originalSecret = process.env.JWT_SECRET;
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = 'staff-secret-for-tests-0123456789abcdef';
+  });
+
+  afterAll(() => {
+    process.env.JWT_SECRET = originalSecret;
+  });
+
+  it('carries the verified phone as its last 10 digits', () => {
+    expect(normalizePhone('+91 98765-43210')).toBe('9876543210');
+    expect(verifyCustomerToken(issueCustomerToken('+91 98765 43210'))).toBe('9876543210');
+  });
+
+  it('is not signed with the staff secret', () => {
+    const token = issueCustomerToken('9876543210');
+    expect(() => jwt.verify(token, getJWTSecret())).toThrow();
+  });
+
+  it('does not accept staff tokens or customer-shaped tokens signed with the staff secret', () => {
+    expect(verifyCustomerToken(jwt.sign({ userId: 'u1', role: 'theater_admin' }, getJWTSecret()))).toBeNull();
+    expect(verifyCustomerToken(jwt.sign({ type: 'customer', phone: '9876543210' }, getJWTSecret()))).toBeNull();
+    expect(verifyCustomerToken('not-a-token')).toBeNull();
+  });
+});
@@ -359,14 +359,19 @@ async function sendLowStockAlert(theater, products) {
           <div class="product-list">
             ${products.map(p => `
               <div class="product-item">
-                <strong>${p.productName}</strong><br>
-                Current Stock: ${p.balance || 0} units<br>
-                Low Stock Threshold: ${p.lowStockAlert || 5} units
+                <strong>${p.productName}</strong>${p.warningType ? ` - ${p.warningType}` : ''}<br>
+                Current Stock: ${p.balance || 0} ${p.unit || 'units'}<br>
+                Low Stock Threshold: ${p.lowStockAlert || 5} ${p.unit || 'units'}
+                ${p.forecast ? `<br>
+                Average Daily Sales: ${p.forecast.averageDailySales} ${p.unit || 'units'}<br>
+                Projected Stock-out: ${p.forecast.stockOutDate ? new Date(p.forecast.stockOutDate).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' }) : 'Not within 90 days'}<br>
+                Suggested Reorder: <strong>${p.forecast.suggestedQuantity} ${p.unit || 'units'}</strong>
+                (lead time ${p.forecast.leadTimeDays} day(s)${p.forecast.supplierName ? ` from ${p.forecast.supplierName}` : ''}${p.forecast.onOrder ? `, ${p.forecast.onOrder} already on order` : ''})` : ''}
               </div>
             `).join('')}
           </div>
           
-          <p>Please review the attached Excel report and consider restocking these items.</p>
+          <p>Please review the attached Excel report and consider restocking these items.${products.some(p => p.forecast) ? ' Suggested reorder quantities cover the supplier lead time plus a week of forecast sales (by day of the week).' : ''}</p>
           
           <p>Best regards,<br>YQPayNow System</p>
         </div>
@@ -2,6 +2,7 @@
  * JWT Helper Utility
  * Centralized JWT secret management with validation
  */
+const crypto = require('crypto');
 
 /**
  * Get JWT secret with validation
@@ -23,7 +24,22 @@ function getJWTSecret() {
   return secret;
 }
 
+/**
+ * Get the secret customer (OTP-verified phone) tokens are signed with
+ * Kept apart from the staff secret so a customer token can never pass as a staff login.
+ * Without CUSTOMER_JWT_SECRET it is derived from JWT_SECRET
+ * @returns {string} Customer token secret
+ */
+function getCustomerJWTSecret() {
+  const secret = process.env.CUSTOMER_JWT_SECRET?.trim();
+  if (secret && secret.length >= 32) {
+    return secret;
+  }
+  return crypto.createHmac('sha256', getJWTSecret()).update('customer-token').digest('hex');
+}
+
 module.exports = {
-  getJWTSecret
+  getJWTSecret,
+  getCustomerJWTSecret
 };
 
@@ -1,16 +1,60 @@
 /**
  * Real-time Low Stock Checker
- * Checks and sends notifications when stock becomes low
+ * Checks and sends notifications when stock becomes low - at or below minStock, or forecast
+ * to run out before a reorder placed now would arrive
  */
 
 const Theater = require('../models/Theater');
 const Product = require('../models/Product');
 const MonthlyStock = require('../models/MonthlyStock');
 const { sendLowStockAlert } = require('./emailService');
+const reorderForecastService = require('../services/ReorderForecastService');
 
 // Track recently sent notifications to avoid spam
 const recentNotifications = new Map(); // key: `${theaterId}_${productId}`, value: timestamp
 
+// Reorder forecasts of the scheduled low stock check, reused here instead of forecasting on every sale
+const theaterForecasts = new Map(); // key: theaterId, value: { at, byProduct: Map(productId → suggestion) }
+const FORECAST_MAX_AGE_MS = 2 * 60 * 60 * 1000;
+
+/**
+ * Keep a theater's reorder forecasts for the real-time checks (called by the scheduled low stock check)
+ * @param {string} theaterId - Theater ID
+ * @param {Array} suggestions - ReorderForecastService.getSuggestions result for product stock
+ */
+function rememberForecasts(theaterId, suggestions) {
+  theaterForecasts.set(String(theaterId), {
+    at: Date.now(),
+    byProduct: new Map(suggestions.map(suggestion => [String(suggestion.productId), suggestion]))
+  });
+}
+
+/**
+ * Reorder forecast of one product - the scheduled check's when it is recent, otherwise forecast now
+ */
+async function getForecast(theaterId, productId) {
+  const cached = theaterForecasts.get(String(theaterId));
+  if (cached && Date.now() - cached.at < FORECAST_MAX_AGE_MS) {
+    return cached.byProduct.get(String(productId)) || null;
+  }
+
+  const [forecast] = await reorderForecastService.getSuggestions(theaterId, 'product', { productId })
+    .catch(error => {
+      console.error('❌ Error forecasting reorder:', error);
+      return [];
+    });
+  return forecast || null;
+}
+
+/**
+ * Whether the stock runs out before a reorder placed now would arrive
+ * The forecast may be older than the sale that triggered the check, so its reorder point is compared with the current stock
+ */
+function runsOutBeforeDelivery(forecast, currentStock) {
+  if (!forecast || forecast.averageDailySales <= 0) return false;
+  return currentStock + (forecast.onOrder || 0) <= forecast.reorderPoint;
+}
+
 /**
  * Check if stock is low for a specific product and send notification
  * @param {string} theaterId - Theater ID
@@ -20,6 +64,15 @@ const recentNotifications = new Map(); // key: `${theaterId}_${productId}`, valu
  */
 async function checkAndNotifyLowStock(theaterId, productId, currentStock) {
   try {
+    // Check if we sent notification recently (within last 4 hours to avoid spam)
+    const notificationKey = `${theaterId}_${productId}`;
+    const lastNotification = recentNotifications.get(notificationKey);
+    const fourHoursAgo = Date.now() - (4 * 60 * 60 * 1000);
+
+    if (currentStock <= 0 || (lastNotification && lastNotification > fourHoursAgo)) {
+      return false;
+    }
+
     // Get product and theater info
     const [product, theater] = await Promise.all([
       Product.findById(productId).select('name inventory'),
@@ -31,18 +84,12 @@ async function checkAndNotifyLowStock(theaterId, productId, currentStock) {
     }
 
     const lowStockAlert = product.inventory?.minStock || 5; // Default threshold
-    
-    // Check if stock is low
-    if (currentStock > 0 && currentStock <= lowStockAlert) {
-      // Check if we sent notification recently (within last 4 hours to avoid spam)
-      const notificationKey = `${theaterId}_${productId}`;
-      const lastNotification = recentNotifications.get(notificationKey);
-      const fourHoursAgo = Date.now() - (4 * 60 * 60 * 1000);
-      
-      if (lastNotification && lastNotification > fourHoursAgo) {
-        return false;
-      }
 
+    // 📈 Forecast from sales by day of week and the supplier's lead time
+    const forecast = await getForecast(theaterId, productId);
+
+    // Check if stock is low
+    if (currentStock <= lowStockAlert || runsOutBeforeDelivery(forecast, currentStock)) {
       // Get current month's stock details for Excel report
       const currentDate = new Date();
       const year = currentDate.getFullYear();
@@ -77,7 +124,10 @@ async function checkAndNotifyLowStock(theaterId, productId, currentStock) {
         expiredStock: stockEntry?.expiredStock || 0,
         balance: currentStock,
         expireDate: stockEntry?.expireDate || null,
-        lowStockAlert
+        lowStockAlert,
+        unit: forecast?.unit,
+        warningType: currentStock <= lowStockAlert ? 'Currently Low' : 'Runs Out Before Delivery',
+        forecast
       };
 
       // Send email notification
@@ -125,6 +175,7 @@ async function checkLowStockBatch(theaterId, products) {
 
 module.exports = {
   checkAndNotifyLowStock,
-  checkLowStockBatch
+  checkLowStockBatch,
+  rememberForecasts
 };
 
@@ -0,0 +1,55 @@
+jest.mock('./emailService', () => ({ sendLowStockAlert: jest.fn() }));
+
+const Product = require('../models/Product');
+const Theater = require('../models/Theater');
+const MonthlyStock = require('../models/MonthlyStock');
+const reorderForecastService = require('../services/ReorderForecastService');
+const { sendLowStockAlert } = require('./emailService');
+const { checkAndNotifyLowStock, rememberForecasts } = require('./lowStockChecker');
+
+describe('checkAndNotifyLowStock', () => {
+  const forecast = (productId, fields = {}) => ({
+    productId, unit: 'Nos', averageDailySales: 10, onOrder: 0, reorderPoint: 30, status: 'reorder', ...fields
+  });
+
+  beforeEach(() => {
+    jest.spyOn(Product, 'findById').mockImplementation(() => ({ select: async () => ({ name: 'Popcorn', inventory: { minStock: 5 } }) }));
+    jest.spyOn(Theater, 'findById').mockImplementation(() => ({ select: async () => ({ name: 'Screen One', email: 'owner@example.com' }) }));
+    jest.spyOn(MonthlyStock, 'findOne').mockResolvedValue(null);
+    jest.spyOn(reorderForecastService, 'getSuggestions').mockResolvedValue([forecast('p1')]);
+    sendLowStockAlert.mockResolvedValue({ success: true });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    sendLowStockAlert.mockReset();
+  });
+
+  it('does not forecast again while an alert for the product was sent in the last 4 hours', async () => {
+    await expect(checkAndNotifyLowStock('t1', 'p1', 20)).resolves.toBe(true);
+    expect(sendLowStockAlert).toHaveBeenCalledWith(
+      expect.objectContaining({ name: 'Screen One' }),
+      [expect.objectContaining({ balance: 20, warningType: 'Runs Out Before Delivery' })]
+    );
+
+    await expect(checkAndNotifyLowStock('t1', 'p1', 19)).resolves.toBe(false);
+    expect(reorderForecastService.getSuggestions).toHaveBeenCalledTimes(1);
+    expect(Product.findById).toHaveBeenCalledTimes(1);
+  });
+
+  it('uses the scheduled check\'s forecast against the current stock', async () => {
+    rememberForecasts('t2', [forecast('p1', { onOrder: 10 })]);
+
+    // 21 in stock + 10 on order is above the reorder point of 30
+    await expect(checkAndNotifyLowStock('t2', 'p1', 21)).resolves.toBe(false);
+    await expect(checkAndNotifyLowStock('t2', 'p1', 20)).resolves.toBe(true);
+    expect(reorderForecastService.getSuggestions).not.toHaveBeenCalled();
+  });
+
+  it('alerts at the minimum stock without a forecast', async () => {
+    rememberForecasts('t3', []);
+
+    await expect(checkAndNotifyLowStock('t3', 'p1', 5)).resolves.toBe(true);
+    expect(sendLowStockAlert.mock.calls[0][1][0]).toMatchObject({ warningType: 'Currently Low', forecast: null });
+  });
+});
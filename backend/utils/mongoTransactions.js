@@ -0,0 +1,74 @@
+/**
+ * MongoDB Transactions Utility
+ * Multi-document transactions only run on a replica set or a sharded cluster. On a standalone mongod the
+ * same work runs without a session: callers claim their document first with a conditional write (so a
+ * second caller stops there) and register how to take back each later write if a step fails.
+ */
+const mongoose = require('mongoose');
+
+let transactionSupport = null;
+
+/**
+ * Whether the connected deployment runs transactions (replica set member or mongos) - checked once
+ */
+async function supportsTransactions() {
+  if (transactionSupport !== null) {
+    return transactionSupport;
+  }
+
+  try {
+    const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+    transactionSupport = Boolean(hello.setName) || hello.msg === 'isdbgrid';
+  } catch (error) {
+    // Not cached - the next call checks again
+    console.warn('⚠️ Could not read the MongoDB topology, running without a transaction:', error.message);
+    return false;
+  }
+
+  if (!transactionSupport) {
+    console.warn('⚠️ MongoDB is a standalone server - multi-document writes run as ordered conditional writes');
+  }
+  return transactionSupport;
+}
+
+/**
+ * Run multi-document writes in a transaction where the deployment has them
+ * @param {Function} work - async (session, onUndo) => result
+ *   session is null on a standalone server; onUndo(step) registers an async step that takes back a write
+ *   and only runs if work fails without a transaction (a transaction rolls back by itself)
+ * @returns {Promise<*>} Whatever work returns
+ */
+async function runInTransaction(work) {
+  if (await supportsTransactions()) {
+    const session = await mongoose.startSession();
+    try {
+      let result;
+      await session.withTransaction(async () => {
+        result = await work(session, () => {});
+      });
+      return result;
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  const undoSteps = [];
+  try {
+    return await work(null, (step) => undoSteps.push(step));
+  } catch (error) {
+    // Latest write first, so each step finds the state it left behind
+    for (const step of undoSteps.reverse()) {
+      try {
+        await step();
+      } catch (undoError) {
+        console.error('❌ Failed to take back a write after an error:', undoError);
+      }
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  supportsTransactions,
+  runInTransaction
+};
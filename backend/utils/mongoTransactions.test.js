@@ -0,0 +1,44 @@
+describe('runInTransaction on a standalone server', () => {
+  let mongoose;
+  let runInTransaction;
+
+  beforeEach(() => {
+    // Fresh module state - the topology check is cached per process
+    jest.resetModules();
+    mongoose = require('mongoose');
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    // A standalone mongod answers hello without a replica set name
+    mongoose.connection.db = {
+      admin: () => ({ command: async () => ({ isWritablePrimary: true }) })
+    };
+    jest.spyOn(mongoose, 'startSession');
+    ({ runInTransaction } = require('./mongoTransactions'));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('runs the work without a session', async () => {
+    const result = await runInTransaction(async (session) => {
+      expect(session).toBeNull();
+      return 'done';
+    });
+    expect(result).toBe('done');
+    expect(mongoose.startSession).not.toHaveBeenCalled();
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('standalone server'));
+  });
+
+  it('takes back the writes made so far, latest first, when a step fails', async () => {
+    const undone = [];
+    await expect(runInTransaction(async (session, onUndo) => {
+      onUndo(async () => undone.push('claim'));
+      onUndo(async () => { throw new Error('undo failed'); });
+      onUndo(async () => undone.push('second write'));
+      throw new Error('third write failed');
+    })).rejects.toThrow('third write failed');
+
+    expect(undone).toEqual(['second write', 'claim']);
+  });
+});
@@ -224,7 +224,55 @@ const calculateLineItemTotal = (item) => {
   }
 };
 
+/**
+ * Calculate a coupon's discount for the lines of an order
+ * Validity window, channel and usage limits are checked by CouponService - this only
+ * works out the eligible amount, the minimum order and the discount cap
+ * @param {Object} coupon - Coupon definition (discountType, discountValue, minOrderAmount, maxDiscount, applicable*)
+ * @param {Array} lines - [{ productId, categoryId, amount }] amount = line total after item discount, before tax
+ * @returns {Object} { valid, message, orderAmount, eligibleAmount, discount }
+ */
+const calculateCouponDiscount = (coupon, lines = []) => {
+  const round = (value) => Math.round(value * 100) / 100;
+  const categoryIds = (coupon.applicableCategories || []).map(String);
+  const productIds = (coupon.applicableProducts || []).map(String);
+  const isRestricted = categoryIds.length > 0 || productIds.length > 0;
+
+  const orderAmount = round(lines.reduce((sum, line) => sum + (parseFloat(line.amount) || 0), 0));
+  const eligibleAmount = round(lines
+    .filter(line => !isRestricted ||
+      productIds.includes(String(line.productId)) ||
+      (line.categoryId && categoryIds.includes(String(line.categoryId))))
+    .reduce((sum, line) => sum + (parseFloat(line.amount) || 0), 0));
+
+  const result = { valid: false, message: '', orderAmount, eligibleAmount, discount: 0 };
+
+  if (orderAmount < (coupon.minOrderAmount || 0)) {
+    result.message = `Coupon requires a minimum order of ₹${coupon.minOrderAmount}`;
+    return result;
+  }
+
+  if (eligibleAmount <= 0) {
+    result.message = 'Coupon does not apply to any item in this order';
+    return result;
+  }
+
+  let discount = coupon.discountType === 'percentage'
+    ? eligibleAmount * ((parseFloat(coupon.discountValue) || 0) / 100)
+    : parseFloat(coupon.discountValue) || 0;
+
+  if (coupon.discountType === 'percentage' && coupon.maxDiscount !== null && coupon.maxDiscount !== undefined) {
+    discount = Math.min(discount, coupon.maxDiscount);
+  }
+
+  // A coupon never takes more off than the items it applies to
+  result.discount = round(Math.min(discount, eligibleAmount));
+  result.valid = true;
+  return result;
+};
+
 module.exports = {
   calculateOrderTotals,
-  calculateLineItemTotal
+  calculateLineItemTotal,
+  calculateCouponDiscount
 };
@@ -0,0 +1,203 @@
+/**
+ * Payment Tenders Utility (Backend)
+ * Split payments: one order settled with several counter tenders (e.g. part cash, part UPI)
+ * Orders paid with a single method have no tenders stored - helpers fall back to payment.method
+ */
+
+// Tenders the cashier collects at the counter (gateway payments are never split)
+const TENDER_METHODS = ['cash', 'card', 'upi', 'giftcard'];
+// Tenders paid for in advance - the gateway only collects what they leave (see services/GiftCardService.js)
+const PREPAID_TENDER_METHODS = ['giftcard'];
+const AMOUNT_TOLERANCE = 0.01;
+
+const roundAmount = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+/**
+ * Validate counter tenders against the order total and work out the change for cash
+ * @param {Array} tenders - [{ method, amount, received?, reference? }] from the POS
+ * @param {number} orderTotal - Order grand total
+ * @returns {Object} { method, tenders, changeGiven } - method is 'split' for more than one tender
+ */
+const normalizeTenders = (tenders, orderTotal) => {
+  if (!Array.isArray(tenders) || tenders.length === 0) {
+    throw new Error('At least one payment tender is required');
+  }
+
+  const total = roundAmount(orderTotal);
+  let changeGiven = 0;
+
+  const normalized = tenders.map(tender => {
+    const method = String(tender?.method || '').toLowerCase();
+    if (!TENDER_METHODS.includes(method)) {
+      throw new Error(`Invalid payment tender: ${tender?.method}`);
+    }
+
+    const amount = roundAmount(tender.amount);
+    if (amount <= 0) {
+      throw new Error(`Tender amount for ${method} must be greater than 0`);
+    }
+
+    const entry = { method, amount };
+
+    // Cash handed over can exceed the cash share of the bill - the difference is change
+    if (method === 'cash' && tender.received !== undefined && tender.received !== null && tender.received !== '') {
+      const received = roundAmount(tender.received);
+      if (received + AMOUNT_TOLERANCE < amount) {
+        throw new Error(`Cash received (₹${received.toFixed(2)}) is less than the cash amount (₹${amount.toFixed(2)})`);
+      }
+      entry.received = received;
+      entry.change = roundAmount(received - amount);
+      changeGiven = roundAmount(changeGiven + entry.change);
+    }
+
+    if (tender.reference) {
+      entry.reference = String(tender.reference).trim().substring(0, 64);
+    }
+
+    // 🎁 The card code is how the balance is found
+    if (method === 'giftcard') {
+      entry.reference = String(tender.reference || '').replace(/[\s-]/g, '').toUpperCase();
+      if (!entry.reference) {
+        throw new Error('Gift card code is required for a gift card tender');
+      }
+    }
+
+    return entry;
+  });
+
+  const tenderedTotal = roundAmount(normalized.reduce((sum, tender) => sum + tender.amount, 0));
+  if (roundAmount(Math.abs(tenderedTotal - total)) > AMOUNT_TOLERANCE) {
+    throw new Error(`Payment tenders (₹${tenderedTotal.toFixed(2)}) do not add up to the order total (₹${total.toFixed(2)})`);
+  }
+
+  return {
+    method: normalized.length > 1 ? 'split' : normalized[0].method,
+    tenders: normalized,
+    changeGiven
+  };
+};
+
+/**
+ * Take an amount off an order's tenders in proportion to what each tender paid (e.g. a cancelled item)
+ * Each share is rounded to paise; the last tender absorbs the rounding so the shares add up exactly
+ * @param {Array} tenders - Stored tenders [{ method, amount, ... }]
+ * @param {number} amount - Amount coming off the order total
+ * @returns {Object} { tenders, reductions } - tenders with reduced amounts, and the amount taken off each
+ */
+const reduceTenders = (tenders, amount) => {
+  const list = Array.isArray(tenders) ? tenders : [];
+  const total = roundAmount(list.reduce((sum, tender) => sum + (Number(tender.amount) || 0), 0));
+  const target = roundAmount(Math.min(Math.max(Number(amount) || 0, 0), total));
+
+  let left = target;
+  const reductions = list.map((tender, index) => {
+    const tenderAmount = roundAmount(tender.amount);
+    const share = index === list.length - 1
+      ? left
+      : roundAmount(total > 0 ? target * (tenderAmount / total) : 0);
+    const reduction = roundAmount(Math.min(share, tenderAmount, left));
+    left = roundAmount(left - reduction);
+    return reduction;
+  });
+
+  return {
+    tenders: list.map((tender, index) => ({ ...tender, amount: roundAmount(roundAmount(tender.amount) - reductions[index]) })),
+    reductions
+  };
+};
+
+/**
+ * Tenders of an order - stored tenders for split payments, otherwise one tender for the whole total
+ * @param {Object} order - Order (TheaterOrders orderList entry or legacy Order)
+ * @returns {Array} [{ method, amount }]
+ */
+const getOrderTenders = (order) => {
+  const tenders = order?.payment?.tenders;
+  if (Array.isArray(tenders) && tenders.length > 0) {
+    return tenders.map(tender => ({ method: tender.method, amount: roundAmount(tender.amount) }));
+  }
+
+  const method = String(order?.payment?.method || order?.paymentMethod || order?.payment?.type || '').toLowerCase();
+  const amount = order?.pricing?.total ||
+    order?.pricing?.grandTotal ||
+    order?.totalAmount ||
+    order?.total ||
+    order?.amount || 0;
+
+  return [{ method: method || 'cash', amount: roundAmount(amount) }];
+};
+
+/**
+ * Report column a payment method belongs to: cash, upi (incl. online gateways), card or giftcard
+ */
+const getTenderBucket = (method) => {
+  const value = String(method || '').toLowerCase();
+  if (value === 'cash' || value === 'cod') return 'cash';
+  if (value === 'giftcard') return 'giftcard';
+  if (['card', 'neft', 'credit_card', 'debit_card'].includes(value)) return 'card';
+  // Online gateways and unknown methods are reported with UPI
+  return 'upi';
+};
+
+/**
+ * Order amount split into cash / upi / card / giftcard columns by tender
+ * @returns {Object} { cash, upi, card, giftcard }
+ */
+const getTenderBreakdown = (order) => {
+  const breakdown = { cash: 0, upi: 0, card: 0, giftcard: 0 };
+  getOrderTenders(order).forEach(tender => {
+    const bucket = getTenderBucket(tender.method);
+    breakdown[bucket] = roundAmount(breakdown[bucket] + tender.amount);
+  });
+  return breakdown;
+};
+
+/**
+ * What is left for the payment gateway to collect once prepaid tenders (gift cards) are taken off
+ */
+const getGatewayAmount = (order) => {
+  const total = roundAmount(order?.pricing?.total || order?.totalAmount || 0);
+  const prepaid = (order?.payment?.tenders || [])
+    .filter(tender => PREPAID_TENDER_METHODS.includes(tender.method))
+    .reduce((sum, tender) => sum + (Number(tender.amount) || 0), 0);
+  return roundAmount(Math.max(0, total - prepaid));
+};
+
+/**
+ * Human readable tenders for exports, e.g. "CASH ₹200.00 + UPI ₹150.00"
+ */
+const formatTenders = (order) => {
+  const tenders = getOrderTenders(order);
+  if (tenders.length === 1) {
+    return (tenders[0].method || 'N/A').toUpperCase();
+  }
+  return tenders.map(tender => `${tender.method.toUpperCase()} ₹${tender.amount.toFixed(2)}`).join(' + ');
+};
+
+/**
+ * MongoDB expression for the tenders of an orderList entry (for $unwind in aggregations)
+ * Mirrors getOrderTenders: stored tenders, otherwise one tender of the order total
+ */
+const orderTendersExpression = (prefix = '$orderList') => ({
+  $cond: [
+    { $gt: [{ $size: { $ifNull: [`${prefix}.payment.tenders`, []] } }, 0] },
+    `${prefix}.payment.tenders`,
+    [{
+      method: { $ifNull: [`${prefix}.payment.method`, 'cash'] },
+      amount: { $ifNull: [`${prefix}.pricing.total`, { $ifNull: [`${prefix}.totalAmount`, 0] }] }
+    }]
+  ]
+});
+
+module.exports = {
+  TENDER_METHODS,
+  PREPAID_TENDER_METHODS,
+  normalizeTenders,
+  reduceTenders,
+  getOrderTenders,
+  getTenderBucket,
+  getTenderBreakdown,
+  getGatewayAmount,
+  formatTenders,
+  orderTendersExpression
+};
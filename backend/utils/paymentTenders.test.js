@@ -0,0 +1,154 @@
+const {
+  normalizeTenders,
+  reduceTenders,
+  getOrderTenders,
+  getTenderBucket,
+  getTenderBreakdown,
+  getGatewayAmount,
+  formatTenders
+} = require('./paymentTenders');
+
+describe('normalizeTenders', () => {
+  it('keeps a single tender as the payment method', () => {
+    const result = normalizeTenders([{ method: 'UPI', amount: 250 }], 250);
+    expect(result.method).toBe('upi');
+    expect(result.tenders).toEqual([{ method: 'upi', amount: 250 }]);
+    expect(result.changeGiven).toBe(0);
+  });
+
+  it('marks more than one tender as a split payment', () => {
+    const result = normalizeTenders([
+      { method: 'cash', amount: 200 },
+      { method: 'upi', amount: 150.5 }
+    ], 350.5);
+    expect(result.method).toBe('split');
+    expect(result.tenders.map(tender => tender.amount)).toEqual([200, 150.5]);
+  });
+
+  it('rounds tender amounts to paise', () => {
+    const result = normalizeTenders([
+      { method: 'card', amount: 100.004 },
+      { method: 'upi', amount: '99.996' }
+    ], 200);
+    expect(result.tenders.map(tender => tender.amount)).toEqual([100, 100]);
+  });
+
+  it('accepts a rounding difference of one paisa against the order total', () => {
+    expect(() => normalizeTenders([
+      { method: 'cash', amount: 33.33 },
+      { method: 'upi', amount: 33.33 },
+      { method: 'card', amount: 33.33 }
+    ], 100)).not.toThrow();
+  });
+
+  it('rejects tenders that do not add up to the order total', () => {
+    expect(() => normalizeTenders([
+      { method: 'cash', amount: 100 },
+      { method: 'upi', amount: 50 }
+    ], 200)).toThrow('Payment tenders (₹150.00) do not add up to the order total (₹200.00)');
+  });
+
+  it('works out the change for cash received over the cash share', () => {
+    const result = normalizeTenders([
+      { method: 'cash', amount: 180, received: 200 },
+      { method: 'upi', amount: 120 }
+    ], 300);
+    expect(result.tenders[0]).toEqual({ method: 'cash', amount: 180, received: 200, change: 20 });
+    expect(result.changeGiven).toBe(20);
+  });
+
+  it('rejects cash received below the cash share', () => {
+    expect(() => normalizeTenders([{ method: 'cash', amount: 100, received: 90 }], 100))
+      .toThrow('Cash received (₹90.00) is less than the cash amount (₹100.00)');
+  });
+
+  it('normalises the gift card code and requires one', () => {
+    const result = normalizeTenders([{ method: 'giftcard', amount: 50, reference: 'ab12-cd34 ef' }], 50);
+    expect(result.tenders[0].reference).toBe('AB12CD34EF');
+
+    expect(() => normalizeTenders([{ method: 'giftcard', amount: 50 }], 50))
+      .toThrow('Gift card code is required for a gift card tender');
+  });
+
+  it('rejects empty, unknown and zero tenders', () => {
+    expect(() => normalizeTenders([], 10)).toThrow('At least one payment tender is required');
+    expect(() => normalizeTenders([{ method: 'cheque', amount: 10 }], 10)).toThrow('Invalid payment tender: cheque');
+    expect(() => normalizeTenders([{ method: 'cash', amount: 0 }], 0)).toThrow('Tender amount for cash must be greater than 0');
+  });
+});
+
+describe('reduceTenders', () => {
+  it('takes an amount off each tender in proportion to what it paid', () => {
+    const result = reduceTenders([
+      { method: 'cash', amount: 300, received: 500, change: 200 },
+      { method: 'upi', amount: 100 }
+    ], 200);
+    expect(result.reductions).toEqual([150, 50]);
+    expect(result.tenders).toEqual([
+      { method: 'cash', amount: 150, received: 500, change: 200 },
+      { method: 'upi', amount: 50 }
+    ]);
+  });
+
+  it('lets the last tender absorb the paise so the reductions add up exactly', () => {
+    const result = reduceTenders([
+      { method: 'cash', amount: 33.33 },
+      { method: 'card', amount: 33.33 },
+      { method: 'upi', amount: 33.34 }
+    ], 10);
+    expect(result.reductions).toEqual([3.33, 3.33, 3.34]);
+    expect(result.reductions.reduce((sum, value) => sum + value, 0)).toBeCloseTo(10, 10);
+    expect(result.tenders.map(tender => tender.amount)).toEqual([30, 30, 30]);
+  });
+
+  it('never takes off more than was tendered', () => {
+    const result = reduceTenders([
+      { method: 'giftcard', amount: 40, reference: 'GIFT1' },
+      { method: 'online', amount: 60 }
+    ], 250);
+    expect(result.reductions).toEqual([40, 60]);
+    expect(result.tenders.map(tender => tender.amount)).toEqual([0, 0]);
+  });
+
+  it('leaves the tenders alone for nothing or a negative amount', () => {
+    const tenders = [{ method: 'cash', amount: 80 }, { method: 'card', amount: 20 }];
+    expect(reduceTenders(tenders, 0).reductions).toEqual([0, 0]);
+    expect(reduceTenders(tenders, -5).tenders).toEqual(tenders);
+  });
+});
+
+describe('order tenders', () => {
+  const splitOrder = {
+    pricing: { total: 350 },
+    payment: {
+      method: 'split',
+      tenders: [
+        { method: 'cash', amount: 200 },
+        { method: 'giftcard', amount: 100, reference: 'GIFT1' },
+        { method: 'upi', amount: 50 }
+      ]
+    }
+  };
+
+  it('falls back to one tender of the order total without stored tenders', () => {
+    expect(getOrderTenders({ payment: { method: 'Card' }, pricing: { total: 120.456 } }))
+      .toEqual([{ method: 'card', amount: 120.46 }]);
+  });
+
+  it('puts each tender in its report column', () => {
+    expect(getTenderBucket('cod')).toBe('cash');
+    expect(getTenderBucket('debit_card')).toBe('card');
+    expect(getTenderBucket('razorpay')).toBe('upi');
+    expect(getTenderBreakdown(splitOrder)).toEqual({ cash: 200, upi: 50, card: 0, giftcard: 100 });
+  });
+
+  it('leaves the gateway what the gift cards do not cover', () => {
+    expect(getGatewayAmount(splitOrder)).toBe(250);
+    expect(getGatewayAmount({ pricing: { total: 80 }, payment: { tenders: [{ method: 'giftcard', amount: 100 }] } })).toBe(0);
+  });
+
+  it('formats split tenders for exports', () => {
+    expect(formatTenders(splitOrder)).toBe('CASH ₹200.00 + GIFTCARD ₹100.00 + UPI ₹50.00');
+    expect(formatTenders({ payment: { method: 'upi' }, pricing: { total: 10 } })).toBe('UPI');
+  });
+});
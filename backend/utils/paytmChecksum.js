@@ -0,0 +1,87 @@
+/**
+ * Paytm Checksum
+ * Generates and verifies the AES-encrypted SHA-256 checksums Paytm uses for
+ * API request signatures and callback / webhook CHECKSUMHASH values
+ * (same algorithm as Paytm's official PaytmChecksum library)
+ */
+
+const crypto = require('crypto');
+
+const IV = '@@@@&&&&####$$$$';
+const SALT_LENGTH = 4;
+
+function encrypt(input, key) {
+  const cipher = crypto.createCipheriv('aes-128-cbc', key, IV);
+  return cipher.update(input, 'binary', 'base64') + cipher.final('base64');
+}
+
+function decrypt(encrypted, key) {
+  const decipher = crypto.createDecipheriv('aes-128-cbc', key, IV);
+  return decipher.update(encrypted, 'base64', 'binary') + decipher.final('binary');
+}
+
+// Form params are signed as their values sorted by key and joined with '|'
+function getStringByParams(params) {
+  return Object.keys(params)
+    .sort()
+    .map(key => {
+      const value = params[key];
+      return value !== null && value !== undefined && String(value).toLowerCase() !== 'null' ? String(value) : '';
+    })
+    .join('|');
+}
+
+function calculateChecksum(params, key, salt) {
+  const hash = crypto.createHash('sha256').update(`${params}|${salt}`).digest('hex');
+  return encrypt(hash + salt, key);
+}
+
+/**
+ * Generate a checksum
+ * @param {Object|string} params - Form params, or the JSON string of an API request body
+ * @param {string} key - Merchant key
+ * @returns {string} - Base64 checksum
+ */
+function generateSignature(params, key) {
+  const paramString = typeof params === 'string' ? params : getStringByParams(params);
+  const salt = crypto.randomBytes((SALT_LENGTH * 3) / 4).toString('base64');
+  return calculateChecksum(paramString, key, salt);
+}
+
+/**
+ * Verify a checksum
+ * @param {Object|string} params - Form params (CHECKSUMHASH is ignored) or the JSON string that was signed
+ * @param {string} key - Merchant key
+ * @param {string} checksum - Checksum received from Paytm
+ * @returns {boolean}
+ */
+function verifySignature(params, key, checksum) {
+  if (!checksum || !key) {
+    return false;
+  }
+
+  let paramString = params;
+  if (typeof params !== 'string') {
+    const { CHECKSUMHASH, ...rest } = params;
+    paramString = getStringByParams(rest);
+  }
+
+  try {
+    let received = String(checksum).replace(/[\r\n]/g, '');
+    const decoded = decodeURIComponent(received);
+    if (decoded !== received) {
+      received = decoded;
+    }
+
+    const salt = decrypt(received, key).slice(-SALT_LENGTH);
+    return calculateChecksum(paramString, key, salt) === received;
+  } catch (error) {
+    // Wrong key length or a tampered checksum that does not decrypt
+    return false;
+  }
+}
+
+module.exports = {
+  generateSignature,
+  verifySignature
+};
@@ -0,0 +1,37 @@
+const { generateSignature, verifySignature } = require('./paytmChecksum');
+
+describe('Paytm checksum', () => {
+  // AES-128 merchant keys are 16 characters
+  const merchantKey = 'abcd1234EFGH5678';
+  const params = { MID: 'THEATER01', ORDERID: 'ORD-1001', TXNAMOUNT: '441.00', STATUS: 'TXN_SUCCESS' };
+
+  it('verifies a checksum it generated for form params', () => {
+    const checksum = generateSignature(params, merchantKey);
+    expect(verifySignature(params, merchantKey, checksum)).toBe(true);
+    // Callbacks carry the checksum among the params it signs
+    expect(verifySignature({ ...params, CHECKSUMHASH: checksum }, merchantKey, checksum)).toBe(true);
+  });
+
+  it('verifies a checksum of an API request body', () => {
+    const body = JSON.stringify({ mid: 'THEATER01', orderId: 'ORD-1001' });
+    expect(verifySignature(body, merchantKey, generateSignature(body, merchantKey))).toBe(true);
+  });
+
+  it('salts every checksum', () => {
+    expect(generateSignature(params, merchantKey)).not.toBe(generateSignature(params, merchantKey));
+  });
+
+  it('accepts a URL encoded checksum', () => {
+    const checksum = generateSignature(params, merchantKey);
+    expect(verifySignature(params, merchantKey, encodeURIComponent(checksum))).toBe(true);
+  });
+
+  it('rejects changed params, another key and checksums that do not decrypt', () => {
+    const checksum = generateSignature(params, merchantKey);
+    expect(verifySignature({ ...params, TXNAMOUNT: '1.00' }, merchantKey, checksum)).toBe(false);
+    expect(verifySignature(params, 'zyxw9876VUTS5432', checksum)).toBe(false);
+    expect(verifySignature(params, merchantKey, 'not-a-checksum')).toBe(false);
+    expect(verifySignature(params, merchantKey, '')).toBe(false);
+    expect(verifySignature(params, '', checksum)).toBe(false);
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * Pricing Rules Utility (Backend)
+ * Time-based price adjustments (happy hours, weekend bumps) applied on top of a product's base price
+ * Rule days and times are the theater's wall clock (Theater.settings.timezone), not the server's -
+ * the server runs in UTC
+ */
+
+const DEFAULT_TIME_ZONE = 'Asia/Kolkata';
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const clockFormats = new Map();
+
+const roundAmount = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// 'HH:mm' -> minutes from midnight, null when not set
+const toMinutes = (time) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(time || '').trim());
+  if (!match) return null;
+  return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+};
+
+const getClockFormat = (timeZone) => {
+  if (!clockFormats.has(timeZone)) {
+    clockFormats.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }));
+  }
+  return clockFormats.get(timeZone);
+};
+
+/**
+ * Day of week (0 = Sunday) and minutes from midnight of a moment on a time zone's wall clock
+ * Unknown time zones fall back to India time
+ * @returns {Object} { day, minutes }
+ */
+const getLocalClock = (at, timeZone = DEFAULT_TIME_ZONE) => {
+  let parts;
+  try {
+    parts = getClockFormat(timeZone || DEFAULT_TIME_ZONE).formatToParts(at);
+  } catch (error) {
+    parts = getClockFormat(DEFAULT_TIME_ZONE).formatToParts(at);
+  }
+  const part = (type) => parts.find(entry => entry.type === type)?.value;
+
+  return {
+    day: WEEKDAYS.indexOf(part('weekday')),
+    minutes: parseInt(part('hour'), 10) * 60 + parseInt(part('minute'), 10)
+  };
+};
+
+/**
+ * Check whether a rule is running at a moment in time
+ * For windows that run past midnight, the early-morning part counts as the previous day
+ * (a Friday 22:00 - 02:00 rule still applies at 01:00 on Saturday)
+ * @param {Object} rule - Pricing rule
+ * @param {Date} at - Moment to check
+ * @param {string} timeZone - Theater time zone the rule's days and times are in
+ * @returns {boolean}
+ */
+const isRuleActiveAt = (rule, at = new Date(), timeZone = DEFAULT_TIME_ZONE) => {
+  if (!rule || rule.isActive === false) return false;
+  if (rule.validFrom && at < new Date(rule.validFrom)) return false;
+  if (rule.validUntil && at > new Date(rule.validUntil)) return false;
+
+  const days = rule.daysOfWeek || [];
+  const start = toMinutes(rule.startTime);
+  const end = toMinutes(rule.endTime);
+  const clock = getLocalClock(at, timeZone);
+  const now = clock.minutes;
+  let day = clock.day;
+
+  if (start !== null && end !== null && start !== end) {
+    if (start < end) {
+      if (now < start || now >= end) return false;
+    } else {
+      if (now < end) {
+        day = (day + 6) % 7;
+      } else if (now < start) {
+        return false;
+      }
+    }
+  } else if (start !== null && end === null && now < start) {
+    return false;
+  } else if (end !== null && start === null && now >= end) {
+    return false;
+  }
+
+  return days.length === 0 || days.map(Number).includes(day);
+};
+
+/**
+ * Check whether a rule targets a product (empty category / product lists = every product)
+ */
+const ruleAppliesToProduct = (rule, product) => {
+  const categoryIds = (rule.applicableCategories || []).map(String);
+  const productIds = (rule.applicableProducts || []).map(String);
+  if (categoryIds.length === 0 && productIds.length === 0) return true;
+
+  return productIds.includes(String(product._id)) ||
+    (product.categoryId && categoryIds.includes(String(product.categoryId)));
+};
+
+/**
+ * Apply a rule's adjustment to a price
+ * @returns {number} Adjusted price, never below 0
+ */
+const applyPriceAdjustment = (rule, price) => {
+  const value = parseFloat(rule.value) || 0;
+  const sign = rule.direction === 'increase' ? 1 : -1;
+  let adjusted;
+
+  if (rule.adjustmentType === 'fixed') {
+    adjusted = value;
+  } else if (rule.adjustmentType === 'percentage') {
+    adjusted = price + sign * price * (value / 100);
+  } else {
+    adjusted = price + sign * value;
+  }
+
+  return Math.max(0, roundAmount(adjusted));
+};
+
+// Price a product is normally sold at (same fallbacks the menus use)
+const getRegularPrice = (product) => roundAmount(
+  product?.pricing?.basePrice ?? product?.pricing?.sellingPrice ?? product?.sellingPrice ?? 0
+);
+
+/**
+ * Work out the price of a product right now
+ * @param {Array} rules - Pricing rules of the theater
+ * @param {Object} product - Product (needs _id, categoryId, pricing)
+ * @param {Date} at - Moment to price at
+ * @param {string} timeZone - Theater time zone
+ * @returns {Object} { price, regularPrice, rule, hasRules }
+ *   hasRules is true when any rule targets the product, even if none is running at the moment
+ */
+const resolveProductPrice = (rules, product, at = new Date(), timeZone = DEFAULT_TIME_ZONE) => {
+  const regularPrice = getRegularPrice(product);
+  const targeting = (rules || []).filter(rule => rule.isActive !== false && ruleAppliesToProduct(rule, product));
+
+  // Highest priority wins, the most recently updated rule breaks ties
+  const rule = targeting
+    .filter(candidate => isRuleActiveAt(candidate, at, timeZone))
+    .sort((a, b) => (b.priority || 0) - (a.priority || 0) ||
+      new Date(b.updatedAt || 0) - new Date(a.updatedAt || 0))[0] || null;
+
+  return {
+    price: rule ? applyPriceAdjustment(rule, regularPrice) : regularPrice,
+    regularPrice,
+    rule,
+    hasRules: targeting.length > 0
+  };
+};
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  toMinutes,
+  getLocalClock,
+  isRuleActiveAt,
+  ruleAppliesToProduct,
+  applyPriceAdjustment,
+  getRegularPrice,
+  resolveProductPrice
+};
@@ -0,0 +1,72 @@
+const { isRuleActiveAt, getLocalClock, resolveProductPrice } = require('./pricingRules');
+
+// 2026-10-16 is a Friday; India is UTC+05:30
+const ist = (localDateTime) => new Date(`${localDateTime}+05:30`);
+
+describe('getLocalClock', () => {
+  it('reads the theater wall clock, not the server clock', () => {
+    expect(getLocalClock(new Date('2026-10-16T19:45:00Z'), 'Asia/Kolkata')).toEqual({ day: 6, minutes: 75 });
+    expect(getLocalClock(new Date('2026-10-16T19:45:00Z'), 'UTC')).toEqual({ day: 5, minutes: 1185 });
+  });
+
+  it('falls back to India time for an unknown time zone', () => {
+    expect(getLocalClock(ist('2026-10-16T09:30:00'), 'Not/AZone')).toEqual({ day: 5, minutes: 570 });
+  });
+});
+
+describe('isRuleActiveAt', () => {
+  const lateFriday = { daysOfWeek: [5], startTime: '22:00', endTime: '02:00' };
+
+  it('runs a window past midnight into the next morning', () => {
+    expect(isRuleActiveAt(lateFriday, ist('2026-10-16T21:59:00'))).toBe(false);
+    expect(isRuleActiveAt(lateFriday, ist('2026-10-16T22:00:00'))).toBe(true);
+    expect(isRuleActiveAt(lateFriday, ist('2026-10-16T23:59:00'))).toBe(true);
+    // 01:00 on Saturday is still Friday night
+    expect(isRuleActiveAt(lateFriday, ist('2026-10-17T01:00:00'))).toBe(true);
+    expect(isRuleActiveAt(lateFriday, ist('2026-10-17T02:00:00'))).toBe(false);
+  });
+
+  it('does not carry a Thursday night into Friday morning', () => {
+    expect(isRuleActiveAt(lateFriday, ist('2026-10-16T01:00:00'))).toBe(false);
+  });
+
+  it('evaluates in the theater time zone whatever the server time zone is', () => {
+    // 19:45 UTC on Friday is 01:15 on Saturday in India
+    const at = new Date('2026-10-16T19:45:00Z');
+    expect(isRuleActiveAt(lateFriday, at, 'Asia/Kolkata')).toBe(true);
+    expect(isRuleActiveAt(lateFriday, at, 'UTC')).toBe(false);
+  });
+
+  it('keeps same-day windows to their hours', () => {
+    const happyHour = { daysOfWeek: [], startTime: '15:00', endTime: '18:00' };
+    expect(isRuleActiveAt(happyHour, ist('2026-10-16T14:59:00'))).toBe(false);
+    expect(isRuleActiveAt(happyHour, ist('2026-10-16T15:00:00'))).toBe(true);
+    expect(isRuleActiveAt(happyHour, ist('2026-10-16T18:00:00'))).toBe(false);
+  });
+
+  it('respects disabled rules and validity dates', () => {
+    const at = ist('2026-10-16T12:00:00');
+    expect(isRuleActiveAt({ isActive: false }, at)).toBe(false);
+    expect(isRuleActiveAt({ validFrom: ist('2026-10-17T00:00:00') }, at)).toBe(false);
+    expect(isRuleActiveAt({ validUntil: ist('2026-10-15T23:59:00') }, at)).toBe(false);
+    expect(isRuleActiveAt({}, at)).toBe(true);
+  });
+});
+
+describe('resolveProductPrice', () => {
+  it('prices with the highest priority rule running at the theater time', () => {
+    const product = { _id: 'p1', categoryId: 'c1', pricing: { basePrice: 200 } };
+    const rules = [
+      { name: 'Late night', adjustmentType: 'percentage', direction: 'decrease', value: 10, startTime: '22:00', endTime: '02:00', priority: 1 },
+      { name: 'Weekend', adjustmentType: 'amount', direction: 'increase', value: 20, daysOfWeek: [6], priority: 2 }
+    ];
+
+    // 01:15 on Saturday in India: both rules run, the weekend bump wins on priority
+    const result = resolveProductPrice(rules, product, new Date('2026-10-16T19:45:00Z'), 'Asia/Kolkata');
+    expect(result.rule.name).toBe('Weekend');
+    expect(result.price).toBe(220);
+
+    // 23:00 on Friday in India: only the late night discount
+    expect(resolveProductPrice(rules, product, ist('2026-10-16T23:00:00')).price).toBe(180);
+  });
+});
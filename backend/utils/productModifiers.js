@@ -0,0 +1,229 @@
+/**
+ * Product Modifiers Utility (Backend)
+ * Modifier groups ("Size", "Add-ons") are kept on the product's `variants` array:
+ *   { _id, name, required, minSelections, maxSelections, options: [{ _id, label, price, stock }] }
+ * An option's price is added to the product price; stock is null when the option is not counted
+ */
+const mongoose = require('mongoose');
+
+const roundAmount = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const toObjectId = (value) => (
+  value && mongoose.Types.ObjectId.isValid(String(value))
+    ? new mongoose.Types.ObjectId(String(value))
+    : new mongoose.Types.ObjectId()
+);
+
+// Legacy variants were saved without ids - fall back to the names
+const getGroupId = (group) => String(group._id || group.name || '');
+const getOptionId = (option) => String(option._id || option.label || '');
+
+/**
+ * Modifier groups of a product (groups without options are ignored)
+ */
+const getModifierGroups = (product) => (Array.isArray(product?.variants) ? product.variants : [])
+  .filter(group => group && Array.isArray(group.options) && group.options.length > 0);
+
+/**
+ * Clean up modifier groups sent by the product form
+ * Keeps existing ids so orders keep pointing at the same options after an edit
+ * @param {Array} groups - Groups from the request body
+ * @returns {Array} Groups ready to store on the product
+ */
+const normalizeModifierGroups = (groups) => {
+  if (groups === undefined || groups === null || groups === '') return [];
+
+  let parsed = groups;
+  if (typeof parsed === 'string') {
+    try {
+      parsed = JSON.parse(parsed);
+    } catch {
+      throw new Error('Modifier groups must be a list');
+    }
+  }
+  if (!Array.isArray(parsed)) {
+    throw new Error('Modifier groups must be a list');
+  }
+
+  return parsed.map((group, index) => {
+    const name = String(group?.name || '').trim();
+    if (!name) {
+      throw new Error(`Modifier group ${index + 1} needs a name`);
+    }
+
+    const options = (Array.isArray(group.options) ? group.options : [])
+      .map(option => {
+        const label = String(option?.label || '').trim();
+        if (!label) return null;
+
+        const price = parseFloat(option.price);
+        const stock = option.stock === '' || option.stock === null || option.stock === undefined
+          ? null
+          : parseInt(option.stock, 10);
+        if (stock !== null && (isNaN(stock) || stock < 0)) {
+          throw new Error(`Modifier option "${label}" in "${name}" has an invalid stock`);
+        }
+
+        return {
+          _id: toObjectId(option._id),
+          label,
+          price: isNaN(price) ? 0 : roundAmount(price),
+          sku: option.sku || undefined,
+          stock
+        };
+      })
+      .filter(Boolean);
+
+    if (options.length === 0) {
+      throw new Error(`Modifier group "${name}" needs at least one option`);
+    }
+
+    const required = group.required === true || group.required === 'true';
+    let minSelections = parseInt(group.minSelections, 10) || 0;
+    let maxSelections = parseInt(group.maxSelections, 10) || 0;
+    if (required && minSelections < 1) minSelections = 1;
+    if (maxSelections <= 0 || maxSelections > options.length) maxSelections = options.length;
+
+    if (minSelections > maxSelections) {
+      throw new Error(`Modifier group "${name}" asks for more selections (${minSelections}) than it allows (${maxSelections})`);
+    }
+
+    return {
+      _id: toObjectId(group._id),
+      name,
+      required: minSelections > 0,
+      minSelections,
+      maxSelections,
+      options
+    };
+  });
+};
+
+/**
+ * Check the options picked for an order line against the product's modifier groups
+ * @param {Object} product - Product from the product list
+ * @param {Array} selections - [{ groupId, optionId }] sent by the cart
+ * @returns {Object} { variants, modifierTotal } - variants are stored on the order item
+ */
+const resolveModifierSelections = (product, selections) => {
+  const groups = getModifierGroups(product);
+  const picked = Array.isArray(selections) ? selections : [];
+  const productName = product?.name || 'product';
+
+  if (groups.length === 0) {
+    if (picked.length > 0) {
+      throw new Error(`Modifier options are not available for ${productName}`);
+    }
+    return { variants: [], modifierTotal: 0 };
+  }
+
+  const variants = [];
+  const seen = new Set();
+
+  for (const selection of picked) {
+    const group = groups.find(candidate => getGroupId(candidate) === String(selection?.groupId));
+    const option = group?.options.find(candidate => getOptionId(candidate) === String(selection?.optionId));
+    if (!group || !option) {
+      throw new Error(`Modifier option is no longer available for ${productName} - please pick it again`);
+    }
+
+    const key = `${getGroupId(group)}:${getOptionId(option)}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    variants.push({
+      groupId: group._id || null,
+      name: group.name,
+      optionId: option._id || null,
+      option: option.label,
+      price: roundAmount(option.price)
+    });
+  }
+
+  for (const group of groups) {
+    const count = variants.filter(variant => String(variant.groupId || variant.name) === getGroupId(group)).length;
+    const min = Number(group.minSelections) || (group.required ? 1 : 0);
+    const max = Number(group.maxSelections) || group.options.length;
+
+    if (count < min) {
+      throw new Error(`Modifier "${group.name}" needs ${min === 1 ? 'a choice' : `${min} choices`} for ${productName}`);
+    }
+    if (count > max) {
+      throw new Error(`Modifier "${group.name}" allows at most ${max} choice${max === 1 ? '' : 's'} for ${productName}`);
+    }
+  }
+
+  return {
+    variants,
+    modifierTotal: roundAmount(variants.reduce((sum, variant) => sum + variant.price, 0))
+  };
+};
+
+/**
+ * Stock-counted options used by order items, merged per option
+ * @returns {Array} [{ productId, groupId, optionId, quantity }]
+ */
+const collectModifierStock = (items) => {
+  const totals = new Map();
+
+  for (const item of items || []) {
+    const quantity = Number(item.quantity) || 0;
+    if (!item.productId || quantity <= 0) continue;
+
+    for (const variant of item.variants || []) {
+      if (!variant.groupId || !variant.optionId) continue;
+      const key = `${item.productId}:${variant.groupId}:${variant.optionId}`;
+      const entry = totals.get(key) || {
+        productId: String(item.productId),
+        groupId: String(variant.groupId),
+        optionId: String(variant.optionId),
+        quantity: 0
+      };
+      entry.quantity += quantity;
+      totals.set(key, entry);
+    }
+  }
+
+  return [...totals.values()];
+};
+
+/**
+ * Make sure counted options have enough stock for the whole order
+ * (the same option can be picked on several lines)
+ * @param {Array} productList - Products of the theater
+ * @param {Array} items - Order items with resolved variants
+ */
+const checkModifierStock = (productList, items) => {
+  for (const usage of collectModifierStock(items)) {
+    const product = (productList || []).find(candidate => String(candidate._id) === usage.productId);
+    const group = getModifierGroups(product).find(candidate => String(candidate._id) === usage.groupId);
+    const option = group?.options.find(candidate => String(candidate._id) === usage.optionId);
+    if (!option || option.stock === null || option.stock === undefined) continue;
+
+    const available = Number(option.stock) || 0;
+    if (available < usage.quantity) {
+      throw new Error(
+        `Modifier "${option.label}" for ${product.name || 'product'} is ${available > 0 ? `down to ${available}` : 'sold out'}`
+      );
+    }
+  }
+};
+
+/**
+ * Picked options of an order item as one line for receipts and tickets ("Large, Extra cheese")
+ * Legacy variants without a group id are size labels and stay in the size column
+ */
+const describeModifiers = (item) => (item?.variants || [])
+  .filter(variant => variant && variant.groupId)
+  .map(variant => variant.option)
+  .filter(Boolean)
+  .join(', ');
+
+module.exports = {
+  getModifierGroups,
+  normalizeModifierGroups,
+  resolveModifierSelections,
+  collectModifierStock,
+  checkModifierStock,
+  describeModifiers
+};
@@ -0,0 +1,101 @@
+/**
+ * Product Recipes Utility (Backend)
+ * A recipe (bill of materials) links a product to the ingredient products it is made from:
+ *   recipe: [{ ingredientId, ingredientName, quantity, unit }]
+ * `quantity` + `unit` is what one item uses (e.g. 120 g kernels, 1 Nos tub);
+ * it is converted to the ingredient's cafe stock unit when stock moves
+ */
+const mongoose = require('mongoose');
+
+/**
+ * Recipe lines of a product (lines without an ingredient or quantity are ignored)
+ */
+const getRecipe = (product) => (Array.isArray(product?.recipe) ? product.recipe : [])
+  .filter(line => line && line.ingredientId && Number(line.quantity) > 0);
+
+/**
+ * Clean up a recipe sent by the product form
+ * @param {Array|string} recipe - Recipe lines from the request body (JSON string for multipart forms)
+ * @param {Array} productList - Products of the theater, used to check and name the ingredients
+ * @param {string} productId - Product being saved (a product cannot be its own ingredient)
+ * @returns {Array} Recipe lines ready to store on the product
+ */
+const normalizeRecipe = (recipe, productList, productId = null) => {
+  if (recipe === undefined || recipe === null || recipe === '') return [];
+
+  let parsed = recipe;
+  if (typeof parsed === 'string') {
+    try {
+      parsed = JSON.parse(parsed);
+    } catch {
+      throw new Error('Recipe must be a list of ingredients');
+    }
+  }
+  if (!Array.isArray(parsed)) {
+    throw new Error('Recipe must be a list of ingredients');
+  }
+
+  const seen = new Set();
+
+  return parsed
+    .filter(line => line && line.ingredientId)
+    .map((line, index) => {
+      const ingredientId = String(line.ingredientId);
+      if (!mongoose.Types.ObjectId.isValid(ingredientId)) {
+        throw new Error(`Recipe line ${index + 1} has an invalid ingredient`);
+      }
+      if (productId && ingredientId === String(productId)) {
+        throw new Error('Recipe cannot use the product itself as an ingredient');
+      }
+      if (seen.has(ingredientId)) {
+        throw new Error(`Recipe lists the same ingredient more than once (line ${index + 1})`);
+      }
+      seen.add(ingredientId);
+
+      const ingredient = (productList || []).find(product => String(product._id) === ingredientId);
+      if (!ingredient) {
+        throw new Error(`Recipe ingredient on line ${index + 1} is not a product of this theater`);
+      }
+
+      const quantity = parseFloat(line.quantity);
+      if (isNaN(quantity) || quantity <= 0) {
+        throw new Error(`Recipe quantity for ${ingredient.name || `line ${index + 1}`} must be greater than 0`);
+      }
+
+      return {
+        ingredientId: new mongoose.Types.ObjectId(ingredientId),
+        ingredientName: ingredient.name || '',
+        quantity: Math.round(quantity * 1000) / 1000,
+        unit: String(line.unit || 'Nos').trim() || 'Nos'
+      };
+    });
+};
+
+/**
+ * What one item uses of an ingredient, shaped like a product so
+ * CafeStockService.calculateConsumption can convert it to the stock unit
+ */
+const toIngredientUsage = (line) => ({
+  _id: line.ingredientId,
+  name: line.ingredientName,
+  quantity: line.quantity,
+  quantityUnit: line.unit || 'Nos',
+  noQty: 1
+});
+
+/**
+ * Recipe snapshot kept on order items, so cancellations restore what was actually used
+ */
+const snapshotRecipe = (product) => getRecipe(product).map(line => ({
+  ingredientId: line.ingredientId,
+  ingredientName: line.ingredientName,
+  quantity: line.quantity,
+  unit: line.unit
+}));
+
+module.exports = {
+  getRecipe,
+  normalizeRecipe,
+  toIngredientUsage,
+  snapshotRecipe
+};
@@ -0,0 +1,256 @@
+/**
+ * Settlement Gateways
+ * Pulls captured payments (with their settlement details) from a payment gateway for one day,
+ * normalised to a common record shape used by the reconciliation service:
+ *
+ * {
+ *   provider, gatewayPaymentId, gatewayOrderId, amount (₹), status ('captured'|'refunded'|'failed'),
+ *   refundedAmount, fee, tax, method, capturedAt, settlementId, settledAt
+ * }
+ *
+ * Set RECONCILIATION_FAKE_GATEWAY=true (or PAYMENT_GATEWAY_MOCK_MODE=true) to use the local fake,
+ * which mirrors our own successful transactions unless records were loaded with setFakeSettlements()
+ * or from the JSON file in RECONCILIATION_FAKE_FILE ({ "<theaterId>": { "YYYY-MM-DD": [records] } })
+ */
+
+const fs = require('fs');
+const Razorpay = require('razorpay');
+const PaymentTransaction = require('../models/PaymentTransaction');
+
+const PAGE_SIZE = 100;
+const MAX_PAGES = 50; // 5000 payments a day per gateway account is plenty for a cafe
+const SETTLEMENT_LAG_DAYS = 3; // Payments settle T+1 / T+2, look a little further for their settlement
+
+const USE_FAKE_GATEWAY = process.env.RECONCILIATION_FAKE_GATEWAY === 'true' ||
+  process.env.PAYMENT_GATEWAY_MOCK_MODE === 'true';
+
+const toRupees = (paise) => Math.round(Number(paise) || 0) / 100;
+
+const razorpayStatus = (status) => {
+  if (status === 'captured') return 'captured';
+  if (status === 'refunded') return 'refunded';
+  return 'failed'; // created / authorized (never captured) / failed
+};
+
+/**
+ * Razorpay: payments created during the day, joined with the settlement recon report
+ */
+async function fetchRazorpayPayments(razorpayConfig, dayStart, dayEnd) {
+  const razorpay = new Razorpay({
+    key_id: razorpayConfig.keyId.trim(),
+    key_secret: razorpayConfig.keySecret.trim()
+  });
+
+  const payments = [];
+  for (let page = 0; page < MAX_PAGES; page++) {
+    const result = await razorpay.payments.all({
+      from: Math.floor(dayStart.getTime() / 1000),
+      to: Math.floor(dayEnd.getTime() / 1000),
+      count: PAGE_SIZE,
+      skip: page * PAGE_SIZE
+    });
+    const items = result?.items || [];
+    payments.push(...items);
+    if (items.length < PAGE_SIZE) break;
+  }
+
+  // Settlement recon rows for the following days tell us which settlement each payment went into
+  const settlements = new Map();
+  for (let offset = 0; offset <= SETTLEMENT_LAG_DAYS; offset++) {
+    const day = new Date(dayStart.getTime() + offset * 24 * 60 * 60 * 1000);
+    if (day > new Date()) break;
+    try {
+      const report = await razorpay.settlements.reports({
+        year: day.getFullYear(),
+        month: day.getMonth() + 1,
+        day: day.getDate(),
+        count: 1000
+      });
+      (report?.items || []).forEach(row => {
+        if (row.type === 'payment' && row.entity_id) {
+          settlements.set(row.entity_id, {
+            settlementId: row.settlement_id,
+            settledAt: row.settled_at ? new Date(row.settled_at * 1000) : null
+          });
+        }
+      });
+    } catch (error) {
+      // Settlement reports are optional - matching only needs the payments list
+      console.warn(`⚠️ [SettlementGateways] Razorpay settlement report unavailable: ${error.error?.description || error.message}`);
+      break;
+    }
+  }
+
+  return payments.map(payment => ({
+    provider: 'razorpay',
+    gatewayPaymentId: payment.id,
+    gatewayOrderId: payment.order_id,
+    amount: toRupees(payment.amount),
+    status: razorpayStatus(payment.status),
+    refundedAmount: toRupees(payment.amount_refunded),
+    fee: toRupees(payment.fee),
+    tax: toRupees(payment.tax),
+    method: payment.method,
+    capturedAt: payment.created_at ? new Date(payment.created_at * 1000) : null,
+    settlementId: settlements.get(payment.id)?.settlementId || null,
+    settledAt: settlements.get(payment.id)?.settledAt || null
+  }));
+}
+
+/**
+ * Cashfree: settlement reconciliation events for the day
+ */
+async function fetchCashfreePayments(cashfreeConfig, dayStart, dayEnd) {
+  const axios = require('axios');
+  const apiVersion = cashfreeConfig.apiVersion || '2022-09-01';
+  const baseUrl = cashfreeConfig.testMode
+    ? 'https://sandbox.cashfree.com/pg'
+    : 'https://api.cashfree.com/pg';
+
+  const events = [];
+  let cursor = null;
+  for (let page = 0; page < MAX_PAGES; page++) {
+    const response = await axios.post(
+      `${baseUrl}/settlement/recon`,
+      {
+        pagination: { limit: PAGE_SIZE, ...(cursor && { cursor }) },
+        filters: {
+          start_date: dayStart.toISOString(),
+          end_date: dayEnd.toISOString()
+        }
+      },
+      {
+        headers: {
+          'x-client-id': cashfreeConfig.appId.trim(),
+          'x-client-secret': cashfreeConfig.secretKey.trim(),
+          'x-api-version': apiVersion,
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+    events.push(...(response.data?.data || []));
+    cursor = response.data?.cursor;
+    if (!cursor) break;
+  }
+
+  return events
+    .filter(event => event.event_type === 'PAYMENT')
+    .map(event => ({
+      provider: 'cashfree',
+      gatewayPaymentId: String(event.cf_payment_id || event.event_id),
+      gatewayOrderId: event.order_id,
+      amount: Number(event.event_amount) || 0,
+      status: event.event_status === 'SUCCESS' ? 'captured' : 'failed',
+      refundedAmount: 0,
+      fee: Number(event.service_charge) || 0,
+      tax: Number(event.service_tax) || 0,
+      method: event.payment_group,
+      capturedAt: event.event_time ? new Date(event.event_time) : null,
+      settlementId: event.cf_settlement_id ? String(event.cf_settlement_id) : null,
+      settledAt: event.settlement_date ? new Date(event.settlement_date) : null
+    }));
+}
+
+// ----- Local fake -----
+
+const fakeSettlements = new Map(); // key: `${theaterId}_${date}`, value: records
+
+/**
+ * Load the gateway records the fake returns for a theater and day (used by tests / local runs)
+ */
+function setFakeSettlements(theaterId, date, records) {
+  fakeSettlements.set(`${theaterId}_${date}`, records);
+}
+
+function clearFakeSettlements() {
+  fakeSettlements.clear();
+}
+
+function readFakeFile(theaterId, date) {
+  const file = process.env.RECONCILIATION_FAKE_FILE;
+  if (!file || !fs.existsSync(file)) return null;
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return data?.[theaterId]?.[date] || null;
+  } catch (error) {
+    console.warn(`⚠️ [SettlementGateways] Could not read ${file}: ${error.message}`);
+    return null;
+  }
+}
+
+async function fetchFakePayments(theaterId, date, dayStart, dayEnd) {
+  const records = fakeSettlements.get(`${theaterId}_${date}`) || readFakeFile(String(theaterId), date);
+  if (records) {
+    return records.map(record => ({ provider: 'fake', status: 'captured', refundedAmount: 0, fee: 0, tax: 0, ...record }));
+  }
+
+  // Nothing loaded: behave like a gateway that agrees with every successful payment we recorded
+  const transactions = await PaymentTransaction.find({
+    theaterId,
+    status: { $in: ['success', 'partially_refunded', 'refunded'] },
+    'gateway.provider': { $in: ['razorpay', 'cashfree'] },
+    $or: [
+      { completedAt: { $gte: dayStart, $lte: dayEnd } },
+      { completedAt: null, initiatedAt: { $gte: dayStart, $lte: dayEnd } }
+    ]
+  }).lean();
+
+  return transactions.map(transaction => ({
+    provider: transaction.gateway.provider,
+    gatewayPaymentId: transaction.gateway.paymentId || `fake_${transaction._id}`,
+    gatewayOrderId: transaction.gateway.orderId,
+    amount: transaction.amount.value,
+    status: transaction.status === 'refunded' ? 'refunded' : 'captured',
+    refundedAmount: transaction.refundedAmount || 0,
+    fee: 0,
+    tax: 0,
+    method: transaction.method,
+    capturedAt: transaction.completedAt || transaction.initiatedAt,
+    settlementId: `fake_setl_${date}`,
+    settledAt: dayEnd
+  }));
+}
+
+/**
+ * Fetch one day of gateway payments for every gateway configured on the theater
+ * @param {Object} theater - Theater document (paymentGateway.kiosk / paymentGateway.online)
+ * @param {string} date - YYYY-MM-DD
+ * @param {Date} dayStart - Start of the day
+ * @param {Date} dayEnd - End of the day
+ * @returns {Object} - { providers: [...], records: [...] } records de-duplicated by gateway payment ID
+ */
+async function fetchGatewayPayments(theater, date, dayStart, dayEnd) {
+  if (USE_FAKE_GATEWAY) {
+    return { providers: ['fake'], records: await fetchFakePayments(theater._id, date, dayStart, dayEnd) };
+  }
+
+  // Kiosk and online channels can share a gateway account - fetch each account once
+  const accounts = new Map();
+  ['online', 'kiosk'].forEach(channel => {
+    const gatewayConfig = theater.paymentGateway?.[channel];
+    if (gatewayConfig?.razorpay?.enabled && gatewayConfig.razorpay.keyId && gatewayConfig.razorpay.keySecret) {
+      accounts.set(`razorpay_${gatewayConfig.razorpay.keyId.trim()}`, { provider: 'razorpay', config: gatewayConfig.razorpay });
+    }
+    if (gatewayConfig?.cashfree?.enabled && gatewayConfig.cashfree.appId && gatewayConfig.cashfree.secretKey) {
+      accounts.set(`cashfree_${gatewayConfig.cashfree.appId.trim()}`, { provider: 'cashfree', config: gatewayConfig.cashfree });
+    }
+  });
+
+  const records = new Map();
+  const providers = new Set();
+  for (const { provider, config } of accounts.values()) {
+    const fetched = provider === 'razorpay'
+      ? await fetchRazorpayPayments(config, dayStart, dayEnd)
+      : await fetchCashfreePayments(config, dayStart, dayEnd);
+    providers.add(provider);
+    fetched.forEach(record => records.set(`${provider}_${record.gatewayPaymentId}`, record));
+  }
+
+  return { providers: [...providers], records: [...records.values()] };
+}
+
+module.exports = {
+  fetchGatewayPayments,
+  setFakeSettlements,
+  clearFakeSettlements
+};
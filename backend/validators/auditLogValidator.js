@@ -0,0 +1,48 @@
+const { param, query, validationResult } = require('express-validator');
+
+const AUDIT_ACTIONS = ['create', 'update', 'delete', 'cancel', 'approve', 'reject', 'refund'];
+
+const searchQuery = [
+  query('entityType').optional({ checkFalsy: true }).isString().isLength({ max: 50 }),
+  query('action').optional({ checkFalsy: true }).isIn(AUDIT_ACTIONS).withMessage('Invalid audit action'),
+  query('actor').optional({ checkFalsy: true }).isString().isLength({ max: 100 }),
+  query('search').optional({ checkFalsy: true }).isString().isLength({ max: 100 }),
+  query('entityId').optional({ checkFalsy: true }).isString().isLength({ max: 50 }),
+  query('startDate').optional({ checkFalsy: true }).isISO8601().withMessage('Invalid start date'),
+  query('endDate').optional({ checkFalsy: true }).isISO8601().withMessage('Invalid end date'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200')
+];
+
+/**
+ * Audit Log Validators
+ */
+const auditLogValidator = {
+  getAll: [
+    query('theaterId').optional({ checkFalsy: true }).isMongoId().withMessage('Valid theater ID is required'),
+    ...searchQuery
+  ],
+
+  getByTheater: [
+    param('theaterId').isMongoId().withMessage('Valid theater ID is required'),
+    ...searchQuery
+  ]
+};
+
+/**
+ * Middleware to check validation results
+ */
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      message: errors.array().map(e => e.msg).join(', '),
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+module.exports = { auditLogValidator, validate };
@@ -0,0 +1,80 @@
+const { body, param, query, validationResult } = require('express-validator');
+
+const COUNTED_METHODS = ['cash', 'card', 'upi', 'online'];
+
+const theaterParam = param('theaterId').isMongoId().withMessage('Valid theater ID is required');
+const shiftParams = [
+  theaterParam,
+  param('shiftId').isMongoId().withMessage('Valid shift ID is required')
+];
+
+/**
+ * Cashier Shift Validators
+ */
+const cashierShiftValidator = {
+  getCurrent: [theaterParam],
+
+  getShifts: [
+    theaterParam,
+    query('date').optional().matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Date must be YYYY-MM-DD'),
+    query('status').optional().isIn(['open', 'closed']).withMessage('Status must be open or closed')
+  ],
+
+  open: [
+    theaterParam,
+    body('openingFloat')
+      .isFloat({ min: 0, max: 1000000 })
+      .withMessage('Opening float must be a positive amount')
+      .toFloat(),
+    body('note').optional().isString().isLength({ max: 250 })
+  ],
+
+  addCashMovement: [
+    ...shiftParams,
+    body('type').isIn(['cash_in', 'cash_out']).withMessage('Type must be cash_in or cash_out'),
+    body('amount')
+      .isFloat({ min: 0.01, max: 1000000 })
+      .withMessage('Amount must be greater than 0')
+      .toFloat(),
+    body('reason').trim().notEmpty().withMessage('Reason is required').isLength({ max: 250 })
+  ],
+
+  close: [
+    ...shiftParams,
+    body('counted').isObject().withMessage('Counted amounts are required'),
+    body('counted.cash')
+      .isFloat({ min: 0 })
+      .withMessage('Counted cash is required'),
+    body('counted').custom(counted => {
+      const invalid = Object.entries(counted || {}).find(([method, amount]) =>
+        !COUNTED_METHODS.includes(method) ||
+        (amount !== null && amount !== '' && (isNaN(Number(amount)) || Number(amount) < 0))
+      );
+      if (invalid) {
+        throw new Error(`Invalid counted amount for ${invalid[0]}`);
+      }
+      return true;
+    }),
+    body('note').optional().isString().isLength({ max: 500 })
+  ],
+
+  getZReport: shiftParams
+};
+
+/**
+ * Middleware to check validation results
+ */
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      message: errors.array().map(e => e.msg).join(', '),
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+module.exports = { cashierShiftValidator, validate };
@@ -0,0 +1,78 @@
+const { body, param, validationResult } = require('express-validator');
+
+const couponBodyRules = (isUpdate) => {
+  const required = (chain) => (isUpdate ? chain.optional() : chain);
+  return [
+    required(body('code')).trim().matches(/^[A-Za-z0-9_-]{3,20}$/)
+      .withMessage('Code must be 3-20 letters, numbers, - or _'),
+    body('description').optional().isString().isLength({ max: 200 }),
+    required(body('discountType')).isIn(['percentage', 'flat']).withMessage('Discount type must be percentage or flat'),
+    required(body('discountValue')).isFloat({ gt: 0 }).withMessage('Discount value must be greater than 0'),
+    body('minOrderAmount').optional().isFloat({ min: 0 }).withMessage('Minimum order must be 0 or more'),
+    body('maxDiscount').optional({ nullable: true, checkFalsy: true }).isFloat({ gt: 0 }).withMessage('Maximum discount must be greater than 0'),
+    body('usageLimit').optional({ nullable: true, checkFalsy: true }).isInt({ min: 1 }).withMessage('Usage limit must be at least 1'),
+    body('perCustomerLimit').optional({ nullable: true, checkFalsy: true }).isInt({ min: 1 }).withMessage('Per-customer limit must be at least 1'),
+    body('validFrom').optional({ nullable: true, checkFalsy: true }).isISO8601().withMessage('Invalid start date'),
+    body('validUntil').optional({ nullable: true, checkFalsy: true }).isISO8601().withMessage('Invalid end date'),
+    body('applicableCategories').optional().isArray(),
+    body('applicableCategories.*').isMongoId().withMessage('Invalid category'),
+    body('applicableProducts').optional().isArray(),
+    body('applicableProducts.*').isMongoId().withMessage('Invalid product'),
+    body('channels').optional().isArray({ min: 1 }).withMessage('Select at least one channel'),
+    body('channels.*').isIn(['online', 'pos']).withMessage('Invalid channel'),
+    body('isActive').optional().isBoolean()
+  ];
+};
+
+/**
+ * Coupon Validators
+ */
+const couponValidator = {
+  getCoupons: [
+    param('theaterId').isMongoId().withMessage('Valid theater ID is required')
+  ],
+
+  createCoupon: [
+    param('theaterId').isMongoId().withMessage('Valid theater ID is required'),
+    ...couponBodyRules(false)
+  ],
+
+  updateCoupon: [
+    param('theaterId').isMongoId().withMessage('Valid theater ID is required'),
+    param('couponId').isMongoId().withMessage('Valid coupon ID is required'),
+    ...couponBodyRules(true)
+  ],
+
+  deleteCoupon: [
+    param('theaterId').isMongoId().withMessage('Valid theater ID is required'),
+    param('couponId').isMongoId().withMessage('Valid coupon ID is required')
+  ],
+
+  validateCode: [
+    param('theaterId').isMongoId().withMessage('Valid theater ID is required'),
+    body('code').trim().notEmpty().withMessage('Coupon code is required'),
+    body('items').isArray({ min: 1 }).withMessage('Cart must have at least one item'),
+    body('items.*.productId').notEmpty().withMessage('Product ID is required'),
+    body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+    body('channel').optional().isIn(['online', 'pos']).withMessage('Invalid channel'),
+    body('customerPhone').optional({ nullable: true, checkFalsy: true }).isString()
+  ]
+};
+
+/**
+ * Middleware to check validation results
+ */
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      message: errors.array().map(e => e.msg).join(', '),
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+module.exports = { couponValidator, validate };
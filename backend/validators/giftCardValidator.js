@@ -0,0 +1,79 @@
+const { body, param, query, validationResult } = require('express-validator');
+
+const theaterParam = param('theaterId').isMongoId().withMessage('Valid theater ID is required');
+const cardParam = param('cardId').isMongoId().withMessage('Valid gift card ID is required');
+
+const loadRules = [
+  body('amount').isFloat({ gt: 0 }).withMessage('Amount must be greater than 0'),
+  body('paymentMethod').isIn(['cash', 'card', 'upi']).withMessage('Payment method must be cash, card or UPI'),
+  body('note').optional().isString().isLength({ max: 200 })
+];
+
+/**
+ * Gift Card Validators
+ */
+const giftCardValidator = {
+  getCards: [
+    theaterParam,
+    query('status').optional({ checkFalsy: true }).isIn(['active', 'blocked']),
+    query('search').optional().isString().isLength({ max: 50 }),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 200 })
+  ],
+
+  issueCard: [
+    theaterParam,
+    ...loadRules,
+    body('customerName').optional().isString().isLength({ max: 100 }),
+    body('customerPhone').optional({ checkFalsy: true }).matches(/^\+?\d{10,13}$/).withMessage('Invalid phone number'),
+    body('expiresAt').optional({ nullable: true, checkFalsy: true }).isISO8601().withMessage('Invalid expiry date')
+  ],
+
+  checkBalance: [
+    theaterParam,
+    body('code').isString().trim().isLength({ min: 4, max: 32 }).withMessage('Gift card code is required')
+  ],
+
+  getLedger: [
+    theaterParam,
+    query('startDate').optional().isISO8601(),
+    query('endDate').optional().isISO8601(),
+    query('type').optional({ checkFalsy: true }).isIn(['issue', 'topup', 'redeem', 'refund', 'block', 'unblock'])
+  ],
+
+  getCard: [
+    theaterParam,
+    cardParam
+  ],
+
+  topUpCard: [
+    theaterParam,
+    cardParam,
+    ...loadRules
+  ],
+
+  setCardStatus: [
+    theaterParam,
+    cardParam,
+    body('status').isIn(['active', 'blocked']).withMessage('Status must be active or blocked'),
+    body('note').optional().isString().isLength({ max: 200 })
+  ]
+};
+
+/**
+ * Middleware to check validation results
+ */
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      message: errors.array().map(e => e.msg).join(', '),
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+module.exports = { giftCardValidator, validate };
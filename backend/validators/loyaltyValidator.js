@@ -0,0 +1,42 @@
+const { body, param, validationResult } = require('express-validator');
+
+/**
+ * Loyalty Validators
+ */
+const loyaltyValidator = {
+  getProgram: [
+    param('theaterId').isMongoId().withMessage('Valid theater ID is required')
+  ],
+
+  updateProgram: [
+    param('theaterId').isMongoId().withMessage('Valid theater ID is required'),
+    body('isEnabled').optional().isBoolean(),
+    body('earnRate').optional().isFloat({ min: 0 }).withMessage('Earn rate must be 0 or more'),
+    body('pointValue').optional().isFloat({ min: 0.01 }).withMessage('Point value must be at least ₹0.01'),
+    body('minRedeemPoints').optional().isInt({ min: 0 }).withMessage('Minimum points must be 0 or more'),
+    body('maxRedeemPercent').optional().isFloat({ min: 0, max: 100 }).withMessage('Redemption cap must be between 0 and 100%'),
+    body('expiryDays').optional().isInt({ min: 0 }).withMessage('Expiry must be 0 (never) or more days')
+  ],
+
+  getWallet: [
+    param('theaterId').isMongoId().withMessage('Valid theater ID is required')
+  ]
+};
+
+/**
+ * Middleware to check validation results
+ */
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      message: errors.array().map(e => e.msg).join(', '),
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+module.exports = { loyaltyValidator, validate };
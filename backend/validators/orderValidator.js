@@ -1,4 +1,4 @@
-const { body, query, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 
 /**
  * Order Validators
@@ -17,7 +17,18 @@ const orderValidator = {
     body('theaterId').isMongoId().withMessage('Valid theater ID is required'),
     body('items').isArray({ min: 1 }).withMessage('Order must have at least one item'),
     body('items.*.productId').isMongoId().withMessage('Valid product ID is required'),
-    body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1')
+    body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+    body('items.*.modifiers').optional().isArray().withMessage('Item modifiers must be a list'),
+    body('deliverAt').optional().isIn(['now', 'interval']).withMessage('Invalid delivery time'),
+    body('tenders').optional().isArray({ min: 1, max: 5 }).withMessage('Tenders must be a list of 1 to 5 payments'),
+    body('tenders.*.method').optional().isIn(['cash', 'card', 'upi', 'giftcard']).withMessage('Invalid tender method'),
+    body('tenders.*.amount').optional().isFloat({ gt: 0 }).withMessage('Tender amount must be greater than 0'),
+    body('tenders.*.received').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Cash received must be a positive number'),
+    body('tenders.*.reference').optional({ nullable: true }).isString().isLength({ max: 64 }).withMessage('Invalid tender reference'),
+    body('giftCardCode').optional({ nullable: true }).isString().isLength({ max: 32 }).withMessage('Invalid gift card code'),
+    body('couponCode').optional({ nullable: true }).isString().isLength({ max: 32 }).withMessage('Invalid coupon code'),
+    body('redeemPoints').optional({ nullable: true }).isInt({ min: 0 }).withMessage('Points to redeem must be a whole number'),
+    body('customerToken').optional({ nullable: true }).isString().withMessage('Invalid customer token')
   ],
 
   updateStatus: [
@@ -25,6 +36,29 @@ const orderValidator = {
       .withMessage('Invalid order status')
   ],
 
+  getKitchenTickets: [
+    param('theaterId').isMongoId().withMessage('Valid theater ID is required'),
+    query('hours').optional().isInt({ min: 1, max: 48 })
+  ],
+
+  bumpKitchenTicket: [
+    param('theaterId').isMongoId().withMessage('Valid theater ID is required'),
+    param('orderId').isMongoId().withMessage('Valid order ID is required'),
+    body('expectedStatus').optional().isIn(['confirmed', 'preparing', 'ready'])
+      .withMessage('Invalid expected status')
+  ],
+
+  getRunnerQueue: [
+    param('theaterId').isMongoId().withMessage('Valid theater ID is required'),
+    query('hours').optional().isInt({ min: 1, max: 48 })
+  ],
+
+  updateRunnerDelivery: [
+    param('theaterId').isMongoId().withMessage('Valid theater ID is required'),
+    param('orderId').isMongoId().withMessage('Valid order ID is required'),
+    param('action').isIn(['claim', 'release', 'deliver']).withMessage('Invalid delivery action')
+  ],
+
   getTheaterNested: [
     query('theaterId').optional().isMongoId(),
     query('page').optional().isInt({ min: 1 }),
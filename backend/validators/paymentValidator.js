@@ -0,0 +1,76 @@
+const { body, param, query, validationResult } = require('express-validator');
+
+/**
+ * Payment Validators
+ */
+const paymentValidator = {
+  getRefunds: [
+    param('theaterId').isMongoId().withMessage('Valid theater ID is required'),
+    param('orderId').isMongoId().withMessage('Valid order ID is required')
+  ],
+
+  getCustomerRefunds: [
+    param('theaterId').isMongoId().withMessage('Valid theater ID is required'),
+    param('orderId').isMongoId().withMessage('Valid order ID is required'),
+    query('phone').trim().notEmpty().withMessage('Phone number is required')
+  ],
+
+  refund: [
+    param('theaterId').isMongoId().withMessage('Valid theater ID is required'),
+    param('orderId').isMongoId().withMessage('Valid order ID is required'),
+    body('type').isIn(['full', 'partial']).withMessage('Refund type must be full or partial'),
+    body('amount').optional({ nullable: true }).isFloat({ gt: 0 }).withMessage('Refund amount must be greater than zero'),
+    body('taxAmount').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('GST share cannot be negative'),
+    body('items').optional().isArray().withMessage('Items must be an array'),
+    body('items.*.itemId').optional().notEmpty().withMessage('Item ID is required'),
+    body('items.*.quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+    body('reason').optional().isString().isLength({ max: 250 }),
+    body('restock').optional().isBoolean(),
+    body().custom((value) => {
+      if (value.type === 'partial' && value.amount == null && !(value.items || []).length) {
+        throw new Error('Partial refunds need an amount or items');
+      }
+      return true;
+    })
+  ],
+
+  submitUpiUtr: [
+    body('transactionId').isMongoId().withMessage('Valid transaction ID is required'),
+    body('orderId').optional().isMongoId().withMessage('Valid order ID is required'),
+    body('utr').trim().matches(/^\d{12}$/).withMessage('UTR must be the 12-digit UPI reference number')
+  ],
+
+  getUpiStatus: [
+    param('transactionId').isMongoId().withMessage('Valid transaction ID is required')
+  ],
+
+  getUpiQueue: [
+    param('theaterId').isMongoId().withMessage('Valid theater ID is required')
+  ],
+
+  reviewUpi: [
+    param('theaterId').isMongoId().withMessage('Valid theater ID is required'),
+    param('transactionId').isMongoId().withMessage('Valid transaction ID is required'),
+    param('action').isIn(['approve', 'reject']).withMessage('Action must be approve or reject'),
+    body('utr').optional({ checkFalsy: true }).trim().matches(/^\d{12}$/).withMessage('UTR must be the 12-digit UPI reference number'),
+    body('reason').optional().isString().isLength({ max: 250 })
+  ]
+};
+
+/**
+ * Middleware to check validation results
+ */
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      message: errors.array().map(e => e.msg).join(', '),
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+module.exports = { paymentValidator, validate };
@@ -0,0 +1,68 @@
+const { body, param, validationResult } = require('express-validator');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const pricingRuleBodyRules = (isUpdate) => {
+  const required = (chain) => (isUpdate ? chain.optional() : chain);
+  return [
+    required(body('name')).trim().isLength({ min: 1, max: 80 }).withMessage('Rule name is required (max 80 characters)'),
+    required(body('adjustmentType')).isIn(['percentage', 'amount', 'fixed']).withMessage('Adjustment type must be percentage, amount or fixed'),
+    body('direction').optional().isIn(['decrease', 'increase']).withMessage('Direction must be decrease or increase'),
+    required(body('value')).isFloat({ min: 0 }).withMessage('Value must be 0 or more'),
+    body('daysOfWeek').optional().isArray({ max: 7 }),
+    body('daysOfWeek.*').isInt({ min: 0, max: 6 }).withMessage('Invalid day of week'),
+    body('startTime').optional({ checkFalsy: true }).matches(TIME_PATTERN).withMessage('Start time must be HH:mm'),
+    body('endTime').optional({ checkFalsy: true }).matches(TIME_PATTERN).withMessage('End time must be HH:mm'),
+    body('validFrom').optional({ nullable: true, checkFalsy: true }).isISO8601().withMessage('Invalid start date'),
+    body('validUntil').optional({ nullable: true, checkFalsy: true }).isISO8601().withMessage('Invalid end date'),
+    body('applicableCategories').optional().isArray(),
+    body('applicableCategories.*').isMongoId().withMessage('Invalid category'),
+    body('applicableProducts').optional().isArray(),
+    body('applicableProducts.*').isMongoId().withMessage('Invalid product'),
+    body('priority').optional().isInt({ min: 0, max: 100 }).withMessage('Priority must be between 0 and 100'),
+    body('isActive').optional().isBoolean()
+  ];
+};
+
+/**
+ * Pricing Rule Validators
+ */
+const pricingRuleValidator = {
+  getRules: [
+    param('theaterId').isMongoId().withMessage('Valid theater ID is required')
+  ],
+
+  createRule: [
+    param('theaterId').isMongoId().withMessage('Valid theater ID is required'),
+    ...pricingRuleBodyRules(false)
+  ],
+
+  updateRule: [
+    param('theaterId').isMongoId().withMessage('Valid theater ID is required'),
+    param('ruleId').isMongoId().withMessage('Valid rule ID is required'),
+    ...pricingRuleBodyRules(true)
+  ],
+
+  deleteRule: [
+    param('theaterId').isMongoId().withMessage('Valid theater ID is required'),
+    param('ruleId').isMongoId().withMessage('Valid rule ID is required')
+  ]
+};
+
+/**
+ * Middleware to check validation results
+ */
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      message: errors.array().map(e => e.msg).join(', '),
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+module.exports = { pricingRuleValidator, validate };
@@ -0,0 +1,97 @@
+const { body, param, query, validationResult } = require('express-validator');
+
+const theaterParam = param('theaterId').isMongoId().withMessage('Valid theater ID is required');
+const poParam = param('poId').isMongoId().withMessage('Valid purchase order ID is required');
+
+const purchaseOrderBodyRules = (isUpdate) => {
+  const required = (chain) => (isUpdate ? chain.optional() : chain);
+  return [
+    required(body('supplierId')).isMongoId().withMessage('Supplier is required'),
+    body('destination').optional().isIn(['product', 'cafe']).withMessage('Destination must be product or cafe stock'),
+    body('orderDate').optional({ checkFalsy: true }).isISO8601().withMessage('Invalid order date'),
+    body('expectedDate').optional({ nullable: true, checkFalsy: true }).isISO8601().withMessage('Invalid expected date'),
+    required(body('items')).isArray({ min: 1, max: 200 }).withMessage('At least one item is required'),
+    body('items.*.productId').isMongoId().withMessage('Invalid product'),
+    body('items.*.orderedQuantity').isFloat({ gt: 0 }).withMessage('Ordered quantity must be greater than 0'),
+    body('items.*.unitCost').optional({ checkFalsy: true }).isFloat({ min: 0 }).withMessage('Unit cost must be 0 or more'),
+    body('items.*.unit').optional().isString().isLength({ max: 20 }),
+    body('notes').optional().isString().isLength({ max: 500 })
+  ];
+};
+
+/**
+ * Purchase Order Validators
+ */
+const purchaseOrderValidator = {
+  getPurchaseOrders: [
+    theaterParam,
+    query('status').optional({ checkFalsy: true }).isString(),
+    query('supplierId').optional({ checkFalsy: true }).isMongoId()
+  ],
+
+  getPurchaseOrder: [
+    theaterParam,
+    poParam
+  ],
+
+  getMarginReport: [
+    theaterParam,
+    query('startDate').optional({ checkFalsy: true }).isISO8601().withMessage('Invalid start date'),
+    query('endDate').optional({ checkFalsy: true }).isISO8601().withMessage('Invalid end date')
+  ],
+
+  createPurchaseOrder: [
+    theaterParam,
+    body('status').optional().isIn(['draft', 'ordered']).withMessage('New purchase orders are draft or ordered'),
+    ...purchaseOrderBodyRules(false)
+  ],
+
+  updatePurchaseOrder: [
+    theaterParam,
+    poParam,
+    ...purchaseOrderBodyRules(true)
+  ],
+
+  updateStatus: [
+    theaterParam,
+    poParam,
+    body('status').isIn(['ordered', 'cancelled', 'closed']).withMessage('Status must be ordered, cancelled or closed')
+  ],
+
+  receiveGoods: [
+    theaterParam,
+    poParam,
+    body('receivedAt').optional({ checkFalsy: true }).isISO8601().withMessage('Invalid receipt date'),
+    body('invoiceNumber').optional().isString().isLength({ max: 50 }),
+    body('notes').optional().isString().isLength({ max: 500 }),
+    body('items').isArray({ min: 1 }).withMessage('At least one received item is required'),
+    body('items.*.itemId').isMongoId().withMessage('Invalid purchase order item'),
+    body('items.*.quantity').isFloat({ min: 0 }).withMessage('Received quantity must be 0 or more'),
+    body('items.*.unitCost').optional({ checkFalsy: true }).isFloat({ min: 0 }).withMessage('Unit cost must be 0 or more'),
+    body('items.*.batchNumber').optional().isString().isLength({ max: 50 }),
+    body('items.*.expireDate').optional({ nullable: true, checkFalsy: true }).isISO8601().withMessage('Invalid expiry date')
+  ],
+
+  deletePurchaseOrder: [
+    theaterParam,
+    poParam
+  ]
+};
+
+/**
+ * Middleware to check validation results
+ */
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      message: errors.array().map(e => e.msg).join(', '),
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+module.exports = { purchaseOrderValidator, validate };
@@ -0,0 +1,51 @@
+const { body, param, query, validationResult } = require('express-validator');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const dateRange = [
+  query('date').optional().matches(DATE_PATTERN).withMessage('Date must be YYYY-MM-DD'),
+  query('startDate').optional().matches(DATE_PATTERN).withMessage('Start date must be YYYY-MM-DD'),
+  query('endDate').optional().matches(DATE_PATTERN).withMessage('End date must be YYYY-MM-DD')
+];
+
+/**
+ * Reconciliation Validators
+ */
+const reconciliationValidator = {
+  getOverview: dateRange,
+
+  getReports: [
+    param('theaterId').isMongoId().withMessage('Valid theater ID is required'),
+    ...dateRange
+  ],
+
+  run: [
+    param('theaterId').isMongoId().withMessage('Valid theater ID is required'),
+    body('date').matches(DATE_PATTERN).withMessage('Date must be YYYY-MM-DD')
+  ],
+
+  resolveIssue: [
+    param('theaterId').isMongoId().withMessage('Valid theater ID is required'),
+    param('date').matches(DATE_PATTERN).withMessage('Date must be YYYY-MM-DD'),
+    param('issueId').isMongoId().withMessage('Valid issue ID is required'),
+    body('note').optional().isString().isLength({ max: 500 })
+  ]
+};
+
+/**
+ * Middleware to check validation results
+ */
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      message: errors.array().map(e => e.msg).join(', '),
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+module.exports = { reconciliationValidator, validate };
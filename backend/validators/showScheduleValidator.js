@@ -0,0 +1,64 @@
+const { body, param, query, validationResult } = require('express-validator');
+
+/**
+ * Show Schedule Validators
+ */
+const showScheduleValidator = {
+  getSchedule: [
+    param('theaterId').isMongoId().withMessage('Valid theater ID is required'),
+    query('date').optional().isISO8601().withMessage('Date must be YYYY-MM-DD')
+  ],
+
+  getWindow: [
+    param('theaterId').isMongoId().withMessage('Valid theater ID is required'),
+    query('qrName').trim().notEmpty().withMessage('QR name is required')
+  ],
+
+  createShow: [
+    param('theaterId').isMongoId().withMessage('Valid theater ID is required'),
+    body('qrName').trim().notEmpty().withMessage('Screen is required'),
+    body('movieName').optional().isString(),
+    body('startsAt').isISO8601().withMessage('Valid start time is required'),
+    body('intervalAt').optional({ nullable: true, checkFalsy: true }).isISO8601().withMessage('Invalid interval time'),
+    body('endsAt').isISO8601().withMessage('Valid end time is required'),
+    body('isActive').optional().isBoolean()
+  ],
+
+  updateShow: [
+    param('theaterId').isMongoId().withMessage('Valid theater ID is required'),
+    param('showId').isMongoId().withMessage('Valid show ID is required'),
+    body('qrName').optional().trim().notEmpty().withMessage('Screen cannot be empty'),
+    body('movieName').optional().isString(),
+    body('startsAt').optional().isISO8601().withMessage('Invalid start time'),
+    body('intervalAt').optional({ nullable: true, checkFalsy: true }).isISO8601().withMessage('Invalid interval time'),
+    body('endsAt').optional().isISO8601().withMessage('Invalid end time'),
+    body('isActive').optional().isBoolean()
+  ],
+
+  updateSettings: [
+    param('theaterId').isMongoId().withMessage('Valid theater ID is required'),
+    body('openBeforeStartMinutes').optional().isInt({ min: 0, max: 240 }),
+    body('lastOrderBeforeEndMinutes').optional().isInt({ min: 0, max: 240 }),
+    body('intervalCutoffMinutes').optional().isInt({ min: 0, max: 120 }),
+    body('releaseLeadMinutes').optional().isInt({ min: 0, max: 120 }),
+    body('outsideWindow').optional().isIn(['block', 'preorder']).withMessage('Invalid outside-window policy')
+  ]
+};
+
+/**
+ * Middleware to check validation results
+ */
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      message: errors.array().map(e => e.msg).join(', '),
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+module.exports = { showScheduleValidator, validate };
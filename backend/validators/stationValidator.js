@@ -0,0 +1,59 @@
+const { body, param, validationResult } = require('express-validator');
+
+/**
+ * Preparation Station Validators
+ */
+const stationValidator = {
+  create: [
+    param('theaterId').isMongoId().withMessage('Valid theater ID is required'),
+    body('name').trim().notEmpty().withMessage('Station name is required'),
+    body('description').optional().isString(),
+    body('categoryIds').optional().isArray(),
+    body('categoryIds.*').isMongoId().withMessage('Invalid category ID'),
+    body('kioskTypeIds').optional().isArray(),
+    body('kioskTypeIds.*').isMongoId().withMessage('Invalid kiosk type ID'),
+    body('printerName').optional().isString(),
+    body('isDefault').optional().isBoolean(),
+    body('isActive').optional().isBoolean(),
+    body('sortOrder').optional().isInt({ min: 0 })
+  ],
+
+  update: [
+    param('theaterId').isMongoId().withMessage('Valid theater ID is required'),
+    param('stationId').isMongoId().withMessage('Valid station ID is required'),
+    body('name').optional().trim().notEmpty().withMessage('Station name cannot be empty'),
+    body('description').optional().isString(),
+    body('categoryIds').optional().isArray(),
+    body('categoryIds.*').isMongoId().withMessage('Invalid category ID'),
+    body('kioskTypeIds').optional().isArray(),
+    body('kioskTypeIds.*').isMongoId().withMessage('Invalid kiosk type ID'),
+    body('printerName').optional().isString(),
+    body('isDefault').optional().isBoolean(),
+    body('isActive').optional().isBoolean(),
+    body('sortOrder').optional().isInt({ min: 0 })
+  ],
+
+  ticketReady: [
+    param('theaterId').isMongoId().withMessage('Valid theater ID is required'),
+    param('orderId').isMongoId().withMessage('Valid order ID is required'),
+    param('ticketId').isMongoId().withMessage('Valid ticket ID is required')
+  ]
+};
+
+/**
+ * Middleware to check validation results
+ */
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      message: errors.array().map(e => e.msg).join(', '),
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+module.exports = { stationValidator, validate };
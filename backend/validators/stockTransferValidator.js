@@ -0,0 +1,71 @@
+const { body, param, query, validationResult } = require('express-validator');
+
+const theaterParam = param('theaterId').isMongoId().withMessage('Valid theater ID is required');
+const transferParam = param('transferId').isMongoId().withMessage('Valid transfer ID is required');
+
+/**
+ * Stock Transfer Validators
+ */
+const stockTransferValidator = {
+  getTransfers: [
+    theaterParam,
+    query('direction').optional({ checkFalsy: true }).isIn(['incoming', 'outgoing']).withMessage('Invalid transfer direction'),
+    query('status').optional({ checkFalsy: true }).isString(),
+    query('productId').optional({ checkFalsy: true }).isMongoId().withMessage('Valid product ID is required'),
+    query('startDate').optional({ checkFalsy: true }).isISO8601().withMessage('Invalid start date'),
+    query('endDate').optional({ checkFalsy: true }).isISO8601().withMessage('Invalid end date')
+  ],
+
+  getTransferTheaters: [
+    theaterParam
+  ],
+
+  getTransfer: [
+    theaterParam,
+    transferParam
+  ],
+
+  sendTransfer: [
+    theaterParam,
+    body('toTheaterId').isMongoId().withMessage('Valid destination theater is required'),
+    body('stockType').optional().isIn(['product', 'cafe']).withMessage('Stock type must be product or cafe'),
+    body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
+    body('items.*.productId').isMongoId().withMessage('Valid product ID is required'),
+    body('items.*.quantity').isFloat({ gt: 0 }).withMessage('Quantity must be greater than 0'),
+    body('notes').optional().isString().isLength({ max: 500 })
+  ],
+
+  receiveTransfer: [
+    theaterParam,
+    transferParam,
+    body('items').isArray({ min: 1 }).withMessage('Received items are required'),
+    body('items.*.itemId').isMongoId().withMessage('Valid transfer item ID is required'),
+    body('items.*.receivedProductId').isMongoId().withMessage('Valid product ID is required'),
+    body('items.*.receivedQuantity').isFloat({ min: 0 }).withMessage('Received quantity cannot be negative'),
+    body('items.*.discrepancyReason').optional().isString().isLength({ max: 300 }),
+    body('notes').optional().isString().isLength({ max: 500 })
+  ],
+
+  cancelTransfer: [
+    theaterParam,
+    transferParam
+  ]
+};
+
+/**
+ * Middleware to check validation results
+ */
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      message: errors.array().map(e => e.msg).join(', '),
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+module.exports = { stockTransferValidator, validate };
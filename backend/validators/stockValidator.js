@@ -4,12 +4,25 @@ const stockValidator = {
   addEntry: [
     body('date').notEmpty().withMessage('Date is required'),
     body('type').isIn(['ADDED', 'SOLD', 'DAMAGE', 'EXPIRED']).withMessage('Invalid type'),
-    body('quantity').isFloat({ min: 0 }).withMessage('Quantity must be a positive number')
+    body('quantity').isFloat({ min: 0 }).withMessage('Quantity must be a positive number'),
+    body('manufactureDate').optional({ values: 'falsy' }).isISO8601().withMessage('Invalid manufacture date')
+      .custom((value, { req }) => !req.body.expireDate || new Date(value) <= new Date(req.body.expireDate))
+      .withMessage('Manufacture date must be on or before the expiry date'),
+    body('expireDate').optional({ values: 'falsy' }).isISO8601().withMessage('Invalid expiry date')
   ],
   updateEntry: [
     body('date').optional().notEmpty().withMessage('Date cannot be empty'),
     body('type').optional().isIn(['ADDED', 'SOLD', 'DAMAGE', 'EXPIRED']).withMessage('Invalid type'),
     body('quantity').optional().isFloat({ min: 0 }).withMessage('Quantity must be a positive number')
+  ],
+  batches: [
+    query('productId').optional().isMongoId().withMessage('Invalid product ID'),
+    query('days').optional().isInt({ min: 0, max: 365 }).withMessage('Days must be between 0 and 365')
+  ],
+  reorderSuggestions: [
+    query('productId').optional().isMongoId().withMessage('Invalid product ID'),
+    query('leadTimeDays').optional({ checkFalsy: true }).isInt({ min: 0, max: 365 }).withMessage('Lead time must be between 0 and 365 days'),
+    query('coverDays').optional({ checkFalsy: true }).isInt({ min: 1, max: 90 }).withMessage('Cover must be between 1 and 90 days')
   ]
 };
 
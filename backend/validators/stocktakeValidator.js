@@ -0,0 +1,58 @@
+const { body, param, query, validationResult } = require('express-validator');
+
+const theaterParam = param('theaterId').isMongoId().withMessage('Valid theater ID is required');
+const stocktakeParam = param('stocktakeId').isMongoId().withMessage('Valid stocktake ID is required');
+
+/**
+ * Stocktake Validators
+ */
+const stocktakeValidator = {
+  getStocktakes: [
+    theaterParam,
+    query('status').optional({ checkFalsy: true }).isString()
+  ],
+
+  getStocktake: [
+    theaterParam,
+    stocktakeParam
+  ],
+
+  startStocktake: [
+    theaterParam,
+    body('notes').optional().isString().isLength({ max: 500 })
+  ],
+
+  saveCounts: [
+    theaterParam,
+    stocktakeParam,
+    body('counts').isArray({ min: 1 }).withMessage('At least one count is required'),
+    body('counts.*.productId').isMongoId().withMessage('Valid product ID is required'),
+    body('counts.*.countedQuantity')
+      .optional({ values: 'null' })
+      .isFloat({ min: 0 }).withMessage('Counted quantity cannot be negative')
+  ],
+
+  changeStatus: [
+    theaterParam,
+    stocktakeParam,
+    param('action').isIn(['submit', 'reopen', 'approve', 'cancel']).withMessage('Invalid stocktake action')
+  ]
+};
+
+/**
+ * Middleware to check validation results
+ */
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      message: errors.array().map(e => e.msg).join(', '),
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+module.exports = { stocktakeValidator, validate };
@@ -0,0 +1,63 @@
+const { body, param, query, validationResult } = require('express-validator');
+
+const theaterParam = param('theaterId').isMongoId().withMessage('Valid theater ID is required');
+const supplierParam = param('supplierId').isMongoId().withMessage('Valid supplier ID is required');
+
+const supplierBodyRules = (isUpdate) => {
+  const required = (chain) => (isUpdate ? chain.optional() : chain);
+  return [
+    required(body('name')).isString().trim().isLength({ min: 1, max: 100 }).withMessage('Supplier name is required (max 100 characters)'),
+    body('contactPerson').optional().isString().isLength({ max: 100 }),
+    body('phone').optional({ checkFalsy: true }).matches(/^\+?[\d\s-]{8,16}$/).withMessage('Invalid phone number'),
+    body('email').optional({ checkFalsy: true }).isEmail().withMessage('Invalid email address'),
+    body('gstNumber').optional({ checkFalsy: true }).isAlphanumeric().isLength({ min: 15, max: 15 }).withMessage('GST number must be 15 characters'),
+    body('address').optional().isString().isLength({ max: 300 }),
+    body('leadTimeDays').optional({ checkFalsy: true }).isInt({ min: 0, max: 365 }).withMessage('Lead time must be between 0 and 365 days'),
+    body('notes').optional().isString().isLength({ max: 500 }),
+    body('isActive').optional().isBoolean()
+  ];
+};
+
+/**
+ * Supplier Validators
+ */
+const supplierValidator = {
+  getSuppliers: [
+    theaterParam,
+    query('includeInactive').optional().isIn(['true', 'false'])
+  ],
+
+  createSupplier: [
+    theaterParam,
+    ...supplierBodyRules(false)
+  ],
+
+  updateSupplier: [
+    theaterParam,
+    supplierParam,
+    ...supplierBodyRules(true)
+  ],
+
+  deleteSupplier: [
+    theaterParam,
+    supplierParam
+  ]
+};
+
+/**
+ * Middleware to check validation results
+ */
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      message: errors.array().map(e => e.msg).join(', '),
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+module.exports = { supplierValidator, validate };
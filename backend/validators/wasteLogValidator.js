@@ -0,0 +1,60 @@
+const { body, param, query, validationResult } = require('express-validator');
+const WasteLog = require('../models/WasteLog');
+
+const theaterParam = param('theaterId').isMongoId().withMessage('Valid theater ID is required');
+
+const dateRangeRules = [
+  query('startDate').optional({ checkFalsy: true }).isISO8601().withMessage('Invalid start date'),
+  query('endDate').optional({ checkFalsy: true }).isISO8601().withMessage('Invalid end date')
+];
+
+/**
+ * Waste Log Validators
+ */
+const wasteLogValidator = {
+  getWasteLogs: [
+    theaterParam,
+    query('status').optional({ checkFalsy: true }).isString(),
+    ...dateRangeRules
+  ],
+
+  getWasteReport: [
+    theaterParam,
+    ...dateRangeRules
+  ],
+
+  recordWaste: [
+    theaterParam,
+    body('productId').isMongoId().withMessage('Product is required'),
+    body('quantity').isFloat({ gt: 0 }).withMessage('Quantity must be greater than 0'),
+    body('reasonCode').isIn(WasteLog.REASONS).withMessage('Invalid waste reason'),
+    body('reasonNote').optional().isString().isLength({ max: 500 }),
+    body('wasteDate').optional({ checkFalsy: true }).isISO8601().withMessage('Invalid waste date'),
+    body('photoUrl').optional({ checkFalsy: true }).isString().isLength({ max: 1000 }).withMessage('Invalid photo URL')
+  ],
+
+  reviewWasteLog: [
+    theaterParam,
+    param('wasteId').isMongoId().withMessage('Valid waste log ID is required'),
+    param('action').isIn(['approve', 'reject']).withMessage('Action must be approve or reject'),
+    body('reason').optional().isString().isLength({ max: 500 })
+  ]
+};
+
+/**
+ * Middleware to check validation results
+ */
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      message: errors.array().map(e => e.msg).join(', '),
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+module.exports = { wasteLogValidator, validate };
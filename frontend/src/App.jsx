@@ -50,6 +50,7 @@ const CustomerOTPVerification = React.lazy(() => import('./pages/customer/Custom
 const CustomerPayment = React.lazy(() => import('./pages/customer/CustomerPayment'));
 const CustomerOrderSuccess = React.lazy(() => import('./pages/customer/CustomerOrderSuccess'));
 const QRServiceUnavailable = React.lazy(() => import('./pages/customer/QRServiceUnavailable'));
+const PaymentCallback = React.lazy(() => import('./pages/customer/PaymentCallback'));
 const RoleCreate = React.lazy(() => import('./pages/RoleCreate'));
 const RoleManagementList = React.lazy(() => import('./pages/RoleManagementList'));
 const QRCodeNameManagement = React.lazy(() => import('./pages/QRCodeNameManagement'));
@@ -89,6 +90,7 @@ const ComboOffers = React.lazy(() => import('./pages/theater/ComboOffers')); //
 const PaymentGatewayList = React.lazy(() => import('./pages/admin/PaymentGatewayList')); // ✅ Payment Gateway List
 const TheaterPaymentGatewaySettings = React.lazy(() => import('./pages/admin/TheaterPaymentGatewaySettings')); // ✅ Theater Payment Gateway Settings
 const SuperAdminCredentials = React.lazy(() => import('./pages/admin/SuperAdminCredentials')); // ✅ Super Admin Credentials Management
+const AuditLog = React.lazy(() => import('./pages/admin/AuditLog')); // ✅ Audit Log (all theaters)
 // const CachingDemo = React.lazy(() => import('./pages/demo/CachingDemo')); // 🚀 Caching Performance Demo - REMOVED (demo page)
 
 const StockManagement = React.lazy(() => import('./pages/theater/StockManagement'));
@@ -103,6 +105,20 @@ const KioskOrderHistory = React.lazy(() => import('./pages/theater/KioskOrderHis
 const AddProduct = React.lazy(() => import('./pages/theater/AddProduct'));
 const TheaterReports = React.lazy(() => import('./pages/theater/TheaterReports')); // ✅ Theater Reports
 const ProductCancelPage = React.lazy(() => import('./pages/theater/ProductCancelPage')); // ✅ Product Cancel Page
+const KitchenDisplay = React.lazy(() => import('./pages/theater/KitchenDisplay')); // ✅ Kitchen Display
+const TheaterStations = React.lazy(() => import('./pages/theater/TheaterStations')); // ✅ Prep Stations
+const SeatDelivery = React.lazy(() => import('./pages/theater/SeatDelivery')); // ✅ Seat Delivery
+const TheaterShowSchedule = React.lazy(() => import('./pages/theater/TheaterShowSchedule')); // ✅ Show Schedule
+const UpiVerification = React.lazy(() => import('./pages/theater/UpiVerification')); // ✅ UPI Verification
+const TheaterCoupons = React.lazy(() => import('./pages/theater/TheaterCoupons')); // ✅ Coupons
+const TheaterPricingRules = React.lazy(() => import('./pages/theater/TheaterPricingRules')); // ✅ Pricing Rules
+const TheaterLoyalty = React.lazy(() => import('./pages/theater/TheaterLoyalty')); // ✅ Loyalty Points
+const TheaterGiftCards = React.lazy(() => import('./pages/theater/TheaterGiftCards')); // ✅ Gift Cards
+const TheaterPurchasing = React.lazy(() => import('./pages/theater/TheaterPurchasing')); // ✅ Purchasing
+const TheaterWasteLog = React.lazy(() => import('./pages/theater/TheaterWasteLog')); // ✅ Waste log
+const TheaterStocktake = React.lazy(() => import('./pages/theater/TheaterStocktake')); // ✅ Stocktake
+const TheaterStockTransfers = React.lazy(() => import('./pages/theater/TheaterStockTransfers')); // ✅ Stock Transfers
+const TheaterAuditLog = React.lazy(() => import('./pages/theater/TheaterAuditLog')); // ✅ Audit Log
 // const TestAddProductDropdowns = React.lazy(() => import('./components/TestAddProductDropdowns')); // REMOVED (test component)
 // const AuthDebugPage = React.lazy(() => import('./pages/auth/AuthDebugPage')); // REMOVED (debug page)
 
@@ -369,6 +385,9 @@ function App() {
                         {/* <Route path="/caching-demo" element={<CachingDemo />} /> */}
                         <Route path="/qr-unavailable" element={<MobileOnlyRoute><QRServiceUnavailable /></MobileOnlyRoute>} />
 
+                        {/* Return page for PhonePe / Paytm hosted checkout (customer redirects and POS popups) */}
+                        <Route path="/payment/callback" element={<PaymentCallback />} />
+
                         {/* QR Code Redirect Route - Redirects scanned QR codes to customer landing */}
                         <Route path="/menu/:theaterId" element={<MobileOnlyRoute><CustomerLanding /></MobileOnlyRoute>} />
 
@@ -396,6 +415,7 @@ function App() {
                         <Route path="/payment-gateway-list" element={<RoleBasedRoute allowedRoles={['super_admin']}><PaymentGatewayList /></RoleBasedRoute>} />
                         <Route path="/payment-gateway-settings/:theaterId" element={<RoleBasedRoute allowedRoles={['super_admin']}><TheaterPaymentGatewaySettings /></RoleBasedRoute>} />
                         <Route path="/super-admin-credentials" element={<RoleBasedRoute allowedRoles={['super_admin']}><SuperAdminCredentials /></RoleBasedRoute>} />
+                        <Route path="/audit-log" element={<RoleBasedRoute allowedRoles={['super_admin']}><AuditLog /></RoleBasedRoute>} />
                         <Route path="/qr-generate" element={<RoleBasedRoute allowedRoles={['super_admin']}><QRGenerate /></RoleBasedRoute>} />
 
                         <Route path="/qr-management" element={<RoleBasedRoute allowedRoles={['super_admin']}><QRManagement /></RoleBasedRoute>} />
@@ -443,6 +463,20 @@ function App() {
                         <Route path="/theater-reports/:theaterId" element={<RoleBasedRoute allowedRoles={['theater_user', 'theater_admin', 'super_admin']} requiredPermissions={['ReportGeneration']}><TheaterReports /></RoleBasedRoute>} />
                         <Route path="/theater-stock-management/:theaterId" element={<RoleBasedRoute allowedRoles={['theater_user', 'theater_admin', 'super_admin']} requiredPermissions={['StockManagement']}><StockManagement /></RoleBasedRoute>} />
                         <Route path="/product-cancel/:theaterId" element={<RoleBasedRoute allowedRoles={['theater_user', 'theater_admin', 'super_admin']} requiredPermissions={['ProductCancel']}><ProductCancelPage /></RoleBasedRoute>} />
+                        <Route path="/kitchen-display/:theaterId" element={<RoleBasedRoute allowedRoles={['theater_user', 'theater_admin', 'super_admin']} requiredPermissions={['KitchenDisplay']}><KitchenDisplay /></RoleBasedRoute>} />
+                        <Route path="/theater-stations/:theaterId" element={<RoleBasedRoute allowedRoles={['theater_user', 'theater_admin', 'super_admin']} requiredPermissions={['TheaterStations']}><TheaterStations /></RoleBasedRoute>} />
+                        <Route path="/seat-delivery/:theaterId" element={<RoleBasedRoute allowedRoles={['theater_user', 'theater_admin', 'super_admin']} requiredPermissions={['SeatDelivery']}><SeatDelivery /></RoleBasedRoute>} />
+                        <Route path="/theater-show-schedule/:theaterId" element={<RoleBasedRoute allowedRoles={['theater_user', 'theater_admin', 'super_admin']} requiredPermissions={['TheaterShowSchedule']}><TheaterShowSchedule /></RoleBasedRoute>} />
+                        <Route path="/upi-verification/:theaterId" element={<RoleBasedRoute allowedRoles={['theater_user', 'theater_admin', 'super_admin']} requiredPermissions={['UpiVerification']}><UpiVerification /></RoleBasedRoute>} />
+                        <Route path="/theater-coupons/:theaterId" element={<RoleBasedRoute allowedRoles={['theater_user', 'theater_admin', 'super_admin']} requiredPermissions={['TheaterCoupons']}><TheaterCoupons /></RoleBasedRoute>} />
+                        <Route path="/theater-pricing-rules/:theaterId" element={<RoleBasedRoute allowedRoles={['theater_user', 'theater_admin', 'super_admin']} requiredPermissions={['TheaterPricingRules']}><TheaterPricingRules /></RoleBasedRoute>} />
+                        <Route path="/theater-loyalty/:theaterId" element={<RoleBasedRoute allowedRoles={['theater_user', 'theater_admin', 'super_admin']} requiredPermissions={['TheaterLoyalty']}><TheaterLoyalty /></RoleBasedRoute>} />
+                        <Route path="/theater-gift-cards/:theaterId" element={<RoleBasedRoute allowedRoles={['theater_user', 'theater_admin', 'super_admin']} requiredPermissions={['TheaterGiftCards']}><TheaterGiftCards /></RoleBasedRoute>} />
+                        <Route path="/theater-purchasing/:theaterId" element={<RoleBasedRoute allowedRoles={['theater_user', 'theater_admin', 'super_admin']} requiredPermissions={['TheaterPurchasing']}><TheaterPurchasing /></RoleBasedRoute>} />
+                        <Route path="/theater-waste-log/:theaterId" element={<RoleBasedRoute allowedRoles={['theater_user', 'theater_admin', 'super_admin']} requiredPermissions={['TheaterWasteLog']}><TheaterWasteLog /></RoleBasedRoute>} />
+                        <Route path="/theater-stocktake/:theaterId" element={<RoleBasedRoute allowedRoles={['theater_user', 'theater_admin', 'super_admin']} requiredPermissions={['TheaterStocktake']}><TheaterStocktake /></RoleBasedRoute>} />
+                        <Route path="/theater-stock-transfers/:theaterId" element={<RoleBasedRoute allowedRoles={['theater_user', 'theater_admin', 'super_admin']} requiredPermissions={['TheaterStockTransfers']}><TheaterStockTransfers /></RoleBasedRoute>} />
+                        <Route path="/theater-audit-log/:theaterId" element={<RoleBasedRoute allowedRoles={['theater_user', 'theater_admin', 'super_admin']} requiredPermissions={['TheaterAuditLog']}><TheaterAuditLog /></RoleBasedRoute>} />
 
                         {/* Test/Debug Routes - REMOVED */}
                         {/* <Route path="/test-add-product-dropdowns/:theaterId" element={<TestAddProductDropdowns />} /> */}
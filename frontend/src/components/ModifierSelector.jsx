@@ -0,0 +1,93 @@
+import React from 'react';
+import {
+  getModifierGroups,
+  getModifierGroupId,
+  getModifierOptionId,
+  getGroupLimits,
+  isOptionSoldOut
+} from '@utils/productModifiers';
+import '@styles/components/ModifierSelector.css';
+
+const describeLimits = ({ min, max }) => {
+  if (min > 0 && min === max) return `Required · choose ${min}`;
+  if (min > 0) return `Required · choose ${min} to ${max}`;
+  return max === 1 ? 'Optional · choose 1' : `Optional · up to ${max}`;
+};
+
+/**
+ * 🧀 Modifier options of a product (Size, Add-ons) - used by the customer product modal and the POS
+ * Single-choice groups behave like radio buttons, the rest like checkboxes capped at the group's max
+ * @param {Object} selected - { [groupId]: [optionId, ...] }
+ */
+const ModifierSelector = ({ product, selected, onChange }) => {
+  const groups = getModifierGroups(product);
+
+  const handleToggle = (group, option) => {
+    const groupId = getModifierGroupId(group);
+    const optionId = getModifierOptionId(option);
+    const current = selected[groupId] || [];
+    const { max } = getGroupLimits(group);
+
+    let next;
+    if (current.includes(optionId)) {
+      next = current.filter(id => id !== optionId);
+    } else if (max === 1) {
+      next = [optionId];
+    } else if (current.length < max) {
+      next = [...current, optionId];
+    } else {
+      return;
+    }
+
+    onChange({ ...selected, [groupId]: next });
+  };
+
+  return (
+    <div className="modifier-selector">
+      {groups.map(group => {
+        const groupId = getModifierGroupId(group);
+        const limits = getGroupLimits(group);
+        const picked = selected[groupId] || [];
+
+        return (
+          <fieldset key={groupId} className="modifier-group">
+            <legend className="modifier-group-title">
+              <span>{group.name}</span>
+              <span className={`modifier-group-hint ${limits.min > 0 ? 'required' : ''}`}>
+                {describeLimits(limits)}
+              </span>
+            </legend>
+
+            {group.options.map(option => {
+              const optionId = getModifierOptionId(option);
+              const isPicked = picked.includes(optionId);
+              const soldOut = isOptionSoldOut(option);
+              const price = Number(option.price) || 0;
+
+              return (
+                <label
+                  key={optionId}
+                  className={`modifier-option ${isPicked ? 'selected' : ''} ${soldOut ? 'sold-out' : ''}`}
+                >
+                  <input
+                    type={limits.max === 1 ? 'radio' : 'checkbox'}
+                    name={`modifier-${groupId}`}
+                    checked={isPicked}
+                    disabled={soldOut || (!isPicked && limits.max > 1 && picked.length >= limits.max)}
+                    onChange={() => handleToggle(group, option)}
+                  />
+                  <span className="modifier-option-label">{option.label}</span>
+                  <span className="modifier-option-price">
+                    {soldOut ? 'Sold out' : price > 0 ? `+₹${price.toFixed(2)}` : price < 0 ? `−₹${Math.abs(price).toFixed(2)}` : ''}
+                  </span>
+                </label>
+              );
+            })}
+          </fieldset>
+        );
+      })}
+    </div>
+  );
+};
+
+export default ModifierSelector;
@@ -41,7 +41,21 @@ const pageNameMapping = {
   'KioskCart': 'kiosk-cart',
   'KioskCheckout': 'kiosk-checkout',
   'KioskPayment': 'kiosk-payment',
-  'KioskViewCart': 'kiosk-view-cart'
+  'KioskViewCart': 'kiosk-view-cart',
+  'KitchenDisplay': 'kitchen-display',
+  'TheaterStations': 'theater-stations',
+  'SeatDelivery': 'seat-delivery',
+  'TheaterShowSchedule': 'theater-show-schedule',
+  'UpiVerification': 'upi-verification',
+  'TheaterCoupons': 'theater-coupons',
+  'TheaterPricingRules': 'theater-pricing-rules',
+  'TheaterLoyalty': 'theater-loyalty',
+  'TheaterGiftCards': 'theater-gift-cards',
+  'TheaterPurchasing': 'theater-purchasing',
+  'TheaterWasteLog': 'theater-waste-log',
+  'TheaterStocktake': 'theater-stocktake',
+  'TheaterStockTransfers': 'theater-stock-transfers',
+  'TheaterAuditLog': 'theater-audit-log'
 };
 
 // Helper function to get route from page ID
@@ -118,7 +132,35 @@ const getRouteFromPageId = (pageId, theaterId) => {
     'KioskPayment': `/kiosk-payment/${theaterId}`,
     'kiosk-payment': `/kiosk-payment/${theaterId}`,
     'KioskViewCart': `/kiosk-view-cart/${theaterId}`,
-    'kiosk-view-cart': `/kiosk-view-cart/${theaterId}`
+    'kiosk-view-cart': `/kiosk-view-cart/${theaterId}`,
+    'KitchenDisplay': `/kitchen-display/${theaterId}`,
+    'kitchen-display': `/kitchen-display/${theaterId}`,
+    'TheaterStations': `/theater-stations/${theaterId}`,
+    'theater-stations': `/theater-stations/${theaterId}`,
+    'SeatDelivery': `/seat-delivery/${theaterId}`,
+    'seat-delivery': `/seat-delivery/${theaterId}`,
+    'TheaterShowSchedule': `/theater-show-schedule/${theaterId}`,
+    'theater-show-schedule': `/theater-show-schedule/${theaterId}`,
+    'UpiVerification': `/upi-verification/${theaterId}`,
+    'upi-verification': `/upi-verification/${theaterId}`,
+    'TheaterCoupons': `/theater-coupons/${theaterId}`,
+    'theater-coupons': `/theater-coupons/${theaterId}`,
+    'TheaterPricingRules': `/theater-pricing-rules/${theaterId}`,
+    'theater-pricing-rules': `/theater-pricing-rules/${theaterId}`,
+    'TheaterLoyalty': `/theater-loyalty/${theaterId}`,
+    'theater-loyalty': `/theater-loyalty/${theaterId}`,
+    'TheaterGiftCards': `/theater-gift-cards/${theaterId}`,
+    'theater-gift-cards': `/theater-gift-cards/${theaterId}`,
+    'TheaterPurchasing': `/theater-purchasing/${theaterId}`,
+    'theater-purchasing': `/theater-purchasing/${theaterId}`,
+    'TheaterWasteLog': `/theater-waste-log/${theaterId}`,
+    'theater-waste-log': `/theater-waste-log/${theaterId}`,
+    'TheaterStocktake': `/theater-stocktake/${theaterId}`,
+    'theater-stocktake': `/theater-stocktake/${theaterId}`,
+    'TheaterStockTransfers': `/theater-stock-transfers/${theaterId}`,
+    'theater-stock-transfers': `/theater-stock-transfers/${theaterId}`,
+    'TheaterAuditLog': `/theater-audit-log/${theaterId}`,
+    'theater-audit-log': `/theater-audit-log/${theaterId}`
   };
   
   return pageRouteMap[pageId] || null;
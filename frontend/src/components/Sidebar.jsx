@@ -151,6 +151,12 @@ const IconPayment = () => (
   </svg>
 );
 
+const IconAuditLog = () => (
+  <svg viewBox="0 0 24 24" fill="currentColor">
+    <path d="M13 3a9 9 0 0 0-9 9H1l3.89 3.89.07.14L9 12H6c0-3.87 3.13-7 7-7s7 3.13 7 7-3.13 7-7 7c-1.93 0-3.68-.79-4.94-2.06l-1.42 1.42A8.954 8.954 0 0 0 13 21a9 9 0 0 0 0-18zm-1 5v5l4.28 2.54.72-1.21-3.5-2.08V8H12z" />
+  </svg>
+);
+
 const getIcon = (iconName) => {
   const icons = {
     dashboard: <IconDashboard />,
@@ -175,6 +181,7 @@ const getIcon = (iconName) => {
     transactions: <IconTransactions />,
     invoices: <IconInvoices />,
     payment: <IconPayment />,
+    'audit-log': <IconAuditLog />,
     settings: <IconSettings />
   };
   return icons[iconName] || null;
@@ -205,6 +212,7 @@ const Sidebar = ({ sidebarOpen, setSidebarOpen, sidebarCollapsed, currentPage =
     { id: 'qr-names', icon: 'qr-names', label: 'QR Code Names', path: '/qr-names', tooltip: 'QR Code Names - Manage QR Names & Seat Classes' },
     { id: 'qr-list', icon: 'qr-list', label: 'QR Management', path: '/qr-management', tooltip: 'QR Management - View & Manage All QR Codes' },
     { id: 'transactions', icon: 'transactions', label: 'Transaction List', path: '/transactions', tooltip: 'Transaction List - View All Theater Transactions (POS, KIOSK, ONLINE)' },
+    { id: 'audit-log', icon: 'audit-log', label: 'Audit Log', path: '/audit-log', tooltip: 'Audit Log - Administrative & Financial Changes Across All Theaters' },
     { id: 'settings', icon: 'settings', label: 'Settings', path: '/settings', tooltip: 'System Settings - Configure Application Settings' }
   ];
 
@@ -0,0 +1,285 @@
+/**
+ * Audit Log Viewer
+ * Searchable trail of administrative and financial changes - who changed what, when, from where,
+ * with the before/after diff of every change
+ */
+
+import React, { useState, useEffect } from 'react';
+import Pagination from '@components/Pagination';
+import config from '@config';
+import { unifiedFetch } from '@utils/unifiedFetch';
+import { useToast } from '@contexts/ToastContext';
+import { AUDIT_ACTION_LABELS, AUDIT_ENTITY_LABELS, formatAuditValue, auditDetailRows } from '@utils/auditLog';
+import '@styles/pages/theater/TheaterPurchasing.css';
+import '@styles/components/AuditLogViewer.css';
+
+const PAGE_SIZE = 50;
+
+const EMPTY_FILTERS = {
+  search: '',
+  actor: '',
+  entityType: '',
+  action: '',
+  startDate: '',
+  endDate: ''
+};
+
+const formatDateTime = (value) =>
+  value
+    ? new Date(value).toLocaleString('en-IN', { day: '2-digit', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit' })
+    : '—';
+
+/**
+ * @param {string} [theaterId] - One theater's changes (theater admin); without it every theater (super admin)
+ */
+const AuditLogViewer = ({ theaterId = null }) => {
+  const toast = useToast();
+  const allTheaters = !theaterId;
+
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [page, setPage] = useState(1);
+  const [logs, setLogs] = useState([]);
+  const [pagination, setPagination] = useState({ totalPages: 1, totalItems: 0 });
+  const [loading, setLoading] = useState(true);
+  const [expandedId, setExpandedId] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    // Debounced so typing in the search boxes does not fire a request per key
+    const timer = setTimeout(async () => {
+      setLoading(true);
+      try {
+        const params = new URLSearchParams({ page: String(page), limit: String(PAGE_SIZE) });
+        Object.entries(filters).forEach(([key, value]) => {
+          if (value) params.set(key, value.trim ? value.trim() : value);
+        });
+
+        const response = await unifiedFetch(
+          `${config.api.baseUrl}/audit-logs${allTheaters ? '' : `/${theaterId}`}?${params}`,
+          {},
+          { forceRefresh: true, timeout: 20000 }
+        );
+        const data = await response.json();
+        if (!response.ok || data.success === false) {
+          throw new Error(data.error || data.message || 'Failed to load audit log');
+        }
+        if (cancelled) return;
+        setLogs(data.data || []);
+        setPagination({
+          totalPages: data.pagination?.totalPages || 1,
+          totalItems: data.pagination?.totalItems || 0
+        });
+      } catch (error) {
+        console.error('Error loading audit log:', error);
+        if (!cancelled) toast.error(error.message || 'Failed to load audit log');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }, 400);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [theaterId, allTheaters, filters, page, toast]);
+
+  const setFilter = (key, value) => {
+    setFilters(current => ({ ...current, [key]: value }));
+    setPage(1);
+    setExpandedId(null);
+  };
+
+  const clearFilters = () => {
+    setFilters(EMPTY_FILTERS);
+    setPage(1);
+    setExpandedId(null);
+  };
+
+  const columns = allTheaters ? 9 : 8;
+  const hasFilters = Object.values(filters).some(Boolean);
+
+  return (
+    <div className="audit-log-viewer">
+      <div className="purchase-filters audit-log-filters">
+        <input
+          type="text"
+          className="form-control"
+          placeholder="Search name or field..."
+          value={filters.search}
+          onChange={(e) => setFilter('search', e.target.value)}
+        />
+        <input
+          type="text"
+          className="form-control"
+          placeholder="Changed by..."
+          value={filters.actor}
+          onChange={(e) => setFilter('actor', e.target.value)}
+        />
+        <select
+          value={filters.entityType}
+          onChange={(e) => setFilter('entityType', e.target.value)}
+          className="form-control"
+        >
+          <option value="">All Records</option>
+          {Object.entries(AUDIT_ENTITY_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <select
+          value={filters.action}
+          onChange={(e) => setFilter('action', e.target.value)}
+          className="form-control"
+        >
+          <option value="">All Actions</option>
+          {Object.entries(AUDIT_ACTION_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <label>
+          From
+          <input
+            type="date"
+            className="form-control"
+            value={filters.startDate}
+            onChange={(e) => setFilter('startDate', e.target.value)}
+          />
+        </label>
+        <label>
+          To
+          <input
+            type="date"
+            className="form-control"
+            value={filters.endDate}
+            onChange={(e) => setFilter('endDate', e.target.value)}
+          />
+        </label>
+        {hasFilters && (
+          <button className="purchase-action-btn" onClick={clearFilters}>
+            Clear
+          </button>
+        )}
+      </div>
+
+      <div className="theater-table-container">
+        <table className="theater-table">
+          <thead>
+            <tr>
+              <th>When</th>
+              {allTheaters && <th>Theater</th>}
+              <th>Changed By</th>
+              <th className="status-cell">Action</th>
+              <th>Record</th>
+              <th className="name-cell">Name</th>
+              <th>Changes</th>
+              <th>IP Address</th>
+              <th className="actions-cell">Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {loading ? (
+              <tr>
+                <td colSpan={columns} className="loading-cell">
+                  <div className="loading-spinner"></div>
+                  <span>Loading audit log...</span>
+                </td>
+              </tr>
+            ) : logs.length > 0 ? (
+              logs.map(log => {
+                const rows = expandedId === log._id ? auditDetailRows(log) : [];
+                return (
+                  <React.Fragment key={log._id}>
+                    <tr className="theater-row">
+                      <td className="audit-log-when">{formatDateTime(log.createdAt)}</td>
+                      {allTheaters && <td>{log.theater?.name || '—'}</td>}
+                      <td>
+                        {log.actor?.username || 'System'}
+                        {log.actor?.role && <span className="purchase-muted"> ({log.actor.role})</span>}
+                      </td>
+                      <td className="status-cell">
+                        <span className={`audit-log-action ${log.action}`}>
+                          {AUDIT_ACTION_LABELS[log.action] || log.action}
+                        </span>
+                      </td>
+                      <td>{AUDIT_ENTITY_LABELS[log.entityType] || log.entityType}</td>
+                      <td className="name-cell">{log.entityName || log.entityId || '—'}</td>
+                      <td>{log.changes?.length || '—'}</td>
+                      <td className="audit-log-ip">{log.ip || '—'}</td>
+                      <td className="actions-cell">
+                        <button
+                          className="purchase-action-btn"
+                          onClick={() => setExpandedId(expandedId === log._id ? null : log._id)}
+                        >
+                          {expandedId === log._id ? 'Hide' : 'Details'}
+                        </button>
+                      </td>
+                    </tr>
+                    {expandedId === log._id && (
+                      <tr className="audit-log-details">
+                        <td colSpan={columns}>
+                          {rows.length > 0 ? (
+                            <table className="audit-log-diff">
+                              <thead>
+                                <tr>
+                                  <th>Field</th>
+                                  <th>Before</th>
+                                  <th>After</th>
+                                </tr>
+                              </thead>
+                              <tbody>
+                                {rows.map(row => (
+                                  <tr key={row.field}>
+                                    <td className="audit-log-field">{row.field}</td>
+                                    <td className="audit-log-before">{formatAuditValue(row.from)}</td>
+                                    <td className="audit-log-after">{formatAuditValue(row.to)}</td>
+                                  </tr>
+                                ))}
+                              </tbody>
+                            </table>
+                          ) : (
+                            <p className="purchase-hint">No field details were recorded for this change.</p>
+                          )}
+                          <p className="purchase-hint">
+                            {log.method} {log.path}
+                            {log.userAgent ? ` - ${log.userAgent}` : ''}
+                          </p>
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                );
+              })
+            ) : (
+              <tr>
+                <td colSpan={columns} className="empty-cell">
+                  <h3>No Changes Found</h3>
+                  <p>
+                    {hasFilters
+                      ? 'No audit entries match these filters.'
+                      : 'Changes to products, stock, prices, roles, users, coupons, gift cards, settings, orders and payments show here.'}
+                  </p>
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {pagination.totalPages > 1 && (
+        <Pagination
+          currentPage={page}
+          totalPages={pagination.totalPages}
+          totalItems={pagination.totalItems}
+          itemsPerPage={PAGE_SIZE}
+          onPageChange={(nextPage) => {
+            setPage(nextPage);
+            setExpandedId(null);
+          }}
+          itemType="changes"
+        />
+      )}
+    </div>
+  );
+};
+
+export default AuditLogViewer;
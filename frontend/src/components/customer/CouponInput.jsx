@@ -0,0 +1,101 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { validateCouponCode } from '@utils/couponCheckout';
+import '@styles/customer/CouponInput.css';
+
+/**
+ * Promo code entry for the customer cart
+ * The discount shown is a preview - the server validates the code again when the order is placed
+ */
+const CouponInput = ({ theaterId, items, coupon, onChange, customerPhone = null }) => {
+  const [code, setCode] = useState('');
+  const [error, setError] = useState('');
+  const [applying, setApplying] = useState(false);
+  const couponRef = useRef(coupon);
+  couponRef.current = coupon;
+
+  // Re-price the applied coupon whenever the cart changes (min order, applicable items)
+  const itemsKey = items.map(item => `${item._id}:${item.quantity}`).join('|');
+  useEffect(() => {
+    const applied = couponRef.current;
+    if (!applied || !theaterId || items.length === 0) return;
+
+    let cancelled = false;
+    validateCouponCode(theaterId, applied.code, items, { customerPhone })
+      .then(result => {
+        if (!cancelled) onChange(result);
+      })
+      .catch(err => {
+        if (cancelled) return;
+        setError(err.message);
+        onChange(null);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [theaterId, itemsKey, customerPhone]);
+
+  const handleApply = async () => {
+    const trimmed = code.trim().toUpperCase();
+    if (!trimmed) return;
+
+    setApplying(true);
+    setError('');
+    try {
+      const result = await validateCouponCode(theaterId, trimmed, items, { customerPhone });
+      onChange(result);
+      setCode('');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setApplying(false);
+    }
+  };
+
+  const handleRemove = () => {
+    setError('');
+    onChange(null);
+  };
+
+  if (coupon) {
+    return (
+      <div className="coupon-input applied">
+        <div className="coupon-applied-info">
+          <span className="coupon-applied-code">🎟️ {coupon.code}</span>
+          <span className="coupon-applied-saving">
+            You save ₹{Number(coupon.discount || 0).toFixed(2)}
+            {coupon.description ? ` · ${coupon.description}` : ''}
+          </span>
+        </div>
+        <button type="button" className="coupon-remove-btn" onClick={handleRemove}>
+          Remove
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="coupon-input">
+      <div className="coupon-input-row">
+        <input
+          type="text"
+          value={code}
+          onChange={(e) => {
+            setCode(e.target.value.toUpperCase());
+            setError('');
+          }}
+          onKeyDown={(e) => e.key === 'Enter' && handleApply()}
+          placeholder="Have a coupon code?"
+          maxLength={32}
+        />
+        <button type="button" onClick={handleApply} disabled={applying || !code.trim()}>
+          {applying ? '...' : 'Apply'}
+        </button>
+      </div>
+      {error && <div className="coupon-error">{error}</div>}
+    </div>
+  );
+};
+
+export default CouponInput;
@@ -0,0 +1,110 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { checkGiftCardBalance, formatGiftCardCode, getGiftCardAmount } from '@utils/giftCards';
+import '@styles/customer/GiftCardInput.css';
+
+/**
+ * Gift card entry for the customer cart
+ * The card pays as much of the bill as its balance covers - the gateway collects the rest
+ * The balance shown is a preview - the server charges the card when the order is placed
+ */
+const GiftCardInput = ({ theaterId, payable, giftCard, onChange }) => {
+  const [code, setCode] = useState('');
+  const [error, setError] = useState('');
+  const [checking, setChecking] = useState(false);
+  const giftCardRef = useRef(giftCard);
+  giftCardRef.current = giftCard;
+
+  // Refresh a card kept from an earlier visit - it may have been spent at the counter since
+  useEffect(() => {
+    const applied = giftCardRef.current;
+    if (!applied || !theaterId) return;
+
+    let cancelled = false;
+    checkGiftCardBalance(theaterId, applied.code)
+      .then(result => {
+        if (cancelled) return;
+        if (!result.isUsable) {
+          setError('Gift card cannot be used (blocked, expired or no balance)');
+          onChange(null);
+        } else {
+          onChange(result);
+        }
+      })
+      .catch(err => {
+        if (cancelled) return;
+        setError(err.message);
+        onChange(null);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [theaterId]);
+
+  const handleApply = async () => {
+    if (!code.trim()) return;
+
+    setChecking(true);
+    setError('');
+    try {
+      const result = await checkGiftCardBalance(theaterId, code);
+      if (!result.isUsable) {
+        setError(result.status === 'blocked' ? 'Gift card is blocked' : 'Gift card cannot be used (expired or no balance)');
+        return;
+      }
+      onChange(result);
+      setCode('');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  const handleRemove = () => {
+    setError('');
+    onChange(null);
+  };
+
+  if (giftCard) {
+    const amount = getGiftCardAmount(giftCard, payable);
+    return (
+      <div className="gift-card-input applied">
+        <div className="gift-card-applied-info">
+          <span className="gift-card-applied-code">🎁 {formatGiftCardCode(giftCard.code)}</span>
+          <span className="gift-card-applied-balance">
+            Pays ₹{amount.toFixed(2)} · balance ₹{Number(giftCard.balance || 0).toFixed(2)}
+          </span>
+        </div>
+        <button type="button" className="gift-card-remove-btn" onClick={handleRemove}>
+          Remove
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="gift-card-input">
+      <div className="gift-card-input-row">
+        <input
+          type="text"
+          value={code}
+          onChange={(e) => {
+            setCode(e.target.value.toUpperCase());
+            setError('');
+          }}
+          onKeyDown={(e) => e.key === 'Enter' && handleApply()}
+          placeholder="Pay with a gift card?"
+          maxLength={20}
+        />
+        <button type="button" onClick={handleApply} disabled={checking || !code.trim()}>
+          {checking ? '...' : 'Apply'}
+        </button>
+      </div>
+      {error && <div className="gift-card-error">{error}</div>}
+    </div>
+  );
+};
+
+export default GiftCardInput;
@@ -0,0 +1,78 @@
+import React, { useState, useEffect } from 'react';
+import { fetchLoyaltyWallet, getLoyaltyRedemption } from '@utils/loyaltyWallet';
+import '@styles/customer/LoyaltyRedeem.css';
+
+/**
+ * Loyalty points toggle for the customer cart
+ * Only shown to customers who verified their phone - the server checks the points again when the order is placed
+ */
+const LoyaltyRedeem = ({ theaterId, payable, loyalty, onChange }) => {
+  const [wallet, setWallet] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchLoyaltyWallet(theaterId)
+      .then(result => {
+        if (cancelled) return;
+        setWallet(result);
+        // Drop points chosen earlier once the wallet is gone (logged out, program switched off)
+        if (!result?.program?.isEnabled) onChange({ points: 0, discount: 0 });
+      })
+      .catch(() => {
+        if (!cancelled) setWallet(null);
+      });
+    return () => {
+      cancelled = true;
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [theaterId]);
+
+  // Keep the chosen points inside the balance and the per-order cap as the cart changes
+  const { points } = loyalty;
+  const redemption = getLoyaltyRedemption(wallet, points, payable);
+  useEffect(() => {
+    if (!wallet || points === 0) return;
+    if (redemption.points !== points || redemption.discount !== loyalty.discount) {
+      onChange({ points: redemption.points, discount: redemption.discount });
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [wallet, points, redemption.points, redemption.discount]);
+
+  if (!wallet?.program?.isEnabled || !wallet.points) return null;
+
+  const { program } = wallet;
+  const usable = getLoyaltyRedemption(wallet, Infinity, payable);
+  const belowMinimum = usable.points === 0;
+
+  const handleToggle = (e) => {
+    if (e.target.checked && !belowMinimum) {
+      onChange({ points: usable.points, discount: usable.discount });
+    } else {
+      onChange({ points: 0, discount: 0 });
+    }
+  };
+
+  return (
+    <label className={`loyalty-redeem ${points > 0 ? 'active' : ''} ${belowMinimum ? 'disabled' : ''}`}>
+      <input
+        type="checkbox"
+        checked={points > 0}
+        onChange={handleToggle}
+        disabled={belowMinimum}
+      />
+      <span className="loyalty-redeem-info">
+        <span className="loyalty-redeem-title">
+          ⭐ Use {usable.points || wallet.points} points
+          {!belowMinimum && ` · save ₹${usable.discount.toFixed(2)}`}
+        </span>
+        <span className="loyalty-redeem-hint">
+          {belowMinimum
+            ? `Balance ${wallet.points} points - usable from ${program.minRedeemPoints} points on this order`
+            : `Balance ${wallet.points} points (up to ${program.maxRedeemPercent}% of a bill)`}
+        </span>
+      </span>
+    </label>
+  );
+};
+
+export default LoyaltyRedeem;
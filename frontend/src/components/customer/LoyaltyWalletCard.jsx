@@ -0,0 +1,99 @@
+import React, { useState, useEffect } from 'react';
+import { fetchLoyaltyWallet } from '@utils/loyaltyWallet';
+import '@styles/customer/LoyaltyRedeem.css';
+
+const ENTRY_LABELS = {
+  earn: 'Earned',
+  redeem: 'Used',
+  refund: 'Returned',
+  reversal: 'Reversed',
+  expire: 'Expired'
+};
+
+const formatDate = (value) => new Date(value).toLocaleDateString('en-IN', {
+  day: '2-digit',
+  month: 'short',
+  year: 'numeric'
+});
+
+/**
+ * Points balance and ledger of the verified customer (order history page)
+ */
+const LoyaltyWalletCard = ({ theaterId }) => {
+  const [wallet, setWallet] = useState(null);
+  const [showHistory, setShowHistory] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchLoyaltyWallet(theaterId)
+      .then(result => {
+        if (!cancelled) setWallet(result);
+      })
+      .catch(() => {
+        if (!cancelled) setWallet(null);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [theaterId]);
+
+  if (!wallet?.program?.isEnabled && !wallet?.points) return null;
+
+  const { program, expiring, history = [] } = wallet;
+
+  return (
+    <div className="loyalty-wallet-card">
+      <div className="loyalty-wallet-balance">
+        <div>
+          <span className="loyalty-wallet-label">⭐ Loyalty points</span>
+          <span className="loyalty-wallet-points">{wallet.points}</span>
+        </div>
+        <span className="loyalty-wallet-value">Worth ₹{Number(wallet.value || 0).toFixed(2)}</span>
+      </div>
+
+      <p className="loyalty-wallet-hint">
+        Earn {program.earnRate} points for every ₹100 you pay
+        {program.maxRedeemPercent > 0 && ` · use them for up to ${program.maxRedeemPercent}% of a bill`}
+      </p>
+
+      {expiring?.points > 0 && (
+        <p className="loyalty-wallet-expiring">
+          {expiring.points} points expire on {formatDate(expiring.date)}
+        </p>
+      )}
+
+      {history.length > 0 && (
+        <>
+          <button
+            type="button"
+            className="loyalty-wallet-toggle"
+            onClick={() => setShowHistory(prev => !prev)}
+          >
+            {showHistory ? 'Hide history' : 'Show history'}
+          </button>
+
+          {showHistory && (
+            <ul className="loyalty-wallet-history">
+              {history.map(entry => (
+                <li key={entry._id} className={`loyalty-entry ${entry.points >= 0 ? 'credit' : 'debit'}`}>
+                  <div className="loyalty-entry-info">
+                    <span className="loyalty-entry-title">
+                      {ENTRY_LABELS[entry.type] || entry.type}
+                      {entry.orderNumber && ` · #${entry.orderNumber}`}
+                    </span>
+                    <span className="loyalty-entry-date">{formatDate(entry.createdAt)}</span>
+                  </div>
+                  <span className="loyalty-entry-points">
+                    {entry.points >= 0 ? '+' : ''}{entry.points}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default LoyaltyWalletCard;
@@ -4,6 +4,7 @@ import { useNavigate, useLocation } from 'react-router-dom';
 import InstantImage from '../InstantImage';
 import useStockValidation from '../../hooks/useStockValidation';
 import { formatCustomerUnitLabel } from '../../utils/customerUnitLabel';
+import { hasModifiers, getProductLines, getProductCartQuantity } from '@utils/productModifiers';
 import {
   ChevronLeft,
   Heart,
@@ -15,7 +16,8 @@ import {
   ShoppingCart
 } from 'lucide-react';
 
-const ProductCollectionModal = ({ collection, isOpen, onClose, products = [] }) => {
+// onCustomize(product) opens the modifier picker for sizes that have options (Add-ons etc.)
+const ProductCollectionModal = ({ collection, isOpen, onClose, products = [], onCustomize }) => {
   const { items, addItem, updateQuantity, getItemQuantity, getTotalItems } = useCart();
 
   // Extract products from collection variants for validation
@@ -139,7 +141,11 @@ const ProductCollectionModal = ({ collection, isOpen, onClose, products = [] })
 
   const product = selectedVariant.originalProduct || selectedVariant;
   const isAvailable = product.isAvailable !== false;
-  const currentCartQty = getItemQuantity(selectedVariant._id);
+  // 🧀 Sizes with modifier options have one cart line per set of options
+  const withModifiers = hasModifiers(product) && typeof onCustomize === 'function';
+  const currentCartQty = withModifiers
+    ? getProductCartQuantity(items, selectedVariant._id)
+    : getItemQuantity(selectedVariant._id);
   // Normalize/infer Veg/Non-Veg flag (API/admin forms sometimes store strings like "true"/"false" or empty string)
   const resolveIsVeg = (value) => {
     if (value === true || value === false) return value;
@@ -211,11 +217,20 @@ const ProductCollectionModal = ({ collection, isOpen, onClose, products = [] })
     const nextQty = currentCartQty + 1;
     const validation = validateStockAvailability(product, nextQty, { silent: true });
     if (!validation.valid) return;
+    if (withModifiers) {
+      onCustomize(product);
+      return;
+    }
     addCurrentVariantToCart(nextQty);
   };
 
   const decrement = () => {
     if (currentCartQty <= 0) return;
+    if (withModifiers) {
+      const lastLine = getProductLines(items, selectedVariant._id).pop();
+      updateQuantity(lastLine._id, lastLine.quantity - 1);
+      return;
+    }
     const nextQty = Math.max(0, currentCartQty - 1);
     updateQuantity(selectedVariant._id, nextQty);
   };
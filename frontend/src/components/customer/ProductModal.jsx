@@ -1,11 +1,41 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
+import config from '../../config';
+import ModifierSelector from '../ModifierSelector';
+import { hasModifiers, buildModifiers, getModifierError, getModifierTotal } from '@utils/productModifiers';
 import '../../styles/components/customer/ProductModal.css';
 
+/**
+ * Product details with its modifier options (Size, Add-ons)
+ * Products with modifiers are added as a new cart line per set of picked options -
+ * onAddToCart receives the product and the picked modifiers
+ */
 const ProductModal = ({ product, isOpen, onClose, onAddToCart, cartQuantity = 0 }) => {
+  const [selected, setSelected] = useState({});
+  const [showErrors, setShowErrors] = useState(false);
+
+  // Start with nothing picked for every product opened
+  useEffect(() => {
+    setSelected({});
+    setShowErrors(false);
+  }, [product?._id, isOpen]);
+
   if (!isOpen || !product) return null;
 
+  const withModifiers = hasModifiers(product);
+  const modifiers = withModifiers ? buildModifiers(product, selected) : [];
+  const modifierError = withModifiers ? getModifierError(product, selected) : null;
+  const linePrice = (Number(product.price) || 0) + getModifierTotal(modifiers);
+
   const handleAddToCart = () => {
-    onAddToCart(product);
+    if (modifierError) {
+      setShowErrors(true);
+      return;
+    }
+    onAddToCart(product, modifiers);
+    if (withModifiers) {
+      setSelected({});
+      setShowErrors(false);
+    }
   };
 
   const handleBackdropClick = (e) => {
@@ -33,7 +63,7 @@ const ProductModal = ({ product, isOpen, onClose, onAddToCart, cartQuantity = 0
               <img
                 src={product.image.startsWith('http')
                   ? product.image
-                  : `${process.env.REACT_APP_API_URL || 'http://localhost:5000/api'}${product.image}`
+                  : `${config.api.baseUrl}${product.image}`
                 }
                 alt={product.name}
                 onError={(e) => {
@@ -54,8 +84,15 @@ const ProductModal = ({ product, isOpen, onClose, onAddToCart, cartQuantity = 0
               ₹{product.price}
             </div>
 
+            {withModifiers && (
+              <>
+                <ModifierSelector product={product} selected={selected} onChange={setSelected} />
+                {showErrors && modifierError && <div className="modifier-error">{modifierError}</div>}
+              </>
+            )}
+
             <div className="product-modal-actions">
-              {cartQuantity > 0 ? (
+              {cartQuantity > 0 && !withModifiers ? (
                 <div className="quantity-controls-modal">
                   <button
                     className="quantity-btn-modal minus"
@@ -76,7 +113,7 @@ const ProductModal = ({ product, isOpen, onClose, onAddToCart, cartQuantity = 0
                   className="add-to-cart-modal-btn"
                   onClick={handleAddToCart}
                 >
-                  Add to Cart - ₹{product.price}
+                  Add to Cart - ₹{withModifiers ? linePrice.toFixed(2) : product.price}
                 </button>
               )}
             </div>
@@ -0,0 +1,94 @@
+import React, { useEffect } from 'react';
+import '@styles/customer/ShowTimeBanner.css';
+
+const formatTime = (value) =>
+  value ? new Date(value).toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' }) : '';
+
+/**
+ * Show-time banner for screen QR customers
+ * Explains the ordering window and lets the customer choose "deliver now" or "deliver at interval"
+ */
+const ShowTimeBanner = ({ orderingWindow, deliverAt, onDeliverAtChange, showChoice = true }) => {
+  const canChoose = showChoice && orderingWindow?.status === 'open' && orderingWindow.canDeliverAtInterval;
+
+  // Drop a stale "interval" choice once the cut-off has passed
+  useEffect(() => {
+    if (orderingWindow?.status === 'open' && !orderingWindow.canDeliverAtInterval && deliverAt === 'interval') {
+      onDeliverAtChange?.('now');
+    }
+  }, [orderingWindow, deliverAt, onDeliverAtChange]);
+
+  if (!orderingWindow?.scheduled) return null;
+
+  const show = orderingWindow.currentShow || orderingWindow.nextShow;
+
+  if (orderingWindow.status === 'closed') {
+    return (
+      <div className="showtime-banner closed">
+        <strong>Ordering is closed</strong>
+        <span>
+          {orderingWindow.opensAt
+            ? `Ordering opens at ${formatTime(orderingWindow.opensAt)}${show?.movieName ? ` for ${show.movieName}` : ''}`
+            : orderingWindow.message}
+        </span>
+      </div>
+    );
+  }
+
+  if (orderingWindow.status === 'preorder') {
+    return (
+      <div className="showtime-banner preorder">
+        <strong>Pre-order for the next show</strong>
+        <span>
+          {show?.movieName ? `${show.movieName} · ` : ''}Delivered when the show starts at {formatTime(show?.startsAt)}
+        </span>
+        {showChoice && orderingWindow.canDeliverAtInterval && (
+          <div className="showtime-choice">
+            <button
+              type="button"
+              className={deliverAt !== 'interval' ? 'active' : ''}
+              onClick={() => onDeliverAtChange?.('now')}
+            >
+              At show start
+            </button>
+            <button
+              type="button"
+              className={deliverAt === 'interval' ? 'active' : ''}
+              onClick={() => onDeliverAtChange?.('interval')}
+            >
+              At interval ({formatTime(show?.intervalAt)})
+            </button>
+          </div>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div className="showtime-banner open">
+      <span>
+        {show?.movieName ? `${show.movieName} · ` : ''}Last order {formatTime(orderingWindow.closesAt)}
+      </span>
+      {canChoose && (
+        <div className="showtime-choice">
+          <button
+            type="button"
+            className={deliverAt !== 'interval' ? 'active' : ''}
+            onClick={() => onDeliverAtChange?.('now')}
+          >
+            Deliver now
+          </button>
+          <button
+            type="button"
+            className={deliverAt === 'interval' ? 'active' : ''}
+            onClick={() => onDeliverAtChange?.('interval')}
+          >
+            At interval ({formatTime(show?.intervalAt)})
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ShowTimeBanner;
@@ -0,0 +1,178 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import QRCode from 'qrcode';
+import config from '@config';
+import { unifiedFetch } from '@utils/unifiedFetch';
+import '@styles/customer/UpiQrPayment.css';
+
+// How often to check whether the cashier has confirmed the UTR
+const STATUS_POLL_MS = 5000;
+
+const isMobileDevice = () => /Android|iPhone|iPad|iPod/i.test(navigator.userAgent || '');
+
+/**
+ * Direct UPI payment (theaters without a gateway account)
+ * Shows a upi://pay QR for the order amount, takes the UTR from the customer's UPI app,
+ * then waits for a cashier to confirm it from the UPI verification queue
+ * @param {Object} paymentOrder - Response of /payments/create-order with provider 'upi'
+ * @param {string} orderId - Our order ID
+ * @param {Function} onPaid - Called once the cashier approves the payment
+ * @param {Function} onCancel - Called when the customer backs out
+ */
+const UpiQrPayment = ({ paymentOrder, orderId, onPaid, onCancel }) => {
+  const [qrDataUrl, setQrDataUrl] = useState('');
+  const [utr, setUtr] = useState('');
+  const [status, setStatus] = useState({ reviewStatus: 'awaiting_utr' });
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const amount = (paymentOrder.amount || 0) / 100;
+
+  useEffect(() => {
+    QRCode.toDataURL(paymentOrder.upiUri, {
+      width: 260,
+      margin: 2,
+      color: { dark: '#000000', light: '#FFFFFF' },
+      errorCorrectionLevel: 'M'
+    })
+      .then(setQrDataUrl)
+      .catch(err => console.error('❌ [UpiQrPayment] QR generation failed:', err));
+  }, [paymentOrder.upiUri]);
+
+  const fetchStatus = useCallback(async () => {
+    try {
+      const response = await unifiedFetch(
+        `${config.api.baseUrl}/payments/upi/status/${paymentOrder.transactionId}`,
+        {},
+        { forceRefresh: true, cacheTTL: 0 }
+      );
+      const data = await response.json();
+      if (response.ok && data.success && data.data) {
+        setStatus(data.data);
+        if (data.data.reviewStatus === 'approved') {
+          onPaid(data.data);
+        }
+      }
+    } catch (err) {
+      // Next poll will retry
+      console.warn('⚠️ [UpiQrPayment] Status check failed:', err.message);
+    }
+  }, [paymentOrder.transactionId, onPaid]);
+
+  // Only poll while the cashier is reviewing a submitted UTR
+  useEffect(() => {
+    if (status.reviewStatus !== 'pending_review') return undefined;
+    const pollId = setInterval(fetchStatus, STATUS_POLL_MS);
+    return () => clearInterval(pollId);
+  }, [status.reviewStatus, fetchStatus]);
+
+  const handleSubmitUtr = async (e) => {
+    e.preventDefault();
+    const cleanUtr = utr.replace(/\s/g, '');
+    if (!/^\d{12}$/.test(cleanUtr)) {
+      setError('Enter the 12-digit UTR / UPI reference number from your UPI app');
+      return;
+    }
+
+    setSubmitting(true);
+    setError('');
+    try {
+      const response = await unifiedFetch(`${config.api.baseUrl}/payments/upi/utr`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          transactionId: paymentOrder.transactionId,
+          orderId,
+          utr: cleanUtr
+        })
+      }, {
+        forceRefresh: true,
+        cacheTTL: 0
+      });
+
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || 'Failed to submit UTR');
+      }
+
+      setStatus(data.data);
+      if (data.data?.reviewStatus === 'approved') {
+        onPaid(data.data);
+      }
+    } catch (err) {
+      setError(err.message || 'Failed to submit UTR');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const awaitingCashier = status.reviewStatus === 'pending_review';
+
+  return (
+    <div className="upi-qr-payment">
+      <div className="upi-qr-header">
+        <h3>Pay {new Intl.NumberFormat('en-IN', { style: 'currency', currency: 'INR' }).format(amount)}</h3>
+        <p>to {paymentOrder.payeeName}</p>
+      </div>
+
+      {awaitingCashier ? (
+        <div className="upi-qr-waiting">
+          <div className="upi-qr-spinner" />
+          <p>Waiting for the cashier to confirm your payment</p>
+          <small>UTR {status.utr}</small>
+        </div>
+      ) : (
+        <>
+          <div className="upi-qr-code">
+            {qrDataUrl ? <img src={qrDataUrl} alt="UPI payment QR code" /> : <div className="upi-qr-spinner" />}
+          </div>
+          <div className="upi-qr-vpa">{paymentOrder.vpa}</div>
+
+          {isMobileDevice() && (
+            <a className="upi-qr-app-button" href={paymentOrder.upiUri}>
+              Pay with UPI app
+            </a>
+          )}
+
+          <ol className="upi-qr-steps">
+            <li>Scan the QR with any UPI app and pay the exact amount</li>
+            <li>Enter the 12-digit UTR / UPI reference number shown after payment</li>
+          </ol>
+
+          {status.reviewStatus === 'rejected' && (
+            <div className="upi-qr-rejected">
+              UTR {status.utr} could not be verified{status.rejectionReason ? `: ${status.rejectionReason}` : ''}. Please check and submit again.
+            </div>
+          )}
+
+          <form className="upi-qr-form" onSubmit={handleSubmitUtr}>
+            <input
+              type="text"
+              inputMode="numeric"
+              maxLength={14}
+              value={utr}
+              onChange={(e) => {
+                setUtr(e.target.value.replace(/[^\d\s]/g, ''));
+                setError('');
+              }}
+              placeholder="12-digit UTR"
+              aria-label="UTR number"
+            />
+            <button type="submit" disabled={submitting}>
+              {submitting ? 'Submitting...' : 'Submit UTR'}
+            </button>
+          </form>
+        </>
+      )}
+
+      {error && <div className="upi-qr-error">{error}</div>}
+
+      {onCancel && (
+        <button type="button" className="upi-qr-cancel" onClick={onCancel}>
+          {awaitingCashier ? 'Close' : 'Cancel payment'}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default UpiQrPayment;
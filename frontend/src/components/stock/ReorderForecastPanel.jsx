@@ -0,0 +1,100 @@
+/**
+ * Reorder Forecast Panel
+ * Projected stock-out and suggested reorder quantity of one product, forecast from its sales by day of week
+ * and the lead time of the supplier it was last ordered from
+ */
+
+import React, { useState, useEffect } from 'react';
+import config from '@config';
+import { unifiedFetch } from '@utils/unifiedFetch';
+import { formatQuantity } from '@utils/purchasing';
+import { REORDER_STATUS_LABELS, WEEKDAY_LABELS, formatDaysOfStock } from '@utils/reorderForecast';
+import '@styles/components/stock/ReorderForecastPanel.css';
+
+const formatDate = (value) =>
+  value ? new Date(value).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' }) : '—';
+
+/**
+ * @param {string} stockType - 'product' (theater stock) | 'cafe' (cafe stock)
+ * @param {*} refreshKey - Changes when stock entries change, to forecast again
+ */
+const ReorderForecastPanel = ({ theaterId, productId, stockType, refreshKey }) => {
+  const [forecast, setForecast] = useState(null);
+
+  useEffect(() => {
+    if (!theaterId || !productId) return;
+
+    const base = stockType === 'cafe' ? 'cafe-stock' : 'theater-stock';
+    unifiedFetch(
+      `${config.api.baseUrl}/${base}/reorder-suggestions/${theaterId}?productId=${productId}`,
+      {},
+      { forceRefresh: true, timeout: 20000 }
+    )
+      .then(response => response.json())
+      .then(data => setForecast(data.success === false ? null : (data.data || [])[0] || null))
+      .catch(error => {
+        console.error('Error loading reorder forecast:', error);
+        setForecast(null);
+      });
+  }, [theaterId, productId, stockType, refreshKey]);
+
+  if (!forecast) return null;
+
+  const peak = Math.max(...forecast.weekdayForecast, 0);
+
+  return (
+    <div className={`reorder-forecast-panel ${forecast.status}`}>
+      <div className="reorder-forecast-header">
+        <strong>📈 Reorder Forecast</strong>
+        <span className={`reorder-forecast-status ${forecast.status}`}>{REORDER_STATUS_LABELS[forecast.status]}</span>
+      </div>
+
+      <div className="reorder-forecast-grid">
+        <div>
+          <span>Avg. Daily Sales</span>
+          <strong>{formatQuantity(forecast.averageDailySales, forecast.unit)}</strong>
+        </div>
+        <div>
+          <span>Projected Stock-out</span>
+          <strong>{formatDaysOfStock(forecast.daysOfStock)}</strong>
+          {forecast.stockOutDate && <small>{formatDate(forecast.stockOutDate)}</small>}
+        </div>
+        <div>
+          <span>Lead Time</span>
+          <strong>{forecast.leadTimeDays} day(s)</strong>
+          <small>{forecast.supplierName || 'Default - no purchase order yet'}</small>
+        </div>
+        <div>
+          <span>On Order</span>
+          <strong>{formatQuantity(forecast.onOrder, forecast.unit)}</strong>
+        </div>
+        <div className="reorder-forecast-suggested">
+          <span>Suggested Reorder</span>
+          <strong>{forecast.suggestedQuantity > 0 ? formatQuantity(forecast.suggestedQuantity, forecast.unit) : '—'}</strong>
+          <small>Reorder point {formatQuantity(forecast.reorderPoint, forecast.unit)}</small>
+        </div>
+      </div>
+
+      {forecast.averageDailySales > 0 && (
+        <div className="reorder-forecast-weekdays" title="Forecast sales by day of week">
+          {forecast.weekdayForecast.map((quantity, weekday) => (
+            <div key={WEEKDAY_LABELS[weekday]} className="reorder-forecast-weekday">
+              <div className="reorder-forecast-bar">
+                <div style={{ height: `${peak > 0 ? (quantity / peak) * 100 : 0}%` }} />
+              </div>
+              <span>{WEEKDAY_LABELS[weekday]}</span>
+              <small>{quantity}</small>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <p className="reorder-forecast-hint">
+        Based on {forecast.historyDays} day(s) of sales. The suggestion covers the lead time plus 7 days of forecast sales
+        {forecast.minStock > 0 ? ` and keeps the minimum stock of ${formatQuantity(forecast.minStock, forecast.unit)}` : ''}, less what is in stock and on order.
+      </p>
+    </div>
+  );
+};
+
+export default ReorderForecastPanel;
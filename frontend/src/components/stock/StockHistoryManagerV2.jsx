@@ -8,9 +8,13 @@ import YearSelector from './YearSelector';
 import MonthSelector from './MonthSelector';
 import config from '../../config';
 import { unifiedFetch } from '../../utils/unifiedFetch';
+import { STOCK_TRANSFER_STATUS_LABELS, transferMovements } from '../../utils/stockTransfers';
 import '../../styles/components/stock/StockHistoryManagerV2.css'; // Extracted inline styles
 
-const StockHistoryManagerV2 = ({ productId, productName, onClose }) => {
+/**
+ * @param {string} theaterId - Optional: when set, transfers to / from other theaters are listed with the month's entries
+ */
+const StockHistoryManagerV2 = ({ productId, productName, theaterId, onClose }) => {
   const [selectedYear, setSelectedYear] = useState(null);
   const [selectedMonth, setSelectedMonth] = useState(null);
   const [stockEntries, setStockEntries] = useState([]);
@@ -29,6 +33,7 @@ const StockHistoryManagerV2 = ({ productId, productName, onClose }) => {
   });
   const [editingEntry, setEditingEntry] = useState(null);
   const [showAddForm, setShowAddForm] = useState(false);
+  const [transfers, setTransfers] = useState([]);
 
   useEffect(() => {
     if (productId && selectedYear && selectedMonth) {
@@ -38,6 +43,31 @@ const StockHistoryManagerV2 = ({ productId, productName, onClose }) => {
     }
   }, [productId, selectedYear, selectedMonth]);
 
+  // 🚚 Inter-theater transfers of the product in the selected month
+  useEffect(() => {
+    if (!theaterId || !productId || !selectedYear || !selectedMonth) {
+      setTransfers([]);
+      return;
+    }
+
+    const startDate = new Date(selectedYear, selectedMonth - 1, 1);
+    const endDate = new Date(selectedYear, selectedMonth, 0, 23, 59, 59, 999);
+    const params = new URLSearchParams({
+      productId,
+      startDate: startDate.toISOString(),
+      endDate: endDate.toISOString()
+    });
+
+    unifiedFetch(
+      config.helpers.getApiUrl(`/stock-transfers/${theaterId}?${params}`),
+      {},
+      { forceRefresh: true, timeout: 15000 }
+    )
+      .then(response => response.json())
+      .then(data => setTransfers(data.success === false ? [] : transferMovements(data.data || [], theaterId, productId)))
+      .catch(() => setTransfers([]));
+  }, [theaterId, productId, selectedYear, selectedMonth]);
+
   const fetchStockEntries = async () => {
     try {
       setLoading(true);
@@ -436,6 +466,43 @@ const StockHistoryManagerV2 = ({ productId, productName, onClose }) => {
         </div>
       )}
 
+      {/* Inter-theater transfers */}
+      {selectedYear && selectedMonth && transfers.length > 0 && (
+        <div className="stock-transfers">
+          <h4>
+            🚚 Transfers for {selectedMonth.toString().padStart(2, '0')}/{selectedYear}
+          </h4>
+          <div className="table-responsive">
+            <table className="table table-striped table-bordered">
+              <thead className="thead-dark">
+                <tr>
+                  <th>📅 Date</th>
+                  <th>🧾 Transfer</th>
+                  <th>🏢 Theater</th>
+                  <th>📦 Quantity</th>
+                  <th>📌 Status</th>
+                  <th>📝 Notes</th>
+                </tr>
+              </thead>
+              <tbody>
+                {transfers.map(movement => (
+                  <tr key={movement.key}>
+                    <td>{formatDate(movement.date)}</td>
+                    <td>{movement.transferNumber}</td>
+                    <td>{movement.outward ? `To ${movement.theaterName}` : `From ${movement.theaterName}`}</td>
+                    <td className={movement.outward ? 'transfer-out' : 'transfer-in'}>
+                      {movement.outward ? '-' : '+'}{movement.quantity} {movement.unit}
+                    </td>
+                    <td>{STOCK_TRANSFER_STATUS_LABELS[movement.status] || movement.status}</td>
+                    <td>{movement.notes || '-'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
       {/* Edit Entry Modal */}
       {editingEntry && (
         <div className="modal">
@@ -0,0 +1,164 @@
+/**
+ * Cafe Batches Modal
+ * Open cafe stock batches with manufacture and expiry dates, soonest expiry first.
+ * Sales use the oldest batch first (FIFO); whatever is left after the expiry date is written off overnight
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { useToast } from '@contexts/ToastContext';
+import config from '@config';
+import { unifiedFetch } from '@utils/unifiedFetch';
+import { formatQuantity } from '@utils/purchasing';
+import '@styles/components/CafeBatchesModal.css';
+
+const EXPIRY_WINDOWS = [
+  { value: '3', label: 'Expiring in 3 days' },
+  { value: '7', label: 'Expiring in 7 days' },
+  { value: '30', label: 'Expiring in 30 days' },
+  { value: '', label: 'All open batches' }
+];
+
+const formatDate = (value) =>
+  value ? new Date(value).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' }) : '—';
+
+const expiryStatus = (batch) => {
+  if (batch.daysUntilExpiry === null || batch.daysUntilExpiry === undefined) {
+    return { label: 'No Expiry', className: 'batch-status-none' };
+  }
+  if (batch.daysUntilExpiry < 0) return { label: 'Expired', className: 'batch-status-expired' };
+  if (batch.daysUntilExpiry === 0) return { label: 'Expires Today', className: 'batch-status-expired' };
+  if (batch.daysUntilExpiry <= 3) return { label: `${batch.daysUntilExpiry} day(s) left`, className: 'batch-status-soon' };
+  return { label: `${batch.daysUntilExpiry} days left`, className: 'batch-status-ok' };
+};
+
+/**
+ * @param {string} productId - Only this product's batches (all products of the theater when empty)
+ * @param {string} productName - Shown in the title for a single product
+ */
+const CafeBatchesModal = ({ theaterId, productId = null, productName = '', onClose }) => {
+  const toast = useToast();
+  const [withinDays, setWithinDays] = useState(productId ? '' : '7');
+  const [batches, setBatches] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const loadBatches = useCallback(async () => {
+    setLoading(true);
+    try {
+      const params = new URLSearchParams();
+      if (productId) params.set('productId', productId);
+      if (withinDays) params.set('days', withinDays);
+
+      const response = await unifiedFetch(
+        `${config.api.baseUrl}/cafe-stock/batches/${theaterId}?${params.toString()}`,
+        {},
+        { forceRefresh: true, retry: false }
+      );
+      const data = await response.json();
+      if (!response.ok || data.success === false) {
+        throw new Error(data.error || data.message || 'Failed to load batches');
+      }
+      setBatches(data.data || []);
+    } catch (error) {
+      console.error('Error loading cafe stock batches:', error);
+      toast.error(error.message || 'Failed to load batches');
+    } finally {
+      setLoading(false);
+    }
+  }, [theaterId, productId, withinDays, toast]);
+
+  useEffect(() => {
+    loadBatches();
+  }, [loadBatches]);
+
+  const columns = productId ? 7 : 8;
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content theater-edit-modal-content cafe-batches-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>{productId ? `Batches - ${productName}` : 'Expiring Batches'}</h2>
+          <button className="close-btn" onClick={onClose}>
+            <svg viewBox="0 0 24 24" fill="currentColor" className="svg-icon-sm">
+              <path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="modal-body">
+          <div className="cafe-batches-toolbar">
+            <select
+              value={withinDays}
+              onChange={(e) => setWithinDays(e.target.value)}
+              className="form-control"
+            >
+              {EXPIRY_WINDOWS.map(option => (
+                <option key={option.label} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            <span className="cafe-batches-hint">
+              Sales use the oldest batch first. Stock left in a batch after its expiry date is written off overnight.
+            </span>
+          </div>
+
+          <div className="cafe-batches-table-wrap">
+            <table className="theater-table">
+              <thead>
+                <tr>
+                  {!productId && <th>Product</th>}
+                  <th>Batch</th>
+                  <th>Received</th>
+                  <th>Manufactured</th>
+                  <th>Expiry</th>
+                  <th>Remaining</th>
+                  <th>Received Qty</th>
+                  <th>Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {loading ? (
+                  <tr>
+                    <td colSpan={columns} className="loading-cell">
+                      <div className="loading-spinner"></div>
+                      <span>Loading batches...</span>
+                    </td>
+                  </tr>
+                ) : batches.length > 0 ? (
+                  batches.map(batch => {
+                    const status = expiryStatus(batch);
+                    return (
+                      <tr key={batch._id} className="theater-row">
+                        {!productId && <td className="name-cell">{batch.productName}</td>}
+                        <td className="cafe-batch-number">{batch.batchNumber}</td>
+                        <td>{formatDate(batch.receivedAt)}</td>
+                        <td>{formatDate(batch.manufactureDate)}</td>
+                        <td>{formatDate(batch.expireDate)}</td>
+                        <td><strong>{formatQuantity(batch.remaining, batch.unit)}</strong></td>
+                        <td>{formatQuantity(batch.quantity, batch.unit)}</td>
+                        <td><span className={`cafe-batch-status ${status.className}`}>{status.label}</span></td>
+                      </tr>
+                    );
+                  })
+                ) : (
+                  <tr>
+                    <td colSpan={columns} className="empty-cell">
+                      <h3>No Batches</h3>
+                      <p>{withinDays ? 'Nothing expires in this window.' : 'Add inward stock to open a batch.'}</p>
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+
+        <div className="modal-actions">
+          <button className="cancel-btn" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CafeBatchesModal;
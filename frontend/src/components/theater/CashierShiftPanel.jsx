@@ -0,0 +1,428 @@
+/**
+ * Cashier Shift Panel
+ * Drawer shift controls for the POS pages: open with a float, cash in / cash out,
+ * close with counted amounts (expected vs counted per payment method) and print the Z-report
+ */
+
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import config from '@config';
+import { unifiedFetch } from '@utils/unifiedFetch';
+import { useToast } from '@contexts/ToastContext';
+import { printShiftReport, buildShiftReportText } from '@utils/silentPrintService';
+import '@styles/TheaterGlobalModals.css';
+import '@styles/components/CashierShiftPanel.css';
+
+// Non-cash methods the cashier can count at close (card slips, UPI app totals)
+const COUNTABLE_METHODS = ['card', 'upi'];
+
+const METHOD_LABELS = {
+  cash: 'Cash',
+  card: 'Card',
+  upi: 'UPI',
+  online: 'Online'
+};
+
+const formatAmount = (amount) => new Intl.NumberFormat('en-IN', {
+  style: 'currency',
+  currency: 'INR'
+}).format(Number(amount) || 0);
+
+const CashierShiftPanel = ({ theaterId, theaterInfo = null }) => {
+  const toast = useToast();
+  const [shift, setShift] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  // 'open' | 'cash_in' | 'cash_out' | 'close' | null
+  const [activeModal, setActiveModal] = useState(null);
+  const [form, setForm] = useState({ amount: '', reason: '', note: '', counted: {} });
+
+  const apiCall = useCallback(async (path, options = {}) => {
+    const response = await unifiedFetch(`${config.api.baseUrl}/shifts/${theaterId}${path}`, {
+      headers: { 'Content-Type': 'application/json' },
+      ...options
+    }, { forceRefresh: true, cacheTTL: 0 });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || data.success === false) {
+      throw new Error(data.message || data.error || 'Shift request failed');
+    }
+    return data;
+  }, [theaterId]);
+
+  const loadShift = useCallback(async () => {
+    if (!theaterId) return;
+    try {
+      const data = await apiCall('/current');
+      setShift(data.data?.shift || null);
+    } catch (error) {
+      console.warn('⚠️ [CashierShift] Could not load current shift:', error.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [theaterId, apiCall]);
+
+  useEffect(() => {
+    loadShift();
+  }, [loadShift]);
+
+  const openModal = (type) => {
+    setForm({ amount: '', reason: '', note: '', counted: {} });
+    setActiveModal(type);
+    // Expected totals move with every sale - refresh before counting
+    if (type === 'close') {
+      loadShift();
+    }
+  };
+
+  const closeModal = () => {
+    if (!saving) setActiveModal(null);
+  };
+
+  /**
+   * Silent print on the POS printer, browser print dialog when the print middleware is not running
+   */
+  const printZReport = useCallback(async (shiftId) => {
+    try {
+      const data = await apiCall(`/${shiftId}/z-report`);
+      const { shift: reportShift, theater } = data.data;
+      const reportTheater = theater || theaterInfo || {};
+
+      const result = await printShiftReport(reportShift, reportTheater);
+      if (result?.success) {
+        toast.success('Z-report sent to printer');
+        return;
+      }
+
+      const printFrame = document.createElement('iframe');
+      printFrame.className = 'cashier-shift-print-frame';
+      document.body.appendChild(printFrame);
+      const reportText = buildShiftReportText(reportShift, reportTheater)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+      printFrame.contentDocument.write(
+        `<html><head><title>Z-Report ${reportShift.shiftNumber}</title></head>` +
+        `<body style="margin:0"><pre style="font:bold 12px monospace;width:80mm">${reportText}</pre></body></html>`
+      );
+      printFrame.contentDocument.close();
+      setTimeout(() => {
+        printFrame.contentWindow.print();
+        document.body.removeChild(printFrame);
+      }, 250);
+    } catch (error) {
+      console.error('❌ [CashierShift] Z-report print failed:', error);
+      toast.error(error.message || 'Failed to print Z-report');
+    }
+  }, [apiCall, theaterInfo, toast]);
+
+  const handleOpenShift = async () => {
+    setSaving(true);
+    try {
+      const data = await apiCall('/open', {
+        method: 'POST',
+        body: JSON.stringify({ openingFloat: Number(form.amount) || 0, note: form.note.trim() })
+      });
+      setShift(data.data);
+      setActiveModal(null);
+      toast.success(data.message || 'Shift opened');
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCashMovement = async () => {
+    setSaving(true);
+    try {
+      const data = await apiCall(`/${shift._id}/cash`, {
+        method: 'POST',
+        body: JSON.stringify({
+          type: activeModal,
+          amount: Number(form.amount),
+          reason: form.reason.trim()
+        })
+      });
+      setShift(data.data);
+      setActiveModal(null);
+      toast.success(data.message);
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCloseShift = async () => {
+    setSaving(true);
+    try {
+      const counted = { cash: Number(form.counted.cash) };
+      COUNTABLE_METHODS.forEach(method => {
+        if (form.counted[method] !== undefined && form.counted[method] !== '') {
+          counted[method] = Number(form.counted[method]);
+        }
+      });
+
+      const data = await apiCall(`/${shift._id}/close`, {
+        method: 'POST',
+        body: JSON.stringify({ counted, note: form.note.trim() })
+      });
+      const closedShift = data.data;
+      setShift(null);
+      setActiveModal(null);
+
+      const variance = closedShift.summary?.cashVariance || 0;
+      if (variance === 0) {
+        toast.success(`${data.message} - cash matched`);
+      } else {
+        toast.warning(`${data.message} - cash ${variance < 0 ? 'short' : 'over'} by ${formatAmount(Math.abs(variance))}`);
+      }
+
+      printZReport(closedShift._id);
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Expected per method with the variance of what has been typed in so far
+  const closeLines = useMemo(() => {
+    const byMethod = shift?.summary?.byMethod || [];
+    const methods = ['cash', ...COUNTABLE_METHODS];
+    byMethod.forEach(line => {
+      if (!methods.includes(line.method)) methods.push(line.method);
+    });
+
+    return methods.map(method => {
+      const line = byMethod.find(entry => entry.method === method) || { method, orderCount: 0, sales: 0, expected: 0 };
+      const countable = method === 'cash' || COUNTABLE_METHODS.includes(method);
+      const rawCounted = form.counted[method];
+      const hasCounted = countable && rawCounted !== undefined && rawCounted !== '';
+      return {
+        ...line,
+        countable,
+        variance: hasCounted ? Math.round((Number(rawCounted) - line.expected) * 100) / 100 : null
+      };
+    });
+  }, [shift, form.counted]);
+
+  if (!theaterId || loading) {
+    return null;
+  }
+
+  const amountValid = Number(form.amount) > 0;
+  const isCashMovement = activeModal === 'cash_in' || activeModal === 'cash_out';
+
+  return (
+    <>
+      <div className={`cashier-shift-bar ${shift ? 'open' : 'closed'}`}>
+        {shift ? (
+          <>
+            <div className="cashier-shift-info">
+              <span className="cashier-shift-number">{shift.shiftNumber}</span>
+              <span className="cashier-shift-expected">
+                Drawer: <strong>{formatAmount(shift.summary?.expectedCash)}</strong>
+              </span>
+            </div>
+            <div className="cashier-shift-actions">
+              <button type="button" className="cashier-shift-btn" onClick={() => openModal('cash_in')}>
+                Cash In
+              </button>
+              <button type="button" className="cashier-shift-btn" onClick={() => openModal('cash_out')}>
+                Cash Out
+              </button>
+              <button type="button" className="cashier-shift-btn close" onClick={() => openModal('close')}>
+                Close Shift
+              </button>
+            </div>
+          </>
+        ) : (
+          <>
+            <div className="cashier-shift-info">
+              <span className="cashier-shift-warning">No shift open - cash sales are not tracked to a drawer</span>
+            </div>
+            <div className="cashier-shift-actions">
+              <button type="button" className="cashier-shift-btn primary" onClick={() => openModal('open')}>
+                Open Shift
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+
+      {activeModal && (
+        <div className="modal-overlay" onClick={closeModal}>
+          <div className="modal-content cashier-shift-modal" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h2>
+                {activeModal === 'open' && 'Open Shift'}
+                {activeModal === 'cash_in' && 'Cash In'}
+                {activeModal === 'cash_out' && 'Cash Out'}
+                {activeModal === 'close' && `Close Shift ${shift?.shiftNumber || ''}`}
+              </h2>
+              <button className="close-btn" onClick={closeModal}>
+                <svg viewBox="0 0 24 24" fill="currentColor" className="svg-icon-sm">
+                  <path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z" />
+                </svg>
+              </button>
+            </div>
+
+            <div className="modal-body">
+              {activeModal === 'open' && (
+                <div className="edit-form">
+                  <div className="form-group full-width">
+                    <label>Opening Float (₹)</label>
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.01"
+                      value={form.amount}
+                      onChange={(e) => setForm(prev => ({ ...prev, amount: e.target.value }))}
+                      className="form-control"
+                      placeholder="Cash in the drawer at start"
+                      autoFocus
+                    />
+                  </div>
+                  <div className="form-group full-width">
+                    <label>Note</label>
+                    <input
+                      type="text"
+                      value={form.note}
+                      onChange={(e) => setForm(prev => ({ ...prev, note: e.target.value }))}
+                      className="form-control"
+                      maxLength={250}
+                    />
+                  </div>
+                </div>
+              )}
+
+              {isCashMovement && (
+                <div className="edit-form">
+                  <div className="form-group full-width">
+                    <label>Amount (₹) <span className="required-field-indicator">*</span></label>
+                    <input
+                      type="number"
+                      min="0.01"
+                      step="0.01"
+                      value={form.amount}
+                      onChange={(e) => setForm(prev => ({ ...prev, amount: e.target.value }))}
+                      className="form-control"
+                      autoFocus
+                    />
+                  </div>
+                  <div className="form-group full-width">
+                    <label>Reason <span className="required-field-indicator">*</span></label>
+                    <input
+                      type="text"
+                      value={form.reason}
+                      onChange={(e) => setForm(prev => ({ ...prev, reason: e.target.value }))}
+                      className="form-control"
+                      placeholder={activeModal === 'cash_in' ? 'e.g. Change top-up' : 'e.g. Safe drop, petty expense'}
+                      maxLength={250}
+                    />
+                  </div>
+                  {activeModal === 'cash_out' && (
+                    <span className="form-helper-text">
+                      Expected in drawer: {formatAmount(shift?.summary?.expectedCash)}
+                    </span>
+                  )}
+                </div>
+              )}
+
+              {activeModal === 'close' && (
+                <>
+                  <table className="cashier-shift-close-table">
+                    <thead>
+                      <tr>
+                        <th>Method</th>
+                        <th>Orders</th>
+                        <th>Expected</th>
+                        <th>Counted</th>
+                        <th>Variance</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {closeLines.map(line => (
+                        <tr key={line.method}>
+                          <td>{METHOD_LABELS[line.method] || line.method}</td>
+                          <td>{line.orderCount}</td>
+                          <td>{formatAmount(line.expected)}</td>
+                          <td>
+                            {line.countable ? (
+                              <input
+                                type="number"
+                                min="0"
+                                step="0.01"
+                                value={form.counted[line.method] ?? ''}
+                                onChange={(e) => setForm(prev => ({
+                                  ...prev,
+                                  counted: { ...prev.counted, [line.method]: e.target.value }
+                                }))}
+                                className="form-control"
+                                placeholder={line.method === 'cash' ? 'Required' : 'Optional'}
+                              />
+                            ) : '—'}
+                          </td>
+                          <td className={line.variance < 0 ? 'short' : line.variance > 0 ? 'over' : ''}>
+                            {line.variance === null ? '—' : formatAmount(line.variance)}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                  <p className="form-helper-text">
+                    Expected cash = float {formatAmount(shift?.openingFloat)} + cash sales + cash in {formatAmount(shift?.summary?.cashIn)} − cash out {formatAmount(shift?.summary?.cashOut)}
+                  </p>
+                  <div className="edit-form">
+                    <div className="form-group full-width">
+                      <label>Closing Note</label>
+                      <textarea
+                        value={form.note}
+                        onChange={(e) => setForm(prev => ({ ...prev, note: e.target.value }))}
+                        className="form-control"
+                        rows="2"
+                        maxLength={500}
+                        placeholder="Explain any shortage or excess"
+                      />
+                    </div>
+                  </div>
+                </>
+              )}
+            </div>
+
+            <div className="modal-actions">
+              <button className="cancel-btn" onClick={closeModal} disabled={saving}>
+                Cancel
+              </button>
+              {activeModal === 'open' && (
+                <button className="btn-primary" onClick={handleOpenShift} disabled={saving}>
+                  {saving ? 'Opening...' : 'Open Shift'}
+                </button>
+              )}
+              {isCashMovement && (
+                <button
+                  className="btn-primary"
+                  onClick={handleCashMovement}
+                  disabled={saving || !amountValid || !form.reason.trim()}
+                >
+                  {saving ? 'Saving...' : activeModal === 'cash_in' ? 'Record Cash In' : 'Record Cash Out'}
+                </button>
+              )}
+              {activeModal === 'close' && (
+                <button
+                  className="btn-primary"
+                  onClick={handleCloseShift}
+                  disabled={saving || form.counted.cash === undefined || form.counted.cash === ''}
+                >
+                  {saving ? 'Closing...' : 'Close & Print Z-Report'}
+                </button>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default CashierShiftPanel;
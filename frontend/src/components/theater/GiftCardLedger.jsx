@@ -0,0 +1,189 @@
+import React, { useState, useEffect } from 'react';
+import config from '@config';
+import { unifiedFetch } from '@utils/unifiedFetch';
+import { formatGiftCardCode } from '@utils/giftCards';
+
+const MOVEMENT_LABELS = {
+  issue: 'Issued',
+  topup: 'Top-up',
+  redeem: 'Redeemed',
+  refund: 'Refunded',
+  block: 'Blocked',
+  unblock: 'Unblocked'
+};
+
+const formatAmount = (value) => `₹${Number(value || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatDateTime = (value) =>
+  new Date(value).toLocaleString('en-IN', { day: '2-digit', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit' });
+
+// Date inputs are whole local days
+const toRangeParam = (date, endOfDay) => new Date(`${date}T${endOfDay ? '23:59:59' : '00:00:00'}`).toISOString();
+
+const describeMovement = (entry) => [
+  entry.orderNumber && `Order ${entry.orderNumber}`,
+  entry.paymentMethod && entry.paymentMethod.toUpperCase(),
+  entry.performedBy?.username,
+  entry.note
+].filter(Boolean).join(' · ');
+
+/**
+ * 🎁 Gift card movements for the reports page (Theater Admin)
+ * Every issue, top-up, redemption, refund and block in the selected date range
+ */
+const GiftCardLedger = ({ theaterId, startDate, endDate }) => {
+  const [ledger, setLedger] = useState(null);
+  const [typeFilter, setTypeFilter] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!theaterId) return;
+
+    let cancelled = false;
+    const params = new URLSearchParams();
+    if (startDate) params.set('startDate', toRangeParam(startDate, false));
+    if (endDate) params.set('endDate', toRangeParam(endDate, true));
+    if (typeFilter) params.set('type', typeFilter);
+
+    setLoading(true);
+    setError('');
+    unifiedFetch(`${config.api.baseUrl}/gift-cards/${theaterId}/ledger?${params.toString()}`, {}, { forceRefresh: true, timeout: 20000 })
+      .then(async response => {
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok || data.success === false) {
+          throw new Error(data.error || data.message || 'Failed to load gift card movements');
+        }
+        if (!cancelled) setLedger(data.data);
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [theaterId, startDate, endDate, typeFilter]);
+
+  const handleDownloadCsv = () => {
+    const rows = [
+      ['Date', 'Card', 'Movement', 'Amount', 'Balance After', 'Details'],
+      ...(ledger?.transactions || []).map(entry => [
+        formatDateTime(entry.createdAt),
+        entry.code,
+        MOVEMENT_LABELS[entry.type] || entry.type,
+        Number(entry.amount || 0).toFixed(2),
+        Number(entry.balanceAfter || 0).toFixed(2),
+        describeMovement(entry)
+      ])
+    ];
+    const csv = rows.map(row => row.map(cell => `"${String(cell).replace(/"/g, '""')}"`).join(',')).join('\n');
+
+    const url = window.URL.createObjectURL(new Blob([csv], { type: 'text/csv;charset=utf-8;' }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `Gift_Card_Movements_${startDate || 'all'}_${endDate || 'all'}.csv`;
+    document.body.appendChild(a);
+    a.click();
+    window.URL.revokeObjectURL(url);
+    document.body.removeChild(a);
+  };
+
+  const totals = ledger?.totals || {};
+  const transactions = ledger?.transactions || [];
+
+  return (
+    <div className="stats-container gift-card-ledger">
+      <div className="gift-card-ledger-header">
+        <h3 className="stats-title">🎁 Gift Card Movements</h3>
+        <div className="gift-card-ledger-actions">
+          <select value={typeFilter} onChange={(e) => setTypeFilter(e.target.value)} className="filter-input">
+            <option value="">All movements</option>
+            {Object.entries(MOVEMENT_LABELS).map(([type, label]) => (
+              <option key={type} value={type}>{label}</option>
+            ))}
+          </select>
+          <button
+            onClick={handleDownloadCsv}
+            disabled={loading || transactions.length === 0}
+            className={`download-button download-button-secondary ${loading || transactions.length === 0 ? 'disabled' : ''}`}
+          >
+            📥 Download CSV
+          </button>
+        </div>
+      </div>
+
+      <div className="stats-grid">
+        <div className="stat-card">
+          <div className="stat-label">Sold ({totals.cardsIssued || 0} cards)</div>
+          <div className="stat-value">{formatAmount(totals.issued)}</div>
+        </div>
+        <div className="stat-card">
+          <div className="stat-label">Topped Up</div>
+          <div className="stat-value">{formatAmount(totals.toppedUp)}</div>
+        </div>
+        <div className="stat-card">
+          <div className="stat-label">Redeemed</div>
+          <div className="stat-value stat-value-revenue">{formatAmount(totals.redeemed)}</div>
+        </div>
+        <div className="stat-card">
+          <div className="stat-label">Refunded to Cards</div>
+          <div className="stat-value">{formatAmount(totals.refunded)}</div>
+        </div>
+        <div className="stat-card">
+          <div className="stat-label">Outstanding Balance (all cards)</div>
+          <div className="stat-value">{formatAmount(ledger?.summary?.outstandingBalance)}</div>
+        </div>
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      <div className="gift-card-ledger-table">
+        <table>
+          <thead>
+            <tr>
+              <th>Date</th>
+              <th>Card</th>
+              <th>Movement</th>
+              <th>Amount</th>
+              <th>Balance After</th>
+              <th>Details</th>
+            </tr>
+          </thead>
+          <tbody>
+            {loading ? (
+              <tr>
+                <td colSpan="6">Loading gift card movements...</td>
+              </tr>
+            ) : transactions.length > 0 ? (
+              transactions.map(entry => (
+                <tr key={entry._id}>
+                  <td>{formatDateTime(entry.createdAt)}</td>
+                  <td className="gift-card-ledger-code">{formatGiftCardCode(entry.code)}</td>
+                  <td>{MOVEMENT_LABELS[entry.type] || entry.type}</td>
+                  <td className={entry.amount < 0 ? 'gift-card-ledger-debit' : 'gift-card-ledger-credit'}>
+                    {entry.amount ? `${entry.amount < 0 ? '−' : '+'}${formatAmount(Math.abs(entry.amount))}` : '—'}
+                  </td>
+                  <td>{formatAmount(entry.balanceAfter)}</td>
+                  <td>{describeMovement(entry) || '—'}</td>
+                </tr>
+              ))
+            ) : (
+              <tr>
+                <td colSpan="6">No gift card movements in this period</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+      {transactions.length >= 1000 && (
+        <p className="stats-note">Showing the latest 1000 movements - narrow the date range to see older ones.</p>
+      )}
+    </div>
+  );
+};
+
+export default GiftCardLedger;
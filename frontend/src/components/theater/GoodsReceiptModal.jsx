@@ -0,0 +1,273 @@
+/**
+ * Goods Receipt Modal
+ * Goods-received note (GRN) for a purchase order - what arrived, at what cost, with batch and expiry.
+ * Saving it adds the quantities to product or cafe stock; earlier GRNs of the PO are listed below
+ */
+
+import React, { useState } from 'react';
+import { useToast } from '@contexts/ToastContext';
+import config from '@config';
+import { unifiedFetch } from '@utils/unifiedFetch';
+import { outstandingQuantity, formatMoney, formatQuantity } from '@utils/purchasing';
+
+const todayInput = () => {
+  const now = new Date();
+  return new Date(now.getTime() - now.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+};
+
+const formatDate = (value) =>
+  value ? new Date(value).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' }) : '—';
+
+/**
+ * @param {Object} purchaseOrder - PO to receive against
+ * @param {boolean} readOnly - Only show the receipts (PO can no longer receive goods)
+ */
+const GoodsReceiptModal = ({ theaterId, purchaseOrder, readOnly = false, onClose, onReceived }) => {
+  const toast = useToast();
+  const [saving, setSaving] = useState(false);
+  const [receivedAt, setReceivedAt] = useState(todayInput);
+  const [invoiceNumber, setInvoiceNumber] = useState('');
+  const [notes, setNotes] = useState('');
+  const [lines, setLines] = useState(() => purchaseOrder.items.map(item => ({
+    itemId: item._id,
+    quantity: String(outstandingQuantity(item) || ''),
+    unitCost: item.unitCost ? String(item.unitCost) : '',
+    batchNumber: '',
+    expireDate: ''
+  })));
+
+  const updateLine = (lineIndex, changes) => {
+    setLines(prev => prev.map((line, index) => (index === lineIndex ? { ...line, ...changes } : line)));
+  };
+
+  const handleSubmit = async () => {
+    const received = lines.filter(line => Number(line.quantity) > 0);
+    if (received.length === 0) {
+      toast.error('Enter the quantity received for at least one item');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const response = await unifiedFetch(
+        `${config.api.baseUrl}/purchase-orders/${theaterId}/${purchaseOrder._id}/receive`,
+        {
+          method: 'POST',
+          body: JSON.stringify({
+            // Received today is booked at the server's current time, an earlier day at its start
+            receivedAt: receivedAt === todayInput() ? undefined : new Date(`${receivedAt}T00:00:00`).toISOString(),
+            invoiceNumber: invoiceNumber.trim(),
+            notes: notes.trim(),
+            items: received.map(line => ({
+              itemId: line.itemId,
+              quantity: Number(line.quantity),
+              unitCost: line.unitCost === '' ? undefined : Number(line.unitCost),
+              batchNumber: line.batchNumber.trim(),
+              expireDate: line.expireDate ? new Date(`${line.expireDate}T23:59:59`).toISOString() : null
+            }))
+          })
+        },
+        { forceRefresh: true, retry: false }
+      );
+
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok || data.success === false) {
+        throw new Error(data.error || data.message || 'Failed to receive goods');
+      }
+
+      toast.success(`Goods received into ${purchaseOrder.destination === 'cafe' ? 'cafe' : 'product'} stock`);
+      onReceived();
+    } catch (error) {
+      console.error('Error receiving goods:', error);
+      toast.error(error.message || 'Failed to receive goods');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content theater-edit-modal-content purchase-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>{readOnly ? `Receipts - ${purchaseOrder.poNumber}` : `Receive Goods - ${purchaseOrder.poNumber}`}</h2>
+          <button className="close-btn" onClick={onClose}>
+            <svg viewBox="0 0 24 24" fill="currentColor" className="svg-icon-sm">
+              <path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="modal-body">
+          <p className="purchase-hint">
+            {purchaseOrder.supplierName} · into {purchaseOrder.destination === 'cafe' ? 'Cafe Stock' : 'Product Stock'}
+          </p>
+
+          {!readOnly && (
+            <>
+              <div className="edit-form">
+                <div className="form-group">
+                  <label>Received On</label>
+                  <input
+                    type="date"
+                    value={receivedAt}
+                    max={todayInput()}
+                    onChange={(e) => setReceivedAt(e.target.value)}
+                    className="form-control"
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Supplier Invoice No.</label>
+                  <input
+                    type="text"
+                    value={invoiceNumber}
+                    onChange={(e) => setInvoiceNumber(e.target.value)}
+                    className="form-control"
+                    maxLength={50}
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Notes</label>
+                  <input
+                    type="text"
+                    value={notes}
+                    onChange={(e) => setNotes(e.target.value)}
+                    className="form-control"
+                    maxLength={500}
+                  />
+                </div>
+              </div>
+
+              <div className="purchase-table-wrap">
+                <table className="theater-table purchase-receive-table">
+                  <thead>
+                    <tr>
+                      <th>Product</th>
+                      <th>Ordered</th>
+                      <th>Outstanding</th>
+                      <th>Received Now</th>
+                      <th>Cost / Unit (₹)</th>
+                      <th>Batch No.</th>
+                      <th>Expiry</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {purchaseOrder.items.map((item, lineIndex) => {
+                      const outstanding = outstandingQuantity(item);
+                      return (
+                        <tr key={item._id} className={outstanding === 0 ? 'purchase-row-done' : ''}>
+                          <td>{item.productName}</td>
+                          <td>{formatQuantity(item.orderedQuantity, item.unit)}</td>
+                          <td>{formatQuantity(outstanding, item.unit)}</td>
+                          <td>
+                            <input
+                              type="number"
+                              min="0"
+                              max={outstanding}
+                              step="0.001"
+                              value={lines[lineIndex].quantity}
+                              onChange={(e) => updateLine(lineIndex, { quantity: e.target.value })}
+                              className="form-control"
+                              disabled={outstanding === 0}
+                            />
+                          </td>
+                          <td>
+                            <input
+                              type="number"
+                              min="0"
+                              step="0.01"
+                              value={lines[lineIndex].unitCost}
+                              onChange={(e) => updateLine(lineIndex, { unitCost: e.target.value })}
+                              className="form-control"
+                              disabled={outstanding === 0}
+                            />
+                          </td>
+                          <td>
+                            <input
+                              type="text"
+                              value={lines[lineIndex].batchNumber}
+                              onChange={(e) => updateLine(lineIndex, { batchNumber: e.target.value })}
+                              className="form-control"
+                              maxLength={50}
+                              disabled={outstanding === 0}
+                            />
+                          </td>
+                          <td>
+                            <input
+                              type="date"
+                              value={lines[lineIndex].expireDate}
+                              min={receivedAt}
+                              onChange={(e) => updateLine(lineIndex, { expireDate: e.target.value })}
+                              className="form-control"
+                              disabled={outstanding === 0}
+                            />
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+
+          <h3 className="purchase-section-title">Goods Received Notes</h3>
+          {(purchaseOrder.receipts || []).length === 0 ? (
+            <p className="purchase-hint">Nothing received yet.</p>
+          ) : (
+            <div className="purchase-table-wrap">
+              <table className="theater-table">
+                <thead>
+                  <tr>
+                    <th>GRN</th>
+                    <th>Date</th>
+                    <th>Items</th>
+                    <th>Cost</th>
+                    <th>Details</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {purchaseOrder.receipts.map(receipt => (
+                    <tr key={receipt._id}>
+                      <td className="purchase-number">{receipt.grnNumber}</td>
+                      <td>{formatDate(receipt.receivedAt)}</td>
+                      <td>
+                        {receipt.items.map(line => (
+                          <div key={line._id}>
+                            {line.productName}: {formatQuantity(line.quantity, line.unit)}
+                            {line.batchNumber && <span className="purchase-muted"> · Batch {line.batchNumber}</span>}
+                            {line.expireDate && <span className="purchase-muted"> · Exp {formatDate(line.expireDate)}</span>}
+                          </div>
+                        ))}
+                      </td>
+                      <td>{formatMoney(receipt.totalCost)}</td>
+                      <td className="purchase-muted">
+                        {[
+                          receipt.invoiceNumber && `Invoice ${receipt.invoiceNumber}`,
+                          receipt.receivedBy?.username,
+                          receipt.notes
+                        ].filter(Boolean).join(' · ') || '—'}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
+        <div className="modal-actions">
+          <button className="cancel-btn" onClick={onClose}>
+            {readOnly ? 'Close' : 'Cancel'}
+          </button>
+          {!readOnly && (
+            <button className="btn-primary" onClick={handleSubmit} disabled={saving}>
+              {saving ? 'Saving...' : 'Receive Goods'}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default GoodsReceiptModal;
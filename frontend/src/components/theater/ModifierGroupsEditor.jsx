@@ -0,0 +1,165 @@
+/**
+ * Modifier Groups Editor
+ * Product form section for modifier groups ("Size", "Add-ons") - stored on the product's `variants`
+ * Each group sets whether a choice is required and how many options can be picked;
+ * each option has a price added to the product price and an optional stock count
+ */
+
+import React, { useCallback } from 'react';
+import { TextField, Box } from '@mui/material';
+import '@styles/components/ModifierGroupsEditor.css';
+
+const emptyOption = () => ({ label: '', price: '', stock: '' });
+const emptyGroup = () => ({ name: '', required: false, minSelections: '', maxSelections: '', options: [emptyOption()] });
+
+const ModifierGroupsEditor = ({ groups, onChange, disabled = false }) => {
+  const updateGroup = useCallback((groupIndex, changes) => {
+    onChange(groups.map((group, index) => (index === groupIndex ? { ...group, ...changes } : group)));
+  }, [groups, onChange]);
+
+  const updateOption = useCallback((groupIndex, optionIndex, changes) => {
+    const options = groups[groupIndex].options.map((option, index) =>
+      index === optionIndex ? { ...option, ...changes } : option
+    );
+    updateGroup(groupIndex, { options });
+  }, [groups, updateGroup]);
+
+  const removeGroup = (groupIndex) => onChange(groups.filter((_, index) => index !== groupIndex));
+
+  const removeOption = (groupIndex, optionIndex) => {
+    const options = groups[groupIndex].options.filter((_, index) => index !== optionIndex);
+    updateGroup(groupIndex, { options: options.length > 0 ? options : [emptyOption()] });
+  };
+
+  return (
+    <div className="modifier-groups-editor">
+      {groups.length === 0 && (
+        <p className="modifier-groups-empty">
+          No modifiers yet. Add a group such as "Size" (pick one) or "Add-ons" (pick any).
+        </p>
+      )}
+
+      {groups.map((group, groupIndex) => (
+        <div key={group._id || `group-${groupIndex}`} className="modifier-group-card">
+          <div className="modifier-group-fields">
+            <Box className="mui-form-group">
+              <TextField
+                label="Group Name"
+                value={group.name}
+                onChange={(e) => updateGroup(groupIndex, { name: e.target.value })}
+                placeholder="e.g. Size, Add-ons"
+                disabled={disabled}
+                fullWidth
+              />
+            </Box>
+            <Box className="mui-form-group">
+              <TextField
+                label="Min Choices"
+                type="number"
+                inputProps={{ min: '0' }}
+                value={group.minSelections}
+                onChange={(e) => updateGroup(groupIndex, { minSelections: e.target.value })}
+                placeholder={group.required ? '1' : '0'}
+                disabled={disabled}
+                fullWidth
+              />
+            </Box>
+            <Box className="mui-form-group">
+              <TextField
+                label="Max Choices"
+                type="number"
+                inputProps={{ min: '1' }}
+                value={group.maxSelections}
+                onChange={(e) => updateGroup(groupIndex, { maxSelections: e.target.value })}
+                placeholder="All options"
+                disabled={disabled}
+                fullWidth
+              />
+            </Box>
+            <label className="modifier-group-required">
+              <input
+                type="checkbox"
+                checked={!!group.required}
+                onChange={(e) => updateGroup(groupIndex, { required: e.target.checked })}
+                disabled={disabled}
+              />
+              Required
+            </label>
+            <button
+              type="button"
+              className="modifier-remove-btn"
+              onClick={() => removeGroup(groupIndex)}
+              disabled={disabled}
+              title="Remove group"
+            >
+              ×
+            </button>
+          </div>
+
+          <div className="modifier-option-rows">
+            {group.options.map((option, optionIndex) => (
+              <div key={option._id || `option-${optionIndex}`} className="modifier-option-row">
+                <TextField
+                  label="Option"
+                  size="small"
+                  value={option.label}
+                  onChange={(e) => updateOption(groupIndex, optionIndex, { label: e.target.value })}
+                  placeholder="e.g. Large, Extra cheese"
+                  disabled={disabled}
+                />
+                <TextField
+                  label="Extra Price (₹)"
+                  size="small"
+                  type="number"
+                  inputProps={{ step: '0.01' }}
+                  value={option.price}
+                  onChange={(e) => updateOption(groupIndex, optionIndex, { price: e.target.value })}
+                  placeholder="0"
+                  disabled={disabled}
+                />
+                <TextField
+                  label="Stock"
+                  size="small"
+                  type="number"
+                  inputProps={{ min: '0' }}
+                  value={option.stock}
+                  onChange={(e) => updateOption(groupIndex, optionIndex, { stock: e.target.value })}
+                  placeholder="Not counted"
+                  disabled={disabled}
+                />
+                <button
+                  type="button"
+                  className="modifier-remove-btn"
+                  onClick={() => removeOption(groupIndex, optionIndex)}
+                  disabled={disabled}
+                  title="Remove option"
+                >
+                  ×
+                </button>
+              </div>
+            ))}
+            <button
+              type="button"
+              className="modifier-add-btn"
+              onClick={() => updateGroup(groupIndex, { options: [...group.options, emptyOption()] })}
+              disabled={disabled}
+            >
+              + Add Option
+            </button>
+          </div>
+        </div>
+      ))}
+
+      <button
+        type="button"
+        className="modifier-add-btn"
+        onClick={() => onChange([...groups, emptyGroup()])}
+        disabled={disabled}
+      >
+        + Add Modifier Group
+      </button>
+    </div>
+  );
+};
+
+export default ModifierGroupsEditor;
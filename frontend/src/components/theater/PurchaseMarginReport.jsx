@@ -0,0 +1,163 @@
+/**
+ * Purchase Margin Report
+ * Purchase cost vs sales per product for a date range - cost of sales uses the average
+ * received cost from goods-received notes (recipe products are costed from their ingredients)
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { useToast } from '@contexts/ToastContext';
+import config from '@config';
+import { unifiedFetch } from '@utils/unifiedFetch';
+import { formatMoney, formatQuantity } from '@utils/purchasing';
+
+const toDateInput = (date) => new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+
+const formatPercent = (value) => (value === null || value === undefined ? '—' : `${value}%`);
+
+const PurchaseMarginReport = ({ theaterId }) => {
+  const toast = useToast();
+  const [startDate, setStartDate] = useState(() => {
+    const now = new Date();
+    return toDateInput(new Date(now.getFullYear(), now.getMonth(), 1));
+  });
+  const [endDate, setEndDate] = useState(() => toDateInput(new Date()));
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const loadReport = useCallback(async () => {
+    if (!theaterId || !startDate || !endDate) return;
+
+    setLoading(true);
+    try {
+      const response = await unifiedFetch(
+        `${config.api.baseUrl}/purchase-orders/${theaterId}/margin-report?startDate=${startDate}&endDate=${endDate}`,
+        {},
+        { forceRefresh: true, timeout: 30000 }
+      );
+      const data = await response.json();
+      if (!response.ok || data.success === false) {
+        throw new Error(data.error || data.message || 'Failed to load margin report');
+      }
+      setReport(data.data);
+    } catch (error) {
+      console.error('Error loading margin report:', error);
+      toast.error(error.message || 'Failed to load margin report');
+    } finally {
+      setLoading(false);
+    }
+  }, [theaterId, startDate, endDate, toast]);
+
+  useEffect(() => {
+    loadReport();
+  }, [loadReport]);
+
+  const totals = report?.totals;
+
+  return (
+    <div className="purchase-margin">
+      <div className="purchase-filters">
+        <label>
+          From
+          <input
+            type="date"
+            value={startDate}
+            max={endDate}
+            onChange={(e) => setStartDate(e.target.value)}
+            className="form-control"
+          />
+        </label>
+        <label>
+          To
+          <input
+            type="date"
+            value={endDate}
+            min={startDate}
+            onChange={(e) => setEndDate(e.target.value)}
+            className="form-control"
+          />
+        </label>
+      </div>
+
+      {totals && (
+        <div className="purchase-summary">
+          <div className="purchase-summary-card">
+            <span>Purchases</span>
+            <strong>{formatMoney(totals.purchaseCost)}</strong>
+          </div>
+          <div className="purchase-summary-card">
+            <span>Sales</span>
+            <strong>{formatMoney(totals.salesRevenue)}</strong>
+          </div>
+          <div className="purchase-summary-card">
+            <span>Cost of Sales</span>
+            <strong>{formatMoney(totals.costOfSales)}</strong>
+          </div>
+          <div className="purchase-summary-card">
+            <span>Gross Margin</span>
+            <strong className={totals.margin < 0 ? 'purchase-negative' : 'purchase-positive'}>
+              {formatMoney(totals.margin)} ({formatPercent(totals.marginPercent)})
+            </strong>
+          </div>
+        </div>
+      )}
+      {totals?.uncostedRevenue > 0 && (
+        <p className="purchase-hint">
+          {formatMoney(totals.uncostedRevenue)} of sales is for products never received on a purchase order and is left out of the margin.
+        </p>
+      )}
+
+      <div className="theater-table-container">
+        <table className="theater-table">
+          <thead>
+            <tr>
+              <th className="sno-cell">S.No</th>
+              <th className="name-cell">Product</th>
+              <th>Purchased</th>
+              <th>Purchase Cost</th>
+              <th>Avg Cost</th>
+              <th>Sold</th>
+              <th>Sales</th>
+              <th>Cost of Sales</th>
+              <th>Margin</th>
+            </tr>
+          </thead>
+          <tbody>
+            {loading ? (
+              <tr>
+                <td colSpan="9" className="loading-cell">
+                  <div className="loading-spinner"></div>
+                  <span>Loading margin report...</span>
+                </td>
+              </tr>
+            ) : report?.products?.length > 0 ? (
+              report.products.map((row, index) => (
+                <tr key={row.productId} className="theater-row">
+                  <td className="sno-cell">{index + 1}</td>
+                  <td className="name-cell">{row.productName}</td>
+                  <td>{row.purchasedQuantity ? formatQuantity(row.purchasedQuantity, row.unit) : '—'}</td>
+                  <td>{row.purchaseCost ? formatMoney(row.purchaseCost) : '—'}</td>
+                  <td>{row.averageUnitCost === null ? 'Recipe' : `${formatMoney(row.averageUnitCost)} / ${row.unit}`}</td>
+                  <td>{row.soldQuantity || '—'}</td>
+                  <td>{formatMoney(row.salesRevenue)}</td>
+                  <td>{formatMoney(row.costOfSales)}</td>
+                  <td className={row.margin < 0 ? 'purchase-negative' : 'purchase-positive'}>
+                    {row.salesRevenue ? `${formatMoney(row.margin)} (${formatPercent(row.marginPercent)})` : '—'}
+                  </td>
+                </tr>
+              ))
+            ) : (
+              <tr>
+                <td colSpan="9" className="empty-cell">
+                  <h3>No Purchases or Sales</h3>
+                  <p>Receive goods against purchase orders to see their cost against sales here.</p>
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default PurchaseMarginReport;
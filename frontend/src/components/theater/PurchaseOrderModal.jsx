@@ -0,0 +1,272 @@
+/**
+ * Purchase Order Modal
+ * Raise or edit a purchase order: supplier, where the goods are booked and the ordered items
+ */
+
+import React, { useState } from 'react';
+import { useToast } from '@contexts/ToastContext';
+import config from '@config';
+import { unifiedFetch } from '@utils/unifiedFetch';
+import { PURCHASE_UNITS, defaultPurchaseUnit, purchaseLinesTotal, formatMoney } from '@utils/purchasing';
+
+const toDateInput = (value) => (value ? new Date(value).toISOString().slice(0, 10) : '');
+
+const emptyLine = () => ({ productId: '', orderedQuantity: '', unit: 'Nos', unitCost: '' });
+
+/**
+ * @param {Object|null} purchaseOrder - PO being edited (null for a new one)
+ * @param {Array} suppliers - Suppliers of the theater
+ * @param {Array} products - Products of the theater that can be ordered
+ */
+const PurchaseOrderModal = ({ theaterId, purchaseOrder, suppliers, products, onClose, onSaved }) => {
+  const toast = useToast();
+  const [saving, setSaving] = useState(false);
+  const [formData, setFormData] = useState(() => ({
+    supplierId: purchaseOrder ? String(purchaseOrder.supplier) : '',
+    destination: purchaseOrder?.destination || 'product',
+    expectedDate: toDateInput(purchaseOrder?.expectedDate),
+    notes: purchaseOrder?.notes || '',
+    items: purchaseOrder
+      ? purchaseOrder.items.map(item => ({
+        productId: String(item.productId),
+        orderedQuantity: String(item.orderedQuantity),
+        unit: item.unit || 'Nos',
+        unitCost: item.unitCost ? String(item.unitCost) : ''
+      }))
+      : [emptyLine()]
+  }));
+
+  // Inactive suppliers only show up on POs that already use them
+  const supplierOptions = suppliers.filter(supplier =>
+    supplier.isActive !== false || String(supplier._id) === formData.supplierId
+  );
+
+  const handleInputChange = (field, value) => {
+    setFormData(prev => ({ ...prev, [field]: value }));
+  };
+
+  const updateLine = (lineIndex, changes) => {
+    setFormData(prev => ({
+      ...prev,
+      items: prev.items.map((line, index) => (index === lineIndex ? { ...line, ...changes } : line))
+    }));
+  };
+
+  const handleProductChange = (lineIndex, productId) => {
+    const product = products.find(entry => String(entry._id) === productId);
+    updateLine(lineIndex, { productId, unit: defaultPurchaseUnit(product) });
+  };
+
+  const removeLine = (lineIndex) => {
+    setFormData(prev => ({ ...prev, items: prev.items.filter((_, index) => index !== lineIndex) }));
+  };
+
+  const handleSubmit = async (status) => {
+    const items = formData.items.filter(line => line.productId);
+    if (!formData.supplierId) {
+      toast.error('Select a supplier');
+      return;
+    }
+    if (items.length === 0) {
+      toast.error('Add at least one item');
+      return;
+    }
+    if (items.some(line => !(Number(line.orderedQuantity) > 0))) {
+      toast.error('Every item needs a quantity greater than 0');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const url = purchaseOrder
+        ? `${config.api.baseUrl}/purchase-orders/${theaterId}/${purchaseOrder._id}`
+        : `${config.api.baseUrl}/purchase-orders/${theaterId}`;
+
+      const response = await unifiedFetch(url, {
+        method: purchaseOrder ? 'PUT' : 'POST',
+        body: JSON.stringify({
+          supplierId: formData.supplierId,
+          destination: formData.destination,
+          expectedDate: formData.expectedDate ? new Date(`${formData.expectedDate}T00:00:00`).toISOString() : null,
+          notes: formData.notes.trim(),
+          items: items.map(line => ({
+            productId: line.productId,
+            orderedQuantity: Number(line.orderedQuantity),
+            unit: line.unit,
+            unitCost: Number(line.unitCost) || 0
+          })),
+          ...(status ? { status } : {})
+        })
+      }, { forceRefresh: true, retry: false });
+
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok || data.success === false) {
+        throw new Error(data.error || data.message || 'Failed to save purchase order');
+      }
+
+      toast.success(purchaseOrder ? 'Purchase order updated' : `Purchase order ${data.data?.poNumber || ''} created`);
+      onSaved();
+    } catch (error) {
+      console.error('Error saving purchase order:', error);
+      toast.error(error.message || 'Failed to save purchase order');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content theater-edit-modal-content purchase-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>{purchaseOrder ? `Edit ${purchaseOrder.poNumber}` : 'New Purchase Order'}</h2>
+          <button className="close-btn" onClick={onClose}>
+            <svg viewBox="0 0 24 24" fill="currentColor" className="svg-icon-sm">
+              <path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="modal-body">
+          <div className="edit-form">
+            <div className="form-group">
+              <label>Supplier <span className="required-field-indicator">*</span></label>
+              <select
+                value={formData.supplierId}
+                onChange={(e) => handleInputChange('supplierId', e.target.value)}
+                className="form-control"
+              >
+                <option value="">Select supplier...</option>
+                {supplierOptions.map(supplier => (
+                  <option key={supplier._id} value={supplier._id}>{supplier.name}</option>
+                ))}
+              </select>
+            </div>
+            <div className="form-group">
+              <label>Receive Into</label>
+              <select
+                value={formData.destination}
+                onChange={(e) => handleInputChange('destination', e.target.value)}
+                className="form-control"
+              >
+                <option value="product">Product Stock</option>
+                <option value="cafe">Cafe Stock</option>
+              </select>
+            </div>
+            <div className="form-group">
+              <label>Expected Delivery</label>
+              <input
+                type="date"
+                value={formData.expectedDate}
+                onChange={(e) => handleInputChange('expectedDate', e.target.value)}
+                className="form-control"
+              />
+              <small className="purchase-hint">Leave empty to use the supplier&apos;s lead time.</small>
+            </div>
+            <div className="form-group">
+              <label>Notes</label>
+              <input
+                type="text"
+                value={formData.notes}
+                onChange={(e) => handleInputChange('notes', e.target.value)}
+                className="form-control"
+                maxLength={500}
+              />
+            </div>
+          </div>
+
+          <h3 className="purchase-section-title">Items</h3>
+          <div className="purchase-lines">
+            {formData.items.map((line, lineIndex) => (
+              <div key={`po-line-${lineIndex}`} className="purchase-line">
+                <select
+                  value={line.productId}
+                  onChange={(e) => handleProductChange(lineIndex, e.target.value)}
+                  className="form-control"
+                >
+                  <option value="">Select product...</option>
+                  {products.map(product => (
+                    <option
+                      key={product._id}
+                      value={product._id}
+                      disabled={formData.items.some((other, index) => index !== lineIndex && other.productId === String(product._id))}
+                    >
+                      {product.name}
+                    </option>
+                  ))}
+                </select>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.001"
+                  value={line.orderedQuantity}
+                  onChange={(e) => updateLine(lineIndex, { orderedQuantity: e.target.value })}
+                  className="form-control"
+                  placeholder="Qty"
+                />
+                <select
+                  value={line.unit}
+                  onChange={(e) => updateLine(lineIndex, { unit: e.target.value })}
+                  className="form-control"
+                >
+                  {PURCHASE_UNITS.map(unit => (
+                    <option key={unit} value={unit}>{unit}</option>
+                  ))}
+                </select>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={line.unitCost}
+                  onChange={(e) => updateLine(lineIndex, { unitCost: e.target.value })}
+                  className="form-control"
+                  placeholder="Cost / unit (₹)"
+                />
+                <button
+                  type="button"
+                  className="purchase-remove-btn"
+                  onClick={() => removeLine(lineIndex)}
+                  disabled={formData.items.length === 1}
+                  title="Remove item"
+                >
+                  ×
+                </button>
+              </div>
+            ))}
+          </div>
+          <div className="purchase-lines-footer">
+            <button
+              type="button"
+              className="purchase-add-btn"
+              onClick={() => handleInputChange('items', [...formData.items, emptyLine()])}
+            >
+              + Add Item
+            </button>
+            <span className="purchase-total">Total: {formatMoney(purchaseLinesTotal(formData.items))}</span>
+          </div>
+        </div>
+
+        <div className="modal-actions">
+          <button className="cancel-btn" onClick={onClose}>
+            Cancel
+          </button>
+          {purchaseOrder ? (
+            <button className="btn-primary" onClick={() => handleSubmit()} disabled={saving}>
+              {saving ? 'Saving...' : 'Save Changes'}
+            </button>
+          ) : (
+            <>
+              <button className="cancel-btn" onClick={() => handleSubmit('draft')} disabled={saving}>
+                Save Draft
+              </button>
+              <button className="btn-primary" onClick={() => handleSubmit('ordered')} disabled={saving}>
+                {saving ? 'Saving...' : 'Place Order'}
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PurchaseOrderModal;
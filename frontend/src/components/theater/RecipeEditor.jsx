@@ -0,0 +1,107 @@
+/**
+ * Recipe Editor
+ * Product form section for the recipe (bill of materials) - the ingredient products one item uses
+ * e.g. Cheese Popcorn Large = 120 g kernels + 15 g cheese powder + 1 Nos tub
+ */
+
+import React from 'react';
+import { TextField, MenuItem } from '@mui/material';
+import '@styles/components/RecipeEditor.css';
+
+// Units the server can convert to an ingredient's stock unit
+const RECIPE_UNITS = ['Nos', 'g', 'kg', 'ml', 'L'];
+
+const emptyLine = () => ({ ingredientId: '', quantity: '', unit: 'Nos' });
+
+/**
+ * @param {Array} lines - [{ ingredientId, ingredientName, quantity, unit }]
+ * @param {Array} products - Products of the theater that can be picked as ingredients
+ */
+const RecipeEditor = ({ lines, onChange, products = [], disabled = false }) => {
+  const updateLine = (lineIndex, changes) => {
+    onChange(lines.map((line, index) => (index === lineIndex ? { ...line, ...changes } : line)));
+  };
+
+  const removeLine = (lineIndex) => onChange(lines.filter((_, index) => index !== lineIndex));
+
+  return (
+    <div className="recipe-editor">
+      {lines.length === 0 ? (
+        <p className="recipe-editor-empty">
+          No recipe. Add ingredients to deduct their stock (instead of this product&apos;s) when it sells.
+        </p>
+      ) : (
+        lines.map((line, lineIndex) => (
+          <div key={`recipe-${lineIndex}`} className="recipe-line">
+            <TextField
+              select
+              label="Ingredient"
+              size="small"
+              value={line.ingredientId}
+              onChange={(e) => updateLine(lineIndex, { ingredientId: e.target.value })}
+              disabled={disabled}
+            >
+              <MenuItem value="">
+                <em>Select ingredient...</em>
+              </MenuItem>
+              {/* Saved ingredient that is not in the list (yet) */}
+              {line.ingredientId && !products.some(product => String(product._id) === line.ingredientId) && (
+                <MenuItem value={line.ingredientId}>{line.ingredientName || 'Saved ingredient'}</MenuItem>
+              )}
+              {products.map(product => (
+                <MenuItem
+                  key={product._id}
+                  value={String(product._id)}
+                  disabled={lines.some((other, index) => index !== lineIndex && other.ingredientId === String(product._id))}
+                >
+                  {product.name}{product.quantity ? ` (${product.quantity})` : ''}
+                </MenuItem>
+              ))}
+            </TextField>
+            <TextField
+              label="Qty per Item"
+              size="small"
+              type="number"
+              inputProps={{ min: '0', step: '0.001' }}
+              value={line.quantity}
+              onChange={(e) => updateLine(lineIndex, { quantity: e.target.value })}
+              disabled={disabled}
+            />
+            <TextField
+              select
+              label="Unit"
+              size="small"
+              value={line.unit || 'Nos'}
+              onChange={(e) => updateLine(lineIndex, { unit: e.target.value })}
+              disabled={disabled}
+            >
+              {RECIPE_UNITS.map(unit => (
+                <MenuItem key={unit} value={unit}>{unit}</MenuItem>
+              ))}
+            </TextField>
+            <button
+              type="button"
+              className="recipe-remove-btn"
+              onClick={() => removeLine(lineIndex)}
+              disabled={disabled}
+              title="Remove ingredient"
+            >
+              ×
+            </button>
+          </div>
+        ))
+      )}
+
+      <button
+        type="button"
+        className="recipe-add-btn"
+        onClick={() => onChange([...lines, emptyLine()])}
+        disabled={disabled}
+      >
+        + Add Ingredient
+      </button>
+    </div>
+  );
+};
+
+export default RecipeEditor;
@@ -0,0 +1,205 @@
+/**
+ * Stock Transfer Modal
+ * Send stock to another theater of the same owner. The stock comes off this theater straight away
+ * and is in transit until the other theater receives it
+ */
+
+import React, { useState } from 'react';
+import { useToast } from '@contexts/ToastContext';
+import config from '@config';
+import { unifiedFetch } from '@utils/unifiedFetch';
+import { STOCK_TYPE_LABELS } from '@utils/stockTransfers';
+
+const emptyLine = () => ({ productId: '', quantity: '' });
+
+/**
+ * @param {Array} theaters - Theaters stock can be sent to ({ _id, name })
+ * @param {Array} products - This theater's products ({ _id, name, hasRecipe })
+ */
+const StockTransferModal = ({ theaterId, theaters, products, onClose, onSaved }) => {
+  const toast = useToast();
+  const [saving, setSaving] = useState(false);
+  const [form, setForm] = useState({
+    toTheaterId: theaters.length === 1 ? String(theaters[0]._id) : '',
+    stockType: 'product',
+    items: [emptyLine()],
+    notes: ''
+  });
+
+  const updateForm = (changes) => setForm(prev => ({ ...prev, ...changes }));
+
+  const updateLine = (lineIndex, changes) => setForm(prev => ({
+    ...prev,
+    items: prev.items.map((line, index) => (index === lineIndex ? { ...line, ...changes } : line))
+  }));
+
+  // Recipe products are kept in cafe stock as their ingredients
+  const stockProducts = form.stockType === 'cafe' ? products.filter(product => !product.hasRecipe) : products;
+
+  const handleSubmit = async () => {
+    if (!form.toTheaterId) {
+      toast.error('Select the theater to send the stock to');
+      return;
+    }
+    const items = form.items.filter(line => line.productId);
+    if (items.length === 0) {
+      toast.error('Add at least one product');
+      return;
+    }
+    if (items.some(line => !(Number(line.quantity) > 0))) {
+      toast.error('Every quantity must be greater than 0');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const response = await unifiedFetch(
+        `${config.api.baseUrl}/stock-transfers/${theaterId}`,
+        {
+          method: 'POST',
+          body: JSON.stringify({
+            toTheaterId: form.toTheaterId,
+            stockType: form.stockType,
+            items: items.map(line => ({ productId: line.productId, quantity: Number(line.quantity) })),
+            notes: form.notes.trim()
+          })
+        },
+        { forceRefresh: true, retry: false, timeout: 60000 }
+      );
+
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok || data.success === false) {
+        throw new Error(data.error || data.message || 'Failed to send transfer');
+      }
+
+      toast.success(data.message || 'Transfer sent');
+      onSaved();
+    } catch (error) {
+      console.error('Error sending stock transfer:', error);
+      toast.error(error.message || 'Failed to send transfer');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content theater-edit-modal-content stock-transfer-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Send Stock</h2>
+          <button className="close-btn" onClick={onClose}>
+            <svg viewBox="0 0 24 24" fill="currentColor" className="svg-icon-sm">
+              <path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="modal-body">
+          <div className="edit-form">
+            <div className="form-group">
+              <label>Send To *</label>
+              <select
+                value={form.toTheaterId}
+                onChange={(e) => updateForm({ toTheaterId: e.target.value })}
+                className="form-control"
+              >
+                <option value="">Select theater</option>
+                {theaters.map(theater => (
+                  <option key={theater._id} value={theater._id}>{theater.name}</option>
+                ))}
+              </select>
+            </div>
+            <div className="form-group">
+              <label>Stock *</label>
+              <select
+                value={form.stockType}
+                onChange={(e) => updateForm({ stockType: e.target.value, items: [emptyLine()] })}
+                className="form-control"
+              >
+                {Object.entries(STOCK_TYPE_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+            <div className="form-group full-width">
+              <label>Notes</label>
+              <input
+                type="text"
+                value={form.notes}
+                onChange={(e) => updateForm({ notes: e.target.value })}
+                className="form-control"
+                maxLength={500}
+                placeholder="Vehicle, driver, reason..."
+              />
+            </div>
+          </div>
+
+          <h3 className="purchase-section-title">Items</h3>
+          <div className="purchase-lines">
+            {form.items.map((line, lineIndex) => (
+              <div key={`transfer-line-${lineIndex}`} className="purchase-line stock-transfer-line">
+                <select
+                  value={line.productId}
+                  onChange={(e) => updateLine(lineIndex, { productId: e.target.value })}
+                  className="form-control"
+                >
+                  <option value="">Select product...</option>
+                  {stockProducts.map(product => (
+                    <option
+                      key={product._id}
+                      value={product._id}
+                      disabled={form.items.some((other, index) => index !== lineIndex && other.productId === String(product._id))}
+                    >
+                      {product.name}
+                    </option>
+                  ))}
+                </select>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.001"
+                  value={line.quantity}
+                  onChange={(e) => updateLine(lineIndex, { quantity: e.target.value })}
+                  className="form-control"
+                  placeholder="Qty"
+                />
+                <button
+                  type="button"
+                  className="purchase-remove-btn"
+                  onClick={() => updateForm({ items: form.items.filter((_, index) => index !== lineIndex) })}
+                  disabled={form.items.length === 1}
+                  title="Remove item"
+                >
+                  ×
+                </button>
+              </div>
+            ))}
+          </div>
+          <div className="purchase-lines-footer">
+            <button
+              type="button"
+              className="purchase-add-btn"
+              onClick={() => updateForm({ items: [...form.items, emptyLine()] })}
+            >
+              + Add Item
+            </button>
+          </div>
+          <p className="purchase-hint">
+            Quantities are in the unit each product&apos;s {STOCK_TYPE_LABELS[form.stockType].toLowerCase()} is kept in, and cannot be more than the stock on hand.
+          </p>
+        </div>
+
+        <div className="modal-actions">
+          <button className="cancel-btn" onClick={onClose} disabled={saving}>
+            Cancel
+          </button>
+          <button className="btn-primary" onClick={handleSubmit} disabled={saving}>
+            {saving ? 'Sending...' : 'Send Stock'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default StockTransferModal;
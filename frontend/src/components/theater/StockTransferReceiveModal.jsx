@@ -0,0 +1,189 @@
+/**
+ * Stock Transfer Receive Modal
+ * Book an incoming transfer into this theater's stock - each item goes to one of this theater's own
+ * products with the quantity that actually arrived; a shortage or excess needs a reason
+ */
+
+import React, { useState } from 'react';
+import { useToast } from '@contexts/ToastContext';
+import config from '@config';
+import { unifiedFetch } from '@utils/unifiedFetch';
+import { formatQuantity } from '@utils/purchasing';
+import { formatVariance } from '@utils/stocktake';
+import { STOCK_TYPE_LABELS } from '@utils/stockTransfers';
+
+const normalizeName = (name) => String(name || '').trim().toLowerCase();
+
+/**
+ * @param {Object} transfer - Incoming transfer (in transit)
+ * @param {Array} products - This theater's products ({ _id, name, hasRecipe })
+ */
+const StockTransferReceiveModal = ({ theaterId, transfer, products, onClose, onSaved }) => {
+  const toast = useToast();
+  const [saving, setSaving] = useState(false);
+  const [notes, setNotes] = useState('');
+
+  const stockProducts = transfer.stockType === 'cafe' ? products.filter(product => !product.hasRecipe) : products;
+
+  // Each item starts on this theater's product of the same name, with everything sent arriving
+  const [lines, setLines] = useState(() => transfer.items.map(item => ({
+    itemId: String(item._id),
+    receivedProductId: String(
+      stockProducts.find(product => normalizeName(product.name) === normalizeName(item.productName))?._id || ''
+    ),
+    receivedQuantity: String(item.quantity),
+    discrepancyReason: ''
+  })));
+
+  const updateLine = (lineIndex, changes) =>
+    setLines(prev => prev.map((line, index) => (index === lineIndex ? { ...line, ...changes } : line)));
+
+  const discrepancyOf = (item, line) =>
+    Math.round(((Number(line.receivedQuantity) || 0) - item.quantity) * 1000) / 1000;
+
+  const handleSubmit = async () => {
+    for (const [index, item] of transfer.items.entries()) {
+      const line = lines[index];
+      if (!line.receivedProductId) {
+        toast.error(`Select the product ${item.productName} is booked to`);
+        return;
+      }
+      if (line.receivedQuantity === '' || !(Number(line.receivedQuantity) >= 0)) {
+        toast.error(`Enter the quantity of ${item.productName} that arrived`);
+        return;
+      }
+      if (discrepancyOf(item, line) !== 0 && !line.discrepancyReason.trim()) {
+        toast.error(`Add a reason for the difference in ${item.productName}`);
+        return;
+      }
+    }
+
+    setSaving(true);
+    try {
+      const response = await unifiedFetch(
+        `${config.api.baseUrl}/stock-transfers/${theaterId}/${transfer._id}/receive`,
+        {
+          method: 'POST',
+          body: JSON.stringify({
+            items: lines.map(line => ({
+              itemId: line.itemId,
+              receivedProductId: line.receivedProductId,
+              receivedQuantity: Number(line.receivedQuantity),
+              discrepancyReason: line.discrepancyReason.trim()
+            })),
+            notes: notes.trim()
+          })
+        },
+        { forceRefresh: true, retry: false, timeout: 60000 }
+      );
+
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok || data.success === false) {
+        throw new Error(data.error || data.message || 'Failed to receive transfer');
+      }
+
+      toast.success(data.message || 'Transfer received');
+      onSaved();
+    } catch (error) {
+      console.error('Error receiving stock transfer:', error);
+      toast.error(error.message || 'Failed to receive transfer');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content theater-edit-modal-content stock-transfer-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Receive {transfer.transferNumber}</h2>
+          <button className="close-btn" onClick={onClose}>
+            <svg viewBox="0 0 24 24" fill="currentColor" className="svg-icon-sm">
+              <path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="modal-body">
+          <p className="purchase-hint">
+            {STOCK_TYPE_LABELS[transfer.stockType]} from {transfer.fromTheaterName}
+            {transfer.notes ? ` - ${transfer.notes}` : ''}
+          </p>
+
+          <div className="purchase-lines">
+            {transfer.items.map((item, index) => {
+              const line = lines[index];
+              const discrepancy = discrepancyOf(item, line);
+              return (
+                <div key={line.itemId} className="stock-transfer-receive-line">
+                  <div className="stock-transfer-receive-sent">
+                    <strong>{item.productName}</strong>
+                    <span className="purchase-muted">Sent {formatQuantity(item.quantity, item.unit)}</span>
+                  </div>
+                  <select
+                    value={line.receivedProductId}
+                    onChange={(e) => updateLine(index, { receivedProductId: e.target.value })}
+                    className="form-control"
+                  >
+                    <option value="">Book to product...</option>
+                    {stockProducts.map(product => (
+                      <option key={product._id} value={product._id}>{product.name}</option>
+                    ))}
+                  </select>
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.001"
+                    value={line.receivedQuantity}
+                    onChange={(e) => updateLine(index, { receivedQuantity: e.target.value })}
+                    className="form-control"
+                    placeholder="Received"
+                  />
+                  {discrepancy !== 0 && (
+                    <div className="stock-transfer-discrepancy">
+                      <span className={discrepancy < 0 ? 'purchase-negative' : 'purchase-positive'}>
+                        {formatVariance(discrepancy, item.unit)}
+                      </span>
+                      <input
+                        type="text"
+                        value={line.discrepancyReason}
+                        onChange={(e) => updateLine(index, { discrepancyReason: e.target.value })}
+                        className="form-control"
+                        maxLength={300}
+                        placeholder={discrepancy < 0 ? 'Why is it short? (damaged, missing...)' : 'Why is there more?'}
+                      />
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+
+          <div className="edit-form">
+            <div className="form-group full-width">
+              <label>Notes</label>
+              <input
+                type="text"
+                value={notes}
+                onChange={(e) => setNotes(e.target.value)}
+                className="form-control"
+                maxLength={500}
+              />
+            </div>
+          </div>
+        </div>
+
+        <div className="modal-actions">
+          <button className="cancel-btn" onClick={onClose} disabled={saving}>
+            Cancel
+          </button>
+          <button className="btn-primary" onClick={handleSubmit} disabled={saving}>
+            {saving ? 'Receiving...' : 'Receive Stock'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default StockTransferReceiveModal;
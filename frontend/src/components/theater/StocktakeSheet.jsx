@@ -0,0 +1,274 @@
+/**
+ * Stocktake Sheet
+ * One stocktake - while counting, a product list to enter counted quantities (each count is saved when the
+ * field is left, so the count can be picked up again later); once submitted, the variances with their value
+ */
+
+import React, { useState, useMemo } from 'react';
+import { useToast } from '@contexts/ToastContext';
+import config from '@config';
+import { unifiedFetch } from '@utils/unifiedFetch';
+import { formatMoney, formatQuantity } from '@utils/purchasing';
+import { STOCKTAKE_STATUS_LABELS, isCounted, formatVariance } from '@utils/stocktake';
+
+const countInput = (line) => (isCounted(line) ? String(line.countedQuantity) : '');
+
+/**
+ * @param {Object} stocktake - Stocktake with its lines and summary
+ * @param {Function} onChange - Called with the updated stocktake after counts are saved
+ * @param {Function} onAction - Called with 'submit' | 'reopen' | 'approve' | 'cancel'
+ * @param {boolean} canReview - Theater admin (approve / reopen / cancel)
+ */
+const StocktakeSheet = ({ theaterId, stocktake, onChange, onAction, onBack, canReview }) => {
+  const toast = useToast();
+  const [search, setSearch] = useState('');
+  const [uncountedOnly, setUncountedOnly] = useState(false);
+  const [drafts, setDrafts] = useState({});
+  const [savingId, setSavingId] = useState(null);
+
+  const counting = stocktake.status === 'counting';
+  const summary = stocktake.summary || {};
+
+  const visibleLines = useMemo(() => {
+    const term = search.trim().toLowerCase();
+    return stocktake.lines.filter(line =>
+      (!term || line.productName.toLowerCase().includes(term)) &&
+      (!uncountedOnly || !isCounted(line))
+    );
+  }, [stocktake.lines, search, uncountedOnly]);
+
+  const varianceLines = useMemo(
+    () => stocktake.lines
+      .filter(line => isCounted(line) && line.variance)
+      .sort((a, b) => Math.abs(b.varianceValue) - Math.abs(a.varianceValue) || Math.abs(b.variance) - Math.abs(a.variance)),
+    [stocktake.lines]
+  );
+
+  const saveCount = async (line) => {
+    const productId = String(line.productId);
+    if (!(productId in drafts)) return;
+
+    const value = drafts[productId].trim();
+    if (value === countInput(line)) {
+      setDrafts(prev => {
+        const next = { ...prev };
+        delete next[productId];
+        return next;
+      });
+      return;
+    }
+    if (value !== '' && !(Number(value) >= 0)) {
+      toast.error('Counted quantity cannot be negative');
+      return;
+    }
+
+    setSavingId(productId);
+    try {
+      const response = await unifiedFetch(
+        `${config.api.baseUrl}/stocktakes/${theaterId}/${stocktake._id}/counts`,
+        {
+          method: 'PUT',
+          body: JSON.stringify({ counts: [{ productId, countedQuantity: value === '' ? null : Number(value) }] })
+        },
+        { forceRefresh: true, retry: false }
+      );
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok || data.success === false) {
+        throw new Error(data.error || data.message || 'Failed to save count');
+      }
+      setDrafts(prev => {
+        const next = { ...prev };
+        delete next[productId];
+        return next;
+      });
+      onChange(data.data);
+    } catch (error) {
+      console.error('Error saving stocktake count:', error);
+      toast.error(error.message || 'Failed to save count');
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  return (
+    <div className="stocktake-sheet">
+      <div className="stocktake-sheet-header">
+        <button className="purchase-action-btn" onClick={onBack}>← All Stocktakes</button>
+        <div>
+          <strong className="purchase-number">{stocktake.stocktakeNumber}</strong>
+          <span className={`stocktake-status ${stocktake.status}`}>{STOCKTAKE_STATUS_LABELS[stocktake.status]}</span>
+        </div>
+      </div>
+
+      <div className="purchase-summary">
+        <div className="purchase-summary-card">
+          <span>Counted</span>
+          <strong>{summary.countedLines || 0} / {summary.totalLines || 0}</strong>
+        </div>
+        {!counting && (
+          <>
+            <div className="purchase-summary-card">
+              <span>Shortage</span>
+              <strong className="purchase-negative">{formatMoney(summary.shortageValue)}</strong>
+            </div>
+            <div className="purchase-summary-card">
+              <span>Excess</span>
+              <strong className="purchase-positive">{formatMoney(summary.excessValue)}</strong>
+            </div>
+            <div className="purchase-summary-card">
+              <span>Net Variance</span>
+              <strong className={summary.varianceValue < 0 ? 'purchase-negative' : 'purchase-positive'}>
+                {formatMoney(summary.varianceValue)}
+              </strong>
+            </div>
+          </>
+        )}
+      </div>
+
+      {counting ? (
+        <>
+          <div className="stocktake-progress">
+            <div
+              className="stocktake-progress-bar"
+              style={{ width: `${summary.totalLines ? (summary.countedLines / summary.totalLines) * 100 : 0}%` }}
+            />
+          </div>
+
+          <div className="stocktake-toolbar">
+            <input
+              type="search"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Search product..."
+              className="form-control"
+            />
+            <label className="stocktake-toggle">
+              <input
+                type="checkbox"
+                checked={uncountedOnly}
+                onChange={(e) => setUncountedOnly(e.target.checked)}
+              />
+              Not counted yet
+            </label>
+          </div>
+
+          <div className="stocktake-count-list">
+            {visibleLines.map(line => {
+              const productId = String(line.productId);
+              return (
+                <div key={productId} className={`stocktake-count-row ${isCounted(line) ? 'counted' : ''}`}>
+                  <div className="stocktake-count-name">
+                    <strong>{line.productName}</strong>
+                    <span className="purchase-muted">
+                      {isCounted(line) ? `Counted by ${line.countedBy?.username || 'staff'}` : 'Not counted'}
+                    </span>
+                  </div>
+                  <div className="stocktake-count-input">
+                    <input
+                      type="number"
+                      inputMode="decimal"
+                      min="0"
+                      step="0.001"
+                      value={productId in drafts ? drafts[productId] : countInput(line)}
+                      onChange={(e) => setDrafts(prev => ({ ...prev, [productId]: e.target.value }))}
+                      onBlur={() => saveCount(line)}
+                      onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
+                      disabled={savingId === productId}
+                      className="form-control"
+                    />
+                    <span>{line.unit}</span>
+                  </div>
+                </div>
+              );
+            })}
+            {visibleLines.length === 0 && (
+              <p className="purchase-hint">{uncountedOnly ? 'Every product has been counted.' : 'No products match the search.'}</p>
+            )}
+          </div>
+
+          <div className="stocktake-sheet-actions">
+            {canReview && (
+              <button className="purchase-action-btn danger" onClick={() => onAction('cancel')}>
+                Cancel Stocktake
+              </button>
+            )}
+            <button
+              className="purchase-action-btn primary"
+              onClick={() => onAction('submit')}
+              disabled={!summary.countedLines || Object.keys(drafts).length > 0}
+            >
+              Submit for Approval
+            </button>
+          </div>
+        </>
+      ) : (
+        <>
+          {summary.uncostedLines > 0 && (
+            <p className="purchase-hint">
+              {summary.uncostedLines} product(s) with a variance were never received on a purchase order in the unit they are stocked in and have no value.
+            </p>
+          )}
+          <div className="theater-table-container">
+            <table className="theater-table">
+              <thead>
+                <tr>
+                  <th className="name-cell">Product</th>
+                  <th>System</th>
+                  <th>Counted</th>
+                  <th>Variance</th>
+                  <th>Cost / Unit</th>
+                  <th>Value</th>
+                </tr>
+              </thead>
+              <tbody>
+                {varianceLines.length > 0 ? (
+                  varianceLines.map(line => (
+                    <tr key={String(line.productId)} className="theater-row">
+                      <td className="name-cell">{line.productName}</td>
+                      <td>{formatQuantity(line.systemQuantity, line.unit)}</td>
+                      <td>{formatQuantity(line.countedQuantity, line.unit)}</td>
+                      <td className={line.variance < 0 ? 'purchase-negative' : 'purchase-positive'}>
+                        {formatVariance(line.variance, line.unit)}
+                      </td>
+                      <td>{line.unitCost === null || line.unitCost === undefined ? '—' : formatMoney(line.unitCost)}</td>
+                      <td className={line.varianceValue < 0 ? 'purchase-negative' : 'purchase-positive'}>
+                        {formatMoney(line.varianceValue)}
+                      </td>
+                    </tr>
+                  ))
+                ) : (
+                  <tr>
+                    <td colSpan="6" className="empty-cell">
+                      <h3>No Variances</h3>
+                      <p>Every counted product matches cafe stock.</p>
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+          <p className="purchase-hint">
+            {summary.countedLines} of {summary.totalLines} products counted - products not counted are left as they are.
+            {stocktake.status === 'approved' && ' Variances were posted to cafe stock as adjustments.'}
+          </p>
+
+          {stocktake.status === 'submitted' && canReview && (
+            <div className="stocktake-sheet-actions">
+              <button className="purchase-action-btn danger" onClick={() => onAction('cancel')}>
+                Cancel Stocktake
+              </button>
+              <button className="purchase-action-btn" onClick={() => onAction('reopen')}>
+                Reopen for Counting
+              </button>
+              <button className="purchase-action-btn primary" onClick={() => onAction('approve')}>
+                Approve &amp; Post Adjustments
+              </button>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default StocktakeSheet;
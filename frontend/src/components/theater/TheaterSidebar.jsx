@@ -188,6 +188,90 @@ const IconComboOffers = () => (
   </svg>
 );
 
+const IconKitchenDisplay = () => (
+  <svg viewBox="0 0 24 24" fill="currentColor">
+    <path d="M21 3H3c-1.1 0-2 .9-2 2v12c0 1.1.9 2 2 2h5v2h8v-2h5c1.1 0 2-.9 2-2V5c0-1.1-.9-2-2-2zm0 14H3V5h18v12zM5 7h4v8H5V7zm5 0h4v8h-4V7zm5 0h4v8h-4V7z" />
+  </svg>
+);
+
+const IconSeatDelivery = () => (
+  <svg viewBox="0 0 24 24" fill="currentColor">
+    <path d="M4 18v3h3v-3h10v3h3v-6H4v3zm15-8h3v3h-3v-3zM2 10h3v3H2v-3zm15 3H7V5c0-1.1.9-2 2-2h6c1.1 0 2 .9 2 2v8z" />
+  </svg>
+);
+
+const IconUpiVerification = () => (
+  <svg viewBox="0 0 24 24" fill="currentColor">
+    <path d="M3 11h8V3H3v8zm2-6h4v4H5V5zm8-2v8h8V3h-8zm6 6h-4V5h4v4zM3 21h8v-8H3v8zm2-6h4v4H5v-4zm13 2.17l-2.59-2.58L14 16l4 4 6-6-1.41-1.41L18 17.17z" />
+  </svg>
+);
+
+const IconCoupons = () => (
+  <svg viewBox="0 0 24 24" fill="currentColor">
+    <path d="M21.41 11.58l-9-9C12.05 2.22 11.55 2 11 2H4c-1.1 0-2 .9-2 2v7c0 .55.22 1.05.59 1.42l9 9c.36.36.86.58 1.41.58.55 0 1.05-.22 1.41-.59l7-7c.37-.36.59-.86.59-1.41 0-.55-.23-1.06-.59-1.42zM5.5 7C4.67 7 4 6.33 4 5.5S4.67 4 5.5 4 7 4.67 7 5.5 6.33 7 5.5 7z" />
+  </svg>
+);
+
+const IconPricingRules = () => (
+  <svg viewBox="0 0 24 24" fill="currentColor">
+    <path d="M11.99 2C6.47 2 2 6.48 2 12s4.47 10 9.99 10C17.52 22 22 17.52 22 12S17.52 2 11.99 2zM12 20c-4.42 0-8-3.58-8-8s3.58-8 8-8 8 3.58 8 8-3.58 8-8 8zm.5-13H11v6l5.25 3.15.75-1.23-4.5-2.67z" />
+  </svg>
+);
+
+const IconLoyalty = () => (
+  <svg viewBox="0 0 24 24" fill="currentColor">
+    <path d="M12 17.27L18.18 21l-1.64-7.03L22 9.24l-7.19-.61L12 2 9.19 8.63 2 9.24l5.46 4.73L5.82 21z" />
+  </svg>
+);
+
+const IconGiftCards = () => (
+  <svg viewBox="0 0 24 24" fill="currentColor">
+    <path d="M20 6h-2.18c.11-.31.18-.65.18-1 0-1.66-1.34-3-3-3-1.05 0-1.96.54-2.5 1.35l-.5.67-.5-.68C10.96 2.54 10.05 2 9 2 7.34 2 6 3.34 6 5c0 .35.07.69.18 1H4c-1.11 0-1.99.89-1.99 2L2 19c0 1.11.89 2 2 2h16c1.11 0 2-.89 2-2V8c0-1.11-.89-2-2-2zm-5-2c.55 0 1 .45 1 1s-.45 1-1 1-1-.45-1-1 .45-1 1-1zM9 4c.55 0 1 .45 1 1s-.45 1-1 1-1-.45-1-1 .45-1 1-1zm11 15H4v-2h16v2zm0-5H4V8h5.08L7 10.83 8.62 12 11 8.76l1-1.36 1 1.36L15.38 12 17 10.83 14.92 8H20v6z" />
+  </svg>
+);
+
+const IconPurchasing = () => (
+  <svg viewBox="0 0 24 24" fill="currentColor">
+    <path d="M20 8h-3V4H3c-1.1 0-2 .9-2 2v11h2c0 1.66 1.34 3 3 3s3-1.34 3-3h6c0 1.66 1.34 3 3 3s3-1.34 3-3h2v-5l-3-4zM6 18.5c-.83 0-1.5-.67-1.5-1.5s.67-1.5 1.5-1.5 1.5.67 1.5 1.5-.67 1.5-1.5 1.5zm13.5-9l1.96 2.5H17V9.5h2.5zm-1.5 9c-.83 0-1.5-.67-1.5-1.5s.67-1.5 1.5-1.5 1.5.67 1.5 1.5-.67 1.5-1.5 1.5z" />
+  </svg>
+);
+
+const IconWasteLog = () => (
+  <svg viewBox="0 0 24 24" fill="currentColor">
+    <path d="M6 19c0 1.1.9 2 2 2h8c1.1 0 2-.9 2-2V7H6v12zm2.46-7.12l1.41-1.41L12 12.59l2.12-2.12 1.41 1.41L13.41 14l2.12 2.12-1.41 1.41L12 15.41l-2.12 2.12-1.41-1.41L10.59 14l-2.13-2.12zM15.5 4l-1-1h-5l-1 1H5v2h14V4z" />
+  </svg>
+);
+
+const IconStocktake = () => (
+  <svg viewBox="0 0 24 24" fill="currentColor">
+    <path d="M19 3h-4.18C14.4 1.84 13.3 1 12 1c-1.3 0-2.4.84-2.82 2H5c-1.1 0-2 .9-2 2v14c0 1.1.9 2 2 2h14c1.1 0 2-.9 2-2V5c0-1.1-.9-2-2-2zm-7 0c.55 0 1 .45 1 1s-.45 1-1 1-1-.45-1-1 .45-1 1-1zm-2 14l-4-4 1.41-1.41L10 14.17l6.59-6.59L18 9l-8 8z" />
+  </svg>
+);
+
+const IconStockTransfers = () => (
+  <svg viewBox="0 0 24 24" fill="currentColor">
+    <path d="M20 8h-3V4H3c-1.1 0-2 .9-2 2v11h2c0 1.66 1.34 3 3 3s3-1.34 3-3h6c0 1.66 1.34 3 3 3s3-1.34 3-3h2v-5l-3-4zM6 18.5c-.83 0-1.5-.67-1.5-1.5s.67-1.5 1.5-1.5 1.5.67 1.5 1.5-.67 1.5-1.5 1.5zm13.5-9l1.96 2.5H17V9.5h2.5zm-1.5 9c-.83 0-1.5-.67-1.5-1.5s.67-1.5 1.5-1.5 1.5.67 1.5 1.5-.67 1.5-1.5 1.5z" />
+  </svg>
+);
+
+const IconAuditLog = () => (
+  <svg viewBox="0 0 24 24" fill="currentColor">
+    <path d="M13 3a9 9 0 0 0-9 9H1l3.89 3.89.07.14L9 12H6c0-3.87 3.13-7 7-7s7 3.13 7 7-3.13 7-7 7c-1.93 0-3.68-.79-4.94-2.06l-1.42 1.42A8.954 8.954 0 0 0 13 21a9 9 0 0 0 0-18zm-1 5v5l4.28 2.54.72-1.21-3.5-2.08V8H12z" />
+  </svg>
+);
+
+const IconStations = () => (
+  <svg viewBox="0 0 24 24" fill="currentColor">
+    <path d="M3 13h8V3H3v10zm0 8h8v-6H3v6zm10 0h8V11h-8v10zm0-18v6h8V3h-8z" />
+  </svg>
+);
+
+const IconShowSchedule = () => (
+  <svg viewBox="0 0 24 24" fill="currentColor">
+    <path d="M18 4l2 4h-3l-2-4h-2l2 4h-3l-2-4H8l2 4H7L5 4H4c-1.1 0-1.99.9-1.99 2L2 18c0 1.1.9 2 2 2h16c1.1 0 2-.9 2-2V4h-4z" />
+  </svg>
+);
+
 const IconRoleManagement = () => (
   <svg viewBox="0 0 24 24" fill="currentColor">
     <path d="M12 1L3 5v6c0 5.55 3.84 10.74 9 12 5.16-1.26 9-6.45 9-12V5l-9-4zm-2 16l-4-4 1.41-1.41L10 14.17l6.59-6.59L18 9l-8 8z" />
@@ -250,6 +334,20 @@ const getIcon = (iconName) => {
     qrcodenames: <IconQRCodeNames />,
     qrmanagement: <IconQRManagement />,
     productcancel: <IconProductCancel />,
+    kitchendisplay: <IconKitchenDisplay />,
+    stations: <IconStations />,
+    seatdelivery: <IconSeatDelivery />,
+    upiverification: <IconUpiVerification />,
+    coupons: <IconCoupons />,
+    pricingrules: <IconPricingRules />,
+    loyalty: <IconLoyalty />,
+    giftcards: <IconGiftCards />,
+    purchasing: <IconPurchasing />,
+    wastelog: <IconWasteLog />,
+    stocktake: <IconStocktake />,
+    stocktransfers: <IconStockTransfers />,
+    auditlog: <IconAuditLog />,
+    showschedule: <IconShowSchedule />,
     users: <IconUsers />,
     theaterusers: <IconTheaterUsers />,
     sales: <IconSales />,
@@ -316,6 +414,10 @@ const TheaterSidebar = ({ sidebarOpen, setSidebarOpen, sidebarCollapsed, current
     { id: 'banner', icon: 'theaterbanner', label: 'Theater Banner', path: effectiveTheaterId ? `/theater-banner/${effectiveTheaterId}` : '/theater-banner' }, // ✅ Theater Banner
     { id: 'offers', icon: 'offers', label: 'Offers', path: effectiveTheaterId ? `/theater-offers/${effectiveTheaterId}` : '/theater-offers' }, // ✅ Theater Offers
     { id: 'combo-offers', icon: 'combooffers', label: 'Combo Offers', path: effectiveTheaterId ? `/combo-offers/${effectiveTheaterId}` : '/combo-offers' }, // ✅ Combo Offers
+    { id: 'theater-coupons', icon: 'coupons', label: 'Coupons', path: effectiveTheaterId ? `/theater-coupons/${effectiveTheaterId}` : '/theater-coupons' }, // ✅ Coupons
+    { id: 'theater-pricing-rules', icon: 'pricingrules', label: 'Pricing Rules', path: effectiveTheaterId ? `/theater-pricing-rules/${effectiveTheaterId}` : '/theater-pricing-rules' }, // ✅ Pricing Rules
+    { id: 'theater-loyalty', icon: 'loyalty', label: 'Loyalty Points', path: effectiveTheaterId ? `/theater-loyalty/${effectiveTheaterId}` : '/theater-loyalty' }, // ✅ Loyalty Points
+    { id: 'theater-gift-cards', icon: 'giftcards', label: 'Gift Cards', path: effectiveTheaterId ? `/theater-gift-cards/${effectiveTheaterId}` : '/theater-gift-cards' }, // ✅ Gift Cards
     { id: 'theater-roles', icon: 'rolemanagement', label: 'Role Management', path: effectiveTheaterId ? `/theater-roles/${effectiveTheaterId}` : '/theater-roles' }, // ✅ Theater Roles
     { id: 'theater-role-access', icon: 'roleaccess', label: 'Role Access', path: effectiveTheaterId ? `/theater-role-access/${effectiveTheaterId}` : '/theater-role-access' }, // ✅ Theater Role Access
     { id: 'theater-users', icon: 'theaterusers', label: 'Theater Users', path: effectiveTheaterId ? `/theater-user-management/${effectiveTheaterId}` : '/theater-user-management' }, // ✅ Theater User Management
@@ -323,9 +425,19 @@ const TheaterSidebar = ({ sidebarOpen, setSidebarOpen, sidebarCollapsed, current
     { id: 'qr-code-names', icon: 'qrcodenames', label: 'QR Code Names', path: effectiveTheaterId ? `/theater-qr-code-names/${effectiveTheaterId}` : '/theater-qr-code-names' }, // ✅ Theater QR Code Names
     { id: 'qr-management', icon: 'qrmanagement', label: 'QR Management', path: effectiveTheaterId ? `/theater-qr-management/${effectiveTheaterId}` : '/theater-qr-management' }, // ✅ Theater QR Management
     { id: 'stock', icon: 'categories', label: 'Stock Data', path: effectiveTheaterId ? `/theater-stock-management/${effectiveTheaterId}` : '/theater-stock-management' }, // ✅ Stock Management
+    { id: 'theater-purchasing', icon: 'purchasing', label: 'Purchasing', path: effectiveTheaterId ? `/theater-purchasing/${effectiveTheaterId}` : '/theater-purchasing' }, // ✅ Purchasing
+    { id: 'theater-waste-log', icon: 'wastelog', label: 'Waste Log', path: effectiveTheaterId ? `/theater-waste-log/${effectiveTheaterId}` : '/theater-waste-log' }, // ✅ Waste log
+    { id: 'theater-stocktake', icon: 'stocktake', label: 'Stocktake', path: effectiveTheaterId ? `/theater-stocktake/${effectiveTheaterId}` : '/theater-stocktake' }, // ✅ Stocktake
+    { id: 'theater-stock-transfers', icon: 'stocktransfers', label: 'Stock Transfers', path: effectiveTheaterId ? `/theater-stock-transfers/${effectiveTheaterId}` : '/theater-stock-transfers' }, // ✅ Stock Transfers
     { id: 'orders', icon: 'orders', label: 'Orders', path: effectiveTheaterId ? `/theater-orders/${effectiveTheaterId}` : '/theater-orders' }, // ✅ Orders
     { id: 'product-cancel', icon: 'productcancel', label: 'Product Cancel', path: effectiveTheaterId ? `/product-cancel/${effectiveTheaterId}` : '/product-cancel' }, // ✅ Product Cancel
+    { id: 'kitchen-display', icon: 'kitchendisplay', label: 'Kitchen Display', path: effectiveTheaterId ? `/kitchen-display/${effectiveTheaterId}` : '/kitchen-display' }, // ✅ Kitchen Display
+    { id: 'theater-stations', icon: 'stations', label: 'Prep Stations', path: effectiveTheaterId ? `/theater-stations/${effectiveTheaterId}` : '/theater-stations' }, // ✅ Prep Stations
+    { id: 'seat-delivery', icon: 'seatdelivery', label: 'Seat Delivery', path: effectiveTheaterId ? `/seat-delivery/${effectiveTheaterId}` : '/seat-delivery' }, // ✅ Seat Delivery
+    { id: 'theater-show-schedule', icon: 'showschedule', label: 'Show Schedule', path: effectiveTheaterId ? `/theater-show-schedule/${effectiveTheaterId}` : '/theater-show-schedule' }, // ✅ Show Schedule
+    { id: 'upi-verification', icon: 'upiverification', label: 'UPI Verification', path: effectiveTheaterId ? `/upi-verification/${effectiveTheaterId}` : '/upi-verification' }, // ✅ UPI Verification
     // { id: 'reports', icon: 'reports', label: 'Reports', path: effectiveTheaterId ? `/theater-reports/${effectiveTheaterId}` : '/theater-reports' }, // ✅ Reports
+    { id: 'theater-audit-log', icon: 'auditlog', label: 'Audit Log', path: effectiveTheaterId ? `/theater-audit-log/${effectiveTheaterId}` : '/theater-audit-log' }, // ✅ Audit Log
     { id: 'settings', icon: 'settings', label: 'Settings', path: effectiveTheaterId ? `/theater-settings/${effectiveTheaterId}` : '/theater-settings' },
 
   ];
@@ -0,0 +1,235 @@
+/**
+ * Waste Log Modal
+ * Log cafe stock that was thrown away - what, how much, why and an optional photo.
+ * The log waits for a theater admin; only an approved log comes off stock
+ */
+
+import React, { useState } from 'react';
+import { useToast } from '@contexts/ToastContext';
+import config from '@config';
+import { unifiedFetch } from '@utils/unifiedFetch';
+import { apiUpload } from '@utils/apiHelper';
+import { WASTE_REASONS } from '@utils/wasteLog';
+
+const todayInput = () => {
+  const now = new Date();
+  return new Date(now.getTime() - now.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+};
+
+/**
+ * @param {Array} products - Cafe stock products ({ _id, name })
+ */
+const WasteLogModal = ({ theaterId, products, onClose, onSaved }) => {
+  const toast = useToast();
+  const [saving, setSaving] = useState(false);
+  const [uploading, setUploading] = useState(false);
+  const [form, setForm] = useState({
+    productId: '',
+    quantity: '',
+    reasonCode: 'dropped',
+    reasonNote: '',
+    wasteDate: todayInput(),
+    photoUrl: ''
+  });
+
+  const updateForm = (changes) => setForm(prev => ({ ...prev, ...changes }));
+
+  // Photo goes through the regular image upload; the log only keeps its URL
+  const handlePhotoChange = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    if (!file.type.startsWith('image/')) {
+      toast.error('Please choose an image file');
+      return;
+    }
+    if (file.size > 5 * 1024 * 1024) {
+      toast.error('Photo must be smaller than 5MB');
+      return;
+    }
+
+    setUploading(true);
+    try {
+      const formData = new FormData();
+      formData.append('image', file);
+      formData.append('folderType', 'waste');
+      formData.append('folderSubtype', theaterId);
+
+      const response = await apiUpload('/upload/image', formData);
+      const data = await response.json().catch(() => ({}));
+      const photoUrl = data.data?.publicUrl || data.publicUrl;
+      if (!response.ok || !photoUrl) {
+        throw new Error(data.error || data.message || 'Failed to upload photo');
+      }
+      updateForm({ photoUrl });
+    } catch (error) {
+      console.error('Error uploading waste photo:', error);
+      toast.error(error.message || 'Failed to upload photo');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleSubmit = async () => {
+    if (!form.productId) {
+      toast.error('Select the product that was wasted');
+      return;
+    }
+    if (!(Number(form.quantity) > 0)) {
+      toast.error('Quantity must be greater than 0');
+      return;
+    }
+    if (form.reasonCode === 'other' && !form.reasonNote.trim()) {
+      toast.error('Add a note for the reason "Other"');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const response = await unifiedFetch(
+        `${config.api.baseUrl}/waste-logs/${theaterId}`,
+        {
+          method: 'POST',
+          body: JSON.stringify({
+            productId: form.productId,
+            quantity: Number(form.quantity),
+            reasonCode: form.reasonCode,
+            reasonNote: form.reasonNote.trim(),
+            // Wasted today is booked at the server's current time, an earlier day at its start
+            wasteDate: form.wasteDate === todayInput() ? undefined : new Date(`${form.wasteDate}T00:00:00`).toISOString(),
+            photoUrl: form.photoUrl || undefined
+          })
+        },
+        { forceRefresh: true, retry: false }
+      );
+
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok || data.success === false) {
+        throw new Error(data.error || data.message || 'Failed to log waste');
+      }
+
+      toast.success('Waste logged - waiting for approval');
+      onSaved();
+    } catch (error) {
+      console.error('Error logging waste:', error);
+      toast.error(error.message || 'Failed to log waste');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content theater-edit-modal-content waste-log-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Log Waste</h2>
+          <button className="close-btn" onClick={onClose}>
+            <svg viewBox="0 0 24 24" fill="currentColor" className="svg-icon-sm">
+              <path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="modal-body">
+          <div className="edit-form">
+            <div className="form-group">
+              <label>Product *</label>
+              <select
+                value={form.productId}
+                onChange={(e) => updateForm({ productId: e.target.value })}
+                className="form-control"
+              >
+                <option value="">Select product</option>
+                {products.map(product => (
+                  <option key={product._id} value={product._id}>{product.name}</option>
+                ))}
+              </select>
+            </div>
+            <div className="form-group">
+              <label>Quantity *</label>
+              <input
+                type="number"
+                min="0"
+                step="0.001"
+                value={form.quantity}
+                onChange={(e) => updateForm({ quantity: e.target.value })}
+                className="form-control"
+              />
+            </div>
+            <div className="form-group">
+              <label>Reason *</label>
+              <select
+                value={form.reasonCode}
+                onChange={(e) => updateForm({ reasonCode: e.target.value })}
+                className="form-control"
+              >
+                {WASTE_REASONS.map(reason => (
+                  <option key={reason.value} value={reason.value}>{reason.label}</option>
+                ))}
+              </select>
+            </div>
+            <div className="form-group">
+              <label>Wasted On</label>
+              <input
+                type="date"
+                value={form.wasteDate}
+                max={todayInput()}
+                onChange={(e) => updateForm({ wasteDate: e.target.value })}
+                className="form-control"
+              />
+            </div>
+            <div className="form-group full-width">
+              <label>Note{form.reasonCode === 'other' ? ' *' : ''}</label>
+              <input
+                type="text"
+                value={form.reasonNote}
+                onChange={(e) => updateForm({ reasonNote: e.target.value })}
+                className="form-control"
+                maxLength={500}
+                placeholder="What happened?"
+              />
+            </div>
+            <div className="form-group full-width">
+              <label>Photo</label>
+              <div className="waste-photo-field">
+                {form.photoUrl && (
+                  <a href={form.photoUrl} target="_blank" rel="noopener noreferrer">
+                    <img src={form.photoUrl} alt="Waste" className="waste-photo-thumb" />
+                  </a>
+                )}
+                <input
+                  type="file"
+                  accept="image/*"
+                  onChange={handlePhotoChange}
+                  disabled={uploading}
+                  className="form-control"
+                />
+                {uploading && <span className="purchase-muted">Uploading...</span>}
+                {form.photoUrl && !uploading && (
+                  <button type="button" className="purchase-action-btn danger" onClick={() => updateForm({ photoUrl: '' })}>
+                    Remove
+                  </button>
+                )}
+              </div>
+            </div>
+          </div>
+          <p className="purchase-hint">
+            Stock is only reduced once a theater admin approves the log. The cost uses the product&apos;s average purchase price.
+          </p>
+        </div>
+
+        <div className="modal-actions">
+          <button className="cancel-btn" onClick={onClose} disabled={saving}>
+            Cancel
+          </button>
+          <button className="btn-primary" onClick={handleSubmit} disabled={saving || uploading}>
+            {saving ? 'Saving...' : 'Log Waste'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default WasteLogModal;
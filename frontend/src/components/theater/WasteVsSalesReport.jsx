@@ -0,0 +1,129 @@
+import React, { useState, useEffect } from 'react';
+import config from '@config';
+import { unifiedFetch } from '@utils/unifiedFetch';
+import { formatMoney, formatQuantity } from '@utils/purchasing';
+import { wasteReasonLabel } from '@utils/wasteLog';
+
+const formatPercent = (value) => (value === null || value === undefined ? '—' : `${value}%`);
+
+/**
+ * 🗑️ Waste vs sales for the reports page (Theater Admin)
+ * Approved waste at purchase cost per product against what the product sold for in the selected date range
+ * (the current month when no dates are picked)
+ */
+const WasteVsSalesReport = ({ theaterId, startDate, endDate }) => {
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!theaterId) return;
+
+    let cancelled = false;
+    const params = new URLSearchParams();
+    if (startDate) params.set('startDate', startDate);
+    if (endDate) params.set('endDate', endDate);
+
+    setLoading(true);
+    setError('');
+    unifiedFetch(`${config.api.baseUrl}/waste-logs/${theaterId}/report?${params.toString()}`, {}, { forceRefresh: true, timeout: 30000 })
+      .then(async response => {
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok || data.success === false) {
+          throw new Error(data.error || data.message || 'Failed to load waste report');
+        }
+        if (!cancelled) setReport(data.data);
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [theaterId, startDate, endDate]);
+
+  const totals = report?.totals || {};
+  const products = report?.products || [];
+
+  return (
+    <div className="stats-container gift-card-ledger">
+      <div className="gift-card-ledger-header">
+        <h3 className="stats-title">🗑️ Waste vs Sales</h3>
+      </div>
+
+      <div className="stats-grid">
+        <div className="stat-card">
+          <div className="stat-label">Waste ({totals.entries || 0} approved logs)</div>
+          <div className="stat-value">{formatMoney(totals.wasteCost)}</div>
+        </div>
+        <div className="stat-card">
+          <div className="stat-label">Sales</div>
+          <div className="stat-value stat-value-revenue">{formatMoney(totals.salesRevenue)}</div>
+        </div>
+        <div className="stat-card">
+          <div className="stat-label">Waste % of Sales</div>
+          <div className="stat-value">{formatPercent(totals.wastePercent)}</div>
+        </div>
+        {(report?.reasons || []).map(reason => (
+          <div className="stat-card" key={reason.reasonCode}>
+            <div className="stat-label">{wasteReasonLabel(reason.reasonCode)} ({reason.entries})</div>
+            <div className="stat-value">{formatMoney(reason.wasteCost)}</div>
+          </div>
+        ))}
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      <div className="gift-card-ledger-table">
+        <table>
+          <thead>
+            <tr>
+              <th>Product</th>
+              <th>Wasted</th>
+              <th>Waste Cost</th>
+              <th>Sold</th>
+              <th>Sales</th>
+              <th>Waste %</th>
+            </tr>
+          </thead>
+          <tbody>
+            {loading ? (
+              <tr>
+                <td colSpan="6">Loading waste report...</td>
+              </tr>
+            ) : products.length > 0 ? (
+              products.map(row => (
+                <tr key={row.productId}>
+                  <td>{row.productName}</td>
+                  <td>{formatQuantity(row.wastedQuantity, row.unit)}</td>
+                  <td className="gift-card-ledger-debit">{formatMoney(row.wasteCost)}</td>
+                  <td>{row.soldQuantity || '—'}</td>
+                  <td>{formatMoney(row.salesRevenue)}</td>
+                  <td>{formatPercent(row.wastePercent)}</td>
+                </tr>
+              ))
+            ) : (
+              <tr>
+                <td colSpan="6">No approved waste in this period</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+      {totals.uncostedEntries > 0 && (
+        <p className="stats-note">
+          {totals.uncostedEntries} waste log(s) have no purchase cost (never received on a purchase order in the unit they are stocked in) and count as ₹0.
+        </p>
+      )}
+      {totals.pendingEntries > 0 && (
+        <p className="stats-note">{totals.pendingEntries} waste log(s) in this period are still waiting for approval and are not included.</p>
+      )}
+    </div>
+  );
+};
+
+export default WasteVsSalesReport;
@@ -38,6 +38,9 @@ const useCustomerAutoLogout = () => {
     localStorage.removeItem('cart');
     localStorage.removeItem('yqpay_cart');
     localStorage.removeItem('checkoutData');
+    localStorage.removeItem('customerToken');
+    localStorage.removeItem('customerRedeemPoints');
+    localStorage.removeItem('customerGiftCard');
     // localStorage.removeItem('customerFavorites'); // Removed - favorites should persist
 
     // Get theater ID for redirect (preserve context)
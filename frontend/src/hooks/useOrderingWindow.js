@@ -0,0 +1,46 @@
+import { useState, useEffect, useCallback } from 'react';
+import config from '../config';
+import { unifiedFetch } from '../utils/unifiedFetch';
+
+// Re-check often enough that the interval cut-off and show end are noticed
+const REFRESH_INTERVAL_MS = 60000;
+
+/**
+ * Custom hook for the show-time ordering window of a screen QR
+ * Screens without a schedule resolve to { scheduled: false, status: 'open' }
+ */
+export const useOrderingWindow = (theaterId, qrName) => {
+  const [orderingWindow, setOrderingWindow] = useState(null);
+
+  const checkWindow = useCallback(async () => {
+    if (!theaterId || !qrName) {
+      setOrderingWindow(null);
+      return;
+    }
+
+    try {
+      const response = await unifiedFetch(
+        `${config.api.baseUrl}/show-schedules/${theaterId}/window?qrName=${encodeURIComponent(qrName)}`,
+        {},
+        { forceRefresh: true, cacheTTL: 0, timeout: 10000 }
+      );
+      const data = await response.json();
+      if (data.success && data.data) {
+        setOrderingWindow(data.data);
+      }
+    } catch (error) {
+      // Never block the menu on a failed check - the server validates again at order time
+      console.warn('⚠️ Ordering window check failed:', error.message);
+    }
+  }, [theaterId, qrName]);
+
+  useEffect(() => {
+    checkWindow();
+    const intervalId = setInterval(checkWindow, REFRESH_INTERVAL_MS);
+    return () => clearInterval(intervalId);
+  }, [checkWindow]);
+
+  return { orderingWindow, refreshOrderingWindow: checkWindow };
+};
+
+export default useOrderingWindow;
@@ -615,6 +615,7 @@ const TheaterList = React.memo(() => {
         theaterName: theaterData.name || '',
         ownerName: theaterData.ownerDetails?.name || '',
         ownerContactNumber: theaterData.ownerDetails?.contactNumber || '',
+        organizationId: theaterData.organizationId || '',
         phone: theaterData.phone || '',
         email: theaterData.email || '',
         address: theaterData.address?.street || '',
@@ -912,6 +913,8 @@ const TheaterList = React.memo(() => {
       if (editFormData.gstNumber) formData.append('gstNumber', editFormData.gstNumber.toUpperCase());
       if (editFormData.fssaiNumber) formData.append('fssaiNumber', editFormData.fssaiNumber);
       if (editFormData.uniqueNumber) formData.append('uniqueNumber', editFormData.uniqueNumber);
+      // Sent even when empty so a theater can be taken out of its organization
+      formData.append('organizationId', editFormData.organizationId || '');
       
       // Add any new files
       const fileTypes = Object.keys(uploadFiles);
@@ -2244,6 +2247,17 @@ const TheaterList = React.memo(() => {
                       />
                       <small className="helper-text">Any unique reference (Optional)</small>
                     </div>
+                    <div className="form-group">
+                      <label>Organization ID</label>
+                      <input 
+                        type="text" 
+                        value={editFormData.organizationId || ''} 
+                        onChange={(e) => handleEditFormChange('organizationId', e.target.value.toUpperCase())}
+                        className="form-control input-uppercase"
+                        placeholder="e.g., GRAND-GROUP"
+                      />
+                      <small className="helper-text">Theaters with the same ID can transfer stock (Optional)</small>
+                    </div>
                   </div>
                 </div>
 
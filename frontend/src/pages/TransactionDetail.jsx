@@ -18,6 +18,15 @@ import '../styles/pages/TransactionDetail.css'; // Extracted inline styles
 import { useDeepMemo, useComputed } from '../utils/ultraPerformance';
 import { ultraFetch } from '../utils/ultraFetch';
 import { unifiedFetch } from '../utils/unifiedFetch';
+import { formatDateToLocal, getDateFilterRange } from '../utils/dateUtils';
+
+const RECONCILIATION_ISSUE_LABELS = {
+  missing_at_gateway: 'Missing at gateway',
+  missing_in_records: 'Not in our records',
+  missing_transaction: 'No transaction',
+  duplicate: 'Duplicate',
+  amount_mismatch: 'Amount mismatch'
+};
 
 
 
@@ -70,6 +79,11 @@ const TransactionDetail = () => {
   });
   const [downloadingExcel, setDownloadingExcel] = useState(false);
 
+  // Gateway reconciliation state
+  const [reconReports, setReconReports] = useState([]);
+  const [runningRecon, setRunningRecon] = useState(false);
+  const [resolvingIssueId, setResolvingIssueId] = useState(null);
+
   // Refs
   const abortControllerRef = useRef(null);
   const searchTimeoutRef = useRef(null);
@@ -356,6 +370,127 @@ const TransactionDetail = () => {
     };
   }, [fetchTheater, fetchOrders]);
 
+  // Fetch reconciliation reports for the selected dates
+  const fetchReconciliation = useCallback(async () => {
+    const range = getDateFilterRange(dateFilter);
+    if (!theaterId || !range) {
+      setReconReports([]);
+      return;
+    }
+
+    try {
+      const params = new URLSearchParams(range);
+      const response = await unifiedFetch(
+        `${config.api.baseUrl}/reconciliation/${theaterId}?${params.toString()}`,
+        {},
+        { forceRefresh: true, timeout: 15000, maxRetries: 1 }
+      );
+      if (!response.ok) {
+        setReconReports([]);
+        return;
+      }
+      const data = await response.json();
+      if (isMountedRef.current) {
+        setReconReports(data.success ? (data.data?.reports || []) : []);
+      }
+    } catch (error) {
+      console.warn('Error fetching reconciliation:', error);
+    }
+  }, [theaterId, dateFilter]);
+
+  useEffect(() => {
+    fetchReconciliation();
+  }, [fetchReconciliation]);
+
+  // A single selected day is re-run as is; otherwise yesterday (the job's default)
+  const reconDate = dateFilter.type === 'date' && dateFilter.selectedDate
+    ? dateFilter.selectedDate
+    : formatDateToLocal(new Date(Date.now() - 24 * 60 * 60 * 1000));
+
+  const handleRunReconciliation = async () => {
+    setRunningRecon(true);
+    try {
+      const response = await unifiedFetch(
+        `${config.api.baseUrl}/reconciliation/${theaterId}/run`,
+        {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ date: reconDate })
+        },
+        { forceRefresh: true, retry: false, timeout: 120000 }
+      );
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(data.error || data.message || 'Failed to run reconciliation');
+      }
+      if (data.data?.status === 'failed') {
+        toast.error(data.message);
+      } else {
+        toast.success(data.message || 'Reconciliation complete');
+      }
+      fetchReconciliation();
+    } catch (error) {
+      console.error('Run reconciliation error:', error);
+      toast.error(error.message || 'Failed to run reconciliation');
+    } finally {
+      setRunningRecon(false);
+    }
+  };
+
+  const handleResolveIssue = async (issue) => {
+    setResolvingIssueId(issue._id);
+    try {
+      const response = await unifiedFetch(
+        `${config.api.baseUrl}/reconciliation/${theaterId}/${issue.date}/issues/${issue._id}/resolve`,
+        {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ note: '' })
+        },
+        { forceRefresh: true, retry: false }
+      );
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error || errorData.message || 'Failed to resolve issue');
+      }
+      toast.success('Issue marked as resolved');
+      fetchReconciliation();
+    } catch (error) {
+      toast.error(error.message || 'Failed to resolve issue');
+    } finally {
+      setResolvingIssueId(null);
+    }
+  };
+
+  const reconSummary = useMemo(() => {
+    const total = (field) => reconReports.reduce((sum, report) => sum + (report.summary?.[field] || 0), 0);
+    return {
+      days: reconReports.length,
+      failedDays: reconReports.filter(report => report.status === 'failed').length,
+      gatewayAmount: total('gatewayAmount'),
+      transactionAmount: total('transactionAmount'),
+      settledAmount: total('settledAmount'),
+      fees: total('fees') + total('tax')
+    };
+  }, [reconReports]);
+
+  const openReconIssues = useMemo(() => reconReports.flatMap(report =>
+    (report.issues || [])
+      .filter(issue => !issue.resolved)
+      .map(issue => ({ ...issue, date: report.date }))
+  ), [reconReports]);
+
+  // Open issues by order, used to flag rows in the transactions table
+  const reconIssuesByOrder = useMemo(() => {
+    const byOrder = new Map();
+    openReconIssues.forEach(issue => {
+      if (!issue.orderId) return;
+      const key = String(issue.orderId);
+      byOrder.set(key, [...(byOrder.get(key) || []), issue]);
+    });
+    return byOrder;
+  }, [openReconIssues]);
+
   // Format currency
   const formatCurrency = (amount) => {
     return new Intl.NumberFormat('en-IN', {
@@ -577,6 +712,83 @@ const TransactionDetail = () => {
           </div>
         </div>
 
+            {/* Gateway Reconciliation */}
+            <div className="recon-panel">
+              <div className="recon-panel-header">
+                <h3>Gateway Reconciliation</h3>
+                <button
+                  className="submit-btn recon-run-btn"
+                  onClick={handleRunReconciliation}
+                  disabled={runningRecon}
+                >
+                  {runningRecon ? 'Reconciling...' : `Reconcile ${reconDate}`}
+                </button>
+              </div>
+              {reconSummary.days === 0 ? (
+                <p className="recon-empty">Reconciliation has not run for the selected dates yet.</p>
+              ) : (
+                <>
+                  <div className="recon-summary">
+                    <span>Days: <strong>{reconSummary.days}</strong></span>
+                    <span>Gateway captured: <strong>{formatCurrency(reconSummary.gatewayAmount)}</strong></span>
+                    <span>Our records: <strong>{formatCurrency(reconSummary.transactionAmount)}</strong></span>
+                    <span>Settled (net): <strong>{formatCurrency(reconSummary.settledAmount)}</strong></span>
+                    <span>Fees + GST: <strong>{formatCurrency(reconSummary.fees)}</strong></span>
+                    {reconSummary.failedDays > 0 && (
+                      <span className="recon-failed-text">{reconSummary.failedDays} day(s) could not reach the gateway</span>
+                    )}
+                  </div>
+                  {openReconIssues.length === 0 ? (
+                    <p className="recon-empty recon-ok">✓ All gateway payments matched</p>
+                  ) : (
+                    <table className="recon-issues-table">
+                      <thead>
+                        <tr>
+                          <th>Date</th>
+                          <th>Issue</th>
+                          <th>Order</th>
+                          <th>Expected</th>
+                          <th>Actual</th>
+                          <th>Details</th>
+                          <th></th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {openReconIssues.map(issue => (
+                          <tr key={issue._id}>
+                            <td>{issue.date}</td>
+                            <td>
+                              <span className={`recon-flag ${issue.type}`}>
+                                {RECONCILIATION_ISSUE_LABELS[issue.type] || issue.type}
+                              </span>
+                            </td>
+                            <td>{issue.orderNumber || issue.gatewayOrderId || '-'}</td>
+                            <td>{formatCurrency(issue.expectedAmount)}</td>
+                            <td>{formatCurrency(issue.actualAmount)}</td>
+                            <td className="recon-issue-message">
+                              {issue.message}
+                              {issue.gatewayPaymentIds?.length > 0 && (
+                                <small>{issue.gatewayPaymentIds.join(', ')}</small>
+                              )}
+                            </td>
+                            <td>
+                              <button
+                                className="recon-resolve-btn"
+                                onClick={() => handleResolveIssue(issue)}
+                                disabled={resolvingIssueId === issue._id}
+                              >
+                                {resolvingIssueId === issue._id ? '...' : 'Resolve'}
+                              </button>
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
+                </>
+              )}
+            </div>
+
             {/* Enhanced Filters Section - matching QR Code Names page */}
             <div className="theater-filters">
               <div className="search-box">
@@ -680,6 +892,14 @@ const TransactionDetail = () => {
                         <td className="name-cell">
                           <div className="theater-name-container">
                             <div className="theater-name">{order.orderNumber || 'N/A'}</div>
+                            {reconIssuesByOrder.has(String(order._id)) && (
+                              <span
+                                className={`recon-flag ${reconIssuesByOrder.get(String(order._id))[0].type}`}
+                                title={reconIssuesByOrder.get(String(order._id)).map(issue => issue.message).join('\n')}
+                              >
+                                ⚠ {RECONCILIATION_ISSUE_LABELS[reconIssuesByOrder.get(String(order._id))[0].type]}
+                              </span>
+                            )}
                           </div>
                         </td>
                         <td className="name-cell">
@@ -15,7 +15,7 @@ import '../styles/TheaterList.css';
 import '../styles/QRManagementPage.css';
 import '../styles/pages/TransactionList.css'; // Extracted inline styles
 import { useDeepMemo, useComputed } from '../utils/ultraPerformance';
-import { formatDateToLocal } from '../utils/dateUtils';
+import { formatDateToLocal, getDateFilterRange } from '../utils/dateUtils';
 
 
 // Lazy Loading Image Component
@@ -96,6 +96,9 @@ const TableSkeletonRow = React.memo(() => (
     <td className="contact-cell">
       <div className="skeleton-line skeleton-small"></div>
     </td>
+    <td className="reconciliation-cell">
+      <div className="skeleton-line skeleton-small"></div>
+    </td>
     <td className="actions-cell">
       <div className="skeleton-buttons">
         <div className="skeleton-button skeleton-small"></div>
@@ -168,6 +171,9 @@ const TransactionList = () => {
     totalOrdersAmount: 0
   });
   const [loadingStats, setLoadingStats] = useState(false);
+
+  // Gateway reconciliation: open issues per theater for the selected dates
+  const [reconciliation, setReconciliation] = useState({});
   
   // Pagination state
   const [currentPage, setCurrentPage] = useState(1);
@@ -535,6 +541,57 @@ const TransactionList = () => {
     fetchOrderStatistics();
   }, [fetchOrderStatistics]);
 
+  // Fetch reconciliation flags for the selected dates
+  const fetchReconciliationOverview = useCallback(async () => {
+    const range = getDateFilterRange(dateFilter);
+    const token = localStorage.getItem('authToken');
+    if (!range || !token) {
+      setReconciliation({});
+      return;
+    }
+
+    try {
+      const params = new URLSearchParams(range);
+      const result = await optimizedFetch(
+        `${config.api.baseUrl}/reconciliation/overview?${params.toString()}`,
+        {
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            'Accept': 'application/json'
+          }
+        },
+        `reconciliation_overview_${params.toString()}`,
+        60000 // 1-minute cache
+      );
+      setReconciliation(result?.success ? (result.data?.theaters || {}) : {});
+    } catch (error) {
+      console.warn('[TransactionList] Failed to fetch reconciliation overview:', error);
+      setReconciliation({});
+    }
+  }, [dateFilter]);
+
+  useEffect(() => {
+    fetchReconciliationOverview();
+  }, [fetchReconciliationOverview]);
+
+  const renderReconciliationBadge = (theaterId) => {
+    const entry = reconciliation[theaterId];
+    if (!entry) {
+      return <span className="recon-badge recon-none" title="Reconciliation has not run for these dates">Not run</span>;
+    }
+    if (entry.failedDays > 0) {
+      return <span className="recon-badge recon-failed" title="Gateway could not be reached">⚠ Failed</span>;
+    }
+    if (entry.openIssues > 0) {
+      return (
+        <span className="recon-badge recon-issues" title="Missing, duplicate or mismatched payments">
+          {entry.openIssues} {entry.openIssues === 1 ? 'issue' : 'issues'}
+        </span>
+      );
+    }
+    return <span className="recon-badge recon-matched">✓ Matched</span>;
+  };
+
   // Handle view theater transactions - navigate to transaction detail page
   const handleTransactionClick = (theater) => {
     navigate(`/transactions/${theater._id}`);
@@ -700,6 +757,7 @@ const TransactionList = () => {
                         <th className="name-col">THEATER NAME</th>
                         <th className="owner-col">OWNER NAME</th>
                         <th className="contact-col">CONTACT NUMBER</th>
+                        <th className="status-col">RECONCILIATION</th>
                         <th className="actions-col">ACTION</th>
                       </tr>
                     </thead>
@@ -759,6 +817,10 @@ const TransactionList = () => {
                               <td className="contact-cell">
                                 {theaterPhone}
                               </td>
+
+                              <td className="reconciliation-cell">
+                                {renderReconciliationBadge(theater._id)}
+                              </td>
                               
                               <td className="actions-cell">
                                 <ActionButtons>
@@ -773,7 +835,7 @@ const TransactionList = () => {
                           );
                         }) : (
                           <tr>
-                            <td colSpan="6" className="table-empty-cell">
+                            <td colSpan="7" className="table-empty-cell">
                               Loading theaters...
                             </td>
                           </tr>
@@ -0,0 +1,22 @@
+import React from 'react';
+import AdminLayout from '@components/AdminLayout';
+import PageContainer from '@components/PageContainer';
+import ErrorBoundary from '@components/ErrorBoundary';
+import AuditLogViewer from '@components/audit/AuditLogViewer';
+import '@styles/QRManagementPage.css';
+import '@styles/TheaterList.css';
+
+/**
+ * 📋 Audit Log - administrative and financial changes across every theater
+ */
+const AuditLog = () => (
+  <ErrorBoundary>
+    <AdminLayout pageTitle="Audit Log" currentPage="audit-log">
+      <PageContainer title="Audit Log">
+        <AuditLogViewer />
+      </PageContainer>
+    </AdminLayout>
+  </ErrorBoundary>
+);
+
+export default AuditLog;
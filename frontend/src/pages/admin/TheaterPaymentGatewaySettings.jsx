@@ -44,8 +44,8 @@ const TheaterPaymentGatewaySettings = () => {
   
   // Show/hide password states
   const [showPasswords, setShowPasswords] = useState({
-    kiosk: { razorpay: false, phonepe: false, paytm: false, cashfree: false },
-    online: { razorpay: false, phonepe: false, paytm: false, cashfree: false }
+    kiosk: { razorpay: false, phonepe: false, paytm: false, cashfree: false, upi: false },
+    online: { razorpay: false, phonepe: false, paytm: false, cashfree: false, upi: false }
   });
 
   // Payment gateway configurations
@@ -53,14 +53,16 @@ const TheaterPaymentGatewaySettings = () => {
     razorpay: { enabled: false, keyId: '', keySecret: '' },
     phonepe: { enabled: false, merchantId: '', saltKey: '', saltIndex: '' },
     paytm: { enabled: false, merchantId: '', merchantKey: '' },
-    cashfree: { enabled: false, appId: '', secretKey: '', apiVersion: '2022-09-01', testMode: true }
+    cashfree: { enabled: false, appId: '', secretKey: '', apiVersion: '2022-09-01', testMode: true },
+    upi: { enabled: false, vpa: '', payeeName: '' }
   });
 
   const [onlineConfig, setOnlineConfig] = useState({
     razorpay: { enabled: false, keyId: '', keySecret: '' },
     phonepe: { enabled: false, merchantId: '', saltKey: '', saltIndex: '' },
     paytm: { enabled: false, merchantId: '', merchantKey: '' },
-    cashfree: { enabled: false, appId: '', secretKey: '', apiVersion: '2022-09-01', testMode: true }
+    cashfree: { enabled: false, appId: '', secretKey: '', apiVersion: '2022-09-01', testMode: true },
+    upi: { enabled: false, vpa: '', payeeName: '' }
   });
 
   // ✅ Track if user has unsaved changes to prevent overwriting
@@ -165,6 +167,12 @@ const TheaterPaymentGatewaySettings = () => {
                 secretKey: theater.paymentGateway.kiosk.cashfree?.secretKey || '',
                 apiVersion: theater.paymentGateway.kiosk.cashfree?.apiVersion || '2022-09-01',
                 testMode: theater.paymentGateway.kiosk.cashfree?.testMode !== false
+              },
+              upi: {
+                ...(theater.paymentGateway.kiosk.upi || {}),
+                enabled: Boolean(theater.paymentGateway.kiosk.upi?.enabled),
+                vpa: theater.paymentGateway.kiosk.upi?.vpa || '',
+                payeeName: theater.paymentGateway.kiosk.upi?.payeeName || ''
               }
             };
             
@@ -182,7 +190,8 @@ const TheaterPaymentGatewaySettings = () => {
               razorpay: { enabled: false, keyId: '', keySecret: '' },
               phonepe: { enabled: false, merchantId: '', saltKey: '', saltIndex: '' },
               paytm: { enabled: false, merchantId: '', merchantKey: '' },
-              cashfree: { enabled: false, appId: '', secretKey: '', apiVersion: '2022-09-01', testMode: true }
+              cashfree: { enabled: false, appId: '', secretKey: '', apiVersion: '2022-09-01', testMode: true },
+              upi: { enabled: false, vpa: '', payeeName: '' }
             });
           }
           
@@ -221,6 +230,12 @@ const TheaterPaymentGatewaySettings = () => {
                 secretKey: theater.paymentGateway.online.cashfree?.secretKey || '',
                 apiVersion: theater.paymentGateway.online.cashfree?.apiVersion || '2022-09-01',
                 testMode: theater.paymentGateway.online.cashfree?.testMode !== false
+              },
+              upi: {
+                ...(theater.paymentGateway.online.upi || {}),
+                enabled: Boolean(theater.paymentGateway.online.upi?.enabled),
+                vpa: theater.paymentGateway.online.upi?.vpa || '',
+                payeeName: theater.paymentGateway.online.upi?.payeeName || ''
               }
             };
             
@@ -246,13 +261,15 @@ const TheaterPaymentGatewaySettings = () => {
             razorpay: { enabled: false, keyId: '', keySecret: '' },
             phonepe: { enabled: false, merchantId: '', saltKey: '', saltIndex: '' },
             paytm: { enabled: false, merchantId: '', merchantKey: '' },
-            cashfree: { enabled: false, appId: '', secretKey: '', apiVersion: '2022-09-01', testMode: true }
+            cashfree: { enabled: false, appId: '', secretKey: '', apiVersion: '2022-09-01', testMode: true },
+            upi: { enabled: false, vpa: '', payeeName: '' }
           });
           setOnlineConfig({
             razorpay: { enabled: false, keyId: '', keySecret: '' },
             phonepe: { enabled: false, merchantId: '', saltKey: '', saltIndex: '' },
             paytm: { enabled: false, merchantId: '', merchantKey: '' },
-            cashfree: { enabled: false, appId: '', secretKey: '', apiVersion: '2022-09-01', testMode: true }
+            cashfree: { enabled: false, appId: '', secretKey: '', apiVersion: '2022-09-01', testMode: true },
+            upi: { enabled: false, vpa: '', payeeName: '' }
           });
         }
       }
@@ -306,6 +323,7 @@ const TheaterPaymentGatewaySettings = () => {
         if (config.phonepe?.enabled) return 'phonepe';
         if (config.paytm?.enabled) return 'paytm';
         if (config.cashfree?.enabled) return 'cashfree';
+        if (config.upi?.enabled) return 'upi';
         return 'none';
       };
       
@@ -321,6 +339,7 @@ const TheaterPaymentGatewaySettings = () => {
           phonepe: kioskConfig.phonepe || { enabled: false, merchantId: '', saltKey: '', saltIndex: '' },
           paytm: kioskConfig.paytm || { enabled: false, merchantId: '', merchantKey: '' },
           cashfree: kioskConfig.cashfree || { enabled: false, appId: '', secretKey: '', apiVersion: '2022-09-01', testMode: true },
+          upi: kioskConfig.upi || { enabled: false, vpa: '', payeeName: '' },
           acceptedMethods: {
             cash: true,
             card: kioskProvider === 'razorpay' || kioskProvider === 'paytm' || kioskProvider === 'cashfree' ? true : false,
@@ -336,6 +355,7 @@ const TheaterPaymentGatewaySettings = () => {
           phonepe: onlineConfig.phonepe || { enabled: false, merchantId: '', saltKey: '', saltIndex: '' },
           paytm: onlineConfig.paytm || { enabled: false, merchantId: '', merchantKey: '' },
           cashfree: onlineConfig.cashfree || { enabled: false, appId: '', secretKey: '', apiVersion: '2022-09-01', testMode: true },
+          upi: onlineConfig.upi || { enabled: false, vpa: '', payeeName: '' },
           acceptedMethods: {
             cash: false,  // Online orders don't accept cash
             card: onlineProvider === 'razorpay' || onlineProvider === 'paytm' || onlineProvider === 'cashfree' ? true : false,
@@ -442,7 +462,8 @@ const TheaterPaymentGatewaySettings = () => {
                       razorpay: { ...(prev.razorpay || { enabled: false, keyId: '', keySecret: '' }) },
                       phonepe: { ...(prev.phonepe || { enabled: false, merchantId: '', saltKey: '', saltIndex: '' }) },
                       paytm: { ...(prev.paytm || { enabled: false, merchantId: '', merchantKey: '' }) },
-                      cashfree: { ...(prev.cashfree || { enabled: false, appId: '', secretKey: '', apiVersion: '2022-09-01', testMode: true }) }
+                      cashfree: { ...(prev.cashfree || { enabled: false, appId: '', secretKey: '', apiVersion: '2022-09-01', testMode: true }) },
+                      upi: { ...(prev.upi || { enabled: false, vpa: '', payeeName: '' }) }
                     };
                     
                     // Update the current provider
@@ -453,7 +474,7 @@ const TheaterPaymentGatewaySettings = () => {
                     
                     // ✅ If enabling this provider, disable all other providers immediately
                     if (newEnabled) {
-                      const otherProviders = ['razorpay', 'phonepe', 'paytm', 'cashfree'].filter(p => p !== provider);
+                      const otherProviders = ['razorpay', 'phonepe', 'paytm', 'cashfree', 'upi'].filter(p => p !== provider);
                       otherProviders.forEach(otherProvider => {
                         updated[otherProvider] = {
                           ...updated[otherProvider],
@@ -687,6 +708,35 @@ const TheaterPaymentGatewaySettings = () => {
                     className="form-control"
                   />
                 </div>
+                
+                <div className="form-group">
+                  <label className="checkbox-label">
+                    <input
+                      type="checkbox"
+                      checked={config.phonepe?.testMode !== false}
+                      onChange={(e) => {
+                        e.stopPropagation();
+                        if (!enabled) {
+                          e.preventDefault();
+                          return;
+                        }
+                        const value = e.target.checked;
+                        hasUnsavedChangesRef.current = true;
+                        setConfig(prev => {
+                          const updated = {
+                            razorpay: { ...(prev.razorpay || { enabled: false, keyId: '', keySecret: '' }) },
+                            phonepe: { ...(prev.phonepe || { enabled: false, merchantId: '', saltKey: '', saltIndex: '' }), testMode: value },
+                            paytm: { ...(prev.paytm || { enabled: false, merchantId: '', merchantKey: '' }) },
+                            cashfree: { ...(prev.cashfree || { enabled: false, appId: '', secretKey: '', apiVersion: '2022-09-01', testMode: true }) }
+                          };
+                          return updated;
+                        });
+                      }}
+                      disabled={!enabled}
+                    />
+                    <span>Test Mode (Sandbox)</span>
+                  </label>
+                </div>
               </>
             )}
             
@@ -774,6 +824,35 @@ const TheaterPaymentGatewaySettings = () => {
                     </IconButton>
                   </div>
                 </div>
+                
+                <div className="form-group">
+                  <label className="checkbox-label">
+                    <input
+                      type="checkbox"
+                      checked={config.paytm?.testMode !== false}
+                      onChange={(e) => {
+                        e.stopPropagation();
+                        if (!enabled) {
+                          e.preventDefault();
+                          return;
+                        }
+                        const value = e.target.checked;
+                        hasUnsavedChangesRef.current = true;
+                        setConfig(prev => {
+                          const updated = {
+                            razorpay: { ...(prev.razorpay || { enabled: false, keyId: '', keySecret: '' }) },
+                            phonepe: { ...(prev.phonepe || { enabled: false, merchantId: '', saltKey: '', saltIndex: '' }) },
+                            paytm: { ...(prev.paytm || { enabled: false, merchantId: '', merchantKey: '' }), testMode: value },
+                            cashfree: { ...(prev.cashfree || { enabled: false, appId: '', secretKey: '', apiVersion: '2022-09-01', testMode: true }) }
+                          };
+                          return updated;
+                        });
+                      }}
+                      disabled={!enabled}
+                    />
+                    <span>Test Mode (Sandbox)</span>
+                  </label>
+                </div>
               </>
             )}
             
@@ -915,6 +994,68 @@ const TheaterPaymentGatewaySettings = () => {
                 </div>
               </>
             )}
+            
+            {provider === 'upi' && (
+              <>
+                <div className="form-group">
+                  <label htmlFor={`${channel}-upi-vpa`}>UPI ID (VPA)</label>
+                  <input
+                    id={`${channel}-upi-vpa`}
+                    type="text"
+                    value={config.upi?.vpa || ''}
+                    onChange={(e) => {
+                      e.stopPropagation();
+                      if (!enabled) {
+                        e.preventDefault();
+                        return;
+                      }
+                      const value = e.target.value;
+                      hasUnsavedChangesRef.current = true;
+                      setConfig(prev => ({
+                        ...prev,
+                        upi: { ...(prev.upi || { enabled: false, vpa: '', payeeName: '' }), vpa: value }
+                      }));
+                    }}
+                    disabled={!enabled}
+                    readOnly={!enabled}
+                    placeholder="theatername@okaxis"
+                    className="form-control"
+                  />
+                </div>
+                
+                <div className="form-group">
+                  <label htmlFor={`${channel}-upi-payeeName`}>Payee Name</label>
+                  <input
+                    id={`${channel}-upi-payeeName`}
+                    type="text"
+                    value={config.upi?.payeeName || ''}
+                    onChange={(e) => {
+                      e.stopPropagation();
+                      if (!enabled) {
+                        e.preventDefault();
+                        return;
+                      }
+                      const value = e.target.value;
+                      hasUnsavedChangesRef.current = true;
+                      setConfig(prev => ({
+                        ...prev,
+                        upi: { ...(prev.upi || { enabled: false, vpa: '', payeeName: '' }), payeeName: value }
+                      }));
+                    }}
+                    disabled={!enabled}
+                    readOnly={!enabled}
+                    placeholder="Name shown in the UPI app"
+                    className="form-control"
+                  />
+                </div>
+                
+                <div className="form-group full-width">
+                  <p className="form-helper-text">
+                    Customers pay this UPI ID from a QR and enter the UTR; cashiers confirm each payment from the UPI Verification page.
+                  </p>
+                </div>
+              </>
+            )}
         </div>
       </div>
     );
@@ -949,6 +1090,7 @@ const TheaterPaymentGatewaySettings = () => {
         {renderGatewaySection(channel, config, setConfig, 'phonepe', 'PhonePe')}
         {renderGatewaySection(channel, config, setConfig, 'paytm', 'Paytm')}
         {renderGatewaySection(channel, config, setConfig, 'cashfree', 'Cashfree')}
+        {renderGatewaySection(channel, config, setConfig, 'upi', 'Direct UPI (No Gateway)')}
         
         <div className="save-button-container">
           <button
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useMemo, useRef } from 'react';
+import React, { useState, useEffect, useMemo, useRef, useCallback } from 'react';
 import { useLocation, useNavigate } from 'react-router-dom';
 import { useCart } from '@contexts/CartContext';
 import useCustomerAutoLogout from '@hooks/useCustomerAutoLogout'; // 🔒 Auto-logout for customer sessions
@@ -6,9 +6,17 @@ import useStockValidation from '@hooks/useStockValidation';
 import { getImageSrc } from '@utils/globalImageCache'; // 🚀 Instant image loading
 import { calculateOrderTotals, calculateLineItemTotal } from '@utils/orderCalculation'; // 📊 Centralized calculation
 import { validateComboStockAvailability } from '@utils/comboStockValidation';
+import { getProductCartQuantity, describeModifiers } from '@utils/productModifiers';
 import { unifiedFetch } from '@utils/unifiedFetch';
+import { getStoredCoupon, storeCoupon, getCouponDiscount } from '@utils/couponCheckout';
+import CouponInput from '@components/customer/CouponInput';
+import { getStoredRedeemPoints, storeRedeemPoints } from '@utils/loyaltyWallet';
+import LoyaltyRedeem from '@components/customer/LoyaltyRedeem';
+import GiftCardInput from '@components/customer/GiftCardInput';
+import { getStoredGiftCard, storeGiftCard, getGiftCardAmount } from '@utils/giftCards';
 import config from '@config';
 import '@styles/customer/CustomerCart.css';
+import '@styles/components/ModifierSelector.css';
 import { useDeepMemo, useComputed } from '@utils/ultraPerformance';
 
 // Cart Item Component with Swipe-to-Delete
@@ -120,7 +128,10 @@ const CartItemWrapper = ({
   // Check if can add more (for plus button)
   const currentQty = item.quantity;
   const newQty = currentQty + 1;
-  const product = products.find(p => p._id === item._id) || item;
+  // Lines with modifiers share the product's stock with its other lines
+  const productId = item.productId || item._id;
+  const product = products.find(p => p._id === productId) || item;
+  const stockQty = item.productId ? getProductCartQuantity(items, productId) + 1 : newQty;
   
   // Use combo validation for combo items
   let canAddMore = false;
@@ -137,7 +148,7 @@ const CartItemWrapper = ({
       canAddMore = comboValidation.valid;
     }
   } else {
-    canAddMore = validateStockAvailability(product, newQty, { silent: true }).valid;
+    canAddMore = validateStockAvailability(product, stockQty, { silent: true }).valid;
   }
 
   return (
@@ -180,6 +191,9 @@ const CartItemWrapper = ({
         
         <div className="cart-item-details">
           <h3 className="cart-item-name">{item.name}</h3>
+          {item.modifiers?.length > 0 && (
+            <span className="modifier-summary">{describeModifiers(item)}</span>
+          )}
           <div className="cart-item-price-container">
             {hasDiscount ? (
               <>
@@ -230,7 +244,7 @@ const CartItemWrapper = ({
                     }
                   }
                 } else {
-                  const validation = validateStockAvailability(product, newQty, { silent: true });
+                  const validation = validateStockAvailability(product, stockQty, { silent: true });
                   if (!validation.valid) {
                     return;
                   }
@@ -496,6 +510,32 @@ const CustomerCart = () => {
   }, [items]);
 
   // Determine GST types for display label
+  // 🎟️ Promo code - previewed here, applied by the server when the order is created
+  const [coupon, setCoupon] = useState(getStoredCoupon);
+  const handleCouponChange = useCallback((value) => {
+    setCoupon(value);
+    storeCoupon(value);
+  }, []);
+  const couponDiscount = getCouponDiscount(coupon, total);
+
+  // ⭐ Loyalty points - capped on what is left after the coupon, spent by the server on order creation
+  const [loyalty, setLoyalty] = useState(() => ({ points: getStoredRedeemPoints(), discount: 0 }));
+  const handleLoyaltyChange = useCallback((value) => {
+    setLoyalty(value);
+    storeRedeemPoints(value.points);
+  }, []);
+  const payableBeforePoints = Math.max(0, total - couponDiscount);
+  const loyaltyDiscount = loyalty.points > 0 ? loyalty.discount : 0;
+
+  // 🎁 Gift card - pays what is left after the discounts, charged by the server on order creation
+  const [giftCard, setGiftCard] = useState(getStoredGiftCard);
+  const handleGiftCardChange = useCallback((value) => {
+    setGiftCard(value);
+    storeGiftCard(value);
+  }, []);
+  const billTotal = payableBeforePoints - loyaltyDiscount;
+  const giftCardAmount = getGiftCardAmount(giftCard, billTotal);
+
   const gstTypes = useMemo(() => {
     const types = items.map(item => item.gstType || item.pricing?.gstType || 'EXCLUDE');
     return [...new Set(types)]; // Unique types
@@ -524,8 +564,12 @@ const CustomerCart = () => {
       theaterName,
       qrName,
       seat,
+      deliverAt: localStorage.getItem('customerDeliverAt') || 'now',
       cartItems: items,
-      totals: { subtotal, tax, total, totalDiscount }
+      totals: { subtotal, tax, total, totalDiscount },
+      coupon,
+      loyalty: loyaltyDiscount > 0 ? loyalty : null,
+      giftCard: giftCardAmount > 0 ? giftCard : null
     };
     
     localStorage.setItem('checkoutData', JSON.stringify(checkoutInfo));
@@ -713,6 +757,34 @@ const CustomerCart = () => {
         </div>
       </div>
 
+      {theaterId && (
+        <CouponInput
+          theaterId={theaterId}
+          items={items}
+          coupon={coupon}
+          onChange={handleCouponChange}
+          customerPhone={localStorage.getItem('customerPhone')}
+        />
+      )}
+
+      {theaterId && (
+        <LoyaltyRedeem
+          theaterId={theaterId}
+          payable={payableBeforePoints}
+          loyalty={loyalty}
+          onChange={handleLoyaltyChange}
+        />
+      )}
+
+      {theaterId && (
+        <GiftCardInput
+          theaterId={theaterId}
+          payable={billTotal}
+          giftCard={giftCard}
+          onChange={handleGiftCardChange}
+        />
+      )}
+
       {/* Summary Section */}
       <div className="cart-summary">
         <div className="summary-divider"></div>
@@ -739,11 +811,32 @@ const CustomerCart = () => {
           </div>
         )}
         
+        {couponDiscount > 0 && (
+          <div className="summary-row discount-row">
+            <span className="summary-label">Coupon ({coupon.code})</span>
+            <span className="summary-value discount-value">-₹{couponDiscount.toFixed(2)}</span>
+          </div>
+        )}
+        
+        {loyaltyDiscount > 0 && (
+          <div className="summary-row discount-row">
+            <span className="summary-label">Points ({loyalty.points})</span>
+            <span className="summary-value discount-value">-₹{loyaltyDiscount.toFixed(2)}</span>
+          </div>
+        )}
+        
+        {giftCardAmount > 0 && (
+          <div className="summary-row discount-row">
+            <span className="summary-label">Gift Card</span>
+            <span className="summary-value discount-value">-₹{giftCardAmount.toFixed(2)}</span>
+          </div>
+        )}
+        
         <div className="summary-divider"></div>
         
         <div className="summary-row summary-total">
           <span className="summary-label">Total</span>
-          <span className="summary-value">₹{total.toFixed(2)}</span>
+          <span className="summary-value">₹{(billTotal - giftCardAmount).toFixed(2)}</span>
         </div>
 
         <button className="checkout-button" onClick={handleCheckout}>
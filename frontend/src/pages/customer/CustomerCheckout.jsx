@@ -1,8 +1,17 @@
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
 import { useNavigate, useLocation } from 'react-router-dom';
 import CustomerFooter from '@components/customer/CustomerFooter';
 import { useCart } from '@contexts/CartContext';
 import useCustomerAutoLogout from '@hooks/useCustomerAutoLogout'; // 🔒 Auto-logout for customer sessions
+import useOrderingWindow from '@hooks/useOrderingWindow';
+import ShowTimeBanner from '@components/customer/ShowTimeBanner';
+import CouponInput from '@components/customer/CouponInput';
+import LoyaltyRedeem from '@components/customer/LoyaltyRedeem';
+import GiftCardInput from '@components/customer/GiftCardInput';
+import { getStoredCoupon, storeCoupon, getCouponDiscount } from '@utils/couponCheckout';
+import { getStoredRedeemPoints, storeRedeemPoints } from '@utils/loyaltyWallet';
+import { getStoredGiftCard, storeGiftCard, getGiftCardAmount } from '@utils/giftCards';
+import { describeModifiers } from '@utils/productModifiers';
 import config from '@config';
 import '@styles/customer/CustomerCheckout.css';
 import '@styles/pages/customer/CustomerCheckout.css'; // Extracted inline styles
@@ -146,7 +155,7 @@ const CartItem = ({ item, onUpdateQuantity, onRemove }) => {
         <div className="cart-item-info">
           <div className="product-details">
             <h3 className="cart-item-name">{item.name}</h3>
-            <p className="cart-item-description">{item.description || 'Double Beef'}</p>
+            <p className="cart-item-description">{describeModifiers(item) || item.description || 'Double Beef'}</p>
             <div className="cart-item-price">
               {formatPrice(itemTotal)}
             </div>
@@ -185,7 +194,7 @@ const CartItem = ({ item, onUpdateQuantity, onRemove }) => {
 };
 
 // Pricing Summary Component
-const PricingSummary = ({ subtotal, deliveryCharge, tax, total }) => {
+const PricingSummary = ({ subtotal, deliveryCharge, tax, total, coupon = null, couponDiscount = 0, loyalty = null, giftCardAmount = 0 }) => {
   const formatPrice = (price) => {
     return new Intl.NumberFormat('en-IN', {
       style: 'currency',
@@ -210,6 +219,27 @@ const PricingSummary = ({ subtotal, deliveryCharge, tax, total }) => {
         <span className="pricing-value">{formatPrice(tax)}</span>
       </div>
 
+      {couponDiscount > 0 && (
+        <div className="pricing-row">
+          <span className="pricing-label">Coupon ({coupon.code}):</span>
+          <span className="pricing-value">-{formatPrice(couponDiscount)}</span>
+        </div>
+      )}
+
+      {loyalty?.discount > 0 && (
+        <div className="pricing-row">
+          <span className="pricing-label">Points ({loyalty.points}):</span>
+          <span className="pricing-value">-{formatPrice(loyalty.discount)}</span>
+        </div>
+      )}
+
+      {giftCardAmount > 0 && (
+        <div className="pricing-row">
+          <span className="pricing-label">Gift Card:</span>
+          <span className="pricing-value">-{formatPrice(giftCardAmount)}</span>
+        </div>
+      )}
+
       <div className="pricing-row total-row">
         <span className="pricing-label">Total</span>
         <span className="pricing-value total-value">{formatPrice(total)}</span>
@@ -219,7 +249,7 @@ const PricingSummary = ({ subtotal, deliveryCharge, tax, total }) => {
 };
 
 // Footer Component
-const CustomerCheckoutFooter = ({ total, onCheckout, isLoading }) => {
+const CustomerCheckoutFooter = ({ total, onCheckout, isLoading, disabled = false }) => {
   const formatPrice = (price) => {
     return new Intl.NumberFormat('en-IN', {
       style: 'currency',
@@ -232,7 +262,7 @@ const CustomerCheckoutFooter = ({ total, onCheckout, isLoading }) => {
       <button
         className="checkout-btn"
         onClick={onCheckout}
-        disabled={isLoading}
+        disabled={isLoading || disabled}
       >
         {isLoading ? (
           <span className="loading-spinner"></span>
@@ -262,6 +292,69 @@ const CustomerCheckout = () => {
   const theaterId = urlParams.get('theaterid');
   const screenName = urlParams.get('screen');
   const seatId = urlParams.get('seat');
+  const qrName = urlParams.get('qrname') || JSON.parse(localStorage.getItem('checkoutData') || 'null')?.qrName || null;
+
+  // 🎬 "Now" or "at interval" - held interval orders are released to the kitchen shortly before the break
+  const { orderingWindow } = useOrderingWindow(theaterId, qrName);
+  const [deliverAt, setDeliverAt] = useState(() => localStorage.getItem('customerDeliverAt') || 'now');
+
+  const handleDeliverAtChange = useCallback((value) => {
+    setDeliverAt(value);
+    localStorage.setItem('customerDeliverAt', value);
+
+    // Keep the stored checkout in sync - CustomerPayment builds the order from it
+    const checkoutData = JSON.parse(localStorage.getItem('checkoutData') || 'null');
+    if (checkoutData) {
+      localStorage.setItem('checkoutData', JSON.stringify({ ...checkoutData, deliverAt: value }));
+    }
+  }, []);
+
+  // 🎟️ Promo code - previewed here, applied by the server when the order is created
+  const [coupon, setCoupon] = useState(getStoredCoupon);
+  const couponDiscount = getCouponDiscount(coupon, total);
+
+  const handleCouponChange = useCallback((value) => {
+    setCoupon(value);
+    storeCoupon(value);
+
+    // Keep the stored checkout in sync - CustomerPayment builds the order from it
+    const checkoutData = JSON.parse(localStorage.getItem('checkoutData') || 'null');
+    if (checkoutData) {
+      localStorage.setItem('checkoutData', JSON.stringify({ ...checkoutData, coupon: value }));
+    }
+  }, []);
+
+  // ⭐ Loyalty points - capped on what is left after the coupon, spent by the server on order creation
+  const [loyalty, setLoyalty] = useState(() => ({ points: getStoredRedeemPoints(), discount: 0 }));
+  const loyaltyApplied = loyalty.points > 0 && loyalty.discount > 0 ? loyalty : null;
+  const payableTotal = total - couponDiscount - (loyaltyApplied?.discount || 0);
+
+  const handleLoyaltyChange = useCallback((value) => {
+    setLoyalty(value);
+    storeRedeemPoints(value.points);
+
+    const checkoutData = JSON.parse(localStorage.getItem('checkoutData') || 'null');
+    if (checkoutData) {
+      localStorage.setItem('checkoutData', JSON.stringify({
+        ...checkoutData,
+        loyalty: value.points > 0 && value.discount > 0 ? value : null
+      }));
+    }
+  }, []);
+
+  // 🎁 Gift card - pays what is left after the discounts, charged by the server on order creation
+  const [giftCard, setGiftCard] = useState(getStoredGiftCard);
+  const giftCardAmount = getGiftCardAmount(giftCard, payableTotal);
+
+  const handleGiftCardChange = useCallback((value) => {
+    setGiftCard(value);
+    storeGiftCard(value);
+
+    const checkoutData = JSON.parse(localStorage.getItem('checkoutData') || 'null');
+    if (checkoutData) {
+      localStorage.setItem('checkoutData', JSON.stringify({ ...checkoutData, giftCard: value }));
+    }
+  }, []);
 
   // Load theater data like CustomerHome
   useEffect(() => {
@@ -322,7 +415,11 @@ const CustomerCheckout = () => {
           deliveryCharge,
           tax,
           total,
-          totalDiscount: totalDiscount || 0  // Use actual discount from cart
+          totalDiscount: totalDiscount || 0,  // Use actual discount from cart
+          deliverAt,
+          coupon,
+          loyalty: loyaltyApplied,
+          giftCard: giftCardAmount > 0 ? giftCard : null
         }
       });
     } catch (error) {
@@ -364,6 +461,15 @@ const CustomerCheckout = () => {
       </div>
 
       <div className="checkout-container">
+        {/* Show-time delivery choice (screen QR orders only) */}
+        {cartItems.length > 0 && (
+          <ShowTimeBanner
+            orderingWindow={orderingWindow}
+            deliverAt={deliverAt}
+            onDeliverAtChange={handleDeliverAtChange}
+          />
+        )}
+
         {/* Cart Items */}
         <div className="checkout-content">
           <div className="cart-items-container">
@@ -385,13 +491,46 @@ const CustomerCheckout = () => {
             )}
           </div>
 
+          {/* Promo code */}
+          {cartItems.length > 0 && theaterId && (
+            <CouponInput
+              theaterId={theaterId}
+              items={cartItems}
+              coupon={coupon}
+              onChange={handleCouponChange}
+              customerPhone={localStorage.getItem('customerPhone')}
+            />
+          )}
+
+          {cartItems.length > 0 && theaterId && (
+            <LoyaltyRedeem
+              theaterId={theaterId}
+              payable={Math.max(0, total - couponDiscount)}
+              loyalty={loyalty}
+              onChange={handleLoyaltyChange}
+            />
+          )}
+
+          {cartItems.length > 0 && theaterId && (
+            <GiftCardInput
+              theaterId={theaterId}
+              payable={payableTotal}
+              giftCard={giftCard}
+              onChange={handleGiftCardChange}
+            />
+          )}
+
           {/* Pricing Summary */}
           {cartItems.length > 0 && (
             <PricingSummary
               subtotal={subtotal}
               deliveryCharge={deliveryCharge}
               tax={tax}
-              total={total}
+              total={payableTotal - giftCardAmount}
+              coupon={coupon}
+              couponDiscount={couponDiscount}
+              loyalty={loyaltyApplied}
+              giftCardAmount={giftCardAmount}
             />
           )}
         </div>
@@ -399,9 +538,10 @@ const CustomerCheckout = () => {
         {/* Footer */}
         {cartItems.length > 0 && (
           <CustomerCheckoutFooter
-            total={total}
+            total={payableTotal - giftCardAmount}
             onCheckout={handleCheckout}
             isLoading={isLoading}
+            disabled={orderingWindow?.status === 'closed'}
           />
         )}
       </div>
@@ -11,6 +11,7 @@ import '@styles/pages/customer/CustomerFavorites.css'; // Extracted inline style
 import '@styles/customer/CustomerPhoneEntry.css';
 import '@styles/customer/CustomerOTPVerification.css';
 import { ultraFetch, useUltraFetch } from '@utils/ultraFetch';
+import { storeCustomerToken } from '@utils/loyaltyWallet';
 
 
 const CustomerFavorites = () => {
@@ -354,6 +355,7 @@ const CustomerFavorites = () => {
 
       if (result.success) {
         localStorage.setItem('customerPhone', fullPhone);
+        storeCustomerToken(result.data?.customerToken);
         setIsLoggedIn(true);
         setShowLoginForm(false);
         loadFavorites();
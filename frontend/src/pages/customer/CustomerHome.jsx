@@ -3,6 +3,7 @@ import { useLocation, useNavigate } from 'react-router-dom';
 import { useCart } from '@contexts/CartContext';
 import ProductCollectionModal from '@components/customer/ProductCollectionModal';
 import ComboCollectionModal from '@components/customer/ComboCollectionModal';
+import ProductModal from '@components/customer/ProductModal';
 import BannerCarousel from '@components/customer/BannerCarousel';
 import OffersPopup from '@components/customer/OffersPopup';
 import OfflineNotice from '@components/OfflineNotice';
@@ -25,7 +26,10 @@ import { ultraFetch } from '@utils/ultraFetch';
 import { unifiedFetch } from '@utils/unifiedFetch';
 import { clearCachePattern } from '@utils/cacheUtils';
 import useStockValidation from '@hooks/useStockValidation';
+import useOrderingWindow from '@hooks/useOrderingWindow';
+import ShowTimeBanner from '@components/customer/ShowTimeBanner';
 import { validateComboStockAvailability } from '@utils/comboStockValidation';
+import { hasModifiers, getModifierLineId, getModifierTotal, getProductLines, getProductCartQuantity } from '@utils/productModifiers';
 import jsQR from 'jsqr';
 
 
@@ -52,10 +56,14 @@ const CustomerHome = () => {
   const [qrName, setQrName] = useState(null);
   const [seat, setSeat] = useState(null);
   const [screenName, setScreenName] = useState(null);
+  // Show-time ordering: 'now' or 'interval', carried through cart -> payment
+  const [deliverAt, setDeliverAt] = useState(() => localStorage.getItem('customerDeliverAt') || 'now');
   const [selectedCollection, setSelectedCollection] = useState(null);
   const [isCollectionModalOpen, setIsCollectionModalOpen] = useState(false);
   const [selectedCombo, setSelectedCombo] = useState(null);
   const [isComboModalOpen, setIsComboModalOpen] = useState(false);
+  // 🧀 Product whose modifier options (Size, Add-ons) are being picked
+  const [modifierProduct, setModifierProduct] = useState(null);
   const [showProfileDropdown, setShowProfileDropdown] = useState(false);
 
   const [isVeg, setIsVeg] = useState(false);
@@ -263,6 +271,14 @@ const CustomerHome = () => {
   }, [qrName, theaterId, navigate]);
   */
 
+  // 🎬 Show-time ordering window for this screen (open / pre-order / closed)
+  const { orderingWindow } = useOrderingWindow(theaterId, qrName);
+
+  const handleDeliverAtChange = useCallback((value) => {
+    setDeliverAt(value);
+    localStorage.setItem('customerDeliverAt', value);
+  }, []);
+
   // Main data loading with cache-first strategy - INSTANT LOADING (NO DELAYS)
   useEffect(() => {
     if (!theaterId) return;
@@ -491,7 +507,9 @@ const CustomerHome = () => {
                 tags: p.tags,
                 quantity: p.quantity !== undefined && p.quantity !== null ? p.quantity : null,
                 size: p.size || null,
-                pricing: p.pricing,
+                pricing: p.pricing, // ⏰ includes regularPrice when a pricing rule is running
+                pricingRule: p.pricingRule || null,
+                variants: p.variants || [], // 🧀 Modifier groups (Size, Add-ons)
                 taxRate: p.pricing?.taxRate || p.taxRate || 0,
                 gstType: p.pricing?.gstType || p.gstType || 'EXCLUDE',
                 discountPercentage: p.pricing?.discountPercentage || p.discountPercentage || 0,
@@ -1533,6 +1551,12 @@ const CustomerHome = () => {
       return; // Don't add to cart if not available
     }
 
+    // 🧀 Products with modifiers are added from the product modal once the options are picked
+    if (!product.isCombo && hasModifiers(product)) {
+      setModifierProduct(product);
+      return;
+    }
+
     // For combo offers, use shared combo stock validation
     if (product.isCombo) {
       const currentQty = getItemQuantity(product._id);
@@ -1592,6 +1616,29 @@ const CustomerHome = () => {
     });
   };
 
+  // 🧀 Add a product with its picked modifier options - each set of options is its own cart line
+  const handleAddWithModifiers = (product, modifiers) => {
+    const newQty = getProductCartQuantity(items, product._id) + 1;
+    if (isOutOfStock(product) || !validateStockAvailability(product, newQty, { silent: true }).valid) {
+      return;
+    }
+
+    addItem({
+      _id: getModifierLineId(product._id, modifiers),
+      productId: product._id,
+      name: product.name,
+      price: (product.price || 0) + getModifierTotal(modifiers),
+      modifiers: modifiers,
+      image: product.image || product.imageUrl,
+      quantity: 1,
+      taxRate: product.pricing?.taxRate || product.taxRate || 0,
+      gstType: product.pricing?.gstType || product.gstType || 'EXCLUDE',
+      discountPercentage: product.pricing?.discountPercentage || product.discountPercentage || 0,
+      theaterId: theaterId
+    });
+    setModifierProduct(null);
+  };
+
   // Handle increasing quantity
   const handleIncreaseQuantity = (product) => {
     // Check if product is available
@@ -1599,6 +1646,11 @@ const CustomerHome = () => {
       return; // Don't allow adding if not available
     }
 
+    if (!product.isCombo && hasModifiers(product)) {
+      handleAddToCart(product);
+      return;
+    }
+
     const currentQty = getItemQuantity(product._id);
     const newQty = currentQty + 1;
 
@@ -1637,6 +1689,13 @@ const CustomerHome = () => {
 
   // Handle decreasing quantity
   const handleDecreaseQuantity = (product) => {
+    // 🧀 Take one off the most recently added set of options
+    if (!product.isCombo && hasModifiers(product)) {
+      const lastLine = getProductLines(items, product._id).pop();
+      if (lastLine) updateQuantity(lastLine._id, lastLine.quantity - 1);
+      return;
+    }
+
     const currentQty = getItemQuantity(product._id);
     if (currentQty > 1) {
       updateQuantity(product._id, currentQty - 1);
@@ -1733,6 +1792,10 @@ const CustomerHome = () => {
     localStorage.removeItem('cart');
     localStorage.removeItem('yqpay_cart');
     localStorage.removeItem('checkoutData');
+    localStorage.removeItem('customerCoupon');
+    localStorage.removeItem('customerToken');
+    localStorage.removeItem('customerRedeemPoints');
+    localStorage.removeItem('customerGiftCard');
     // localStorage.removeItem('customerFavorites'); // Removed - favorites should persist
 
     // Redirect to customer landing page with theater ID preserved
@@ -2378,6 +2441,11 @@ const CustomerHome = () => {
           })}
         </div>
       </header>
+      <ShowTimeBanner
+        orderingWindow={orderingWindow}
+        deliverAt={deliverAt}
+        onDeliverAtChange={handleDeliverAtChange}
+      />
       <main className="customer-main">
 
         {/* Banner Carousel - Theater-specific scrolling banners - Only show in "All" category */}
@@ -2514,7 +2582,7 @@ const CustomerHome = () => {
                       product.products = collection.products;
                     }
                   }
-                  const productQty = product ? getItemQuantity(product._id) : 0;
+                  const productQty = product ? getProductCartQuantity(items, product._id) : 0;
 
                   // Check if ANY variant in the collection is available
                   const hasAvailableVariant = collection.variants?.some(variant =>
@@ -2695,20 +2763,31 @@ const CustomerHome = () => {
                                 return 'Regular';
                               })()}
                             </p>
-                            {product?.discountPercentage > 0 ? (
-                              <div className="product-price-container">
-                                <span className="product-discounted-price">
-                                  ₹{(parseFloat(defaultVariant?.price || 0) * (1 - product.discountPercentage / 100)).toFixed(2)}
-                                </span>
-                                <span className="product-original-price">
-                                  ₹{parseFloat(defaultVariant?.price || 0).toFixed(2)}
-                                </span>
-                              </div>
-                            ) : (
-                              <p className="product-regular-price">
-                                ₹{parseFloat(defaultVariant?.price || 0).toFixed(2)}
-                              </p>
-                            )}
+                            {(() => {
+                              const price = parseFloat(defaultVariant?.price || 0);
+                              const finalPrice = price * (1 - (product?.discountPercentage || 0) / 100);
+                              // ⏰ Happy-hour price: strike through the regular (base) price
+                              const regularPrice = parseFloat(product?.pricing?.regularPrice) || price;
+                              const struckPrice = Math.max(regularPrice, price);
+
+                              return finalPrice < struckPrice ? (
+                                <div className="product-price-container">
+                                  <span className="product-discounted-price">
+                                    ₹{finalPrice.toFixed(2)}
+                                  </span>
+                                  <span className="product-original-price">
+                                    ₹{struckPrice.toFixed(2)}
+                                  </span>
+                                  {product?.pricingRule && regularPrice > price && (
+                                    <span className="product-pricing-rule-tag">{product.pricingRule.name}</span>
+                                  )}
+                                </div>
+                              ) : (
+                                <p className="product-regular-price">
+                                  ₹{price.toFixed(2)}
+                                </p>
+                              );
+                            })()}
                           </>
                         )}
                       </div>
@@ -2718,7 +2797,7 @@ const CustomerHome = () => {
                         <div className="product-item-actions" onClick={(e) => e.stopPropagation()}>
                           {isProductAvailable ? (() => {
                             // Check if can add more (for plus button state)
-                            const currentQty = getItemQuantity(product._id);
+                            const currentQty = getProductCartQuantity(items, product._id);
                             // For combo offers, use shared combo stock validation
                             const canAddMore = product.isCombo
                               ? (() => {
@@ -2805,7 +2884,7 @@ const CustomerHome = () => {
       </footer>
 
       {/* Floating Cart Icon */}
-      {cart.items && cart.items.length > 0 && (
+      {cart.items && cart.items.length > 0 && orderingWindow?.status !== 'closed' && (
         <button
           className="floating-cart-icon"
           onClick={() => {
@@ -2831,6 +2910,15 @@ const CustomerHome = () => {
         isOpen={isCollectionModalOpen}
         onClose={() => setIsCollectionModalOpen(false)}
         products={products}
+        onCustomize={setModifierProduct}
+      />
+
+      {/* 🧀 Modifier options (Size, Add-ons) */}
+      <ProductModal
+        product={modifierProduct}
+        isOpen={!!modifierProduct}
+        onClose={() => setModifierProduct(null)}
+        onAddToCart={handleAddWithModifiers}
       />
 
       {/* Combo Collection Modal (same structure as ProductCollectionModal, separate UI) */}
@@ -3,6 +3,8 @@ import { useLocation, useNavigate, useParams } from 'react-router-dom';
 import ErrorBoundary from '@components/ErrorBoundary';
 import OfflineNotice from '@components/OfflineNotice';
 import useNetworkStatus from '@hooks/useNetworkStatus';
+import useOrderingWindow from '@hooks/useOrderingWindow';
+import ShowTimeBanner from '@components/customer/ShowTimeBanner';
 import { getCachedData, setCachedData } from '@utils/cacheUtils';
 import { preCacheImages, cacheProductImages } from '@utils/globalImageCache'; // 🎨 Pre-cache product images
 import config from '@config';
@@ -87,6 +89,9 @@ const CustomerLanding = () => {
   const [qrVerified, setQrVerified] = useState(false); // Track if QR verification is complete
   const [isVerifying, setIsVerifying] = useState(false); // Track if verification is in progress
   const [isNavigating, setIsNavigating] = useState(false); // Navigation loading state
+  // ✅ Show-time ordering window for screen QRs (null while unknown / not a screen QR)
+  const { orderingWindow } = useOrderingWindow(qrVerified ? theaterId : null, qrName);
+  const orderingClosed = orderingWindow?.status === 'closed';
 
   // Extract parameters from URL (theater ID, screen name, seat ID, QR name)
   useEffect(() => {
@@ -797,12 +802,14 @@ const CustomerLanding = () => {
           loading="eager"
         />
 
+        <ShowTimeBanner orderingWindow={orderingWindow} showChoice={false} />
+
         {/* Action Buttons Section */}
         <div className="action-section fade-in-delay">
           <button
             className={`order-button primary-button ${isNavigating ? 'loading' : ''}`}
             onClick={handleOrderFood}
-            disabled={isNavigating}
+            disabled={isNavigating || orderingClosed}
           >
             {isNavigating ? (
               <>
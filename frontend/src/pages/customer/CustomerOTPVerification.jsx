@@ -6,6 +6,10 @@ import { ultraFetch, useUltraFetch } from '@utils/ultraFetch';
 import { unifiedFetch } from '@utils/unifiedFetch';
 import { loadRazorpayScript } from '@utils/razorpayLoader';
 import { calculateOrderTotals } from '@utils/orderCalculation';
+import { toOrderModifiers } from '@utils/productModifiers';
+import { storeCoupon, getCouponDiscount } from '@utils/couponCheckout';
+import { storeCustomerToken, getCustomerToken, storeRedeemPoints } from '@utils/loyaltyWallet';
+import { getGiftCardAmount, storeGiftCard } from '@utils/giftCards';
 import { useCart } from '@contexts/CartContext';
 
 
@@ -158,6 +162,7 @@ const CustomerOTPVerification = () => {
 
         // Save phone number to localStorage
         localStorage.setItem('customerPhone', phoneNumber);
+        storeCustomerToken(result.data?.customerToken); // ⭐ Loyalty wallet access
 
         // If from login, redirect to return URL
         if (fromLogin && returnUrl) {
@@ -300,6 +305,13 @@ const CustomerOTPVerification = () => {
 
       const orderSummary = calculateOrderTotals(orderItems);
 
+      // 🎁 A gift card that covers the whole bill needs no gateway - the server charges the card
+      const billTotal = Math.round((orderSummary.total -
+        getCouponDiscount(storedCheckoutData.coupon, orderSummary.total) -
+        (storedCheckoutData.loyalty?.discount || 0)) * 100) / 100;
+      const giftCardAmount = getGiftCardAmount(storedCheckoutData.giftCard, billTotal);
+      const isGiftCardCovered = giftCardAmount > 0 && giftCardAmount >= billTotal;
+
       // Fetch payment gateway configuration
       const theaterId = storedCheckoutData.theaterId;
       const gatewayResponse = await unifiedFetch(`${config.api.baseUrl}/payments/config/${theaterId}/online?_t=${Date.now()}`, {
@@ -325,14 +337,14 @@ const CustomerOTPVerification = () => {
       const gatewayData = await gatewayResponse.json();
       const gatewayConfig = gatewayData.success && gatewayData.data && gatewayData.data.config ? gatewayData.data.config : null;
 
-      if (!gatewayConfig || !gatewayConfig.isEnabled || gatewayConfig.provider !== 'razorpay') {
+      if (!isGiftCardCovered && (!gatewayConfig || !gatewayConfig.isEnabled || gatewayConfig.provider !== 'razorpay')) {
         setError('Payment gateway not available. Please try again later.');
         setLoading(false);
         return;
       }
 
       // Load Razorpay script
-      const razorpayLoaded = await loadRazorpayScript();
+      const razorpayLoaded = isGiftCardCovered || await loadRazorpayScript();
       if (!razorpayLoaded) {
         setError('Failed to load payment gateway. Please refresh the page.');
         setLoading(false);
@@ -341,7 +353,7 @@ const CustomerOTPVerification = () => {
 
       // Prepare order items for backend
       const orderItemsForBackend = cartItems.map(item => ({
-        productId: item._id,
+        productId: item.productId || item._id, // Modifier lines carry the product id separately
         quantity: item.quantity,
         unitPrice: parseFloat(item.price || item.sellingPrice) || 0,
         taxRate: item.taxRate || 0,
@@ -352,7 +364,8 @@ const CustomerOTPVerification = () => {
         size: item.size || null,
         productSize: item.productSize || null,
         sizeLabel: item.sizeLabel || null,
-        variant: item.variant || null
+        variant: item.variant || null,
+        ...(item.modifiers?.length > 0 && { modifiers: toOrderModifiers(item.modifiers) })
       }));
 
       // Create order in backend
@@ -367,12 +380,18 @@ const CustomerOTPVerification = () => {
         qrName: storedCheckoutData.qrName,
         seat: storedCheckoutData.seat,
         items: orderItemsForBackend,
-        paymentMethod: 'upi', // Default to UPI
+        paymentMethod: isGiftCardCovered ? 'giftcard' : 'upi', // Default to UPI
         orderType: 'qr_order',
         subtotal: orderSummary.subtotal || 0,
         tax: orderSummary.tax || 0,
         total: orderSummary.total || 0,
-        totalDiscount: orderSummary.totalDiscount || 0
+        totalDiscount: orderSummary.totalDiscount || 0,
+        ...(storedCheckoutData.coupon && { couponCode: storedCheckoutData.coupon.code }), // 🎟️ Re-validated on the server
+        ...(storedCheckoutData.loyalty && { // ⭐ Points re-checked against the verified phone
+          redeemPoints: storedCheckoutData.loyalty.points,
+          customerToken: getCustomerToken()
+        }),
+        ...(giftCardAmount > 0 && { giftCardCode: storedCheckoutData.giftCard.code }) // 🎁 Charged by the server
       };
 
       const createOrderResponse = await unifiedFetch(`${config.api.baseUrl}/orders/theater`, {
@@ -408,6 +427,13 @@ const CustomerOTPVerification = () => {
       const backendResponse = await createOrderResponse.json();
       const backendOrder = backendResponse.order;
 
+      // 🎁 Paid in full from the gift card - nothing for the gateway to collect
+      if (backendOrder.payment?.method === 'giftcard') {
+        paymentProcessingRef.current = true;
+        handlePaymentSuccess(backendOrder, null, cartItems, orderSummary, storedCheckoutData);
+        return;
+      }
+
       // Create Razorpay order
       const createRazorpayOrderResponse = await unifiedFetch(`${config.api.baseUrl}/payments/create-order`, {
         method: 'POST',
@@ -619,6 +645,9 @@ const CustomerOTPVerification = () => {
     localStorage.removeItem('cart');
     localStorage.removeItem('checkoutData');
     localStorage.removeItem('yqpay_cart');
+    storeCoupon(null);
+    storeRedeemPoints(0);
+    storeGiftCard(null);
     clearCart();
 
     // ✅ FIX: Redirect directly to customer home with success flag
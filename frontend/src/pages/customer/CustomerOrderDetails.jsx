@@ -20,6 +20,7 @@ const CustomerOrderDetails = () => {
   const [order, setOrder] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [refundLedger, setRefundLedger] = useState(null);
 
   useEffect(() => {
     fetchOrderDetails();
@@ -67,6 +68,7 @@ const CustomerOrderDetails = () => {
 
       if (!foundOrder) throw new Error('Order not found');
       setOrder(foundOrder);
+      fetchRefunds(theaterId, phoneNumber);
     } catch (err) {
       console.error('❌ Error fetching order details:', err);
       setError(err.message);
@@ -75,6 +77,24 @@ const CustomerOrderDetails = () => {
     }
   };
 
+  // Refunds for cancelled items / orders paid online
+  const fetchRefunds = async (theaterId, phoneNumber) => {
+    try {
+      const response = await unifiedFetch(
+        `${config.api.baseUrl}/payments/refunds/${theaterId}/${orderId}/customer?phone=${encodeURIComponent(phoneNumber)}`,
+        {},
+        { forceRefresh: true, timeout: 15000, maxRetries: 1 }
+      );
+      if (!response.ok) return;
+      const data = await response.json();
+      if (data.success && data.data?.refunds?.length) {
+        setRefundLedger(data.data);
+      }
+    } catch (err) {
+      console.warn('Failed to load refunds:', err);
+    }
+  };
+
   const handleBack = () => navigate(-1);
 
   if (loading) {
@@ -332,6 +352,37 @@ const CustomerOrderDetails = () => {
           <span className="summary-value">₹{total.toFixed(2)}</span>
         </div>
 
+        {/* Refunds */}
+        {refundLedger && (
+          <div className="order-refunds">
+            <div className="summary-divider"></div>
+            <h3 className="order-refunds-title">Refunds</h3>
+            {refundLedger.refunds.map(refund => (
+              <div key={refund.refundId} className="order-refund-entry">
+                <div className="summary-row">
+                  <span className="summary-label">
+                    {refund.items?.length
+                      ? refund.items.map(item => `${item.quantity}× ${item.name}`).join(', ')
+                      : refund.type === 'full' ? 'Order refund' : 'Partial refund'}
+                  </span>
+                  <span className="summary-value refund-value">₹{Number(refund.amount || 0).toFixed(2)}</span>
+                </div>
+                <div className="order-refund-meta">
+                  <span>{formatDateTime(refund.processedAt || refund.initiatedAt).date}</span>
+                  {refund.taxAmount > 0 && <span>incl. GST ₹{Number(refund.taxAmount).toFixed(2)}</span>}
+                  <span className={`order-refund-status ${refund.status}`}>
+                    {refund.status === 'processed' ? 'Refunded' : 'Processing'}
+                  </span>
+                </div>
+              </div>
+            ))}
+            <div className="summary-row summary-total">
+              <span className="summary-label">Total Refunded</span>
+              <span className="summary-value refund-value">₹{Number(refundLedger.refundedAmount || 0).toFixed(2)}</span>
+            </div>
+          </div>
+        )}
+
         {/* Order Date & Time */}
         <div className="summary-row order-datetime-row">
           <span className="summary-label">Date:</span>
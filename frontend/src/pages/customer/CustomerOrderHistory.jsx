@@ -10,6 +10,8 @@ import { ultraFetch, useUltraFetch } from '@utils/ultraFetch';
 import { unifiedFetch } from '@utils/unifiedFetch';
 import { useModal } from '@contexts/ModalContext';
 import { clearCachePattern } from '@utils/cacheUtils';
+import { storeCustomerToken } from '@utils/loyaltyWallet';
+import LoyaltyWalletCard from '@components/customer/LoyaltyWalletCard';
 
 const CustomerOrderHistory = () => {
   const navigate = useNavigate();
@@ -276,6 +278,7 @@ const CustomerOrderHistory = () => {
 
         // Save phone number to localStorage
         localStorage.setItem('customerPhone', fullPhone);
+        storeCustomerToken(result.data?.customerToken); // ⭐ Loyalty wallet access
 
         // Mark as logged in
         setIsLoggedIn(true);
@@ -656,6 +659,8 @@ const CustomerOrderHistory = () => {
       </div>
 
       <div className="order-history-content">
+        {isLoggedIn && theaterId && <LoyaltyWalletCard theaterId={theaterId} />}
+
         {error && (
           <div className="error-message">
             {error}
@@ -4,7 +4,13 @@ import { useCart } from '@contexts/CartContext';
 import useCustomerAutoLogout from '@hooks/useCustomerAutoLogout'; // 🔒 Auto-logout for customer sessions
 import config from '@config';
 import { loadRazorpayScript } from '@utils/razorpayLoader';
+import { isRedirectGateway, redirectToGateway } from '@utils/gatewayCheckout';
+import UpiQrPayment from '@components/customer/UpiQrPayment';
 import { calculateOrderTotals } from '@utils/orderCalculation'; // 📊 Centralized calculation
+import { toOrderModifiers } from '@utils/productModifiers';
+import { getCouponDiscount, storeCoupon } from '@utils/couponCheckout';
+import { getCustomerToken, storeRedeemPoints } from '@utils/loyaltyWallet';
+import { getGiftCardAmount, storeGiftCard, formatGiftCardCode } from '@utils/giftCards';
 import '@styles/customer/CustomerPayment.css';
 import { ultraFetch, useUltraFetch } from '@utils/ultraFetch';
 import { unifiedFetch } from '@utils/unifiedFetch';
@@ -35,6 +41,10 @@ const CustomerPayment = () => {
   const [gatewayConfig, setGatewayConfig] = useState(null);
   const [razorpayLoaded, setRazorpayLoaded] = useState(false);
   const paymentProcessingRef = useRef(false); // ✅ Prevent multiple payment handler calls
+  const [upiPayment, setUpiPayment] = useState(null); // Direct UPI: { paymentOrder, backendOrder }
+  const [coupon, setCoupon] = useState(null); // 🎟️ Applied in the cart, re-validated by createOrder
+  const [loyalty, setLoyalty] = useState(null); // ⭐ Points chosen in the cart, re-checked by createOrder
+  const [giftCard, setGiftCard] = useState(null); // 🎁 Applied in the cart, charged by createOrder
 
   const phoneNumber = location.state?.phoneNumber || '';
   const verified = location.state?.verified || false;
@@ -86,6 +96,9 @@ const CustomerPayment = () => {
           total: checkoutData.totals.total,
           totalDiscount: checkoutData.totals.totalDiscount || 0
         });
+        setCoupon(checkoutData.coupon || null);
+        setLoyalty(checkoutData.loyalty || null);
+        setGiftCard(checkoutData.giftCard || null);
         // Set theater info
         setTheaterInfo({
           theaterName: checkoutData.theaterName || '',
@@ -234,6 +247,20 @@ const CustomerPayment = () => {
     }
   ];
 
+  // Direct UPI theaters only take UPI
+  const availablePaymentMethods = gatewayConfig?.provider === 'upi'
+    ? paymentMethods.filter(method => method.id === 'upi')
+    : paymentMethods;
+
+  // Cart total less the coupon and points previews - the order's billed total comes back from the server
+  const couponDiscount = getCouponDiscount(coupon, orderSummary.total);
+  const loyaltyDiscount = Math.min(loyalty?.discount || 0, orderSummary.total - couponDiscount);
+  const payableTotal = Math.round((orderSummary.total - couponDiscount - loyaltyDiscount) * 100) / 100;
+  // 🎁 The gift card pays first - the gateway only collects the rest (nothing when the card covers the bill)
+  const giftCardAmount = getGiftCardAmount(giftCard, payableTotal);
+  const amountDue = Math.round((payableTotal - giftCardAmount) * 100) / 100;
+  const isGiftCardCovered = giftCardAmount > 0 && amountDue <= 0;
+
   const handlePaymentMethodSelect = (methodId) => {
     setSelectedPaymentMethod(methodId);
     setError('');
@@ -241,7 +268,7 @@ const CustomerPayment = () => {
 
   const handlePayNow = async () => {
 
-    if (!selectedPaymentMethod) {
+    if (!selectedPaymentMethod && !isGiftCardCovered) {
 
       setError('Please select a payment method');
       return;
@@ -254,8 +281,8 @@ const CustomerPayment = () => {
     }
 
     // Check if Razorpay is required and loaded
-    if (['upi', 'card', 'netbanking'].includes(selectedPaymentMethod)) {
-      if (!razorpayLoaded) {
+    if (['upi', 'card', 'netbanking'].includes(selectedPaymentMethod) && !isGiftCardCovered) {
+      if (gatewayConfig?.provider === 'razorpay' && !razorpayLoaded) {
         setError('Payment gateway not ready. Please refresh the page.');
         return;
       }
@@ -306,7 +333,7 @@ const CustomerPayment = () => {
 
       // Prepare order items for backend
       const orderItems = cartItems.map(item => ({
-        productId: item._id, // Product ID from cart
+        productId: item.productId || item._id, // Modifier lines carry the product id separately
         quantity: item.quantity,
         unitPrice: parseFloat(item.price || item.sellingPrice) || 0,
         taxRate: item.taxRate || 0,
@@ -317,7 +344,8 @@ const CustomerPayment = () => {
         size: item.size || null,
         productSize: item.productSize || null,
         sizeLabel: item.sizeLabel || null,
-        variant: item.variant || null
+        variant: item.variant || null,
+        ...(item.modifiers?.length > 0 && { modifiers: toOrderModifiers(item.modifiers) })
       }));
 
       // Create order in backend
@@ -331,13 +359,17 @@ const CustomerPayment = () => {
         tableNumber: checkoutData.seat || 'Online Order',
         qrName: checkoutData.qrName,    // ✅ Include QR Name
         seat: checkoutData.seat,        // ✅ Include Seat
+        deliverAt: checkoutData.deliverAt || 'now', // 🎬 'now' or 'interval' (show-time ordering)
         items: orderItems,
-        paymentMethod: selectedPaymentMethod,
+        paymentMethod: isGiftCardCovered ? 'giftcard' : selectedPaymentMethod,
         orderType: 'qr_order', // Important: This determines 'online' channel
         subtotal: orderSummary.subtotal || 0,
         tax: orderSummary.tax || 0,
         total: orderSummary.total || 0,
-        totalDiscount: orderSummary.totalDiscount || 0
+        totalDiscount: orderSummary.totalDiscount || 0,
+        ...(coupon && { couponCode: coupon.code }),
+        ...(loyalty && { redeemPoints: loyalty.points, customerToken: getCustomerToken() }),
+        ...(giftCardAmount > 0 && { giftCardCode: giftCard.code })
       };
 
 
@@ -361,9 +393,12 @@ const CustomerPayment = () => {
       const backendResponse = await response.json();
       const backendOrder = backendResponse.order; // Extract the order from response
 
-      // If using Razorpay (UPI, Card, Net Banking)
-      if (['upi', 'card', 'netbanking'].includes(selectedPaymentMethod) && gatewayConfig) {
-        await initiateRazorpayPayment(backendOrder, orderSummary.total, theaterId);
+      // 🎁 Paid in full from the gift card - nothing for the gateway to collect
+      if (backendOrder?.payment?.method === 'giftcard') {
+        handlePaymentSuccess(backendOrder, null);
+      } else if (['upi', 'card', 'netbanking'].includes(selectedPaymentMethod) && gatewayConfig) {
+        // If using Razorpay (UPI, Card, Net Banking)
+        await initiateRazorpayPayment(backendOrder, backendOrder?.pricing?.total ?? payableTotal, theaterId);
       } else {
         // For cash or other methods, proceed directly to success
         handlePaymentSuccess(backendOrder, null);
@@ -400,6 +435,34 @@ const CustomerPayment = () => {
       // Extract payment order data (backend returns it in 'data' property)
       const paymentOrder = razorpayOrderData.data;
 
+      // PhonePe / Paytm: pay on the gateway's page, /payment/callback confirms the order and returns here
+      if (isRedirectGateway(paymentOrder.provider)) {
+        const checkoutData = JSON.parse(localStorage.getItem('checkoutData') || '{}');
+        const homeParams = {
+          theaterid: checkoutData.theaterId || theaterId,
+          ...(checkoutData.qrName && { qrname: checkoutData.qrName }),
+          ...(checkoutData.seat && { seat: checkoutData.seat })
+        };
+        redirectToGateway(paymentOrder, {
+          orderId: backendOrder._id,
+          successUrl: `/customer/home?${new URLSearchParams({
+            ...homeParams,
+            orderSuccess: 'true',
+            orderId: backendOrder.orderNumber || backendOrder._id
+          }).toString()}`,
+          failureUrl: `/customer/home?${new URLSearchParams(homeParams).toString()}`,
+          clearKeys: ['cart', 'checkoutData', 'yqpay_cart']
+        });
+        return;
+      }
+
+      // Direct UPI: customer pays the theater's QR and submits the UTR for the cashier to confirm
+      if (paymentOrder.provider === 'upi') {
+        paymentProcessingRef.current = true;
+        setUpiPayment({ paymentOrder, backendOrder });
+        return;
+      }
+
       // ✅ FIX: Get Razorpay key from nested razorpay object
       const razorpayKeyId = gatewayConfig.razorpay?.keyId;
 
@@ -561,6 +624,9 @@ const CustomerPayment = () => {
     localStorage.removeItem('cart');
     localStorage.removeItem('checkoutData');
     localStorage.removeItem('yqpay_cart');
+    storeCoupon(null);
+    storeRedeemPoints(0);
+    storeGiftCard(null);
     clearCart();
 
     // ✅ FIX: Redirect directly to customer home with success flag
@@ -585,6 +651,12 @@ const CustomerPayment = () => {
     navigate('/customer/otp-verification', { state: { phoneNumber } });
   };
 
+  const handleUpiCancel = () => {
+    paymentProcessingRef.current = false;
+    setUpiPayment(null);
+    setLoading(false);
+  };
+
   const formatPrice = (price) => {
     return `₹${price.toFixed(2)}`;
   };
@@ -639,39 +711,62 @@ const CustomerPayment = () => {
             </div>
           )}
 
+          {couponDiscount > 0 && (
+            <div className="summary-row">
+              <span className="summary-label">Coupon ({coupon.code})</span>
+              <span className="summary-value">-{formatPrice(couponDiscount)}</span>
+            </div>
+          )}
+
+          {loyaltyDiscount > 0 && (
+            <div className="summary-row">
+              <span className="summary-label">Points ({loyalty.points})</span>
+              <span className="summary-value">-{formatPrice(loyaltyDiscount)}</span>
+            </div>
+          )}
+
+          {giftCardAmount > 0 && (
+            <div className="summary-row">
+              <span className="summary-label">Gift Card ({formatGiftCardCode(giftCard.code)})</span>
+              <span className="summary-value">-{formatPrice(giftCardAmount)}</span>
+            </div>
+          )}
+
           <div className="summary-row total-row">
             <span className="summary-label">Total Amount</span>
-            <span className="summary-value">{formatPrice(orderSummary.total)}</span>
+            <span className="summary-value">{formatPrice(amountDue)}</span>
           </div>
         </div>
 
-        {/* Payment Methods Section */}
-        <div className="payment-methods-section">
-          <h3 className="section-title">Choose Payment Method</h3>
-
-          <div className="payment-methods">
-            {paymentMethods.map((method) => (
-              <div
-                key={method.id}
-                className={`payment-method ${selectedPaymentMethod === method.id ? 'selected' : ''}`}
-                onClick={() => handlePaymentMethodSelect(method.id)}
-              >
-                <div className="payment-icon">
-                  {method.id === 'upi' && '📱'}
-                  {method.id === 'card' && '💳'}
-                  {method.id === 'netbanking' && '🏦'}
-                  {method.id === 'wallet' && '👛'}
-                  {method.id === 'cash' && '💵'}
+        {/* Payment Methods Section - not needed when the gift card pays the whole bill */}
+        {!isGiftCardCovered && (
+          <div className="payment-methods-section">
+            <h3 className="section-title">Choose Payment Method</h3>
+
+            <div className="payment-methods">
+              {availablePaymentMethods.map((method) => (
+                <div
+                  key={method.id}
+                  className={`payment-method ${selectedPaymentMethod === method.id ? 'selected' : ''}`}
+                  onClick={() => handlePaymentMethodSelect(method.id)}
+                >
+                  <div className="payment-icon">
+                    {method.id === 'upi' && '📱'}
+                    {method.id === 'card' && '💳'}
+                    {method.id === 'netbanking' && '🏦'}
+                    {method.id === 'wallet' && '👛'}
+                    {method.id === 'cash' && '💵'}
+                  </div>
+                  <div className="payment-info">
+                    <div className="payment-name">{method.name}</div>
+                    <div className="payment-description">{method.description}</div>
+                  </div>
+                  <div className="payment-radio"></div>
                 </div>
-                <div className="payment-info">
-                  <div className="payment-name">{method.name}</div>
-                  <div className="payment-description">{method.description}</div>
-                </div>
-                <div className="payment-radio"></div>
-              </div>
-            ))}
+              ))}
+            </div>
           </div>
-        </div>
+        )}
 
         {error && (
           <div className="error-message">
@@ -683,15 +778,26 @@ const CustomerPayment = () => {
         <button
           className="pay-now-button"
           onClick={handlePayNow}
-          disabled={loading || !selectedPaymentMethod || cartItems.length === 0}
+          disabled={loading || (!selectedPaymentMethod && !isGiftCardCovered) || cartItems.length === 0}
         >
-          {loading ? 'Processing Payment...' : `Pay ${formatPrice(orderSummary.total)}`}
+          {loading ? 'Processing Payment...' : isGiftCardCovered ? 'Pay with Gift Card' : `Pay ${formatPrice(amountDue)}`}
         </button>
 
         <div className="security-badge">
           Your payment information is secure and encrypted
         </div>
       </div>
+
+      {upiPayment && (
+        <div className="upi-qr-overlay">
+          <UpiQrPayment
+            paymentOrder={upiPayment.paymentOrder}
+            orderId={upiPayment.backendOrder._id}
+            onPaid={() => handlePaymentSuccess(upiPayment.backendOrder, null)}
+            onCancel={handleUpiCancel}
+          />
+        </div>
+      )}
     </div>
   );
 };
@@ -0,0 +1,119 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import config from '@config';
+import { unifiedFetch } from '@utils/unifiedFetch';
+import {
+  GATEWAY_RESULT_MESSAGE,
+  getPendingGatewayPayment,
+  clearPendingGatewayPayment
+} from '@utils/gatewayCheckout';
+import '@styles/customer/PaymentCallback.css';
+
+/**
+ * Payment Callback
+ * PhonePe / Paytm (and Cashfree) send the browser here after payment.
+ * Verifies the payment with the backend, then continues the flow that started it:
+ * reports back to the POS window for popups, or redirects to the saved success / failure URL.
+ */
+const PaymentCallback = () => {
+  const [searchParams] = useSearchParams();
+  const gatewayOrderId = searchParams.get('order_id');
+  const pending = useMemo(() => getPendingGatewayPayment(gatewayOrderId), [gatewayOrderId]);
+  const [status, setStatus] = useState('verifying'); // verifying | success | failed
+  const [message, setMessage] = useState('Confirming your payment...');
+  const startedRef = useRef(false);
+
+  useEffect(() => {
+    // ✅ Verify only once (StrictMode runs effects twice in development)
+    if (startedRef.current) return;
+    startedRef.current = true;
+
+    const finish = (success, text, data) => {
+      setStatus(success ? 'success' : 'failed');
+      setMessage(text);
+      clearPendingGatewayPayment(gatewayOrderId);
+
+      // Popup opened by the POS - hand the result back and close
+      if (pending?.popup && window.opener) {
+        window.opener.postMessage(
+          { type: GATEWAY_RESULT_MESSAGE, gatewayOrderId, success, message: text, data },
+          window.location.origin
+        );
+        setTimeout(() => window.close(), 500);
+        return;
+      }
+
+      if (success) {
+        (pending?.clearKeys || []).forEach(key => localStorage.removeItem(key));
+      }
+
+      const next = success ? pending?.successUrl : pending?.failureUrl;
+      if (next) {
+        setTimeout(() => window.location.replace(next), success ? 1200 : 3000);
+      }
+    };
+
+    const verifyPayment = async () => {
+      if (!gatewayOrderId) {
+        finish(false, 'Payment reference is missing');
+        return;
+      }
+
+      try {
+        const response = await unifiedFetch(`${config.api.baseUrl}/payments/verify`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            orderId: pending?.orderId,
+            transactionId: pending?.transactionId,
+            gatewayOrderId
+          })
+        }, {
+          forceRefresh: true, // Don't cache payment verification
+          cacheTTL: 0
+        });
+
+        const data = await response.json();
+        if (response.ok && data.success) {
+          finish(true, 'Payment successful', data.data);
+        } else {
+          finish(false, data.message || 'Payment verification failed');
+        }
+      } catch (error) {
+        console.error('❌ [PaymentCallback] Payment verification error:', error);
+        finish(false, error.message || 'Payment verification failed');
+      }
+    };
+
+    verifyPayment();
+  }, [gatewayOrderId, pending]);
+
+  const continueUrl = status === 'success' ? pending?.successUrl : pending?.failureUrl;
+
+  return (
+    <div className="payment-callback-page">
+      <div className={`payment-callback-card ${status}`}>
+        {status === 'verifying' && <div className="payment-callback-spinner" />}
+        {status === 'success' && <div className="payment-callback-icon">✓</div>}
+        {status === 'failed' && <div className="payment-callback-icon">!</div>}
+
+        <h2>{status === 'verifying' ? 'Processing Payment' : message}</h2>
+        {status === 'verifying' && <p>{message}</p>}
+        {status === 'failed' && (
+          <p>If money was debited, the order will be confirmed automatically once the bank confirms it.</p>
+        )}
+        {status !== 'verifying' && !pending?.popup && (
+          <button
+            type="button"
+            className="payment-callback-button"
+            onClick={() => window.location.replace(continueUrl || '/')}
+          >
+            Continue
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PaymentCallback;
@@ -17,6 +17,10 @@ import {
   FormHelperText,
   Box
 } from '@mui/material';
+import ModifierGroupsEditor from '@components/theater/ModifierGroupsEditor';
+import { toModifierPayload } from '@utils/productModifiers';
+import RecipeEditor from '@components/theater/RecipeEditor';
+import { toRecipePayload } from '@utils/productRecipes';
 import '@styles/TheaterGlobalModals.css'; // Global theater modal styles
 import '@styles/AddTheater.css'; // Keep original form styling only
 import '@styles/AddProductMUI.css'; // MUI form component styles
@@ -158,6 +162,12 @@ const AddProduct = React.memo(() => {
     productImage: null
   });
 
+  // 🧀 Modifier groups (Size, Add-ons) - saved as the product's variants
+  const [modifierGroups, setModifierGroups] = useState([]);
+
+  // 🍿 Recipe - ingredient products deducted from cafe stock when this product sells
+  const [recipeLines, setRecipeLines] = useState([]);
+
   const [loading, setLoading] = useState(false);
   const [errors, setErrors] = useState({});
   const [uploadProgress, setUploadProgress] = useState({});
@@ -1276,6 +1286,8 @@ const AddProduct = React.memo(() => {
         isVeg: formData.isVeg === 'true' ? true : (formData.isVeg === 'false' ? false : undefined),
         // ✅ FIX: Include tags based on isVeg
         tags: formData.isVeg === 'true' ? ['veg'] : (formData.isVeg === 'false' ? ['non-veg'] : []),
+        variants: toModifierPayload(modifierGroups),
+        recipe: toRecipePayload(recipeLines),
         isActive: true,
         status: 'active'
       };
@@ -1375,6 +1387,8 @@ const AddProduct = React.memo(() => {
       setFiles({
         productImage: null
       });
+      setModifierGroups([]);
+      setRecipeLines([]);
       setErrors({});
 
       // ✅ Refresh product list to exclude newly added product from dropdown
@@ -1425,7 +1439,7 @@ const AddProduct = React.memo(() => {
       setIsSubmitting(false);
       setUploadProgress({});
     }
-  }, [formData, files, isSubmitting, uploadFile, navigate, theaterId, loadExistingProducts, loadProductNames, existingProducts, formValidationStatus]);
+  }, [formData, files, modifierGroups, recipeLines, isSubmitting, uploadFile, navigate, theaterId, loadExistingProducts, loadProductNames, existingProducts, formValidationStatus]);
 
   const handleCancel = useCallback(() => {
     // Check if form has unsaved changes
@@ -1957,6 +1971,27 @@ const AddProduct = React.memo(() => {
                 </div>
               </div>
 
+              {/* Modifiers & Add-ons */}
+              <div className="form-section mui-form-section">
+                <h2>Modifiers & Add-ons</h2>
+                <ModifierGroupsEditor
+                  groups={modifierGroups}
+                  onChange={setModifierGroups}
+                  disabled={isSubmitting}
+                />
+              </div>
+
+              {/* Recipe / Ingredients */}
+              <div className="form-section mui-form-section">
+                <h2>Recipe (Ingredients)</h2>
+                <RecipeEditor
+                  lines={recipeLines}
+                  onChange={setRecipeLines}
+                  products={existingProducts}
+                  disabled={isSubmitting}
+                />
+              </div>
+
               {/* Product Image - Auto-filled ONLY (Upload Completely Removed) */}
               <div className="form-section mui-form-section">
                 <h2>Product Image</h2>
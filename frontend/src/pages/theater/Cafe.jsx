@@ -9,6 +9,7 @@ import ErrorBoundary from '@components/ErrorBoundary';
 import Pagination from '@components/Pagination';
 import { ActionButton, ActionButtons } from '@components/ActionButton';
 import DateFilter from '@components/DateFilter';
+import CafeBatchesModal from '@components/theater/CafeBatchesModal';
 import { useModal } from '@contexts/ModalContext';
 import { useToast } from '@contexts/ToastContext'; // ✅ FIX: Add toast for success/error notifications
 import { usePerformanceMonitoring } from '@hooks/usePerformanceMonitoring';
@@ -999,6 +1000,7 @@ const Cafe = () => {
 
   // Date filtering state - default to current date
   const [showDateFilterModal, setShowDateFilterModal] = useState(false);
+  const [showBatchesModal, setShowBatchesModal] = useState(false);
   const [dateFilter, setDateFilter] = useState({
     type: 'date', // Default to current date
     month: new Date().getMonth() + 1,
@@ -1129,7 +1131,8 @@ const Cafe = () => {
       const params = {
         page: page,
         limit: itemsPerPage,
-        stockSource: 'cafe' // ✅ CAFE PAGE: Use CafeMonthlyStock (cafe stock) only
+        stockSource: 'cafe', // ✅ CAFE PAGE: Use CafeMonthlyStock (cafe stock) only
+        applyPricingRules: 'false' // Prices here are edited - show stored prices, not happy-hour prices
       };
 
       if (search) {
@@ -4008,39 +4011,48 @@ const Cafe = () => {
           title="Cafe"
           showBackButton={false}
           headerButton={
-            <button
-              className="submit-btn date-filter-btn header-date-filter-btn-in-banner"
-              onClick={() => setShowDateFilterModal(true)}
-            >
-              <span className="btn-icon">📅</span>
-              {dateFilter.type === 'all' ? 'Date Filter' :
-                dateFilter.type === 'date' ? (() => {
-                  const date = new Date(dateFilter.selectedDate);
-                  const today = new Date();
-                  today.setHours(0, 0, 0, 0);
-                  const selectedDate = new Date(date);
-                  selectedDate.setHours(0, 0, 0, 0);
-                  const isToday = selectedDate.getTime() === today.getTime();
-
-                  const day = String(date.getDate()).padStart(2, '0');
-                  const month = String(date.getMonth() + 1).padStart(2, '0');
-                  const year = date.getFullYear();
-                  return isToday ? `TODAY (${day}/${month}/${year})` : `${day}/${month}/${year}`;
-                })() :
-                  dateFilter.type === 'month' ? `${new Date(dateFilter.year, dateFilter.month - 1).toLocaleDateString('en-US', { month: 'long', year: 'numeric' })}` :
-                    dateFilter.type === 'range' ? (() => {
-                      const start = new Date(dateFilter.startDate);
-                      const end = new Date(dateFilter.endDate);
-                      const formatDate = (d) => {
-                        const day = String(d.getDate()).padStart(2, '0');
-                        const month = String(d.getMonth() + 1).padStart(2, '0');
-                        const year = d.getFullYear();
-                        return `${day}/${month}/${year}`;
-                      };
-                      return `${formatDate(start)} - ${formatDate(end)}`;
-                    })() :
-                      'Date Filter'}
-            </button>
+            <div className="cafe-header-actions">
+              <button
+                className="submit-btn date-filter-btn header-date-filter-btn-in-banner"
+                onClick={() => setShowBatchesModal(true)}
+              >
+                <span className="btn-icon">📦</span>
+                Expiring Batches
+              </button>
+              <button
+                className="submit-btn date-filter-btn header-date-filter-btn-in-banner"
+                onClick={() => setShowDateFilterModal(true)}
+              >
+                <span className="btn-icon">📅</span>
+                {dateFilter.type === 'all' ? 'Date Filter' :
+                  dateFilter.type === 'date' ? (() => {
+                    const date = new Date(dateFilter.selectedDate);
+                    const today = new Date();
+                    today.setHours(0, 0, 0, 0);
+                    const selectedDate = new Date(date);
+                    selectedDate.setHours(0, 0, 0, 0);
+                    const isToday = selectedDate.getTime() === today.getTime();
+
+                    const day = String(date.getDate()).padStart(2, '0');
+                    const month = String(date.getMonth() + 1).padStart(2, '0');
+                    const year = date.getFullYear();
+                    return isToday ? `TODAY (${day}/${month}/${year})` : `${day}/${month}/${year}`;
+                  })() :
+                    dateFilter.type === 'month' ? `${new Date(dateFilter.year, dateFilter.month - 1).toLocaleDateString('en-US', { month: 'long', year: 'numeric' })}` :
+                      dateFilter.type === 'range' ? (() => {
+                        const start = new Date(dateFilter.startDate);
+                        const end = new Date(dateFilter.endDate);
+                        const formatDate = (d) => {
+                          const day = String(d.getDate()).padStart(2, '0');
+                          const month = String(d.getMonth() + 1).padStart(2, '0');
+                          const year = d.getFullYear();
+                          return `${day}/${month}/${year}`;
+                        };
+                        return `${formatDate(start)} - ${formatDate(end)}`;
+                      })() :
+                        'Date Filter'}
+              </button>
+            </div>
           }
         >
           <div className="qr-management-page">
@@ -4912,6 +4924,14 @@ const Cafe = () => {
               initialFilter={dateFilter}
             />
           )}
+
+          {/* Expiring Batches Modal */}
+          {showBatchesModal && (
+            <CafeBatchesModal
+              theaterId={theaterId}
+              onClose={() => setShowBatchesModal(false)}
+            />
+          )}
         </PageContainer>
       </TheaterLayout>
     </ErrorBoundary>
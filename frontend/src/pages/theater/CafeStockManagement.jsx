@@ -9,6 +9,8 @@ import { useModal } from '@contexts/ModalContext'
 import { useToast } from '@contexts/ToastContext';;
 import { useAuth } from '@contexts/AuthContext';
 import ErrorBoundary from '@components/ErrorBoundary';
+import CafeBatchesModal from '@components/theater/CafeBatchesModal';
+import ReorderForecastPanel from '@components/stock/ReorderForecastPanel';
 import { usePerformanceMonitoring } from '@hooks/usePerformanceMonitoring';
 import config from '@config';
 import apiService from '@services/apiService';
@@ -1286,6 +1288,7 @@ const StockEntryModal = React.memo(({ isOpen, onClose, entry, onSave, isLoading,
     addon: '', // Addon stock (for edit mode)
     stockAdjustment: '', // Stock Adjustment (for edit mode, replaces damage stock)
     sales: '', // Sales (readonly in edit mode)
+    manufactureDate: '',
     expireDate: '',
     notes: '',
     batchNumber: ''
@@ -1359,6 +1362,7 @@ const StockEntryModal = React.memo(({ isOpen, onClose, entry, onSave, isLoading,
             addon: entry.addon?.toString() || '0', // ✅ FIX: Load existing addon value from entry
             stockAdjustment: entry.stockAdjustment?.toString() || '0', // ✅ FIX: Load existing stockAdjustment value
             sales: entry.sales?.toString() || '0', // ✅ ADD: Load existing sales value from entry
+            manufactureDate: entry.manufactureDate ? formatDateStringToLocal(entry.manufactureDate) : '',
             expireDate: entry.expireDate ? formatDateStringToLocal(entry.expireDate) : '', // ✅ FIX: Use local date format
             notes: entry.notes || '',
             batchNumber: entry.batchNumber || ''
@@ -1386,6 +1390,7 @@ const StockEntryModal = React.memo(({ isOpen, onClose, entry, onSave, isLoading,
             unit: defaultUnit || 'Nos', // ✅ ADD: Default unit (use latest defaultUnit)
             addon: '', // Addon stock (not used in add mode)
             stockAdjustment: '', // Stock Adjustment (not used in add mode)
+            manufactureDate: '',
             expireDate: '',
             notes: '',
             batchNumber: ''
@@ -2030,6 +2035,15 @@ const StockEntryModal = React.memo(({ isOpen, onClose, entry, onSave, isLoading,
           newErrors.inward = 'Inward stock cannot exceed current stock';
         }
       }
+
+      // 📦 Batch dates - manufactured before it is added and before it expires
+      if (formData.manufactureDate) {
+        if (formData.manufactureDate > getTodayLocalDate()) {
+          newErrors.manufactureDate = 'Manufacture date cannot be in the future';
+        } else if (formData.expireDate && formData.manufactureDate > formData.expireDate) {
+          newErrors.manufactureDate = 'Manufacture date must be on or before the expiry date';
+        }
+      }
     }
 
     // ✅ FIX: Don't block form submission for addon/stockAdjustment/inward validation errors in edit mode
@@ -2111,6 +2125,7 @@ const StockEntryModal = React.memo(({ isOpen, onClose, entry, onSave, isLoading,
         inwardType: formData.inwardType, // 'product' or 'cafe'
         quantity: quantityToSave, // Use converted value
         unit: unitToSave, // Use standardized unit
+        manufactureDate: formData.manufactureDate || undefined,
         expireDate: formData.expireDate || undefined,
         damageStock: 0, // ✅ FIX: Always set to 0 since field is removed from form
         notes: formData.notes || undefined,
@@ -2491,6 +2506,22 @@ const StockEntryModal = React.memo(({ isOpen, onClose, entry, onSave, isLoading,
               </div>
             )}
 
+            {/* Manufacture Date - kept on the batch this entry opens */}
+            <div className="form-group">
+              <label>Manufacture Date (Optional)</label>
+              <input
+                type="date"
+                value={formData.manufactureDate}
+                max={getTodayLocalDate()}
+                onChange={(e) => handleInputChange('manufactureDate', e.target.value)}
+                className={`form-control ${errors.manufactureDate ? 'error' : ''}`}
+                disabled={!!entry}
+                readOnly={!!entry}
+                style={entry ? { backgroundColor: '#f5f5f5', cursor: 'not-allowed' } : {}}
+              />
+              {errors.manufactureDate && <span className="error-text">{errors.manufactureDate}</span>}
+            </div>
+
             {/* Expire Date - Important for food products */}
             <div className="form-group">
               <label>Expiry Date</label>
@@ -2687,6 +2718,7 @@ const CafeStockManagement = React.memo(() => {
   const [modalLoading, setModalLoading] = useState(false);
   const [deleteModal, setDeleteModal] = useState({ show: false, entry: null });
   const [errorModal, setErrorModal] = useState({ show: false, message: '' });
+  const [showBatchesModal, setShowBatchesModal] = useState(false);
 
   // Track deleted entry IDs to filter them out from UI
   const deletedEntryIdsRef = useRef(new Set());
@@ -4550,15 +4582,24 @@ const CafeStockManagement = React.memo(() => {
 
   HeaderButton.displayName = 'HeaderButton';
 
-  // Create header button for add stock entry
+  // Create header buttons for batches and add stock entry
   const headerButton = (
-    <button
-      className="add-theater-btn"
-      onClick={handleAddStock}
-    >
-      <span className="btn-icon">+</span>
-      Add Stock Entry
-    </button>
+    <>
+      <button
+        className="add-theater-btn"
+        onClick={() => setShowBatchesModal(true)}
+      >
+        <span className="btn-icon">📦</span>
+        Batches
+      </button>
+      <button
+        className="add-theater-btn"
+        onClick={handleAddStock}
+      >
+        <span className="btn-icon">+</span>
+        Add Stock Entry
+      </button>
+    </>
   );
 
   // 🚀 CRITICAL DEBUG: Log render state every time
@@ -4925,6 +4966,14 @@ const CafeStockManagement = React.memo(() => {
             </div> */}
             </div>
 
+            {/* 📈 Reorder Forecast - projected stock-out and suggested reorder */}
+            <ReorderForecastPanel
+              theaterId={theaterId}
+              productId={productId}
+              stockType="cafe"
+              refreshKey={`${stockEntries.length}-${summary?.closingBalance}`}
+            />
+
             {/* Filters Section - Global Design Pattern */}
             <div className="theater-filters">
               <div className="search-box">
@@ -5052,6 +5101,16 @@ const CafeStockManagement = React.memo(() => {
           theaterId={theaterId}
         />
 
+        {/* Batches Modal - open batches of this product with expiry */}
+        {showBatchesModal && (
+          <CafeBatchesModal
+            theaterId={theaterId}
+            productId={productId}
+            productName={(product || initialProduct)?.name || ''}
+            onClose={() => setShowBatchesModal(false)}
+          />
+        )}
+
         {/* Delete Modal - Global Design Pattern */}
         {deleteModal.show && (
           <div className="modal-overlay">
@@ -4,6 +4,8 @@ import TheaterLayout from '@components/theater/TheaterLayout';
 import ErrorBoundary from '@components/ErrorBoundary';
 import config from '@config';
 import { loadRazorpayScript } from '@utils/razorpayLoader';
+import { isRedirectGateway, openGatewayPopup } from '@utils/gatewayCheckout';
+import UpiQrPayment from '@components/customer/UpiQrPayment';
 import '@styles/TheaterList.css';
 import '@styles/KioskPages.css';
 import '@styles/pages/theater/KioskPayment.css'; // Extracted inline styles
@@ -27,6 +29,7 @@ const KioskPayment = () => {
   const [theaterInfo, setTheaterInfo] = useState(null); // Theater information
   const [gatewayConfig, setGatewayConfig] = useState(null);
   const [razorpayLoaded, setRazorpayLoaded] = useState(false);
+  const [upiPayment, setUpiPayment] = useState(null); // Direct UPI: { paymentOrder, createdOrder }
   
   // Card payment fields
   const [cardNumber, setCardNumber] = useState('');
@@ -92,8 +95,10 @@ const KioskPayment = () => {
         });
         const data = await response.json();
 
-        if (data.success && data.config) {
-          setGatewayConfig(data.config);
+        // BaseController wraps the config in { data: { config } }
+        const paymentConfig = data.data?.config || data.config;
+        if (data.success && paymentConfig) {
+          setGatewayConfig(paymentConfig);
         } else {
           console.warn('⚠️ No payment gateway configured for kiosk');
         }
@@ -156,7 +161,7 @@ const KioskPayment = () => {
   const handleConfirmPayment = async () => {
     // For card, upi, online - check gateway availability
     if (['card', 'upi', 'online'].includes(paymentMethod)) {
-      if (!razorpayLoaded) {
+      if (gatewayConfig?.provider === 'razorpay' && !razorpayLoaded) {
         alert('Payment gateway not ready. Please refresh the page.');
         return;
       }
@@ -292,6 +297,19 @@ const KioskPayment = () => {
       // Extract payment order data (backend returns it in 'data' property)
       const paymentOrder = razorpayOrderData.data;
 
+      // PhonePe / Paytm: pay in a popup, continue once the callback page has verified it
+      if (isRedirectGateway(paymentOrder.provider)) {
+        await openGatewayPopup(paymentOrder, { orderId: createdOrder._id });
+        handleOrderSuccess(createdOrder);
+        return;
+      }
+
+      // Direct UPI: customer scans the theater's QR, the cashier confirms the UTR
+      if (paymentOrder.provider === 'upi') {
+        setUpiPayment({ paymentOrder, createdOrder });
+        return;
+      }
+
       // ✅ FIX: Get Razorpay key from nested razorpay object
       const razorpayKeyId = gatewayConfig.razorpay?.keyId || gatewayConfig.keyId;
       
@@ -760,6 +778,24 @@ const KioskPayment = () => {
           </div>
         </div>
 
+        {/* Direct UPI QR */}
+        {upiPayment && (
+          <div className="upi-qr-overlay">
+            <UpiQrPayment
+              paymentOrder={upiPayment.paymentOrder}
+              orderId={upiPayment.createdOrder._id}
+              onPaid={() => {
+                setUpiPayment(null);
+                handleOrderSuccess(upiPayment.createdOrder);
+              }}
+              onCancel={() => {
+                setUpiPayment(null);
+                setProcessing(false);
+              }}
+            />
+          </div>
+        )}
+
         {/* Success Modal */}
         {showSuccessModal && orderDetails && (
           <div className="modal-overlay active" onClick={handleModalClose}>
@@ -7,6 +7,7 @@ import '@styles/pages/theater/KioskCart.css';
 import { ultraFetch, useUltraFetch } from '@utils/ultraFetch';
 import { unifiedFetch } from '@utils/unifiedFetch';
 import { loadRazorpayScript } from '@utils/razorpayLoader'; // 💳 Razorpay script loader
+import { isRedirectGateway, openGatewayPopup } from '@utils/gatewayCheckout';
 import { clearCachePattern } from '@utils/cacheUtils'; // 🚀 Cache utilities
 import { printReceiptSilently, printService } from '@utils/silentPrintService'; // 🖨️ Silent printer for kiosk orders
 import useStockValidation from '@hooks/useStockValidation';
@@ -488,6 +489,47 @@ const KioskViewCart = () => {
     }
   };
 
+  // ✅ Gateway payment verified - clear the cart, print and go back to products
+  const completeKioskPayment = (orderId, orderNumber) => {
+    // Clear cart
+    setCart([]);
+    localStorage.removeItem(`kioskCart_${theaterId}`);
+
+    // ✅ FIX: Clear order history cache to show updated order status immediately
+    try {
+      clearCachePattern(`/orders/theater/${theaterId}`);
+      clearCachePattern(`orders_kiosk_${theaterId}`);
+      clearCachePattern(`theaterOrderHistory_${theaterId}`);
+    } catch (cacheError) {
+      console.warn('Cache clear error:', cacheError);
+    }
+
+    // ✅ FIX: Dispatch event to notify order history page to refresh
+    try {
+      const orderUpdatedEvent = new CustomEvent('orderUpdated', {
+        detail: {
+          theaterId: theaterId,
+          orderId: orderId,
+          type: 'payment_verified'
+        }
+      });
+      window.dispatchEvent(orderUpdatedEvent);
+    } catch (eventError) {
+      console.warn('Event dispatch error:', eventError);
+    }
+
+    // 🖨️ AUTO-PRINT: Print receipt for kiosk order using default silent printer (non-blocking)
+    printKioskOrderReceipt(orderId, orderNumber).catch(err => {
+      console.error('❌ [KioskViewCart] Error printing receipt (non-critical):', err);
+    });
+
+    // Close modal
+    setShowCheckoutModal(false);
+
+    // Navigate back to products page immediately (printing continues in background)
+    navigate(`/kiosk-products/${theaterId}`);
+  };
+
   // ✅ Initiate Razorpay Payment for Kiosk
   const initiateRazorpayPayment = async (paymentOrder, orderId, orderNumber, authToken, createdOrder) => {
     try {
@@ -547,43 +589,7 @@ const KioskViewCart = () => {
 
             if (verifyData.success) {
 
-              // Clear cart
-              setCart([]);
-              localStorage.removeItem(`kioskCart_${theaterId}`);
-
-              // ✅ FIX: Clear order history cache to show updated order status immediately
-              try {
-                clearCachePattern(`/orders/theater/${theaterId}`);
-                clearCachePattern(`orders_kiosk_${theaterId}`);
-                clearCachePattern(`theaterOrderHistory_${theaterId}`);
-              } catch (cacheError) {
-                console.warn('Cache clear error:', cacheError);
-              }
-
-              // ✅ FIX: Dispatch event to notify order history page to refresh
-              try {
-                const orderUpdatedEvent = new CustomEvent('orderUpdated', {
-                  detail: {
-                    theaterId: theaterId,
-                    orderId: orderId,
-                    type: 'payment_verified'
-                  }
-                });
-                window.dispatchEvent(orderUpdatedEvent);
-              } catch (eventError) {
-                console.warn('Event dispatch error:', eventError);
-              }
-
-              // 🖨️ AUTO-PRINT: Print receipt for kiosk order using default silent printer (non-blocking)
-              printKioskOrderReceipt(orderId, orderNumber).catch(err => {
-                console.error('❌ [KioskViewCart] Error printing receipt (non-critical):', err);
-              });
-
-              // Close modal
-              setShowCheckoutModal(false);
-
-              // Navigate back to products page immediately (printing continues in background)
-              navigate(`/kiosk-products/${theaterId}`);
+              completeKioskPayment(orderId, orderNumber);
             } else {
               console.error('❌ Payment verification failed:', verifyData);
               alert(`Payment verification failed: ${verifyData.message || 'Unknown error'}`);
@@ -764,7 +770,7 @@ const KioskViewCart = () => {
         // ✅ CRITICAL: Kiosk only supports gateway payments (Card/UPI)
         // Gateway payment - initiate payment gateway
 
-        if (!razorpayLoaded && !window.Razorpay) {
+        if (!isRedirectGateway(gatewayConfig?.provider) && !razorpayLoaded && !window.Razorpay) {
           const loaded = await loadRazorpayScript();
           if (!loaded) {
             alert('⚠️ Payment Gateway Loading Failed\n\nPlease refresh the page and try again.');
@@ -774,7 +780,7 @@ const KioskViewCart = () => {
           setRazorpayLoaded(true);
         }
 
-        if (!window.Razorpay) {
+        if (!isRedirectGateway(gatewayConfig?.provider) && !window.Razorpay) {
           alert('⚠️ Payment Gateway Not Ready\n\nRazorpay SDK is not loaded. Please refresh the page.');
           setIsProcessing(false);
           return;
@@ -814,6 +820,13 @@ const KioskViewCart = () => {
             throw new Error('Invalid payment order data received.');
           }
 
+          // PhonePe / Paytm: pay in a popup, continue once the callback page has verified it
+          if (isRedirectGateway(paymentOrder.provider)) {
+            await openGatewayPopup(paymentOrder, { orderId });
+            completeKioskPayment(orderId, orderNumber);
+            return;
+          }
+
           // Initiate Razorpay payment
           await initiateRazorpayPayment(paymentOrder, orderId, orderNumber, authToken, createdOrder);
           // Payment gateway modal is now open - don't set loading to false here
@@ -0,0 +1,392 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { useParams } from 'react-router-dom';
+import { useAuth } from '@contexts/AuthContext';
+import TheaterLayout from '@components/theater/TheaterLayout';
+import PageContainer from '@components/PageContainer';
+import ErrorBoundary from '@components/ErrorBoundary';
+import { useToast } from '@contexts/ToastContext';
+import config from '@config';
+import { unifiedFetch } from '@utils/unifiedFetch';
+import '@styles/pages/theater/KitchenDisplay.css';
+
+// Stage columns shown on the board, in kitchen order
+const STAGES = [
+  { key: 'confirmed', label: 'New', bumpLabel: 'Start' },
+  { key: 'preparing', label: 'Preparing', bumpLabel: 'Ready' },
+  { key: 'ready', label: 'Ready', bumpLabel: 'Served' }
+];
+
+// Minutes a ticket may sit in a stage before it is highlighted
+const AGE_THRESHOLDS = { warning: 5, critical: 10 };
+
+// Fallback refresh when the live stream is not connected
+const POLL_INTERVAL_MS = 30000;
+
+const formatElapsed = (from, to) => {
+  if (!from) return '--:--';
+  const seconds = Math.max(0, Math.floor((to - new Date(from).getTime()) / 1000));
+  const minutes = Math.floor(seconds / 60);
+  return `${String(minutes).padStart(2, '0')}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+const formatClock = (value) =>
+  new Date(value).toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' });
+
+const getAgeLevel = (from, now) => {
+  if (!from) return 'normal';
+  const minutes = (now - new Date(from).getTime()) / 60000;
+  if (minutes >= AGE_THRESHOLDS.critical) return 'critical';
+  if (minutes >= AGE_THRESHOLDS.warning) return 'warning';
+  return 'normal';
+};
+
+const KitchenDisplay = () => {
+  const { theaterId: paramTheaterId } = useParams();
+  const { user, theaterId: userTheaterId } = useAuth();
+  const toast = useToast();
+
+  const effectiveTheaterId = paramTheaterId || userTheaterId || user?.assignedTheater?._id || user?.assignedTheater;
+
+  const [tickets, setTickets] = useState({ confirmed: [], preparing: [], ready: [] });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [now, setNow] = useState(Date.now());
+  const [liveConnected, setLiveConnected] = useState(false);
+  const [bumpingId, setBumpingId] = useState(null);
+  // Items ticked off by the cook: itemId -> time marked done (local to this screen)
+  const [doneItems, setDoneItems] = useState({});
+  // Station this screen is mounted at ('' = all stations)
+  const [stations, setStations] = useState([]);
+  const [stationFilter, setStationFilter] = useState(() => localStorage.getItem('kdsStationFilter') || '');
+  const [readyingTicketId, setReadyingTicketId] = useState(null);
+  const clockOffsetRef = useRef(0);
+
+  const fetchTickets = useCallback(async () => {
+    if (!effectiveTheaterId) return;
+
+    try {
+      const response = await unifiedFetch(
+        `${config.api.baseUrl}/orders/kds/${effectiveTheaterId}`,
+        {},
+        { forceRefresh: true, timeout: 15000, maxRetries: 1 }
+      );
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error || errorData.message || 'Failed to load kitchen tickets');
+      }
+
+      const data = await response.json();
+      if (data.success && data.data) {
+        setTickets(data.data.tickets || { confirmed: [], preparing: [], ready: [] });
+        if (data.data.serverTime) {
+          // Timers use server time so a skewed kitchen tablet clock doesn't distort ages
+          clockOffsetRef.current = new Date(data.data.serverTime).getTime() - Date.now();
+        }
+        setError('');
+      }
+    } catch (err) {
+      console.error('Error loading kitchen tickets:', err);
+      setError(err.message || 'Failed to load kitchen tickets');
+    } finally {
+      setLoading(false);
+    }
+  }, [effectiveTheaterId]);
+
+  useEffect(() => {
+    if (!effectiveTheaterId) return;
+
+    unifiedFetch(
+      `${config.api.baseUrl}/stations/${effectiveTheaterId}`,
+      {},
+      { cacheKey: `stations_${effectiveTheaterId}`, timeout: 15000 }
+    )
+      .then(response => (response.ok ? response.json() : null))
+      .then(data => {
+        if (data?.success && Array.isArray(data.data)) {
+          setStations(data.data.filter(station => station.isActive));
+        }
+      })
+      .catch(err => console.error('Error loading stations:', err));
+  }, [effectiveTheaterId]);
+
+  const handleStationFilterChange = (value) => {
+    setStationFilter(value);
+    localStorage.setItem('kdsStationFilter', value);
+  };
+
+  // Initial load + fallback polling
+  useEffect(() => {
+    fetchTickets();
+    const pollId = setInterval(() => {
+      if (!liveConnected) fetchTickets();
+    }, POLL_INTERVAL_MS);
+    return () => clearInterval(pollId);
+  }, [fetchTickets, liveConnected]);
+
+  // Live updates from the POS event stream
+  useEffect(() => {
+    if (!effectiveTheaterId || typeof EventSource === 'undefined') return undefined;
+
+    const token = localStorage.getItem('authToken') || localStorage.getItem('token');
+    if (!token) return undefined;
+
+    const source = new EventSource(
+      `${config.api.baseUrl}/pos-stream/${effectiveTheaterId}?token=${encodeURIComponent(token)}`
+    );
+
+    source.onopen = () => setLiveConnected(true);
+    source.onerror = () => setLiveConnected(false);
+    source.onmessage = (event) => {
+      try {
+        const payload = JSON.parse(event.data);
+        if (payload.type === 'order_status' || payload.type === 'pos_order') {
+          fetchTickets();
+        }
+      } catch {
+        // Ignore keep-alive / malformed frames
+      }
+    };
+
+    return () => {
+      source.close();
+      setLiveConnected(false);
+    };
+  }, [effectiveTheaterId, fetchTickets]);
+
+  // One-second tick drives every timer on the board
+  useEffect(() => {
+    const tickId = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(tickId);
+  }, []);
+
+  const handleBump = async (ticket) => {
+    setBumpingId(ticket._id);
+    try {
+      const response = await unifiedFetch(
+        `${config.api.baseUrl}/orders/kds/${effectiveTheaterId}/${ticket._id}/bump`,
+        {
+          method: 'PUT',
+          body: JSON.stringify({ expectedStatus: ticket.status })
+        },
+        { forceRefresh: true, retry: false }
+      );
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error || errorData.message || 'Failed to bump ticket');
+      }
+
+      // Keep the order history page in sync if it is open in another view
+      window.dispatchEvent(new CustomEvent('orderUpdated', {
+        detail: {
+          theaterId: effectiveTheaterId,
+          orderId: ticket._id,
+          timestamp: Date.now(),
+          source: 'kitchenDisplay',
+          type: 'statusChanged'
+        }
+      }));
+    } catch (err) {
+      console.error('Error bumping ticket:', err);
+      toast.error(err.message || 'Failed to bump ticket');
+    } finally {
+      setBumpingId(null);
+      fetchTickets();
+    }
+  };
+
+  const handleStationReady = async (ticket, stationTicket) => {
+    setReadyingTicketId(stationTicket._id);
+    try {
+      const response = await unifiedFetch(
+        `${config.api.baseUrl}/stations/${effectiveTheaterId}/orders/${ticket._id}/tickets/${stationTicket._id}/ready`,
+        { method: 'PUT' },
+        { forceRefresh: true, retry: false }
+      );
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error || errorData.message || 'Failed to update station');
+      }
+    } catch (err) {
+      console.error('Error marking station ready:', err);
+      toast.error(err.message || 'Failed to update station');
+    } finally {
+      setReadyingTicketId(null);
+      fetchTickets();
+    }
+  };
+
+  const toggleItemDone = (itemId) => {
+    setDoneItems(prev => {
+      const next = { ...prev };
+      if (next[itemId]) {
+        delete next[itemId];
+      } else {
+        next[itemId] = Date.now() + clockOffsetRef.current;
+      }
+      return next;
+    });
+  };
+
+  const serverNow = now + clockOffsetRef.current;
+
+  const selectedStation = stations.find(station => String(station._id) === stationFilter);
+
+  // A station screen only shows its own items; tickets with nothing for it are hidden
+  const filterForStation = (ticket) => {
+    if (!selectedStation) return ticket;
+    const items = ticket.items.filter(item => item.stationName === selectedStation.name);
+    return items.length > 0 ? { ...ticket, items } : null;
+  };
+
+  const renderTicket = (ticket, stage) => {
+    const ageLevel = getAgeLevel(ticket.stageStartedAt, serverNow);
+    const stationTickets = ticket.stationTickets || [];
+
+    return (
+      <div key={ticket._id} className={`kds-ticket kds-age-${ageLevel}`}>
+        <div className="kds-ticket-header">
+          <span className="kds-order-number">#{ticket.orderNumber}</span>
+          <span className="kds-stage-timer" title="Time in this stage">
+            {formatElapsed(ticket.stageStartedAt, serverNow)}
+          </span>
+        </div>
+        <div className="kds-ticket-meta">
+          {ticket.qrName && <span>{ticket.qrName}</span>}
+          {ticket.seat && <span>Seat {ticket.seat}</span>}
+          {!ticket.qrName && ticket.source && <span>{String(ticket.source).toUpperCase()}</span>}
+          {ticket.deliverBy && (
+            <span className="kds-deliver-by">
+              {ticket.deliverAt === 'interval' ? 'Interval' : 'Show start'} {formatClock(ticket.deliverBy)}
+            </span>
+          )}
+          <span className="kds-total-timer" title="Time since order was placed">
+            Placed {formatElapsed(ticket.placedAt, serverNow)} ago
+          </span>
+        </div>
+        <ul className="kds-items">
+          {ticket.items.map(item => {
+            const itemId = String(item._id);
+            const doneAt = doneItems[itemId];
+            return (
+              <li
+                key={itemId}
+                className={`kds-item ${doneAt ? 'kds-item-done' : ''}`}
+                onClick={() => toggleItemDone(itemId)}
+              >
+                <span className="kds-item-qty">{item.quantity}×</span>
+                <span className="kds-item-name">
+                  {item.name}
+                  {item.size && <small> ({item.size})</small>}
+                  {item.modifiers && <small className="kds-item-modifiers">+ {item.modifiers}</small>}
+                  {item.comboOfferName && <small className="kds-item-combo"> {item.comboOfferName}</small>}
+                  {item.specialInstructions && <em className="kds-item-note">{item.specialInstructions}</em>}
+                  {!selectedStation && item.stationName && <small className="kds-item-station">{item.stationName}</small>}
+                </span>
+                <span className="kds-item-timer">
+                  {formatElapsed(ticket.stageStartedAt, doneAt || serverNow)}
+                </span>
+              </li>
+            );
+          })}
+        </ul>
+        {ticket.specialInstructions && (
+          <div className="kds-ticket-note">{ticket.specialInstructions}</div>
+        )}
+        {stage.key !== 'ready' && stationTickets.length > 1 && (
+          <div className="kds-station-chips">
+            {stationTickets.map(stationTicket => {
+              const isReady = stationTicket.status === 'ready';
+              return (
+                <button
+                  key={stationTicket._id}
+                  className={`kds-station-chip ${isReady ? 'ready' : ''}`}
+                  onClick={() => handleStationReady(ticket, stationTicket)}
+                  disabled={isReady || readyingTicketId === stationTicket._id}
+                  title={isReady ? 'Station ready' : 'Mark this station ready'}
+                >
+                  {isReady ? '✓ ' : ''}{stationTicket.stationName}
+                </button>
+              );
+            })}
+          </div>
+        )}
+        <button
+          className="kds-bump-btn"
+          onClick={() => handleBump(ticket)}
+          disabled={bumpingId === ticket._id}
+        >
+          {bumpingId === ticket._id ? 'Updating...' : stage.bumpLabel}
+        </button>
+      </div>
+    );
+  };
+
+  return (
+    <ErrorBoundary>
+      <TheaterLayout pageTitle="Kitchen Display" currentPage="kitchen-display">
+        <PageContainer title="Kitchen Display">
+          <div className="kds-page">
+            <div className="kds-toolbar">
+              <span className={`kds-live-indicator ${liveConnected ? 'live' : 'polling'}`}>
+                {liveConnected ? 'Live' : 'Auto-refresh'}
+              </span>
+              {stations.length > 0 && (
+                <select
+                  className="kds-station-select"
+                  value={stationFilter}
+                  onChange={(e) => handleStationFilterChange(e.target.value)}
+                >
+                  <option value="">All stations</option>
+                  {stations.map(station => (
+                    <option key={station._id} value={station._id}>{station.name}</option>
+                  ))}
+                </select>
+              )}
+              <span className="kds-legend">
+                <span className="kds-legend-warning">≥ {AGE_THRESHOLDS.warning} min</span>
+                <span className="kds-legend-critical">≥ {AGE_THRESHOLDS.critical} min</span>
+              </span>
+            </div>
+
+            {error && (
+              <div className="error-message">
+                <span className="error-icon">⚠️</span>
+                <span>{error}</span>
+              </div>
+            )}
+
+            {loading ? (
+              <div className="kds-loading">Loading tickets...</div>
+            ) : (
+              <div className="kds-board">
+                {STAGES.map(stage => {
+                  const stageTickets = (tickets[stage.key] || []).map(filterForStation).filter(Boolean);
+                  return (
+                    <div key={stage.key} className={`kds-column kds-column-${stage.key}`}>
+                      <div className="kds-column-header">
+                        <h2>{stage.label}</h2>
+                        <span className="kds-column-count">{stageTickets.length}</span>
+                      </div>
+                      <div className="kds-column-body">
+                        {stageTickets.length === 0 ? (
+                          <div className="kds-empty">No tickets</div>
+                        ) : (
+                          stageTickets.map(ticket => renderTicket(ticket, stage))
+                        )}
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+        </PageContainer>
+      </TheaterLayout>
+    </ErrorBoundary>
+  );
+};
+
+export default KitchenDisplay;
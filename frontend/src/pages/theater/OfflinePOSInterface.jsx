@@ -13,6 +13,7 @@ import { useParams, useNavigate, useLocation } from 'react-router-dom';
 import TheaterLayout from '@components/theater/TheaterLayout';
 import ErrorBoundary from '@components/ErrorBoundary';
 import OfflineStatusBadge from '@components/OfflineStatusBadge';
+import CashierShiftPanel from '@components/theater/CashierShiftPanel';
 import { usePerformanceMonitoring } from '@hooks/usePerformanceMonitoring';
 import { useOfflineQueue } from '@hooks/useOfflineQueue';
 import { getAuthToken, autoLogin } from '@utils/authHelper';
@@ -2677,6 +2678,9 @@ const OfflinePOSInterface = () => {
           }
         `}</style>
 
+        {/* Cashier shift / cash drawer */}
+        <CashierShiftPanel theaterId={theaterId} />
+
         {/* Main POS Layout */}
         <div className="pos-main-container" key={`pos-container-${remountKey}-${location.key || location.pathname}`}>
           {/* Left Side - Product Menu */}
@@ -28,6 +28,8 @@ import { unifiedFetch } from '@utils/unifiedFetch';
 import { subscribeToPosNotifications } from '@utils/posFirebaseNotifications';
 import { calculateConsumption, getAvailableStock, isProductOutOfStock } from '@utils/stockCalculation';
 import { clearCache, clearCachePattern } from '@utils/cacheUtils';
+import ModifierSelector from '@components/ModifierSelector';
+import { hasModifiers, buildModifiers, getModifierError, getModifierTotal, getModifierLineId, describeModifiers } from '@utils/productModifiers';
 
 // ✅ Extract unit from quantity string (e.g., "150 ML" → "ML")
 const extractUnitFromQuantity = (quantity) => {
@@ -117,6 +119,40 @@ const getStandardizedUnit = (productUnit) => {
   return unit;
 };
 
+// New order line for a product - prices, tax and size taken from its pricing
+const toOrderLine = (product, quantity) => {
+  // Extract price from array structure (pricing.basePrice) or old structure (sellingPrice)
+  const originalPrice = parseFloat(product.pricing?.basePrice ?? product.sellingPrice ?? 0) || 0;
+  const discountPercentage = parseFloat(product.discountPercentage || product.pricing?.discountPercentage) || 0;
+
+  // Store ORIGINAL price in sellingPrice (discount will be calculated by utility)
+  const sellingPrice = originalPrice;
+
+  // Extract tax information
+  const taxRate = parseFloat(product.pricing?.taxRate ?? product.taxRate) || 0;
+
+  // Check pricing object first for gstType
+  const gstTypeRaw = product.pricing?.gstType || product.gstType || 'EXCLUDE';
+  const gstType = gstTypeRaw.toUpperCase().includes('INCLUDE') ? 'INCLUDE' : 'EXCLUDE';
+
+  // Preserve product size/variant before overwriting quantity with count
+  const productSize = product.size || product.productSize || product.quantity || product.sizeLabel;
+
+  return {
+    ...product,
+    quantity: quantity, // This is the count (1, 2, etc.)
+    size: product.size || productSize, // Preserve the size/variant
+    productSize: product.productSize || productSize, // Preserve the size/variant
+    sizeLabel: product.sizeLabel || productSize, // Preserve the size/variant
+    sellingPrice: parseFloat(sellingPrice) || 0,
+    originalPrice: parseFloat(originalPrice) || 0,
+    discountPercentage: discountPercentage,
+    taxRate: taxRate, // Ensure tax rate is available
+    gstType: gstType, // Ensure GST type is available
+    pricing: product.pricing // Keep pricing object for GST Type detection
+  };
+};
+
 // Modern POS Product Card Component - Click to Add (Same as Professional POS)
 const StaffProductCard = React.memo(({ product, onAddToCart, currentOrder }) => {
   const formatPrice = (price) => {
@@ -354,7 +390,10 @@ const StaffOrderItem = React.memo(({ item, onUpdateQuantity, onRemove }) => {
   return (
     <div className="pos-order-item">
       <div className="pos-item-content">
-        <div className="pos-item-name">{item.name || 'Unknown Item'}</div>
+        <div className="pos-item-name">
+          {item.name || 'Unknown Item'}
+          {item.modifiers?.length > 0 && <span className="modifier-summary">{describeModifiers(item)}</span>}
+        </div>
         <div className="pos-item-price">₹{(() => { const val = parseFloat(item.sellingPrice) || 0; return val % 1 === 0 ? val : val.toFixed(2).replace(/\.00$/, ''); })()}</div>
 
         <div className="pos-quantity-controls">
@@ -459,6 +498,9 @@ const OnlinePOSInterface = () => {
   const [customerName, setCustomerName] = useState('');
   const [orderNotes, setOrderNotes] = useState('');
   const [orderImages, setOrderImages] = useState([]);
+  const [modifierProduct, setModifierProduct] = useState(null); // 🧀 Product waiting for its options
+  const [modifierSelection, setModifierSelection] = useState({});
+  const [showModifierError, setShowModifierError] = useState(false);
   const [onlineOrders, setOnlineOrders] = useState([]); // Customer orders from QR code
   const [loadingOrders, setLoadingOrders] = useState(false);
   const [newOrderIds, setNewOrderIds] = useState([]); // Track new orders for flashing
@@ -569,40 +611,59 @@ const OnlinePOSInterface = () => {
         );
       } else {
         // Add new item with specified quantity
-        // Extract price from array structure (pricing.basePrice) or old structure (sellingPrice)
-        const originalPrice = parseFloat(product.pricing?.basePrice ?? product.sellingPrice ?? 0) || 0;
-        const discountPercentage = parseFloat(product.discountPercentage || product.pricing?.discountPercentage) || 0;
-
-        // Store ORIGINAL price in sellingPrice (discount will be calculated by utility)
-        const sellingPrice = originalPrice;
-
-        // Extract tax information
-        const taxRate = parseFloat(product.pricing?.taxRate ?? product.taxRate) || 0;
-
-        // Check pricing object first for gstType
-        const gstTypeRaw = product.pricing?.gstType || product.gstType || 'EXCLUDE';
-        const gstType = gstTypeRaw.toUpperCase().includes('INCLUDE') ? 'INCLUDE' : 'EXCLUDE';
-
-        // Preserve product size/variant before overwriting quantity with count
-        const productSize = product.size || product.productSize || product.quantity || product.sizeLabel;
-
-        return [...prevOrder, {
-          ...product,
-          quantity: quantity, // This is the count (1, 2, etc.)
-          size: product.size || productSize, // Preserve the size/variant
-          productSize: product.productSize || productSize, // Preserve the size/variant
-          sizeLabel: product.sizeLabel || productSize, // Preserve the size/variant
-          sellingPrice: parseFloat(sellingPrice) || 0,
-          originalPrice: parseFloat(originalPrice) || 0,
-          discountPercentage: discountPercentage,
-          taxRate: taxRate, // Ensure tax rate is available
-          gstType: gstType, // Ensure GST type is available
-          pricing: product.pricing // Keep pricing object for GST Type detection
-        }];
+        return [...prevOrder, toOrderLine(product, quantity)];
       }
     });
   }, []);
 
+  // 🧀 Products with modifier groups ask for their options first - every set of options is its own line
+  const handleProductClick = useCallback((product, quantity) => {
+    if (!product.isCombo && hasModifiers(product)) {
+      setModifierProduct(product);
+      setModifierSelection({});
+      setShowModifierError(false);
+      return;
+    }
+    addToOrder(product, quantity);
+  }, [addToOrder]);
+
+  const closeModifierPicker = useCallback(() => {
+    setModifierProduct(null);
+    setModifierSelection({});
+    setShowModifierError(false);
+  }, []);
+
+  const addModifierLine = useCallback(() => {
+    if (!modifierProduct) return;
+    if (getModifierError(modifierProduct, modifierSelection)) {
+      setShowModifierError(true);
+      return;
+    }
+
+    const modifiers = buildModifiers(modifierProduct, modifierSelection);
+    const lineId = getModifierLineId(modifierProduct._id, modifiers);
+    const modifierTotal = getModifierTotal(modifiers);
+
+    setCurrentOrder(prevOrder => {
+      if (prevOrder.some(item => item._id === lineId)) {
+        return prevOrder.map(item =>
+          item._id === lineId ? { ...item, quantity: (item.quantity || 0) + 1 } : item
+        );
+      }
+
+      const line = toOrderLine(modifierProduct, 1);
+      return [...prevOrder, {
+        ...line,
+        _id: lineId,
+        productId: modifierProduct._id,
+        modifiers,
+        sellingPrice: line.sellingPrice + modifierTotal,
+        originalPrice: line.originalPrice + modifierTotal
+      }];
+    });
+    closeModifierPicker();
+  }, [modifierProduct, modifierSelection, closeModifierPicker]);
+
   const updateQuantity = useCallback((productId, newQuantity) => {
     if (newQuantity <= 0) {
       removeFromOrder(productId);
@@ -1455,9 +1516,10 @@ const OnlinePOSInterface = () => {
   const quantityMap = useMemo(() => {
     const map = new Map();
     currentOrder.forEach(item => {
-      const id = item._id?.toString();
+      // Lines with modifiers count towards their product
+      const id = (item.productId || item._id)?.toString();
       if (id) {
-        map.set(id, item.quantity || 0);
+        map.set(id, (map.get(id) || 0) + (item.quantity || 0));
       }
     });
     return map;
@@ -1528,6 +1590,7 @@ const OnlinePOSInterface = () => {
 
       return {
         _id: item._id,
+        ...(item.productId && { productId: item.productId }),
         name: item.name,
         quantity: item.quantity,
         // ✅ Include size/variant information for display in cart
@@ -1538,6 +1601,7 @@ const OnlinePOSInterface = () => {
         sizeLabel: item.sizeLabel || item.size || item.productSize || null,
         variant: item.variant || null,
         variants: item.variants || null,
+        modifiers: item.modifiers || null,
         sellingPrice: item.sellingPrice || item.pricing?.basePrice || item.pricing?.salePrice || 0,
         discountPercentage: item.discountPercentage || item.pricing?.discountPercentage || 0,
         taxRate: item.taxRate || item.pricing?.taxRate || 5,
@@ -1813,7 +1877,7 @@ const OnlinePOSInterface = () => {
                   <StaffProductCard
                     key={product._id || `product-${index}`}
                     product={product}
-                    onAddToCart={addToOrder}
+                    onAddToCart={handleProductClick}
                     currentOrder={currentOrder}
                   />
                 ))
@@ -1915,6 +1979,32 @@ const OnlinePOSInterface = () => {
           </div>
         </div>
       </div>
+
+      {/* 🧀 Modifier picker */}
+      {modifierProduct && (
+        <div className="pos-modifier-overlay" onClick={closeModifierPicker}>
+          <div className="pos-modifier-dialog" onClick={(e) => e.stopPropagation()}>
+            <div className="pos-modifier-header">
+              <h3>{modifierProduct.name}</h3>
+              <button className="pos-remove-btn" onClick={closeModifierPicker} title="Close">×</button>
+            </div>
+            <ModifierSelector
+              product={modifierProduct}
+              selected={modifierSelection}
+              onChange={setModifierSelection}
+            />
+            {showModifierError && (
+              <div className="modifier-error">{getModifierError(modifierProduct, modifierSelection)}</div>
+            )}
+            <button className="pos-process-btn btn-process-order" onClick={addModifierLine}>
+              ADD - ₹{(
+                (parseFloat(modifierProduct.pricing?.basePrice ?? modifierProduct.sellingPrice ?? 0) || 0) +
+                getModifierTotal(buildModifiers(modifierProduct, modifierSelection))
+              ).toFixed(2).replace(/\.00$/, '')}
+            </button>
+          </div>
+        </div>
+      )}
     </TheaterLayout>
   );
 };
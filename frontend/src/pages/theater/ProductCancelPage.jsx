@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useLayoutEffect } from 'react';
+import React, { useState, useEffect, useLayoutEffect, useCallback } from 'react';
 import { useParams, useLocation } from 'react-router-dom';
 import { useAuth } from '@contexts/AuthContext';
 import TheaterLayout from '@components/theater/TheaterLayout';
@@ -25,6 +25,7 @@ const ProductCancelPage = () => {
   const [cancelling, setCancelling] = useState(false);
   const [cancellingProductId, setCancellingProductId] = useState(null);
   const [error, setError] = useState('');
+  const [refundLedger, setRefundLedger] = useState(null);
 
   // Extract theaterId from URL path as fallback if useParams isn't ready
   const extractTheaterIdFromPath = () => {
@@ -45,8 +46,37 @@ const ProductCancelPage = () => {
     setError('');
     setCancelling(false);
     setCancellingProductId(null);
+    setRefundLedger(null);
   }, [location.pathname]);
 
+  // Refund ledger of online-paid orders (item cancellations refund through the gateway)
+  const fetchRefundLedger = useCallback(async (orderMongoId) => {
+    try {
+      const response = await unifiedFetch(
+        `${config.api.baseUrl}/payments/refunds/${effectiveTheaterId}/${orderMongoId}`,
+        {},
+        { forceRefresh: true, timeout: 15000, maxRetries: 1 }
+      );
+      if (!response.ok) {
+        setRefundLedger(null);
+        return;
+      }
+      const data = await response.json();
+      setRefundLedger(data.success ? data.data : null);
+    } catch (err) {
+      console.warn('Failed to load refund ledger:', err);
+      setRefundLedger(null);
+    }
+  }, [effectiveTheaterId]);
+
+  useEffect(() => {
+    if (order?._id && effectiveTheaterId) {
+      fetchRefundLedger(order._id);
+    } else {
+      setRefundLedger(null);
+    }
+  }, [order?._id, order?.updatedAt, effectiveTheaterId, fetchRefundLedger]);
+
   // ✅ FIX: Also check for URL query parameters that might load order data
   useEffect(() => {
     // Check if there's an orderId in URL query params and clear it to ensure clean state
@@ -161,9 +191,16 @@ const ProductCancelPage = () => {
     }
 
     // Confirm cancellation
+    const refundsOnline = refundLedger?.refundableAmount > 0;
+    let message = `Are you sure you want to cancel "${productName}" from this order? The order total will be updated automatically.`;
+    if (refundsOnline && refundLedger.provider === 'upi') {
+      message = `Are you sure you want to cancel "${productName}" from this order? Its share of the bill (incl. GST) will be recorded as a refund for you to pay back to the customer.`;
+    } else if (refundsOnline) {
+      message = `Are you sure you want to cancel "${productName}" from this order? Its share of the bill (incl. GST) will be refunded to the customer's ${refundLedger.provider || 'online'} payment.`;
+    }
     const confirmed = await confirm({
       title: 'Cancel Product',
-      message: `Are you sure you want to cancel "${productName}" from this order? The order total will be updated automatically.`,
+      message,
       type: 'warning',
       confirmText: 'Yes, Cancel Product',
       cancelText: 'No, Keep Product'
@@ -289,7 +326,9 @@ const ProductCancelPage = () => {
           }
         }
 
-        showSuccess(`Product "${productName}" cancelled successfully. Order total has been updated.`);
+        showSuccess(data.data?.refund
+          ? data.message
+          : `Product "${productName}" cancelled successfully. Order total has been updated.`);
         setError('');
       } else {
         throw new Error('Failed to cancel product');
@@ -663,6 +702,56 @@ const ProductCancelPage = () => {
                   </div>
                 </div>
 
+                {/* Refund Ledger */}
+                {refundLedger && refundLedger.paidAmount > 0 && (
+                  <div className="form-section refund-ledger" style={{ marginTop: '2rem' }}>
+                    <h2>Refunds</h2>
+                    <div className="refund-ledger-summary">
+                      <span>Paid online: <strong>{formatCurrency(refundLedger.paidAmount)}</strong></span>
+                      <span>Refunded: <strong>{formatCurrency(refundLedger.refundedAmount)}</strong></span>
+                      <span>Refundable: <strong>{formatCurrency(refundLedger.refundableAmount)}</strong></span>
+                    </div>
+                    {refundLedger.refunds.length === 0 ? (
+                      <div className="refund-ledger-empty">No refunds issued for this order</div>
+                    ) : (
+                      <div className="items-table">
+                        <table>
+                          <thead>
+                            <tr>
+                              <th>Date</th>
+                              <th>Items</th>
+                              <th>Amount</th>
+                              <th>GST Share</th>
+                              <th>Status</th>
+                              <th>By</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {refundLedger.refunds.map(refund => (
+                              <tr key={refund.refundId}>
+                                <td>{formatDate(refund.initiatedAt)}</td>
+                                <td>
+                                  {refund.items?.length
+                                    ? refund.items.map(item => `${item.quantity}× ${item.name}`).join(', ')
+                                    : refund.reason || (refund.type === 'full' ? 'Full refund' : 'Partial refund')}
+                                </td>
+                                <td>{formatCurrency(refund.amount)}</td>
+                                <td>{formatCurrency(refund.taxAmount)}</td>
+                                <td>
+                                  <span className={`refund-status refund-status-${refund.status}`} title={refund.failureReason || ''}>
+                                    {refund.method === 'manual' ? 'PAID AT COUNTER' : refund.status.toUpperCase()}
+                                  </span>
+                                </td>
+                                <td>{refund.initiatedBy?.username || '-'}</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </div>
+                    )}
+                  </div>
+                )}
+
                 {/* Cancel Button */}
                 {order.status !== 'cancelled' && order.status !== 'completed' && (
                   <div className="form-section cancel-action-section">
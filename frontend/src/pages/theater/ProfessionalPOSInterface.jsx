@@ -4,6 +4,7 @@ import ErrorBoundary from '@components/ErrorBoundary';
 import { usePerformanceMonitoring } from '@hooks/usePerformanceMonitoring';
 import { getAuthToken, autoLogin } from '@utils/authHelper';
 import ImageUpload from '@components/ImageUpload';
+import CashierShiftPanel from '@components/theater/CashierShiftPanel';
 import '@styles/ProfessionalPOS.css';
 import { useDeepMemo, useComputed } from '@utils/ultraPerformance';
 import { ultraFetch } from '@utils/ultraFetch';
@@ -590,6 +591,9 @@ const ProfessionalPOSInterface = () => {
         </div>
       </div>
 
+      {/* Cashier shift / cash drawer */}
+      <CashierShiftPanel theaterId={theaterId} />
+
       {/* Main POS Layout */}
       <div className="pos-main-container">
         {/* Left Side - Product Menu */}
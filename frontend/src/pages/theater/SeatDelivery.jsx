@@ -0,0 +1,234 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { useParams } from 'react-router-dom';
+import { useAuth } from '@contexts/AuthContext';
+import ErrorBoundary from '@components/ErrorBoundary';
+import { useToast } from '@contexts/ToastContext';
+import config from '@config';
+import { unifiedFetch } from '@utils/unifiedFetch';
+import '@styles/pages/theater/SeatDelivery.css';
+
+// Fallback refresh when the live stream is not connected
+const POLL_INTERVAL_MS = 20000;
+
+const formatMinutes = (from, now) => {
+  if (!from) return '';
+  const minutes = Math.max(0, Math.floor((now - new Date(from).getTime()) / 60000));
+  return minutes < 1 ? 'just now' : `${minutes} min`;
+};
+
+const SeatDelivery = () => {
+  const { theaterId: paramTheaterId } = useParams();
+  const { user, theaterId: userTheaterId } = useAuth();
+  const toast = useToast();
+
+  const effectiveTheaterId = paramTheaterId || userTheaterId || user?.assignedTheater?._id || user?.assignedTheater;
+
+  const [orders, setOrders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [liveConnected, setLiveConnected] = useState(false);
+  const [busyOrderId, setBusyOrderId] = useState(null);
+  const [now, setNow] = useState(Date.now());
+
+  const fetchQueue = useCallback(async () => {
+    if (!effectiveTheaterId) return;
+
+    try {
+      const response = await unifiedFetch(
+        `${config.api.baseUrl}/orders/runner/${effectiveTheaterId}`,
+        {},
+        { forceRefresh: true, timeout: 15000, maxRetries: 1 }
+      );
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error || errorData.message || 'Failed to load deliveries');
+      }
+
+      const data = await response.json();
+      if (data.success && data.data) {
+        setOrders(data.data.orders || []);
+      }
+    } catch (err) {
+      console.error('Error loading delivery queue:', err);
+      toast.error(err.message || 'Failed to load deliveries');
+    } finally {
+      setLoading(false);
+    }
+  }, [effectiveTheaterId, toast]);
+
+  useEffect(() => {
+    fetchQueue();
+    const pollId = setInterval(() => {
+      if (!liveConnected) fetchQueue();
+    }, POLL_INTERVAL_MS);
+    return () => clearInterval(pollId);
+  }, [fetchQueue, liveConnected]);
+
+  // Any status change (order ready, claimed by someone else, served) refreshes the queue
+  useEffect(() => {
+    if (!effectiveTheaterId || typeof EventSource === 'undefined') return undefined;
+
+    const token = localStorage.getItem('authToken') || localStorage.getItem('token');
+    if (!token) return undefined;
+
+    const source = new EventSource(
+      `${config.api.baseUrl}/pos-stream/${effectiveTheaterId}?token=${encodeURIComponent(token)}`
+    );
+
+    source.onopen = () => setLiveConnected(true);
+    source.onerror = () => setLiveConnected(false);
+    source.onmessage = (event) => {
+      try {
+        const payload = JSON.parse(event.data);
+        if (payload.type === 'order_status') {
+          fetchQueue();
+        }
+      } catch {
+        // Ignore keep-alive / malformed frames
+      }
+    };
+
+    return () => {
+      source.close();
+      setLiveConnected(false);
+    };
+  }, [effectiveTheaterId, fetchQueue]);
+
+  useEffect(() => {
+    const tickId = setInterval(() => setNow(Date.now()), 30000);
+    return () => clearInterval(tickId);
+  }, []);
+
+  const handleAction = async (order, action) => {
+    setBusyOrderId(order._id);
+    try {
+      const response = await unifiedFetch(
+        `${config.api.baseUrl}/orders/runner/${effectiveTheaterId}/${order._id}/${action}`,
+        { method: 'PUT' },
+        { forceRefresh: true, retry: false }
+      );
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error || errorData.message || 'Failed to update delivery');
+      }
+
+      if (action === 'deliver') {
+        toast.success(`Order #${order.orderNumber} delivered to ${order.seat}`);
+      }
+    } catch (err) {
+      console.error(`Error on ${action}:`, err);
+      toast.error(err.message || 'Failed to update delivery');
+    } finally {
+      setBusyOrderId(null);
+      fetchQueue();
+    }
+  };
+
+  const myOrders = useMemo(() => orders.filter(order => order.claimedByMe), [orders]);
+  const openOrders = useMemo(() => orders.filter(order => !order.claimedByMe), [orders]);
+
+  // Group the open queue by screen so a runner can take one aisle at a time
+  const openByScreen = useMemo(() => {
+    const groups = [];
+    openOrders.forEach(order => {
+      const screen = order.qrName || 'Other';
+      let group = groups.find(g => g.screen === screen);
+      if (!group) {
+        group = { screen, orders: [] };
+        groups.push(group);
+      }
+      group.orders.push(order);
+    });
+    return groups;
+  }, [openOrders]);
+
+  const renderOrder = (order) => {
+    const isBusy = busyOrderId === order._id;
+    return (
+      <div key={order._id} className={`runner-card ${order.claimedByMe ? 'claimed' : ''}`}>
+        <div className="runner-card-header">
+          <span className="runner-seat">{order.seat}</span>
+          <span className="runner-order-number">#{order.orderNumber}</span>
+        </div>
+        <div className="runner-card-meta">
+          {order.qrName && <span>{order.qrName}</span>}
+          {order.customerName && <span>{order.customerName}</span>}
+          <span>Ready {formatMinutes(order.readyAt, now)}</span>
+        </div>
+        <ul className="runner-items">
+          {order.items.map((item, index) => (
+            <li key={index}>
+              <strong>{item.quantity}×</strong> {item.name}
+              {item.size && <small> ({item.size})</small>}
+            </li>
+          ))}
+        </ul>
+        {order.specialInstructions && (
+          <div className="runner-note">{order.specialInstructions}</div>
+        )}
+        {order.paymentStatus !== 'paid' && order.paymentStatus !== 'completed' && (
+          <div className="runner-collect">Collect ₹{Number(order.total || 0).toFixed(2)}</div>
+        )}
+        <div className="runner-actions">
+          {order.claimedByMe ? (
+            <>
+              <button className="runner-btn secondary" onClick={() => handleAction(order, 'release')} disabled={isBusy}>
+                Release
+              </button>
+              <button className="runner-btn success" onClick={() => handleAction(order, 'deliver')} disabled={isBusy}>
+                {isBusy ? 'Updating...' : 'Delivered'}
+              </button>
+            </>
+          ) : (
+            <button className="runner-btn primary" onClick={() => handleAction(order, 'claim')} disabled={isBusy}>
+              {isBusy ? 'Claiming...' : 'Claim'}
+            </button>
+          )}
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <ErrorBoundary>
+      <div className="runner-page">
+        <header className="runner-header">
+          <h1>Seat Delivery</h1>
+          <span className={`runner-live ${liveConnected ? 'live' : ''}`}>
+            {liveConnected ? 'Live' : 'Auto-refresh'}
+          </span>
+        </header>
+
+        {loading ? (
+          <div className="runner-empty">Loading deliveries...</div>
+        ) : (
+          <>
+            {myOrders.length > 0 && (
+              <section className="runner-section">
+                <h2>My Deliveries ({myOrders.length})</h2>
+                {myOrders.map(renderOrder)}
+              </section>
+            )}
+
+            <section className="runner-section">
+              <h2>Ready for Pickup ({openOrders.length})</h2>
+              {openByScreen.length === 0 ? (
+                <div className="runner-empty">No seat orders waiting</div>
+              ) : (
+                openByScreen.map(group => (
+                  <div key={group.screen} className="runner-screen-group">
+                    <h3>{group.screen}</h3>
+                    {group.orders.map(renderOrder)}
+                  </div>
+                ))
+              )}
+            </section>
+          </>
+        )}
+      </div>
+    </ErrorBoundary>
+  );
+};
+
+export default SeatDelivery;
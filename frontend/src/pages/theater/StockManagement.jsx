@@ -9,6 +9,7 @@ import { useModal } from '@contexts/ModalContext'
 import { useToast } from '@contexts/ToastContext';;
 import { useAuth } from '@contexts/AuthContext';
 import ErrorBoundary from '@components/ErrorBoundary';
+import ReorderForecastPanel from '@components/stock/ReorderForecastPanel';
 import { usePerformanceMonitoring } from '@hooks/usePerformanceMonitoring';
 import config from '@config';
 import apiService from '@services/apiService';
@@ -3364,6 +3365,14 @@ const StockManagement = React.memo(() => {
             </div> */}
             </div>
 
+            {/* 📈 Reorder Forecast - projected stock-out and suggested reorder */}
+            <ReorderForecastPanel
+              theaterId={theaterId}
+              productId={productId}
+              stockType="product"
+              refreshKey={`${stockEntries.length}-${summary?.closingBalance}`}
+            />
+
             {/* Filters Section - Global Design Pattern */}
             <div className="theater-filters">
               <div className="search-box">
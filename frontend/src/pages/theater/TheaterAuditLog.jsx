@@ -0,0 +1,27 @@
+import React from 'react';
+import { useParams } from 'react-router-dom';
+import TheaterLayout from '@components/theater/TheaterLayout';
+import PageContainer from '@components/PageContainer';
+import ErrorBoundary from '@components/ErrorBoundary';
+import AuditLogViewer from '@components/audit/AuditLogViewer';
+import '@styles/QRManagementPage.css';
+import '@styles/TheaterList.css';
+
+/**
+ * 📋 Audit Log - who changed prices, stock, roles, users, coupons and orders in this theater, and how
+ */
+const TheaterAuditLog = () => {
+  const { theaterId } = useParams();
+
+  return (
+    <ErrorBoundary>
+      <TheaterLayout pageTitle="Audit Log" currentPage="theater-audit-log">
+        <PageContainer title="Audit Log">
+          <AuditLogViewer theaterId={theaterId} />
+        </PageContainer>
+      </TheaterLayout>
+    </ErrorBoundary>
+  );
+};
+
+export default TheaterAuditLog;
@@ -0,0 +1,558 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams } from 'react-router-dom';
+import TheaterLayout from '@components/theater/TheaterLayout';
+import PageContainer from '@components/PageContainer';
+import ErrorBoundary from '@components/ErrorBoundary';
+import { ActionButton, ActionButtons } from '@components/ActionButton';
+import { useModal } from '@contexts/ModalContext';
+import { useToast } from '@contexts/ToastContext';
+import config from '@config';
+import { unifiedFetch } from '@utils/unifiedFetch';
+import '@styles/QRManagementPage.css';
+import '@styles/TheaterList.css';
+import '@styles/TheaterGlobalModals.css';
+import '@styles/pages/theater/TheaterCoupons.css';
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const toDateTimeInput = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+const formatDate = (value) =>
+  value ? new Date(value).toLocaleString('en-IN', { day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit' }) : '—';
+
+const formatDiscount = (coupon) => {
+  if (coupon.discountType === 'flat') {
+    return `₹${Number(coupon.discountValue).toFixed(2)} off`;
+  }
+  return `${coupon.discountValue}% off${coupon.maxDiscount ? ` (max ₹${coupon.maxDiscount})` : ''}`;
+};
+
+const CHANNEL_LABELS = { online: 'Online', pos: 'Counter' };
+
+const EMPTY_FORM = {
+  code: '',
+  description: '',
+  discountType: 'percentage',
+  discountValue: '',
+  minOrderAmount: '',
+  maxDiscount: '',
+  usageLimit: '',
+  perCustomerLimit: '',
+  validFrom: '',
+  validUntil: '',
+  applicableCategories: [],
+  applicableProducts: [],
+  channels: ['online', 'pos'],
+  isActive: true
+};
+
+const TheaterCoupons = () => {
+  const { theaterId } = useParams();
+  const { confirm } = useModal();
+  const toast = useToast();
+
+  const [coupons, setCoupons] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [showModal, setShowModal] = useState(false);
+  const [editingCoupon, setEditingCoupon] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+
+  const loadCoupons = useCallback(async () => {
+    if (!theaterId) return;
+
+    try {
+      const response = await unifiedFetch(
+        `${config.api.baseUrl}/coupons/${theaterId}`,
+        {},
+        { forceRefresh: true, timeout: 15000 }
+      );
+      const data = await response.json();
+      if (!response.ok || data.success === false) {
+        throw new Error(data.error || data.message || 'Failed to load coupons');
+      }
+      setCoupons(data.data || []);
+    } catch (error) {
+      console.error('Error loading coupons:', error);
+      toast.error(error.message || 'Failed to load coupons');
+    } finally {
+      setLoading(false);
+    }
+  }, [theaterId, toast]);
+
+  // Categories and products a coupon can be limited to
+  const loadCatalog = useCallback(async () => {
+    if (!theaterId) return;
+
+    try {
+      const [categoriesRes, productsRes] = await Promise.all([
+        unifiedFetch(`${config.api.baseUrl}/theater-categories/${theaterId}`, {}, {
+          cacheKey: `theater_categories_${theaterId}`,
+          cacheTTL: 300000
+        }),
+        unifiedFetch(`${config.api.baseUrl}/theater-products/${theaterId}?limit=1000`, {}, {
+          cacheKey: `theater_products_coupons_${theaterId}`,
+          cacheTTL: 300000
+        })
+      ]);
+      const [categoriesData, productsData] = await Promise.all([
+        categoriesRes.json().catch(() => ({})),
+        productsRes.json().catch(() => ({}))
+      ]);
+
+      setCategories((categoriesData.data?.categories || []).map(cat => ({
+        _id: cat._id,
+        name: cat.categoryName || cat.name
+      })));
+
+      const productList = Array.isArray(productsData.data)
+        ? productsData.data
+        : productsData.data?.products || [];
+      setProducts(productList
+        .filter(product => !product.isCombo)
+        .map(product => ({ _id: product._id, name: product.name || product.productName }))
+        .sort((a, b) => String(a.name).localeCompare(String(b.name))));
+    } catch (error) {
+      console.error('Error loading coupon catalog:', error);
+    }
+  }, [theaterId]);
+
+  useEffect(() => {
+    loadCoupons();
+  }, [loadCoupons]);
+
+  useEffect(() => {
+    loadCatalog();
+  }, [loadCatalog]);
+
+  const openCreate = () => {
+    setEditingCoupon(null);
+    setFormData(EMPTY_FORM);
+    setShowModal(true);
+  };
+
+  const openEdit = (coupon) => {
+    setEditingCoupon(coupon);
+    setFormData({
+      code: coupon.code,
+      description: coupon.description || '',
+      discountType: coupon.discountType,
+      discountValue: coupon.discountValue ?? '',
+      minOrderAmount: coupon.minOrderAmount || '',
+      maxDiscount: coupon.maxDiscount ?? '',
+      usageLimit: coupon.usageLimit ?? '',
+      perCustomerLimit: coupon.perCustomerLimit ?? '',
+      validFrom: toDateTimeInput(coupon.validFrom),
+      validUntil: toDateTimeInput(coupon.validUntil),
+      applicableCategories: (coupon.applicableCategories || []).map(String),
+      applicableProducts: (coupon.applicableProducts || []).map(String),
+      channels: coupon.channels?.length ? coupon.channels : ['online', 'pos'],
+      isActive: coupon.isActive !== false
+    });
+    setShowModal(true);
+  };
+
+  const handleInputChange = (field, value) => {
+    setFormData(prev => ({ ...prev, [field]: value }));
+  };
+
+  const toggleChannel = (channel) => {
+    setFormData(prev => ({
+      ...prev,
+      channels: prev.channels.includes(channel)
+        ? prev.channels.filter(entry => entry !== channel)
+        : [...prev.channels, channel]
+    }));
+  };
+
+  const handleMultiSelect = (field, event) => {
+    handleInputChange(field, Array.from(event.target.selectedOptions, option => option.value));
+  };
+
+  const handleSubmit = async () => {
+    if (!formData.code.trim() || !formData.discountValue) {
+      toast.error('Code and discount are required');
+      return;
+    }
+    if (formData.channels.length === 0) {
+      toast.error('Select at least one channel');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const url = editingCoupon
+        ? `${config.api.baseUrl}/coupons/${theaterId}/${editingCoupon._id}`
+        : `${config.api.baseUrl}/coupons/${theaterId}`;
+
+      const response = await unifiedFetch(url, {
+        method: editingCoupon ? 'PUT' : 'POST',
+        body: JSON.stringify({
+          code: formData.code.trim().toUpperCase(),
+          description: formData.description.trim(),
+          discountType: formData.discountType,
+          discountValue: Number(formData.discountValue),
+          minOrderAmount: Number(formData.minOrderAmount) || 0,
+          maxDiscount: formData.discountType === 'percentage' && formData.maxDiscount !== '' ? Number(formData.maxDiscount) : null,
+          usageLimit: formData.usageLimit !== '' ? Number(formData.usageLimit) : null,
+          perCustomerLimit: formData.perCustomerLimit !== '' ? Number(formData.perCustomerLimit) : null,
+          validFrom: formData.validFrom ? new Date(formData.validFrom).toISOString() : null,
+          validUntil: formData.validUntil ? new Date(formData.validUntil).toISOString() : null,
+          applicableCategories: formData.applicableCategories,
+          applicableProducts: formData.applicableProducts,
+          channels: formData.channels,
+          isActive: formData.isActive
+        })
+      }, { forceRefresh: true, retry: false });
+
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok || data.success === false) {
+        throw new Error(data.error || data.message || 'Failed to save coupon');
+      }
+
+      toast.success(editingCoupon ? 'Coupon updated' : 'Coupon added');
+      setShowModal(false);
+      loadCoupons();
+    } catch (error) {
+      console.error('Error saving coupon:', error);
+      toast.error(error.message || 'Failed to save coupon');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (coupon) => {
+    const confirmed = await confirm({
+      title: 'Delete Coupon',
+      message: `Delete coupon ${coupon.code}? Orders already billed with it keep their discount.`,
+      type: 'danger',
+      confirmText: 'Delete'
+    });
+    if (!confirmed) return;
+
+    try {
+      const response = await unifiedFetch(
+        `${config.api.baseUrl}/coupons/${theaterId}/${coupon._id}`,
+        { method: 'DELETE' },
+        { forceRefresh: true, retry: false }
+      );
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok || data.success === false) {
+        throw new Error(data.error || data.message || 'Failed to delete coupon');
+      }
+
+      toast.success('Coupon deleted');
+      loadCoupons();
+    } catch (error) {
+      console.error('Error deleting coupon:', error);
+      toast.error(error.message || 'Failed to delete coupon');
+    }
+  };
+
+  const describeScope = (coupon) => {
+    const categoryCount = coupon.applicableCategories?.length || 0;
+    const productCount = coupon.applicableProducts?.length || 0;
+    if (!categoryCount && !productCount) return 'All items';
+    return [
+      categoryCount ? `${categoryCount} categor${categoryCount === 1 ? 'y' : 'ies'}` : null,
+      productCount ? `${productCount} product${productCount === 1 ? '' : 's'}` : null
+    ].filter(Boolean).join(', ');
+  };
+
+  const headerButton = (
+    <button className="header-btn" onClick={openCreate}>
+      <span className="btn-icon">
+        <svg viewBox="0 0 24 24" fill="currentColor" className="svg-icon-sm">
+          <path d="M19 13h-6v6h-2v-6H5v-2h6V5h2v6h6v2z" />
+        </svg>
+      </span>
+      Add Coupon
+    </button>
+  );
+
+  return (
+    <ErrorBoundary>
+      <TheaterLayout pageTitle="Coupons" currentPage="theater-coupons">
+        <PageContainer title="Coupons" headerButton={headerButton}>
+          <div className="theater-table-container">
+            <table className="theater-table">
+              <thead>
+                <tr>
+                  <th className="sno-cell">S.No</th>
+                  <th className="name-cell">Code</th>
+                  <th>Discount</th>
+                  <th>Min Order</th>
+                  <th>Applies To</th>
+                  <th>Valid</th>
+                  <th>Used</th>
+                  <th className="status-cell">Status</th>
+                  <th className="actions-cell">Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {loading ? (
+                  <tr>
+                    <td colSpan="9" className="loading-cell">
+                      <div className="loading-spinner"></div>
+                      <span>Loading coupons...</span>
+                    </td>
+                  </tr>
+                ) : coupons.length > 0 ? (
+                  coupons.map((coupon, index) => (
+                    <tr key={coupon._id} className={`theater-row ${!coupon.isActive ? 'inactive' : ''}`}>
+                      <td className="sno-cell">{index + 1}</td>
+                      <td className="name-cell">
+                        <div className="qr-name coupon-code">{coupon.code}</div>
+                        {coupon.description && <div className="coupon-description">{coupon.description}</div>}
+                      </td>
+                      <td>{formatDiscount(coupon)}</td>
+                      <td>{coupon.minOrderAmount ? `₹${coupon.minOrderAmount}` : '—'}</td>
+                      <td>
+                        {describeScope(coupon)}
+                        <div className="coupon-channels">
+                          {(coupon.channels || []).map(channel => CHANNEL_LABELS[channel] || channel).join(' · ')}
+                        </div>
+                      </td>
+                      <td className="coupon-validity">
+                        <div>{formatDate(coupon.validFrom)}</div>
+                        <div>{formatDate(coupon.validUntil)}</div>
+                      </td>
+                      <td>
+                        {coupon.usedCount || 0}{coupon.usageLimit ? ` / ${coupon.usageLimit}` : ''}
+                        {coupon.perCustomerLimit && (
+                          <div className="coupon-channels">{coupon.perCustomerLimit} per customer</div>
+                        )}
+                      </td>
+                      <td className="status-cell">
+                        <span className={`status-badge ${coupon.isActive ? 'active' : 'inactive'}`}>
+                          {coupon.isActive ? 'Active' : 'Inactive'}
+                        </span>
+                      </td>
+                      <td className="actions-cell">
+                        <ActionButtons>
+                          <ActionButton type="edit" onClick={() => openEdit(coupon)} title="Edit Coupon" />
+                          <ActionButton type="delete" onClick={() => handleDelete(coupon)} title="Delete Coupon" />
+                        </ActionButtons>
+                      </td>
+                    </tr>
+                  ))
+                ) : (
+                  <tr>
+                    <td colSpan="9" className="empty-cell">
+                      <h3>No Coupons</h3>
+                      <p>Create promo codes customers can enter at checkout or the cashier can apply at the counter.</p>
+                      <button className="add-theater-btn" onClick={openCreate}>
+                        Add First Coupon
+                      </button>
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+
+          {showModal && (
+            <div className="modal-overlay" onClick={() => setShowModal(false)}>
+              <div className="modal-content theater-edit-modal-content" onClick={(e) => e.stopPropagation()}>
+                <div className="modal-header">
+                  <h2>{editingCoupon ? 'Edit Coupon' : 'Add Coupon'}</h2>
+                  <button className="close-btn" onClick={() => setShowModal(false)}>
+                    <svg viewBox="0 0 24 24" fill="currentColor" className="svg-icon-sm">
+                      <path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z" />
+                    </svg>
+                  </button>
+                </div>
+
+                <div className="modal-body">
+                  <div className="edit-form">
+                    <div className="form-group">
+                      <label>Code <span className="required-field-indicator">*</span></label>
+                      <input
+                        type="text"
+                        value={formData.code}
+                        onChange={(e) => handleInputChange('code', e.target.value.toUpperCase())}
+                        className="form-control"
+                        placeholder="e.g. POPCORN20"
+                        maxLength={32}
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label>Description</label>
+                      <input
+                        type="text"
+                        value={formData.description}
+                        onChange={(e) => handleInputChange('description', e.target.value)}
+                        className="form-control"
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label>Discount Type</label>
+                      <select
+                        value={formData.discountType}
+                        onChange={(e) => handleInputChange('discountType', e.target.value)}
+                        className="form-control"
+                      >
+                        <option value="percentage">Percentage</option>
+                        <option value="flat">Flat amount</option>
+                      </select>
+                    </div>
+                    <div className="form-group">
+                      <label>
+                        {formData.discountType === 'flat' ? 'Amount (₹)' : 'Percentage (%)'} <span className="required-field-indicator">*</span>
+                      </label>
+                      <input
+                        type="number"
+                        min="0"
+                        max={formData.discountType === 'percentage' ? 100 : undefined}
+                        value={formData.discountValue}
+                        onChange={(e) => handleInputChange('discountValue', e.target.value)}
+                        className="form-control"
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label>Minimum Order (₹)</label>
+                      <input
+                        type="number"
+                        min="0"
+                        value={formData.minOrderAmount}
+                        onChange={(e) => handleInputChange('minOrderAmount', e.target.value)}
+                        className="form-control"
+                      />
+                    </div>
+                    {formData.discountType === 'percentage' && (
+                      <div className="form-group">
+                        <label>Maximum Discount (₹)</label>
+                        <input
+                          type="number"
+                          min="0"
+                          value={formData.maxDiscount}
+                          onChange={(e) => handleInputChange('maxDiscount', e.target.value)}
+                          className="form-control"
+                          placeholder="No cap"
+                        />
+                      </div>
+                    )}
+                    <div className="form-group">
+                      <label>Total Uses</label>
+                      <input
+                        type="number"
+                        min="1"
+                        value={formData.usageLimit}
+                        onChange={(e) => handleInputChange('usageLimit', e.target.value)}
+                        className="form-control"
+                        placeholder="Unlimited"
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label>Uses per Customer</label>
+                      <input
+                        type="number"
+                        min="1"
+                        value={formData.perCustomerLimit}
+                        onChange={(e) => handleInputChange('perCustomerLimit', e.target.value)}
+                        className="form-control"
+                        placeholder="Unlimited"
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label>Valid From</label>
+                      <input
+                        type="datetime-local"
+                        value={formData.validFrom}
+                        onChange={(e) => handleInputChange('validFrom', e.target.value)}
+                        className="form-control"
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label>Valid Until</label>
+                      <input
+                        type="datetime-local"
+                        value={formData.validUntil}
+                        onChange={(e) => handleInputChange('validUntil', e.target.value)}
+                        className="form-control"
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label>Categories</label>
+                      <select
+                        multiple
+                        value={formData.applicableCategories}
+                        onChange={(e) => handleMultiSelect('applicableCategories', e)}
+                        className="form-control coupon-multi-select"
+                      >
+                        {categories.map(category => (
+                          <option key={category._id} value={category._id}>{category.name}</option>
+                        ))}
+                      </select>
+                    </div>
+                    <div className="form-group">
+                      <label>Products</label>
+                      <select
+                        multiple
+                        value={formData.applicableProducts}
+                        onChange={(e) => handleMultiSelect('applicableProducts', e)}
+                        className="form-control coupon-multi-select"
+                      >
+                        {products.map(product => (
+                          <option key={product._id} value={product._id}>{product.name}</option>
+                        ))}
+                      </select>
+                      <small className="coupon-hint">Leave both empty to apply to every item. Combos never take a coupon.</small>
+                    </div>
+                    <div className="form-group">
+                      <label>Channels</label>
+                      <div className="coupon-channel-options">
+                        {Object.entries(CHANNEL_LABELS).map(([channel, label]) => (
+                          <label key={channel}>
+                            <input
+                              type="checkbox"
+                              checked={formData.channels.includes(channel)}
+                              onChange={() => toggleChannel(channel)}
+                            />
+                            {label}
+                          </label>
+                        ))}
+                      </div>
+                    </div>
+                    <div className="form-group">
+                      <label>Status</label>
+                      <select
+                        value={formData.isActive ? 'Active' : 'Inactive'}
+                        onChange={(e) => handleInputChange('isActive', e.target.value === 'Active')}
+                        className="form-control"
+                      >
+                        <option value="Active">Active</option>
+                        <option value="Inactive">Inactive</option>
+                      </select>
+                    </div>
+                  </div>
+                </div>
+
+                <div className="modal-actions">
+                  <button className="cancel-btn" onClick={() => setShowModal(false)}>
+                    Cancel
+                  </button>
+                  <button
+                    className="btn-primary"
+                    onClick={handleSubmit}
+                    disabled={saving || !formData.code.trim()}
+                  >
+                    {saving ? 'Saving...' : editingCoupon ? 'Save Changes' : 'Add Coupon'}
+                  </button>
+                </div>
+              </div>
+            </div>
+          )}
+        </PageContainer>
+      </TheaterLayout>
+    </ErrorBoundary>
+  );
+};
+
+export default TheaterCoupons;
@@ -270,6 +270,10 @@ const TheaterDashboard = () => {
     return dashboardData.categoryMetadata;
   }, [dashboardData]);
 
+  const runnerStats = useMemo(() => {
+    return Array.isArray(dashboardData?.runnerStats) ? dashboardData.runnerStats : [];
+  }, [dashboardData]);
+
   const recentTransactions = useMemo(() => {
     if (!dashboardData?.recentTransactions) return [];
     return dashboardData.recentTransactions;
@@ -1412,6 +1416,37 @@ Active
                 );
               })()}
             </div>
+
+            {/* Seat Delivery - per-runner delivery times */}
+            {runnerStats.length > 0 && (
+              <div className="tadmin-specialty-card">
+                <h3 className="tadmin-chart-title">Seat Delivery</h3>
+                <div className="tadmin-transaction-table-container" style={{ marginTop: '16px' }}>
+                  <table className="tadmin-transaction-table">
+                    <thead className="tadmin-transaction-thead">
+                      <tr>
+                        <th>Runner</th>
+                        <th>Deliveries</th>
+                        <th>Avg Delivery</th>
+                        <th>Avg Pickup Wait</th>
+                        <th>Slowest</th>
+                      </tr>
+                    </thead>
+                    <tbody className="tadmin-transaction-tbody">
+                      {runnerStats.map(runner => (
+                        <tr key={runner.runnerId} className="tadmin-transaction-row">
+                          <td>{runner.runnerName}</td>
+                          <td>{runner.deliveries}</td>
+                          <td>{runner.avgDeliveryMinutes} min</td>
+                          <td>{runner.avgWaitMinutes !== null ? `${runner.avgWaitMinutes} min` : '-'}</td>
+                          <td>{runner.slowestDeliveryMinutes} min</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            )}
           </div>
         </div>
 
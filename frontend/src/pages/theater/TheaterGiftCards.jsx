@@ -0,0 +1,632 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams } from 'react-router-dom';
+import QRCode from 'qrcode';
+import TheaterLayout from '@components/theater/TheaterLayout';
+import PageContainer from '@components/PageContainer';
+import ErrorBoundary from '@components/ErrorBoundary';
+import { ActionButton, ActionButtons } from '@components/ActionButton';
+import { useModal } from '@contexts/ModalContext';
+import { useToast } from '@contexts/ToastContext';
+import config from '@config';
+import { unifiedFetch } from '@utils/unifiedFetch';
+import { formatGiftCardCode } from '@utils/giftCards';
+import '@styles/QRManagementPage.css';
+import '@styles/TheaterList.css';
+import '@styles/TheaterGlobalModals.css';
+import '@styles/pages/theater/TheaterGiftCards.css';
+
+const PAGE_SIZE = 50;
+
+const TRANSACTION_LABELS = {
+  issue: 'Issued',
+  topup: 'Top-up',
+  redeem: 'Redeemed',
+  refund: 'Refunded',
+  block: 'Blocked',
+  unblock: 'Unblocked'
+};
+
+const EMPTY_ISSUE_FORM = {
+  amount: '',
+  paymentMethod: 'cash',
+  customerName: '',
+  customerPhone: '',
+  expiresAt: '',
+  note: ''
+};
+
+const EMPTY_TOP_UP_FORM = { amount: '', paymentMethod: 'cash' };
+
+const formatAmount = (value) => `₹${Number(value || 0).toFixed(2)}`;
+
+const formatDate = (value) =>
+  value ? new Date(value).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' }) : '—';
+
+const formatDateTime = (value) =>
+  value ? new Date(value).toLocaleString('en-IN', { day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit' }) : '—';
+
+const isExpired = (card) => card.expiresAt && new Date(card.expiresAt) <= new Date();
+
+const TheaterGiftCards = () => {
+  const { theaterId } = useParams();
+  const { confirm } = useModal();
+  const toast = useToast();
+
+  const [cards, setCards] = useState([]);
+  const [summary, setSummary] = useState({ totalCards: 0, activeCards: 0, outstandingBalance: 0 });
+  const [pagination, setPagination] = useState({ current: 1, pages: 1, total: 0 });
+  const [page, setPage] = useState(1);
+  const [search, setSearch] = useState('');
+  const [statusFilter, setStatusFilter] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  const [showIssueModal, setShowIssueModal] = useState(false);
+  const [issueForm, setIssueForm] = useState(EMPTY_ISSUE_FORM);
+
+  // Card details modal: code + QR, top-up and the card's ledger
+  const [selectedCard, setSelectedCard] = useState(null);
+  const [qrDataUrl, setQrDataUrl] = useState('');
+  const [topUpForm, setTopUpForm] = useState(EMPTY_TOP_UP_FORM);
+
+  const loadCards = useCallback(async () => {
+    if (!theaterId) return;
+
+    try {
+      const params = new URLSearchParams({ page, limit: PAGE_SIZE });
+      if (search.trim()) params.set('search', search.trim());
+      if (statusFilter) params.set('status', statusFilter);
+
+      const response = await unifiedFetch(
+        `${config.api.baseUrl}/gift-cards/${theaterId}?${params.toString()}`,
+        {},
+        { forceRefresh: true, timeout: 15000 }
+      );
+      const data = await response.json();
+      if (!response.ok || data.success === false) {
+        throw new Error(data.error || data.message || 'Failed to load gift cards');
+      }
+      setCards(data.data?.cards || []);
+      setSummary(data.data?.summary || { totalCards: 0, activeCards: 0, outstandingBalance: 0 });
+      setPagination(data.data?.pagination || { current: 1, pages: 1, total: 0 });
+    } catch (error) {
+      console.error('Error loading gift cards:', error);
+      toast.error(error.message || 'Failed to load gift cards');
+    } finally {
+      setLoading(false);
+    }
+  }, [theaterId, page, search, statusFilter, toast]);
+
+  useEffect(() => {
+    const timer = setTimeout(loadCards, 300);
+    return () => clearTimeout(timer);
+  }, [loadCards]);
+
+  useEffect(() => {
+    if (!selectedCard?.code) {
+      setQrDataUrl('');
+      return;
+    }
+    QRCode.toDataURL(selectedCard.code, {
+      width: 220,
+      margin: 2,
+      color: { dark: '#000000', light: '#FFFFFF' },
+      errorCorrectionLevel: 'M'
+    })
+      .then(setQrDataUrl)
+      .catch(err => console.error('❌ [TheaterGiftCards] QR generation failed:', err));
+  }, [selectedCard?.code]);
+
+  const openCard = async (cardId) => {
+    try {
+      const response = await unifiedFetch(
+        `${config.api.baseUrl}/gift-cards/${theaterId}/${cardId}`,
+        {},
+        { forceRefresh: true, timeout: 15000 }
+      );
+      const data = await response.json();
+      if (!response.ok || data.success === false) {
+        throw new Error(data.error || data.message || 'Failed to load gift card');
+      }
+      setTopUpForm(EMPTY_TOP_UP_FORM);
+      setSelectedCard(data.data);
+    } catch (error) {
+      console.error('Error loading gift card:', error);
+      toast.error(error.message || 'Failed to load gift card');
+    }
+  };
+
+  const handleIssueChange = (field, value) => {
+    setIssueForm(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleIssue = async () => {
+    if (!(Number(issueForm.amount) > 0)) {
+      toast.error('Enter the amount loaded on the card');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const response = await unifiedFetch(`${config.api.baseUrl}/gift-cards/${theaterId}`, {
+        method: 'POST',
+        body: JSON.stringify({
+          amount: Number(issueForm.amount),
+          paymentMethod: issueForm.paymentMethod,
+          customerName: issueForm.customerName.trim() || undefined,
+          customerPhone: issueForm.customerPhone.trim() || undefined,
+          // Cards work until the end of the expiry day
+          expiresAt: issueForm.expiresAt ? new Date(`${issueForm.expiresAt}T23:59:59`).toISOString() : null,
+          note: issueForm.note.trim() || undefined
+        })
+      }, { forceRefresh: true, retry: false });
+
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok || data.success === false) {
+        throw new Error(data.error || data.message || 'Failed to issue gift card');
+      }
+
+      toast.success(`Gift card ${formatGiftCardCode(data.data.code)} issued`);
+      setShowIssueModal(false);
+      setIssueForm(EMPTY_ISSUE_FORM);
+      loadCards();
+      openCard(data.data._id);
+    } catch (error) {
+      console.error('Error issuing gift card:', error);
+      toast.error(error.message || 'Failed to issue gift card');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleTopUp = async () => {
+    if (!(Number(topUpForm.amount) > 0)) {
+      toast.error('Enter the top-up amount');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const response = await unifiedFetch(
+        `${config.api.baseUrl}/gift-cards/${theaterId}/${selectedCard._id}/top-up`,
+        {
+          method: 'POST',
+          body: JSON.stringify({ amount: Number(topUpForm.amount), paymentMethod: topUpForm.paymentMethod })
+        },
+        { forceRefresh: true, retry: false }
+      );
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok || data.success === false) {
+        throw new Error(data.error || data.message || 'Failed to top up gift card');
+      }
+
+      toast.success(`Added ${formatAmount(topUpForm.amount)} to the card`);
+      loadCards();
+      openCard(selectedCard._id);
+    } catch (error) {
+      console.error('Error topping up gift card:', error);
+      toast.error(error.message || 'Failed to top up gift card');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleStatus = async (card) => {
+    const blocking = card.status === 'active';
+    const confirmed = await confirm({
+      title: blocking ? 'Block Gift Card' : 'Unblock Gift Card',
+      message: blocking
+        ? `Block ${formatGiftCardCode(card.code)}? The balance of ${formatAmount(card.balance)} cannot be spent until the card is unblocked.`
+        : `Unblock ${formatGiftCardCode(card.code)}? The card can be spent again.`,
+      type: blocking ? 'danger' : 'warning',
+      confirmText: blocking ? 'Block' : 'Unblock'
+    });
+    if (!confirmed) return;
+
+    try {
+      const response = await unifiedFetch(
+        `${config.api.baseUrl}/gift-cards/${theaterId}/${card._id}/status`,
+        { method: 'PUT', body: JSON.stringify({ status: blocking ? 'blocked' : 'active' }) },
+        { forceRefresh: true, retry: false }
+      );
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok || data.success === false) {
+        throw new Error(data.error || data.message || 'Failed to update gift card');
+      }
+
+      toast.success(blocking ? 'Gift card blocked' : 'Gift card unblocked');
+      loadCards();
+      if (selectedCard?._id === card._id) openCard(card._id);
+    } catch (error) {
+      console.error('Error updating gift card:', error);
+      toast.error(error.message || 'Failed to update gift card');
+    }
+  };
+
+  // Printable card for the customer: code, QR and the value loaded
+  const handlePrintCard = () => {
+    if (!selectedCard || !qrDataUrl) return;
+
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) {
+      toast.error('Allow pop-ups to print the gift card');
+      return;
+    }
+    printWindow.document.write(`
+      <html>
+        <head>
+          <title>Gift Card ${selectedCard.code}</title>
+          <style>
+            body { font-family: Arial, sans-serif; display: flex; justify-content: center; padding: 24px; }
+            .card { width: 300px; padding: 20px; border: 2px dashed #6B0E9B; border-radius: 12px; text-align: center; }
+            .title { font-size: 20px; font-weight: bold; color: #6B0E9B; }
+            .code { font-family: monospace; font-size: 20px; letter-spacing: 2px; margin: 8px 0; }
+            .value { font-size: 16px; font-weight: bold; }
+            .meta { font-size: 12px; color: #555; margin-top: 6px; }
+          </style>
+        </head>
+        <body>
+          <div class="card">
+            <div class="title">Gift Card</div>
+            <img src="${qrDataUrl}" alt="Gift card QR" width="180" height="180" />
+            <div class="code">${formatGiftCardCode(selectedCard.code)}</div>
+            <div class="value">Balance ${formatAmount(selectedCard.balance)}</div>
+            ${selectedCard.expiresAt ? `<div class="meta">Valid until ${formatDate(selectedCard.expiresAt)}</div>` : ''}
+            <div class="meta">Show this card at the counter or enter the code at checkout</div>
+          </div>
+        </body>
+      </html>
+    `);
+    printWindow.document.close();
+    printWindow.onload = () => {
+      printWindow.focus();
+      printWindow.print();
+    };
+  };
+
+  const headerButton = (
+    <button className="header-btn" onClick={() => setShowIssueModal(true)}>
+      <span className="btn-icon">
+        <svg viewBox="0 0 24 24" fill="currentColor" className="svg-icon-sm">
+          <path d="M19 13h-6v6h-2v-6H5v-2h6V5h2v6h6v2z" />
+        </svg>
+      </span>
+      Issue Gift Card
+    </button>
+  );
+
+  return (
+    <ErrorBoundary>
+      <TheaterLayout pageTitle="Gift Cards" currentPage="theater-gift-cards">
+        <PageContainer title="Gift Cards" headerButton={headerButton}>
+          <div className="qr-management-page">
+            <div className="qr-stats">
+              <div className="stat-card">
+                <div className="stat-number">{summary.totalCards}</div>
+                <div className="stat-label">Cards Issued</div>
+              </div>
+              <div className="stat-card">
+                <div className="stat-number">{summary.activeCards}</div>
+                <div className="stat-label">Active Cards</div>
+              </div>
+              <div className="stat-card">
+                <div className="stat-number">₹{Number(summary.outstandingBalance || 0).toFixed(0)}</div>
+                <div className="stat-label">Outstanding Balance</div>
+              </div>
+            </div>
+
+            <div className="gift-card-filters">
+              <input
+                type="text"
+                value={search}
+                onChange={(e) => {
+                  setSearch(e.target.value);
+                  setPage(1);
+                }}
+                className="form-control"
+                placeholder="Search by code, name or phone"
+                maxLength={50}
+              />
+              <select
+                value={statusFilter}
+                onChange={(e) => {
+                  setStatusFilter(e.target.value);
+                  setPage(1);
+                }}
+                className="form-control"
+              >
+                <option value="">All cards</option>
+                <option value="active">Active</option>
+                <option value="blocked">Blocked</option>
+              </select>
+            </div>
+          </div>
+
+          <div className="theater-table-container">
+            <table className="theater-table">
+              <thead>
+                <tr>
+                  <th className="sno-cell">S.No</th>
+                  <th className="name-cell">Card Code</th>
+                  <th>Customer</th>
+                  <th>Loaded</th>
+                  <th>Balance</th>
+                  <th>Expires</th>
+                  <th>Last Used</th>
+                  <th className="status-cell">Status</th>
+                  <th className="actions-cell">Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {loading ? (
+                  <tr>
+                    <td colSpan="9" className="loading-cell">
+                      <div className="loading-spinner"></div>
+                      <span>Loading gift cards...</span>
+                    </td>
+                  </tr>
+                ) : cards.length > 0 ? (
+                  cards.map((card, index) => (
+                    <tr key={card._id} className={`theater-row ${card.status !== 'active' ? 'inactive' : ''}`}>
+                      <td className="sno-cell">{(pagination.current - 1) * PAGE_SIZE + index + 1}</td>
+                      <td className="name-cell">
+                        <div className="qr-name gift-card-code">{formatGiftCardCode(card.code)}</div>
+                      </td>
+                      <td>
+                        <div>{card.customerName || '—'}</div>
+                        {card.customerPhone && <div className="gift-card-muted">{card.customerPhone}</div>}
+                      </td>
+                      <td>{formatAmount(card.initialValue)}</td>
+                      <td className="gift-card-balance">{formatAmount(card.balance)}</td>
+                      <td className={isExpired(card) ? 'gift-card-expired' : ''}>{formatDate(card.expiresAt)}</td>
+                      <td>{formatDateTime(card.lastUsedAt)}</td>
+                      <td className="status-cell">
+                        <span className={`status-badge ${card.status === 'active' && !isExpired(card) ? 'active' : 'inactive'}`}>
+                          {card.status === 'blocked' ? 'Blocked' : isExpired(card) ? 'Expired' : 'Active'}
+                        </span>
+                      </td>
+                      <td className="actions-cell">
+                        <ActionButtons>
+                          <ActionButton type="view" onClick={() => openCard(card._id)} title="Card Details & Top-up" />
+                          <ActionButton
+                            type={card.status === 'active' ? 'deactivate' : 'activate'}
+                            onClick={() => handleToggleStatus(card)}
+                            title={card.status === 'active' ? 'Block Card' : 'Unblock Card'}
+                          />
+                        </ActionButtons>
+                      </td>
+                    </tr>
+                  ))
+                ) : (
+                  <tr>
+                    <td colSpan="9" className="empty-cell">
+                      <h3>No Gift Cards</h3>
+                      <p>Sell prepaid cards at the counter - customers spend them at the POS or at online checkout.</p>
+                      <button className="add-theater-btn" onClick={() => setShowIssueModal(true)}>
+                        Issue First Card
+                      </button>
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+
+          {pagination.pages > 1 && (
+            <div className="gift-card-pagination">
+              <button className="cancel-btn" onClick={() => setPage(prev => prev - 1)} disabled={page <= 1}>
+                Previous
+              </button>
+              <span>Page {pagination.current} of {pagination.pages} ({pagination.total} cards)</span>
+              <button className="cancel-btn" onClick={() => setPage(prev => prev + 1)} disabled={page >= pagination.pages}>
+                Next
+              </button>
+            </div>
+          )}
+
+          {showIssueModal && (
+            <div className="modal-overlay" onClick={() => setShowIssueModal(false)}>
+              <div className="modal-content theater-edit-modal-content" onClick={(e) => e.stopPropagation()}>
+                <div className="modal-header">
+                  <h2>Issue Gift Card</h2>
+                  <button className="close-btn" onClick={() => setShowIssueModal(false)}>
+                    <svg viewBox="0 0 24 24" fill="currentColor" className="svg-icon-sm">
+                      <path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z" />
+                    </svg>
+                  </button>
+                </div>
+
+                <div className="modal-body">
+                  <div className="edit-form">
+                    <div className="form-group">
+                      <label>Amount (₹) <span className="required-field-indicator">*</span></label>
+                      <input
+                        type="number"
+                        min="1"
+                        step="0.01"
+                        value={issueForm.amount}
+                        onChange={(e) => handleIssueChange('amount', e.target.value)}
+                        className="form-control"
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label>Paid By</label>
+                      <select
+                        value={issueForm.paymentMethod}
+                        onChange={(e) => handleIssueChange('paymentMethod', e.target.value)}
+                        className="form-control"
+                      >
+                        <option value="cash">Cash</option>
+                        <option value="upi">UPI</option>
+                        <option value="card">Card</option>
+                      </select>
+                      <small className="gift-card-hint">Counted in the cashier&apos;s shift as a gift card sale.</small>
+                    </div>
+                    <div className="form-group">
+                      <label>Customer Name</label>
+                      <input
+                        type="text"
+                        value={issueForm.customerName}
+                        onChange={(e) => handleIssueChange('customerName', e.target.value)}
+                        className="form-control"
+                        maxLength={100}
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label>Customer Phone</label>
+                      <input
+                        type="tel"
+                        value={issueForm.customerPhone}
+                        onChange={(e) => handleIssueChange('customerPhone', e.target.value.replace(/[^0-9+]/g, ''))}
+                        className="form-control"
+                        maxLength={15}
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label>Valid Until</label>
+                      <input
+                        type="date"
+                        value={issueForm.expiresAt}
+                        onChange={(e) => handleIssueChange('expiresAt', e.target.value)}
+                        className="form-control"
+                      />
+                      <small className="gift-card-hint">Leave empty for a card that never expires.</small>
+                    </div>
+                    <div className="form-group">
+                      <label>Note</label>
+                      <input
+                        type="text"
+                        value={issueForm.note}
+                        onChange={(e) => handleIssueChange('note', e.target.value)}
+                        className="form-control"
+                        maxLength={200}
+                      />
+                    </div>
+                  </div>
+                </div>
+
+                <div className="modal-actions">
+                  <button className="cancel-btn" onClick={() => setShowIssueModal(false)}>
+                    Cancel
+                  </button>
+                  <button className="btn-primary" onClick={handleIssue} disabled={saving || !issueForm.amount}>
+                    {saving ? 'Issuing...' : 'Issue Gift Card'}
+                  </button>
+                </div>
+              </div>
+            </div>
+          )}
+
+          {selectedCard && (
+            <div className="modal-overlay" onClick={() => setSelectedCard(null)}>
+              <div className="modal-content theater-edit-modal-content" onClick={(e) => e.stopPropagation()}>
+                <div className="modal-header">
+                  <h2>Gift Card {formatGiftCardCode(selectedCard.code)}</h2>
+                  <button className="close-btn" onClick={() => setSelectedCard(null)}>
+                    <svg viewBox="0 0 24 24" fill="currentColor" className="svg-icon-sm">
+                      <path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z" />
+                    </svg>
+                  </button>
+                </div>
+
+                <div className="modal-body">
+                  <div className="gift-card-preview">
+                    {qrDataUrl && <img src={qrDataUrl} alt="Gift card QR" width="160" height="160" />}
+                    <div className="gift-card-preview-info">
+                      <div className="gift-card-code">{formatGiftCardCode(selectedCard.code)}</div>
+                      <div className="gift-card-balance">{formatAmount(selectedCard.balance)}</div>
+                      <div className="gift-card-muted">
+                        {selectedCard.status === 'blocked' ? 'Blocked' : isExpired(selectedCard) ? 'Expired' : 'Active'}
+                        {selectedCard.expiresAt && ` · valid until ${formatDate(selectedCard.expiresAt)}`}
+                      </div>
+                      {selectedCard.customerName && (
+                        <div className="gift-card-muted">
+                          {selectedCard.customerName}{selectedCard.customerPhone ? ` · ${selectedCard.customerPhone}` : ''}
+                        </div>
+                      )}
+                      <button className="btn-primary" onClick={handlePrintCard} disabled={!qrDataUrl}>
+                        Print Card
+                      </button>
+                    </div>
+                  </div>
+
+                  {selectedCard.status === 'active' && (
+                    <div className="gift-card-top-up">
+                      <input
+                        type="number"
+                        min="1"
+                        step="0.01"
+                        value={topUpForm.amount}
+                        onChange={(e) => setTopUpForm(prev => ({ ...prev, amount: e.target.value }))}
+                        className="form-control"
+                        placeholder="Top-up amount (₹)"
+                      />
+                      <select
+                        value={topUpForm.paymentMethod}
+                        onChange={(e) => setTopUpForm(prev => ({ ...prev, paymentMethod: e.target.value }))}
+                        className="form-control"
+                      >
+                        <option value="cash">Cash</option>
+                        <option value="upi">UPI</option>
+                        <option value="card">Card</option>
+                      </select>
+                      <button className="btn-primary" onClick={handleTopUp} disabled={saving || !topUpForm.amount}>
+                        {saving ? 'Adding...' : 'Top Up'}
+                      </button>
+                    </div>
+                  )}
+
+                  <h3 className="gift-card-history-title">Card History</h3>
+                  <div className="gift-card-history">
+                    <table className="theater-table">
+                      <thead>
+                        <tr>
+                          <th>Date</th>
+                          <th>Movement</th>
+                          <th>Amount</th>
+                          <th>Balance</th>
+                          <th>Details</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {(selectedCard.history || []).map(entry => (
+                          <tr key={entry._id}>
+                            <td>{formatDateTime(entry.createdAt)}</td>
+                            <td>{TRANSACTION_LABELS[entry.type] || entry.type}</td>
+                            <td className={entry.amount < 0 ? 'gift-card-debit' : 'gift-card-credit'}>
+                              {entry.amount ? `${entry.amount < 0 ? '−' : '+'}${formatAmount(Math.abs(entry.amount))}` : '—'}
+                            </td>
+                            <td>{formatAmount(entry.balanceAfter)}</td>
+                            <td className="gift-card-muted">
+                              {[
+                                entry.orderNumber && `Order ${entry.orderNumber}`,
+                                entry.paymentMethod && entry.paymentMethod.toUpperCase(),
+                                entry.performedBy?.username,
+                                entry.note
+                              ].filter(Boolean).join(' · ') || '—'}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+
+                <div className="modal-actions">
+                  <button className="cancel-btn" onClick={() => handleToggleStatus(selectedCard)}>
+                    {selectedCard.status === 'active' ? 'Block Card' : 'Unblock Card'}
+                  </button>
+                  <button className="btn-primary" onClick={() => setSelectedCard(null)}>
+                    Close
+                  </button>
+                </div>
+              </div>
+            </div>
+          )}
+        </PageContainer>
+      </TheaterLayout>
+    </ErrorBoundary>
+  );
+};
+
+export default TheaterGiftCards;
@@ -0,0 +1,249 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams } from 'react-router-dom';
+import TheaterLayout from '@components/theater/TheaterLayout';
+import PageContainer from '@components/PageContainer';
+import ErrorBoundary from '@components/ErrorBoundary';
+import { useToast } from '@contexts/ToastContext';
+import config from '@config';
+import { unifiedFetch } from '@utils/unifiedFetch';
+import '@styles/QRManagementPage.css';
+import '@styles/TheaterList.css';
+import '@styles/TheaterGlobalModals.css';
+import '@styles/pages/theater/TheaterLoyalty.css';
+
+const EMPTY_FORM = {
+  isEnabled: false,
+  earnRate: 5,
+  pointValue: 1,
+  minRedeemPoints: 0,
+  maxRedeemPercent: 50,
+  expiryDays: 365
+};
+
+const formatDate = (value) =>
+  value ? new Date(value).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' }) : '—';
+
+const TheaterLoyalty = () => {
+  const { theaterId } = useParams();
+  const toast = useToast();
+
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [stats, setStats] = useState({ members: 0, outstandingPoints: 0 });
+  const [startedAt, setStartedAt] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  const loadProgram = useCallback(async () => {
+    if (!theaterId) return;
+
+    try {
+      const response = await unifiedFetch(
+        `${config.api.baseUrl}/loyalty/${theaterId}/program`,
+        {},
+        { forceRefresh: true, timeout: 15000 }
+      );
+      const data = await response.json();
+      if (!response.ok || data.success === false) {
+        throw new Error(data.error || data.message || 'Failed to load loyalty program');
+      }
+
+      const program = data.data || {};
+      setFormData({
+        isEnabled: program.isEnabled === true,
+        earnRate: program.earnRate ?? EMPTY_FORM.earnRate,
+        pointValue: program.pointValue ?? EMPTY_FORM.pointValue,
+        minRedeemPoints: program.minRedeemPoints ?? EMPTY_FORM.minRedeemPoints,
+        maxRedeemPercent: program.maxRedeemPercent ?? EMPTY_FORM.maxRedeemPercent,
+        expiryDays: program.expiryDays ?? EMPTY_FORM.expiryDays
+      });
+      setStartedAt(program.startedAt || null);
+      setStats(program.stats || { members: 0, outstandingPoints: 0 });
+    } catch (error) {
+      console.error('Error loading loyalty program:', error);
+      toast.error(error.message || 'Failed to load loyalty program');
+    } finally {
+      setLoading(false);
+    }
+  }, [theaterId, toast]);
+
+  useEffect(() => {
+    loadProgram();
+  }, [loadProgram]);
+
+  const handleInputChange = (field, value) => {
+    setFormData(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleSubmit = async () => {
+    if (Number(formData.pointValue) <= 0) {
+      toast.error('Point value must be more than ₹0');
+      return;
+    }
+    if (Number(formData.maxRedeemPercent) < 0 || Number(formData.maxRedeemPercent) > 100) {
+      toast.error('Redemption cap must be between 0 and 100%');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const response = await unifiedFetch(`${config.api.baseUrl}/loyalty/${theaterId}/program`, {
+        method: 'PUT',
+        body: JSON.stringify({
+          isEnabled: formData.isEnabled,
+          earnRate: Number(formData.earnRate) || 0,
+          pointValue: Number(formData.pointValue),
+          minRedeemPoints: parseInt(formData.minRedeemPoints, 10) || 0,
+          maxRedeemPercent: Number(formData.maxRedeemPercent) || 0,
+          expiryDays: parseInt(formData.expiryDays, 10) || 0
+        })
+      }, { forceRefresh: true, retry: false });
+
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok || data.success === false) {
+        throw new Error(data.error || data.message || 'Failed to save loyalty program');
+      }
+
+      toast.success('Loyalty program saved');
+      loadProgram();
+    } catch (error) {
+      console.error('Error saving loyalty program:', error);
+      toast.error(error.message || 'Failed to save loyalty program');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Example shown under the form so staff can check the numbers make sense
+  const exampleBill = 500;
+  const examplePoints = Math.floor(exampleBill * (Number(formData.earnRate) || 0) / 100);
+  const exampleValue = examplePoints * (Number(formData.pointValue) || 0);
+
+  return (
+    <ErrorBoundary>
+      <TheaterLayout pageTitle="Loyalty Points" currentPage="theater-loyalty">
+        <PageContainer title="Loyalty Points">
+          <div className="qr-management-page">
+            <div className="qr-stats">
+              <div className="stat-card">
+                <div className="stat-number">{formData.isEnabled ? 'On' : 'Off'}</div>
+                <div className="stat-label">Program</div>
+              </div>
+              <div className="stat-card">
+                <div className="stat-number">{stats.members}</div>
+                <div className="stat-label">Customers With Points</div>
+              </div>
+              <div className="stat-card">
+                <div className="stat-number">{stats.outstandingPoints}</div>
+                <div className="stat-label">Unspent Points</div>
+              </div>
+              <div className="stat-card">
+                <div className="stat-number">
+                  ₹{(stats.outstandingPoints * (Number(formData.pointValue) || 0)).toFixed(0)}
+                </div>
+                <div className="stat-label">Liability</div>
+              </div>
+            </div>
+
+            <div className="loyalty-settings-card">
+              {loading ? (
+                <div className="loyalty-settings-loading">Loading loyalty program...</div>
+              ) : (
+                <div className="edit-form loyalty-settings-form">
+                  <div className="form-group">
+                    <label className="loyalty-toggle">
+                      <input
+                        type="checkbox"
+                        checked={formData.isEnabled}
+                        onChange={(e) => handleInputChange('isEnabled', e.target.checked)}
+                      />
+                      Customers earn and spend points at this theater
+                    </label>
+                    <span className="loyalty-hint">
+                      {startedAt
+                        ? `Running since ${formatDate(startedAt)} - only orders paid after this date earn points`
+                        : 'Only orders paid after the program is first switched on earn points'}
+                    </span>
+                  </div>
+
+                  <div className="form-group">
+                    <label>Points per ₹100 paid</label>
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.5"
+                      value={formData.earnRate}
+                      onChange={(e) => handleInputChange('earnRate', e.target.value)}
+                      className="form-control"
+                    />
+                  </div>
+
+                  <div className="form-group">
+                    <label>Value of 1 point (₹)</label>
+                    <input
+                      type="number"
+                      min="0.01"
+                      step="0.01"
+                      value={formData.pointValue}
+                      onChange={(e) => handleInputChange('pointValue', e.target.value)}
+                      className="form-control"
+                    />
+                  </div>
+
+                  <div className="form-group">
+                    <label>Minimum points to redeem</label>
+                    <input
+                      type="number"
+                      min="0"
+                      step="1"
+                      value={formData.minRedeemPoints}
+                      onChange={(e) => handleInputChange('minRedeemPoints', e.target.value)}
+                      className="form-control"
+                    />
+                  </div>
+
+                  <div className="form-group">
+                    <label>Redemption cap (% of a bill)</label>
+                    <input
+                      type="number"
+                      min="0"
+                      max="100"
+                      step="1"
+                      value={formData.maxRedeemPercent}
+                      onChange={(e) => handleInputChange('maxRedeemPercent', e.target.value)}
+                      className="form-control"
+                    />
+                  </div>
+
+                  <div className="form-group">
+                    <label>Points expire after (days)</label>
+                    <input
+                      type="number"
+                      min="0"
+                      step="1"
+                      value={formData.expiryDays}
+                      onChange={(e) => handleInputChange('expiryDays', e.target.value)}
+                      className="form-control"
+                    />
+                    <span className="loyalty-hint">0 keeps points forever</span>
+                  </div>
+
+                  <p className="loyalty-example">
+                    A ₹{exampleBill} order earns {examplePoints} points, worth ₹{exampleValue.toFixed(2)} on a later order.
+                  </p>
+
+                  <div className="modal-actions">
+                    <button className="btn-primary" onClick={handleSubmit} disabled={saving}>
+                      {saving ? 'Saving...' : 'Save Loyalty Program'}
+                    </button>
+                  </div>
+                </div>
+              )}
+            </div>
+          </div>
+        </PageContainer>
+      </TheaterLayout>
+    </ErrorBoundary>
+  );
+};
+
+export default TheaterLoyalty;
@@ -0,0 +1,549 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams } from 'react-router-dom';
+import TheaterLayout from '@components/theater/TheaterLayout';
+import PageContainer from '@components/PageContainer';
+import ErrorBoundary from '@components/ErrorBoundary';
+import { ActionButton, ActionButtons } from '@components/ActionButton';
+import { useModal } from '@contexts/ModalContext';
+import { useToast } from '@contexts/ToastContext';
+import config from '@config';
+import { unifiedFetch } from '@utils/unifiedFetch';
+import '@styles/QRManagementPage.css';
+import '@styles/TheaterList.css';
+import '@styles/TheaterGlobalModals.css';
+import '@styles/pages/theater/TheaterPricingRules.css';
+
+const DAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const toDateInput = (value) => (value ? new Date(value).toISOString().slice(0, 10) : '');
+
+const formatDate = (value) =>
+  value ? new Date(value).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' }) : '—';
+
+const formatAdjustment = (rule) => {
+  if (rule.adjustmentType === 'fixed') {
+    return `Sell at ₹${Number(rule.value).toFixed(2)}`;
+  }
+  const sign = rule.direction === 'increase' ? '+' : '−';
+  return rule.adjustmentType === 'percentage'
+    ? `${sign}${rule.value}%`
+    : `${sign}₹${Number(rule.value).toFixed(2)}`;
+};
+
+const formatDays = (days = []) => {
+  if (days.length === 0 || days.length === 7) return 'Every day';
+  return [...days].sort().map(day => DAY_LABELS[day]).join(', ');
+};
+
+const formatWindow = (rule) => {
+  if (!rule.startTime && !rule.endTime) return 'All day';
+  return `${rule.startTime || '00:00'} – ${rule.endTime || '24:00'}`;
+};
+
+const EMPTY_FORM = {
+  name: '',
+  adjustmentType: 'percentage',
+  direction: 'decrease',
+  value: '',
+  daysOfWeek: [],
+  startTime: '',
+  endTime: '',
+  validFrom: '',
+  validUntil: '',
+  applicableCategories: [],
+  applicableProducts: [],
+  priority: 0,
+  isActive: true
+};
+
+const TheaterPricingRules = () => {
+  const { theaterId } = useParams();
+  const { confirm } = useModal();
+  const toast = useToast();
+
+  const [rules, setRules] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [showModal, setShowModal] = useState(false);
+  const [editingRule, setEditingRule] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+
+  const loadRules = useCallback(async () => {
+    if (!theaterId) return;
+
+    try {
+      const response = await unifiedFetch(
+        `${config.api.baseUrl}/pricing-rules/${theaterId}`,
+        {},
+        { forceRefresh: true, timeout: 15000 }
+      );
+      const data = await response.json();
+      if (!response.ok || data.success === false) {
+        throw new Error(data.error || data.message || 'Failed to load pricing rules');
+      }
+      setRules(data.data || []);
+    } catch (error) {
+      console.error('Error loading pricing rules:', error);
+      toast.error(error.message || 'Failed to load pricing rules');
+    } finally {
+      setLoading(false);
+    }
+  }, [theaterId, toast]);
+
+  // Categories and products a rule can be limited to
+  const loadCatalog = useCallback(async () => {
+    if (!theaterId) return;
+
+    try {
+      const [categoriesRes, productsRes] = await Promise.all([
+        unifiedFetch(`${config.api.baseUrl}/theater-categories/${theaterId}`, {}, {
+          cacheKey: `theater_categories_${theaterId}`,
+          cacheTTL: 300000
+        }),
+        unifiedFetch(`${config.api.baseUrl}/theater-products/${theaterId}?limit=1000&applyPricingRules=false`, {}, {
+          cacheKey: `theater_products_pricing_rules_${theaterId}`,
+          cacheTTL: 300000
+        })
+      ]);
+      const [categoriesData, productsData] = await Promise.all([
+        categoriesRes.json().catch(() => ({})),
+        productsRes.json().catch(() => ({}))
+      ]);
+
+      setCategories((categoriesData.data?.categories || []).map(cat => ({
+        _id: cat._id,
+        name: cat.categoryName || cat.name
+      })));
+
+      const productList = Array.isArray(productsData.data)
+        ? productsData.data
+        : productsData.data?.products || [];
+      setProducts(productList
+        .filter(product => !product.isCombo)
+        .map(product => ({ _id: product._id, name: product.name || product.productName }))
+        .sort((a, b) => String(a.name).localeCompare(String(b.name))));
+    } catch (error) {
+      console.error('Error loading pricing rule catalog:', error);
+    }
+  }, [theaterId]);
+
+  useEffect(() => {
+    loadRules();
+  }, [loadRules]);
+
+  useEffect(() => {
+    loadCatalog();
+  }, [loadCatalog]);
+
+  const openCreate = () => {
+    setEditingRule(null);
+    setFormData(EMPTY_FORM);
+    setShowModal(true);
+  };
+
+  const openEdit = (rule) => {
+    setEditingRule(rule);
+    setFormData({
+      name: rule.name,
+      adjustmentType: rule.adjustmentType,
+      direction: rule.direction || 'decrease',
+      value: rule.value ?? '',
+      daysOfWeek: rule.daysOfWeek || [],
+      startTime: rule.startTime || '',
+      endTime: rule.endTime || '',
+      validFrom: toDateInput(rule.validFrom),
+      validUntil: toDateInput(rule.validUntil),
+      applicableCategories: (rule.applicableCategories || []).map(String),
+      applicableProducts: (rule.applicableProducts || []).map(String),
+      priority: rule.priority || 0,
+      isActive: rule.isActive !== false
+    });
+    setShowModal(true);
+  };
+
+  const handleInputChange = (field, value) => {
+    setFormData(prev => ({ ...prev, [field]: value }));
+  };
+
+  const toggleDay = (day) => {
+    setFormData(prev => ({
+      ...prev,
+      daysOfWeek: prev.daysOfWeek.includes(day)
+        ? prev.daysOfWeek.filter(entry => entry !== day)
+        : [...prev.daysOfWeek, day]
+    }));
+  };
+
+  const handleMultiSelect = (field, event) => {
+    handleInputChange(field, Array.from(event.target.selectedOptions, option => option.value));
+  };
+
+  const handleSubmit = async () => {
+    if (!formData.name.trim() || formData.value === '') {
+      toast.error('Name and value are required');
+      return;
+    }
+    if (formData.startTime && formData.startTime === formData.endTime) {
+      toast.error('Start and end time must be different');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const url = editingRule
+        ? `${config.api.baseUrl}/pricing-rules/${theaterId}/${editingRule._id}`
+        : `${config.api.baseUrl}/pricing-rules/${theaterId}`;
+
+      const response = await unifiedFetch(url, {
+        method: editingRule ? 'PUT' : 'POST',
+        body: JSON.stringify({
+          name: formData.name.trim(),
+          adjustmentType: formData.adjustmentType,
+          direction: formData.direction,
+          value: Number(formData.value),
+          daysOfWeek: formData.daysOfWeek,
+          startTime: formData.startTime,
+          endTime: formData.endTime,
+          // Dates are whole days: from the start of validFrom to the end of validUntil
+          validFrom: formData.validFrom ? new Date(`${formData.validFrom}T00:00:00`).toISOString() : null,
+          validUntil: formData.validUntil ? new Date(`${formData.validUntil}T23:59:59`).toISOString() : null,
+          applicableCategories: formData.applicableCategories,
+          applicableProducts: formData.applicableProducts,
+          priority: Number(formData.priority) || 0,
+          isActive: formData.isActive
+        })
+      }, { forceRefresh: true, retry: false });
+
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok || data.success === false) {
+        throw new Error(data.error || data.message || 'Failed to save pricing rule');
+      }
+
+      toast.success(editingRule ? 'Pricing rule updated' : 'Pricing rule added');
+      setShowModal(false);
+      loadRules();
+    } catch (error) {
+      console.error('Error saving pricing rule:', error);
+      toast.error(error.message || 'Failed to save pricing rule');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (rule) => {
+    const confirmed = await confirm({
+      title: 'Delete Pricing Rule',
+      message: `Delete "${rule.name}"? Orders already billed keep the price they were charged.`,
+      type: 'danger',
+      confirmText: 'Delete'
+    });
+    if (!confirmed) return;
+
+    try {
+      const response = await unifiedFetch(
+        `${config.api.baseUrl}/pricing-rules/${theaterId}/${rule._id}`,
+        { method: 'DELETE' },
+        { forceRefresh: true, retry: false }
+      );
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok || data.success === false) {
+        throw new Error(data.error || data.message || 'Failed to delete pricing rule');
+      }
+
+      toast.success('Pricing rule deleted');
+      loadRules();
+    } catch (error) {
+      console.error('Error deleting pricing rule:', error);
+      toast.error(error.message || 'Failed to delete pricing rule');
+    }
+  };
+
+  const describeScope = (rule) => {
+    const categoryCount = rule.applicableCategories?.length || 0;
+    const productCount = rule.applicableProducts?.length || 0;
+    if (!categoryCount && !productCount) return 'All items';
+    return [
+      categoryCount ? `${categoryCount} categor${categoryCount === 1 ? 'y' : 'ies'}` : null,
+      productCount ? `${productCount} product${productCount === 1 ? '' : 's'}` : null
+    ].filter(Boolean).join(', ');
+  };
+
+  const headerButton = (
+    <button className="header-btn" onClick={openCreate}>
+      <span className="btn-icon">
+        <svg viewBox="0 0 24 24" fill="currentColor" className="svg-icon-sm">
+          <path d="M19 13h-6v6h-2v-6H5v-2h6V5h2v6h6v2z" />
+        </svg>
+      </span>
+      Add Pricing Rule
+    </button>
+  );
+
+  return (
+    <ErrorBoundary>
+      <TheaterLayout pageTitle="Pricing Rules" currentPage="theater-pricing-rules">
+        <PageContainer title="Pricing Rules" headerButton={headerButton}>
+          <div className="theater-table-container">
+            <table className="theater-table">
+              <thead>
+                <tr>
+                  <th className="sno-cell">S.No</th>
+                  <th className="name-cell">Rule</th>
+                  <th>Price Change</th>
+                  <th>Days</th>
+                  <th>Time</th>
+                  <th>Applies To</th>
+                  <th>Valid</th>
+                  <th>Priority</th>
+                  <th className="status-cell">Status</th>
+                  <th className="actions-cell">Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {loading ? (
+                  <tr>
+                    <td colSpan="10" className="loading-cell">
+                      <div className="loading-spinner"></div>
+                      <span>Loading pricing rules...</span>
+                    </td>
+                  </tr>
+                ) : rules.length > 0 ? (
+                  rules.map((rule, index) => (
+                    <tr key={rule._id} className={`theater-row ${!rule.isActive ? 'inactive' : ''}`}>
+                      <td className="sno-cell">{index + 1}</td>
+                      <td className="name-cell">
+                        <div className="qr-name">{rule.name}</div>
+                      </td>
+                      <td>
+                        <span className={`pricing-rule-change ${rule.adjustmentType === 'fixed' ? '' : rule.direction}`}>
+                          {formatAdjustment(rule)}
+                        </span>
+                      </td>
+                      <td>{formatDays(rule.daysOfWeek)}</td>
+                      <td className="pricing-rule-window">{formatWindow(rule)}</td>
+                      <td>{describeScope(rule)}</td>
+                      <td className="pricing-rule-validity">
+                        <div>{formatDate(rule.validFrom)}</div>
+                        <div>{formatDate(rule.validUntil)}</div>
+                      </td>
+                      <td>{rule.priority || 0}</td>
+                      <td className="status-cell">
+                        <span className={`status-badge ${rule.isActive ? 'active' : 'inactive'}`}>
+                          {rule.isActive ? 'Active' : 'Inactive'}
+                        </span>
+                      </td>
+                      <td className="actions-cell">
+                        <ActionButtons>
+                          <ActionButton type="edit" onClick={() => openEdit(rule)} title="Edit Pricing Rule" />
+                          <ActionButton type="delete" onClick={() => handleDelete(rule)} title="Delete Pricing Rule" />
+                        </ActionButtons>
+                      </td>
+                    </tr>
+                  ))
+                ) : (
+                  <tr>
+                    <td colSpan="10" className="empty-cell">
+                      <h3>No Pricing Rules</h3>
+                      <p>Run happy hours on morning shows or raise prices on weekends - menus and the counter pick up the price automatically.</p>
+                      <button className="add-theater-btn" onClick={openCreate}>
+                        Add First Rule
+                      </button>
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+
+          {showModal && (
+            <div className="modal-overlay" onClick={() => setShowModal(false)}>
+              <div className="modal-content theater-edit-modal-content" onClick={(e) => e.stopPropagation()}>
+                <div className="modal-header">
+                  <h2>{editingRule ? 'Edit Pricing Rule' : 'Add Pricing Rule'}</h2>
+                  <button className="close-btn" onClick={() => setShowModal(false)}>
+                    <svg viewBox="0 0 24 24" fill="currentColor" className="svg-icon-sm">
+                      <path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z" />
+                    </svg>
+                  </button>
+                </div>
+
+                <div className="modal-body">
+                  <div className="edit-form">
+                    <div className="form-group">
+                      <label>Name <span className="required-field-indicator">*</span></label>
+                      <input
+                        type="text"
+                        value={formData.name}
+                        onChange={(e) => handleInputChange('name', e.target.value)}
+                        className="form-control"
+                        placeholder="e.g. Morning Show Happy Hour"
+                        maxLength={80}
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label>Adjustment</label>
+                      <select
+                        value={formData.adjustmentType}
+                        onChange={(e) => handleInputChange('adjustmentType', e.target.value)}
+                        className="form-control"
+                      >
+                        <option value="percentage">Percentage</option>
+                        <option value="amount">Amount (₹)</option>
+                        <option value="fixed">Fixed price</option>
+                      </select>
+                    </div>
+                    {formData.adjustmentType !== 'fixed' && (
+                      <div className="form-group">
+                        <label>Direction</label>
+                        <select
+                          value={formData.direction}
+                          onChange={(e) => handleInputChange('direction', e.target.value)}
+                          className="form-control"
+                        >
+                          <option value="decrease">Cheaper</option>
+                          <option value="increase">Dearer</option>
+                        </select>
+                      </div>
+                    )}
+                    <div className="form-group">
+                      <label>
+                        {formData.adjustmentType === 'percentage' ? 'Percentage (%)' : 'Amount (₹)'} <span className="required-field-indicator">*</span>
+                      </label>
+                      <input
+                        type="number"
+                        min="0"
+                        value={formData.value}
+                        onChange={(e) => handleInputChange('value', e.target.value)}
+                        className="form-control"
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label>Days</label>
+                      <div className="pricing-rule-days">
+                        {DAY_LABELS.map((label, day) => (
+                          <label key={label}>
+                            <input
+                              type="checkbox"
+                              checked={formData.daysOfWeek.includes(day)}
+                              onChange={() => toggleDay(day)}
+                            />
+                            {label}
+                          </label>
+                        ))}
+                      </div>
+                      <small className="pricing-rule-hint">Leave all unticked to run every day.</small>
+                    </div>
+                    <div className="form-group">
+                      <label>Start Time</label>
+                      <input
+                        type="time"
+                        value={formData.startTime}
+                        onChange={(e) => handleInputChange('startTime', e.target.value)}
+                        className="form-control"
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label>End Time</label>
+                      <input
+                        type="time"
+                        value={formData.endTime}
+                        onChange={(e) => handleInputChange('endTime', e.target.value)}
+                        className="form-control"
+                      />
+                      <small className="pricing-rule-hint">An end time before the start time runs past midnight.</small>
+                    </div>
+                    <div className="form-group">
+                      <label>Valid From</label>
+                      <input
+                        type="date"
+                        value={formData.validFrom}
+                        onChange={(e) => handleInputChange('validFrom', e.target.value)}
+                        className="form-control"
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label>Valid Until</label>
+                      <input
+                        type="date"
+                        value={formData.validUntil}
+                        onChange={(e) => handleInputChange('validUntil', e.target.value)}
+                        className="form-control"
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label>Categories</label>
+                      <select
+                        multiple
+                        value={formData.applicableCategories}
+                        onChange={(e) => handleMultiSelect('applicableCategories', e)}
+                        className="form-control pricing-rule-multi-select"
+                      >
+                        {categories.map(category => (
+                          <option key={category._id} value={category._id}>{category.name}</option>
+                        ))}
+                      </select>
+                    </div>
+                    <div className="form-group">
+                      <label>Products</label>
+                      <select
+                        multiple
+                        value={formData.applicableProducts}
+                        onChange={(e) => handleMultiSelect('applicableProducts', e)}
+                        className="form-control pricing-rule-multi-select"
+                      >
+                        {products.map(product => (
+                          <option key={product._id} value={product._id}>{product.name}</option>
+                        ))}
+                      </select>
+                      <small className="pricing-rule-hint">Leave both empty to apply to every item. Combos keep their offer price.</small>
+                    </div>
+                    <div className="form-group">
+                      <label>Priority</label>
+                      <input
+                        type="number"
+                        min="0"
+                        max="100"
+                        value={formData.priority}
+                        onChange={(e) => handleInputChange('priority', e.target.value)}
+                        className="form-control"
+                      />
+                      <small className="pricing-rule-hint">When rules overlap on an item, the highest priority wins.</small>
+                    </div>
+                    <div className="form-group">
+                      <label>Status</label>
+                      <select
+                        value={formData.isActive ? 'Active' : 'Inactive'}
+                        onChange={(e) => handleInputChange('isActive', e.target.value === 'Active')}
+                        className="form-control"
+                      >
+                        <option value="Active">Active</option>
+                        <option value="Inactive">Inactive</option>
+                      </select>
+                    </div>
+                  </div>
+                </div>
+
+                <div className="modal-actions">
+                  <button className="cancel-btn" onClick={() => setShowModal(false)}>
+                    Cancel
+                  </button>
+                  <button
+                    className="btn-primary"
+                    onClick={handleSubmit}
+                    disabled={saving || !formData.name.trim()}
+                  >
+                    {saving ? 'Saving...' : editingRule ? 'Save Changes' : 'Add Pricing Rule'}
+                  </button>
+                </div>
+              </div>
+            </div>
+          )}
+        </PageContainer>
+      </TheaterLayout>
+    </ErrorBoundary>
+  );
+};
+
+export default TheaterPricingRules;
@@ -15,6 +15,10 @@ import { getCachedData, setCachedData, clearCachePattern } from '@utils/cacheUti
 import { optimisticUpdate, optimisticDelete, invalidateRelatedCaches } from '@utils/crudOptimizer';
 import { getImageSrc } from '@utils/globalImageCache'; // 🚀 Instant image loading
 import InstantImage from '@components/InstantImage'; // 🚀 Instant image component
+import ModifierGroupsEditor from '@components/theater/ModifierGroupsEditor';
+import { toModifierFormGroups, toModifierPayload } from '@utils/productModifiers';
+import RecipeEditor from '@components/theater/RecipeEditor';
+import { toRecipeFormLines, toRecipePayload } from '@utils/productRecipes';
 import '@styles/TheaterGlobalModals.css'; // Global theater modal styles
 import '@styles/TheaterList.css';
 import '@styles/QRManagementPage.css';
@@ -936,6 +940,7 @@ const TheaterProductList = () => {
   const [error, setError] = useState('');
   const [viewModal, setViewModal] = useState({ show: false, product: null, currentIndex: 0 });
   const [editModal, setEditModal] = useState({ show: false, product: null, currentIndex: 0 });
+  const [ingredientOptions, setIngredientOptions] = useState([]);
 
   // ✅ FIX: Store scroll position when modals open/close
   const scrollPositionRef = useRef(0);
@@ -1134,7 +1139,8 @@ const TheaterProductList = () => {
       const params = {
         page: page,
         limit: itemsPerPage,
-        stockSource: 'theater' // ✅ PRODUCT MANAGEMENT PAGE: Use MonthlyStock (theater stock) only
+        stockSource: 'theater', // ✅ PRODUCT MANAGEMENT PAGE: Use MonthlyStock (theater stock) only
+        applyPricingRules: 'false' // Prices here are edited - show stored prices, not happy-hour prices
       };
 
       if (search) {
@@ -1866,6 +1872,35 @@ const TheaterProductList = () => {
     }
   }, [theaterId, authHeaders]);
 
+  // 🍿 All products of the theater for the recipe ingredient picker (the table is paginated)
+  const fetchIngredientOptions = useCallback(async () => {
+    if (!isMountedRef.current || !theaterId) return;
+
+    try {
+      const response = await unifiedFetch(`${config.api.baseUrl}/theater-products/${theaterId}?limit=1000`, {
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      }, {
+        cacheKey: `theater_products_${theaterId}`,
+        cacheTTL: 300000 // 5 minutes
+      });
+
+      if (!response.ok) {
+        console.error('Failed to fetch ingredient products:', response.status);
+        return;
+      }
+
+      const data = await response.json();
+      if (data.success && isMountedRef.current) {
+        const allProducts = data.data?.products || (Array.isArray(data.data) ? data.data : []);
+        setIngredientOptions(allProducts);
+      }
+    } catch (error) {
+      console.error('Error fetching ingredient products:', error);
+    }
+  }, [theaterId]);
+
   // Fetch kiosk types with caching
   const fetchKioskTypes = useCallback(async () => {
     if (!isMountedRef.current || !theaterId) return;
@@ -2685,6 +2720,8 @@ const TheaterProductList = () => {
         isVeg: product.isVeg || product.dietary?.isVeg || '',
         preparationTime: getNumericValue(product.preparationTime, product.specifications?.preparationTime || ''),
         ingredients: product.specifications?.ingredients?.join(', ') || product.ingredients || '',
+        variants: toModifierFormGroups(product.variants),
+        recipe: toRecipeFormLines(product.recipe),
         existingImage: existingImage
       });
 
@@ -2705,11 +2742,12 @@ const TheaterProductList = () => {
       setEditFiles({ productImage: null });
 
       setEditModal({ show: true, product, currentIndex });
+      fetchIngredientOptions();
     } catch (error) {
       console.error('❌ Error in handleEditProduct:', error);
       alert('Error opening edit form: ' + error.message);
     }
-  }, [products, kioskTypes]);
+  }, [products, kioskTypes, fetchIngredientOptions]);
 
   const handleDeleteProduct = useCallback((product) => {
     setDeleteModal({ show: true, product });
@@ -3100,6 +3138,12 @@ const TheaterProductList = () => {
         } else if (key === 'existingImage') {
           // Skip existingImage - it's only for display
           return;
+        } else if (key === 'variants') {
+          // 🧀 Modifier groups travel as JSON in the multipart body
+          formData.append('variants', JSON.stringify(toModifierPayload(value)));
+        } else if (key === 'recipe') {
+          // 🍿 Recipe lines travel as JSON too
+          formData.append('recipe', JSON.stringify(toRecipePayload(value)));
         } else if (key === 'category') {
           // ✅ FIX: Map category to categoryId for backend
           formData.append('categoryId', value);
@@ -4151,6 +4195,25 @@ const TheaterProductList = () => {
                         />
                       </div>
 
+                      <div className="form-group">
+                        <label>Modifiers & Add-ons</label>
+                        <ModifierGroupsEditor
+                          groups={editFormData.variants || []}
+                          onChange={(groups) => handleEditFormChange('variants', groups)}
+                          disabled={isUpdating}
+                        />
+                      </div>
+
+                      <div className="form-group">
+                        <label>Recipe (Ingredients)</label>
+                        <RecipeEditor
+                          lines={editFormData.recipe || []}
+                          onChange={(lines) => handleEditFormChange('recipe', lines)}
+                          products={ingredientOptions.filter(p => p._id !== editModal.product?._id)}
+                          disabled={isUpdating}
+                        />
+                      </div>
+
                       <div className="form-group">
                         <label>Product Image</label>
                         {editFormData.existingImage && (
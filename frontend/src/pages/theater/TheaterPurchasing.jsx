@@ -0,0 +1,663 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams } from 'react-router-dom';
+import TheaterLayout from '@components/theater/TheaterLayout';
+import PageContainer from '@components/PageContainer';
+import ErrorBoundary from '@components/ErrorBoundary';
+import { ActionButton, ActionButtons } from '@components/ActionButton';
+import PurchaseOrderModal from '@components/theater/PurchaseOrderModal';
+import GoodsReceiptModal from '@components/theater/GoodsReceiptModal';
+import PurchaseMarginReport from '@components/theater/PurchaseMarginReport';
+import { useModal } from '@contexts/ModalContext';
+import { useToast } from '@contexts/ToastContext';
+import config from '@config';
+import { unifiedFetch } from '@utils/unifiedFetch';
+import { PO_STATUS_LABELS, formatMoney } from '@utils/purchasing';
+import '@styles/QRManagementPage.css';
+import '@styles/TheaterList.css';
+import '@styles/TheaterGlobalModals.css';
+import '@styles/pages/theater/TheaterPurchasing.css';
+
+const TABS = [
+  { id: 'orders', label: 'Purchase Orders' },
+  { id: 'suppliers', label: 'Suppliers' },
+  { id: 'margin', label: 'Margin Report' }
+];
+
+const formatDate = (value) =>
+  value ? new Date(value).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' }) : '—';
+
+const EMPTY_SUPPLIER = {
+  name: '',
+  contactPerson: '',
+  phone: '',
+  email: '',
+  gstNumber: '',
+  address: '',
+  leadTimeDays: '',
+  notes: '',
+  isActive: true
+};
+
+const TheaterPurchasing = () => {
+  const { theaterId } = useParams();
+  const { confirm } = useModal();
+  const toast = useToast();
+
+  const [activeTab, setActiveTab] = useState('orders');
+  const [purchaseOrders, setPurchaseOrders] = useState([]);
+  const [suppliers, setSuppliers] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [loading, setLoading] = useState(true);
+
+  const [editingOrder, setEditingOrder] = useState(undefined);
+  const [receivingOrder, setReceivingOrder] = useState(null);
+
+  const [showSupplierModal, setShowSupplierModal] = useState(false);
+  const [editingSupplier, setEditingSupplier] = useState(null);
+  const [supplierForm, setSupplierForm] = useState(EMPTY_SUPPLIER);
+  const [savingSupplier, setSavingSupplier] = useState(false);
+
+  const loadPurchaseOrders = useCallback(async () => {
+    if (!theaterId) return;
+
+    try {
+      const query = statusFilter ? `?status=${statusFilter}` : '';
+      const response = await unifiedFetch(
+        `${config.api.baseUrl}/purchase-orders/${theaterId}${query}`,
+        {},
+        { forceRefresh: true, timeout: 15000 }
+      );
+      const data = await response.json();
+      if (!response.ok || data.success === false) {
+        throw new Error(data.error || data.message || 'Failed to load purchase orders');
+      }
+      setPurchaseOrders(data.data || []);
+    } catch (error) {
+      console.error('Error loading purchase orders:', error);
+      toast.error(error.message || 'Failed to load purchase orders');
+    } finally {
+      setLoading(false);
+    }
+  }, [theaterId, statusFilter, toast]);
+
+  const loadSuppliers = useCallback(async () => {
+    if (!theaterId) return;
+
+    try {
+      const response = await unifiedFetch(
+        `${config.api.baseUrl}/suppliers/${theaterId}`,
+        {},
+        { forceRefresh: true, timeout: 15000 }
+      );
+      const data = await response.json();
+      if (!response.ok || data.success === false) {
+        throw new Error(data.error || data.message || 'Failed to load suppliers');
+      }
+      setSuppliers(data.data || []);
+    } catch (error) {
+      console.error('Error loading suppliers:', error);
+      toast.error(error.message || 'Failed to load suppliers');
+    }
+  }, [theaterId, toast]);
+
+  // Products that can be ordered (combos are made from other products, not bought)
+  const loadProducts = useCallback(async () => {
+    if (!theaterId) return;
+
+    try {
+      const response = await unifiedFetch(
+        `${config.api.baseUrl}/theater-products/${theaterId}?limit=1000`,
+        {},
+        { cacheKey: `theater_products_purchasing_${theaterId}`, cacheTTL: 300000 }
+      );
+      const data = await response.json().catch(() => ({}));
+      const productList = Array.isArray(data.data) ? data.data : data.data?.products || [];
+      setProducts(productList
+        .filter(product => !product.isCombo)
+        .map(product => ({
+          _id: product._id,
+          name: product.name || product.productName,
+          quantity: product.quantity,
+          quantityUnit: product.quantityUnit,
+          inventory: product.inventory
+        }))
+        .sort((a, b) => String(a.name).localeCompare(String(b.name))));
+    } catch (error) {
+      console.error('Error loading purchasing products:', error);
+    }
+  }, [theaterId]);
+
+  useEffect(() => {
+    loadPurchaseOrders();
+  }, [loadPurchaseOrders]);
+
+  useEffect(() => {
+    loadSuppliers();
+    loadProducts();
+  }, [loadSuppliers, loadProducts]);
+
+  // ---------- Purchase orders ----------
+
+  const openCreateOrder = () => {
+    if (!suppliers.some(supplier => supplier.isActive !== false)) {
+      toast.error('Add a supplier first');
+      setActiveTab('suppliers');
+      return;
+    }
+    setEditingOrder(null);
+  };
+
+  const handleOrderSaved = () => {
+    setEditingOrder(undefined);
+    loadPurchaseOrders();
+  };
+
+  const handleGoodsReceived = () => {
+    setReceivingOrder(null);
+    loadPurchaseOrders();
+  };
+
+  const changeOrderStatus = async (order, status) => {
+    const messages = {
+      ordered: `Mark ${order.poNumber} as ordered? It can still be edited until goods arrive.`,
+      cancelled: `Cancel ${order.poNumber}? Nothing has been received against it.`,
+      closed: `Close ${order.poNumber}? The items still outstanding will no longer be expected.`
+    };
+    const confirmed = await confirm({
+      title: status === 'ordered' ? 'Place Purchase Order' : status === 'cancelled' ? 'Cancel Purchase Order' : 'Close Purchase Order',
+      message: messages[status],
+      type: status === 'ordered' ? 'info' : 'danger',
+      confirmText: status === 'ordered' ? 'Mark Ordered' : status === 'cancelled' ? 'Cancel PO' : 'Close PO'
+    });
+    if (!confirmed) return;
+
+    try {
+      const response = await unifiedFetch(
+        `${config.api.baseUrl}/purchase-orders/${theaterId}/${order._id}/status`,
+        { method: 'PATCH', body: JSON.stringify({ status }) },
+        { forceRefresh: true, retry: false }
+      );
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok || data.success === false) {
+        throw new Error(data.error || data.message || 'Failed to update purchase order');
+      }
+      toast.success(`${order.poNumber} ${PO_STATUS_LABELS[status].toLowerCase()}`);
+      loadPurchaseOrders();
+    } catch (error) {
+      console.error('Error updating purchase order status:', error);
+      toast.error(error.message || 'Failed to update purchase order');
+    }
+  };
+
+  const handleDeleteOrder = async (order) => {
+    const confirmed = await confirm({
+      title: 'Delete Purchase Order',
+      message: `Delete draft ${order.poNumber}?`,
+      type: 'danger',
+      confirmText: 'Delete'
+    });
+    if (!confirmed) return;
+
+    try {
+      const response = await unifiedFetch(
+        `${config.api.baseUrl}/purchase-orders/${theaterId}/${order._id}`,
+        { method: 'DELETE' },
+        { forceRefresh: true, retry: false }
+      );
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok || data.success === false) {
+        throw new Error(data.error || data.message || 'Failed to delete purchase order');
+      }
+      toast.success('Purchase order deleted');
+      loadPurchaseOrders();
+    } catch (error) {
+      console.error('Error deleting purchase order:', error);
+      toast.error(error.message || 'Failed to delete purchase order');
+    }
+  };
+
+  const describeReceived = (order) => {
+    const ordered = order.items.length;
+    const complete = order.items.filter(item => item.receivedQuantity >= item.orderedQuantity).length;
+    return `${complete}/${ordered} items`;
+  };
+
+  // ---------- Suppliers ----------
+
+  const openCreateSupplier = () => {
+    setEditingSupplier(null);
+    setSupplierForm(EMPTY_SUPPLIER);
+    setShowSupplierModal(true);
+  };
+
+  const openEditSupplier = (supplier) => {
+    setEditingSupplier(supplier);
+    setSupplierForm({
+      name: supplier.name,
+      contactPerson: supplier.contactPerson || '',
+      phone: supplier.phone || '',
+      email: supplier.email || '',
+      gstNumber: supplier.gstNumber || '',
+      address: supplier.address || '',
+      leadTimeDays: supplier.leadTimeDays ? String(supplier.leadTimeDays) : '',
+      notes: supplier.notes || '',
+      isActive: supplier.isActive !== false
+    });
+    setShowSupplierModal(true);
+  };
+
+  const handleSupplierChange = (field, value) => {
+    setSupplierForm(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleSaveSupplier = async () => {
+    if (!supplierForm.name.trim()) {
+      toast.error('Supplier name is required');
+      return;
+    }
+
+    setSavingSupplier(true);
+    try {
+      const url = editingSupplier
+        ? `${config.api.baseUrl}/suppliers/${theaterId}/${editingSupplier._id}`
+        : `${config.api.baseUrl}/suppliers/${theaterId}`;
+
+      const response = await unifiedFetch(url, {
+        method: editingSupplier ? 'PUT' : 'POST',
+        body: JSON.stringify({
+          ...supplierForm,
+          name: supplierForm.name.trim(),
+          leadTimeDays: Number(supplierForm.leadTimeDays) || 0
+        })
+      }, { forceRefresh: true, retry: false });
+
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok || data.success === false) {
+        throw new Error(data.error || data.message || 'Failed to save supplier');
+      }
+
+      toast.success(editingSupplier ? 'Supplier updated' : 'Supplier added');
+      setShowSupplierModal(false);
+      loadSuppliers();
+    } catch (error) {
+      console.error('Error saving supplier:', error);
+      toast.error(error.message || 'Failed to save supplier');
+    } finally {
+      setSavingSupplier(false);
+    }
+  };
+
+  const handleDeleteSupplier = async (supplier) => {
+    const confirmed = await confirm({
+      title: 'Delete Supplier',
+      message: `Delete "${supplier.name}"? Suppliers with purchase orders can only be deactivated.`,
+      type: 'danger',
+      confirmText: 'Delete'
+    });
+    if (!confirmed) return;
+
+    try {
+      const response = await unifiedFetch(
+        `${config.api.baseUrl}/suppliers/${theaterId}/${supplier._id}`,
+        { method: 'DELETE' },
+        { forceRefresh: true, retry: false }
+      );
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok || data.success === false) {
+        throw new Error(data.error || data.message || 'Failed to delete supplier');
+      }
+      toast.success('Supplier deleted');
+      loadSuppliers();
+    } catch (error) {
+      console.error('Error deleting supplier:', error);
+      toast.error(error.message || 'Failed to delete supplier');
+    }
+  };
+
+  const headerButton = activeTab === 'margin' ? null : (
+    <button className="header-btn" onClick={activeTab === 'orders' ? openCreateOrder : openCreateSupplier}>
+      <span className="btn-icon">
+        <svg viewBox="0 0 24 24" fill="currentColor" className="svg-icon-sm">
+          <path d="M19 13h-6v6h-2v-6H5v-2h6V5h2v6h6v2z" />
+        </svg>
+      </span>
+      {activeTab === 'orders' ? 'New Purchase Order' : 'Add Supplier'}
+    </button>
+  );
+
+  return (
+    <ErrorBoundary>
+      <TheaterLayout pageTitle="Purchasing" currentPage="theater-purchasing">
+        <PageContainer title="Purchasing" headerButton={headerButton}>
+          <div className="purchase-tabs">
+            {TABS.map(tab => (
+              <button
+                key={tab.id}
+                className={`purchase-tab ${activeTab === tab.id ? 'active' : ''}`}
+                onClick={() => setActiveTab(tab.id)}
+              >
+                {tab.label}
+              </button>
+            ))}
+          </div>
+
+          {activeTab === 'orders' && (
+            <>
+              <div className="purchase-filters">
+                <select
+                  value={statusFilter}
+                  onChange={(e) => setStatusFilter(e.target.value)}
+                  className="form-control"
+                >
+                  <option value="">All statuses</option>
+                  <option value="draft,ordered,partially_received">Open</option>
+                  {Object.entries(PO_STATUS_LABELS).map(([status, label]) => (
+                    <option key={status} value={status}>{label}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="theater-table-container">
+                <table className="theater-table">
+                  <thead>
+                    <tr>
+                      <th className="sno-cell">S.No</th>
+                      <th>PO No.</th>
+                      <th className="name-cell">Supplier</th>
+                      <th>Ordered</th>
+                      <th>Expected</th>
+                      <th>Receive Into</th>
+                      <th>Value</th>
+                      <th>Received</th>
+                      <th className="status-cell">Status</th>
+                      <th className="actions-cell">Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {loading ? (
+                      <tr>
+                        <td colSpan="10" className="loading-cell">
+                          <div className="loading-spinner"></div>
+                          <span>Loading purchase orders...</span>
+                        </td>
+                      </tr>
+                    ) : purchaseOrders.length > 0 ? (
+                      purchaseOrders.map((order, index) => (
+                        <tr key={order._id} className="theater-row">
+                          <td className="sno-cell">{index + 1}</td>
+                          <td className="purchase-number">{order.poNumber}</td>
+                          <td className="name-cell">
+                            <div className="qr-name">{order.supplierName}</div>
+                          </td>
+                          <td>{formatDate(order.orderDate)}</td>
+                          <td>{formatDate(order.expectedDate)}</td>
+                          <td>{order.destination === 'cafe' ? 'Cafe Stock' : 'Product Stock'}</td>
+                          <td>{formatMoney(order.totalAmount)}</td>
+                          <td>
+                            <div>{describeReceived(order)}</div>
+                            {order.receivedAmount > 0 && <div className="purchase-muted">{formatMoney(order.receivedAmount)}</div>}
+                          </td>
+                          <td className="status-cell">
+                            <span className={`purchase-status ${order.status}`}>
+                              {PO_STATUS_LABELS[order.status] || order.status}
+                            </span>
+                          </td>
+                          <td className="actions-cell">
+                            <div className="purchase-actions">
+                              {order.status === 'draft' && (
+                                <button className="purchase-action-btn" onClick={() => changeOrderStatus(order, 'ordered')}>
+                                  Place Order
+                                </button>
+                              )}
+                              {['ordered', 'partially_received'].includes(order.status) && (
+                                <button className="purchase-action-btn primary" onClick={() => setReceivingOrder(order)}>
+                                  Receive
+                                </button>
+                              )}
+                              {order.status === 'partially_received' && (
+                                <button className="purchase-action-btn" onClick={() => changeOrderStatus(order, 'closed')}>
+                                  Close
+                                </button>
+                              )}
+                              {['draft', 'ordered'].includes(order.status) && (
+                                <button className="purchase-action-btn danger" onClick={() => changeOrderStatus(order, 'cancelled')}>
+                                  Cancel
+                                </button>
+                              )}
+                              <ActionButtons>
+                                {order.receipts?.length > 0 && (
+                                  <ActionButton type="view" onClick={() => setReceivingOrder({ ...order, readOnly: true })} title="View Receipts" />
+                                )}
+                                {['draft', 'ordered'].includes(order.status) && (
+                                  <ActionButton type="edit" onClick={() => setEditingOrder(order)} title="Edit Purchase Order" />
+                                )}
+                                {order.status === 'draft' && (
+                                  <ActionButton type="delete" onClick={() => handleDeleteOrder(order)} title="Delete Purchase Order" />
+                                )}
+                              </ActionButtons>
+                            </div>
+                          </td>
+                        </tr>
+                      ))
+                    ) : (
+                      <tr>
+                        <td colSpan="10" className="empty-cell">
+                          <h3>No Purchase Orders</h3>
+                          <p>Raise purchase orders to your suppliers and receive the delivery to add it to stock with its batch and expiry.</p>
+                          <button className="add-theater-btn" onClick={openCreateOrder}>
+                            Create First Purchase Order
+                          </button>
+                        </td>
+                      </tr>
+                    )}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+
+          {activeTab === 'suppliers' && (
+            <div className="theater-table-container">
+              <table className="theater-table">
+                <thead>
+                  <tr>
+                    <th className="sno-cell">S.No</th>
+                    <th className="name-cell">Supplier</th>
+                    <th>Contact</th>
+                    <th>GST No.</th>
+                    <th>Lead Time</th>
+                    <th className="status-cell">Status</th>
+                    <th className="actions-cell">Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {suppliers.length > 0 ? (
+                    suppliers.map((supplier, index) => (
+                      <tr key={supplier._id} className={`theater-row ${supplier.isActive === false ? 'inactive' : ''}`}>
+                        <td className="sno-cell">{index + 1}</td>
+                        <td className="name-cell">
+                          <div className="qr-name">{supplier.name}</div>
+                          {supplier.address && <div className="purchase-muted">{supplier.address}</div>}
+                        </td>
+                        <td>
+                          <div>{supplier.contactPerson || '—'}</div>
+                          <div className="purchase-muted">
+                            {[supplier.phone, supplier.email].filter(Boolean).join(' · ')}
+                          </div>
+                        </td>
+                        <td>{supplier.gstNumber || '—'}</td>
+                        <td>{supplier.leadTimeDays ? `${supplier.leadTimeDays} day${supplier.leadTimeDays === 1 ? '' : 's'}` : '—'}</td>
+                        <td className="status-cell">
+                          <span className={`status-badge ${supplier.isActive !== false ? 'active' : 'inactive'}`}>
+                            {supplier.isActive !== false ? 'Active' : 'Inactive'}
+                          </span>
+                        </td>
+                        <td className="actions-cell">
+                          <ActionButtons>
+                            <ActionButton type="edit" onClick={() => openEditSupplier(supplier)} title="Edit Supplier" />
+                            <ActionButton type="delete" onClick={() => handleDeleteSupplier(supplier)} title="Delete Supplier" />
+                          </ActionButtons>
+                        </td>
+                      </tr>
+                    ))
+                  ) : (
+                    <tr>
+                      <td colSpan="7" className="empty-cell">
+                        <h3>No Suppliers</h3>
+                        <p>Add the vendors you buy stock from to start raising purchase orders.</p>
+                        <button className="add-theater-btn" onClick={openCreateSupplier}>
+                          Add First Supplier
+                        </button>
+                      </td>
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {activeTab === 'margin' && <PurchaseMarginReport theaterId={theaterId} />}
+
+          {editingOrder !== undefined && (
+            <PurchaseOrderModal
+              theaterId={theaterId}
+              purchaseOrder={editingOrder}
+              suppliers={suppliers}
+              products={products}
+              onClose={() => setEditingOrder(undefined)}
+              onSaved={handleOrderSaved}
+            />
+          )}
+
+          {receivingOrder && (
+            <GoodsReceiptModal
+              theaterId={theaterId}
+              purchaseOrder={receivingOrder}
+              readOnly={Boolean(receivingOrder.readOnly)}
+              onClose={() => setReceivingOrder(null)}
+              onReceived={handleGoodsReceived}
+            />
+          )}
+
+          {showSupplierModal && (
+            <div className="modal-overlay" onClick={() => setShowSupplierModal(false)}>
+              <div className="modal-content theater-edit-modal-content" onClick={(e) => e.stopPropagation()}>
+                <div className="modal-header">
+                  <h2>{editingSupplier ? 'Edit Supplier' : 'Add Supplier'}</h2>
+                  <button className="close-btn" onClick={() => setShowSupplierModal(false)}>
+                    <svg viewBox="0 0 24 24" fill="currentColor" className="svg-icon-sm">
+                      <path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z" />
+                    </svg>
+                  </button>
+                </div>
+
+                <div className="modal-body">
+                  <div className="edit-form">
+                    <div className="form-group">
+                      <label>Name <span className="required-field-indicator">*</span></label>
+                      <input
+                        type="text"
+                        value={supplierForm.name}
+                        onChange={(e) => handleSupplierChange('name', e.target.value)}
+                        className="form-control"
+                        placeholder="e.g. Sri Balaji Traders"
+                        maxLength={100}
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label>Contact Person</label>
+                      <input
+                        type="text"
+                        value={supplierForm.contactPerson}
+                        onChange={(e) => handleSupplierChange('contactPerson', e.target.value)}
+                        className="form-control"
+                        maxLength={100}
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label>Phone</label>
+                      <input
+                        type="tel"
+                        value={supplierForm.phone}
+                        onChange={(e) => handleSupplierChange('phone', e.target.value)}
+                        className="form-control"
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label>Email</label>
+                      <input
+                        type="email"
+                        value={supplierForm.email}
+                        onChange={(e) => handleSupplierChange('email', e.target.value)}
+                        className="form-control"
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label>GST Number</label>
+                      <input
+                        type="text"
+                        value={supplierForm.gstNumber}
+                        onChange={(e) => handleSupplierChange('gstNumber', e.target.value.toUpperCase())}
+                        className="form-control"
+                        maxLength={15}
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label>Lead Time (days)</label>
+                      <input
+                        type="number"
+                        min="0"
+                        max="365"
+                        value={supplierForm.leadTimeDays}
+                        onChange={(e) => handleSupplierChange('leadTimeDays', e.target.value)}
+                        className="form-control"
+                      />
+                      <small className="purchase-hint">Usual days from order to delivery.</small>
+                    </div>
+                    <div className="form-group">
+                      <label>Address</label>
+                      <input
+                        type="text"
+                        value={supplierForm.address}
+                        onChange={(e) => handleSupplierChange('address', e.target.value)}
+                        className="form-control"
+                        maxLength={300}
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label>Status</label>
+                      <select
+                        value={supplierForm.isActive ? 'Active' : 'Inactive'}
+                        onChange={(e) => handleSupplierChange('isActive', e.target.value === 'Active')}
+                        className="form-control"
+                      >
+                        <option value="Active">Active</option>
+                        <option value="Inactive">Inactive</option>
+                      </select>
+                    </div>
+                  </div>
+                </div>
+
+                <div className="modal-actions">
+                  <button className="cancel-btn" onClick={() => setShowSupplierModal(false)}>
+                    Cancel
+                  </button>
+                  <button
+                    className="btn-primary"
+                    onClick={handleSaveSupplier}
+                    disabled={savingSupplier || !supplierForm.name.trim()}
+                  >
+                    {savingSupplier ? 'Saving...' : editingSupplier ? 'Save Changes' : 'Add Supplier'}
+                  </button>
+                </div>
+              </div>
+            </div>
+          )}
+        </PageContainer>
+      </TheaterLayout>
+    </ErrorBoundary>
+  );
+};
+
+export default TheaterPurchasing;
@@ -3,6 +3,8 @@ import { useParams } from 'react-router-dom';
 import { useAuth } from '@contexts/AuthContext';
 import TheaterLayout from '@components/theater/TheaterLayout';
 import PageContainer from '@components/PageContainer';
+import GiftCardLedger from '@components/theater/GiftCardLedger';
+import WasteVsSalesReport from '@components/theater/WasteVsSalesReport';
 import config from '@config';
 import { ultraFetch, useUltraFetch } from '@utils/ultraFetch';
 import { unifiedFetch } from '@utils/unifiedFetch';
@@ -325,6 +327,16 @@ function TheaterReports() {
           </div>
         </div>
 
+        {/* 🎁 Gift card movements (Theater Admin only) - follows the date range above */}
+        {isTheaterAdmin && (
+          <GiftCardLedger theaterId={theaterId} startDate={startDate} endDate={endDate} />
+        )}
+
+        {/* 🗑️ Waste vs sales (Theater Admin only) - same date range, current month when none is picked */}
+        {isTheaterAdmin && (
+          <WasteVsSalesReport theaterId={theaterId} startDate={startDate} endDate={endDate} />
+        )}
+
         {/* Success/Error Messages */}
         {success && (
           <div className="success-message">
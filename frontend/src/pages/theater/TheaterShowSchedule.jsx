@@ -0,0 +1,508 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams } from 'react-router-dom';
+import TheaterLayout from '@components/theater/TheaterLayout';
+import PageContainer from '@components/PageContainer';
+import ErrorBoundary from '@components/ErrorBoundary';
+import { ActionButton, ActionButtons } from '@components/ActionButton';
+import { useModal } from '@contexts/ModalContext';
+import { useToast } from '@contexts/ToastContext';
+import config from '@config';
+import { unifiedFetch } from '@utils/unifiedFetch';
+import '@styles/QRManagementPage.css';
+import '@styles/TheaterList.css';
+import '@styles/TheaterGlobalModals.css';
+import '@styles/pages/theater/TheaterShowSchedule.css';
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const toDateInput = (date) =>
+  `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+const toTimeInput = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  return `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+const formatTime = (value) =>
+  value ? new Date(value).toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' }) : '—';
+
+// Combine the selected day with an HH:mm input; times earlier than the start roll over to the next day
+const toDateTime = (day, time, after = null) => {
+  if (!time) return null;
+  const date = new Date(`${day}T${time}:00`);
+  if (after && date <= after) {
+    date.setDate(date.getDate() + 1);
+  }
+  return date;
+};
+
+const EMPTY_FORM = {
+  qrName: '',
+  movieName: '',
+  startTime: '',
+  intervalTime: '',
+  endTime: '',
+  isActive: true
+};
+
+const DEFAULT_SETTINGS = {
+  openBeforeStartMinutes: 30,
+  lastOrderBeforeEndMinutes: 15,
+  intervalCutoffMinutes: 10,
+  releaseLeadMinutes: 15,
+  outsideWindow: 'block'
+};
+
+const TheaterShowSchedule = () => {
+  const { theaterId } = useParams();
+  const { confirm } = useModal();
+  const toast = useToast();
+
+  const [selectedDate, setSelectedDate] = useState(() => toDateInput(new Date()));
+  const [shows, setShows] = useState([]);
+  const [screens, setScreens] = useState([]);
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [savingSettings, setSavingSettings] = useState(false);
+  const [showModal, setShowModal] = useState(false);
+  const [editingShow, setEditingShow] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+
+  const loadSchedule = useCallback(async () => {
+    if (!theaterId) return;
+
+    try {
+      const response = await unifiedFetch(
+        `${config.api.baseUrl}/show-schedules/${theaterId}?date=${selectedDate}`,
+        {},
+        { forceRefresh: true, timeout: 15000 }
+      );
+      const data = await response.json();
+      if (!response.ok || data.success === false) {
+        throw new Error(data.error || data.message || 'Failed to load show schedule');
+      }
+      setShows(data.data?.shows || []);
+      setSettings({ ...DEFAULT_SETTINGS, ...(data.data?.settings || {}) });
+    } catch (error) {
+      console.error('Error loading show schedule:', error);
+      toast.error(error.message || 'Failed to load show schedule');
+    } finally {
+      setLoading(false);
+    }
+  }, [theaterId, selectedDate, toast]);
+
+  // Shows are attached to screen QR names - the same name the customer's QR carries
+  const loadScreens = useCallback(async () => {
+    if (!theaterId) return;
+
+    try {
+      const response = await unifiedFetch(
+        `${config.api.baseUrl}/single-qrcodes/theater/${theaterId}`,
+        {},
+        { cacheKey: `theater_screen_qrs_${theaterId}` }
+      );
+      const data = await response.json().catch(() => ({}));
+      const names = (data.data?.qrCodes || [])
+        .filter(qr => qr.qrType === 'screen')
+        .map(qr => qr.name)
+        .filter(Boolean);
+      setScreens([...new Set(names)].sort((a, b) => a.localeCompare(b, undefined, { numeric: true })));
+    } catch (error) {
+      console.error('Error loading screens:', error);
+    }
+  }, [theaterId]);
+
+  useEffect(() => {
+    setLoading(true);
+    loadSchedule();
+  }, [loadSchedule]);
+
+  useEffect(() => {
+    loadScreens();
+  }, [loadScreens]);
+
+  const openCreate = () => {
+    setEditingShow(null);
+    setFormData({ ...EMPTY_FORM, qrName: screens[0] || '' });
+    setShowModal(true);
+  };
+
+  const openEdit = (show) => {
+    setEditingShow(show);
+    setFormData({
+      qrName: show.qrName,
+      movieName: show.movieName || '',
+      startTime: toTimeInput(show.startsAt),
+      intervalTime: toTimeInput(show.intervalAt),
+      endTime: toTimeInput(show.endsAt),
+      isActive: show.isActive !== false
+    });
+    setShowModal(true);
+  };
+
+  const handleInputChange = (field, value) => {
+    setFormData(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleSubmit = async () => {
+    if (!formData.qrName.trim() || !formData.startTime || !formData.endTime) {
+      toast.error('Screen, start time and end time are required');
+      return;
+    }
+
+    const day = editingShow ? toDateInput(new Date(editingShow.startsAt)) : selectedDate;
+    const startsAt = toDateTime(day, formData.startTime);
+    const intervalAt = toDateTime(day, formData.intervalTime, startsAt);
+    const endsAt = toDateTime(day, formData.endTime, startsAt);
+
+    setSaving(true);
+    try {
+      const url = editingShow
+        ? `${config.api.baseUrl}/show-schedules/${theaterId}/shows/${editingShow._id}`
+        : `${config.api.baseUrl}/show-schedules/${theaterId}/shows`;
+
+      const response = await unifiedFetch(url, {
+        method: editingShow ? 'PUT' : 'POST',
+        body: JSON.stringify({
+          qrName: formData.qrName.trim(),
+          movieName: formData.movieName.trim(),
+          startsAt: startsAt.toISOString(),
+          intervalAt: intervalAt ? intervalAt.toISOString() : null,
+          endsAt: endsAt.toISOString(),
+          isActive: formData.isActive
+        })
+      }, { forceRefresh: true, retry: false });
+
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok || data.success === false) {
+        throw new Error(data.error || data.message || 'Failed to save show');
+      }
+
+      toast.success(editingShow ? 'Show updated' : 'Show added');
+      setShowModal(false);
+      loadSchedule();
+    } catch (error) {
+      console.error('Error saving show:', error);
+      toast.error(error.message || 'Failed to save show');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (show) => {
+    const confirmed = await confirm({
+      title: 'Delete Show',
+      message: `Delete the ${formatTime(show.startsAt)} show on ${show.qrName}?`,
+      type: 'danger',
+      confirmText: 'Delete'
+    });
+    if (!confirmed) return;
+
+    try {
+      const response = await unifiedFetch(
+        `${config.api.baseUrl}/show-schedules/${theaterId}/shows/${show._id}`,
+        { method: 'DELETE' },
+        { forceRefresh: true, retry: false }
+      );
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok || data.success === false) {
+        throw new Error(data.error || data.message || 'Failed to delete show');
+      }
+
+      toast.success('Show deleted');
+      loadSchedule();
+    } catch (error) {
+      console.error('Error deleting show:', error);
+      toast.error(error.message || 'Failed to delete show');
+    }
+  };
+
+  const handleSaveSettings = async () => {
+    setSavingSettings(true);
+    try {
+      const response = await unifiedFetch(
+        `${config.api.baseUrl}/show-schedules/${theaterId}/settings`,
+        {
+          method: 'PUT',
+          body: JSON.stringify({
+            openBeforeStartMinutes: Number(settings.openBeforeStartMinutes) || 0,
+            lastOrderBeforeEndMinutes: Number(settings.lastOrderBeforeEndMinutes) || 0,
+            intervalCutoffMinutes: Number(settings.intervalCutoffMinutes) || 0,
+            releaseLeadMinutes: Number(settings.releaseLeadMinutes) || 0,
+            outsideWindow: settings.outsideWindow
+          })
+        },
+        { forceRefresh: true, retry: false }
+      );
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok || data.success === false) {
+        throw new Error(data.error || data.message || 'Failed to save settings');
+      }
+
+      setSettings({ ...DEFAULT_SETTINGS, ...(data.data || {}) });
+      toast.success('Ordering window settings saved');
+    } catch (error) {
+      console.error('Error saving ordering window settings:', error);
+      toast.error(error.message || 'Failed to save settings');
+    } finally {
+      setSavingSettings(false);
+    }
+  };
+
+  const headerButton = (
+    <button className="header-btn" onClick={openCreate}>
+      <span className="btn-icon">
+        <svg viewBox="0 0 24 24" fill="currentColor" className="svg-icon-sm">
+          <path d="M19 13h-6v6h-2v-6H5v-2h6V5h2v6h6v2z" />
+        </svg>
+      </span>
+      Add Show
+    </button>
+  );
+
+  return (
+    <ErrorBoundary>
+      <TheaterLayout pageTitle="Show Schedule" currentPage="theater-show-schedule">
+        <PageContainer title="Show Schedule" headerButton={headerButton}>
+          <div className="show-schedule-settings">
+            <div className="form-group">
+              <label>Open before start (min)</label>
+              <input
+                type="number"
+                min="0"
+                value={settings.openBeforeStartMinutes}
+                onChange={(e) => setSettings(prev => ({ ...prev, openBeforeStartMinutes: e.target.value }))}
+                className="form-control"
+              />
+            </div>
+            <div className="form-group">
+              <label>Last order before end (min)</label>
+              <input
+                type="number"
+                min="0"
+                value={settings.lastOrderBeforeEndMinutes}
+                onChange={(e) => setSettings(prev => ({ ...prev, lastOrderBeforeEndMinutes: e.target.value }))}
+                className="form-control"
+              />
+            </div>
+            <div className="form-group">
+              <label>Interval cut-off (min)</label>
+              <input
+                type="number"
+                min="0"
+                value={settings.intervalCutoffMinutes}
+                onChange={(e) => setSettings(prev => ({ ...prev, intervalCutoffMinutes: e.target.value }))}
+                className="form-control"
+              />
+            </div>
+            <div className="form-group">
+              <label>Send pre-orders to kitchen (min before)</label>
+              <input
+                type="number"
+                min="0"
+                value={settings.releaseLeadMinutes}
+                onChange={(e) => setSettings(prev => ({ ...prev, releaseLeadMinutes: e.target.value }))}
+                className="form-control"
+              />
+            </div>
+            <div className="form-group">
+              <label>Outside the window</label>
+              <select
+                value={settings.outsideWindow}
+                onChange={(e) => setSettings(prev => ({ ...prev, outsideWindow: e.target.value }))}
+                className="form-control"
+              >
+                <option value="block">Block ordering</option>
+                <option value="preorder">Pre-order for next show</option>
+              </select>
+            </div>
+            <button className="btn-primary" onClick={handleSaveSettings} disabled={savingSettings}>
+              {savingSettings ? 'Saving...' : 'Save Settings'}
+            </button>
+          </div>
+
+          <div className="show-schedule-toolbar">
+            <label htmlFor="show-schedule-date">Date</label>
+            <input
+              id="show-schedule-date"
+              type="date"
+              value={selectedDate}
+              onChange={(e) => setSelectedDate(e.target.value)}
+              className="form-control"
+            />
+          </div>
+
+          <div className="theater-table-container">
+            <table className="theater-table">
+              <thead>
+                <tr>
+                  <th className="sno-cell">S.No</th>
+                  <th className="name-cell">Screen</th>
+                  <th>Movie</th>
+                  <th>Starts</th>
+                  <th>Interval</th>
+                  <th>Ends</th>
+                  <th className="status-cell">Status</th>
+                  <th className="actions-cell">Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {loading ? (
+                  <tr>
+                    <td colSpan="8" className="loading-cell">
+                      <div className="loading-spinner"></div>
+                      <span>Loading shows...</span>
+                    </td>
+                  </tr>
+                ) : shows.length > 0 ? (
+                  shows.map((show, index) => (
+                    <tr key={show._id} className={`theater-row ${!show.isActive ? 'inactive' : ''}`}>
+                      <td className="sno-cell">{index + 1}</td>
+                      <td className="name-cell">
+                        <div className="qr-name">{show.qrName}</div>
+                      </td>
+                      <td>{show.movieName || '—'}</td>
+                      <td>{formatTime(show.startsAt)}</td>
+                      <td>{formatTime(show.intervalAt)}</td>
+                      <td>{formatTime(show.endsAt)}</td>
+                      <td className="status-cell">
+                        <span className={`status-badge ${show.isActive ? 'active' : 'inactive'}`}>
+                          {show.isActive ? 'Active' : 'Inactive'}
+                        </span>
+                      </td>
+                      <td className="actions-cell">
+                        <ActionButtons>
+                          <ActionButton type="edit" onClick={() => openEdit(show)} title="Edit Show" />
+                          <ActionButton type="delete" onClick={() => handleDelete(show)} title="Delete Show" />
+                        </ActionButtons>
+                      </td>
+                    </tr>
+                  ))
+                ) : (
+                  <tr>
+                    <td colSpan="8" className="empty-cell">
+                      <h3>No Shows Scheduled</h3>
+                      <p>Screens without shows accept orders at any time.</p>
+                      <button className="add-theater-btn" onClick={openCreate}>
+                        Add First Show
+                      </button>
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+
+          {showModal && (
+            <div className="modal-overlay" onClick={() => setShowModal(false)}>
+              <div className="modal-content theater-edit-modal-content" onClick={(e) => e.stopPropagation()}>
+                <div className="modal-header">
+                  <h2>{editingShow ? 'Edit Show' : 'Add Show'}</h2>
+                  <button className="close-btn" onClick={() => setShowModal(false)}>
+                    <svg viewBox="0 0 24 24" fill="currentColor" className="svg-icon-sm">
+                      <path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z" />
+                    </svg>
+                  </button>
+                </div>
+
+                <div className="modal-body">
+                  <div className="edit-form">
+                    <div className="form-group">
+                      <label>Screen <span className="required-field-indicator">*</span></label>
+                      {screens.length > 0 ? (
+                        <select
+                          value={formData.qrName}
+                          onChange={(e) => handleInputChange('qrName', e.target.value)}
+                          className="form-control"
+                        >
+                          {!screens.includes(formData.qrName) && formData.qrName && (
+                            <option value={formData.qrName}>{formData.qrName}</option>
+                          )}
+                          {screens.map(screen => (
+                            <option key={screen} value={screen}>{screen}</option>
+                          ))}
+                        </select>
+                      ) : (
+                        <input
+                          type="text"
+                          value={formData.qrName}
+                          onChange={(e) => handleInputChange('qrName', e.target.value)}
+                          className="form-control"
+                          placeholder="Screen QR name"
+                        />
+                      )}
+                    </div>
+                    <div className="form-group">
+                      <label>Movie</label>
+                      <input
+                        type="text"
+                        value={formData.movieName}
+                        onChange={(e) => handleInputChange('movieName', e.target.value)}
+                        className="form-control"
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label>Start Time <span className="required-field-indicator">*</span></label>
+                      <input
+                        type="time"
+                        value={formData.startTime}
+                        onChange={(e) => handleInputChange('startTime', e.target.value)}
+                        className="form-control"
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label>Interval Time</label>
+                      <input
+                        type="time"
+                        value={formData.intervalTime}
+                        onChange={(e) => handleInputChange('intervalTime', e.target.value)}
+                        className="form-control"
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label>End Time <span className="required-field-indicator">*</span></label>
+                      <input
+                        type="time"
+                        value={formData.endTime}
+                        onChange={(e) => handleInputChange('endTime', e.target.value)}
+                        className="form-control"
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label>Status</label>
+                      <select
+                        value={formData.isActive ? 'Active' : 'Inactive'}
+                        onChange={(e) => handleInputChange('isActive', e.target.value === 'Active')}
+                        className="form-control"
+                      >
+                        <option value="Active">Active</option>
+                        <option value="Inactive">Inactive</option>
+                      </select>
+                    </div>
+                  </div>
+                </div>
+
+                <div className="modal-actions">
+                  <button className="cancel-btn" onClick={() => setShowModal(false)}>
+                    Cancel
+                  </button>
+                  <button
+                    className="btn-primary"
+                    onClick={handleSubmit}
+                    disabled={saving || !formData.qrName.trim()}
+                  >
+                    {saving ? 'Saving...' : editingShow ? 'Save Changes' : 'Add Show'}
+                  </button>
+                </div>
+              </div>
+            </div>
+          )}
+        </PageContainer>
+      </TheaterLayout>
+    </ErrorBoundary>
+  );
+};
+
+export default TheaterShowSchedule;
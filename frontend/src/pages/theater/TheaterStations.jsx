@@ -0,0 +1,434 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { useParams } from 'react-router-dom';
+import TheaterLayout from '@components/theater/TheaterLayout';
+import PageContainer from '@components/PageContainer';
+import ErrorBoundary from '@components/ErrorBoundary';
+import { ActionButton, ActionButtons } from '@components/ActionButton';
+import { useModal } from '@contexts/ModalContext';
+import { useToast } from '@contexts/ToastContext';
+import config from '@config';
+import { unifiedFetch } from '@utils/unifiedFetch';
+import '@styles/QRManagementPage.css';
+import '@styles/TheaterList.css';
+import '@styles/TheaterGlobalModals.css';
+import '@styles/pages/theater/TheaterStations.css';
+
+const EMPTY_FORM = {
+  name: '',
+  description: '',
+  categoryIds: [],
+  kioskTypeIds: [],
+  printerName: '',
+  isDefault: false,
+  isActive: true,
+  sortOrder: 0
+};
+
+const TheaterStations = () => {
+  const { theaterId } = useParams();
+  const { confirm } = useModal();
+  const toast = useToast();
+
+  const [stations, setStations] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [kioskTypes, setKioskTypes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [showModal, setShowModal] = useState(false);
+  const [editingStation, setEditingStation] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+
+  const loadStations = useCallback(async () => {
+    if (!theaterId) return;
+
+    try {
+      const response = await unifiedFetch(
+        `${config.api.baseUrl}/stations/${theaterId}`,
+        {},
+        { forceRefresh: true, timeout: 15000 }
+      );
+      const data = await response.json();
+      if (!response.ok || data.success === false) {
+        throw new Error(data.error || data.message || 'Failed to load stations');
+      }
+      setStations(Array.isArray(data.data) ? data.data : []);
+    } catch (error) {
+      console.error('Error loading stations:', error);
+      toast.error(error.message || 'Failed to load stations');
+    } finally {
+      setLoading(false);
+    }
+  }, [theaterId, toast]);
+
+  // Categories and kiosk types are the two things a station can be mapped to
+  const loadMappingOptions = useCallback(async () => {
+    if (!theaterId) return;
+
+    try {
+      const [categoryResponse, kioskTypeResponse] = await Promise.all([
+        unifiedFetch(`${config.api.baseUrl}/theater-categories/${theaterId}?limit=100`, {}, {
+          cacheKey: `theater_categories_${theaterId}`
+        }),
+        unifiedFetch(`${config.api.baseUrl}/theater-kiosk-types/${theaterId}?limit=100`, {}, {
+          cacheKey: `theater_kiosk_types_${theaterId}`
+        })
+      ]);
+
+      const categoryData = await categoryResponse.json().catch(() => ({}));
+      const kioskTypeData = await kioskTypeResponse.json().catch(() => ({}));
+
+      setCategories((categoryData.data?.categories || []).map(category => ({
+        id: category._id,
+        name: category.categoryName
+      })));
+      setKioskTypes((kioskTypeData.data?.kioskTypes || []).map(kioskType => ({
+        id: kioskType._id,
+        name: kioskType.name
+      })));
+    } catch (error) {
+      console.error('Error loading categories/kiosk types:', error);
+    }
+  }, [theaterId]);
+
+  useEffect(() => {
+    loadStations();
+    loadMappingOptions();
+  }, [loadStations, loadMappingOptions]);
+
+  const nameLookup = useMemo(() => {
+    const lookup = {};
+    categories.forEach(c => { lookup[c.id] = c.name; });
+    kioskTypes.forEach(k => { lookup[k.id] = k.name; });
+    return lookup;
+  }, [categories, kioskTypes]);
+
+  // A category can only be routed to one station - show where it is already mapped
+  const categoryOwner = useMemo(() => {
+    const owner = {};
+    stations.forEach(station => {
+      (station.categoryIds || []).forEach(id => { owner[String(id)] = station; });
+    });
+    return owner;
+  }, [stations]);
+
+  const openCreate = () => {
+    setEditingStation(null);
+    setFormData(EMPTY_FORM);
+    setShowModal(true);
+  };
+
+  const openEdit = (station) => {
+    setEditingStation(station);
+    setFormData({
+      name: station.name,
+      description: station.description || '',
+      categoryIds: (station.categoryIds || []).map(String),
+      kioskTypeIds: (station.kioskTypeIds || []).map(String),
+      printerName: station.printerName || '',
+      isDefault: station.isDefault === true,
+      isActive: station.isActive !== false,
+      sortOrder: station.sortOrder || 0
+    });
+    setShowModal(true);
+  };
+
+  const handleInputChange = (field, value) => {
+    setFormData(prev => ({ ...prev, [field]: value }));
+  };
+
+  const toggleMapping = (field, id) => {
+    setFormData(prev => {
+      const current = prev[field];
+      return {
+        ...prev,
+        [field]: current.includes(id) ? current.filter(x => x !== id) : [...current, id]
+      };
+    });
+  };
+
+  const handleSubmit = async () => {
+    if (!formData.name.trim()) {
+      toast.error('Station name is required');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const url = editingStation
+        ? `${config.api.baseUrl}/stations/${theaterId}/${editingStation._id}`
+        : `${config.api.baseUrl}/stations/${theaterId}`;
+
+      const response = await unifiedFetch(url, {
+        method: editingStation ? 'PUT' : 'POST',
+        body: JSON.stringify({
+          ...formData,
+          name: formData.name.trim(),
+          sortOrder: Number(formData.sortOrder) || 0
+        })
+      }, { forceRefresh: true, retry: false });
+
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok || data.success === false) {
+        throw new Error(data.error || data.message || 'Failed to save station');
+      }
+
+      toast.success(editingStation ? 'Station updated' : 'Station created');
+      setShowModal(false);
+      loadStations();
+    } catch (error) {
+      console.error('Error saving station:', error);
+      toast.error(error.message || 'Failed to save station');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (station) => {
+    const confirmed = await confirm({
+      title: 'Delete Station',
+      message: `Delete "${station.name}"? Items mapped to it will go to the default station.`,
+      type: 'danger',
+      confirmText: 'Delete'
+    });
+    if (!confirmed) return;
+
+    try {
+      const response = await unifiedFetch(
+        `${config.api.baseUrl}/stations/${theaterId}/${station._id}`,
+        { method: 'DELETE' },
+        { forceRefresh: true, retry: false }
+      );
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok || data.success === false) {
+        throw new Error(data.error || data.message || 'Failed to delete station');
+      }
+
+      toast.success('Station deleted');
+      loadStations();
+    } catch (error) {
+      console.error('Error deleting station:', error);
+      toast.error(error.message || 'Failed to delete station');
+    }
+  };
+
+  const renderMappingNames = (ids) => {
+    const names = (ids || []).map(id => nameLookup[String(id)]).filter(Boolean);
+    return names.length > 0 ? names.join(', ') : '—';
+  };
+
+  const headerButton = (
+    <button className="header-btn" onClick={openCreate}>
+      <span className="btn-icon">
+        <svg viewBox="0 0 24 24" fill="currentColor" className="svg-icon-sm">
+          <path d="M19 13h-6v6h-2v-6H5v-2h6V5h2v6h6v2z" />
+        </svg>
+      </span>
+      Create New Station
+    </button>
+  );
+
+  return (
+    <ErrorBoundary>
+      <TheaterLayout pageTitle="Preparation Stations" currentPage="theater-stations">
+        <PageContainer title="Preparation Stations" headerButton={headerButton}>
+          <p className="stations-help">
+            Each order is split into one ticket per station. Items are routed by category first,
+            then by kiosk type; anything unmapped goes to the default station.
+          </p>
+
+          <div className="theater-table-container">
+            <table className="theater-table">
+              <thead>
+                <tr>
+                  <th className="sno-cell">S.No</th>
+                  <th className="name-cell">Station</th>
+                  <th>Categories</th>
+                  <th>Kiosk Types</th>
+                  <th>Printer</th>
+                  <th className="status-cell">Status</th>
+                  <th className="actions-cell">Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {loading ? (
+                  <tr>
+                    <td colSpan="7" className="loading-cell">
+                      <div className="loading-spinner"></div>
+                      <span>Loading stations...</span>
+                    </td>
+                  </tr>
+                ) : stations.length > 0 ? (
+                  stations.map((station, index) => (
+                    <tr key={station._id} className={`theater-row ${!station.isActive ? 'inactive' : ''}`}>
+                      <td className="sno-cell">{index + 1}</td>
+                      <td className="name-cell">
+                        <div className="qr-name">{station.name}</div>
+                        {station.isDefault && <span className="station-default-badge">Default</span>}
+                      </td>
+                      <td>{renderMappingNames(station.categoryIds)}</td>
+                      <td>{renderMappingNames(station.kioskTypeIds)}</td>
+                      <td>{station.printerName || 'Default printer'}</td>
+                      <td className="status-cell">
+                        <span className={`status-badge ${station.isActive ? 'active' : 'inactive'}`}>
+                          {station.isActive ? 'Active' : 'Inactive'}
+                        </span>
+                      </td>
+                      <td className="actions-cell">
+                        <ActionButtons>
+                          <ActionButton type="edit" onClick={() => openEdit(station)} title="Edit Station" />
+                          <ActionButton type="delete" onClick={() => handleDelete(station)} title="Delete Station" />
+                        </ActionButtons>
+                      </td>
+                    </tr>
+                  ))
+                ) : (
+                  <tr>
+                    <td colSpan="7" className="empty-cell">
+                      <h3>No Stations Configured</h3>
+                      <p>Orders print as a single ticket until stations are added.</p>
+                      <button className="add-theater-btn" onClick={openCreate}>
+                        Create First Station
+                      </button>
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+
+          {showModal && (
+            <div className="modal-overlay" onClick={() => setShowModal(false)}>
+              <div className="modal-content theater-edit-modal-content" onClick={(e) => e.stopPropagation()}>
+                <div className="modal-header">
+                  <h2>{editingStation ? 'Edit Station' : 'Create New Station'}</h2>
+                  <button className="close-btn" onClick={() => setShowModal(false)}>
+                    <svg viewBox="0 0 24 24" fill="currentColor" className="svg-icon-sm">
+                      <path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z" />
+                    </svg>
+                  </button>
+                </div>
+
+                <div className="modal-body">
+                  <div className="edit-form">
+                    <div className="form-group">
+                      <label>Station Name <span className="required-field-indicator">*</span></label>
+                      <input
+                        type="text"
+                        value={formData.name}
+                        onChange={(e) => handleInputChange('name', e.target.value)}
+                        className="form-control"
+                        placeholder="e.g. Popcorn, Beverages, Hot Food"
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label>Printer Name</label>
+                      <input
+                        type="text"
+                        value={formData.printerName}
+                        onChange={(e) => handleInputChange('printerName', e.target.value)}
+                        className="form-control"
+                        placeholder="Leave empty to use the theater's default printer"
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label>Status</label>
+                      <select
+                        value={formData.isActive ? 'Active' : 'Inactive'}
+                        onChange={(e) => handleInputChange('isActive', e.target.value === 'Active')}
+                        className="form-control"
+                      >
+                        <option value="Active">Active</option>
+                        <option value="Inactive">Inactive</option>
+                      </select>
+                    </div>
+                    <div className="form-group">
+                      <label>Sort Order</label>
+                      <input
+                        type="number"
+                        min="0"
+                        value={formData.sortOrder}
+                        onChange={(e) => handleInputChange('sortOrder', e.target.value)}
+                        className="form-control"
+                      />
+                    </div>
+                    <div className="form-group full-width">
+                      <label className="station-checkbox">
+                        <input
+                          type="checkbox"
+                          checked={formData.isDefault}
+                          onChange={(e) => handleInputChange('isDefault', e.target.checked)}
+                        />
+                        Default station (receives items not mapped to any other station)
+                      </label>
+                    </div>
+                    <div className="form-group full-width">
+                      <label>Categories</label>
+                      <div className="station-mapping-list">
+                        {categories.length === 0 && <span className="form-helper-text">No categories found</span>}
+                        {categories.map(category => {
+                          const owner = categoryOwner[String(category.id)];
+                          const ownedElsewhere = owner && String(owner._id) !== String(editingStation?._id);
+                          return (
+                            <label key={category.id} className="station-checkbox">
+                              <input
+                                type="checkbox"
+                                checked={formData.categoryIds.includes(String(category.id))}
+                                onChange={() => toggleMapping('categoryIds', String(category.id))}
+                              />
+                              {category.name}
+                              {ownedElsewhere && <small> ({owner.name})</small>}
+                            </label>
+                          );
+                        })}
+                      </div>
+                    </div>
+                    <div className="form-group full-width">
+                      <label>Kiosk Types</label>
+                      <div className="station-mapping-list">
+                        {kioskTypes.length === 0 && <span className="form-helper-text">No kiosk types found</span>}
+                        {kioskTypes.map(kioskType => (
+                          <label key={kioskType.id} className="station-checkbox">
+                            <input
+                              type="checkbox"
+                              checked={formData.kioskTypeIds.includes(String(kioskType.id))}
+                              onChange={() => toggleMapping('kioskTypeIds', String(kioskType.id))}
+                            />
+                            {kioskType.name}
+                          </label>
+                        ))}
+                      </div>
+                    </div>
+                    <div className="form-group full-width">
+                      <label>Description</label>
+                      <textarea
+                        value={formData.description}
+                        onChange={(e) => handleInputChange('description', e.target.value)}
+                        className="form-control"
+                        rows="2"
+                      />
+                    </div>
+                  </div>
+                </div>
+
+                <div className="modal-actions">
+                  <button className="cancel-btn" onClick={() => setShowModal(false)}>
+                    Cancel
+                  </button>
+                  <button
+                    className="btn-primary"
+                    onClick={handleSubmit}
+                    disabled={saving || !formData.name.trim()}
+                  >
+                    {saving ? 'Saving...' : editingStation ? 'Save Changes' : 'Create Station'}
+                  </button>
+                </div>
+              </div>
+            </div>
+          )}
+        </PageContainer>
+      </TheaterLayout>
+    </ErrorBoundary>
+  );
+};
+
+export default TheaterStations;
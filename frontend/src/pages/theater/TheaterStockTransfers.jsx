@@ -0,0 +1,342 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams } from 'react-router-dom';
+import TheaterLayout from '@components/theater/TheaterLayout';
+import PageContainer from '@components/PageContainer';
+import ErrorBoundary from '@components/ErrorBoundary';
+import StockTransferModal from '@components/theater/StockTransferModal';
+import StockTransferReceiveModal from '@components/theater/StockTransferReceiveModal';
+import { useAuth } from '@contexts/AuthContext';
+import { useModal } from '@contexts/ModalContext';
+import { useToast } from '@contexts/ToastContext';
+import config from '@config';
+import { unifiedFetch } from '@utils/unifiedFetch';
+import { formatQuantity } from '@utils/purchasing';
+import { formatVariance } from '@utils/stocktake';
+import { STOCK_TRANSFER_STATUS_LABELS, STOCK_TYPE_LABELS } from '@utils/stockTransfers';
+import '@styles/QRManagementPage.css';
+import '@styles/TheaterList.css';
+import '@styles/TheaterGlobalModals.css';
+import '@styles/pages/theater/TheaterPurchasing.css';
+import '@styles/pages/theater/TheaterStockTransfers.css';
+
+const TABS = [
+  { id: 'incoming', label: 'Incoming' },
+  { id: 'outgoing', label: 'Outgoing' }
+];
+
+const formatDate = (value) =>
+  value ? new Date(value).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' }) : '—';
+
+const discrepancyCount = (transfer) => transfer.items.filter(item => item.discrepancy).length;
+
+/**
+ * 🚚 Stock Transfers - stock moved between theaters of the same owner.
+ * The sender's stock goes down when it is sent, the receiver's when it arrives (with any shortage recorded)
+ */
+const TheaterStockTransfers = () => {
+  const { theaterId } = useParams();
+  const { rolePermissions } = useAuth();
+  const { confirm } = useModal();
+  const toast = useToast();
+
+  const isTheaterAdmin = rolePermissions?.[0]?.role?.name === 'Theater Admin';
+
+  const [activeTab, setActiveTab] = useState('incoming');
+  const [statusFilter, setStatusFilter] = useState('');
+  const [transfers, setTransfers] = useState([]);
+  const [theaters, setTheaters] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [expandedId, setExpandedId] = useState(null);
+  const [showSendModal, setShowSendModal] = useState(false);
+  const [receiving, setReceiving] = useState(null);
+
+  const loadTransfers = useCallback(async () => {
+    if (!theaterId) return;
+
+    setLoading(true);
+    try {
+      const params = new URLSearchParams({ direction: activeTab });
+      if (statusFilter) params.set('status', statusFilter);
+
+      const response = await unifiedFetch(
+        `${config.api.baseUrl}/stock-transfers/${theaterId}?${params}`,
+        {},
+        { forceRefresh: true, timeout: 15000 }
+      );
+      const data = await response.json();
+      if (!response.ok || data.success === false) {
+        throw new Error(data.error || data.message || 'Failed to load transfers');
+      }
+      setTransfers(data.data || []);
+    } catch (error) {
+      console.error('Error loading stock transfers:', error);
+      toast.error(error.message || 'Failed to load transfers');
+    } finally {
+      setLoading(false);
+    }
+  }, [theaterId, activeTab, statusFilter, toast]);
+
+  // Other theaters of the same owner and this theater's products (for sending and receiving)
+  const loadOptions = useCallback(async () => {
+    if (!theaterId) return;
+
+    try {
+      const [theatersResponse, productsResponse] = await Promise.all([
+        unifiedFetch(
+          `${config.api.baseUrl}/stock-transfers/${theaterId}/theaters`,
+          {},
+          { forceRefresh: true, timeout: 15000 }
+        ),
+        unifiedFetch(
+          `${config.api.baseUrl}/theater-products/${theaterId}?limit=1000`,
+          {},
+          { cacheKey: `theater_products_transfer_${theaterId}`, cacheTTL: 300000 }
+        )
+      ]);
+      const theatersData = await theatersResponse.json().catch(() => ({}));
+      const productsData = await productsResponse.json().catch(() => ({}));
+
+      setTheaters(Array.isArray(theatersData.data) ? theatersData.data : []);
+      const productList = Array.isArray(productsData.data) ? productsData.data : productsData.data?.products || [];
+      setProducts(productList
+        .filter(product => !product.isCombo)
+        .map(product => ({
+          _id: product._id,
+          name: product.name || product.productName,
+          hasRecipe: Array.isArray(product.recipe) && product.recipe.length > 0
+        }))
+        .sort((a, b) => String(a.name).localeCompare(String(b.name))));
+    } catch (error) {
+      console.error('Error loading stock transfer options:', error);
+    }
+  }, [theaterId]);
+
+  useEffect(() => {
+    loadTransfers();
+  }, [loadTransfers]);
+
+  useEffect(() => {
+    loadOptions();
+  }, [loadOptions]);
+
+  const cancelTransfer = async (transfer) => {
+    const confirmed = await confirm({
+      title: 'Cancel Transfer',
+      message: `Cancel ${transfer.transferNumber} to ${transfer.toTheaterName}? The stock is returned to this theater.`,
+      type: 'danger',
+      confirmText: 'Cancel Transfer'
+    });
+    if (!confirmed) return;
+
+    try {
+      const response = await unifiedFetch(
+        `${config.api.baseUrl}/stock-transfers/${theaterId}/${transfer._id}/cancel`,
+        { method: 'POST', body: JSON.stringify({}) },
+        { forceRefresh: true, retry: false, timeout: 60000 }
+      );
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok || data.success === false) {
+        throw new Error(data.error || data.message || 'Failed to cancel transfer');
+      }
+      toast.success(data.message || 'Transfer cancelled');
+      loadTransfers();
+    } catch (error) {
+      console.error('Error cancelling stock transfer:', error);
+      toast.error(error.message || 'Failed to cancel transfer');
+    }
+  };
+
+  const incoming = activeTab === 'incoming';
+
+  const headerButton = isTheaterAdmin && theaters.length > 0 ? (
+    <button className="header-btn" onClick={() => setShowSendModal(true)}>
+      <span className="btn-icon">
+        <svg viewBox="0 0 24 24" fill="currentColor" className="svg-icon-sm">
+          <path d="M19 13h-6v6h-2v-6H5v-2h6V5h2v6h6v2z" />
+        </svg>
+      </span>
+      Send Stock
+    </button>
+  ) : null;
+
+  return (
+    <ErrorBoundary>
+      <TheaterLayout pageTitle="Stock Transfers" currentPage="theater-stock-transfers">
+        <PageContainer title="Stock Transfers" headerButton={headerButton}>
+          <div className="purchase-tabs">
+            {TABS.map(tab => (
+              <button
+                key={tab.id}
+                className={`purchase-tab ${activeTab === tab.id ? 'active' : ''}`}
+                onClick={() => {
+                  setActiveTab(tab.id);
+                  setExpandedId(null);
+                }}
+              >
+                {tab.label}
+              </button>
+            ))}
+          </div>
+
+          <div className="purchase-filters">
+            <select
+              value={statusFilter}
+              onChange={(e) => setStatusFilter(e.target.value)}
+              className="form-control"
+            >
+              <option value="">All Statuses</option>
+              {Object.entries(STOCK_TRANSFER_STATUS_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="theater-table-container">
+            <table className="theater-table">
+              <thead>
+                <tr>
+                  <th className="sno-cell">S.No</th>
+                  <th>Transfer</th>
+                  <th>Sent</th>
+                  <th>{incoming ? 'From' : 'To'}</th>
+                  <th>Stock</th>
+                  <th>Items</th>
+                  <th>Discrepancies</th>
+                  <th className="status-cell">Status</th>
+                  <th className="actions-cell">Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {loading ? (
+                  <tr>
+                    <td colSpan="9" className="loading-cell">
+                      <div className="loading-spinner"></div>
+                      <span>Loading transfers...</span>
+                    </td>
+                  </tr>
+                ) : transfers.length > 0 ? (
+                  transfers.map((transfer, index) => (
+                    <React.Fragment key={transfer._id}>
+                      <tr className="theater-row">
+                        <td className="sno-cell">{index + 1}</td>
+                        <td className="purchase-number">{transfer.transferNumber}</td>
+                        <td>{formatDate(transfer.sentAt)}</td>
+                        <td>{incoming ? transfer.fromTheaterName : transfer.toTheaterName}</td>
+                        <td>{STOCK_TYPE_LABELS[transfer.stockType]}</td>
+                        <td>{transfer.items.length}</td>
+                        <td className={discrepancyCount(transfer) ? 'purchase-negative' : ''}>
+                          {transfer.status === 'received' ? discrepancyCount(transfer) : '—'}
+                        </td>
+                        <td className="status-cell">
+                          <span className={`stock-transfer-status ${transfer.status}`}>
+                            {STOCK_TRANSFER_STATUS_LABELS[transfer.status] || transfer.status}
+                          </span>
+                        </td>
+                        <td className="actions-cell">
+                          <button
+                            className="purchase-action-btn"
+                            onClick={() => setExpandedId(expandedId === transfer._id ? null : transfer._id)}
+                          >
+                            {expandedId === transfer._id ? 'Hide' : 'Details'}
+                          </button>
+                          {incoming && transfer.status === 'in_transit' && (
+                            <button className="purchase-action-btn primary" onClick={() => setReceiving(transfer)}>
+                              Receive
+                            </button>
+                          )}
+                          {!incoming && transfer.status === 'in_transit' && isTheaterAdmin && (
+                            <button className="purchase-action-btn danger" onClick={() => cancelTransfer(transfer)}>
+                              Cancel
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                      {expandedId === transfer._id && (
+                        <tr className="stock-transfer-details">
+                          <td colSpan="9">
+                            <table className="stock-transfer-items">
+                              <thead>
+                                <tr>
+                                  <th>Product</th>
+                                  <th>Sent</th>
+                                  <th>Received As</th>
+                                  <th>Received</th>
+                                  <th>Discrepancy</th>
+                                </tr>
+                              </thead>
+                              <tbody>
+                                {transfer.items.map(item => (
+                                  <tr key={item._id}>
+                                    <td>{item.productName}</td>
+                                    <td>{formatQuantity(item.quantity, item.unit)}</td>
+                                    <td>{item.receivedProductName || '—'}</td>
+                                    <td>{item.receivedQuantity === null ? '—' : formatQuantity(item.receivedQuantity, item.unit)}</td>
+                                    <td className={item.discrepancy < 0 ? 'purchase-negative' : item.discrepancy > 0 ? 'purchase-positive' : ''}>
+                                      {item.discrepancy ? `${formatVariance(item.discrepancy, item.unit)} - ${item.discrepancyReason}` : '—'}
+                                    </td>
+                                  </tr>
+                                ))}
+                              </tbody>
+                            </table>
+                            <p className="purchase-hint">
+                              Sent by {transfer.sentBy?.username || 'staff'}
+                              {transfer.notes ? ` - ${transfer.notes}` : ''}
+                              {transfer.status === 'received' &&
+                                `. Received ${formatDate(transfer.receivedAt)} by ${transfer.receivedBy?.username || 'staff'}${transfer.receiveNotes ? ` - ${transfer.receiveNotes}` : ''}`}
+                              {transfer.status === 'cancelled' && `. Cancelled ${formatDate(transfer.cancelledAt)} - stock returned to the sender`}
+                            </p>
+                          </td>
+                        </tr>
+                      )}
+                    </React.Fragment>
+                  ))
+                ) : (
+                  <tr>
+                    <td colSpan="9" className="empty-cell">
+                      <h3>No {incoming ? 'Incoming' : 'Outgoing'} Transfers</h3>
+                      <p>
+                        {theaters.length > 0
+                          ? 'Stock sent between your theaters shows here until it is received.'
+                          : 'Transfers are possible between theaters a super admin has placed in the same organization.'}
+                      </p>
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        </PageContainer>
+
+        {showSendModal && (
+          <StockTransferModal
+            theaterId={theaterId}
+            theaters={theaters}
+            products={products}
+            onClose={() => setShowSendModal(false)}
+            onSaved={() => {
+              setShowSendModal(false);
+              setActiveTab('outgoing');
+              loadTransfers();
+            }}
+          />
+        )}
+
+        {receiving && (
+          <StockTransferReceiveModal
+            theaterId={theaterId}
+            transfer={receiving}
+            products={products}
+            onClose={() => setReceiving(null)}
+            onSaved={() => {
+              setReceiving(null);
+              loadTransfers();
+            }}
+          />
+        )}
+      </TheaterLayout>
+    </ErrorBoundary>
+  );
+};
+
+export default TheaterStockTransfers;
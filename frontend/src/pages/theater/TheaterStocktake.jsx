@@ -0,0 +1,256 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams } from 'react-router-dom';
+import TheaterLayout from '@components/theater/TheaterLayout';
+import PageContainer from '@components/PageContainer';
+import ErrorBoundary from '@components/ErrorBoundary';
+import StocktakeSheet from '@components/theater/StocktakeSheet';
+import { useAuth } from '@contexts/AuthContext';
+import { useModal } from '@contexts/ModalContext';
+import { useToast } from '@contexts/ToastContext';
+import config from '@config';
+import { unifiedFetch } from '@utils/unifiedFetch';
+import { formatMoney } from '@utils/purchasing';
+import { STOCKTAKE_STATUS_LABELS } from '@utils/stocktake';
+import '@styles/QRManagementPage.css';
+import '@styles/TheaterList.css';
+import '@styles/TheaterGlobalModals.css';
+import '@styles/pages/theater/TheaterPurchasing.css';
+import '@styles/pages/theater/TheaterStocktake.css';
+
+const formatDate = (value) =>
+  value ? new Date(value).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' }) : '—';
+
+const ACTION_PROMPTS = {
+  submit: {
+    title: 'Submit Stocktake',
+    message: 'Submit the counts for approval? Counting is closed until a theater admin reopens it.',
+    type: 'info',
+    confirmText: 'Submit'
+  },
+  reopen: {
+    title: 'Reopen Stocktake',
+    message: 'Reopen the stocktake so staff can correct or finish the counts?',
+    type: 'info',
+    confirmText: 'Reopen'
+  },
+  approve: {
+    title: 'Approve Stocktake',
+    message: 'Post every variance to cafe stock as an adjustment? Cafe stock will match the counted quantities.',
+    type: 'danger',
+    confirmText: 'Approve'
+  },
+  cancel: {
+    title: 'Cancel Stocktake',
+    message: 'Cancel this stocktake? Nothing is posted to cafe stock.',
+    type: 'danger',
+    confirmText: 'Cancel Stocktake'
+  }
+};
+
+/**
+ * 📋 Stocktake - physical counts of cafe stock. Staff count (from a phone if they like) and submit,
+ * a theater admin approves and the variances are posted to cafe stock
+ */
+const TheaterStocktake = () => {
+  const { theaterId } = useParams();
+  const { rolePermissions } = useAuth();
+  const { confirm } = useModal();
+  const toast = useToast();
+
+  const isTheaterAdmin = rolePermissions?.[0]?.role?.name === 'Theater Admin';
+
+  const [stocktakes, setStocktakes] = useState([]);
+  const [activeStocktake, setActiveStocktake] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [starting, setStarting] = useState(false);
+
+  const loadStocktakes = useCallback(async () => {
+    if (!theaterId) return;
+
+    try {
+      const response = await unifiedFetch(
+        `${config.api.baseUrl}/stocktakes/${theaterId}`,
+        {},
+        { forceRefresh: true, timeout: 15000 }
+      );
+      const data = await response.json();
+      if (!response.ok || data.success === false) {
+        throw new Error(data.error || data.message || 'Failed to load stocktakes');
+      }
+      setStocktakes(data.data || []);
+    } catch (error) {
+      console.error('Error loading stocktakes:', error);
+      toast.error(error.message || 'Failed to load stocktakes');
+    } finally {
+      setLoading(false);
+    }
+  }, [theaterId, toast]);
+
+  useEffect(() => {
+    loadStocktakes();
+  }, [loadStocktakes]);
+
+  const openStocktake = async (stocktakeId) => {
+    try {
+      const response = await unifiedFetch(
+        `${config.api.baseUrl}/stocktakes/${theaterId}/${stocktakeId}`,
+        {},
+        { forceRefresh: true, timeout: 15000 }
+      );
+      const data = await response.json();
+      if (!response.ok || data.success === false) {
+        throw new Error(data.error || data.message || 'Failed to load stocktake');
+      }
+      setActiveStocktake(data.data);
+    } catch (error) {
+      console.error('Error loading stocktake:', error);
+      toast.error(error.message || 'Failed to load stocktake');
+    }
+  };
+
+  const startStocktake = async () => {
+    setStarting(true);
+    try {
+      const response = await unifiedFetch(
+        `${config.api.baseUrl}/stocktakes/${theaterId}`,
+        { method: 'POST', body: JSON.stringify({}) },
+        { forceRefresh: true, retry: false }
+      );
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok || data.success === false) {
+        throw new Error(data.error || data.message || 'Failed to start stocktake');
+      }
+      toast.success(`Stocktake ${data.data.stocktakeNumber} started`);
+      setActiveStocktake(data.data);
+      loadStocktakes();
+    } catch (error) {
+      console.error('Error starting stocktake:', error);
+      toast.error(error.message || 'Failed to start stocktake');
+    } finally {
+      setStarting(false);
+    }
+  };
+
+  const changeStatus = async (action) => {
+    const confirmed = await confirm(ACTION_PROMPTS[action]);
+    if (!confirmed) return;
+
+    try {
+      const response = await unifiedFetch(
+        `${config.api.baseUrl}/stocktakes/${theaterId}/${activeStocktake._id}/${action}`,
+        { method: 'POST', body: JSON.stringify({}) },
+        { forceRefresh: true, retry: false, timeout: 60000 }
+      );
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok || data.success === false) {
+        throw new Error(data.error || data.message || 'Failed to update stocktake');
+      }
+      toast.success(data.message || 'Stocktake updated');
+      setActiveStocktake(action === 'cancel' ? null : data.data);
+      loadStocktakes();
+    } catch (error) {
+      console.error('Error updating stocktake:', error);
+      toast.error(error.message || 'Failed to update stocktake');
+    }
+  };
+
+  const openStocktakeInList = stocktakes.find(stocktake => ['counting', 'submitted'].includes(stocktake.status));
+
+  const headerButton = activeStocktake || openStocktakeInList ? null : (
+    <button className="header-btn" onClick={startStocktake} disabled={starting}>
+      <span className="btn-icon">
+        <svg viewBox="0 0 24 24" fill="currentColor" className="svg-icon-sm">
+          <path d="M19 13h-6v6h-2v-6H5v-2h6V5h2v6h6v2z" />
+        </svg>
+      </span>
+      {starting ? 'Starting...' : 'Start Stocktake'}
+    </button>
+  );
+
+  return (
+    <ErrorBoundary>
+      <TheaterLayout pageTitle="Stocktake" currentPage="theater-stocktake">
+        <PageContainer title="Stocktake" headerButton={headerButton}>
+          {activeStocktake ? (
+            <StocktakeSheet
+              theaterId={theaterId}
+              stocktake={activeStocktake}
+              onChange={setActiveStocktake}
+              onAction={changeStatus}
+              onBack={() => {
+                setActiveStocktake(null);
+                loadStocktakes();
+              }}
+              canReview={isTheaterAdmin}
+            />
+          ) : (
+            <div className="theater-table-container">
+              <table className="theater-table">
+                <thead>
+                  <tr>
+                    <th className="sno-cell">S.No</th>
+                    <th>Stocktake</th>
+                    <th>Started</th>
+                    <th>Started By</th>
+                    <th>Counted</th>
+                    <th>Net Variance</th>
+                    <th className="status-cell">Status</th>
+                    <th className="actions-cell">Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {loading ? (
+                    <tr>
+                      <td colSpan="8" className="loading-cell">
+                        <div className="loading-spinner"></div>
+                        <span>Loading stocktakes...</span>
+                      </td>
+                    </tr>
+                  ) : stocktakes.length > 0 ? (
+                    stocktakes.map((stocktake, index) => (
+                      <tr key={stocktake._id} className="theater-row">
+                        <td className="sno-cell">{index + 1}</td>
+                        <td className="purchase-number">{stocktake.stocktakeNumber}</td>
+                        <td>{formatDate(stocktake.createdAt)}</td>
+                        <td>{stocktake.startedBy?.username || '—'}</td>
+                        <td>{stocktake.summary.countedLines} / {stocktake.summary.totalLines}</td>
+                        <td className={stocktake.summary.varianceValue < 0 ? 'purchase-negative' : 'purchase-positive'}>
+                          {stocktake.status === 'counting' ? '—' : formatMoney(stocktake.summary.varianceValue)}
+                        </td>
+                        <td className="status-cell">
+                          <span className={`stocktake-status ${stocktake.status}`}>
+                            {STOCKTAKE_STATUS_LABELS[stocktake.status] || stocktake.status}
+                          </span>
+                        </td>
+                        <td className="actions-cell">
+                          <button
+                            className={`purchase-action-btn ${stocktake.status === 'counting' ? 'primary' : ''}`}
+                            onClick={() => openStocktake(stocktake._id)}
+                          >
+                            {stocktake.status === 'counting' ? 'Continue Counting' : 'View'}
+                          </button>
+                        </td>
+                      </tr>
+                    ))
+                  ) : (
+                    <tr>
+                      <td colSpan="8" className="empty-cell">
+                        <h3>No Stocktakes</h3>
+                        <p>Count what is on the shelves and post the difference to cafe stock once it is approved.</p>
+                        <button className="add-theater-btn" onClick={startStocktake} disabled={starting}>
+                          Start First Stocktake
+                        </button>
+                      </td>
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </PageContainer>
+      </TheaterLayout>
+    </ErrorBoundary>
+  );
+};
+
+export default TheaterStocktake;
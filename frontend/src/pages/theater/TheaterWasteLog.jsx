@@ -0,0 +1,264 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams } from 'react-router-dom';
+import TheaterLayout from '@components/theater/TheaterLayout';
+import PageContainer from '@components/PageContainer';
+import ErrorBoundary from '@components/ErrorBoundary';
+import WasteLogModal from '@components/theater/WasteLogModal';
+import { useAuth } from '@contexts/AuthContext';
+import { useModal } from '@contexts/ModalContext';
+import { useToast } from '@contexts/ToastContext';
+import config from '@config';
+import { unifiedFetch } from '@utils/unifiedFetch';
+import { formatMoney, formatQuantity } from '@utils/purchasing';
+import { WASTE_STATUS_LABELS, wasteReasonLabel } from '@utils/wasteLog';
+import '@styles/QRManagementPage.css';
+import '@styles/TheaterList.css';
+import '@styles/TheaterGlobalModals.css';
+import '@styles/pages/theater/TheaterPurchasing.css';
+import '@styles/pages/theater/TheaterWasteLog.css';
+
+const formatDate = (value) =>
+  value ? new Date(value).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' }) : '—';
+
+/**
+ * 🗑️ Waste & spoilage log - staff log cafe stock that was thrown away,
+ * a theater admin approves it off stock or rejects it
+ */
+const TheaterWasteLog = () => {
+  const { theaterId } = useParams();
+  const { rolePermissions } = useAuth();
+  const { confirm, prompt } = useModal();
+  const toast = useToast();
+
+  const isTheaterAdmin = rolePermissions?.[0]?.role?.name === 'Theater Admin';
+
+  const [wasteLogs, setWasteLogs] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [statusFilter, setStatusFilter] = useState('pending');
+  const [loading, setLoading] = useState(true);
+  const [showLogModal, setShowLogModal] = useState(false);
+
+  const loadWasteLogs = useCallback(async () => {
+    if (!theaterId) return;
+
+    setLoading(true);
+    try {
+      const query = statusFilter ? `?status=${statusFilter}` : '';
+      const response = await unifiedFetch(
+        `${config.api.baseUrl}/waste-logs/${theaterId}${query}`,
+        {},
+        { forceRefresh: true, timeout: 15000 }
+      );
+      const data = await response.json();
+      if (!response.ok || data.success === false) {
+        throw new Error(data.error || data.message || 'Failed to load waste log');
+      }
+      setWasteLogs(data.data || []);
+    } catch (error) {
+      console.error('Error loading waste log:', error);
+      toast.error(error.message || 'Failed to load waste log');
+    } finally {
+      setLoading(false);
+    }
+  }, [theaterId, statusFilter, toast]);
+
+  // Products kept in cafe stock (combos and recipe products are wasted as their ingredients)
+  const loadProducts = useCallback(async () => {
+    if (!theaterId) return;
+
+    try {
+      const response = await unifiedFetch(
+        `${config.api.baseUrl}/theater-products/${theaterId}?limit=1000`,
+        {},
+        { cacheKey: `theater_products_waste_${theaterId}`, cacheTTL: 300000 }
+      );
+      const data = await response.json().catch(() => ({}));
+      const productList = Array.isArray(data.data) ? data.data : data.data?.products || [];
+      setProducts(productList
+        .filter(product => !product.isCombo && !(Array.isArray(product.recipe) && product.recipe.length > 0))
+        .map(product => ({ _id: product._id, name: product.name || product.productName }))
+        .sort((a, b) => String(a.name).localeCompare(String(b.name))));
+    } catch (error) {
+      console.error('Error loading waste log products:', error);
+    }
+  }, [theaterId]);
+
+  useEffect(() => {
+    loadWasteLogs();
+  }, [loadWasteLogs]);
+
+  useEffect(() => {
+    loadProducts();
+  }, [loadProducts]);
+
+  const reviewWasteLog = async (wasteLog, action) => {
+    let reason;
+    if (action === 'approve') {
+      const confirmed = await confirm({
+        title: 'Approve Waste',
+        message: `Take ${formatQuantity(wasteLog.quantity, wasteLog.unit)} of ${wasteLog.productName} off cafe stock as ${wasteLog.reasonCode === 'expired' ? 'expired' : 'damaged'}?`,
+        type: 'danger',
+        confirmText: 'Approve'
+      });
+      if (!confirmed) return;
+    } else {
+      reason = await prompt({
+        title: 'Reject Waste',
+        message: `Why is the waste of ${wasteLog.productName} rejected? Stock is left as it is.`,
+        placeholder: 'Reason',
+        required: true,
+        confirmText: 'Reject'
+      });
+      if (reason === null || reason === undefined) return;
+    }
+
+    try {
+      const response = await unifiedFetch(
+        `${config.api.baseUrl}/waste-logs/${theaterId}/${wasteLog._id}/${action}`,
+        { method: 'POST', body: JSON.stringify(reason ? { reason } : {}) },
+        { forceRefresh: true, retry: false }
+      );
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok || data.success === false) {
+        throw new Error(data.error || data.message || 'Failed to review waste');
+      }
+      toast.success(action === 'approve' ? 'Waste approved - taken off cafe stock' : 'Waste rejected');
+      loadWasteLogs();
+    } catch (error) {
+      console.error('Error reviewing waste:', error);
+      toast.error(error.message || 'Failed to review waste');
+    }
+  };
+
+  const handleWasteLogged = () => {
+    setShowLogModal(false);
+    loadWasteLogs();
+  };
+
+  const headerButton = (
+    <button className="header-btn" onClick={() => setShowLogModal(true)}>
+      <span className="btn-icon">
+        <svg viewBox="0 0 24 24" fill="currentColor" className="svg-icon-sm">
+          <path d="M19 13h-6v6h-2v-6H5v-2h6V5h2v6h6v2z" />
+        </svg>
+      </span>
+      Log Waste
+    </button>
+  );
+
+  return (
+    <ErrorBoundary>
+      <TheaterLayout pageTitle="Waste Log" currentPage="theater-waste-log">
+        <PageContainer title="Waste & Spoilage" headerButton={headerButton}>
+          <div className="purchase-filters">
+            <select
+              value={statusFilter}
+              onChange={(e) => setStatusFilter(e.target.value)}
+              className="form-control"
+            >
+              <option value="">All statuses</option>
+              {Object.entries(WASTE_STATUS_LABELS).map(([status, label]) => (
+                <option key={status} value={status}>{label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="theater-table-container">
+            <table className="theater-table">
+              <thead>
+                <tr>
+                  <th className="sno-cell">S.No</th>
+                  <th>Date</th>
+                  <th className="name-cell">Product</th>
+                  <th>Quantity</th>
+                  <th>Reason</th>
+                  <th>Photo</th>
+                  <th>Cost</th>
+                  <th>Logged By</th>
+                  <th className="status-cell">Status</th>
+                  <th className="actions-cell">Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {loading ? (
+                  <tr>
+                    <td colSpan="10" className="loading-cell">
+                      <div className="loading-spinner"></div>
+                      <span>Loading waste log...</span>
+                    </td>
+                  </tr>
+                ) : wasteLogs.length > 0 ? (
+                  wasteLogs.map((wasteLog, index) => (
+                    <tr key={wasteLog._id} className="theater-row">
+                      <td className="sno-cell">{index + 1}</td>
+                      <td>{formatDate(wasteLog.wasteDate)}</td>
+                      <td className="name-cell">
+                        <div className="qr-name">{wasteLog.productName}</div>
+                      </td>
+                      <td>{formatQuantity(wasteLog.quantity, wasteLog.unit)}</td>
+                      <td>
+                        <div>{wasteReasonLabel(wasteLog.reasonCode)}</div>
+                        {wasteLog.reasonNote && <div className="purchase-muted">{wasteLog.reasonNote}</div>}
+                      </td>
+                      <td>
+                        {wasteLog.photoUrl ? (
+                          <a href={wasteLog.photoUrl} target="_blank" rel="noopener noreferrer">
+                            <img src={wasteLog.photoUrl} alt={wasteLog.productName} className="waste-photo-thumb" />
+                          </a>
+                        ) : '—'}
+                      </td>
+                      <td>{wasteLog.unitCost === null || wasteLog.unitCost === undefined ? 'No purchase cost' : formatMoney(wasteLog.costAmount)}</td>
+                      <td>{wasteLog.recordedBy?.username || '—'}</td>
+                      <td className="status-cell">
+                        <span className={`waste-status ${wasteLog.status}`}>
+                          {WASTE_STATUS_LABELS[wasteLog.status] || wasteLog.status}
+                        </span>
+                        {wasteLog.reviewedBy?.username && (
+                          <div className="purchase-muted">by {wasteLog.reviewedBy.username}</div>
+                        )}
+                        {wasteLog.rejectionReason && <div className="purchase-muted">{wasteLog.rejectionReason}</div>}
+                      </td>
+                      <td className="actions-cell">
+                        {isTheaterAdmin && wasteLog.status === 'pending' ? (
+                          <div className="purchase-actions">
+                            <button className="purchase-action-btn primary" onClick={() => reviewWasteLog(wasteLog, 'approve')}>
+                              Approve
+                            </button>
+                            <button className="purchase-action-btn danger" onClick={() => reviewWasteLog(wasteLog, 'reject')}>
+                              Reject
+                            </button>
+                          </div>
+                        ) : '—'}
+                      </td>
+                    </tr>
+                  ))
+                ) : (
+                  <tr>
+                    <td colSpan="10" className="empty-cell">
+                      <h3>No Waste Logged</h3>
+                      <p>Log cafe stock that was dropped, burnt or rejected so it comes off stock with a reason once approved.</p>
+                      <button className="add-theater-btn" onClick={() => setShowLogModal(true)}>
+                        Log Waste
+                      </button>
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+
+          {showLogModal && (
+            <WasteLogModal
+              theaterId={theaterId}
+              products={products}
+              onClose={() => setShowLogModal(false)}
+              onSaved={handleWasteLogged}
+            />
+          )}
+        </PageContainer>
+      </TheaterLayout>
+    </ErrorBoundary>
+  );
+};
+
+export default TheaterWasteLog;
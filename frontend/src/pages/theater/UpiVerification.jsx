@@ -0,0 +1,278 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams } from 'react-router-dom';
+import TheaterLayout from '@components/theater/TheaterLayout';
+import PageContainer from '@components/PageContainer';
+import ErrorBoundary from '@components/ErrorBoundary';
+import { useModal } from '@contexts/ModalContext';
+import { useToast } from '@contexts/ToastContext';
+import config from '@config';
+import { unifiedFetch } from '@utils/unifiedFetch';
+import '@styles/QRManagementPage.css';
+import '@styles/TheaterList.css';
+import '@styles/pages/theater/UpiVerification.css';
+
+// Fallback refresh when the live stream is not connected
+const POLL_INTERVAL_MS = 15000;
+
+const REVIEW_LABELS = {
+  pending_review: 'UTR submitted',
+  rejected: 'Rejected',
+  awaiting_utr: 'Awaiting UTR'
+};
+
+const formatAmount = (amount) => new Intl.NumberFormat('en-IN', {
+  style: 'currency',
+  currency: 'INR'
+}).format(amount || 0);
+
+const formatTime = (value) => value
+  ? new Date(value).toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' })
+  : '—';
+
+/**
+ * UPI Verification
+ * Cashier queue for direct UPI payments: check the UTR and amount against the bank / UPI business app,
+ * then approve (order is marked paid) or reject (customer is asked to re-check the UTR)
+ */
+const UpiVerification = () => {
+  const { theaterId } = useParams();
+  const { confirm, prompt } = useModal();
+  const toast = useToast();
+
+  const [payments, setPayments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [liveConnected, setLiveConnected] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+
+  const loadQueue = useCallback(async () => {
+    if (!theaterId) return;
+
+    try {
+      const response = await unifiedFetch(
+        `${config.api.baseUrl}/payments/upi/queue/${theaterId}`,
+        {},
+        { forceRefresh: true, timeout: 15000, maxRetries: 1 }
+      );
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error || errorData.message || 'Failed to load UPI payments');
+      }
+
+      const data = await response.json();
+      if (data.success && data.data) {
+        setPayments(data.data.payments || []);
+      }
+    } catch (error) {
+      console.error('Error loading UPI queue:', error);
+      toast.error(error.message || 'Failed to load UPI payments');
+    } finally {
+      setLoading(false);
+    }
+  }, [theaterId, toast]);
+
+  useEffect(() => {
+    loadQueue();
+    const pollId = setInterval(() => {
+      if (!liveConnected) loadQueue();
+    }, POLL_INTERVAL_MS);
+    return () => clearInterval(pollId);
+  }, [loadQueue, liveConnected]);
+
+  // New UTR submissions and other cashiers' decisions refresh the queue
+  useEffect(() => {
+    if (!theaterId || typeof EventSource === 'undefined') return undefined;
+
+    const token = localStorage.getItem('authToken') || localStorage.getItem('token');
+    if (!token) return undefined;
+
+    const source = new EventSource(
+      `${config.api.baseUrl}/pos-stream/${theaterId}?token=${encodeURIComponent(token)}`
+    );
+
+    source.onopen = () => setLiveConnected(true);
+    source.onerror = () => setLiveConnected(false);
+    source.onmessage = (event) => {
+      try {
+        const payload = JSON.parse(event.data);
+        if (payload.type === 'upi_payment') {
+          if (payload.event === 'utr_submitted') {
+            toast.info('New UPI payment to verify');
+          }
+          loadQueue();
+        }
+      } catch {
+        // Ignore keep-alive / malformed frames
+      }
+    };
+
+    return () => {
+      source.close();
+      setLiveConnected(false);
+    };
+  }, [theaterId, loadQueue, toast]);
+
+  const submitReview = async (payment, action, body) => {
+    setBusyId(payment.transactionId);
+    try {
+      const response = await unifiedFetch(
+        `${config.api.baseUrl}/payments/upi/${theaterId}/${payment.transactionId}/${action}`,
+        {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(body)
+        },
+        { forceRefresh: true, retry: false }
+      );
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok || data.success === false) {
+        throw new Error(data.error || data.message || 'Failed to update payment');
+      }
+
+      toast.success(action === 'approve'
+        ? `Order #${payment.orderNumber || ''} marked paid`
+        : 'Payment rejected - customer will be asked to re-check the UTR');
+    } catch (error) {
+      console.error(`Error on UPI ${action}:`, error);
+      toast.error(error.message || 'Failed to update payment');
+    } finally {
+      setBusyId(null);
+      loadQueue();
+    }
+  };
+
+  const handleApprove = async (payment) => {
+    // The cashier can confirm by amount and enter the UTR when the customer could not
+    let utr = payment.utr;
+    if (!utr) {
+      utr = await prompt({
+        title: 'Enter UTR',
+        message: `Enter the 12-digit UTR of the ${formatAmount(payment.amount)} payment from the bank / UPI app`,
+        placeholder: '12-digit UTR',
+        required: true,
+        confirmText: 'Approve',
+        validation: (value) => /^\d{12}$/.test(String(value || '').replace(/\s/g, '')) ? '' : 'UTR must be 12 digits'
+      });
+      if (!utr) return;
+      utr = String(utr).replace(/\s/g, '');
+    } else {
+      const confirmed = await confirm({
+        title: 'Confirm UPI Payment',
+        message: `Received ${formatAmount(payment.amount)} with UTR ${utr}? The order will be marked paid.`,
+        type: 'success',
+        confirmText: 'Approve'
+      });
+      if (!confirmed) return;
+    }
+
+    submitReview(payment, 'approve', { utr });
+  };
+
+  const handleReject = async (payment) => {
+    const reason = await prompt({
+      title: 'Reject UPI Payment',
+      message: 'Reason shown to the customer',
+      placeholder: 'e.g. UTR not found in bank statement',
+      required: true,
+      confirmText: 'Reject'
+    });
+    if (!reason) return;
+
+    submitReview(payment, 'reject', { reason });
+  };
+
+  return (
+    <ErrorBoundary>
+      <TheaterLayout pageTitle="UPI Verification" currentPage="upi-verification">
+        <PageContainer title="UPI Verification">
+          <div className="upi-verify-toolbar">
+            <p className="upi-verify-help">
+              Match each UTR and amount with your bank or UPI business app before approving.
+            </p>
+            <span className={`upi-verify-live ${liveConnected ? 'live' : ''}`}>
+              {liveConnected ? 'Live' : 'Auto-refresh'}
+            </span>
+          </div>
+
+          <div className="theater-table-container">
+            <table className="theater-table">
+              <thead>
+                <tr>
+                  <th className="sno-cell">S.No</th>
+                  <th>Order</th>
+                  <th>Customer</th>
+                  <th>Amount</th>
+                  <th>UTR</th>
+                  <th>Time</th>
+                  <th className="status-cell">Status</th>
+                  <th className="actions-cell">Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {loading ? (
+                  <tr>
+                    <td colSpan="8" className="loading-cell">Loading UPI payments...</td>
+                  </tr>
+                ) : payments.length > 0 ? (
+                  payments.map((payment, index) => {
+                    const isBusy = busyId === payment.transactionId;
+                    return (
+                      <tr key={payment.transactionId} className={`upi-verify-row ${payment.reviewStatus}`}>
+                        <td className="sno-cell">{index + 1}</td>
+                        <td>
+                          #{payment.orderNumber || '—'}
+                          <small className="upi-verify-channel">{payment.channel === 'kiosk' ? 'Kiosk' : 'Online'}</small>
+                        </td>
+                        <td>{payment.customerName || '—'}</td>
+                        <td className="upi-verify-amount">{formatAmount(payment.amount)}</td>
+                        <td className="upi-verify-utr">
+                          {payment.utr || '—'}
+                          {payment.rejectionReason && <small>{payment.rejectionReason}</small>}
+                        </td>
+                        <td>{formatTime(payment.submittedAt || payment.createdAt)}</td>
+                        <td className="status-cell">
+                          <span className={`upi-verify-status ${payment.reviewStatus}`}>
+                            {REVIEW_LABELS[payment.reviewStatus] || payment.reviewStatus}
+                          </span>
+                        </td>
+                        <td className="actions-cell">
+                          <div className="upi-verify-actions">
+                            <button
+                              className="upi-verify-btn approve"
+                              onClick={() => handleApprove(payment)}
+                              disabled={isBusy}
+                            >
+                              {isBusy ? 'Saving...' : 'Approve'}
+                            </button>
+                            {payment.reviewStatus === 'pending_review' && (
+                              <button
+                                className="upi-verify-btn reject"
+                                onClick={() => handleReject(payment)}
+                                disabled={isBusy}
+                              >
+                                Reject
+                              </button>
+                            )}
+                          </div>
+                        </td>
+                      </tr>
+                    );
+                  })
+                ) : (
+                  <tr>
+                    <td colSpan="8" className="empty-cell">
+                      <h3>No UPI Payments Waiting</h3>
+                      <p>Direct UPI payments from the last 24 hours appear here until they are approved.</p>
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        </PageContainer>
+      </TheaterLayout>
+    </ErrorBoundary>
+  );
+};
+
+export default UpiVerification;
@@ -8,6 +8,7 @@ import InstantImage from '@components/InstantImage'; // Instant image loading co
 import { calculateOrderTotals } from '@utils/orderCalculation'; // 📊 Centralized calculation
 import { useOfflineQueue } from '@hooks/useOfflineQueue';
 import { loadRazorpayScript } from '@utils/razorpayLoader'; // 💳 Razorpay script loader
+import { isRedirectGateway, openGatewayPopup } from '@utils/gatewayCheckout';
 import { useModal } from '@contexts/ModalContext'; // ✅ Global modal system
 import config from '@config';
 import '@styles/TheaterGlobalModals.css'; // Global theater modal styles
@@ -20,10 +21,19 @@ import { ultraFetch } from '@utils/ultraFetch';
 import { unifiedFetch } from '@utils/unifiedFetch';
 import { printReceiptSilently, printCategoryWiseBills, hasMultipleCategories } from '@utils/silentPrintService';
 import { getTodayLocalDate } from '@utils/dateUtils';
+import { validateCouponCode, getCouponDiscount } from '@utils/couponCheckout';
+import { checkGiftCardBalance, normalizeGiftCardCode, formatGiftCardCode } from '@utils/giftCards';
+import { toOrderModifiers, describeModifiers } from '@utils/productModifiers';
 import cashIcon from '../../home/images/cash.png';
 import cardIcon from '../../home/images/card.png';
 import upiIcon from '../../home/images/UPI.png';
 
+// ✅ Split payments: tenders the cashier can combine at the counter
+const SPLIT_TENDER_METHODS = ['cash', 'upi', 'card', 'giftcard'];
+const SPLIT_TENDER_LABELS = { cash: 'Cash', upi: 'UPI', card: 'Card', giftcard: 'Gift Card' };
+
+const roundAmount = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
 const ViewCart = () => {
   const { theaterId } = useParams();
   const location = useLocation();
@@ -128,6 +138,19 @@ const ViewCart = () => {
   const [cartData, setCartData] = useState(getCartData());
   const [orderNotes, setOrderNotes] = useState(cartData?.notes || '');
   const [paymentMethod, setPaymentMethod] = useState('cash');
+  const [splitTenders, setSplitTenders] = useState({ cash: '', upi: '', card: '', giftcard: '' });
+  const [cashReceived, setCashReceived] = useState('');
+  // 🎁 Gift card tender - balance previewed here, the server charges the card when the order is created
+  const [giftCardCode, setGiftCardCode] = useState('');
+  const [giftCard, setGiftCard] = useState(null);
+  const [giftCardError, setGiftCardError] = useState('');
+  const [giftCardChecking, setGiftCardChecking] = useState(false);
+  // 🎟️ Coupon entered at the counter - previewed here, applied by the server when the order is created
+  const [couponInput, setCouponInput] = useState('');
+  const [couponPhone, setCouponPhone] = useState('');
+  const [appliedCoupon, setAppliedCoupon] = useState(null);
+  const [couponError, setCouponError] = useState('');
+  const [couponApplying, setCouponApplying] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
   const [customerName, setCustomerName] = useState(cartData?.customerName || 'POS');
   const [gatewayConfig, setGatewayConfig] = useState(null);
@@ -240,9 +263,12 @@ const ViewCart = () => {
   }, [cartData.items]); // Re-run when items change
 
   // ✅ FIX: Force cash payment when offline or no server
+  // Split payments are collected at the counter, so they stay available without the gateway
+  // Gift cards do not need the gateway either, but their balance is checked online
   useEffect(() => {
     if (connectionStatus === 'offline' || !gatewayConfig || !gatewayConfig.isEnabled) {
-      if (paymentMethod !== 'cash') {
+      const isGiftCardOnline = paymentMethod === 'giftcard' && connectionStatus !== 'offline';
+      if (paymentMethod !== 'cash' && paymentMethod !== 'split' && !isGiftCardOnline) {
         setPaymentMethod('cash');
       }
     }
@@ -515,6 +541,124 @@ const ViewCart = () => {
     return calculateOrderTotals(mappedItems);
   }, [cartData.items]);
 
+  // ✅ Split payments only apply to counter orders (not customer online orders)
+  const isCounterOrder = getOrderType() === 'pos';
+
+  // ✅ Amount to collect: cart total less the coupon (the cart total is sent, the server takes the coupon off)
+  const couponDiscount = getCouponDiscount(appliedCoupon, total);
+  const payableTotal = roundAmount(total - couponDiscount);
+  const couponChannel = isCounterOrder ? 'pos' : 'online';
+
+  const handleApplyCoupon = async (code = couponInput) => {
+    const trimmed = String(code || '').trim().toUpperCase();
+    if (!trimmed) return;
+
+    setCouponApplying(true);
+    setCouponError('');
+    try {
+      const coupon = await validateCouponCode(theaterId, trimmed, cartData.items || [], {
+        channel: couponChannel,
+        customerPhone: couponPhone.trim() || null
+      });
+      setAppliedCoupon(coupon);
+      setCouponInput('');
+    } catch (error) {
+      setAppliedCoupon(null);
+      setCouponError(error.message);
+    } finally {
+      setCouponApplying(false);
+    }
+  };
+
+  const handleRemoveCoupon = () => {
+    setAppliedCoupon(null);
+    setCouponError('');
+  };
+
+  // Re-price the applied coupon when the cart changes
+  useEffect(() => {
+    if (appliedCoupon && connectionStatus === 'online') {
+      handleApplyCoupon(appliedCoupon.code);
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [cartData.items]);
+
+  // Coupon fields for the order payloads
+  const getCouponOrderFields = () => {
+    if (!appliedCoupon) return {};
+    return {
+      couponCode: appliedCoupon.code,
+      ...(couponPhone.trim() && { customerInfo: { name: customerName.trim(), phone: couponPhone.trim() } })
+    };
+  };
+
+  const handleCheckGiftCard = async () => {
+    const code = normalizeGiftCardCode(giftCardCode);
+    if (!code) return;
+    setGiftCardChecking(true);
+    setGiftCardError('');
+    try {
+      const card = await checkGiftCardBalance(theaterId, code);
+      setGiftCard(card);
+      if (!card.isUsable) {
+        setGiftCardError(card.status === 'blocked' ? 'Gift card is blocked' : 'Gift card cannot be used (expired or no balance)');
+      }
+    } catch (error) {
+      setGiftCard(null);
+      setGiftCardError(error.message);
+    } finally {
+      setGiftCardChecking(false);
+    }
+  };
+
+  // ✅ Tenders for the order, amount still to collect and change due on cash
+  const tenderSummary = useMemo(() => {
+    let tenders = [];
+    if (paymentMethod === 'split') {
+      tenders = SPLIT_TENDER_METHODS
+        .filter(method => Number(splitTenders[method]) > 0)
+        .map(method => ({ method, amount: roundAmount(splitTenders[method]) }));
+    } else if (paymentMethod === 'cash') {
+      tenders = [{ method: 'cash', amount: payableTotal }];
+    } else if (paymentMethod === 'giftcard') {
+      tenders = [{ method: 'giftcard', amount: payableTotal }];
+    }
+
+    const tendered = roundAmount(tenders.reduce((sum, tender) => sum + tender.amount, 0));
+    const cashAmount = tenders.find(tender => tender.method === 'cash')?.amount || 0;
+    const giftCardAmount = tenders.find(tender => tender.method === 'giftcard')?.amount || 0;
+    const received = cashReceived === '' || cashAmount === 0 ? null : roundAmount(cashReceived);
+
+    return {
+      tenders,
+      cashAmount,
+      giftCardAmount,
+      received,
+      remaining: roundAmount(payableTotal - tendered),
+      change: received === null ? 0 : roundAmount(received - cashAmount)
+    };
+  }, [paymentMethod, splitTenders, cashReceived, payableTotal]);
+
+  // Tenders are only sent for split and gift card bills or when cash received was entered (to record change)
+  const getOrderTenders = () => {
+    if (!isCounterOrder || (paymentMethod !== 'split' && paymentMethod !== 'giftcard' && tenderSummary.received === null)) {
+      return null;
+    }
+    return tenderSummary.tenders.map(tender => {
+      if (tender.method === 'cash' && tenderSummary.received !== null) {
+        return { ...tender, received: tenderSummary.received };
+      }
+      if (tender.method === 'giftcard') {
+        return { ...tender, reference: normalizeGiftCardCode(giftCardCode) };
+      }
+      return tender;
+    });
+  };
+
+  const handleSplitTenderChange = (method, value) => {
+    setSplitTenders(prev => ({ ...prev, [method]: value }));
+  };
+
   // Handle modal close and navigation
   const handleModalClose = () => {
     setShowSuccessModal(false);
@@ -987,6 +1131,61 @@ const ViewCart = () => {
   // PAYMENT GATEWAY INTEGRATION FUNCTIONS
   // ============================================
 
+  // ✅ Gateway payment verified - clear cart, show success, print and return to the POS
+  const completeGatewayPayment = (createdOrder, orderNumber) => {
+    // Payment success - clear cart and show success
+    sessionStorage.removeItem('cartData');
+
+    // ✅ FIX: Clear order history cache to show new order immediately
+    const today = new Date();
+    const year = today.getFullYear();
+    const month = String(today.getMonth() + 1).padStart(2, '0');
+    const day = String(today.getDate()).padStart(2, '0');
+    const selectedDate = `${year}-${month}-${day}`;
+    const cacheKey = `theaterOrderHistory_${theaterId}_${selectedDate}`;
+    try {
+      localStorage.removeItem(cacheKey);
+    } catch (e) {
+      console.warn('Failed to clear order history cache:', e);
+    }
+
+    if (createdOrder) {
+      console.log('📦 [ViewCart] Gateway payment - Order object before printing:', {
+        orderNumber: createdOrder?.orderNumber,
+        hasItems: !!(createdOrder?.products || createdOrder?.items),
+        itemsCount: (createdOrder?.products || createdOrder?.items || []).length,
+        hasPricing: !!(createdOrder?.pricing || createdOrder?.subtotal),
+        orderStructure: createdOrder
+      });
+
+      // ✅ Event already dispatched above when order was created - no need to dispatch again
+      setOrderDetails(createdOrder);
+      setShowSuccessModal(true);
+
+      // 🖨️ AUTO-PRINT: Print receipt automatically for POS orders
+      autoPrintReceipt(createdOrder).catch(err => {
+        console.error('❌ [ViewCart] Error in autoPrintReceipt (gateway payment):', err);
+      });
+
+      const redirectPath = getRedirectPath();
+
+      // Small delay to show success modal before redirect
+      setTimeout(() => {
+        navigate(redirectPath, {
+          state: {
+            orderSuccess: true,
+            orderNumber: orderNumber,
+            clearCart: true
+          }
+        });
+      }, 1500);
+    } else {
+      // If order not passed, just reload or redirect
+      alert('Payment successful! Redirecting...');
+      window.location.reload();
+    }
+  };
+
   /**
    * Razorpay Payment Integration - Simplified to match working customer implementation
    */
@@ -1054,57 +1253,7 @@ const ViewCart = () => {
 
             if (verifyData.success) {
 
-              // Payment success - clear cart and show success
-              sessionStorage.removeItem('cartData');
-
-              // ✅ FIX: Clear order history cache to show new order immediately
-              const today = new Date();
-              const year = today.getFullYear();
-              const month = String(today.getMonth() + 1).padStart(2, '0');
-              const day = String(today.getDate()).padStart(2, '0');
-              const selectedDate = `${year}-${month}-${day}`;
-              const cacheKey = `theaterOrderHistory_${theaterId}_${selectedDate}`;
-              try {
-                localStorage.removeItem(cacheKey);
-              } catch (e) {
-                console.warn('Failed to clear order history cache:', e);
-              }
-
-              if (createdOrder) {
-                console.log('📦 [ViewCart] Gateway payment - Order object before printing:', {
-                  orderNumber: createdOrder?.orderNumber,
-                  hasItems: !!(createdOrder?.products || createdOrder?.items),
-                  itemsCount: (createdOrder?.products || createdOrder?.items || []).length,
-                  hasPricing: !!(createdOrder?.pricing || createdOrder?.subtotal),
-                  orderStructure: createdOrder
-                });
-
-                // ✅ Event already dispatched above when order was created - no need to dispatch again
-                setOrderDetails(createdOrder);
-                setShowSuccessModal(true);
-
-                // 🖨️ AUTO-PRINT: Print receipt automatically for POS orders
-                autoPrintReceipt(createdOrder).catch(err => {
-                  console.error('❌ [ViewCart] Error in autoPrintReceipt (gateway payment):', err);
-                });
-
-                const redirectPath = getRedirectPath();
-
-                // Small delay to show success modal before redirect
-                setTimeout(() => {
-                  navigate(redirectPath, {
-                    state: {
-                      orderSuccess: true,
-                      orderNumber: orderNumber,
-                      clearCart: true
-                    }
-                  });
-                }, 1500);
-              } else {
-                // If order not passed, just reload or redirect
-                alert('Payment successful! Redirecting...');
-                window.location.reload();
-              }
+              completeGatewayPayment(createdOrder, orderNumber);
             } else {
               console.error('❌ Payment verification failed:', verifyData);
               alert(`Payment verification failed: ${verifyData.message || 'Unknown error'}`);
@@ -1216,145 +1365,12 @@ const ViewCart = () => {
   };
 
   /**
-   * Paytm Payment Integration
+   * PhonePe / Paytm Payment Integration
+   * The gateway's payment page opens in a popup; its callback page verifies the payment and reports back
    */
-  const initiatePaytmPayment = async (paymentOrder, orderId, orderNumber, authToken) => {
-    return new Promise((resolve, reject) => {
-      // Display Paytm payment information
-      const paytmInfo = `
-🔷 Paytm Payment Details 🔷
-
-Order Number: ${orderNumber}
-Amount: ₹${(() => { const val = paymentOrder.amount / 100; return val % 1 === 0 ? val : val.toFixed(2).replace(/\.00$/, ''); })()}
-
-Transaction ID: ${paymentOrder.txnToken}
-Merchant Order ID: ${paymentOrder.orderId}
-
-Test Mode: ${gatewayConfig.paytm?.testMode ? 'YES' : 'NO'}
-
-Instructions:
-1. Use Paytm app to scan QR code (if available)
-2. Or enter transaction ID in Paytm app
-3. Complete payment using UPI/Card/Wallet
-
-Status: Processing...
-      `.trim();
-
-      const confirmed = await showConfirm(
-        'Paytm Payment Confirmation',
-        paytmInfo + '\n\nClick OK after completing payment, or Cancel to abort.',
-        'info',
-        'OK',
-        'Cancel'
-      );
-
-      if (confirmed) {
-        // In production, you would verify payment status here
-        // For now, we'll simulate success
-        setTimeout(async () => {
-          try {
-            // Verify payment with backend
-            const verifyResponse = await unifiedFetch(`${config.api.baseUrl}/payments/verify`, {
-              method: 'POST',
-              headers: {
-                'Content-Type': 'application/json'
-                // Token is automatically added by unifiedFetch
-              },
-              body: JSON.stringify({
-                orderId: orderId,
-                transactionId: paymentOrder.transactionId,
-                paytmOrderId: paymentOrder.orderId
-              })
-            }, {
-              forceRefresh: true, // Don't cache payment verification
-              cacheTTL: 0
-            });
-
-            const verifyData = await verifyResponse.json();
-
-            if (verifyData.success) {
-              resolve(verifyData);
-            } else {
-              reject(new Error('Payment verification failed'));
-            }
-          } catch (error) {
-            console.error('❌ Paytm verification error:', error);
-            reject(error);
-          }
-        }, 1000);
-      } else {
-        reject(new Error('Payment cancelled by user'));
-      }
-    });
-  };
-
-  /**
-   * PhonePe Payment Integration
-   */
-  const initiatePhonePePayment = async (paymentOrder, orderId, orderNumber, authToken) => {
-    return new Promise((resolve, reject) => {
-      // Display PhonePe payment information
-      const phonePeInfo = `
-📱 PhonePe Payment Details 📱
-
-Order Number: ${orderNumber}
-Amount: ₹${(() => { const val = paymentOrder.amount / 100; return val % 1 === 0 ? val : val.toFixed(2).replace(/\.00$/, ''); })()}
-
-Merchant Transaction ID: ${paymentOrder.merchantTransactionId}
-Test Mode: ${gatewayConfig.phonepe?.testMode ? 'YES' : 'NO'}
-
-Instructions:
-1. Open PhonePe app
-2. Scan QR code or use UPI ID
-3. Complete payment
-
-Status: Processing...
-      `.trim();
-
-      const confirmed = await showConfirm(
-        'PhonePe Payment Confirmation',
-        phonePeInfo + '\n\nClick OK after completing payment, or Cancel to abort.',
-        'info',
-        'OK',
-        'Cancel'
-      );
-
-      if (confirmed) {
-        setTimeout(async () => {
-          try {
-            // Verify payment with backend
-            const verifyResponse = await unifiedFetch(`${config.api.baseUrl}/payments/verify`, {
-              method: 'POST',
-              headers: {
-                'Content-Type': 'application/json'
-                // Token is automatically added by unifiedFetch
-              },
-              body: JSON.stringify({
-                orderId: orderId,
-                transactionId: paymentOrder.transactionId,
-                merchantTransactionId: paymentOrder.merchantTransactionId
-              })
-            }, {
-              forceRefresh: true, // Don't cache payment verification
-              cacheTTL: 0
-            });
-
-            const verifyData = await verifyResponse.json();
-
-            if (verifyData.success) {
-              resolve(verifyData);
-            } else {
-              reject(new Error('Payment verification failed'));
-            }
-          } catch (error) {
-            console.error('❌ PhonePe verification error:', error);
-            reject(error);
-          }
-        }, 1000);
-      } else {
-        reject(new Error('Payment cancelled by user'));
-      }
-    });
+  const initiateGatewayPopupPayment = async (paymentOrder, orderId, orderNumber, createdOrder) => {
+    await openGatewayPopup(paymentOrder, { orderId });
+    completeGatewayPayment(createdOrder, orderNumber);
   };
 
   // ============================================
@@ -1369,11 +1385,14 @@ Status: Processing...
       const isNetbankingPayment = paymentMethod === 'netbanking';
       const isGatewayPayment = isCardPayment || isUpiPayment || isNetbankingPayment;
       const isCashPayment = paymentMethod === 'cash' || paymentMethod === 'cod';
+      const isSplitPayment = paymentMethod === 'split';
+      const isGiftCardPayment = paymentMethod === 'giftcard';
 
       console.log('🚀 [ViewCart] Confirm Order clicked:', {
         paymentMethod,
         isGatewayPayment,
         isCashPayment,
+        isSplitPayment,
         cartItemsCount: cartData?.items?.length || 0,
         gatewayConfigExists: !!gatewayConfig,
         gatewayEnabled: gatewayConfig?.isEnabled,
@@ -1433,6 +1452,47 @@ Status: Processing...
         return;
       }
 
+      // ✅ Split payments: tenders must add up to the order total before the order is placed
+      if (isSplitPayment) {
+        if (tenderSummary.tenders.length < 2) {
+          alert('Enter amounts for at least two payment methods to split the bill');
+          setIsLoading(false);
+          return;
+        }
+        if (Math.abs(tenderSummary.remaining) > 0.01) {
+          alert(`Split amounts must add up to ${formatPrice(payableTotal)}.\n${tenderSummary.remaining > 0 ? 'Remaining' : 'Excess'}: ${formatPrice(Math.abs(tenderSummary.remaining))}`);
+          setIsLoading(false);
+          return;
+        }
+      }
+
+      if (tenderSummary.received !== null && tenderSummary.change < 0) {
+        alert(`Cash received is less than the cash amount (${formatPrice(tenderSummary.cashAmount)})`);
+        setIsLoading(false);
+        return;
+      }
+
+      // 🎁 Gift card tender: needs the server, and a checked card that covers its share
+      if (tenderSummary.giftCardAmount > 0) {
+        if (connectionStatus === 'offline') {
+          alert('Gift cards cannot be used while offline. Please select another payment method.');
+          setIsLoading(false);
+          return;
+        }
+        if (!giftCard || giftCard.code !== normalizeGiftCardCode(giftCardCode)) {
+          alert('Please check the gift card balance before placing the order');
+          setIsLoading(false);
+          return;
+        }
+        if (!giftCard.isUsable || giftCard.balance + 0.01 < tenderSummary.giftCardAmount) {
+          alert(`Gift card balance (${formatPrice(giftCard.balance)}) does not cover ${formatPrice(tenderSummary.giftCardAmount)}`);
+          setIsLoading(false);
+          return;
+        }
+      }
+
+      const orderTenders = getOrderTenders();
+
       // ✅ FIX: Additional validation: Check if selected method is actually accepted
       // But be lenient - only block if acceptedMethods exists AND explicitly disallows the method
       // If acceptedMethods is missing but gateway is enabled, allow it (backend will handle validation)
@@ -1467,7 +1527,7 @@ Status: Processing...
             orderNumber: `OFFLINE-${Date.now()}`,
             customerName: customerName.trim(),
             products: cartData.items.map(item => ({
-              productId: item._id,
+              productId: item.productId || item._id,
               product: { _id: item._id, name: item.name },
               quantity: item.quantity,
               unitPrice: item.sellingPrice,
@@ -1476,7 +1536,7 @@ Status: Processing...
               discountPercentage: item.discountPercentage || 0
             })),
             items: cartData.items.map(item => ({
-              productId: item._id,
+              productId: item.productId || item._id,
               product: { _id: item._id, name: item.name },
               quantity: item.quantity,
               unitPrice: item.sellingPrice
@@ -1484,16 +1544,18 @@ Status: Processing...
             pricing: {
               subtotal: subtotal,
               tax: tax,
-              totalDiscount: totalDiscount,
-              total: total
+              totalDiscount: totalDiscount + couponDiscount,
+              total: payableTotal,
+              ...(appliedCoupon && { couponCode: appliedCoupon.code, couponDiscount })
             },
             subtotal: subtotal,
             tax: tax,
-            totalDiscount: totalDiscount,
-            total: total,
+            totalDiscount: totalDiscount + couponDiscount,
+            total: payableTotal,
             payment: {
               method: paymentMethod,
-              status: 'PENDING'
+              status: 'PENDING',
+              ...(orderTenders && { tenders: orderTenders })
             },
             status: 'PENDING',
             orderType: 'pos',
@@ -1514,7 +1576,7 @@ Status: Processing...
           const offlineOrderData = {
             theaterId: theaterId,
             items: cartData.items.map(item => ({
-              productId: item._id, // ✅ Use productId instead of product
+              productId: item.productId || item._id, // ✅ Use productId instead of product
               name: item.name,
               quantity: item.quantity,
               unitPrice: item.sellingPrice, // ✅ Use unitPrice instead of price
@@ -1528,11 +1590,14 @@ Status: Processing...
               ...(item.size && { size: item.size }),
               ...(item.productSize && { productSize: item.productSize }),
               ...(item.sizeLabel && { sizeLabel: item.sizeLabel }),
-              ...(item.variant && { variant: item.variant })
+              ...(item.variant && { variant: item.variant }),
+              ...(item.modifiers?.length > 0 && { modifiers: toOrderModifiers(item.modifiers) })
             })),
             customerName: customerName.trim(),
             notes: '',
             paymentMethod: paymentMethod,
+            ...(orderTenders && { tenders: orderTenders }),
+            ...getCouponOrderFields(),
             qrName: qrName,
             seat: seat,
             subtotal: subtotal,
@@ -1566,7 +1631,7 @@ Status: Processing...
           console.log('✅ Offline order queued successfully:', {
             queueId: queuedOrder.queueId,
             customerName: customerName.trim(),
-            total: total
+            total: payableTotal
           });
 
           return;
@@ -1604,7 +1669,7 @@ Status: Processing...
         theaterId: theaterId, // Required by backend validation
         customerName: customerName.trim(),
         items: cartData.items.map(item => ({
-          productId: item._id,
+          productId: item.productId || item._id,
           quantity: item.quantity,
           unitPrice: item.sellingPrice,
           taxRate: item.taxRate || 0,
@@ -1616,10 +1681,13 @@ Status: Processing...
           size: item.size || null,
           productSize: item.productSize || null,
           sizeLabel: item.sizeLabel || null,
-          variant: item.variant || null
+          variant: item.variant || null,
+          ...(item.modifiers?.length > 0 && { modifiers: toOrderModifiers(item.modifiers) }) // 🧀 Re-priced by the server
         })),
         orderNotes: '',
         paymentMethod: paymentMethod,
+        ...(orderTenders && { tenders: orderTenders }), // ✅ Split payments / cash received
+        ...getCouponOrderFields(), // 🎟️ Re-validated and applied by the server
         orderType: finalOrderType, // ✅ FIX: Explicitly set to 'pos' for POS page orders
         source: finalSource, // ✅ FIX: Explicitly set to 'pos' for POS page orders
         qrName: qrName,  // ✅ Include QR Name
@@ -1630,8 +1698,8 @@ Status: Processing...
         total: total         // ✅ Include calculated total
       };
 
-      // ✅ OPTIMISTIC UPDATE: For cash payments, show success immediately
-      const isCashPaymentOptimistic = isCashPayment && !isGatewayPayment;
+      // ✅ OPTIMISTIC UPDATE: For cash (and split / gift card counter) payments, show success immediately
+      const isCashPaymentOptimistic = (isCashPayment || isSplitPayment || isGiftCardPayment) && !isGatewayPayment;
 
       // Store current cart data for potential revert
       const currentCartData = { ...cartData };
@@ -1646,7 +1714,7 @@ Status: Processing...
           orderNumber: `TEMP-${Date.now()}`,
           customerName: customerName.trim(),
           products: cartData.items.map(item => ({
-            productId: item._id,
+            productId: item.productId || item._id,
             product: { _id: item._id, name: item.name },
             quantity: item.quantity,
             unitPrice: item.sellingPrice,
@@ -1655,7 +1723,7 @@ Status: Processing...
             discountPercentage: item.discountPercentage || 0
           })),
           items: cartData.items.map(item => ({
-            productId: item._id,
+            productId: item.productId || item._id,
             product: { _id: item._id, name: item.name },
             quantity: item.quantity,
             unitPrice: item.sellingPrice
@@ -1663,16 +1731,18 @@ Status: Processing...
           pricing: {
             subtotal: subtotal,
             tax: tax,
-            totalDiscount: totalDiscount,
-            total: total
+            totalDiscount: totalDiscount + couponDiscount,
+            total: payableTotal,
+            ...(appliedCoupon && { couponCode: appliedCoupon.code, couponDiscount })
           },
           subtotal: subtotal,
           tax: tax,
-          totalDiscount: totalDiscount,
-          total: total,
+          totalDiscount: totalDiscount + couponDiscount,
+          total: payableTotal,
           payment: {
             method: paymentMethod,
-            status: 'PENDING'
+            status: 'PENDING',
+            ...(orderTenders && { tenders: orderTenders })
           },
           status: 'PENDING',
           orderType: finalOrderType,
@@ -2189,7 +2259,7 @@ Status: Processing...
             keyIdLength: gatewayConfig.razorpay?.keyId?.length || 0
           });
           // ✅ FIX: Check if Razorpay SDK is loaded, if not try to load it
-          if (!razorpayLoaded && !window.Razorpay) {
+          if (!isRedirectGateway(gatewayConfig.provider) && !razorpayLoaded && !window.Razorpay) {
             const loaded = await loadRazorpayScript();
             if (loaded) {
               setRazorpayLoaded(true);
@@ -2200,8 +2270,8 @@ Status: Processing...
             }
           }
 
-          // ✅ FIX: Double-check Razorpay is available
-          if (!window.Razorpay) {
+          // ✅ FIX: Double-check Razorpay is available (PhonePe / Paytm use their own payment page)
+          if (!isRedirectGateway(gatewayConfig.provider) && !window.Razorpay) {
             alert('⚠️ Payment Gateway Not Ready\n\nRazorpay SDK is not loaded. Please refresh the page.');
             setIsLoading(false);
             return;
@@ -2302,6 +2372,15 @@ Status: Processing...
                 setIsLoading(false);
                 return; // ✅ Return to prevent further execution
               }
+            } else if (isRedirectGateway(paymentOrder.provider)) {
+              try {
+                await initiateGatewayPopupPayment(paymentOrder, orderId, orderNumber, createdOrder);
+              } catch (gatewayError) {
+                console.error('❌ Gateway payment error:', gatewayError);
+                alert(`Payment Failed: ${gatewayError.message}\n\nPlease try again or use cash payment.`);
+                setIsLoading(false);
+              }
+              return;
             } else {
               console.error('❌ Unsupported payment provider:', paymentOrder.provider);
               throw new Error(`Unsupported payment provider: ${paymentOrder.provider}`);
@@ -2500,12 +2579,14 @@ Status: Processing...
 
       if (isNetworkError || connectionStatus === 'offline') {
         try {
+          const orderTenders = getOrderTenders();
+
           // Queue order offline as fallback
           // ✅ FIX: Use correct field names (productId, unitPrice) to match backend format
           const offlineOrderData = {
             theaterId: theaterId,
             items: cartData.items.map(item => ({
-              productId: item._id, // ✅ Use productId instead of product
+              productId: item.productId || item._id, // ✅ Use productId instead of product
               name: item.name,
               quantity: item.quantity,
               unitPrice: item.sellingPrice, // ✅ Use unitPrice instead of price
@@ -2519,11 +2600,14 @@ Status: Processing...
               ...(item.size && { size: item.size }),
               ...(item.productSize && { productSize: item.productSize }),
               ...(item.sizeLabel && { sizeLabel: item.sizeLabel }),
-              ...(item.variant && { variant: item.variant })
+              ...(item.variant && { variant: item.variant }),
+              ...(item.modifiers?.length > 0 && { modifiers: toOrderModifiers(item.modifiers) })
             })),
             customerName: customerName.trim(),
             notes: '',
             paymentMethod: paymentMethod,
+            ...(orderTenders && { tenders: orderTenders }),
+            ...getCouponOrderFields(),
             qrName: qrName,
             seat: seat,
             subtotal: subtotal,
@@ -2543,7 +2627,7 @@ Status: Processing...
           // ✅ Use global modal instead of default alert
           showAlert({
             title: 'Order Queued Offline!',
-            message: `Network error detected. Order has been saved locally and will sync automatically when connection is restored.\n\nQueue ID: ${queuedOrder.queueId}\n\nCustomer: ${customerName}\nTotal: ₹${total % 1 === 0 ? total : total.toFixed(2).replace(/\.00$/, '')}`,
+            message: `Network error detected. Order has been saved locally and will sync automatically when connection is restored.\n\nQueue ID: ${queuedOrder.queueId}\n\nCustomer: ${customerName}\nTotal: ₹${payableTotal % 1 === 0 ? payableTotal : payableTotal.toFixed(2).replace(/\.00$/, '')}`,
             type: 'success',
             buttonText: 'OK',
             autoClose: false
@@ -2781,6 +2865,9 @@ Status: Processing...
                         {sizeInfo && (
                           <p className="item-size">{sizeInfo}</p>
                         )}
+                        {item.modifiers?.length > 0 && (
+                          <p className="item-size">{describeModifiers(item)}</p>
+                        )}
                         <p className="item-price">{formatPrice(itemTotal)}</p>
                       </div>
 
@@ -2828,12 +2915,61 @@ Status: Processing...
                     <span className="discount-amount">-{formatPrice(totalDiscount)}</span>
                   </div>
                 )}
+                {couponDiscount > 0 && (
+                  <div className="pos-summary-line discount-line">
+                    <span>Coupon ({appliedCoupon.code}):</span>
+                    <span className="discount-amount">-{formatPrice(couponDiscount)}</span>
+                  </div>
+                )}
                 <div className="pos-summary-total">
                   <span>TOTAL:</span>
-                  <span>{formatPrice(total)}</span>
+                  <span>{formatPrice(payableTotal)}</span>
                 </div>
               </div>
 
+              {/* Coupon - validated against the cart, applied again by the server */}
+              <div className="pos-coupon-section">
+                {appliedCoupon ? (
+                  <div className="pos-coupon-applied">
+                    <span>🎟️ {appliedCoupon.code}{appliedCoupon.description ? ` · ${appliedCoupon.description}` : ''}</span>
+                    <button type="button" onClick={handleRemoveCoupon}>Remove</button>
+                  </div>
+                ) : (
+                  <>
+                    <div className="pos-coupon-row">
+                      <input
+                        type="text"
+                        value={couponInput}
+                        onChange={(e) => {
+                          setCouponInput(e.target.value.toUpperCase());
+                          setCouponError('');
+                        }}
+                        onKeyDown={(e) => e.key === 'Enter' && handleApplyCoupon()}
+                        placeholder="Coupon code"
+                        maxLength={32}
+                        disabled={connectionStatus === 'offline'}
+                      />
+                      <input
+                        type="tel"
+                        value={couponPhone}
+                        onChange={(e) => setCouponPhone(e.target.value.replace(/[^0-9+]/g, ''))}
+                        placeholder="Customer phone (optional)"
+                        maxLength={15}
+                        disabled={connectionStatus === 'offline'}
+                      />
+                      <button
+                        type="button"
+                        onClick={() => handleApplyCoupon()}
+                        disabled={couponApplying || !couponInput.trim() || connectionStatus === 'offline'}
+                      >
+                        {couponApplying ? '...' : 'Apply'}
+                      </button>
+                    </div>
+                    {couponError && <div className="pos-coupon-error">{couponError}</div>}
+                  </>
+                )}
+              </div>
+
               {/* Payment Method */}
               <div className="payment-section">
                 <h3>Payment Method</h3>
@@ -2911,8 +3047,127 @@ Status: Processing...
                           <span className="payment-label">UPI</span>
                         </label>
                       )}
+
+                      {/* Split Payment - part cash, part UPI/card collected at the counter */}
+                      {isCounterOrder && (
+                        <label className="payment-option" title="Split Payment">
+                          <input
+                            type="radio"
+                            name="payment"
+                            value="split"
+                            checked={paymentMethod === 'split'}
+                            onChange={(e) => setPaymentMethod(e.target.value)}
+                          />
+                          <span className="payment-icon payment-icon-split" aria-hidden="true">½</span>
+                          <span className="payment-label">Split</span>
+                        </label>
+                      )}
+
+                      {/* Gift Card - balance is checked against the server, so not available offline */}
+                      {isCounterOrder && (
+                        <label
+                          className={`payment-option ${connectionStatus === 'offline' ? 'disabled offline-payment-option' : ''}`}
+                          title={connectionStatus === 'offline' ? 'Gift Card (Disabled)' : 'Gift Card'}
+                        >
+                          <input
+                            type="radio"
+                            name="payment"
+                            value="giftcard"
+                            checked={paymentMethod === 'giftcard'}
+                            onChange={(e) => setPaymentMethod(e.target.value)}
+                            disabled={connectionStatus === 'offline'}
+                          />
+                          <span className="payment-icon payment-icon-split" aria-hidden="true">🎁</span>
+                          <span className="payment-label">Gift Card</span>
+                        </label>
+                      )}
                     </div>
 
+                    {/* Split tenders - amounts must add up to the total */}
+                    {paymentMethod === 'split' && (
+                      <div className="split-tender-panel">
+                        {SPLIT_TENDER_METHODS.map(method => (
+                          <div className="split-tender-row" key={method}>
+                            <label htmlFor={`split-tender-${method}`}>{SPLIT_TENDER_LABELS[method]}</label>
+                            <input
+                              id={`split-tender-${method}`}
+                              type="number"
+                              min="0"
+                              step="0.01"
+                              inputMode="decimal"
+                              placeholder="0"
+                              value={splitTenders[method]}
+                              onChange={(e) => handleSplitTenderChange(method, e.target.value)}
+                            />
+                          </div>
+                        ))}
+                        <div className={`split-tender-remaining ${Math.abs(tenderSummary.remaining) > 0.01 ? 'pending' : 'settled'}`}>
+                          <span>{tenderSummary.remaining < 0 ? 'Excess:' : 'Remaining:'}</span>
+                          <span>{formatPrice(Math.abs(tenderSummary.remaining))}</span>
+                        </div>
+                      </div>
+                    )}
+
+                    {/* Gift card code and balance */}
+                    {isCounterOrder && tenderSummary.giftCardAmount > 0 && (
+                      <div className="cash-change-panel">
+                        <div className="pos-coupon-row">
+                          <input
+                            type="text"
+                            value={giftCardCode}
+                            onChange={(e) => {
+                              setGiftCardCode(e.target.value.toUpperCase());
+                              setGiftCard(null);
+                              setGiftCardError('');
+                            }}
+                            onKeyDown={(e) => e.key === 'Enter' && handleCheckGiftCard()}
+                            placeholder="Gift card code"
+                            maxLength={20}
+                            disabled={connectionStatus === 'offline'}
+                          />
+                          <button
+                            type="button"
+                            onClick={handleCheckGiftCard}
+                            disabled={giftCardChecking || !giftCardCode.trim() || connectionStatus === 'offline'}
+                          >
+                            {giftCardChecking ? '...' : 'Check'}
+                          </button>
+                        </div>
+                        {giftCard && giftCard.isUsable && (
+                          <div className={`cash-change-due ${giftCard.balance + 0.01 < tenderSummary.giftCardAmount ? 'short' : ''}`}>
+                            <span>🎁 {formatGiftCardCode(giftCard.code)} balance:</span>
+                            <span>{formatPrice(giftCard.balance)}</span>
+                          </div>
+                        )}
+                        {giftCardError && <div className="pos-coupon-error">{giftCardError}</div>}
+                      </div>
+                    )}
+
+                    {/* Cash received and change due */}
+                    {isCounterOrder && tenderSummary.cashAmount > 0 && (
+                      <div className="cash-change-panel">
+                        <div className="split-tender-row">
+                          <label htmlFor="cash-received">Cash Received</label>
+                          <input
+                            id="cash-received"
+                            type="number"
+                            min="0"
+                            step="0.01"
+                            inputMode="decimal"
+                            placeholder={String(tenderSummary.cashAmount)}
+                            value={cashReceived}
+                            onChange={(e) => setCashReceived(e.target.value)}
+                          />
+                        </div>
+                        {tenderSummary.received !== null && (
+                          <div className={`cash-change-due ${tenderSummary.change < 0 ? 'short' : ''}`}>
+                            <span>{tenderSummary.change < 0 ? 'Short by:' : 'Change:'}</span>
+                            <span>{formatPrice(Math.abs(tenderSummary.change))}</span>
+                          </div>
+                        )}
+                      </div>
+                    )}
+
                     {/* Gateway info - only show when online and gateway is enabled */}
                     {connectionStatus === 'online' && gatewayConfig?.isEnabled && (
                       <div className="payment-gateway-info">
@@ -2968,6 +3223,12 @@ Status: Processing...
                   <p><strong>Customer:</strong> {orderDetails?.customerName || customerName || 'POS'}</p>
                   <p><strong>Total:</strong> ₹{orderDetails?.total || orderDetails?.totalAmount || '0.00'}</p>
                   <p><strong>Payment:</strong> {orderDetails?.paymentMethod?.toUpperCase() || paymentMethod?.toUpperCase() || 'Cash'}</p>
+                  {orderDetails?.payment?.tenders?.length > 1 && (
+                    <p><strong>Tenders:</strong> {orderDetails.payment.tenders.map(tender => `${tender.method.toUpperCase()} ${formatPrice(tender.amount)}`).join(' + ')}</p>
+                  )}
+                  {tenderSummary.change > 0 && (
+                    <p><strong>Change Due:</strong> {formatPrice(tenderSummary.change)}</p>
+                  )}
                   <p className="success-message">
                     🖨️ Receipt is printing automatically...
                   </p>
@@ -0,0 +1,62 @@
+/**
+ * Audit Log Utilities
+ * Labels for the audit trail of administrative and financial changes
+ */
+
+export const AUDIT_ACTION_LABELS = {
+  create: 'Created',
+  update: 'Updated',
+  delete: 'Deleted',
+  cancel: 'Cancelled',
+  approve: 'Approved',
+  reject: 'Rejected',
+  refund: 'Refunded'
+};
+
+export const AUDIT_ENTITY_LABELS = {
+  product: 'Product',
+  stock_entry: 'Product Stock Entry',
+  cafe_stock_entry: 'Cafe Stock Entry',
+  role: 'Role',
+  theater_user: 'Theater User',
+  coupon: 'Coupon',
+  order: 'Order',
+  order_item: 'Order Item',
+  theater: 'Theater',
+  theater_settings: 'Theater Settings',
+  refund: 'Refund',
+  upi_payment: 'UPI Payment',
+  gift_card: 'Gift Card',
+  shift_cash: 'Shift Cash In / Out',
+  pricing_rule: 'Pricing Rule',
+  loyalty_program: 'Loyalty Program',
+  stocktake: 'Stocktake',
+  waste_log: 'Waste Log',
+  stock_transfer: 'Stock Transfer'
+};
+
+/**
+ * A before/after value as short text for the diff table
+ */
+export const formatAuditValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+/**
+ * Rows to show for an entry: the field changes of an update, otherwise the
+ * fields of the snapshot that was created or removed
+ */
+export const auditDetailRows = (log) => {
+  if (log.changes?.length > 0) {
+    return log.changes.map(change => ({ field: change.field, from: change.from, to: change.to }));
+  }
+
+  const snapshot = log.after || log.before || {};
+  const created = Boolean(log.after) && !log.before;
+  return Object.entries(snapshot)
+    .filter(([field]) => field !== '_id')
+    .map(([field, value]) => (created ? { field, from: null, to: value } : { field, from: value, to: null }));
+};
@@ -0,0 +1,59 @@
+/**
+ * Coupon helpers for checkout (customer cart and POS)
+ * Discounts shown here are previews - createOrder validates the code again on the server
+ */
+import config from '@config';
+import { unifiedFetch } from '@utils/unifiedFetch';
+
+const COUPON_STORAGE_KEY = 'customerCoupon';
+
+// Applied coupon kept across the cart → phone → payment steps (cleared with the cart after an order)
+export const getStoredCoupon = () => {
+  try {
+    return JSON.parse(localStorage.getItem(COUPON_STORAGE_KEY) || 'null');
+  } catch {
+    return null;
+  }
+};
+
+export const storeCoupon = (coupon) => {
+  if (coupon) {
+    localStorage.setItem(COUPON_STORAGE_KEY, JSON.stringify(coupon));
+  } else {
+    localStorage.removeItem(COUPON_STORAGE_KEY);
+  }
+};
+
+/**
+ * Ask the server what a code is worth for these cart items
+ * @returns {Promise<Object>} { code, description, discountType, discountValue, discount, eligibleAmount }
+ */
+export const validateCouponCode = async (theaterId, code, items, { channel = 'online', customerPhone = null } = {}) => {
+  const response = await unifiedFetch(`${config.api.baseUrl}/coupons/${theaterId}/validate`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      code,
+      channel,
+      customerPhone: customerPhone || undefined,
+      items: items
+        .filter(item => !item.isCombo && !item.isComboOffer)
+        .map(item => ({ productId: item.productId || item._id, quantity: item.quantity }))
+    })
+  }, { forceRefresh: true, retry: false });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok || data.success === false) {
+    throw new Error(data.error || data.message || 'Coupon code is not valid');
+  }
+  return data.data;
+};
+
+/**
+ * Coupon discount that applies to a bill total (never more than the total)
+ */
+export const getCouponDiscount = (coupon, total) => {
+  if (!coupon) return 0;
+  const discount = Math.min(Number(coupon.discount) || 0, Number(total) || 0);
+  return Math.round(discount * 100) / 100;
+};
@@ -54,3 +54,33 @@ export const formatDateStringToLocal = (dateString) => {
   return formatDateToLocal(dateObj);
 };
 
+
+/**
+ * Convert a DateFilter value to a YYYY-MM-DD range
+ * @param {Object} dateFilter - { type: 'date'|'month'|'year'|'range', selectedDate, month, year, startDate, endDate }
+ * @returns {{startDate: string, endDate: string}|null} Null when the filter has no bounds ('all')
+ */
+export const getDateFilterRange = (dateFilter) => {
+  if (!dateFilter) return null;
+
+  if (dateFilter.type === 'date' && dateFilter.selectedDate) {
+    const date = formatDateStringToLocal(dateFilter.selectedDate);
+    return { startDate: date, endDate: date };
+  }
+  if (dateFilter.type === 'month' && dateFilter.month && dateFilter.year) {
+    return {
+      startDate: formatDateToLocal(new Date(dateFilter.year, dateFilter.month - 1, 1)),
+      endDate: formatDateToLocal(new Date(dateFilter.year, dateFilter.month, 0))
+    };
+  }
+  if (dateFilter.type === 'year' && dateFilter.year) {
+    return { startDate: `${dateFilter.year}-01-01`, endDate: `${dateFilter.year}-12-31` };
+  }
+  if (dateFilter.type === 'range' && dateFilter.startDate && dateFilter.endDate) {
+    return {
+      startDate: formatDateStringToLocal(dateFilter.startDate),
+      endDate: formatDateStringToLocal(dateFilter.endDate)
+    };
+  }
+  return null;
+};
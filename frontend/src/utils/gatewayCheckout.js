@@ -0,0 +1,144 @@
+/**
+ * Gateway Checkout Utility
+ * PhonePe and Paytm take payments on their own hosted page and send the browser back to
+ * /payment/callback, which verifies the payment with the backend.
+ *
+ * - redirectToGateway: leaves the app (customer flow); the callback page continues to successUrl / failureUrl
+ * - openGatewayPopup: keeps the POS screen open and resolves once the popup's callback page reports back
+ */
+
+export const REDIRECT_GATEWAYS = ['phonepe', 'paytm'];
+
+export const GATEWAY_RESULT_MESSAGE = 'GATEWAY_PAYMENT_RESULT';
+
+const STORAGE_PREFIX = 'gatewayPayment_';
+const POPUP_NAME = 'yqpay_gateway_checkout';
+
+export const isRedirectGateway = (provider) => REDIRECT_GATEWAYS.includes(provider);
+
+/**
+ * Details the callback page needs to verify a payment, keyed by the gateway order ID it comes back with
+ */
+export const savePendingGatewayPayment = (gatewayOrderId, details) => {
+  localStorage.setItem(`${STORAGE_PREFIX}${gatewayOrderId}`, JSON.stringify({ ...details, gatewayOrderId, savedAt: Date.now() }));
+};
+
+export const getPendingGatewayPayment = (gatewayOrderId) => {
+  try {
+    return JSON.parse(localStorage.getItem(`${STORAGE_PREFIX}${gatewayOrderId}`) || 'null');
+  } catch {
+    return null;
+  }
+};
+
+export const clearPendingGatewayPayment = (gatewayOrderId) => {
+  localStorage.removeItem(`${STORAGE_PREFIX}${gatewayOrderId}`);
+};
+
+// Open the gateway page in `target` - PhonePe is a plain redirect, Paytm needs a form post with the txn token
+const submitToGateway = (paymentOrder, target) => {
+  if (paymentOrder.provider === 'paytm') {
+    const form = document.createElement('form');
+    form.method = 'POST';
+    form.action = paymentOrder.paymentUrl;
+    form.target = target;
+    Object.entries(paymentOrder.paymentForm || {}).forEach(([name, value]) => {
+      const input = document.createElement('input');
+      input.type = 'hidden';
+      input.name = name;
+      input.value = value;
+      form.appendChild(input);
+    });
+    document.body.appendChild(form);
+    form.submit();
+    form.remove();
+    return;
+  }
+
+  if (target === '_self') {
+    window.location.href = paymentOrder.paymentUrl;
+  } else {
+    window.open(paymentOrder.paymentUrl, target);
+  }
+};
+
+/**
+ * Send the customer to the gateway page in this tab
+ * @param {Object} paymentOrder - Response of /payments/create-order
+ * @param {Object} options - { orderId, successUrl, failureUrl, clearKeys }
+ */
+export const redirectToGateway = (paymentOrder, { orderId, successUrl, failureUrl, clearKeys = [] }) => {
+  if (!paymentOrder?.paymentUrl) {
+    throw new Error('Payment page not available. Please try again.');
+  }
+
+  savePendingGatewayPayment(paymentOrder.orderId, {
+    provider: paymentOrder.provider,
+    orderId,
+    transactionId: paymentOrder.transactionId,
+    successUrl,
+    failureUrl,
+    clearKeys,
+    popup: false
+  });
+
+  submitToGateway(paymentOrder, '_self');
+};
+
+/**
+ * Take the payment in a popup window
+ * @param {Object} paymentOrder - Response of /payments/create-order
+ * @param {Object} options - { orderId }
+ * @returns {Promise<Object>} - Verification result; rejects if the payment fails or the popup is closed
+ */
+export const openGatewayPopup = (paymentOrder, { orderId }) => {
+  if (!paymentOrder?.paymentUrl) {
+    return Promise.reject(new Error('Payment page not available. Please try again.'));
+  }
+
+  const popup = window.open('', POPUP_NAME, 'width=480,height=720');
+  if (!popup) {
+    return Promise.reject(new Error('Please allow pop-ups for this site to complete the payment.'));
+  }
+
+  savePendingGatewayPayment(paymentOrder.orderId, {
+    provider: paymentOrder.provider,
+    orderId,
+    transactionId: paymentOrder.transactionId,
+    popup: true
+  });
+  submitToGateway(paymentOrder, POPUP_NAME);
+
+  return new Promise((resolve, reject) => {
+    let settled = false;
+
+    const cleanup = () => {
+      settled = true;
+      window.removeEventListener('message', onMessage);
+      clearInterval(closedTimer);
+    };
+
+    const onMessage = (event) => {
+      if (event.origin !== window.location.origin) return;
+      const { type, gatewayOrderId, success, message, data } = event.data || {};
+      if (type !== GATEWAY_RESULT_MESSAGE || gatewayOrderId !== paymentOrder.orderId) return;
+
+      cleanup();
+      if (success) {
+        resolve(data);
+      } else {
+        reject(new Error(message || 'Payment verification failed'));
+      }
+    };
+
+    // Closing the popup before the callback page reports back counts as a cancelled payment
+    const closedTimer = setInterval(() => {
+      if (!settled && popup.closed) {
+        cleanup();
+        reject(new Error('Payment cancelled by user'));
+      }
+    }, 1000);
+
+    window.addEventListener('message', onMessage);
+  });
+};
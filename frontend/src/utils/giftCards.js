@@ -0,0 +1,57 @@
+/**
+ * Gift card helpers for checkout (customer cart and POS)
+ * Balances shown here are previews - createOrder charges the card on the server
+ */
+import config from '@config';
+import { unifiedFetch } from '@utils/unifiedFetch';
+
+const GIFT_CARD_STORAGE_KEY = 'customerGiftCard';
+
+// Codes are printed in groups of four - spaces and dashes are ignored
+export const normalizeGiftCardCode = (code) => String(code || '').replace(/[\s-]/g, '').toUpperCase();
+
+export const formatGiftCardCode = (code) => normalizeGiftCardCode(code).replace(/(.{4})(?=.)/g, '$1 ');
+
+// Card applied online, kept across the cart → phone → payment steps (cleared with the cart after an order)
+export const getStoredGiftCard = () => {
+  try {
+    return JSON.parse(localStorage.getItem(GIFT_CARD_STORAGE_KEY) || 'null');
+  } catch {
+    return null;
+  }
+};
+
+export const storeGiftCard = (giftCard) => {
+  if (giftCard) {
+    localStorage.setItem(GIFT_CARD_STORAGE_KEY, JSON.stringify(giftCard));
+  } else {
+    localStorage.removeItem(GIFT_CARD_STORAGE_KEY);
+  }
+};
+
+/**
+ * Balance of a card
+ * @returns {Promise<Object>} { code, balance, status, expiresAt, isUsable }
+ */
+export const checkGiftCardBalance = async (theaterId, code) => {
+  const response = await unifiedFetch(`${config.api.baseUrl}/gift-cards/${theaterId}/balance`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ code: normalizeGiftCardCode(code) })
+  }, { forceRefresh: true, retry: false });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok || data.success === false) {
+    throw new Error(data.error || data.message || 'Gift card not found');
+  }
+  return data.data;
+};
+
+/**
+ * Part of a bill a card pays - all of it when the balance covers it
+ */
+export const getGiftCardAmount = (giftCard, payable) => {
+  if (!giftCard?.isUsable) return 0;
+  const amount = Math.min(Number(giftCard.balance) || 0, Number(payable) || 0);
+  return Math.round(Math.max(amount, 0) * 100) / 100;
+};
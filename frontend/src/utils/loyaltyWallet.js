@@ -0,0 +1,75 @@
+/**
+ * Loyalty points helpers for the customer pages
+ * The wallet belongs to the phone verified by OTP - the token from /sms/verify-otp proves it.
+ * Discounts shown here are previews - createOrder works out the points again on the server
+ */
+import config from '@config';
+import { unifiedFetch } from '@utils/unifiedFetch';
+
+const TOKEN_STORAGE_KEY = 'customerToken';
+const REDEEM_STORAGE_KEY = 'customerRedeemPoints';
+
+export const getCustomerToken = () => localStorage.getItem(TOKEN_STORAGE_KEY);
+
+// Called after every successful OTP verification
+export const storeCustomerToken = (token) => {
+  if (token) {
+    localStorage.setItem(TOKEN_STORAGE_KEY, token);
+  } else {
+    localStorage.removeItem(TOKEN_STORAGE_KEY);
+  }
+};
+
+// Points the customer chose to spend, kept across the cart → payment steps (cleared after an order)
+export const getStoredRedeemPoints = () => parseInt(localStorage.getItem(REDEEM_STORAGE_KEY) || '0', 10) || 0;
+
+export const storeRedeemPoints = (points) => {
+  if (points > 0) {
+    localStorage.setItem(REDEEM_STORAGE_KEY, String(points));
+  } else {
+    localStorage.removeItem(REDEEM_STORAGE_KEY);
+  }
+};
+
+/**
+ * Balance, rules and history of the verified customer at a theater
+ * @returns {Promise<Object|null>} null when the customer has not verified their phone
+ */
+export const fetchLoyaltyWallet = async (theaterId) => {
+  const token = getCustomerToken();
+  if (!token || !theaterId) return null;
+
+  const response = await unifiedFetch(`${config.api.baseUrl}/loyalty/${theaterId}/wallet`, {
+    headers: { 'X-Customer-Token': token }
+  }, { forceRefresh: true, retry: false });
+
+  const data = await response.json().catch(() => ({}));
+  if (response.status === 401) {
+    storeCustomerToken(null);
+    return null;
+  }
+  if (!response.ok || data.success === false) {
+    throw new Error(data.error || data.message || 'Failed to load loyalty points');
+  }
+  return data.data;
+};
+
+/**
+ * Points a bill can use and the discount they give - mirrors LoyaltyService.quoteRedemption
+ * @returns {Object} { maxPoints, points, discount } - points is 0 when below the minimum
+ */
+export const getLoyaltyRedemption = (wallet, requestedPoints, payable) => {
+  const program = wallet?.program;
+  if (!program?.isEnabled || !wallet.points) {
+    return { maxPoints: 0, points: 0, discount: 0 };
+  }
+
+  const capAmount = (Number(payable) || 0) * (program.maxRedeemPercent || 0) / 100;
+  const maxPoints = Math.min(wallet.points, Math.floor(capAmount / program.pointValue + 1e-9));
+  const points = Math.min(requestedPoints, maxPoints);
+
+  if (points <= 0 || points < (program.minRedeemPoints || 0)) {
+    return { maxPoints, points: 0, discount: 0 };
+  }
+  return { maxPoints, points, discount: Math.round(points * program.pointValue * 100) / 100 };
+};
@@ -77,7 +77,8 @@ const transformOrderForBackend = (queuedOrder) => {
     ...(item.size && { size: item.size }),
     ...(item.productSize && { productSize: item.productSize }),
     ...(item.sizeLabel && { sizeLabel: item.sizeLabel }),
-    ...(item.variant && { variant: item.variant })
+    ...(item.variant && { variant: item.variant }),
+    ...(item.modifiers && { modifiers: item.modifiers })
   }));
 
   // Build the order payload in the format expected by backend
@@ -98,6 +99,9 @@ const transformOrderForBackend = (queuedOrder) => {
   // Include optional fields if present
   if (queuedOrder.qrName) orderPayload.qrName = queuedOrder.qrName;
   if (queuedOrder.seat) orderPayload.seat = queuedOrder.seat;
+  if (queuedOrder.tenders) orderPayload.tenders = queuedOrder.tenders;
+  if (queuedOrder.customerInfo) orderPayload.customerInfo = queuedOrder.customerInfo;
+  if (queuedOrder.couponCode) orderPayload.couponCode = queuedOrder.couponCode;
 
   return orderPayload;
 };
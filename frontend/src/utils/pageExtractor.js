@@ -67,7 +67,21 @@ export const extractPagesFromAppJS = () => {
     { page: 'TheaterOffers', pageName: 'Offers', route: '/theater-offers/:theaterId', description: 'Upload and manage theater offers with images and text', roles: ['theater_user', 'theater-admin', 'admin'] },
     { page: 'ComboOffers', pageName: 'Combo Offers', route: '/combo-offers/:theaterId', description: 'Create and manage combo offers with multiple products, actual price, and current price', roles: ['theater_user', 'theater-admin', 'admin'] },
     { page: 'ProductCancel', pageName: 'Product Cancel', route: '/product-cancel/:theaterId', description: 'Cancel orders by entering order ID - view order details and cancel orders', roles: ['theater_user', 'theater-admin', 'admin'] },
-    { page: 'PrinterSetup', pageName: 'Printer Setup', route: '/printer-setup/:theaterId', description: 'Connect to external printer via WebSocket - select printer and test printing', roles: ['theater_user', 'theater-admin', 'admin'] }
+    { page: 'PrinterSetup', pageName: 'Printer Setup', route: '/printer-setup/:theaterId', description: 'Connect to external printer via WebSocket - select printer and test printing', roles: ['theater_user', 'theater-admin', 'admin'] },
+    { page: 'KitchenDisplay', pageName: 'Kitchen Display', route: '/kitchen-display/:theaterId', description: 'Live kitchen tickets grouped by status with bump-to-next-stage actions and ageing timers', roles: ['theater_user', 'theater-admin', 'admin'] },
+    { page: 'TheaterStations', pageName: 'Prep Stations', route: '/theater-stations/:theaterId', description: 'Route order items to preparation stations', roles: ['theater_user', 'theater-admin', 'admin'] },
+    { page: 'SeatDelivery', pageName: 'Seat Delivery', route: '/seat-delivery/:theaterId', description: 'Runner queue for ready seat orders with claim and delivered actions', roles: ['theater_user', 'theater-admin', 'admin'] },
+    { page: 'TheaterShowSchedule', pageName: 'Show Schedule', route: '/theater-show-schedule/:theaterId', description: 'Manage show timings and ordering windows per screen', roles: ['theater_user', 'theater-admin', 'admin'] },
+    { page: 'UpiVerification', pageName: 'UPI Verification', route: '/upi-verification/:theaterId', description: 'Cashier queue to verify direct UPI payments by UTR and mark orders paid', roles: ['theater_user', 'theater-admin', 'admin'] },
+    { page: 'TheaterCoupons', pageName: 'Coupons', route: '/theater-coupons/:theaterId', description: 'Promo codes with discount rules, validity, usage limits and applicable items', roles: ['theater_user', 'theater-admin', 'admin'] },
+    { page: 'TheaterPricingRules', pageName: 'Pricing Rules', route: '/theater-pricing-rules/:theaterId', description: 'Happy-hour and peak pricing by day of week and time of day', roles: ['theater_user', 'theater-admin', 'admin'] },
+    { page: 'TheaterLoyalty', pageName: 'Loyalty Points', route: '/theater-loyalty/:theaterId', description: 'Points earned on paid orders - earn rate, expiry and redemption cap', roles: ['theater_user', 'theater-admin', 'admin'] },
+    { page: 'TheaterGiftCards', pageName: 'Gift Cards', route: '/theater-gift-cards/:theaterId', description: 'Prepaid cards sold at the counter - issue, top up, block and card history', roles: ['theater_user', 'theater-admin', 'admin'] },
+    { page: 'TheaterPurchasing', pageName: 'Purchasing', route: '/theater-purchasing/:theaterId', description: 'Suppliers, purchase orders, goods receipts into stock and purchase margin', roles: ['theater_user', 'theater-admin', 'admin'] },
+    { page: 'TheaterWasteLog', pageName: 'Waste Log', route: '/theater-waste-log/:theaterId', description: 'Log wasted and spoiled cafe stock with reason and photo, approve it off stock', roles: ['theater_user', 'theater-admin', 'admin'] },
+    { page: 'TheaterStocktake', pageName: 'Stocktake', route: '/theater-stocktake/:theaterId', description: 'Count cafe stock on the shelves and post the variances once approved', roles: ['theater_user', 'theater-admin', 'admin'] },
+    { page: 'TheaterStockTransfers', pageName: 'Stock Transfers', route: '/theater-stock-transfers/:theaterId', description: 'Send stock to and receive stock from other theaters of the same owner', roles: ['theater_user', 'theater-admin', 'admin'] },
+    { page: 'TheaterAuditLog', pageName: 'Audit Log', route: '/theater-audit-log/:theaterId', description: 'Who changed prices, stock, roles, users, coupons and orders - with before/after values and IP', roles: ['theater-admin', 'admin'] }
   ];
 
   // Filter out pages that should not be in page access management
@@ -0,0 +1,134 @@
+/**
+ * Product modifier helpers (customer menu, POS and product forms)
+ * Modifier groups ("Size", "Add-ons") live on the product's `variants` array - see backend utils/productModifiers.js
+ * Prices shown here are previews - createOrder checks the options and re-prices the line on the server
+ */
+
+// Legacy variants were saved without ids - fall back to the names (same as the server)
+export const getModifierGroupId = (group) => String(group?._id || group?.name || '');
+export const getModifierOptionId = (option) => String(option?._id || option?.label || '');
+
+/**
+ * Modifier groups of a product (groups without options are ignored)
+ */
+export const getModifierGroups = (product) => (Array.isArray(product?.variants) ? product.variants : [])
+  .filter(group => group && Array.isArray(group.options) && group.options.length > 0);
+
+export const hasModifiers = (product) => getModifierGroups(product).length > 0;
+
+export const getGroupLimits = (group) => {
+  const optionCount = group?.options?.length || 0;
+  const min = Number(group?.minSelections) || (group?.required ? 1 : 0);
+  const max = Number(group?.maxSelections) || optionCount;
+  return { min, max: Math.max(max, min) };
+};
+
+// Options with a stock count of 0 are sold out (null = not counted)
+export const isOptionSoldOut = (option) =>
+  option?.stock !== null && option?.stock !== undefined && option?.stock !== '' && Number(option.stock) <= 0;
+
+/**
+ * Turn picked option ids into cart modifiers
+ * @param {Object} product - Product with modifier groups
+ * @param {Object} selected - { [groupId]: [optionId, ...] }
+ * @returns {Array} [{ groupId, groupName, optionId, label, price }]
+ */
+export const buildModifiers = (product, selected) => getModifierGroups(product).flatMap(group => {
+  const groupId = getModifierGroupId(group);
+  const picked = selected?.[groupId] || [];
+  return group.options
+    .filter(option => picked.includes(getModifierOptionId(option)))
+    .map(option => ({
+      groupId,
+      groupName: group.name,
+      optionId: getModifierOptionId(option),
+      label: option.label,
+      price: Number(option.price) || 0
+    }));
+});
+
+/**
+ * First group whose picks do not fit its min / max
+ * @returns {string|null} Message for the customer or cashier, null when everything fits
+ */
+export const getModifierError = (product, selected) => {
+  for (const group of getModifierGroups(product)) {
+    const count = (selected?.[getModifierGroupId(group)] || []).length;
+    const { min, max } = getGroupLimits(group);
+    if (count < min) {
+      return min === 1 ? `Choose a ${group.name}` : `Choose at least ${min} for ${group.name}`;
+    }
+    if (count > max) {
+      return `Choose at most ${max} for ${group.name}`;
+    }
+  }
+  return null;
+};
+
+export const getModifierTotal = (modifiers) =>
+  Math.round((modifiers || []).reduce((sum, modifier) => sum + (Number(modifier.price) || 0), 0) * 100) / 100;
+
+/**
+ * Cart line id - the same product with different options is a separate line
+ */
+export const getModifierLineId = (productId, modifiers) => {
+  if (!modifiers || modifiers.length === 0) return String(productId);
+  const optionIds = modifiers.map(modifier => `${modifier.groupId}:${modifier.optionId}`).sort();
+  return `${productId}::${optionIds.join('|')}`;
+};
+
+/**
+ * Cart lines of a product, whatever options they were added with
+ */
+export const getProductLines = (items, productId) => (items || [])
+  .filter(item => String(item.productId || item._id) === String(productId));
+
+export const getProductCartQuantity = (items, productId) => getProductLines(items, productId)
+  .reduce((sum, item) => sum + (Number(item.quantity) || 0), 0);
+
+// What createOrder expects on an item
+export const toOrderModifiers = (modifiers) => (modifiers || []).map(modifier => ({
+  groupId: modifier.groupId,
+  optionId: modifier.optionId
+}));
+
+/**
+ * Options of a cart line or saved order item as one line ("Large, Extra cheese")
+ * Saved order items keep them in `variants` (legacy size variants have no groupId)
+ */
+export const describeModifiers = (item) => {
+  const modifiers = item?.modifiers?.length
+    ? item.modifiers.map(modifier => modifier.label)
+    : (item?.variants || []).filter(variant => variant?.groupId).map(variant => variant.option);
+  return modifiers.filter(Boolean).join(', ');
+};
+
+/**
+ * Groups saved on a product, ready for the form (numbers as strings, blank stock = not counted)
+ */
+export const toModifierFormGroups = (variants) => (Array.isArray(variants) ? variants : [])
+  .filter(group => group && Array.isArray(group.options) && group.options.length > 0)
+  .map(group => ({
+    _id: group._id,
+    name: group.name || '',
+    required: !!group.required,
+    minSelections: group.minSelections ? String(group.minSelections) : '',
+    maxSelections: group.maxSelections ? String(group.maxSelections) : '',
+    options: group.options.map(option => ({
+      _id: option._id,
+      label: option.label || '',
+      price: option.price !== undefined && option.price !== null ? String(option.price) : '',
+      stock: option.stock !== undefined && option.stock !== null ? String(option.stock) : ''
+    }))
+  }));
+
+/**
+ * Drop blank rows before saving - the server checks the rest
+ */
+export const toModifierPayload = (groups) => (groups || [])
+  .map(group => ({
+    ...group,
+    name: group.name.trim(),
+    options: group.options.filter(option => option.label.trim() !== '')
+  }))
+  .filter(group => group.name !== '' || group.options.length > 0);
@@ -0,0 +1,28 @@
+/**
+ * Product recipe helpers (product forms)
+ * A recipe lists the ingredient products one item is made from - see backend utils/productRecipes.js
+ * Selling the product deducts the ingredients' cafe stock; the server converts units and checks availability
+ */
+
+/**
+ * Recipe saved on a product, ready for the form (numbers as strings)
+ */
+export const toRecipeFormLines = (recipe) => (Array.isArray(recipe) ? recipe : [])
+  .filter(line => line && line.ingredientId)
+  .map(line => ({
+    ingredientId: String(line.ingredientId?._id || line.ingredientId),
+    ingredientName: line.ingredientName || '',
+    quantity: line.quantity !== undefined && line.quantity !== null ? String(line.quantity) : '',
+    unit: line.unit || 'Nos'
+  }));
+
+/**
+ * Drop rows without an ingredient before saving
+ */
+export const toRecipePayload = (lines) => (lines || [])
+  .filter(line => line.ingredientId)
+  .map(line => ({
+    ingredientId: line.ingredientId,
+    quantity: line.quantity,
+    unit: line.unit || 'Nos'
+  }));
@@ -0,0 +1,45 @@
+/**
+ * Purchasing Utilities
+ * Shared helpers for suppliers, purchase orders and goods-received notes (GRNs)
+ */
+
+// Units stock is kept in - same choices as the stock management pages
+export const PURCHASE_UNITS = ['Nos', 'kg', 'L'];
+
+export const PO_STATUS_LABELS = {
+  draft: 'Draft',
+  ordered: 'Ordered',
+  partially_received: 'Partially Received',
+  received: 'Received',
+  closed: 'Closed',
+  cancelled: 'Cancelled'
+};
+
+/**
+ * Stock unit a product is usually bought in (weight -> kg, volume -> L, otherwise Nos)
+ */
+export const defaultPurchaseUnit = (product) => {
+  const quantityMatch = String(product?.quantity || '').match(/[a-zA-Z]+$/);
+  const unit = String(product?.inventory?.unit || product?.quantityUnit || quantityMatch?.[0] || '').toLowerCase();
+  if (unit === 'kg' || unit === 'g') return 'kg';
+  if (unit === 'l' || unit === 'ml') return 'L';
+  return 'Nos';
+};
+
+/**
+ * Quantity of a PO item still to be delivered
+ */
+export const outstandingQuantity = (item) =>
+  Math.max(0, Math.round(((Number(item.orderedQuantity) || 0) - (Number(item.receivedQuantity) || 0)) * 1000) / 1000);
+
+/**
+ * Expected value of PO form lines (ordered quantity x unit cost)
+ */
+export const purchaseLinesTotal = (lines = []) =>
+  lines.reduce((sum, line) => sum + (Number(line.orderedQuantity) || 0) * (Number(line.unitCost) || 0), 0);
+
+export const formatMoney = (value) =>
+  `₹${(Number(value) || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+export const formatQuantity = (value, unit) =>
+  `${Math.round((Number(value) || 0) * 1000) / 1000} ${unit || 'Nos'}`;
@@ -0,0 +1,23 @@
+/**
+ * Reorder Forecast Utilities
+ * Statuses of reorder suggestions (forecast from sales by day of week and supplier lead time)
+ */
+
+export const REORDER_STATUS_LABELS = {
+  reorder: 'Reorder Now',
+  watch: 'Reorder Soon',
+  ok: 'Stock OK',
+  no_sales: 'No Recent Sales'
+};
+
+export const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * "in 3 days" / "today" / "—" for a projected stock-out
+ */
+export const formatDaysOfStock = (daysOfStock) => {
+  if (daysOfStock === null || daysOfStock === undefined) return 'Not within 90 days';
+  if (daysOfStock <= 0) return 'Today';
+  if (daysOfStock === 1) return 'Tomorrow';
+  return `In ${daysOfStock} days`;
+};
@@ -11,6 +11,7 @@
 import config from '@config';
 import { jsPDF } from "jspdf";
 import { fetchAndCacheImage } from '@utils/globalImageCache';
+import { describeModifiers } from '@utils/productModifiers';
 
 // Get WebSocket URL from config (supports environment variables)
 const getWsUrl = () => {
@@ -761,12 +762,13 @@ export async function printReceiptSilently(order, theaterInfo = {}) {
 
     billData.items.forEach(item => {
       let name = item.name || item.productName || 'Item';
+      const modifiers = describeModifiers(item);
 
       const size =
         item.size ||
         item.productSize ||
         item.variant?.option ||
-        (item.variants?.length ? item.variants[0].option : null);
+        (item.variants?.length && !modifiers ? item.variants[0].option : null);
 
       if (size) name += ` (${size})`;
 
@@ -782,6 +784,7 @@ export async function printReceiptSilently(order, theaterInfo = {}) {
 
 
       textContent += `${itemCol}${qtyCol}${rateCol}${amtCol}\n`;
+      if (modifiers) textContent += `  + ${modifiers}\n`;
     });
 
 
@@ -815,10 +818,40 @@ export async function printReceiptSilently(order, theaterInfo = {}) {
       textContent += summaryRow("Discount", -discount);
     }
 
+    // 🎟️ Coupon applied at checkout (already taken off the grand total)
+    const couponDiscount = Number(order.pricing?.couponDiscount || 0);
+    if (couponDiscount > 0) {
+      textContent += summaryRow(`Coupon ${order.pricing.couponCode || ''}`.trim().substring(0, 18), -couponDiscount);
+    }
+
+    // ⭐ Loyalty points spent at checkout (already taken off the grand total)
+    const loyaltyDiscount = Number(order.pricing?.loyaltyDiscount || 0);
+    if (loyaltyDiscount > 0) {
+      textContent += summaryRow(`Points (${order.pricing.loyaltyPointsRedeemed || 0})`.substring(0, 18), -loyaltyDiscount);
+    }
+
     textContent += "--------------------------------\n";
     textContent += summaryRow("GRAND TOTAL", grandTotal);
     textContent += "--------------------------------\n";
 
+    // ✅ Split payments: one line per tender, plus change given on cash
+    // 🎁 Gift card lines show the last 4 characters of the card code
+    const tenders = order.payment?.tenders || [];
+    if (tenders.length > 1 || tenders[0]?.method === 'giftcard') {
+      tenders.forEach(tender => {
+        const label = tender.method === 'giftcard'
+          ? `GIFT CARD ${tender.reference ? `*${tender.reference.slice(-4)}` : ''}`.trim()
+          : tender.method.toUpperCase();
+        textContent += summaryRow(label, tender.amount || 0);
+      });
+    }
+    if (order.payment?.changeGiven > 0) {
+      textContent += summaryRow("Change", order.payment.changeGiven);
+    }
+    if (tenders.length > 1 || tenders[0]?.method === 'giftcard' || order.payment?.changeGiven > 0) {
+      textContent += "--------------------------------\n";
+    }
+
     // Footer
     textContent += centerText("Thank you for your order!", 32) + "\n";
     textContent += centerText("By YQPayNow", 32) + "\n";
@@ -1409,12 +1442,13 @@ export async function printCategoryWiseBills(order, theaterInfo = {}) {
 
       items.forEach(item => {
         let name = item.name || item.productName || 'Item';
+        const modifiers = describeModifiers(item);
 
         const size =
           item.size ||
           item.productSize ||
           item.variant?.option ||
-          (item.variants?.length ? item.variants[0].option : null);
+          (item.variants?.length && !modifiers ? item.variants[0].option : null);
 
         if (size) name += ` (${size})`;
 
@@ -1424,6 +1458,7 @@ export async function printCategoryWiseBills(order, theaterInfo = {}) {
         const qtyCol = qty.toString().padStart(3);
 
         textContent += `${itemCol}${qtyCol}\n`;
+        if (modifiers) textContent += `  + ${modifiers}\n`;
       });
 
 
@@ -1553,6 +1588,180 @@ export async function printCategoryWiseBills(order, theaterInfo = {}) {
   }
 }
 
+/**
+ * Build the plain-text Z-report (32 columns, thermal safe) for a cashier shift
+ * Also used as the browser print fallback
+ * @param {Object} shift - Closed (or open, for an X-report) cashier shift with summary
+ * @param {Object} theaterInfo - Theater information
+ * @returns {string} Report text
+ */
+export function buildShiftReportText(shift, theaterInfo = {}) {
+  const WIDTH = 32;
+  const line = '='.repeat(WIDTH);
+  const dash = '-'.repeat(WIDTH);
+  const money = (value) => (Number(value) || 0).toFixed(2);
+  const row = (label, value) => {
+    const right = String(value);
+    const left = String(label).substring(0, WIDTH - right.length - 1);
+    return left + ' '.repeat(WIDTH - left.length - right.length) + right + '\n';
+  };
+  const center = (str) => {
+    const text = String(str).substring(0, WIDTH);
+    return ' '.repeat(Math.floor((WIDTH - text.length) / 2)) + text + '\n';
+  };
+  const formatTime = (value) => value
+    ? new Date(value).toLocaleString('en-IN', {
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit'
+    })
+    : '-';
+
+  const summary = shift.summary || {};
+  const isClosed = shift.status === 'closed';
+  let text = '';
+
+  text += center((theaterInfo?.name || 'Theater').toUpperCase());
+  text += center(isClosed ? 'Z-REPORT (SHIFT CLOSE)' : 'X-REPORT (SHIFT OPEN)');
+  if (shift.zReportPrintCount > 1) {
+    text += center(`REPRINT #${shift.zReportPrintCount - 1}`);
+  }
+  text += line + '\n';
+  text += 'Shift: ' + shift.shiftNumber + '\n';
+  text += 'Cashier: ' + (shift.staff?.username || '-') + '\n';
+  text += 'Opened: ' + formatTime(shift.openedAt) + '\n';
+  text += 'Closed: ' + (isClosed ? formatTime(shift.closedAt) : 'OPEN') + '\n';
+  text += dash + '\n';
+
+  text += row('Orders', summary.orderCount || 0);
+  text += row('Total Sales', money(summary.salesTotal));
+  (summary.byMethod || []).forEach(method => {
+    text += row(`  ${method.method.toUpperCase()} (${method.orderCount})`, money(method.sales));
+  });
+  text += dash + '\n';
+
+  text += 'CASH DRAWER\n';
+  text += row('Opening Float', money(shift.openingFloat));
+  const cashSales = (summary.byMethod || []).find(method => method.method === 'cash');
+  text += row('Cash Sales', money(cashSales?.sales));
+  text += row('Cash In', money(summary.cashIn));
+  text += row('Cash Out', '-' + money(summary.cashOut));
+  text += row('Expected Cash', money(summary.expectedCash));
+  if (summary.countedCash !== null && summary.countedCash !== undefined) {
+    text += row('Counted Cash', money(summary.countedCash));
+    text += row(summary.cashVariance < 0 ? 'SHORT' : 'OVER', money(Math.abs(summary.cashVariance || 0)));
+  }
+  text += dash + '\n';
+
+  const countedMethods = (summary.byMethod || []).filter(method => method.method !== 'cash');
+  if (countedMethods.length > 0) {
+    text += 'EXPECTED vs COUNTED\n';
+    countedMethods.forEach(method => {
+      const counted = method.counted === null || method.counted === undefined ? '-' : money(method.counted);
+      text += row(method.method.toUpperCase(), `${money(method.expected)} / ${counted}`);
+    });
+    text += dash + '\n';
+  }
+
+  const movements = shift.cashMovements || [];
+  if (movements.length > 0) {
+    text += 'CASH IN / OUT\n';
+    movements.forEach(movement => {
+      const sign = movement.type === 'cash_in' ? '+' : '-';
+      text += row(`${sign} ${movement.reason || (movement.type === 'cash_in' ? 'Cash in' : 'Cash out')}`, money(movement.amount));
+    });
+    text += dash + '\n';
+  }
+
+  if (shift.closingNote) {
+    text += 'Note: ' + shift.closingNote + '\n';
+    text += dash + '\n';
+  }
+
+  text += '\n';
+  text += 'Cashier Sign: ____________\n\n';
+  text += 'Manager Sign: ____________\n';
+  text += center('Printed ' + new Date().toLocaleString('en-IN'));
+  text += line + '\n';
+
+  return text;
+}
+
+/**
+ * Print a cashier shift Z-report on the Primary/POS printer
+ * @param {Object} shift - Cashier shift with summary
+ * @param {Object} theaterInfo - Theater information
+ * @returns {Promise<Object>} Print result
+ */
+export async function printShiftReport(shift, theaterInfo = {}) {
+  if (!shift) {
+    throw new Error('Shift data is required');
+  }
+
+  if (!printService.isConnected || !printService.ws || printService.ws.readyState !== WebSocket.OPEN) {
+    try {
+      await printService.connect();
+    } catch (err) {
+      console.error('❌ [printShiftReport] Connection attempt failed:', err);
+    }
+  }
+
+  if (!printService.isConnected || !printService.ws || printService.ws.readyState !== WebSocket.OPEN) {
+    return {
+      success: false,
+      error: 'Printer not connected. Please check if the printer middleware is running.',
+      fallback: 'Browser print dialog can be used as fallback'
+    };
+  }
+
+  try {
+    // Z-reports always go to the counter (Primary/POS) printer
+    const theaterId = shift.theater || theaterInfo?._id;
+    const targetPrinter = (theaterId && localStorage.getItem(`printer-pos-${theaterId}`)) ||
+      printService.primaryPosPrinter ||
+      printService.defaultPrinter ||
+      printService.availablePrinters?.[0] ||
+      'Primary';
+
+    const lines = buildShiftReportText(shift, theaterInfo).split('\n');
+    const lineHeight = 3.5;
+    const doc = new jsPDF({
+      orientation: 'p',
+      unit: 'mm',
+      format: [80, Math.max(120, lines.length * lineHeight + 12)]
+    });
+
+    doc.setFont("courier", "bold");
+    doc.setTextColor(0, 0, 0);
+    doc.setFontSize(9);
+
+    let y = 6;
+    lines.forEach(textLine => {
+      doc.text(textLine, 0.5, y);
+      y += lineHeight;
+    });
+
+    const printCommand = {
+      Action: "printBase64",
+      Printer: targetPrinter,
+      Payload: doc.output('datauristring').split(',')[1]
+    };
+
+    printService.ws.send(JSON.stringify(printCommand));
+
+    return { success: true, message: 'Z-report sent to printer' };
+  } catch (error) {
+    console.error('❌ [printShiftReport] Error printing Z-report:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to print Z-report',
+      fallback: 'Browser print dialog can be used as fallback'
+    };
+  }
+}
+
 /**
  * Check if WebSocket print server is available
  */
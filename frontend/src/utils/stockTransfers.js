@@ -0,0 +1,73 @@
+/**
+ * Stock Transfer Utilities
+ * Statuses of stock transfers between theaters of the same owner, and the stock movements they make
+ */
+
+export const STOCK_TRANSFER_STATUS_LABELS = {
+  in_transit: 'In Transit',
+  received: 'Received',
+  cancelled: 'Cancelled'
+};
+
+export const STOCK_TYPE_LABELS = {
+  product: 'Product Stock',
+  cafe: 'Cafe Stock'
+};
+
+/**
+ * Stock movements a theater's product gets from a list of transfers, oldest first
+ * (outward when sent, back in when cancelled, inward when received)
+ */
+export const transferMovements = (transfers, theaterId, productId) => {
+  const movements = [];
+
+  transfers.forEach(transfer => {
+    const sender = String(transfer.fromTheater) === String(theaterId);
+    const receiver = String(transfer.toTheater) === String(theaterId);
+
+    transfer.items.forEach(item => {
+      const base = {
+        transferNumber: transfer.transferNumber,
+        status: transfer.status,
+        unit: item.unit
+      };
+
+      if (sender && String(item.productId) === String(productId)) {
+        movements.push({
+          ...base,
+          key: `${item._id}-out`,
+          outward: true,
+          date: transfer.sentAt,
+          theaterName: transfer.toTheaterName,
+          quantity: item.quantity,
+          notes: transfer.notes
+        });
+        if (transfer.status === 'cancelled') {
+          movements.push({
+            ...base,
+            key: `${item._id}-return`,
+            outward: false,
+            date: transfer.cancelledAt,
+            theaterName: `${transfer.toTheaterName} (returned)`,
+            quantity: item.quantity,
+            notes: 'Transfer cancelled - stock returned'
+          });
+        }
+      }
+
+      if (receiver && transfer.status === 'received' && String(item.receivedProductId) === String(productId) && item.receivedQuantity > 0) {
+        movements.push({
+          ...base,
+          key: `${item._id}-in`,
+          outward: false,
+          date: transfer.receivedAt,
+          theaterName: transfer.fromTheaterName,
+          quantity: item.receivedQuantity,
+          notes: item.discrepancy ? `Sent ${item.quantity} - ${item.discrepancyReason}` : transfer.receiveNotes
+        });
+      }
+    });
+  });
+
+  return movements.sort((a, b) => new Date(a.date) - new Date(b.date));
+};
@@ -0,0 +1,18 @@
+/**
+ * Stocktake Utilities
+ * Statuses of physical stock counts (stocktakes) of cafe stock
+ */
+
+export const STOCKTAKE_STATUS_LABELS = {
+  counting: 'Counting',
+  submitted: 'Waiting for Approval',
+  approved: 'Approved',
+  cancelled: 'Cancelled'
+};
+
+export const isCounted = (line) => line.countedQuantity !== null && line.countedQuantity !== undefined;
+
+export const formatVariance = (value, unit) => {
+  const rounded = Math.round((Number(value) || 0) * 1000) / 1000;
+  return `${rounded > 0 ? '+' : ''}${rounded} ${unit || 'Nos'}`;
+};
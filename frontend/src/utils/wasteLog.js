@@ -0,0 +1,23 @@
+/**
+ * Waste Log Utilities
+ * Reason codes and statuses for cafe stock waste / spoilage
+ */
+
+// Same codes as the backend WasteLog model - 'expired' comes off stock as expired, the rest as damaged
+export const WASTE_REASONS = [
+  { value: 'dropped', label: 'Dropped' },
+  { value: 'burnt', label: 'Burnt' },
+  { value: 'quality_reject', label: 'Quality reject' },
+  { value: 'spoiled', label: 'Spoiled' },
+  { value: 'expired', label: 'Expired' },
+  { value: 'other', label: 'Other' }
+];
+
+export const WASTE_STATUS_LABELS = {
+  pending: 'Waiting for Approval',
+  approved: 'Approved',
+  rejected: 'Rejected'
+};
+
+export const wasteReasonLabel = (reasonCode) =>
+  WASTE_REASONS.find(reason => reason.value === reasonCode)?.label || reasonCode;